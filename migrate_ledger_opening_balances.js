@@ -0,0 +1,68 @@
+/**
+ * migrate_ledger_opening_balances.js
+ *
+ * Imports balances that existed before the double-entry ledger was deployed:
+ * escrow still held on paid/delivered invoices, unwithdrawn referral balances
+ * and admin-credited wallet balances.  Each gap reported by reconcileLedger()
+ * where the ledger is SHORT of the operational figure is posted as an
+ * "opening_balance" entry backed by provider cash.
+ *
+ * Gaps where the ledger is AHEAD of the operational tables are only printed —
+ * those need a human to investigate, not an automatic correction.
+ *
+ * Safe to run multiple times — once the ledger reconciles, nothing is posted.
+ *
+ * Run once:  node migrate_ledger_opening_balances.js
+ */
+
+import db from "./src/controllers/db.js";
+import {
+  ensureLedgerTables,
+  postJournalEntry,
+  reconcileLedger,
+} from "./src/utils/ledger.js";
+
+const ACCOUNT_FOR_ISSUE = {
+  escrow_mismatch: "buyer_escrow",
+  referral_balance_mismatch: "referral_payable",
+  wallet_balance_mismatch: "user_wallet",
+};
+
+async function migrate() {
+  console.log("Importing ledger opening balances…");
+  await ensureLedgerTables();
+
+  const { issues } = await reconcileLedger();
+  let posted = 0;
+
+  for (const issue of issues) {
+    const account = ACCOUNT_FOR_ISSUE[issue.type];
+    const gap = account ? issue.expected - issue.ledger : 0;
+
+    if (!account || gap <= 0) {
+      console.warn("⚠️  Needs manual review:", JSON.stringify(issue));
+      continue;
+    }
+
+    const key = issue.invoiceNumber ?? `user-${issue.userId}`;
+    await postJournalEntry({
+      reference: `opening:${account}:${key}:${Date.now()}`,
+      kind: "opening_balance",
+      description: `Opening balance imported for ${account} (${key})`,
+      invoiceNumber: issue.invoiceNumber ?? null,
+      lines: [
+        { account: "provider_cash", debit: gap },
+        { account, credit: gap, userId: issue.userId ?? null },
+      ],
+    });
+    posted++;
+  }
+
+  console.log(
+    `✅ ${posted} opening balance entr${posted === 1 ? "y" : "ies"} posted.`,
+  );
+}
+
+migrate()
+  .catch((err) => console.error("❌ Migration failed:", err.message))
+  .finally(() => db.end());
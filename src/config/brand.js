@@ -7,7 +7,7 @@
  *
  * Usage:
  *   import { BRAND } from "../config/brand.js";
- *   sgMail.send({ from: BRAND.supportEmail, ... });
+ *   emailButton(`${BRAND.siteUrl}/dashboard`, "Open dashboard");
  */
 
 // Derive the live frontend URL from the environment, falling back to the
@@ -28,4 +28,24 @@ db.on("error", (err) => {
   logger.error("Unexpected DB pool error", { error: err.message });
 });
 
+/**
+ * Runs one statement on `client`.  When `client` is a transaction's client
+ * rather than the pool, the statement gets its own savepoint: if it fails,
+ * only that statement is rolled back and the transaction stays usable.
+ * For best-effort writes that catch and log their own errors — without the
+ * savepoint, Postgres would fail every later query and the caller's COMMIT.
+ */
+export async function queryInSavepoint(client, text, params) {
+  if (client === db) return db.query(text, params);
+  await client.query("SAVEPOINT best_effort");
+  try {
+    const result = await client.query(text, params);
+    await client.query("RELEASE SAVEPOINT best_effort");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK TO SAVEPOINT best_effort");
+    throw err;
+  }
+}
+
 export default db;
@@ -23,11 +23,32 @@ import notifications from "../routes/notifications.js";
 import user from "../routes/user.js";
 import aiChat from "../routes/aiChat.js";
 import uploads from "../routes/uploads.js";
+import v1 from "../routes/v1.js";
+import webhooks from "../routes/webhooks.js";
+import sms from "../routes/sms.js";
 import { startScheduledJobs } from "../jobs/scheduledJobs.js";
+import { ensureLedgerTables } from "../utils/ledger.js";
+import { ensurePayoutQueueTables } from "../jobs/payoutQueue.js";
+import { ensureInvoiceEventsTable } from "../utils/invoiceState.js";
+import { ensureApiKeysTable } from "../utils/apiKeys.js";
+import { ensureAdminTables } from "../utils/admins.js";
+import { ensureTwoFactorColumns } from "../utils/twoFactor.js";
+import { ensureSessionsTable } from "../utils/sessions.js";
+import { ensurePayoutPhoneTables } from "../utils/payoutPhone.js";
+import { ensureKycTables } from "../utils/kyc.js";
+import { ensureRiskTables } from "../utils/risk.js";
+import { ensureLanguageColumns } from "../utils/i18n.js";
+import { ensureWebhookTables } from "../jobs/webhookQueue.js";
+import { ensureEmailTables } from "../jobs/emailQueue.js";
+import { ensureSmsTables } from "../jobs/smsQueue.js";
+import { ensureNotificationPreferenceTables } from "../utils/notificationPreferences.js";
+import { ensureChatReadTables } from "../utils/chatReads.js";
+import { ensureIdempotencyTable } from "../middleware/idempotency.js";
 import { fileURLToPath } from "url";
 import path from "path";
 import logger from "../utils/logger.js";
 import { sanitizeBody } from "../middleware/sanitize.js";
+import { localize } from "../middleware/localize.js";
 import {
   maintenanceGuard,
   paymentsGuard,
@@ -45,6 +66,7 @@ import {
   actionLimiter,
   adminLoginLimiter,
   adminApiLimiter,
+  twoFactorLimiter,
 } from "../middleware/rateLimiters.js";
 
 // ── Crash safety: log and survive unhandled errors ───────────────────────────
@@ -92,6 +114,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
+  // Lets the frontend tell a replayed Idempotency-Key response from a fresh one.
+  exposedHeaders: ["Idempotent-Replayed"],
 };
 app.use(cors(corsOptions));
 // Handle all OPTIONS preflight requests immediately — no further middleware needed.
@@ -170,21 +194,36 @@ app.use((req, _res, next) => {
 // 100 KB covers the largest legitimate payload (invoice with many milestones).
 // Anything larger is almost certainly an attack or a programming error.
 app.use(express.json({ limit: "100kb" }));
-app.use(express.urlencoded({ extended: true, limit: "100kb" }));
+// The raw form body is kept for signed provider callbacks (providers/sms).
+app.use(
+  express.urlencoded({
+    extended: true,
+    limit: "100kb",
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 app.use(cookieParser());
 
 // ── Input sanitization — strip XSS from all body strings ─────────────────────
 app.use(sanitizeBody);
 
+// ── Language — req.lang, and English / French replies (utils/i18n.js) ────────
+app.use(localize);
+
 // ── Rate limiting ────────────────────────────────────────────────────────────
 // General limiter covers every route (catch-all for bots/scrapers).
 app.use(generalLimiter);
 
 // Specific tight limiters on high-risk routes.
 app.post("/auth/login", loginLimiter);
+app.post("/auth/login/2fa", twoFactorLimiter);
+app.use("/user/2fa", twoFactorLimiter);
 app.post("/auth/register", registerLimiter);
 app.post("/auth/forgot-password", forgotPasswordLimiter);
 app.post("/auth/reset-password", resetPasswordLimiter);
+app.post("/user/payout-phone/confirm", resetPasswordLimiter);
 app.post(
   "/api/requestPayment",
   paymentByIpLimiter,
@@ -192,6 +231,7 @@ app.post(
   paymentsGuard,
 );
 app.post("/invoice/create", invoiceCreateLimiter);
+app.post("/v1/invoices", invoiceCreateLimiter);
 app.post("/dispute/open/:invoice_number", actionLimiter);
 app.post("/api/release-funds", actionLimiter, payoutsGuard);
 app.get("/api/release-milestone/:token", actionLimiter, payoutsGuard);
@@ -199,10 +239,13 @@ app.post("/api/release-milestone/confirm", actionLimiter, payoutsGuard);
 app.post("/api/release-milestone/by-user", actionLimiter, payoutsGuard);
 app.patch("/invoice/milestone/:milestone_id/complete", actionLimiter);
 app.post("/invoice/resend-email/:invoice_number", actionLimiter);
+app.post("/webhooks/endpoints/:id/test", actionLimiter);
+app.post("/webhooks/deliveries/:id/replay", actionLimiter);
 
 // ── Admin rate limiting ───────────────────────────────────────────────────────
 // Tighter limit on the login endpoint to block credential brute-force.
 app.post("/admin/login", adminLoginLimiter);
+app.post("/admin/login/2fa", twoFactorLimiter);
 // All other /admin/* routes get a moderate cap to prevent data exfiltration.
 app.use("/admin", adminApiLimiter);
 // ────────────────────────────────────────────────────────────────────────────
@@ -234,8 +277,13 @@ app.use("/referral", referral);
 app.use("/admin", admin);
 app.use("/notifications", notifications);
 app.use("/user", user);
+app.use("/webhooks", webhooks);
+app.use("/sms", sms);
 app.use("/api", aiChat);
 
+// Public REST API for sellers' own systems (API key auth — see routes/v1.js)
+app.use("/v1", v1);
+
 // Serve uploaded files — authenticated only (prevents unauthenticated enumeration)
 app.use("/uploads", uploads);
 
@@ -368,6 +416,136 @@ app.listen(PORT, async () => {
     logger.warn("processed_payments migration failed", { error: err.message });
   }
 
+  // Invoice status history — every status change writes to it, including the
+  // scheduler's auto-releases, so it must exist before the jobs start.
+  try {
+    await ensureInvoiceEventsTable();
+    logger.info("invoice_events table ready");
+  } catch (err) {
+    logger.warn("invoice_events migration failed", { error: err.message });
+  }
+
+  try {
+    await ensureApiKeysTable();
+    logger.info("api_keys table ready");
+  } catch (err) {
+    logger.warn("api_keys migration failed", { error: err.message });
+  }
+
+  try {
+    await ensureWebhookTables();
+    logger.info("webhook tables ready");
+  } catch (err) {
+    logger.warn("webhook migration failed", { error: err.message });
+  }
+
+  // Email outbox — every transactional email is queued here before sending.
+  try {
+    await ensureEmailTables();
+    logger.info("email_outbox table ready");
+  } catch (err) {
+    logger.warn("email_outbox migration failed", { error: err.message });
+  }
+
+  // SMS / WhatsApp outbox and opt-outs for buyers.
+  try {
+    await ensureSmsTables();
+    logger.info("sms tables ready");
+  } catch (err) {
+    logger.warn("sms migration failed", { error: err.message });
+  }
+
+  // Per-user notification channels, quiet hours and digest queue.
+  try {
+    await ensureNotificationPreferenceTables();
+    logger.info("notification preference tables ready");
+  } catch (err) {
+    logger.warn("notification preference migration failed", {
+      error: err.message,
+    });
+  }
+
+  // Chat read cursors and the chat search index.
+  try {
+    await ensureChatReadTables();
+    logger.info("chat read tables ready");
+  } catch (err) {
+    logger.warn("chat read migration failed", { error: err.message });
+  }
+
+  // Admin accounts + audit log; seeds the first superadmin from ADMIN_EMAIL.
+  try {
+    await ensureAdminTables();
+    logger.info("admins tables ready");
+  } catch (err) {
+    logger.warn("admins migration failed", { error: err.message });
+  }
+
+  // 2FA columns on users and admins — after the admins table exists.
+  try {
+    await ensureTwoFactorColumns();
+    logger.info("2FA columns ready");
+  } catch (err) {
+    logger.warn("2FA migration failed", { error: err.message });
+  }
+
+  // Login sessions / refresh tokens — authMiddleware needs this table.
+  try {
+    await ensureSessionsTable();
+    logger.info("user_sessions table ready");
+  } catch (err) {
+    logger.warn("user_sessions migration failed", { error: err.message });
+  }
+
+  try {
+    await ensureIdempotencyTable();
+    logger.info("idempotency_keys table ready");
+  } catch (err) {
+    logger.warn("idempotency_keys migration failed", { error: err.message });
+  }
+
+  // Payout phone change holds — the payout queue checks them on every job.
+  try {
+    await ensurePayoutPhoneTables();
+    logger.info("phone_change_requests table ready");
+  } catch (err) {
+    logger.warn("phone_change_requests migration failed", {
+      error: err.message,
+    });
+  }
+
+  // KYC tiers — invoice creation and the payout queue check them.
+  try {
+    await ensureKycTables();
+    logger.info("kyc_submissions table ready");
+  } catch (err) {
+    logger.warn("kyc_submissions migration failed", { error: err.message });
+  }
+
+  // Create payout_jobs before the scheduler starts draining it.
+  try {
+    await ensurePayoutQueueTables();
+    logger.info("payout_jobs table ready");
+  } catch (err) {
+    logger.warn("payout_jobs migration failed", { error: err.message });
+  }
+
+  // Risk scoring — references payout_jobs, and the queue scores each job.
+  try {
+    await ensureRiskTables();
+    logger.info("risk_assessments table ready");
+  } catch (err) {
+    logger.warn("risk_assessments migration failed", { error: err.message });
+  }
+
+  // Language preference for users and buyers (utils/i18n.js)
+  try {
+    await ensureLanguageColumns();
+    logger.info("language columns ready");
+  } catch (err) {
+    logger.warn("language migration failed", { error: err.message });
+  }
+
   await startScheduledJobs();
 
   // Create platform_settings table for maintenance mode and payment/payout toggles.
@@ -413,4 +591,27 @@ app.listen(PORT, async () => {
       error: err.message,
     });
   }
+
+  // Create the double-entry ledger (ledger_entries + ledger_lines).
+  try {
+    await ensureLedgerTables();
+    logger.info("ledger tables ready");
+  } catch (err) {
+    logger.warn("ledger migration failed", { error: err.message });
+  }
+
+  // Running settlement totals on disputes (gross XAF to each side), so split
+  // decisions show on receipts and in the admin dashboard.
+  try {
+    await db.query(`
+      ALTER TABLE disputes
+        ADD COLUMN IF NOT EXISTS resolution_seller_amount NUMERIC(14,2),
+        ADD COLUMN IF NOT EXISTS resolution_buyer_amount  NUMERIC(14,2)
+    `);
+    logger.info("disputes settlement columns ready");
+  } catch (err) {
+    logger.warn("disputes settlement migration failed", {
+      error: err.message,
+    });
+  }
 });
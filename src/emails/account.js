@@ -0,0 +1,235 @@
+/**
+ * emails/account.js — account emails: password reset, payout number change,
+ * KYC decisions, the notification digest and messages from the Fonlok team
+ * (see emails/index.js for the template shape)
+ */
+
+import { emailWrap, emailButton } from "../utils/emailTemplate.js";
+import { BRAND } from "../config/brand.js";
+import { t, formatDateTime } from "../utils/i18n.js";
+
+const copyright = () => new Date().getFullYear();
+
+const supportLink = () =>
+  `<a href="mailto:${process.env.VERIFIED_SENDER}" style="color:#dc2626;">${process.env.VERIFIED_SENDER}</a>`;
+
+export default {
+  "user.password_reset": {
+    version: 1,
+    description: "User: password reset link (valid for 1 hour)",
+    confidential: true,
+    sample: { name: "Amina Nkongho", token: "0123456789abcdef" },
+    render: (d, lang) => ({
+      subject: t(lang, "Reset Your Fonlok Password"),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Reset Your Password")}</h2>
+          <p style="color:#475569;">${t(lang, "Hi {name}, we received a request to reset the password for your Fonlok account. Click the button below to create a new password. This link expires in <strong>1 hour</strong>.", { name: d.name })}</p>
+          ${emailButton(`${BRAND.siteUrl}/reset-password?token=${d.token}`, t(lang, "Reset my password"))}
+          <p style="color:#94a3b8;font-size:13px;margin-top:4px;">${t(lang, "If you did not request a password reset, you can safely ignore this email &mdash; your password will not change.")}</p>`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "For security, this link expires in 1 hour. &copy; {year} Fonlok &mdash; Secure Escrow Payments",
+            { year: copyright() },
+          ),
+        },
+      ),
+    }),
+  },
+
+  "user.password_changed": {
+    version: 1,
+    description: "User: their password was changed",
+    sample: { name: "Amina Nkongho" },
+    render: (d, lang) => ({
+      subject: t(lang, "Your Fonlok Password Has Been Changed"),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Password Changed Successfully")}</h2>
+          <p style="color:#475569;">${t(lang, "Hi {name}, your Fonlok account password has been changed successfully. You can now sign in with your new password.", { name: d.name })}</p>
+          <p style="color:#dc2626;font-weight:600;">${t(lang, "If you did not make this change, contact us immediately at {email}.", { email: supportLink() })}</p>`,
+        {
+          lang,
+          footerNote: `&copy; ${copyright()} Fonlok &mdash; ${t(lang, "Secure Escrow Payments")}`,
+        },
+      ),
+    }),
+  },
+
+  "user.payout_phone_confirm": {
+    version: 1,
+    description: "User: confirm a new payout (MoMo) number",
+    confidential: true,
+    sample: {
+      name: "Amina Nkongho",
+      phone: "237670000001",
+      oldPhone: "237670000000",
+      token: "0123456789abcdef",
+      holdHours: 48,
+      expiresInHours: 24,
+    },
+    render: (d, lang) => ({
+      subject: t(lang, "Confirm your new Fonlok payout number"),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Confirm Your New Payout Number")}</h2>
+      <p style="color:#475569;">${
+        d.oldPhone
+          ? t(
+              lang,
+              "Hi {name}, someone signed in to your Fonlok account asked to send your future payouts to <strong>{phone}</strong> instead of <strong>{oldPhone}</strong>.",
+              { name: d.name, phone: d.phone, oldPhone: d.oldPhone },
+            )
+          : t(
+              lang,
+              "Hi {name}, someone signed in to your Fonlok account asked to send your future payouts to <strong>{phone}</strong>.",
+              { name: d.name, phone: d.phone },
+            )
+      }</p>
+      <p style="color:#475569;">${t(lang, "Nothing changes until you confirm.")} ${d.holdHours > 0 ? t(lang, "After you confirm, payouts to the new number are held for <strong>{hours} hours</strong> as a safety measure.", { hours: d.holdHours }) : ""} ${t(lang, "This link expires in {hours} hours.", { hours: d.expiresInHours })}</p>
+      ${emailButton(`${BRAND.siteUrl}/confirm-phone-change?token=${d.token}`, t(lang, "Confirm the new number"))}
+      <p style="color:#dc2626;font-weight:600;">${t(lang, "If you did not ask for this, do not click the button &mdash; change your password and contact us at {email}.", { email: supportLink() })}</p>`,
+        {
+          lang,
+          footerNote: `${t(lang, "For security, this link expires in {hours} hours.", { hours: d.expiresInHours })} &copy; ${copyright()} Fonlok &mdash; ${t(lang, "Secure Escrow Payments")}`,
+        },
+      ),
+    }),
+  },
+
+  "user.kyc_approved": {
+    version: 1,
+    description: "Seller: identity documents approved, new tier",
+    sample: { name: "Amina Nkongho", tier: "verified" },
+    render: (d, lang) => ({
+      subject: t(lang, "Your Fonlok account is verified"),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Identity Verified")}</h2>
+            <p style="color:#475569;">${t(lang, "Hi {name}, your documents were approved and your account is now <strong>{tier}</strong>. Your higher invoice and payout limits apply immediately.", { name: d.name, tier: d.tier })}</p>`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "&copy; {year} Fonlok &mdash; Secure Escrow Payments",
+            {
+              year: copyright(),
+            },
+          ),
+        },
+      ),
+    }),
+  },
+
+  "user.kyc_rejected": {
+    version: 1,
+    description: "Seller: identity documents rejected, with the reason",
+    sample: {
+      name: "Amina Nkongho",
+      reason: "The photo of your ID card is blurred.",
+    },
+    render: (d, lang) => ({
+      subject: t(lang, "Your Fonlok verification needs another look"),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Verification Not Approved")}</h2>
+            <p style="color:#475569;">${t(lang, "Hi {name}, we could not approve the documents you sent:", { name: d.name })}</p>
+            <p style="color:#475569;"><strong>${d.reason}</strong></p>
+            <p style="color:#475569;">${t(lang, "You can submit new documents from your dashboard at any time.")}</p>`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "&copy; {year} Fonlok &mdash; Secure Escrow Payments",
+            {
+              year: copyright(),
+            },
+          ),
+        },
+      ),
+    }),
+  },
+
+  // Titles and bodies are stored already translated by notifyUser().
+  "user.notification_digest": {
+    version: 1,
+    description: "User: daily digest of the day's notifications",
+    sample: {
+      name: "Amina Nkongho",
+      items: [
+        {
+          title: "Invoice Paid",
+          body: "Jean Mbarga paid 25,000 XAF for invoice INV-2026-0001.",
+          createdAt: "2026-03-12T09:30:00Z",
+        },
+        {
+          title: "Payout Sent",
+          body: "24,500 XAF has been sent to your Mobile Money account for invoice INV-2026-0001.",
+          createdAt: "2026-03-12T15:10:00Z",
+        },
+      ],
+    },
+    render: (d, lang) => ({
+      subject: t(lang, "Your Fonlok daily summary ({count})", {
+        count: d.items.length,
+      }),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Your Daily Summary")}</h2>
+          <p style="color:#475569;">${t(lang, "Hi {name}, here is what happened on your Fonlok account since your last summary.", { name: d.name })}</p>
+          ${d.items
+            .map(
+              (item) =>
+                `<div style="border-top:1px solid #e2e8f0;padding:12px 0;">
+              <p style="margin:0;color:#0F1F3D;font-weight:600;">${item.title}</p>
+              <p style="margin:4px 0 0;color:#475569;">${item.body}</p>
+              <p style="margin:4px 0 0;color:#94a3b8;font-size:12px;">${formatDateTime(item.createdAt, lang)}</p>
+            </div>`,
+            )
+            .join("")}
+          ${emailButton(`${BRAND.siteUrl}/dashboard`, t(lang, "Open my dashboard"))}
+          <p style="color:#94a3b8;font-size:13px;margin-top:4px;">${t(lang, "You receive this summary instead of separate emails. Change this in your notification settings.")}</p>`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "&copy; {year} Fonlok &mdash; Secure Escrow Payments",
+            {
+              year: copyright(),
+            },
+          ),
+        },
+      ),
+    }),
+  },
+
+  // The admin's subject and text go out as written; only the frame around
+  // them is translated.
+  "user.message": {
+    version: 1,
+    description: "User: broadcast or direct message from the Fonlok team",
+    from: { name: BRAND.name, email: BRAND.supportEmail },
+    sample: {
+      name: "Amina Nkongho",
+      subject: "Scheduled maintenance",
+      body: "Fonlok will be unavailable on Sunday from 02:00 to 03:00 UTC.\n\nThank you for your patience.",
+    },
+    render: (d, lang) => {
+      // Plain-text body to HTML, one paragraph per line
+      const bodyHtml = String(d.body)
+        .trim()
+        .split(/\r?\n/)
+        .map((line) =>
+          line.trim()
+            ? `<p style="margin:0 0 10px;color:#0f172a;font-size:15px;line-height:1.6;">${line}</p>`
+            : `<p style="margin:0 0 10px;">&nbsp;</p>`,
+        )
+        .join("");
+      return {
+        subject: d.subject,
+        html: emailWrap(
+          `<p style="margin:0 0 16px;font-size:15px;color:#0f172a;">${t(lang, "Hi <strong>{name}</strong>,", { name: d.name })}</p>` +
+            bodyHtml +
+            `<p style="margin:16px 0 0;font-size:13px;color:#64748b;">${t(lang, "— The {brand} Team", { brand: BRAND.name })}</p>`,
+          { lang, subtitle: t(lang, "Message from Fonlok") },
+        ),
+      };
+    },
+  },
+};
@@ -0,0 +1,261 @@
+/**
+ * emails/alerts.js — emails to the Fonlok admin team (ADMIN_EMAIL), in
+ * English only
+ * (see emails/index.js for the template shape)
+ */
+
+import {
+  emailWrap,
+  emailTable,
+  emailButtonDanger,
+} from "../utils/emailTemplate.js";
+import { formatAmount } from "../utils/currency.js";
+
+const adminLink = (adminToken) =>
+  `${process.env.FRONTEND_URL}/admin/dispute/${adminToken}`;
+
+const openedDate = (date) =>
+  new Date(date).toLocaleString("en-GB", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const SAMPLE_DISPUTE = {
+  invoiceNumber: "INV-2026-0001",
+  invoiceName: "Logo design",
+  amount: 25000,
+  currency: "XAF",
+  openedBy: "buyer",
+  reason: "The files I received do not match the agreed design.",
+  openedAt: "2026-03-05T09:30:00Z",
+  adminToken: "0123456789abcdef",
+};
+
+export default {
+  "admin.dispute_opened": {
+    version: 1,
+    description: "Admin: a new dispute needs review",
+    confidential: true,
+    sample: {
+      invoiceNumber: "INV-2026-0001",
+      invoiceName: "Logo design",
+      disputedAmount: 25000,
+      currency: "XAF",
+      scope: null,
+      milestoneCount: 0,
+      openedBy: "buyer",
+      reason: "The files I received do not match the agreed design.",
+      adminToken: "0123456789abcdef",
+    },
+    render: (d) => ({
+      subject: `[Admin] New Dispute Opened  - Invoice ${d.invoiceNumber} | Fonlok`,
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">New Dispute Opened &mdash; Invoice ${d.invoiceNumber}</h2>
+          <p style="color:#475569;">A dispute has been opened and requires your review.</p>
+          ${emailTable([
+            ["Invoice Number", d.invoiceNumber],
+            ["Invoice Name", d.invoiceName],
+            [
+              "Disputed Amount",
+              `${d.disputedAmount.toLocaleString()} ${d.currency}`,
+              "font-weight:700;font-size:15px;",
+            ],
+            [
+              "Dispute Scope",
+              d.scope
+                ? `${d.scope} (${d.milestoneCount} milestone(s))`
+                : "Full invoice",
+            ],
+            ["Opened By", d.openedBy],
+            ["Reason", d.reason],
+          ])}
+          <p style="color:#475569;">Click the button below to join the chat, review all messages and make a decision.</p>
+          ${emailButtonDanger(adminLink(d.adminToken), "Review Dispute &amp; Join Chat")}`,
+        {
+          subtitle: "Admin Notification",
+          footerNote:
+            "Keep this link private &mdash; it gives admin access to the dispute chat.",
+        },
+      ),
+    }),
+  },
+
+  "admin.dispute_overdue": {
+    version: 1,
+    description: "Admin: a dispute has been open for 72 hours",
+    confidential: true,
+    sample: SAMPLE_DISPUTE,
+    render: (d) => ({
+      subject: `[Admin Alert] Dispute Unresolved: 72 Hours Elapsed  - Invoice ${d.invoiceNumber}`,
+      html: `
+                <div style="font-family:sans-serif;max-width:560px;border:1px solid #e2e8f0;border-radius:8px;overflow:hidden;">
+                  <div style="background:#0F1F3D;padding:18px 24px;line-height:1;">
+                    <span style="display:inline-block;width:34px;height:34px;background:#F59E0B;border-radius:8px;text-align:center;line-height:34px;font-size:19px;font-weight:900;color:#0F1F3D;vertical-align:middle;margin-right:10px;font-family:Arial,sans-serif;">F</span>
+                    <span style="font-size:20px;font-weight:800;letter-spacing:-0.5px;vertical-align:middle;"><span style="color:#F59E0B;">F</span><span style="color:#ffffff;">onlok</span></span>
+                    <span style="color:#94a3b8;font-size:12px;margin-left:12px;vertical-align:middle;">Admin Alert</span>
+                  </div>
+                  <div style="padding:24px;">
+                    <div style="background:#fef3c7;border:1px solid #f59e0b;border-radius:6px;padding:14px;margin-bottom:20px;">
+                      <strong style="color:#92400e;">⏰ Reminder:</strong>
+                      <span style="color:#78350f;"> This dispute has been open for over 72 hours without resolution.</span>
+                    </div>
+
+                    <h2 style="color:#0F1F3D;margin:0 0 16px;">Dispute Awaiting Your Review</h2>
+
+                    <table style="width:100%;border-collapse:collapse;background:#f8fafc;border-radius:6px;margin-bottom:20px;">
+                      <tr>
+                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Invoice</td>
+                        <td style="padding:10px 14px;color:#0f172a;">${d.invoiceNumber}</td>
+                      </tr>
+                      <tr style="background:#f1f5f9;">
+                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Invoice Name</td>
+                        <td style="padding:10px 14px;color:#0f172a;">${d.invoiceName}</td>
+                      </tr>
+                      <tr>
+                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Amount</td>
+                        <td style="padding:10px 14px;font-weight:700;color:#0f172a;">${formatAmount(d.amount, d.currency)}</td>
+                      </tr>
+                      <tr style="background:#f1f5f9;">
+                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Opened By</td>
+                        <td style="padding:10px 14px;color:#0f172a;">${d.openedBy}</td>
+                      </tr>
+                      <tr>
+                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Reason</td>
+                        <td style="padding:10px 14px;color:#0f172a;">${d.reason}</td>
+                      </tr>
+                      <tr style="background:#f1f5f9;">
+                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Opened At</td>
+                        <td style="padding:10px 14px;color:#0f172a;">${openedDate(d.openedAt)}</td>
+                      </tr>
+                    </table>
+
+                    <a href="${adminLink(d.adminToken)}"
+                      style="display:inline-block;background:#0F1F3D;color:#F59E0B;padding:13px 28px;text-decoration:none;border-radius:7px;font-weight:700;font-size:15px;">
+                      Open Admin Panel →
+                    </a>
+                  </div>
+                </div>
+              `,
+    }),
+  },
+
+  "admin.dispute_critical": {
+    version: 1,
+    description: "Admin: a dispute has been open for 7 days",
+    confidential: true,
+    sample: SAMPLE_DISPUTE,
+    render: (d) => ({
+      subject: `[URGENT] Dispute Unresolved: 7 Days  - Immediate Action Required for Invoice ${d.invoiceNumber}`,
+      html: `
+                <div style="font-family:sans-serif;max-width:560px;border:2px solid #dc2626;border-radius:8px;overflow:hidden;">
+                  <div style="background:#dc2626;padding:18px 24px;line-height:1;">
+                    <span style="display:inline-block;width:34px;height:34px;background:#FDE68A;border-radius:8px;text-align:center;line-height:34px;font-size:19px;font-weight:900;color:#7f1d1d;vertical-align:middle;margin-right:10px;font-family:Arial,sans-serif;">F</span>
+                    <span style="font-size:20px;font-weight:800;letter-spacing:-0.5px;vertical-align:middle;"><span style="color:#FDE68A;">F</span><span style="color:#ffffff;">onlok</span></span>
+                    <span style="color:#fecaca;font-size:12px;margin-left:12px;vertical-align:middle;">URGENT Admin Alert</span>
+                  </div>
+                  <div style="padding:24px;">
+                    <div style="background:#fef2f2;border:1px solid #fca5a5;border-radius:6px;padding:14px;margin-bottom:20px;">
+                      <strong style="color:#991b1b;">CRITICAL:</strong>
+                      <span style="color:#7f1d1d;"> This dispute has been open for <strong>7 days</strong> with no resolution. Both parties are waiting. Immediate action is required.</span>
+                    </div>
+
+                    <h2 style="color:#dc2626;margin:0 0 16px;">Dispute &mdash; 7 Days Unresolved</h2>
+
+                    <table style="width:100%;border-collapse:collapse;background:#f8fafc;border-radius:6px;margin-bottom:20px;">
+                      <tr>
+                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Invoice</td>
+                        <td style="padding:10px 14px;color:#0f172a;">${d.invoiceNumber}</td>
+                      </tr>
+                      <tr style="background:#f1f5f9;">
+                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Invoice Name</td>
+                        <td style="padding:10px 14px;color:#0f172a;">${d.invoiceName}</td>
+                      </tr>
+                      <tr>
+                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Amount at Stake</td>
+                        <td style="padding:10px 14px;font-weight:700;color:#dc2626;font-size:15px;">${formatAmount(d.amount, d.currency)}</td>
+                      </tr>
+                      <tr style="background:#f1f5f9;">
+                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Opened By</td>
+                        <td style="padding:10px 14px;color:#0f172a;">${d.openedBy}</td>
+                      </tr>
+                      <tr>
+                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Reason</td>
+                        <td style="padding:10px 14px;color:#0f172a;">${d.reason}</td>
+                      </tr>
+                      <tr style="background:#fef2f2;">
+                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Opened At</td>
+                        <td style="padding:10px 14px;color:#991b1b;font-weight:700;">${openedDate(d.openedAt)}</td>
+                      </tr>
+                    </table>
+
+                    <a href="${adminLink(d.adminToken)}"
+                      style="display:inline-block;background:#dc2626;color:#fff;padding:14px 32px;text-decoration:none;border-radius:7px;font-weight:700;font-size:16px;">
+                      Resolve This Dispute Now →
+                    </a>
+
+                    <p style="color:#94a3b8;font-size:12px;margin-top:20px;">
+                      This is an automated critical alert from Fonlok. Please resolve this dispute immediately.
+                    </p>
+                  </div>
+                </div>
+              `,
+    }),
+  },
+
+  "admin.payout_mismatch": {
+    version: 1,
+    description:
+      "Admin: the provider reports a different outcome for some transfers",
+    sample: {
+      mismatches: [
+        {
+          jobId: 42,
+          kind: "invoice_release",
+          reference: "INV-2026-0001",
+          amount: 24500,
+          currency: "XAF",
+          phone: "237670000000",
+          problem: "Provider reports FAILED",
+        },
+      ],
+    },
+    render: (d) => {
+      const rows = d.mismatches
+        .map(
+          (job, i) => `
+                      <tr${i % 2 ? ' style="background:#f1f5f9;"' : ""}>
+                        <td style="padding:10px 14px;color:#0f172a;font-size:13px;">#${job.jobId} ${job.kind}<br><span style="color:#64748b;">${job.reference}</span></td>
+                        <td style="padding:10px 14px;color:#0f172a;font-size:13px;">${formatAmount(job.amount, job.currency)} → ${job.phone}</td>
+                        <td style="padding:10px 14px;color:#991b1b;font-size:13px;">${job.problem}</td>
+                      </tr>`,
+        )
+        .join("");
+      return {
+        subject: `[Admin Alert] ${d.mismatches.length} payout(s) need attention | Fonlok`,
+        html: `
+                <div style="font-family:sans-serif;max-width:640px;border:2px solid #dc2626;border-radius:8px;overflow:hidden;">
+                  <div style="background:#0F1F3D;padding:18px 24px;line-height:1;">
+                    <span style="display:inline-block;width:34px;height:34px;background:#F59E0B;border-radius:8px;text-align:center;line-height:34px;font-size:19px;font-weight:900;color:#0F1F3D;vertical-align:middle;margin-right:10px;font-family:Arial,sans-serif;">F</span>
+                    <span style="font-size:20px;font-weight:800;letter-spacing:-0.5px;vertical-align:middle;"><span style="color:#F59E0B;">F</span><span style="color:#ffffff;">onlok</span></span>
+                    <span style="color:#94a3b8;font-size:12px;margin-left:12px;vertical-align:middle;">Admin Alert</span>
+                  </div>
+                  <div style="padding:24px;">
+                    <h2 style="color:#dc2626;margin:0 0 16px;">Payout Status Mismatch</h2>
+                    <p style="color:#475569;margin:0 0 16px;">The provider reports a different outcome for these transfers than Fonlok recorded. Failed payouts have been marked as failed and the amount is owed to the recipient again.</p>
+
+                    <table style="width:100%;border-collapse:collapse;background:#f8fafc;border-radius:6px;margin-bottom:20px;">${rows}
+                    </table>
+
+                    <p style="color:#94a3b8;font-size:12px;margin-top:20px;">
+                      This is an automated alert from Fonlok. Review the transfers in the admin payout queue.
+                    </p>
+                  </div>
+                </div>
+              `,
+      };
+    },
+  },
+};
@@ -0,0 +1,385 @@
+/**
+ * emails/delivery.js — buyer emails between delivery and release: delivered
+ * orders, completed milestones, automatic release and seller chat replies
+ * (see emails/index.js for the template shape)
+ */
+
+import { emailWrap, emailTable, emailButton } from "../utils/emailTemplate.js";
+import { formatAmount } from "../utils/currency.js";
+import { t, formatDateTime } from "../utils/i18n.js";
+
+const milestoneReleaseLink = (releaseToken, lang) =>
+  `${process.env.BACKEND_URL}/api/release-milestone/${releaseToken}?lang=${lang}`;
+
+const SAMPLE_INVOICE = {
+  invoiceNumber: "INV-2026-0001",
+  invoiceName: "Logo design",
+  amount: 25000,
+  currency: "XAF",
+};
+
+const SAMPLE_MILESTONE = {
+  invoiceNumber: "INV-2026-0002",
+  invoiceName: "Website build",
+  milestoneNumber: 1,
+  milestoneLabel: "Design",
+  amount: 50000,
+  currency: "XAF",
+  releaseToken: "0123456789abcdef",
+};
+
+export default {
+  "buyer.order_delivered": {
+    version: 1,
+    description: "Buyer: the seller marked the order as delivered",
+    sample: { ...SAMPLE_INVOICE, autoReleaseAt: "2026-03-12T14:00:00Z" },
+    render: (d, lang) => ({
+      subject: t(
+        lang,
+        "Action Required: Confirm Your Delivery  - Invoice {invoice} | Fonlok",
+        { invoice: d.invoiceNumber },
+      ),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Action Required &mdash; Your Order Has Been Delivered")}</h2>
+        <p style="color:#475569;">${t(lang, "The seller has marked the following invoice as <strong>delivered</strong>. Please check that you have received everything before releasing the funds.")}</p>
+        ${emailTable([
+          [t(lang, "Invoice Number"), d.invoiceNumber],
+          [t(lang, "Invoice Name"), d.invoiceName],
+          [
+            t(lang, "Amount"),
+            formatAmount(d.amount, d.currency),
+            "font-weight:700;color:#16a34a;font-size:15px;",
+          ],
+        ])}
+        <p style="color:#475569;">${t(lang, "<strong>Satisfied with your order?</strong> Log in and release the funds to the seller.")}</p>
+        <p style="color:#dc2626;font-weight:600;">${t(lang, "If you have NOT received your order, do not release the funds and contact the seller immediately.")}</p>
+        ${
+          d.autoReleaseAt
+            ? `<p style="color:#475569;">${t(lang, "If you take no action, the funds will be <strong>released to the seller automatically on {date}</strong>. Open a dispute before then if something is wrong.", { date: formatDateTime(d.autoReleaseAt, lang) })}</p>`
+            : ""
+        }`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "You received this email because a seller marked their invoice as delivered on Fonlok Escrow.",
+          ),
+        },
+      ),
+    }),
+  },
+
+  "buyer.delivery_reminder": {
+    version: 1,
+    description: "Buyer: delivery notification resent at the seller's request",
+    sample: SAMPLE_INVOICE,
+    render: (d, lang) => ({
+      subject: t(
+        lang,
+        "Delivery Reminder: Please Release Funds  - Invoice {invoice} | Fonlok",
+        { invoice: d.invoiceNumber },
+      ),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Reminder &mdash; Your Order Has Been Delivered")}</h2>
+            <p style="color:#475569;">${t(lang, "The seller has marked invoice <strong>{name}</strong> ({invoice}) as <strong>delivered</strong>. Please check that you received everything before releasing the funds.", { name: d.invoiceName, invoice: d.invoiceNumber })}</p>
+            ${emailTable([
+              [t(lang, "Invoice Number"), d.invoiceNumber],
+              [t(lang, "Invoice Name"), d.invoiceName],
+              [
+                t(lang, "Amount"),
+                formatAmount(d.amount, d.currency),
+                "font-weight:700;color:#16a34a;font-size:15px;",
+              ],
+            ])}
+            <p style="color:#475569;">${t(lang, "If you have received your order, log in and release the funds to the seller:")}</p>
+            ${emailButton(`${process.env.FRONTEND_URL}/invoice/${d.invoiceNumber}`, t(lang, "View Invoice &amp; Release Funds"))}
+            <p style="color:#dc2626;font-weight:600;">${t(lang, "If you have NOT received your order, do not release the funds and contact the seller to resolve the issue.")}</p>`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "You are receiving this reminder because your seller asked us to resend the delivery notification.",
+          ),
+        },
+      ),
+    }),
+  },
+
+  "buyer.milestone_completed": {
+    version: 2,
+    description:
+      "Buyer: a milestone was marked complete, with its one-time release link",
+    confidential: true,
+    sample: { ...SAMPLE_MILESTONE, autoReleaseAt: "2026-03-12T14:00:00Z" },
+    render: (d, lang) => ({
+      subject: t(
+        lang,
+        "Action Required: Confirm Milestone {number}  - {invoice} | Fonlok",
+        { number: d.milestoneNumber, invoice: d.invoiceNumber },
+      ),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Milestone {number} &mdash; Action Required", { number: d.milestoneNumber })}</h2>
+        <p style="color:#475569;">${t(lang, "The seller has marked <strong>Milestone {number}: {label}</strong> as complete for invoice <strong>{invoice}</strong>.", { number: d.milestoneNumber, label: d.milestoneLabel, invoice: d.invoiceName })}</p>
+        ${emailTable([
+          [t(lang, "Invoice"), d.invoiceNumber],
+          [t(lang, "Milestone"), d.milestoneLabel],
+          [
+            t(lang, "Amount to Release"),
+            formatAmount(d.amount, d.currency),
+            "font-weight:700;color:#16a34a;font-size:15px;",
+          ],
+        ])}
+        <p style="color:#475569;">${t(lang, "If you have received what was agreed for this milestone, click the button below to release the funds:")}</p>
+        ${emailButton(milestoneReleaseLink(d.releaseToken, lang), t(lang, "Confirm &amp; Release {amount}", { amount: formatAmount(d.amount, d.currency) }))}
+        <p style="color:#dc2626;font-weight:600;">${t(lang, "Do NOT click if you have not received this part of your order. If there is a problem, open a dispute from your invoice link.")}</p>
+        ${
+          d.autoReleaseAt
+            ? `<p style="color:#475569;">${t(lang, "If you take no action, the funds will be <strong>released to the seller automatically on {date}</strong>. Open a dispute before then if something is wrong.", { date: formatDateTime(d.autoReleaseAt, lang) })}</p>`
+            : ""
+        }`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "This link can only be used once. Keep it private. You received this email because a seller marked a milestone as complete on Fonlok.",
+          ),
+        },
+      ),
+    }),
+  },
+
+  "buyer.milestone_reminder": {
+    version: 1,
+    description: "Buyer: milestone release link resent at the seller's request",
+    confidential: true,
+    sample: SAMPLE_MILESTONE,
+    render: (d, lang) => {
+      const vars = {
+        number: d.milestoneNumber,
+        label: d.milestoneLabel,
+        invoice: d.invoiceName,
+        invoiceNumber: d.invoiceNumber,
+      };
+      return {
+        subject: t(
+          lang,
+          "Milestone Reminder: Please Confirm Milestone {number}  - {invoiceNumber} | Fonlok",
+          vars,
+        ),
+        html: emailWrap(
+          `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Reminder &mdash; Milestone {number}: {label}", vars)}</h2>
+              <p style="color:#475569;">${t(lang, "This is a reminder that <strong>Milestone {number}: {label}</strong> for invoice <strong>{invoice}</strong> ({invoiceNumber}) has been marked as complete and is awaiting your confirmation.", vars)}</p>
+              ${emailTable([
+                [t(lang, "Invoice"), d.invoiceNumber],
+                [t(lang, "Milestone"), d.milestoneLabel],
+                [
+                  t(lang, "Amount to Release"),
+                  formatAmount(d.amount, d.currency),
+                  "font-weight:700;color:#16a34a;font-size:15px;",
+                ],
+              ])}
+              <p style="color:#475569;">${t(lang, "If you have received what was agreed, click the button below to release the funds:")}</p>
+              ${emailButton(milestoneReleaseLink(d.releaseToken, lang), t(lang, "Confirm &amp; Release {amount}", { amount: formatAmount(d.amount, d.currency) }))}
+              <p style="color:#dc2626;font-weight:600;">${t(lang, "Do NOT click if you have not received this part of your order.")}</p>`,
+          {
+            lang,
+            footerNote: t(
+              lang,
+              "This link can only be used once. Keep it private. You are receiving this because your seller asked us to resend the confirmation.",
+            ),
+          },
+        ),
+      };
+    },
+  },
+
+  "buyer.auto_release_reminder": {
+    version: 1,
+    description:
+      "Buyer: funds will be released automatically in 48, 24 or 6 hours",
+    sample: {
+      ...SAMPLE_INVOICE,
+      hoursBefore: 24,
+      autoReleaseAt: "2026-03-12T14:00:00Z",
+      invoiceUrl: "https://fonlok.com/invoice/INV-2026-0001",
+    },
+    render: (d, lang) => {
+      const releaseDate = formatDateTime(d.autoReleaseAt, lang);
+      const urgent = d.hoursBefore <= 6;
+      return {
+        subject: t(
+          lang,
+          "Funds Release in {hours} Hours — Invoice {invoice} | Fonlok",
+          { hours: d.hoursBefore, invoice: d.invoiceNumber },
+        ),
+        html: emailWrap(
+          `<h2 style="color:${urgent ? "#dc2626" : "#0F1F3D"};margin:0 0 12px;">${urgent ? "⚠️ " : ""}${t(lang, "Funds Will Be Released Soon")}</h2>
+      <p style="color:#475569;">${t(lang, "The seller marked this order as delivered. Unless you open a dispute, the funds held in escrow will be <strong>released to the seller automatically on {date}</strong>.", { date: releaseDate })}</p>
+      ${emailTable([
+        [t(lang, "Invoice"), d.invoiceName],
+        [t(lang, "Reference"), d.invoiceNumber],
+        [
+          t(lang, "Amount"),
+          formatAmount(d.amount, d.currency),
+          "font-weight:700;color:#0f172a;",
+        ],
+        [t(lang, "Automatic Release"), releaseDate],
+      ])}
+      <p style="color:#dc2626;font-weight:600;">${t(lang, "If you have NOT received your order or something is wrong, open a dispute before the release date.")}</p>
+      <p style="color:#dc2626;font-weight:600;">${t(lang, "Never share your release code with the seller before you have received exactly what you ordered.")}</p>
+      ${emailButton(d.invoiceUrl, t(lang, "View Invoice"))}`,
+          {
+            lang,
+            footerNote: t(
+              lang,
+              "You received this email because you paid an invoice through Fonlok Escrow.",
+            ),
+          },
+        ),
+      };
+    },
+  },
+
+  "buyer.auto_released": {
+    version: 1,
+    description:
+      "Buyer: the inspection period ended and the funds were released",
+    sample: { ...SAMPLE_INVOICE, autoReleaseAt: "2026-03-12T14:00:00Z" },
+    render: (d, lang) => ({
+      subject: t(
+        lang,
+        "Funds Released to the Seller — Invoice {invoice} | Fonlok",
+        { invoice: d.invoiceNumber },
+      ),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Funds Released Automatically")}</h2>
+          <p style="color:#475569;">${t(lang, "The inspection period for this order ended on {date} without a dispute, so the funds held in escrow have been released to the seller.", { date: formatDateTime(d.autoReleaseAt, lang) })}</p>
+          ${emailTable([
+            [t(lang, "Invoice"), d.invoiceName],
+            [t(lang, "Reference"), d.invoiceNumber],
+            [
+              t(lang, "Amount"),
+              formatAmount(d.amount, d.currency),
+              "font-weight:700;color:#0f172a;",
+            ],
+          ])}
+          <p style="color:#475569;">${t(lang, 'If you believe this is a mistake, contact <a href="mailto:support@fonlok.com" style="color:#F59E0B;">support@fonlok.com</a>.')}</p>`,
+        {
+          lang,
+          footerNote: t(lang, "Fonlok Escrow automatic release confirmation."),
+        },
+      ),
+    }),
+  },
+
+  "buyer.milestone_auto_release_reminder": {
+    version: 1,
+    description:
+      "Buyer: a completed milestone will be released automatically in 48, 24 or 6 hours",
+    sample: {
+      ...SAMPLE_MILESTONE,
+      hoursBefore: 24,
+      autoReleaseAt: "2026-03-12T14:00:00Z",
+      invoiceUrl: "https://fonlok.com/invoice/INV-2026-0002",
+    },
+    render: (d, lang) => {
+      const releaseDate = formatDateTime(d.autoReleaseAt, lang);
+      const urgent = d.hoursBefore <= 6;
+      return {
+        subject: t(
+          lang,
+          "Milestone {number} Release in {hours} Hours — Invoice {invoice} | Fonlok",
+          {
+            number: d.milestoneNumber,
+            hours: d.hoursBefore,
+            invoice: d.invoiceNumber,
+          },
+        ),
+        html: emailWrap(
+          `<h2 style="color:${urgent ? "#dc2626" : "#0F1F3D"};margin:0 0 12px;">${urgent ? "⚠️ " : ""}${t(lang, "Funds Will Be Released Soon")}</h2>
+      <p style="color:#475569;">${t(lang, "The seller marked <strong>Milestone {number}: {label}</strong> as complete. Unless you release it yourself or open a dispute, its funds will be <strong>released to the seller automatically on {date}</strong>.", { number: d.milestoneNumber, label: d.milestoneLabel, date: releaseDate })}</p>
+      ${emailTable([
+        [t(lang, "Invoice"), d.invoiceName],
+        [t(lang, "Reference"), d.invoiceNumber],
+        [t(lang, "Milestone"), d.milestoneLabel],
+        [
+          t(lang, "Amount"),
+          formatAmount(d.amount, d.currency),
+          "font-weight:700;color:#0f172a;",
+        ],
+        [t(lang, "Automatic Release"), releaseDate],
+      ])}
+      <p style="color:#dc2626;font-weight:600;">${t(lang, "If you have NOT received this part of your order or something is wrong, open a dispute before the release date.")}</p>
+      ${emailButton(d.invoiceUrl, t(lang, "View Invoice"))}`,
+          {
+            lang,
+            footerNote: t(
+              lang,
+              "You received this email because you paid an invoice through Fonlok Escrow.",
+            ),
+          },
+        ),
+      };
+    },
+  },
+
+  "buyer.milestone_auto_released": {
+    version: 1,
+    description:
+      "Buyer: a milestone's inspection period ended and its funds were released",
+    sample: { ...SAMPLE_MILESTONE, autoReleaseAt: "2026-03-12T14:00:00Z" },
+    render: (d, lang) => ({
+      subject: t(
+        lang,
+        "Milestone {number} Funds Released to the Seller — Invoice {invoice} | Fonlok",
+        { number: d.milestoneNumber, invoice: d.invoiceNumber },
+      ),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Funds Released Automatically")}</h2>
+          <p style="color:#475569;">${t(lang, "The inspection period for <strong>Milestone {number}: {label}</strong> ended on {date} without a dispute, so its funds have been released to the seller.", { number: d.milestoneNumber, label: d.milestoneLabel, date: formatDateTime(d.autoReleaseAt, lang) })}</p>
+          ${emailTable([
+            [t(lang, "Invoice"), d.invoiceName],
+            [t(lang, "Reference"), d.invoiceNumber],
+            [t(lang, "Milestone"), d.milestoneLabel],
+            [
+              t(lang, "Amount"),
+              formatAmount(d.amount, d.currency),
+              "font-weight:700;color:#0f172a;",
+            ],
+          ])}
+          <p style="color:#475569;">${t(lang, 'If you believe this is a mistake, contact <a href="mailto:support@fonlok.com" style="color:#F59E0B;">support@fonlok.com</a>.')}</p>`,
+        {
+          lang,
+          footerNote: t(lang, "Fonlok Escrow automatic release confirmation."),
+        },
+      ),
+    }),
+  },
+
+  "buyer.chat_message": {
+    version: 1,
+    description: "Buyer: the seller sent a new chat message",
+    confidential: true,
+    sample: { invoiceNumber: "INV-2026-0001", chatToken: "0123456789abcdef" },
+    render: (d, lang) => ({
+      subject: t(
+        lang,
+        "New message from the seller – Invoice {invoice} | Fonlok",
+        { invoice: d.invoiceNumber },
+      ),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "The seller replied to you")}</h2>
+        <p style="color:#475569;">${t(lang, "The seller has sent you a new message regarding invoice <strong>{invoice}</strong>. Click below to view and reply.", { invoice: d.invoiceNumber })}</p>
+        ${emailButton(`${process.env.FRONTEND_URL}/chat/${d.invoiceNumber}?token=${d.chatToken}`, t(lang, "Open Chat"))}
+        <p style="color:#94a3b8;font-size:13px;margin-top:16px;">${t(lang, "You will only receive one reminder per 10 minutes to avoid inbox clutter.")}</p>`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "You received this because you are the buyer on a Fonlok escrow transaction. Keep your chat link private.",
+          ),
+        },
+      ),
+    }),
+  },
+};
@@ -0,0 +1,468 @@
+/**
+ * emails/disputes.js — dispute emails to both parties: dispute opened, the
+ * admin's decision (release, refund or split), and a refund that failed to
+ * arrive and was sent again
+ * (see emails/index.js for the template shape)
+ */
+
+import { emailWrap, emailTable, emailButton } from "../utils/emailTemplate.js";
+import { formatAmount } from "../utils/currency.js";
+import { t } from "../utils/i18n.js";
+
+// Closing line of the resolution emails to both parties
+const UNFAIR_NOTE =
+  'If you believe this was unfair, contact <a href="mailto:support@fonlok.com" style="color:#F59E0B;">support@fonlok.com</a>.';
+
+const SAMPLE_OPENED = {
+  invoiceNumber: "INV-2026-0001",
+  invoiceName: "Logo design",
+  amount: 25000,
+  currency: "XAF",
+  openedBy: "buyer",
+  reason: "The files I received do not match the agreed design.",
+};
+
+const SAMPLE_RESOLUTION = {
+  sellerName: "Amina Nkongho",
+  invoiceNumber: "INV-2026-0001",
+  effectiveAmount: 25000,
+  fee: 500,
+  amount: 24500,
+  currency: "XAF",
+  phone: "237670000000",
+  sent: true,
+};
+
+const SAMPLE_SPLIT = {
+  ...SAMPLE_RESOLUTION,
+  percent: 60,
+  share: 15000,
+  fee: 300,
+  amount: 14700,
+  otherShare: 10000,
+};
+
+const DISPUTE_FOOTER =
+  "Please do not attempt to pressure the other party. All disputes are reviewed and resolved fairly by Fonlok admin.";
+
+export default {
+  "seller.dispute_opened": {
+    version: 1,
+    description:
+      "Seller: a dispute was opened on their invoice (by either party)",
+    sample: SAMPLE_OPENED,
+    render: (d, lang) => {
+      const isOpener = d.openedBy === "seller";
+      return {
+        subject: isOpener
+          ? t(
+              lang,
+              "Your Dispute Has Been Filed  - Invoice {invoice} | Fonlok",
+              {
+                invoice: d.invoiceNumber,
+              },
+            )
+          : t(lang, "A Buyer Has Opened a Dispute on Your Invoice | Fonlok"),
+        html: emailWrap(
+          `<h2 style="color:#0F1F3D;margin:0 0 12px;">${
+            isOpener
+              ? t(lang, "Your Dispute Has Been Submitted")
+              : t(lang, "A Buyer Has Opened a Dispute")
+          }</h2>
+            <p style="color:#475569;">${
+              isOpener
+                ? t(
+                    lang,
+                    "We have received your dispute request. Our admin team will review all messages and make a fair decision within <strong>24 -48 hours</strong>.",
+                  )
+                : t(
+                    lang,
+                    "A buyer has filed a dispute on one of your invoices. Our admin team has been notified and will review the case within <strong>24 -48 hours</strong>.",
+                  )
+            }</p>
+            ${emailTable([
+              [t(lang, "Invoice Number"), d.invoiceNumber],
+              [t(lang, "Invoice Name"), d.invoiceName],
+              [
+                t(lang, "Amount"),
+                formatAmount(d.amount, d.currency),
+                "font-weight:700;font-size:15px;",
+              ],
+              [
+                t(lang, "Opened By"),
+                isOpener ? t(lang, "You (seller)") : t(lang, "Buyer"),
+              ],
+              [t(lang, "Reason"), d.reason],
+            ])}
+            <p style="color:#475569;">${t(lang, "You can view the full conversation and track the dispute resolution in the chat thread.")}</p>
+            ${emailButton(`${process.env.FRONTEND_URL}/chat/${d.invoiceNumber}`, t(lang, "View Dispute Chat"))}`,
+          {
+            lang,
+            subtitle: t(lang, "Dispute Notification"),
+            footerNote: t(lang, DISPUTE_FOOTER),
+          },
+        ),
+      };
+    },
+  },
+
+  "buyer.dispute_opened": {
+    version: 1,
+    description:
+      "Buyer: a dispute was opened on their purchase (by either party)",
+    sample: SAMPLE_OPENED,
+    render: (d, lang) => {
+      const isOpener = d.openedBy === "buyer";
+      return {
+        subject: isOpener
+          ? t(
+              lang,
+              "Your Dispute Has Been Filed  - Invoice {invoice} | Fonlok",
+              {
+                invoice: d.invoiceNumber,
+              },
+            )
+          : t(lang, "A Dispute Has Been Opened on Your Purchase | Fonlok"),
+        html: emailWrap(
+          `<h2 style="color:#0F1F3D;margin:0 0 12px;">${
+            isOpener
+              ? t(lang, "Your Dispute Has Been Submitted")
+              : t(lang, "A Dispute Has Been Opened on Your Purchase")
+          }</h2>
+            <p style="color:#475569;">${
+              isOpener
+                ? t(
+                    lang,
+                    "We have received your dispute request. Our admin team will review all messages and make a fair decision within <strong>24 -48 hours</strong>.",
+                  )
+                : t(
+                    lang,
+                    "The seller has filed a dispute regarding your purchase. Our admin team has been notified and will review the case within <strong>24 -48 hours</strong>.",
+                  )
+            }</p>
+            ${emailTable([
+              [t(lang, "Invoice Number"), d.invoiceNumber],
+              [t(lang, "Invoice Name"), d.invoiceName],
+              [
+                t(lang, "Amount"),
+                formatAmount(d.amount, d.currency),
+                "font-weight:700;font-size:15px;",
+              ],
+              [
+                t(lang, "Opened By"),
+                isOpener ? t(lang, "You (buyer)") : t(lang, "Seller"),
+              ],
+              [t(lang, "Reason"), d.reason],
+            ])}
+            <p style="color:#475569;">${t(lang, "Your funds are safely held in escrow and will not be released until the dispute is resolved.")}</p>
+            <p style="color:#dc2626;font-weight:600;">${t(lang, "Do not release the funds or share your release code while the dispute is open.")}</p>
+            ${emailButton(`${process.env.FRONTEND_URL}/invoice/${d.invoiceNumber}`, t(lang, "View Invoice &amp; Chat"))}`,
+          {
+            lang,
+            subtitle: t(lang, "Dispute Notification"),
+            footerNote: t(lang, DISPUTE_FOOTER),
+          },
+        ),
+      };
+    },
+  },
+
+  "seller.dispute_released": {
+    version: 1,
+    description: "Seller: the admin released the disputed funds to them",
+    sample: SAMPLE_RESOLUTION,
+    render: (d, lang) => ({
+      subject: t(
+        lang,
+        "Dispute Resolved: Funds Released to You — Invoice {invoice} | Fonlok",
+        { invoice: d.invoiceNumber },
+      ),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Dispute Resolved — Funds Released to You")}</h2>
+              <p style="color:#475569;">${t(lang, "Hello {name}, the admin reviewed the dispute for invoice <strong>{invoice}</strong> and released funds to you.", { name: d.sellerName, invoice: d.invoiceNumber })}</p>
+              ${emailTable([
+                [t(lang, "Invoice"), d.invoiceNumber],
+                [
+                  t(lang, "Effective Amount"),
+                  formatAmount(d.effectiveAmount, d.currency),
+                ],
+                [
+                  t(lang, "Fonlok Fee (2%)"),
+                  `−${formatAmount(d.fee, d.currency)}`,
+                  "color:#dc2626;",
+                ],
+                [
+                  t(lang, d.sent ? "Amount Sent" : "Amount Being Sent"),
+                  formatAmount(d.amount, d.currency),
+                  "font-weight:700;color:#16a34a;font-size:15px;",
+                ],
+                [t(lang, "Sent To"), d.phone],
+              ])}`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "Fonlok Escrow — dispute resolved in your favour.",
+          ),
+        },
+      ),
+    }),
+  },
+
+  "buyer.dispute_released": {
+    version: 1,
+    description: "Buyer: the admin released the disputed funds to the seller",
+    sample: { invoiceNumber: "INV-2026-0001" },
+    render: (d, lang) => ({
+      subject: t(lang, "Dispute Update — Invoice {invoice} | Fonlok", {
+        invoice: d.invoiceNumber,
+      }),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Dispute Resolved")}</h2>
+                <p style="color:#475569;">${t(lang, "The admin reviewed the dispute for invoice <strong>{invoice}</strong> and decided to release the funds to the seller.", { invoice: d.invoiceNumber })}</p>
+                <p style="color:#475569;">${t(lang, UNFAIR_NOTE)}</p>`,
+        {
+          lang,
+          footerNote: t(lang, "Fonlok Escrow dispute resolution."),
+        },
+      ),
+    }),
+  },
+
+  "buyer.dispute_refunded": {
+    version: 1,
+    description: "Buyer: the admin refunded the disputed funds to them",
+    sample: SAMPLE_RESOLUTION,
+    render: (d, lang) => ({
+      subject: t(lang, "Refund Processed — Invoice {invoice} | Fonlok", {
+        invoice: d.invoiceNumber,
+      }),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Refund Processed — Funds Sent to You")}</h2>
+                <p style="color:#475569;">${t(lang, "The admin reviewed the dispute for invoice <strong>{invoice}</strong> and processed your refund.", { invoice: d.invoiceNumber })}</p>
+                ${emailTable([
+                  [t(lang, "Invoice"), d.invoiceNumber],
+                  [
+                    t(lang, "Gross Disputed Amount"),
+                    formatAmount(d.effectiveAmount, d.currency),
+                  ],
+                  [
+                    t(lang, "Fonlok Fee (2%)"),
+                    `−${formatAmount(d.fee, d.currency)}`,
+                    "color:#dc2626;",
+                  ],
+                  [
+                    t(
+                      lang,
+                      d.sent
+                        ? "Refund Sent to You"
+                        : "Refund Being Sent to You",
+                    ),
+                    formatAmount(d.amount, d.currency),
+                    "font-weight:700;color:#16a34a;font-size:15px;",
+                  ],
+                  [t(lang, "Sent To"), d.phone],
+                ])}`,
+        {
+          lang,
+          footerNote: t(lang, "Fonlok Escrow dispute refund confirmation."),
+        },
+      ),
+    }),
+  },
+
+  "seller.dispute_refunded": {
+    version: 1,
+    description: "Seller: the admin refunded the disputed funds to the buyer",
+    sample: { sellerName: "Amina Nkongho", invoiceNumber: "INV-2026-0001" },
+    render: (d, lang) => ({
+      subject: t(
+        lang,
+        "Dispute Resolved: Refund Issued to Buyer — Invoice {invoice} | Fonlok",
+        { invoice: d.invoiceNumber },
+      ),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Dispute Resolved — Refund Issued to Buyer")}</h2>
+                <p style="color:#475569;">${t(lang, "Hello {name}, the admin reviewed the dispute for invoice <strong>{invoice}</strong> and issued a refund to the buyer.", { name: d.sellerName, invoice: d.invoiceNumber })}</p>
+                <p style="color:#475569;">${t(lang, UNFAIR_NOTE)}</p>`,
+        {
+          lang,
+          footerNote: t(lang, "Fonlok Escrow dispute resolution notification."),
+        },
+      ),
+    }),
+  },
+
+  "seller.dispute_split": {
+    version: 1,
+    description: "Seller: the admin split the disputed funds",
+    sample: SAMPLE_SPLIT,
+    render: (d, lang) => ({
+      subject: t(
+        lang,
+        "Dispute Settled: Split Decision — Invoice {invoice} | Fonlok",
+        { invoice: d.invoiceNumber },
+      ),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Dispute Settled — Split Decision")}</h2>
+              <p style="color:#475569;">${t(lang, "Hello {name}, the admin reviewed the dispute for invoice <strong>{invoice}</strong> and split the escrowed funds: {percent}% to you and the rest refunded to the buyer.", { name: d.sellerName, invoice: d.invoiceNumber, percent: d.percent })}</p>
+              ${emailTable([
+                [t(lang, "Invoice"), d.invoiceNumber],
+                [
+                  t(lang, "Amount in Dispute"),
+                  formatAmount(d.effectiveAmount, d.currency),
+                ],
+                [t(lang, "Your Share"), formatAmount(d.share, d.currency)],
+                [
+                  t(lang, "Fonlok Fee (2%)"),
+                  `−${formatAmount(d.fee, d.currency)}`,
+                  "color:#dc2626;",
+                ],
+                [
+                  t(lang, d.sent ? "Amount Sent" : "Amount Being Sent"),
+                  formatAmount(d.amount, d.currency),
+                  "font-weight:700;color:#16a34a;font-size:15px;",
+                ],
+                [t(lang, "Sent To"), d.phone],
+                [
+                  t(lang, "Refunded to Buyer"),
+                  formatAmount(d.otherShare, d.currency),
+                ],
+              ])}
+              <p style="color:#475569;">${t(lang, UNFAIR_NOTE)}</p>`,
+        {
+          lang,
+          footerNote: t(lang, "Fonlok Escrow dispute resolution."),
+        },
+      ),
+    }),
+  },
+
+  "buyer.dispute_split": {
+    version: 1,
+    description: "Buyer: the admin split the disputed funds",
+    sample: {
+      ...SAMPLE_SPLIT,
+      share: 10000,
+      fee: 200,
+      amount: 9800,
+      otherShare: 15000,
+    },
+    render: (d, lang) => ({
+      subject: t(
+        lang,
+        "Dispute Settled: Partial Refund — Invoice {invoice} | Fonlok",
+        { invoice: d.invoiceNumber },
+      ),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Dispute Settled — Partial Refund")}</h2>
+                <p style="color:#475569;">${t(lang, "The admin reviewed the dispute for invoice <strong>{invoice}</strong> and split the escrowed funds: part was released to the seller and the rest refunded to you.", { invoice: d.invoiceNumber })}</p>
+                ${emailTable([
+                  [t(lang, "Invoice"), d.invoiceNumber],
+                  [
+                    t(lang, "Amount in Dispute"),
+                    formatAmount(d.effectiveAmount, d.currency),
+                  ],
+                  [t(lang, "Your Share"), formatAmount(d.share, d.currency)],
+                  [
+                    t(lang, "Fonlok Fee (2%)"),
+                    `−${formatAmount(d.fee, d.currency)}`,
+                    "color:#dc2626;",
+                  ],
+                  [
+                    t(
+                      lang,
+                      d.sent
+                        ? "Refund Sent to You"
+                        : "Refund Being Sent to You",
+                    ),
+                    formatAmount(d.amount, d.currency),
+                    "font-weight:700;color:#16a34a;font-size:15px;",
+                  ],
+                  [t(lang, "Sent To"), d.phone],
+                  [
+                    t(lang, "Released to Seller"),
+                    formatAmount(d.otherShare, d.currency),
+                  ],
+                ])}
+                <p style="color:#475569;">${t(lang, UNFAIR_NOTE)}</p>`,
+        {
+          lang,
+          footerNote: t(lang, "Fonlok Escrow dispute refund confirmation."),
+        },
+      ),
+    }),
+  },
+
+  "buyer.refund_failed": {
+    version: 1,
+    description:
+      "Buyer: a dispute refund the provider accepted later failed to arrive",
+    sample: {
+      invoiceNumber: "INV-2026-0001",
+      amount: 24500,
+      currency: "XAF",
+      phone: "237670000000",
+    },
+    render: (d, lang) => ({
+      subject: t(
+        lang,
+        "Your Refund Did Not Arrive — Invoice {invoice} | Fonlok",
+        {
+          invoice: d.invoiceNumber,
+        },
+      ),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Your Refund Did Not Arrive")}</h2>
+                <p style="color:#475569;">${t(lang, "The refund for invoice <strong>{invoice}</strong> could not be delivered to your Mobile Money account. The money is safe with Fonlok: our team has been alerted and will send it again.", { invoice: d.invoiceNumber })}</p>
+                ${emailTable([
+                  [t(lang, "Invoice"), d.invoiceNumber],
+                  [
+                    t(lang, "Refund Amount"),
+                    formatAmount(d.amount, d.currency),
+                    "font-weight:700;",
+                  ],
+                  [t(lang, "Sent To"), d.phone],
+                ])}
+                <p style="color:#475569;">${t(lang, 'If this is not your Mobile Money number, contact <a href="mailto:support@fonlok.com" style="color:#F59E0B;">support@fonlok.com</a>.')}</p>`,
+        {
+          lang,
+          footerNote: t(lang, "Fonlok Escrow dispute refund notification."),
+        },
+      ),
+    }),
+  },
+
+  "buyer.refund_resent": {
+    version: 1,
+    description: "Buyer: a failed dispute refund was sent again",
+    sample: {
+      invoiceNumber: "INV-2026-0001",
+      amount: 24500,
+      currency: "XAF",
+      phone: "237670000000",
+    },
+    render: (d, lang) => ({
+      subject: t(lang, "Refund Sent Again — Invoice {invoice} | Fonlok", {
+        invoice: d.invoiceNumber,
+      }),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Refund Sent Again")}</h2>
+                <p style="color:#475569;">${t(lang, "We sent the refund for invoice <strong>{invoice}</strong> to your Mobile Money account again.", { invoice: d.invoiceNumber })}</p>
+                ${emailTable([
+                  [t(lang, "Invoice"), d.invoiceNumber],
+                  [
+                    t(lang, "Refund Sent to You"),
+                    formatAmount(d.amount, d.currency),
+                    "font-weight:700;color:#16a34a;font-size:15px;",
+                  ],
+                  [t(lang, "Sent To"), d.phone],
+                ])}`,
+        {
+          lang,
+          footerNote: t(lang, "Fonlok Escrow dispute refund confirmation."),
+        },
+      ),
+    }),
+  },
+};
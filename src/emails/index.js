@@ -0,0 +1,69 @@
+/**
+ * emails/index.js — named transactional email templates
+ *
+ * Every email Fonlok sends is a template here, grouped by area (payments,
+ * delivery, payouts, disputes, account, alerts) and sent through
+ * jobs/emailQueue.js with `sendEmail(name, { to, data, lang })`.
+ *
+ * A template is:
+ *
+ *   {
+ *     version,        bump it whenever the wording or layout changes, so the
+ *                     outbox shows which version a recipient actually got
+ *     description,    one line for the admin template list
+ *     sample,         example data for POST /admin/email-templates/:name/preview
+ *     render(data, lang) → { subject, html }
+ *     confidential?,  true when the email carries a secret (confirmation
+ *                     code, chat token, reset link…) — support sees the
+ *                     subject and status but not the body
+ *     from?,          sender, when not VERIFIED_SENDER
+ *   }
+ *
+ * `data` is stored with the email, so it holds plain JSON — amounts, codes,
+ * ISO dates — and the template formats it for the recipient's language.
+ * Emails to the admin team (alerts.js) are English only.
+ */
+
+import { DEFAULT_LANGUAGE, LANGUAGES } from "../utils/i18n.js";
+import payments from "./payments.js";
+import delivery from "./delivery.js";
+import payouts from "./payouts.js";
+import disputes from "./disputes.js";
+import account from "./account.js";
+import alerts from "./alerts.js";
+
+const TEMPLATES = {
+  ...payments,
+  ...delivery,
+  ...payouts,
+  ...disputes,
+  ...account,
+  ...alerts,
+};
+
+/** The template called `name`, or null. */
+export const getTemplate = (name) =>
+  Object.hasOwn(TEMPLATES, name) ? TEMPLATES[name] : null;
+
+/**
+ * Renders template `name` with `data` in `lang` (default language when
+ * unsupported).  Throws on an unknown template.
+ */
+export function renderEmail(name, data, lang) {
+  const template = getTemplate(name);
+  if (!template) {
+    throw new Error(`Unknown email template "${name}".`);
+  }
+  const language = LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+  const { subject, html } = template.render(data, language);
+  return { name, version: template.version, lang: language, subject, html };
+}
+
+/** Every template, for the admin template list. */
+export const listTemplates = () =>
+  Object.entries(TEMPLATES).map(([name, template]) => ({
+    name,
+    version: template.version,
+    description: template.description,
+    confidential: template.confidential === true,
+  }));
@@ -0,0 +1,311 @@
+/**
+ * emails/payments.js — buyer payment emails and the seller's "invoice paid"
+ * (see emails/index.js for the template shape)
+ */
+
+import {
+  emailWrap,
+  emailTable,
+  emailButton,
+  emailButtonDanger,
+} from "../utils/emailTemplate.js";
+import { formatAmount } from "../utils/currency.js";
+import { t } from "../utils/i18n.js";
+
+const receiptLink = (invoiceNumber, lang) =>
+  `${process.env.BACKEND_URL}/invoice/receipt/${invoiceNumber}?lang=${lang}`;
+
+export default {
+  "buyer.payment_confirmed": {
+    version: 1,
+    description:
+      "Buyer: full payment received, with the receipt and the release code",
+    confidential: true,
+    sample: {
+      invoiceNumber: "INV-2026-0001",
+      amount: 25000,
+      currency: "XAF",
+      releaseCode: "AB12CD34",
+      confirmationLink:
+        "https://api.fonlok.com/api/verify-payout/0123456789abcdef/1",
+    },
+    render: (d, lang) => ({
+      subject: t(lang, "Payment Confirmed - Invoice {invoice} | Fonlok", {
+        invoice: d.invoiceNumber,
+      }),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Payment Confirmed")}</h2>
+        <p style="color:#475569;">${t(lang, "Your payment has been received successfully. Your funds are held securely in escrow and will only be released to the seller once you confirm delivery.")}</p>
+        ${emailTable([
+          [t(lang, "Invoice Number"), d.invoiceNumber],
+          [
+            t(lang, "Amount Paid"),
+            formatAmount(d.amount, d.currency),
+            "font-weight:700;color:#16a34a;font-size:15px;",
+          ],
+          [
+            t(lang, "Status"),
+            `&#10003;&nbsp;${t(lang, "Paid &amp; Held in Escrow")}`,
+            "color:#16a34a;font-weight:600;",
+          ],
+        ])}
+        <p style="color:#475569;">${t(lang, "Your official payment receipt is attached to this email as a PDF. You can also download it at any time using the button below.")}</p>
+        ${emailButton(receiptLink(d.invoiceNumber, lang), t(lang, "Download PDF Receipt"))}
+        <h3 style="color:#0F1F3D;margin:20px 0 8px;">${t(lang, "Next Step: Confirm Your Delivery")}</h3>
+        <p style="color:#475569;">${t(lang, "Once you have received your item and are satisfied, click the button below to release the funds to the seller:")}</p>
+        ${emailButton(`${d.confirmationLink}?lang=${lang}`, t(lang, "Confirm Receipt &amp; Release Funds"))}
+        <p style="color:#475569;margin-top:4px;font-size:14px;">${t(lang, "Alternatively, give this release code to the seller:")} <strong style="font-family:monospace;font-size:17px;letter-spacing:3px;color:#0F1F3D;">${d.releaseCode}</strong></p>
+        <p style="color:#b91c1c;font-size:13px;font-weight:600;">${t(lang, "Do not release the funds or share this code until you have received exactly what you ordered.")}</p>`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "You received this email because a payment was processed on your behalf through Fonlok Escrow. Do not share your confirmation code or link with anyone other than the seller.",
+          ),
+        },
+      ),
+    }),
+  },
+
+  "buyer.milestone_escrow_confirmed": {
+    version: 1,
+    description: "Buyer: milestone invoice paid, with the milestone breakdown",
+    sample: {
+      invoiceNumber: "INV-2026-0002",
+      amount: 150000,
+      currency: "XAF",
+      milestones: [
+        { number: 1, label: "Design", amount: 50000 },
+        { number: 2, label: "Build", amount: 100000 },
+      ],
+    },
+    render: (d, lang) => ({
+      subject: t(
+        lang,
+        "Payment Confirmed — Milestone Escrow Active | Invoice {invoice} | Fonlok",
+        { invoice: d.invoiceNumber },
+      ),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Payment Confirmed &mdash; Milestone Escrow Active")}</h2>
+        <p style="color:#475569;">${t(lang, "Your payment for invoice <strong>{invoice}</strong> has been received. Your funds are held securely in escrow and will be released to the seller <strong>one milestone at a time</strong> &mdash; only after you explicitly approve each completed stage of work.", { invoice: d.invoiceNumber })}</p>
+        ${emailTable([
+          [t(lang, "Invoice Number"), d.invoiceNumber],
+          [
+            t(lang, "Total in Escrow"),
+            formatAmount(d.amount, d.currency),
+            "font-weight:700;color:#16a34a;font-size:15px;",
+          ],
+          [t(lang, "Payment Type"), t(lang, "Milestone Escrow")],
+          [
+            t(lang, "Status"),
+            `&#10003;&nbsp;${t(lang, "Funds Held in Escrow")}`,
+            "color:#16a34a;font-weight:600;",
+          ],
+        ])}
+        <h3 style="color:#0F1F3D;margin:20px 0 8px;">${t(lang, "Your Milestones")}</h3>
+        <p style="color:#475569;margin-bottom:12px;">${t(lang, "The seller will work through each milestone. Once a milestone is marked complete, you will receive a <strong>separate email with a secure one-click release link</strong> for that milestone only. No funds are ever moved without your explicit confirmation.")}</p>
+        ${emailTable(
+          d.milestones.map((m) => [
+            t(lang, "Milestone {number}: {label}", {
+              number: m.number,
+              label: m.label,
+            }),
+            formatAmount(m.amount, d.currency),
+          ]),
+        )}
+        <p style="color:#475569;margin-top:16px;">${t(lang, "Your official payment receipt is attached to this email as a PDF.")}</p>
+        ${emailButton(receiptLink(d.invoiceNumber, lang), t(lang, "Download PDF Receipt"))}
+        <h3 style="color:#0F1F3D;margin:20px 0 8px;">${t(lang, "How Milestone Releases Work")}</h3>
+        <ol style="color:#475569;padding-left:20px;margin:0 0 20px;line-height:1.8;">
+          <li>${t(lang, "The seller completes a milestone and marks it as done.")}</li>
+          <li>${t(lang, "You receive an email with a secure, one-time release link for that milestone only.")}</li>
+          <li>${t(lang, "Click the link to review and confirm &mdash; funds are never released without your explicit approval.")}</li>
+          <li>${t(lang, "Repeat for each subsequent milestone until the work is fully complete.")}</li>
+        </ol>
+        <p style="color:#475569;font-size:13px;">${t(lang, "If you have concerns about any milestone, do not release payment. Use the secure chat to communicate with the seller, or open a dispute.")}</p>`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "You received this email because a milestone-based escrow payment was processed on your behalf through Fonlok. Each milestone requires your explicit approval before any funds are released to the seller.",
+          ),
+        },
+      ),
+    }),
+  },
+
+  "buyer.chat_invite": {
+    version: 1,
+    description: "Buyer: private chat and dispute links after payment",
+    confidential: true,
+    sample: {
+      invoiceNumber: "INV-2026-0001",
+      chatToken: "0123456789abcdef",
+    },
+    render: (d, lang) => {
+      const chatLink = `${process.env.FRONTEND_URL}/chat/${d.invoiceNumber}?token=${d.chatToken}`;
+      return {
+        subject: t(lang, "Your Secure Chat Link - Invoice {invoice} | Fonlok", {
+          invoice: d.invoiceNumber,
+        }),
+        html: emailWrap(
+          `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "You Can Now Chat with the Seller")}</h2>
+        <p style="color:#475569;">${t(lang, "Your payment for invoice <strong>{invoice}</strong> has been confirmed. Use the chat to communicate with the seller, ask questions, or request proof of delivery.", { invoice: d.invoiceNumber })}</p>
+        ${emailButton(chatLink, t(lang, "Open Chat"))}
+        <h3 style="color:#0F1F3D;margin:20px 0 8px;">${t(lang, "Have a Problem with Your Order?")}</h3>
+        <p style="color:#475569;">${t(lang, "If you did not receive what you ordered, or there is an issue with your order, you can open a dispute. A Fonlok admin will review the case and make a fair decision.")}</p>
+        ${emailButtonDanger(`${chatLink}&dispute=true`, t(lang, "Open a Dispute"))}`,
+          {
+            lang,
+            footerNote: t(
+              lang,
+              "Keep these links private - they are unique to your order. You received this email because a payment was confirmed on Fonlok.",
+            ),
+          },
+        ),
+      };
+    },
+  },
+
+  "seller.invoice_paid": {
+    version: 1,
+    description: "Seller: an invoice was paid and is ready to deliver",
+    sample: {
+      invoiceNumber: "INV-2026-0001",
+      amount: 25000,
+      currency: "XAF",
+      sellerName: "Amina Nkongho",
+      buyerName: "Paul Mbarga",
+    },
+    render: (d, lang) => {
+      const firstName = (d.sellerName || t(lang, "there")).split(" ")[0];
+      const buyerName = d.buyerName || t(lang, "the buyer");
+      return {
+        subject: t(
+          lang,
+          "✅ Invoice Paid — Please Deliver | Invoice {invoice} | Fonlok",
+          { invoice: d.invoiceNumber },
+        ),
+        html: emailWrap(
+          `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Your Invoice Has Been Paid")}</h2>
+          <p style="color:#475569;">${t(lang, "Hi {name}, great news! <strong>{buyer}</strong> has paid your invoice and the funds are now held securely in Fonlok escrow.", { name: firstName, buyer: buyerName })}</p>
+          <p style="color:#475569;margin-bottom:20px;">${t(lang, "Your next step is to deliver the goods or service you promised. Once the buyer confirms receipt, the funds will be released directly to you.")}</p>
+          ${emailTable([
+            [t(lang, "Invoice Number"), d.invoiceNumber],
+            [
+              t(lang, "Amount in Escrow"),
+              formatAmount(d.amount, d.currency),
+              "font-weight:700;color:#16a34a;font-size:15px;",
+            ],
+            [t(lang, "Buyer"), buyerName],
+            [
+              t(lang, "Escrow Status"),
+              `&#10003;&nbsp;${t(lang, "Funds Secured")}`,
+              "color:#16a34a;font-weight:600;",
+            ],
+          ])}
+          <h3 style="color:#0F1F3D;margin:24px 0 8px;">${t(lang, "What to do now")}</h3>
+          <ol style="color:#475569;padding-left:20px;margin:0 0 20px;line-height:1.8;">
+            <li>${t(lang, "Deliver the product or service you agreed on with the buyer.")}</li>
+            <li>${t(lang, "Use the chat to keep the buyer updated and share proof of delivery.")}</li>
+            <li>${t(lang, "Once the buyer confirms receipt, Fonlok will release your funds immediately.")}</li>
+          </ol>
+          ${emailButton(`${process.env.FRONTEND_URL}/chat/${d.invoiceNumber}`, t(lang, "Open Chat with Buyer"))}
+          ${emailButton(`${process.env.FRONTEND_URL}/dashboard`, t(lang, "Go to Dashboard"))}
+          <p style="color:#94a3b8;font-size:13px;margin-top:20px;">${t(lang, "The funds will remain in escrow until the buyer confirms delivery. If there is a problem, either party may open a dispute and Fonlok will mediate fairly.")}</p>`,
+          {
+            lang,
+            footerNote: t(
+              lang,
+              "You received this email because one of your Fonlok invoices was paid. Do not share your account credentials with anyone.",
+            ),
+          },
+        ),
+      };
+    },
+  },
+
+  "buyer.payment_reminder": {
+    version: 1,
+    description:
+      "Buyer: unpaid invoice reminder — level 1 (24 h), 2 (48 h) or 3 (72 h, final)",
+    sample: {
+      level: 1,
+      invoiceName: "Logo design",
+      invoiceNumber: "INV-2026-0003",
+      amount: 40000,
+      currency: "XAF",
+      invoiceUrl: "https://fonlok.com/invoice/INV-2026-0003",
+    },
+    render: (d, lang) => {
+      const level = [1, 2, 3].includes(Number(d.level)) ? Number(d.level) : 1;
+      const subject = t(
+        lang,
+        [
+          null,
+          "Payment Reminder: Invoice Awaiting Payment  - {name}",
+          "Second Reminder: Payment Still Pending  - {name}",
+          "Final Notice: Invoice Expiring Soon  - {name}",
+        ][level],
+        { name: d.invoiceName },
+      );
+      const intro = t(
+        lang,
+        [
+          null,
+          "Just a friendly reminder that the following invoice is still awaiting your payment.",
+          "We noticed the invoice below is still unpaid. The seller is waiting for your payment.",
+          "This is a final reminder. If this invoice is not paid soon, it may expire and the seller will need to reissue it.",
+        ][level],
+      );
+      const buttonLabel = t(
+        lang,
+        [null, "Pay Now", "Pay Invoice", "Pay Before It Expires"][level],
+      );
+      const urgencyColor = [null, "#0F1F3D", "#d97706", "#dc2626"][level];
+
+      return {
+        subject,
+        html: `
+              <div lang="${lang}" style="font-family:sans-serif;max-width:560px;border:1px solid #e2e8f0;border-radius:8px;overflow:hidden;">
+                <div style="background:#0F1F3D;padding:18px 24px;display:flex;align-items:center;">
+                  <span style="display:inline-block;width:34px;height:34px;background:#F59E0B;border-radius:8px;text-align:center;line-height:34px;font-size:19px;font-weight:900;color:#0F1F3D;vertical-align:middle;margin-right:10px;font-family:Arial,sans-serif;">F</span>
+                  <span style="color:#F59E0B;font-size:20px;font-weight:800;letter-spacing:-0.5px;vertical-align:middle;"><span style="color:#F59E0B;">F</span><span style="color:#ffffff;">onlok</span></span>
+                  <span style="color:#94a3b8;font-size:12px;margin-left:12px;vertical-align:middle;">${t(lang, "Secure Escrow Payments")}</span>
+                </div>
+                <div style="padding:24px;">
+                  <h2 style="color:${urgencyColor};margin:0 0 12px;">
+                    ${level === 3 ? "⚠️ " : ""}${subject}
+                  </h2>
+                  <p style="color:#475569;">${intro}</p>
+
+                  <table style="width:100%;border-collapse:collapse;margin:16px 0;background:#f8fafc;border-radius:6px;">
+                    <tr>
+                      <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">${t(lang, "Invoice")}</td>
+                      <td style="padding:10px 14px;color:#0f172a;">${d.invoiceName}</td>
+                    </tr>
+                    <tr style="background:#f1f5f9;">
+                      <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">${t(lang, "Reference")}</td>
+                      <td style="padding:10px 14px;color:#0f172a;font-family:monospace;">${d.invoiceNumber}</td>
+                    </tr>
+                    <tr>
+                      <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">${t(lang, "Amount Due")}</td>
+                      <td style="padding:10px 14px;font-weight:700;color:#16a34a;font-size:15px;">${formatAmount(d.amount, d.currency)}</td>
+                    </tr>
+                  </table>
+
+                  <a href="${d.invoiceUrl}"
+                    style="display:inline-block;background:#F59E0B;color:#0F1F3D;padding:13px 28px;text-decoration:none;border-radius:7px;font-weight:700;font-size:15px;margin:8px 0 20px;">
+                    ${buttonLabel} →
+                  </a>
+
+                  <p style="color:#94a3b8;font-size:12px;border-top:1px solid #e2e8f0;padding-top:16px;margin-top:16px;">
+                    ${t(lang, "You received this email because a seller sent you an invoice through Fonlok. If you did not request this, you can safely ignore this message.")}
+                  </p>
+                </div>
+              </div>
+            `,
+      };
+    },
+  },
+};
@@ -0,0 +1,129 @@
+/**
+ * emails/payouts.js — seller payout receipts
+ * (see emails/index.js for the template shape)
+ */
+
+import { emailWrap, emailTable, emailButton } from "../utils/emailTemplate.js";
+import { formatAmount } from "../utils/currency.js";
+import { t } from "../utils/i18n.js";
+
+const receiptLink = (invoiceNumber, lang) =>
+  `${process.env.BACKEND_URL}/invoice/receipt/${invoiceNumber}?lang=${lang}`;
+
+// Referred sellers pay the reduced fee (routes/payout.js)
+const feeLabel = (referred, lang) =>
+  referred ? t(lang, "Fonlok Fee (1.5%)") : t(lang, "Fonlok Fee (2%)");
+
+export default {
+  "seller.payout_sent": {
+    version: 1,
+    description: "Seller: invoice released and paid out, with the receipt",
+    sample: {
+      sellerName: "Amina Nkongho",
+      invoiceNumber: "INV-2026-0001",
+      invoiceName: "Logo design",
+      grossAmount: 25000,
+      fee: 500,
+      amount: 24500,
+      currency: "XAF",
+      phone: "237670000000",
+      referred: false,
+    },
+    render: (d, lang) => ({
+      subject: t(lang, "Payout Confirmed  - Invoice {invoice} | Fonlok", {
+        invoice: d.invoiceNumber,
+      }),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Payout Confirmed &mdash; Funds Sent")}</h2>
+      <p style="color:#475569;">${t(lang, "Hello {name}, the buyer has confirmed delivery and your funds have been transferred to your Mobile Money account.", { name: d.sellerName })}</p>
+      ${emailTable([
+        [t(lang, "Invoice Number"), d.invoiceNumber],
+        [t(lang, "Invoice Name"), d.invoiceName],
+        [t(lang, "Gross Amount"), formatAmount(d.grossAmount, d.currency)],
+        [
+          feeLabel(d.referred, lang),
+          `−${formatAmount(d.fee, d.currency)}`,
+          "color:#dc2626;",
+        ],
+        [
+          t(lang, "Amount Sent"),
+          formatAmount(d.amount, d.currency),
+          "font-weight:700;color:#16a34a;font-size:15px;",
+        ],
+        [t(lang, "Sent To"), d.phone],
+        [
+          t(lang, "Status"),
+          `&#10003;&nbsp;${t(lang, "Paid Out")}`,
+          "color:#16a34a;font-weight:600;",
+        ],
+      ])}
+      <p style="color:#475569;margin-top:12px;">${t(lang, "Your official payout receipt is attached to this email as a PDF. You can also download it at any time using the button below.")}</p>
+      ${emailButton(receiptLink(d.invoiceNumber, lang), t(lang, "Download PDF Receipt"))}`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "Thank you for using Fonlok. This email confirms your payout has been processed. Please keep this receipt for your records.",
+          ),
+        },
+      ),
+    }),
+  },
+
+  "seller.milestone_payout_sent": {
+    version: 1,
+    description: "Seller: one milestone released and paid out",
+    sample: {
+      sellerName: "Amina Nkongho",
+      invoiceNumber: "INV-2026-0002",
+      invoiceName: "Website build",
+      milestoneLabel: "Design",
+      grossAmount: 50000,
+      fee: 1000,
+      amount: 49000,
+      currency: "XAF",
+      phone: "237670000000",
+      referred: false,
+      remaining: 1,
+    },
+    render: (d, lang) => ({
+      subject: t(lang, "Milestone Payment Released — {label} | Fonlok", {
+        label: d.milestoneLabel,
+      }),
+      html: emailWrap(
+        `<h2 style="color:#0F1F3D;margin:0 0 12px;">${t(lang, "Milestone Payment Sent &mdash; {label}", { label: d.milestoneLabel })}</h2>
+        <p style="color:#475569;">${t(lang, "Hello {name}, the buyer has confirmed <strong>{label}</strong> for invoice <strong>{invoice}</strong> and your payment has been processed.", { name: d.sellerName, label: d.milestoneLabel, invoice: d.invoiceName })}</p>
+        ${emailTable([
+          [t(lang, "Invoice"), d.invoiceNumber],
+          [t(lang, "Milestone"), d.milestoneLabel],
+          [t(lang, "Gross Amount"), formatAmount(d.grossAmount, d.currency)],
+          [
+            feeLabel(d.referred, lang),
+            `−${formatAmount(d.fee, d.currency)}`,
+            "color:#dc2626;",
+          ],
+          [
+            t(lang, "Amount Sent to You"),
+            formatAmount(d.amount, d.currency),
+            "font-weight:700;color:#16a34a;font-size:15px;",
+          ],
+          [t(lang, "Sent To"), d.phone],
+        ])}
+        ${
+          d.remaining === 0
+            ? `<p style="color:#16a34a;font-weight:600;margin-top:12px;">${t(lang, "All milestones have been released. This invoice is now complete.")}</p>`
+            : `<p style="color:#475569;margin-top:12px;">${t(lang, "Remaining milestones: <strong>{count}</strong>", { count: d.remaining })}</p>`
+        }
+        <p style="color:#475569;margin-top:12px;">${t(lang, "Your payout receipt is attached to this email as a PDF.")}</p>
+        ${emailButton(receiptLink(d.invoiceNumber, lang), t(lang, "Download PDF Receipt"))}`,
+        {
+          lang,
+          footerNote: t(
+            lang,
+            "Thank you for using Fonlok. This email confirms your milestone payout has been processed. Please keep this receipt for your records.",
+          ),
+        },
+      ),
+    }),
+  },
+};
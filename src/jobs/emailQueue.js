@@ -0,0 +1,280 @@
+/**
+ * emailQueue.js
+ *
+ * Transactional email outbox.  Routes never call a mail API themselves:
+ * sendEmail() renders a named template (src/emails), stores the finished
+ * email in email_outbox and attempts it straight away through the configured
+ * mail provider (providers/mail).  Emails that fail are retried with
+ * exponential back-off by runEmailQueue(), every minute on worker 0, until
+ * MAX_ATTEMPTS.
+ *
+ * Outbox states:
+ *   queued   → waiting for its first attempt
+ *   sending  → claimed by a worker, handed to the provider
+ *   sent     → the provider accepted it
+ *   failed   → will be retried at next_attempt_at
+ *   dead     → out of retries, or refused for good; support can resend it
+ *
+ * Every row keeps the rendered subject and HTML, the template name and
+ * version and the data it was rendered from, so support can see exactly what
+ * a buyer or seller was sent (GET /admin/emails).
+ */
+
+import db from "../controllers/db.js";
+import logger from "../utils/logger.js";
+import { BRAND } from "../config/brand.js";
+import { renderEmail, getTemplate } from "../emails/index.js";
+import { getMailProvider } from "../providers/mail/index.js";
+
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 60_000; // 1 min, then 2, 4, 8 … capped below
+const MAX_DELAY_MS = 60 * 60 * 1000; // never wait more than 1 h
+const STUCK_SENDING_MINUTES = 5;
+
+/** Creates email_outbox.  Called from server.js. */
+export async function ensureEmailTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS email_outbox (
+      id                   SERIAL        PRIMARY KEY,
+      template             VARCHAR(60)   NOT NULL,
+      template_version     INTEGER       NOT NULL,
+      language             VARCHAR(2)    NOT NULL,
+      to_email             VARCHAR(255)  NOT NULL,
+      from_email           VARCHAR(255)  NOT NULL,
+      from_name            VARCHAR(100),
+      subject              TEXT          NOT NULL,
+      html                 TEXT          NOT NULL,
+      data                 JSONB         NOT NULL DEFAULT '{}',
+      attachments          JSONB         NOT NULL DEFAULT '[]',
+      user_id              INTEGER       REFERENCES users(id) ON DELETE SET NULL,
+      invoice_number       VARCHAR(50),
+      status               VARCHAR(20)   NOT NULL DEFAULT 'queued'
+                           CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'dead')),
+      provider             VARCHAR(20),
+      provider_message_id  VARCHAR(255),
+      attempts             INTEGER       NOT NULL DEFAULT 0,
+      next_attempt_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      last_error           TEXT,
+      resend_of            INTEGER       REFERENCES email_outbox(id) ON DELETE SET NULL,
+      created_at           TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      updated_at           TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      sent_at              TIMESTAMPTZ
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox (status, next_attempt_at)",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_email_outbox_to ON email_outbox (lower(to_email), created_at DESC)",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_email_outbox_invoice ON email_outbox (invoice_number)",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_email_outbox_user ON email_outbox (user_id)",
+  );
+}
+
+const backoffMs = (attempts) =>
+  Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+
+const deliverInBackground = (id) =>
+  deliverEmail(id).catch((err) =>
+    logger.error("Email delivery crashed", { emailId: id, error: err.message }),
+  );
+
+/**
+ * Attempts one outbox email now if it is due.  The atomic claim lets exactly
+ * one caller send it.  Returns the row after the attempt.
+ */
+export async function deliverEmail(emailId) {
+  const claim = await db.query(
+    `UPDATE email_outbox
+        SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+      WHERE id = $1
+        AND status IN ('queued', 'failed')
+        AND next_attempt_at <= NOW()
+      RETURNING *`,
+    [emailId],
+  );
+  if (claim.rows.length === 0) {
+    const current = await db.query("SELECT * FROM email_outbox WHERE id = $1", [
+      emailId,
+    ]);
+    return current.rows[0] ?? null;
+  }
+  const email = claim.rows[0];
+
+  let provider = null;
+  let messageId = null;
+  let error = null;
+  let permanent = false;
+  try {
+    provider = getMailProvider();
+    ({ messageId } = await provider.send({
+      from: { email: email.from_email, name: email.from_name ?? undefined },
+      to: email.to_email,
+      subject: email.subject,
+      html: email.html,
+      attachments: email.attachments,
+    }));
+  } catch (err) {
+    error = err.message;
+    permanent = err.permanent === true;
+  }
+
+  if (!error) {
+    const done = await db.query(
+      `UPDATE email_outbox
+          SET status = 'sent', provider = $2, provider_message_id = $3,
+              last_error = NULL, sent_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [email.id, provider.name, messageId],
+    );
+    return done.rows[0];
+  }
+
+  const dead = permanent || email.attempts >= MAX_ATTEMPTS;
+  const failed = await db.query(
+    `UPDATE email_outbox
+        SET status = $2, provider = $3, last_error = $4, updated_at = NOW(),
+            next_attempt_at = NOW() + ($5 || ' milliseconds')::interval
+      WHERE id = $1
+      RETURNING *`,
+    [
+      email.id,
+      dead ? "dead" : "failed",
+      provider?.name ?? null,
+      error.slice(0, 500),
+      String(backoffMs(email.attempts)),
+    ],
+  );
+  logger.log(dead ? "error" : "warn", "Email delivery failed", {
+    emailId: email.id,
+    template: email.template,
+    attempt: email.attempts,
+    error,
+  });
+  return failed.rows[0];
+}
+
+/**
+ * Renders `template` and queues it for `to`, then attempts it in the
+ * background.
+ *
+ *   sendEmail("buyer.order_delivered", {
+ *     to: buyer.email,
+ *     lang,
+ *     data: { invoiceNumber, invoiceName, autoReleaseAt },
+ *     invoiceNumber,
+ *   });
+ *
+ * `data` must be JSON — it is stored with the email for support and for the
+ * template preview.  `attachments` use the SendGrid shape (base64 content).
+ * `userId` / `invoiceNumber` only index the email for GET /admin/emails.
+ *
+ * Returns the outbox row, or null when nothing could be queued.  Never
+ * throws — an email problem must never break the action that triggered it.
+ */
+export async function sendEmail(
+  template,
+  {
+    to,
+    data = {},
+    lang,
+    userId = null,
+    invoiceNumber = null,
+    attachments = [],
+  },
+) {
+  try {
+    if (!to) return null;
+    const rendered = renderEmail(template, data, lang);
+    const from = getTemplate(template).from ?? {
+      email: process.env.VERIFIED_SENDER,
+      name: BRAND.name,
+    };
+
+    const result = await db.query(
+      `INSERT INTO email_outbox
+         (template, template_version, language, to_email, from_email, from_name,
+          subject, html, data, attachments, user_id, invoice_number)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        template,
+        rendered.version,
+        rendered.lang,
+        to,
+        from.email,
+        from.name ?? null,
+        rendered.subject,
+        rendered.html,
+        JSON.stringify(data),
+        JSON.stringify(attachments),
+        userId,
+        invoiceNumber,
+      ],
+    );
+    const email = result.rows[0];
+    deliverInBackground(email.id);
+    return email;
+  } catch (err) {
+    logger.error("Could not queue email", { template, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Sends a past email again, unchanged, as a new outbox row pointing back at
+ * the original.  Returns the new row; the attempt runs in the background.
+ */
+export async function resendEmail(original) {
+  const result = await db.query(
+    `INSERT INTO email_outbox
+       (template, template_version, language, to_email, from_email, from_name,
+        subject, html, data, attachments, user_id, invoice_number, resend_of)
+     SELECT template, template_version, language, to_email, from_email, from_name,
+            subject, html, data, attachments, user_id, invoice_number, id
+       FROM email_outbox
+      WHERE id = $1
+     RETURNING *`,
+    [original.id],
+  );
+  const email = result.rows[0];
+  deliverInBackground(email.id);
+  return email;
+}
+
+/**
+ * Worker tick: requeues emails stuck in 'sending' (a crash mid-send) and
+ * attempts every email that is due.
+ */
+export async function runEmailQueue() {
+  try {
+    await db.query(
+      `UPDATE email_outbox
+          SET status = 'failed', updated_at = NOW(),
+              last_error = 'Worker stopped while the email was being sent.'
+        WHERE status = 'sending'
+          AND updated_at < NOW() - ($1 || ' minutes')::interval`,
+      [String(STUCK_SENDING_MINUTES)],
+    );
+
+    const due = await db.query(
+      `SELECT id FROM email_outbox
+        WHERE status IN ('queued', 'failed') AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT 100`,
+    );
+    for (const { id } of due.rows) {
+      await deliverEmail(id);
+    }
+    if (due.rows.length > 0) {
+      console.log(`⏰ [Emails] Attempted ${due.rows.length} email(s)`);
+    }
+  } catch (err) {
+    console.error("❌ [Emails] Queue error:", err.message);
+  }
+}
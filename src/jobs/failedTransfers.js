@@ -0,0 +1,257 @@
+/**
+ * failedTransfers.js
+ *
+ * Transfers the provider accepted but that later FAILED (found by the payout
+ * status check in scheduledJobs.js), and sending them again.
+ *
+ *   settleFailedTransfer(job)  marks the job's settlement failed, puts what
+ *                              was sent back on the ledger account it came
+ *                              from and tells the recipient
+ *   resendFailedTransfer(id)   admin action: queues a "transfer_resend"
+ *                              payout job for the same amount
+ *
+ * A failed referral withdrawal is not resent: its amount goes back on the
+ * referrer's balance, to withdraw again.  Everything else — seller payouts
+ * and dispute refunds to the buyer — stays owed until an admin resends it
+ * from POST /admin/payout-jobs/:id/resend.
+ *
+ * A resend is its own job kind so that, once it goes out, only the transfer
+ * is recorded again: the escrow release, fees and referral credit of the
+ * original job were booked when it first succeeded.  It goes to the seller's
+ * current payout number, and through the same risk, payout-number and KYC
+ * holds as any payout; a refund goes to the number the buyer paid with.
+ */
+
+import db from "../controllers/db.js";
+import {
+  enqueuePayout,
+  processPayoutJob,
+  registerPayoutHandler,
+} from "./payoutQueue.js";
+import { sendEmail } from "./emailQueue.js";
+import { sendBuyerSms } from "./smsQueue.js";
+import { notifyUser } from "../middleware/notificationHelper.js";
+import { recordTransferFailed, recordTransferResent } from "../utils/ledger.js";
+import { formatAmount } from "../utils/currency.js";
+
+// Which ledger account the money is owed on again when a transfer fails
+const FAILED_TRANSFER_ACCOUNT = {
+  invoice_release: "seller_payable",
+  milestone_release: "seller_payable",
+  dispute_seller: "seller_payable",
+  dispute_refund: "buyer_escrow",
+  referral_withdrawal: "referral_payable",
+};
+
+// What a resend job stands in for
+const originalKind = (job) =>
+  job.kind === "transfer_resend" ? job.context.originalKind : job.kind;
+
+// The payouts row a transfer recorded, as it was before the transfer failed
+const payoutRowStatus = (kind) =>
+  kind === "dispute_refund" ? "refunded" : "paid";
+
+async function emailBuyer(template, job) {
+  const guest = await db.query(
+    `SELECT email, language FROM guests
+      WHERE invoicenumber = $1
+      ORDER BY created_at DESC LIMIT 1`,
+    [job.invoice_number],
+  );
+  const data = {
+    invoiceNumber: job.invoice_number,
+    amount: Number(job.amount),
+    currency: job.currency,
+    phone: job.phone,
+  };
+  if (guest.rows[0]?.email) {
+    await sendEmail(template, {
+      to: guest.rows[0].email,
+      lang: guest.rows[0].language,
+      invoiceNumber: job.invoice_number,
+      data,
+    });
+  }
+  await sendBuyerSms(template, {
+    invoiceNumber: job.invoice_number,
+    phone: job.phone,
+    lang: guest.rows[0]?.language,
+    data,
+  });
+}
+
+export async function settleFailedTransfer(job) {
+  // Atomic: only one worker can move a transfer from pending to failed
+  const claim = await db.query(
+    `UPDATE payout_jobs
+        SET settlement_status = 'failed', settled_at = NOW(),
+            settlement_checked_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND settlement_status = 'pending'
+      RETURNING id`,
+    [job.id],
+  );
+  if (claim.rows.length === 0) return;
+
+  const kind = originalKind(job);
+  const amount = Number(job.amount);
+  await db.query(
+    "UPDATE payouts SET status = 'failed', provider_status = 'failed' WHERE payout_job_id = $1",
+    [job.id],
+  );
+  await recordTransferFailed({
+    reference: job.reference,
+    invoiceNumber: job.invoice_number,
+    account: FAILED_TRANSFER_ACCOUNT[kind] ?? "seller_payable",
+    userId: kind === "dispute_refund" ? null : job.user_id,
+    amount,
+    currency: job.currency,
+  });
+
+  if (kind === "referral_withdrawal") {
+    // Give the commission back so the referrer can withdraw it again
+    await db.query(
+      "UPDATE users SET referral_balance = referral_balance + $1 WHERE id = $2",
+      [amount, job.user_id],
+    );
+    await db.query(
+      "UPDATE referral_withdrawals SET status = 'failed' WHERE id = $1",
+      [job.context.withdrawalId],
+    );
+    notifyUser(
+      job.user_id,
+      "payout_failed",
+      "Withdrawal Failed",
+      `Your referral withdrawal of ${formatAmount(amount, job.currency)} to ${job.phone} did not go through. The amount has been returned to your referral balance.`,
+      { amount },
+    );
+  } else if (kind === "dispute_refund") {
+    try {
+      await emailBuyer("buyer.refund_failed", job);
+    } catch (err) {
+      console.error(
+        `⚠️  Could not tell the buyer about failed refund job ${job.id}:`,
+        err.message,
+      );
+    }
+  } else {
+    notifyUser(
+      job.user_id,
+      "payout_failed",
+      "Payout Failed",
+      `Your payout of ${formatAmount(amount, job.currency)} for invoice ${job.invoice_number} could not be delivered to ${job.phone}. Our team has been alerted and will resend it.`,
+      { amount, invoiceNumber: job.invoice_number },
+    );
+  }
+}
+
+/**
+ * Admin action: queues a failed transfer again and attempts it now.
+ * Returns the new job after the attempt, or null when `jobId` is not a
+ * transfer that failed after the provider accepted it (or was already
+ * resent, or is a referral withdrawal).
+ */
+export async function resendFailedTransfer(jobId, resentBy) {
+  const client = await db.connect();
+  let job;
+  try {
+    await client.query("BEGIN");
+    const claim = await client.query(
+      `UPDATE payout_jobs
+          SET settlement_status = 'resent', updated_at = NOW()
+        WHERE id = $1
+          AND status = 'succeeded'
+          AND settlement_status = 'failed'
+          AND kind <> 'referral_withdrawal'
+        RETURNING *`,
+      [jobId],
+    );
+    const failed = claim.rows[0];
+    if (!failed) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    // Sellers may have fixed their payout number since; a buyer's refund
+    // goes back to the number they paid with
+    const kind = originalKind(failed);
+    let phone = failed.phone;
+    if (kind !== "dispute_refund" && failed.user_id) {
+      const seller = await client.query(
+        "SELECT phone FROM users WHERE id = $1",
+        [failed.user_id],
+      );
+      phone = seller.rows[0]?.phone || phone;
+    }
+
+    job = await enqueuePayout(
+      {
+        kind: "transfer_resend",
+        reference: failed.base_reference ?? failed.reference,
+        userId: failed.user_id,
+        invoiceId: failed.invoice_id,
+        invoiceNumber: failed.invoice_number,
+        amount: failed.amount,
+        currency: failed.currency,
+        phone,
+        description: failed.description,
+        context: {
+          resendOf: failed.id,
+          originalKind: kind,
+          originalReference: failed.reference,
+          resentBy,
+        },
+      },
+      client,
+    );
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return processPayoutJob(job.id);
+}
+
+registerPayoutHandler("transfer_resend", {
+  onSuccess: async (job) => {
+    const kind = originalKind(job);
+    const amount = Number(job.amount);
+
+    await db.query(
+      `UPDATE payouts
+          SET status = $2, provider_status = 'pending', payout_job_id = $3
+        WHERE payout_job_id = $1`,
+      [job.context.resendOf, payoutRowStatus(kind), job.id],
+    );
+    await recordTransferResent({
+      reference: job.reference,
+      originalReference: job.context.originalReference,
+      invoiceNumber: job.invoice_number,
+      account: FAILED_TRANSFER_ACCOUNT[kind] ?? "seller_payable",
+      userId: kind === "dispute_refund" ? null : job.user_id,
+      amount,
+      currency: job.currency,
+    });
+
+    if (kind === "dispute_refund") {
+      await emailBuyer("buyer.refund_resent", job);
+    } else {
+      notifyUser(
+        job.user_id,
+        "payout_sent",
+        "Payout Sent Again",
+        `Your payout of ${formatAmount(amount, job.currency)} for invoice ${job.invoice_number} has been sent again to ${job.phone}.`,
+        { amount, invoiceNumber: job.invoice_number },
+      );
+    }
+  },
+  // Cancelled by an admin: the transfer is still owed and can be resent
+  onCancel: async (job) => {
+    await db.query(
+      "UPDATE payout_jobs SET settlement_status = 'failed', updated_at = NOW() WHERE id = $1",
+      [job.context.resendOf],
+    );
+  },
+});
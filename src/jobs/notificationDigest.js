@@ -0,0 +1,108 @@
+/**
+ * notificationDigest.js
+ *
+ * Daily email digest for users who chose it in their notification
+ * preferences (utils/notificationPreferences.js).  notifyUser() holds their
+ * emails in notification_digest_items; runNotificationDigest(), hourly on
+ * worker 0, sends each user one "user.notification_digest" email at their
+ * digest_hour, local time.
+ *
+ * Items left behind by a user who switched the digest off are sent on the
+ * next run rather than dropped.  A digest whose email cannot be queued puts
+ * its items back for the next run.
+ */
+
+import db from "../controllers/db.js";
+import { sendEmail } from "./emailQueue.js";
+
+// A user is never sent two digests within this window
+const MIN_HOURS_BETWEEN_DIGESTS = 20;
+
+async function sendDigest(userId) {
+  // Claim the user's digest for today; a second worker or run gets no row
+  const claim = await db.query(
+    `INSERT INTO notification_preferences (user_id, last_digest_at)
+     VALUES ($1, NOW())
+     ON CONFLICT (user_id) DO UPDATE SET last_digest_at = NOW()
+       WHERE notification_preferences.last_digest_at IS NULL
+          OR notification_preferences.last_digest_at
+             < NOW() - ($2 || ' hours')::interval
+     RETURNING user_id`,
+    [userId, String(MIN_HOURS_BETWEEN_DIGESTS)],
+  );
+  if (claim.rows.length === 0) return false;
+
+  const items = await db.query(
+    `DELETE FROM notification_digest_items WHERE user_id = $1
+     RETURNING type, title, body, created_at`,
+    [userId],
+  );
+  if (items.rows.length === 0) return false;
+
+  const user = await db.query(
+    "SELECT name, email, language FROM users WHERE id = $1",
+    [userId],
+  );
+  const sorted = items.rows.sort((a, b) => a.created_at - b.created_at);
+  const queued = await sendEmail("user.notification_digest", {
+    to: user.rows[0]?.email,
+    lang: user.rows[0]?.language,
+    userId,
+    data: {
+      name: user.rows[0]?.name,
+      items: sorted.map((item) => ({
+        title: item.title,
+        body: item.body,
+        createdAt: item.created_at,
+      })),
+    },
+  });
+
+  if (!queued) {
+    for (const item of sorted) {
+      await db.query(
+        `INSERT INTO notification_digest_items (user_id, type, title, body, created_at)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [userId, item.type, item.title, item.body, item.created_at],
+      );
+    }
+    await db.query(
+      "UPDATE notification_preferences SET last_digest_at = NULL WHERE user_id = $1",
+      [userId],
+    );
+    return false;
+  }
+  return true;
+}
+
+export async function runNotificationDigest() {
+  try {
+    // Users with waiting items whose digest hour it is now, in their own
+    // time zone — or who have since switched the digest off.
+    const due = await db.query(
+      `SELECT DISTINCT i.user_id
+         FROM notification_digest_items i
+         LEFT JOIN notification_preferences p ON p.user_id = i.user_id
+        WHERE p.user_id IS NULL
+           OR p.email_digest = false
+           OR EXTRACT(HOUR FROM NOW() AT TIME ZONE p.timezone) = p.digest_hour`,
+    );
+
+    let sent = 0;
+    for (const { user_id } of due.rows) {
+      try {
+        if (await sendDigest(user_id)) sent++;
+      } catch (err) {
+        console.error(
+          `❌ [Digest] Could not send the digest to user ${user_id}:`,
+          err.message,
+        );
+      }
+    }
+    if (sent > 0) {
+      console.log(`📬 [Digest] Sent ${sent} notification digest(s)`);
+    }
+  } catch (err) {
+    console.error("❌ [Digest] Job error:", err.message);
+  }
+}
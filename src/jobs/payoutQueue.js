@@ -0,0 +1,491 @@
+/**
+ * payoutQueue.js
+ *
+ * Durable queue for every outgoing Mobile Money transfer: invoice releases,
+ * milestone releases, dispute settlements/refunds and referral withdrawals.
+ *
+ * A route first commits its business decision (code burned, milestone
+ * released, dispute decided…) together with a payout_jobs row, THEN asks the
+ * queue to send it.  If the provider call fails the job is still on record
+ * and is retried with exponential back-off instead of leaving money stuck.
+ *
+ * Job states:
+ *   queued        → waiting for its first attempt
+ *   sending       → claimed by a worker, provider call in flight
+ *   succeeded     → provider accepted the transfer, onSuccess side effects ran
+ *   failed        → provider rejected it; retried at next_attempt_at
+ *   needs_review  → out of retries, or the outcome is unknown (timeout) —
+ *                   an admin must retry or cancel from /admin/payout-jobs
+ *   cancelled     → cancelled by an admin; onCancel side effects ran
+ *
+ * Before its first attempt every job is risk-scored (utils/risk.js); a
+ * high-risk job is held until an admin approves or rejects it.
+ *
+ * A job whose outcome is unknown (the provider call timed out, or the worker
+ * stopped mid-call) is flagged outcome_unknown: the money may have left, so
+ * it can only be cancelled once the provider's getStatus() reports the
+ * transfer FAILED.  Until then it can only be retried, under the same
+ * reference.
+ *
+ * A job to a number the currency's provider cannot reach (a seller number
+ * from another country, say) is never sent: it goes straight to
+ * needs_review, to be cancelled once the recipient has a number that can be
+ * paid.
+ *
+ * A queued job to a payout number that was changed recently is not claimed
+ * until the change's hold ends — its next_attempt_at is moved to the end of
+ * the hold (see utils/payoutPhone.js).  One above the seller's KYC payout
+ * limit is held the same way until their tier goes up (see utils/kyc.js).
+ *
+ * Each route registers a handler per job kind with registerPayoutHandler():
+ *   onSuccess(job) — records the payout, notifies, emails…
+ *   onCancel(job)  — puts the escrow/balance back so it can be released again
+ *
+ * The same `reference` is sent to the provider on every attempt so a
+ * provider that de-duplicates on it can never pay the same job twice.  A
+ * payout queued again under the reference of an earlier job (released again
+ * after a cancellation, or resent after its transfer failed) is a new job
+ * and gets a new reference: the caller's reference with -2, -3… added.
+ *
+ * "succeeded" only means the provider ACCEPTED the transfer.  Whether the
+ * money actually arrived is tracked separately in settlement_status
+ * (pending → confirmed | failed), polled by the payout status check in
+ * scheduledJobs.js.
+ */
+
+import db from "../controllers/db.js";
+import logger from "../utils/logger.js";
+import { getPaymentProvider, servesCountry } from "../providers/index.js";
+import { parsePhone } from "../utils/phone.js";
+import { holdPayoutIfNeeded } from "../utils/payoutPhone.js";
+import { holdPayoutOverLimit } from "../utils/kyc.js";
+import { holdPayoutForRisk } from "../utils/risk.js";
+
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 60_000; // 1 min, then 3, 9, 27, 81 min
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000; // never wait more than 6 h
+const STUCK_SENDING_MINUTES = 10;
+
+const handlers = {};
+
+/** Creates payout_jobs. Called once from server.js on boot. */
+export async function ensurePayoutQueueTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS payout_jobs (
+      id                  SERIAL        PRIMARY KEY,
+      kind                VARCHAR(40)   NOT NULL,
+      reference           TEXT          NOT NULL UNIQUE,
+      user_id             INTEGER       REFERENCES users(id) ON DELETE SET NULL,
+      invoice_id          INTEGER       REFERENCES invoices(id) ON DELETE SET NULL,
+      invoice_number      TEXT,
+      amount              NUMERIC(14,2) NOT NULL CHECK (amount > 0),
+      currency            VARCHAR(3)    NOT NULL DEFAULT 'XAF',
+      phone               TEXT          NOT NULL,
+      description         TEXT,
+      context             JSONB         NOT NULL DEFAULT '{}',
+      status              VARCHAR(20)   NOT NULL DEFAULT 'queued'
+                          CHECK (status IN ('queued', 'sending', 'succeeded', 'failed', 'needs_review', 'cancelled')),
+      attempts            INTEGER       NOT NULL DEFAULT 0,
+      next_attempt_at     TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      provider_reference  TEXT,
+      last_error          TEXT,
+      created_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      updated_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      completed_at        TIMESTAMPTZ
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_payout_jobs_due ON payout_jobs (status, next_attempt_at)",
+  );
+
+  // Settlement tracking — filled in by the payout status check
+  await db.query(`
+    ALTER TABLE payout_jobs
+      ADD COLUMN IF NOT EXISTS settlement_status     VARCHAR(20) NOT NULL DEFAULT 'pending',
+      ADD COLUMN IF NOT EXISTS settlement_checked_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS settlement_alerted_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS settled_at            TIMESTAMPTZ
+  `);
+
+  // Risk review (utils/risk.js): NULL until scored, then 'clear' or 'held';
+  // a held job becomes 'approved' or 'rejected' by an admin.  Only 'clear'
+  // and 'approved' jobs can be claimed.
+  await db.query(`
+    ALTER TABLE payout_jobs
+      ADD COLUMN IF NOT EXISTS risk_status VARCHAR(20)
+  `);
+
+  // Set when an attempt ended without an answer from the provider (see the
+  // header).  Jobs already in review when the column is added are treated
+  // as unknown too.
+  await db.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+         WHERE table_name = 'payout_jobs' AND column_name = 'outcome_unknown'
+      ) THEN
+        ALTER TABLE payout_jobs
+          ADD COLUMN outcome_unknown BOOLEAN NOT NULL DEFAULT false;
+        UPDATE payout_jobs SET outcome_unknown = true
+         WHERE status = 'needs_review';
+      END IF;
+    END
+    $$;
+  `);
+
+  // The reference the caller asked for, before any -2, -3… suffix.
+  await db.query(`
+    ALTER TABLE payout_jobs
+      ADD COLUMN IF NOT EXISTS base_reference TEXT
+  `);
+  await db.query(
+    "UPDATE payout_jobs SET base_reference = reference WHERE base_reference IS NULL",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_payout_jobs_base_reference ON payout_jobs (base_reference)",
+  );
+
+  // Links each payouts row to the transfer that paid it.  provider_status is
+  // NULL for rows written before the queue existed.
+  await db.query(`
+    ALTER TABLE payouts
+      ADD COLUMN IF NOT EXISTS payout_job_id   INTEGER REFERENCES payout_jobs(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS provider_status VARCHAR(20)
+  `);
+}
+
+/**
+ * @param {string} kind
+ * @param {{ onSuccess?: (job) => Promise<void>, onCancel?: (job) => Promise<void> }} handler
+ */
+export function registerPayoutHandler(kind, handler) {
+  handlers[kind] = handler;
+}
+
+/**
+ * Inserts a queued job.  Pass a transaction client so the job is committed
+ * atomically with whatever lock or balance change made the payout owed.
+ * When `reference` was already used by an earlier job, the new one is sent
+ * as `${reference}-2`, `-3`… (see the header).  Returns the job row.
+ */
+export async function enqueuePayout(
+  {
+    kind,
+    reference,
+    userId = null,
+    invoiceId = null,
+    invoiceNumber = null,
+    amount,
+    currency = "XAF",
+    phone,
+    description = null,
+    context = {},
+  },
+  client = db,
+) {
+  const earlier = await client.query(
+    "SELECT COUNT(*)::int AS jobs FROM payout_jobs WHERE base_reference = $1",
+    [reference],
+  );
+  const { jobs } = earlier.rows[0];
+  const result = await client.query(
+    `INSERT INTO payout_jobs
+       (kind, reference, base_reference, user_id, invoice_id, invoice_number, amount, currency, phone, description, context)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      kind,
+      jobs === 0 ? reference : `${reference}-${jobs + 1}`,
+      reference,
+      userId,
+      invoiceId,
+      invoiceNumber,
+      amount,
+      currency,
+      phone,
+      description,
+      JSON.stringify(context),
+    ],
+  );
+  return result.rows[0];
+}
+
+// Why `job` cannot be sent to its number in its currency, or null.
+const unreachableReason = (job) => {
+  const number = parsePhone(job.phone);
+  if (number.error) return `Payout number ${job.phone}: ${number.error}`;
+  try {
+    if (servesCountry(getPaymentProvider(job.currency), number.country)) {
+      return null;
+    }
+  } catch (err) {
+    return err.message;
+  }
+  return `No payment provider for ${job.currency} can pay ${number.countryName} numbers. Cancel this job once the recipient has a payout number that can be paid.`;
+};
+
+// Network errors and timeouts give no answer from the provider — the money
+// may or may not have moved, so these must never be retried blindly.
+const isAmbiguous = (err) =>
+  ["ECONNABORTED", "ETIMEDOUT", "ECONNRESET"].includes(err.code) ||
+  Boolean(err.request && !err.response);
+
+const backoffMs = (attempts) =>
+  Math.min(BASE_DELAY_MS * 3 ** (attempts - 1), MAX_DELAY_MS);
+
+/**
+ * Attempts one job now if it is due.  Safe to call concurrently: the atomic
+ * claim lets exactly one caller move it to 'sending'.
+ * Returns the job row after the attempt (or its current row if not claimed).
+ */
+export async function processPayoutJob(jobId) {
+  // Instead of being sent, a job that scores as high risk waits for an admin
+  // review (utils/risk.js), one paying a number its seller only just switched
+  // to waits out the cooling-off hold (utils/payoutPhone.js), and one above
+  // the seller's KYC payout limit waits for a higher tier (utils/kyc.js).
+  const held =
+    (await holdPayoutForRisk(jobId)) ??
+    (await holdPayoutIfNeeded(jobId)) ??
+    (await holdPayoutOverLimit(jobId));
+  if (held) return held;
+
+  const claim = await db.query(
+    `UPDATE payout_jobs
+        SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+      WHERE id = $1
+        AND status IN ('queued', 'failed')
+        AND next_attempt_at <= NOW()
+        AND risk_status IN ('clear', 'approved')
+      RETURNING *`,
+    [jobId],
+  );
+  if (claim.rows.length === 0) {
+    const current = await db.query("SELECT * FROM payout_jobs WHERE id = $1", [
+      jobId,
+    ]);
+    return current.rows[0] ?? null;
+  }
+  const job = claim.rows[0];
+
+  // Never even offered to the provider, so safe to cancel
+  const unreachable = unreachableReason(job);
+  if (unreachable) {
+    const parked = await db.query(
+      `UPDATE payout_jobs
+          SET status = 'needs_review', last_error = $2, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [job.id, unreachable],
+    );
+    logger.error("Payout job cannot reach its number", {
+      jobId: job.id,
+      kind: job.kind,
+      error: unreachable,
+    });
+    return parked.rows[0];
+  }
+
+  let providerReference = null;
+  try {
+    ({ providerReference } = await getPaymentProvider(job.currency).withdraw({
+      amount: Number(job.amount),
+      currency: job.currency,
+      phone: job.phone,
+      description: job.description,
+      reference: job.reference,
+    }));
+  } catch (err) {
+    const detail = err.response?.data?.message ?? err.response?.data;
+    const message = String(
+      detail && typeof detail === "object"
+        ? JSON.stringify(detail)
+        : (detail ?? err.message),
+    ).slice(0, 500);
+    const ambiguous = isAmbiguous(err);
+    const reviewNeeded = ambiguous || job.attempts >= MAX_ATTEMPTS;
+
+    // Once unknown, always unknown: a later rejection may only mean the
+    // provider already has a transfer under this reference
+    const failed = await db.query(
+      `UPDATE payout_jobs
+          SET status = $2, last_error = $3, updated_at = NOW(),
+              next_attempt_at = NOW() + ($4 || ' milliseconds')::interval,
+              outcome_unknown = outcome_unknown OR $5
+        WHERE id = $1
+        RETURNING *`,
+      [
+        job.id,
+        reviewNeeded ? "needs_review" : "failed",
+        message,
+        String(backoffMs(job.attempts)),
+        ambiguous,
+      ],
+    );
+
+    logger.log(
+      reviewNeeded ? "error" : "warn",
+      reviewNeeded ? "Payout job needs review" : "Payout job failed",
+      { jobId: job.id, kind: job.kind, attempt: job.attempts, error: message },
+    );
+    return failed.rows[0];
+  }
+
+  // From here on the money has left.  Nothing below may put the job back in
+  // the queue — side-effect failures are logged, never retried, so a broken
+  // email or DB hiccup can't trigger a second transfer.
+  const done = await db.query(
+    `UPDATE payout_jobs
+        SET status = 'succeeded', provider_reference = $2, last_error = NULL,
+            completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *`,
+    [job.id, providerReference],
+  );
+  const succeeded = done.rows[0];
+
+  try {
+    await handlers[job.kind]?.onSuccess?.(succeeded);
+  } catch (hookErr) {
+    logger.error("Payout onSuccess handler failed", {
+      jobId: job.id,
+      kind: job.kind,
+      error: hookErr.message,
+    });
+    await db.query(
+      "UPDATE payout_jobs SET last_error = $2, updated_at = NOW() WHERE id = $1",
+      [job.id, `Post-payout step failed: ${hookErr.message}`],
+    );
+  }
+
+  console.log(
+    `✅ Payout job ${job.id} (${job.kind}) sent ${job.amount} ${job.currency} to ${job.phone}`,
+  );
+  return succeeded;
+}
+
+/**
+ * Worker tick: flags jobs stuck in 'sending' (crash mid-call) for review and
+ * attempts every job that is due.  Called by scheduledJobs.js on worker 0.
+ */
+export async function runPayoutQueue() {
+  try {
+    const stuck = await db.query(
+      `UPDATE payout_jobs
+          SET status = 'needs_review', outcome_unknown = true, updated_at = NOW(),
+              last_error = 'Worker stopped while the transfer was in flight — check the provider before retrying.'
+        WHERE status = 'sending'
+          AND updated_at < NOW() - ($1 || ' minutes')::interval
+        RETURNING id`,
+      [String(STUCK_SENDING_MINUTES)],
+    );
+    if (stuck.rows.length > 0) {
+      logger.error("Payout jobs stuck in sending moved to review", {
+        jobIds: stuck.rows.map((r) => r.id),
+      });
+    }
+
+    const due = await db.query(
+      `SELECT id FROM payout_jobs
+        WHERE status IN ('queued', 'failed') AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT 50`,
+    );
+    for (const { id } of due.rows) {
+      await processPayoutJob(id);
+    }
+    if (due.rows.length > 0) {
+      console.log(`⏰ [Payouts] Attempted ${due.rows.length} queued payout(s)`);
+    }
+  } catch (err) {
+    console.error("❌ [Payouts] Queue error:", err.message);
+  }
+}
+
+/**
+ * Admin action: puts a failed / needs_review job back in the queue and
+ * attempts it immediately.  Returns the job after the attempt, or null if
+ * the job is not in a retryable state.
+ */
+export async function retryPayoutJob(jobId) {
+  const reset = await db.query(
+    `UPDATE payout_jobs
+        SET status = 'queued', next_attempt_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status IN ('failed', 'needs_review')
+      RETURNING id`,
+    [jobId],
+  );
+  if (reset.rows.length === 0) return null;
+  return processPayoutJob(jobId);
+}
+
+/** Thrown by cancelPayoutJob when the job's transfer may have gone out. */
+export class PayoutOutcomeUnknownError extends Error {
+  constructor(jobId, providerStatus = null) {
+    super(
+      providerStatus
+        ? `The provider reports payout job ${jobId} as ${providerStatus}, not FAILED, so it cannot be cancelled.`
+        : `Payout job ${jobId} may have been sent. Give the provider's reference for this transfer so its status can be checked before cancelling.`,
+    );
+    this.name = "PayoutOutcomeUnknownError";
+    this.jobId = jobId;
+    this.providerStatus = providerStatus;
+  }
+}
+
+/**
+ * Admin action: cancels a job that has not been sent and runs its onCancel
+ * handler.  Returns the cancelled job, or null if it can't be cancelled.
+ *
+ * A job whose outcome is unknown is only cancelled once the provider reports
+ * its transfer FAILED, looked up by `providerReference` (found in the
+ * provider's dashboard under the job's reference) or the one on the job.
+ * Throws PayoutOutcomeUnknownError otherwise.
+ */
+export async function cancelPayoutJob(
+  jobId,
+  reason,
+  { providerReference = null } = {},
+) {
+  const current = await db.query("SELECT * FROM payout_jobs WHERE id = $1", [
+    jobId,
+  ]);
+  const pending = current.rows[0];
+  if (!pending) return null;
+
+  if (
+    pending.outcome_unknown &&
+    ["queued", "failed", "needs_review"].includes(pending.status)
+  ) {
+    const lookup = providerReference ?? pending.provider_reference;
+    if (!lookup) throw new PayoutOutcomeUnknownError(jobId);
+    const { status } = await getPaymentProvider(pending.currency).getStatus(
+      lookup,
+    );
+    if (status !== "FAILED") throw new PayoutOutcomeUnknownError(jobId, status);
+  }
+
+  // outcome_unknown must not have changed since the check above
+  const result = await db.query(
+    `UPDATE payout_jobs
+        SET status = 'cancelled', last_error = $2,
+            completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status IN ('queued', 'failed', 'needs_review')
+        AND outcome_unknown = $3
+      RETURNING *`,
+    [jobId, reason, pending.outcome_unknown],
+  );
+  const job = result.rows[0];
+  if (!job) return null;
+
+  try {
+    await handlers[job.kind]?.onCancel?.(job);
+  } catch (hookErr) {
+    logger.error("Payout onCancel handler failed", {
+      jobId: job.id,
+      kind: job.kind,
+      error: hookErr.message,
+    });
+  }
+  return job;
+}
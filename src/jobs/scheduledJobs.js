@@ -3,7 +3,7 @@
  *
  * Background jobs that run on a schedule:
  *
- *   1. Invoice payment reminders
+ *   1. Invoice payment reminders (email, and SMS when enabled)
  *      - 24 h after creation → first reminder to buyer
  *      - 48 h after creation → second reminder
  *      - 72 h after creation → final reminder
@@ -13,20 +13,70 @@
  *      - 72 h after dispute opened → warning email to admin
  *      - 7 days after dispute opened → strong escalation email to admin
  *
- * Both jobs use small tracking tables (auto-created on first boot) so the
- * same email is never sent twice even after a server restart.
+ *   3. Payout status check
+ *      - Polls the provider for transfers accepted in the last 7 days
+ *      - Confirms them, or marks them failed, restores what is owed and
+ *        notifies the seller or buyer (see failedTransfers.js)
+ *      - Emails the admin about failures, amount mismatches and transfers
+ *        still pending after 24 h
+ *      Runs every 15 minutes.
  *
- * Both jobs run every hour so they never miss a window by more than 60 min.
+ *   4. Payout queue
+ *      - Retries failed Mobile Money transfers with exponential back-off
+ *      - Flags transfers stuck mid-call for admin review
+ *      Runs every minute (see payoutQueue.js).
+ *
+ *   5. Auto-release after the inspection period
+ *      - Reminds the buyer 48 h, 24 h and 6 h before auto_release_at
+ *      - Releases the funds to the seller once auto_release_at has passed,
+ *        unless the buyer opened a dispute or released them already
+ *      - Every automatic release is recorded in invoice_auto_releases
+ *      - Milestone invoices: the same for each completed milestone, against
+ *        its own auto_release_at
+ *
+ *   6. Outbound webhook, email and SMS retries
+ *      - Re-sends failed webhook deliveries with exponential back-off
+ *      - Re-sends outbox emails the mail provider did not accept
+ *      - Re-sends SMS / WhatsApp messages the provider did not accept
+ *      Runs every minute (see webhookQueue.js, emailQueue.js, smsQueue.js).
+ *
+ *   7. Idempotency key cleanup
+ *      - Deletes stored Idempotency-Key responses older than 24 h
+ *      Runs every hour (see middleware/idempotency.js).
+ *
+ *   8. Session cleanup
+ *      - Deletes login sessions that ended more than 30 days ago
+ *      Runs every hour (see utils/sessions.js).
+ *
+ *   9. Notification digest
+ *      - Sends users who chose a daily digest one email with the day's
+ *        notifications, at the hour they picked in their own time zone
+ *      Runs every hour (see notificationDigest.js).
+ *
+ * Jobs 1, 2 and 5 use small tracking tables (auto-created on first boot) so
+ * the same email is never sent twice even after a server restart.
+ *
+ * Jobs 1, 2 and 5 run every hour so they never miss a window by more than 60 min.
  */
 
 import cron from "node-cron";
-import sgMail from "@sendgrid/mail";
 import db from "../controllers/db.js";
 import dotenv from "dotenv";
+import { runPayoutQueue } from "./payoutQueue.js";
+import { settleFailedTransfer } from "./failedTransfers.js";
+import { runWebhookQueue } from "./webhookQueue.js";
+import { sendEmail, runEmailQueue } from "./emailQueue.js";
+import { sendBuyerSms, runSmsQueue } from "./smsQueue.js";
+import { runNotificationDigest } from "./notificationDigest.js";
+import { purgeIdempotencyKeys } from "../middleware/idempotency.js";
+import { purgeSessions } from "../utils/sessions.js";
+import { getPaymentProvider } from "../providers/index.js";
+import { notifyUser } from "../middleware/notificationHelper.js";
+import { executePayout, releaseMilestone } from "../routes/payout.js";
+import { getSettings, bool } from "../utils/platformSettings.js";
+import { DEFAULT_LANGUAGE } from "../utils/i18n.js";
 dotenv.config();
 
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
 // ── Brand logo &mdash; inline SVG encoded as base64 for email clients ──────────────
 const FONLOK_LOGO_B64 = Buffer.from(
   '<svg width="40" height="40" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg">' +
@@ -59,6 +109,63 @@ async function ensureTables() {
       UNIQUE (invoicenumber, level)
     )
   `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS auto_release_reminders (
+      id            SERIAL PRIMARY KEY,
+      invoicenumber TEXT        NOT NULL,
+      hours_before  INTEGER     NOT NULL,  -- 48, 24 or 6
+      sent_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (invoicenumber, hours_before)
+    )
+  `);
+
+  // Milestone reminders: one per milestone and reminder, like the invoice ones
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS milestone_auto_release_reminders (
+      id            SERIAL PRIMARY KEY,
+      milestone_id  INTEGER     NOT NULL REFERENCES invoice_milestones(id) ON DELETE CASCADE,
+      hours_before  INTEGER     NOT NULL,  -- 48, 24 or 6
+      sent_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (milestone_id, hours_before)
+    )
+  `);
+
+  // Audit trail: one row per invoice — or, for milestone invoices, per
+  // milestone — the scheduler released (or tried to)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS invoice_auto_releases (
+      id               SERIAL      PRIMARY KEY,
+      invoice_id       INTEGER     NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+      invoice_number   TEXT        NOT NULL,
+      delivered_at     TIMESTAMPTZ,
+      auto_release_at  TIMESTAMPTZ NOT NULL,
+      inspection_hours INTEGER,
+      status           VARCHAR(20) NOT NULL DEFAULT 'pending'
+                       CHECK (status IN ('pending', 'released', 'failed')),
+      payout_job_id    INTEGER     REFERENCES payout_jobs(id) ON DELETE SET NULL,
+      payout_status    VARCHAR(20),
+      error            TEXT,
+      attempted_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      released_at      TIMESTAMPTZ
+    )
+  `);
+  await db.query(`
+    ALTER TABLE invoice_auto_releases
+      ADD COLUMN IF NOT EXISTS milestone_id INTEGER REFERENCES invoice_milestones(id) ON DELETE CASCADE
+  `);
+  // invoice_id was UNIQUE before milestones had their own rows
+  await db.query(
+    "ALTER TABLE invoice_auto_releases DROP CONSTRAINT IF EXISTS invoice_auto_releases_invoice_id_key",
+  );
+  await db.query(
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_invoice_auto_releases_invoice
+       ON invoice_auto_releases (invoice_id) WHERE milestone_id IS NULL`,
+  );
+  await db.query(
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_invoice_auto_releases_milestone
+       ON invoice_auto_releases (milestone_id) WHERE milestone_id IS NOT NULL`,
+  );
 }
 
 // ── Helper: hours since a timestamp ─────────────────────────────────────────
@@ -86,6 +193,7 @@ async function runInvoiceReminders() {
       SELECT DISTINCT ON (g.invoicenumber)
              g.invoicenumber,
              g.email        AS buyer_email,
+             g.language     AS buyer_language,
              g.created_at   AS attempt_at,
              i.invoicename,
              i.amount,
@@ -115,7 +223,7 @@ async function runInvoiceReminders() {
         // SELECT simultaneously and send the same email multiple times.
         // Instead we try the INSERT first. PostgreSQL's UNIQUE constraint
         // guarantees exactly one worker gets a RETURNING row; all others get
-        // zero rows and skip without ever calling SendGrid.
+        // zero rows and skip without ever queueing the email.
         let claimed = false;
         try {
           const claimResult = await db.query(
@@ -136,78 +244,37 @@ async function runInvoiceReminders() {
         if (!claimed) continue; // another worker already owns this send
 
         const buyerEmail = row.buyer_email;
+        const lang = row.buyer_language || DEFAULT_LANGUAGE;
         const invoiceUrl =
           row.invoicelink ||
           `${process.env.FRONTEND_URL}/invoice/${row.invoicenumber}`;
 
-        const subjects = [
-          null,
-          `Payment Reminder: Invoice Awaiting Payment  - ${row.invoicename}`,
-          `Second Reminder: Payment Still Pending  - ${row.invoicename}`,
-          `Final Notice: Invoice Expiring Soon  - ${row.invoicename}`,
-        ];
-
-        const intros = [
-          null,
-          "Just a friendly reminder that the following invoice is still awaiting your payment.",
-          "We noticed the invoice below is still unpaid. The seller is waiting for your payment.",
-          "This is a final reminder. If this invoice is not paid soon, it may expire and the seller will need to reissue it.",
-        ];
-
-        const buttonLabels = [
-          null,
-          "Pay Now",
-          "Pay Invoice",
-          "Pay Before It Expires",
-        ];
-
-        const urgencyColors = [null, "#0F1F3D", "#d97706", "#dc2626"];
-
         try {
-          await sgMail.send({
+          const queued = await sendEmail("buyer.payment_reminder", {
             to: buyerEmail,
-            from: process.env.VERIFIED_SENDER,
-            subject: subjects[level],
-            html: `
-              <div style="font-family:sans-serif;max-width:560px;border:1px solid #e2e8f0;border-radius:8px;overflow:hidden;">
-                <div style="background:#0F1F3D;padding:18px 24px;display:flex;align-items:center;">
-                  <span style="display:inline-block;width:34px;height:34px;background:#F59E0B;border-radius:8px;text-align:center;line-height:34px;font-size:19px;font-weight:900;color:#0F1F3D;vertical-align:middle;margin-right:10px;font-family:Arial,sans-serif;">F</span>
-                  <span style="color:#F59E0B;font-size:20px;font-weight:800;letter-spacing:-0.5px;vertical-align:middle;"><span style="color:#F59E0B;">F</span><span style="color:#ffffff;">onlok</span></span>
-                  <span style="color:#94a3b8;font-size:12px;margin-left:12px;vertical-align:middle;">Secure Escrow Payments</span>
-                </div>
-                <div style="padding:24px;">
-                  <h2 style="color:${urgencyColors[level]};margin:0 0 12px;">
-                    ${level === 3 ? "⚠️ " : ""}${subjects[level]}
-                  </h2>
-                  <p style="color:#475569;">${intros[level]}</p>
-
-                  <table style="width:100%;border-collapse:collapse;margin:16px 0;background:#f8fafc;border-radius:6px;">
-                    <tr>
-                      <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Invoice</td>
-                      <td style="padding:10px 14px;color:#0f172a;">${row.invoicename}</td>
-                    </tr>
-                    <tr style="background:#f1f5f9;">
-                      <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Reference</td>
-                      <td style="padding:10px 14px;color:#0f172a;font-family:monospace;">${row.invoicenumber}</td>
-                    </tr>
-                    <tr>
-                      <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Amount Due</td>
-                      <td style="padding:10px 14px;font-weight:700;color:#16a34a;font-size:15px;">${Number(row.amount).toLocaleString()} ${row.currency && row.currency !== "USD" ? row.currency : "XAF"}</td>
-                    </tr>
-                  </table>
-
-                  <a href="${invoiceUrl}"
-                    style="display:inline-block;background:#F59E0B;color:#0F1F3D;padding:13px 28px;text-decoration:none;border-radius:7px;font-weight:700;font-size:15px;margin:8px 0 20px;">
-                    ${buttonLabels[level]} →
-                  </a>
-
-                  <p style="color:#94a3b8;font-size:12px;border-top:1px solid #e2e8f0;padding-top:16px;margin-top:16px;">
-                    You received this email because a seller sent you an invoice through Fonlok.
-                    If you did not request this, you can safely ignore this message.
-                  </p>
-                </div>
-              </div>
-            `,
+            lang,
+            invoiceNumber: row.invoicenumber,
+            data: {
+              level,
+              invoiceName: row.invoicename,
+              invoiceNumber: row.invoicenumber,
+              amount: Number(row.amount),
+              currency: row.currency,
+              invoiceUrl,
+            },
+          });
+          if (!queued) throw new Error("Email could not be queued.");
+
+          await sendBuyerSms("buyer.payment_reminder", {
+            invoiceNumber: row.invoicenumber,
+            lang,
+            data: {
+              invoiceNumber: row.invoicenumber,
+              invoiceName: row.invoicename,
+              amount: Number(row.amount),
+              currency: row.currency,
+              invoiceUrl,
+            },
           });
 
           // Record that this reminder was sent
@@ -228,7 +295,7 @@ async function runInvoiceReminders() {
           }
           console.error(
             `❌ [Reminders] Failed to send level ${level} for ${row.invoicenumber}:`,
-            emailErr.response?.body || emailErr.message,
+            emailErr.message,
           );
         }
       }
@@ -260,15 +327,6 @@ async function runDisputeEscalation() {
     for (const dispute of result.rows) {
       const hours = hoursSince(dispute.created_at);
 
-      const adminUrl = `${process.env.FRONTEND_URL}/admin/dispute/${dispute.admin_token}`;
-      const openedDate = new Date(dispute.created_at).toLocaleString("en-GB", {
-        day: "2-digit",
-        month: "short",
-        year: "numeric",
-        hour: "2-digit",
-        minute: "2-digit",
-      });
-
       // Level 1: 72-hour warning
       if (hours >= 72) {
         const already = await db.query(
@@ -277,60 +335,21 @@ async function runDisputeEscalation() {
         );
         if (already.rows.length === 0) {
           try {
-            await sgMail.send({
+            const queued = await sendEmail("admin.dispute_overdue", {
               to: process.env.ADMIN_EMAIL,
-              from: process.env.VERIFIED_SENDER,
-              subject: `[Admin Alert] Dispute Unresolved: 72 Hours Elapsed  - Invoice ${dispute.invoicenumber}`,
-              html: `
-                <div style="font-family:sans-serif;max-width:560px;border:1px solid #e2e8f0;border-radius:8px;overflow:hidden;">
-                  <div style="background:#0F1F3D;padding:18px 24px;line-height:1;">
-                    <span style="display:inline-block;width:34px;height:34px;background:#F59E0B;border-radius:8px;text-align:center;line-height:34px;font-size:19px;font-weight:900;color:#0F1F3D;vertical-align:middle;margin-right:10px;font-family:Arial,sans-serif;">F</span>
-                    <span style="font-size:20px;font-weight:800;letter-spacing:-0.5px;vertical-align:middle;"><span style="color:#F59E0B;">F</span><span style="color:#ffffff;">onlok</span></span>
-                    <span style="color:#94a3b8;font-size:12px;margin-left:12px;vertical-align:middle;">Admin Alert</span>
-                  </div>
-                  <div style="padding:24px;">
-                    <div style="background:#fef3c7;border:1px solid #f59e0b;border-radius:6px;padding:14px;margin-bottom:20px;">
-                      <strong style="color:#92400e;">⏰ Reminder:</strong>
-                      <span style="color:#78350f;"> This dispute has been open for over 72 hours without resolution.</span>
-                    </div>
-
-                    <h2 style="color:#0F1F3D;margin:0 0 16px;">Dispute Awaiting Your Review</h2>
-
-                    <table style="width:100%;border-collapse:collapse;background:#f8fafc;border-radius:6px;margin-bottom:20px;">
-                      <tr>
-                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Invoice</td>
-                        <td style="padding:10px 14px;color:#0f172a;">${dispute.invoicenumber}</td>
-                      </tr>
-                      <tr style="background:#f1f5f9;">
-                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Invoice Name</td>
-                        <td style="padding:10px 14px;color:#0f172a;">${dispute.invoicename}</td>
-                      </tr>
-                      <tr>
-                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Amount</td>
-                        <td style="padding:10px 14px;font-weight:700;color:#0f172a;">${Number(dispute.amount).toLocaleString()} ${dispute.currency}</td>
-                      </tr>
-                      <tr style="background:#f1f5f9;">
-                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Opened By</td>
-                        <td style="padding:10px 14px;color:#0f172a;">${dispute.opened_by}</td>
-                      </tr>
-                      <tr>
-                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Reason</td>
-                        <td style="padding:10px 14px;color:#0f172a;">${dispute.reason}</td>
-                      </tr>
-                      <tr style="background:#f1f5f9;">
-                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Opened At</td>
-                        <td style="padding:10px 14px;color:#0f172a;">${openedDate}</td>
-                      </tr>
-                    </table>
-
-                    <a href="${adminUrl}"
-                      style="display:inline-block;background:#0F1F3D;color:#F59E0B;padding:13px 28px;text-decoration:none;border-radius:7px;font-weight:700;font-size:15px;">
-                      Open Admin Panel →
-                    </a>
-                  </div>
-                </div>
-              `,
+              invoiceNumber: dispute.invoicenumber,
+              data: {
+                invoiceNumber: dispute.invoicenumber,
+                invoiceName: dispute.invoicename,
+                amount: Number(dispute.amount),
+                currency: dispute.currency,
+                openedBy: dispute.opened_by,
+                reason: dispute.reason,
+                openedAt: dispute.created_at,
+                adminToken: dispute.admin_token,
+              },
             });
+            if (!queued) throw new Error("Email could not be queued.");
 
             await db.query(
               "INSERT INTO dispute_escalations (invoicenumber, level) VALUES ($1, 1) ON CONFLICT DO NOTHING",
@@ -343,7 +362,7 @@ async function runDisputeEscalation() {
           } catch (emailErr) {
             console.error(
               `❌ [Disputes] 72h email failed for ${dispute.invoicenumber}:`,
-              emailErr.response?.body || emailErr.message,
+              emailErr.message,
             );
           }
         }
@@ -357,64 +376,21 @@ async function runDisputeEscalation() {
         );
         if (already.rows.length === 0) {
           try {
-            await sgMail.send({
+            const queued = await sendEmail("admin.dispute_critical", {
               to: process.env.ADMIN_EMAIL,
-              from: process.env.VERIFIED_SENDER,
-              subject: `[URGENT] Dispute Unresolved: 7 Days  - Immediate Action Required for Invoice ${dispute.invoicenumber}`,
-              html: `
-                <div style="font-family:sans-serif;max-width:560px;border:2px solid #dc2626;border-radius:8px;overflow:hidden;">
-                  <div style="background:#dc2626;padding:18px 24px;line-height:1;">
-                    <span style="display:inline-block;width:34px;height:34px;background:#FDE68A;border-radius:8px;text-align:center;line-height:34px;font-size:19px;font-weight:900;color:#7f1d1d;vertical-align:middle;margin-right:10px;font-family:Arial,sans-serif;">F</span>
-                    <span style="font-size:20px;font-weight:800;letter-spacing:-0.5px;vertical-align:middle;"><span style="color:#FDE68A;">F</span><span style="color:#ffffff;">onlok</span></span>
-                    <span style="color:#fecaca;font-size:12px;margin-left:12px;vertical-align:middle;">URGENT Admin Alert</span>
-                  </div>
-                  <div style="padding:24px;">
-                    <div style="background:#fef2f2;border:1px solid #fca5a5;border-radius:6px;padding:14px;margin-bottom:20px;">
-                      <strong style="color:#991b1b;">CRITICAL:</strong>
-                      <span style="color:#7f1d1d;"> This dispute has been open for <strong>7 days</strong> with no resolution. Both parties are waiting. Immediate action is required.</span>
-                    </div>
-
-                    <h2 style="color:#dc2626;margin:0 0 16px;">Dispute &mdash; 7 Days Unresolved</h2>
-
-                    <table style="width:100%;border-collapse:collapse;background:#f8fafc;border-radius:6px;margin-bottom:20px;">
-                      <tr>
-                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Invoice</td>
-                        <td style="padding:10px 14px;color:#0f172a;">${dispute.invoicenumber}</td>
-                      </tr>
-                      <tr style="background:#f1f5f9;">
-                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Invoice Name</td>
-                        <td style="padding:10px 14px;color:#0f172a;">${dispute.invoicename}</td>
-                      </tr>
-                      <tr>
-                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Amount at Stake</td>
-                        <td style="padding:10px 14px;font-weight:700;color:#dc2626;font-size:15px;">${Number(dispute.amount).toLocaleString()} ${dispute.currency}</td>
-                      </tr>
-                      <tr style="background:#f1f5f9;">
-                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Opened By</td>
-                        <td style="padding:10px 14px;color:#0f172a;">${dispute.opened_by}</td>
-                      </tr>
-                      <tr>
-                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Reason</td>
-                        <td style="padding:10px 14px;color:#0f172a;">${dispute.reason}</td>
-                      </tr>
-                      <tr style="background:#fef2f2;">
-                        <td style="padding:10px 14px;font-weight:600;color:#64748b;font-size:13px;">Opened At</td>
-                        <td style="padding:10px 14px;color:#991b1b;font-weight:700;">${openedDate}</td>
-                      </tr>
-                    </table>
-
-                    <a href="${adminUrl}"
-                      style="display:inline-block;background:#dc2626;color:#fff;padding:14px 32px;text-decoration:none;border-radius:7px;font-weight:700;font-size:16px;">
-                      Resolve This Dispute Now →
-                    </a>
-
-                    <p style="color:#94a3b8;font-size:12px;margin-top:20px;">
-                      This is an automated critical alert from Fonlok. Please resolve this dispute immediately.
-                    </p>
-                  </div>
-                </div>
-              `,
+              invoiceNumber: dispute.invoicenumber,
+              data: {
+                invoiceNumber: dispute.invoicenumber,
+                invoiceName: dispute.invoicename,
+                amount: Number(dispute.amount),
+                currency: dispute.currency,
+                openedBy: dispute.opened_by,
+                reason: dispute.reason,
+                openedAt: dispute.created_at,
+                adminToken: dispute.admin_token,
+              },
             });
+            if (!queued) throw new Error("Email could not be queued.");
 
             await db.query(
               "INSERT INTO dispute_escalations (invoicenumber, level) VALUES ($1, 2) ON CONFLICT DO NOTHING",
@@ -427,7 +403,7 @@ async function runDisputeEscalation() {
           } catch (emailErr) {
             console.error(
               `❌ [Disputes] 7-day email failed for ${dispute.invoicenumber}:`,
-              emailErr.response?.body || emailErr.message,
+              emailErr.message,
             );
           }
         }
@@ -440,6 +416,634 @@ async function runDisputeEscalation() {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// JOB 3 &mdash; Payout status check
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// A payout job is "succeeded" as soon as the provider ACCEPTS the withdrawal,
+// but Mobile Money transfers can still fail minutes later.  This job polls the
+// provider for every accepted transfer of the last 7 days and settles it:
+//   SUCCESSFUL → settlement_status 'confirmed'
+//   FAILED     → settlement_status 'failed', payouts row marked failed, the
+//                recipient's balance/ledger restored, seller or buyer
+//                notified (failedTransfers.js); an admin resends it
+// Anything the provider still reports as pending after 24 h, a FAILED status
+// or an amount that doesn't match ours is emailed to the admin.
+
+const STATUS_CHECK_DAYS = 7;
+const STATUS_PENDING_ALERT_HOURS = 24;
+
+async function sendPayoutMismatchAlert(mismatches) {
+  const queued = await sendEmail("admin.payout_mismatch", {
+    to: process.env.ADMIN_EMAIL,
+    data: {
+      mismatches: mismatches.map(({ job, problem }) => ({
+        jobId: job.id,
+        kind: job.kind,
+        reference: job.reference,
+        amount: Number(job.amount),
+        currency: job.currency,
+        phone: job.phone,
+        problem,
+      })),
+    },
+  });
+  if (!queued) throw new Error("Email could not be queued.");
+}
+
+async function runPayoutStatusCheck() {
+  try {
+    const result = await db.query(
+      `SELECT * FROM payout_jobs
+        WHERE status = 'succeeded'
+          AND settlement_status = 'pending'
+          AND provider_reference IS NOT NULL
+          AND completed_at > NOW() - ($1 || ' days')::interval
+        ORDER BY completed_at
+        LIMIT 100`,
+      [String(STATUS_CHECK_DAYS)],
+    );
+
+    const mismatches = [];
+    let confirmed = 0;
+
+    for (const job of result.rows) {
+      let status;
+      let raw;
+      try {
+        ({ status, raw } = await getPaymentProvider(job.currency).getStatus(
+          job.provider_reference,
+        ));
+      } catch (err) {
+        console.error(
+          `❌ [Payout check] Status lookup failed for job ${job.id}:`,
+          err.message,
+        );
+        continue;
+      }
+
+      const providerAmount = raw?.amount != null ? Number(raw.amount) : null;
+      if (providerAmount !== null && providerAmount !== Number(job.amount)) {
+        mismatches.push({
+          job,
+          problem: `Provider reports ${providerAmount.toLocaleString()} ${job.currency}, we recorded ${Number(job.amount).toLocaleString()}.`,
+        });
+      }
+
+      if (status === "SUCCESSFUL") {
+        await db.query(
+          `UPDATE payout_jobs
+              SET settlement_status = 'confirmed', settled_at = NOW(),
+                  settlement_checked_at = NOW(), updated_at = NOW()
+            WHERE id = $1 AND settlement_status = 'pending'`,
+          [job.id],
+        );
+        await db.query(
+          "UPDATE payouts SET provider_status = 'confirmed' WHERE payout_job_id = $1",
+          [job.id],
+        );
+        confirmed++;
+      } else if (status === "FAILED") {
+        await settleFailedTransfer(job);
+        mismatches.push({
+          job,
+          problem: "Accepted by the provider but later FAILED.",
+        });
+      } else {
+        await db.query(
+          "UPDATE payout_jobs SET settlement_checked_at = NOW() WHERE id = $1",
+          [job.id],
+        );
+        if (
+          !job.settlement_alerted_at &&
+          hoursSince(job.completed_at) >= STATUS_PENDING_ALERT_HOURS
+        ) {
+          mismatches.push({
+            job,
+            problem: `Still pending at the provider after ${STATUS_PENDING_ALERT_HOURS} hours.`,
+          });
+        }
+      }
+    }
+
+    if (mismatches.length > 0) {
+      try {
+        await sendPayoutMismatchAlert(mismatches);
+        await db.query(
+          "UPDATE payout_jobs SET settlement_alerted_at = NOW() WHERE id = ANY($1::int[])",
+          [mismatches.map((m) => m.job.id)],
+        );
+        console.log(
+          `📧 [Payout check] Admin alerted about ${mismatches.length} payout(s)`,
+        );
+      } catch (emailErr) {
+        console.error(
+          "❌ [Payout check] Admin alert email failed:",
+          emailErr.message,
+        );
+      }
+    }
+
+    if (result.rows.length > 0) {
+      console.log(
+        `⏰ [Payout check] Checked ${result.rows.length} payout(s): ${confirmed} confirmed, ${mismatches.length} flagged`,
+      );
+    }
+  } catch (err) {
+    console.error("❌ [Payout check] Job error:", err.message);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// JOB 5 — Auto-release after the inspection period
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// When the seller marks an invoice delivered, invoices.auto_release_at is set
+// to delivery + inspection period (per-invoice override, else the platform's
+// auto_release_hours).  The buyer is reminded before the deadline; after it,
+// the funds are released through the same executePayout() as a manual release.
+// An open dispute or an already-used confirmation code stops the clock.
+//
+// Milestone invoices never auto-release as a whole: each milestone gets its
+// own auto_release_at when the seller marks it complete.  The buyer is
+// reminded the same way, and the milestone is released through the same
+// releaseMilestone() as the buyer's release link, with its own row in
+// invoice_auto_releases.
+
+const AUTO_RELEASE_REMINDER_HOURS = [48, 24, 6];
+
+// Only the closest reminder that still fits inside the inspection period
+const nextAutoReleaseReminder = (row, hoursLeft) =>
+  AUTO_RELEASE_REMINDER_HOURS.filter(
+    (h) => h < row.inspection_hours && h >= hoursLeft,
+  ).at(-1);
+
+async function sendAutoReleaseReminder(row, hoursBefore) {
+  const queued = await sendEmail("buyer.auto_release_reminder", {
+    to: row.buyer_email,
+    lang: row.buyer_language,
+    invoiceNumber: row.invoicenumber,
+    data: {
+      invoiceNumber: row.invoicenumber,
+      invoiceName: row.invoicename,
+      amount: Number(row.amount),
+      currency: row.currency,
+      hoursBefore,
+      autoReleaseAt: row.auto_release_at,
+      invoiceUrl:
+        row.invoicelink ||
+        `${process.env.FRONTEND_URL}/invoice/${row.invoicenumber}`,
+    },
+  });
+  if (!queued) throw new Error("Email could not be queued.");
+
+  await sendBuyerSms("buyer.auto_release_reminder", {
+    invoiceNumber: row.invoicenumber,
+    lang: row.buyer_language,
+    data: {
+      invoiceNumber: row.invoicenumber,
+      amount: Number(row.amount),
+      currency: row.currency,
+      autoReleaseAt: row.auto_release_at,
+    },
+  });
+}
+
+async function autoReleaseInvoice(row) {
+  // Claim the audit row first so two runs can never release the same invoice.
+  // A failed attempt may be claimed again on the next run.
+  const claim = await db.query(
+    `INSERT INTO invoice_auto_releases
+       (invoice_id, invoice_number, delivered_at, auto_release_at, inspection_hours)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (invoice_id) WHERE milestone_id IS NULL DO UPDATE
+        SET status = 'pending', error = NULL, attempted_at = NOW()
+      WHERE invoice_auto_releases.status = 'failed'
+     RETURNING id`,
+    [
+      row.id,
+      row.invoicenumber,
+      row.delivered_at,
+      row.auto_release_at,
+      row.inspection_hours,
+    ],
+  );
+  if (claim.rows.length === 0) return false;
+
+  let job;
+  try {
+    job = await executePayout(row.id, {
+      actorType: "system",
+      actorId: "auto_release",
+      reason: `Inspection period of ${row.inspection_hours} hours ended without a dispute`,
+    });
+  } catch (err) {
+    await db.query(
+      `UPDATE invoice_auto_releases
+          SET status = 'failed', error = $2
+        WHERE invoice_id = $1`,
+      [row.id, err.message.slice(0, 500)],
+    );
+    console.error(
+      `❌ [Auto-release] ${row.invoicenumber} could not be released:`,
+      err.message,
+    );
+    return false;
+  }
+
+  // The confirmation code is burned and the transfer is queued — from here
+  // the payout queue owns the money, so the release counts as done.
+  await db.query(
+    `UPDATE invoice_auto_releases
+        SET status = 'released', payout_job_id = $2, payout_status = $3,
+            released_at = NOW()
+      WHERE invoice_id = $1`,
+    [row.id, job.id, job.status],
+  );
+
+  notifyUser(
+    row.userid,
+    "auto_release",
+    "Funds Released Automatically",
+    `The inspection period for invoice ${row.invoicenumber} ended without a dispute, so the funds have been released to you.`,
+    { invoiceNumber: row.invoicenumber, payoutStatus: job.status },
+  );
+
+  await sendEmail("buyer.auto_released", {
+    to: row.buyer_email,
+    lang: row.buyer_language,
+    invoiceNumber: row.invoicenumber,
+    data: {
+      invoiceNumber: row.invoicenumber,
+      invoiceName: row.invoicename,
+      amount: Number(row.amount),
+      currency: row.currency,
+      autoReleaseAt: row.auto_release_at,
+    },
+  });
+  await sendBuyerSms("buyer.auto_released", {
+    invoiceNumber: row.invoicenumber,
+    lang: row.buyer_language,
+    data: {
+      invoiceNumber: row.invoicenumber,
+      amount: Number(row.amount),
+      currency: row.currency,
+    },
+  });
+
+  console.log(
+    `✅ [Auto-release] ${row.invoicenumber} released (payout job ${job.id}: ${job.status})`,
+  );
+  return true;
+}
+
+async function runAutoRelease() {
+  try {
+    const result = await db.query(`
+      SELECT i.id, i.invoicenumber, i.invoicename, i.amount, i.currency,
+             i.invoicelink, i.userid, i.delivered_at, i.auto_release_at,
+             COALESCE(i.inspection_period_hours,
+                      ROUND(EXTRACT(EPOCH FROM (i.auto_release_at - i.delivered_at)) / 3600)::int)
+               AS inspection_hours,
+             (SELECT g.email FROM guests g
+               WHERE g.invoicenumber = i.invoicenumber
+               ORDER BY g.created_at DESC LIMIT 1) AS buyer_email,
+             (SELECT g.language FROM guests g
+               WHERE g.invoicenumber = i.invoicenumber
+               ORDER BY g.created_at DESC LIMIT 1) AS buyer_language
+      FROM invoices i
+      JOIN confirmation_codes cc ON cc.code_id = i.id AND cc.is_used = false
+      WHERE i.status = 'delivered'
+        AND i.auto_release_at IS NOT NULL
+        AND COALESCE(i.payment_type, 'full') != 'installment'
+        AND NOT EXISTS (
+          SELECT 1 FROM disputes d
+           WHERE d.invoicenumber = i.invoicenumber
+             AND (d.status = 'open' OR d.status LIKE 'partially%')
+        )
+      ORDER BY i.auto_release_at
+    `);
+
+    const payoutsBlocked = bool(await getSettings(), "payouts_blocked");
+    let released = 0;
+    let reminded = 0;
+
+    for (const row of result.rows) {
+      const hoursLeft = -hoursSince(row.auto_release_at);
+
+      if (hoursLeft <= 0) {
+        // Admin has frozen payouts — keep the invoice waiting, not failed
+        if (payoutsBlocked) continue;
+        if (await autoReleaseInvoice(row)) released++;
+        continue;
+      }
+
+      const hoursBefore = nextAutoReleaseReminder(row, hoursLeft);
+      if (!hoursBefore || !row.buyer_email) continue;
+
+      const claimResult = await db.query(
+        `INSERT INTO auto_release_reminders (invoicenumber, hours_before)
+         VALUES ($1, $2)
+         ON CONFLICT (invoicenumber, hours_before) DO NOTHING
+         RETURNING id`,
+        [row.invoicenumber, hoursBefore],
+      );
+      if (claimResult.rows.length === 0) continue;
+
+      try {
+        await sendAutoReleaseReminder(row, hoursBefore);
+        reminded++;
+        console.log(
+          `📧 [Auto-release] ${hoursBefore}h reminder sent for ${row.invoicenumber} → ${row.buyer_email}`,
+        );
+      } catch (emailErr) {
+        // Email failed — delete the claim so the next run can retry
+        await db
+          .query(
+            "DELETE FROM auto_release_reminders WHERE invoicenumber = $1 AND hours_before = $2",
+            [row.invoicenumber, hoursBefore],
+          )
+          .catch(() => {});
+        console.error(
+          `❌ [Auto-release] ${hoursBefore}h reminder failed for ${row.invoicenumber}:`,
+          emailErr.message,
+        );
+      }
+    }
+
+    console.log(
+      `⏰ [Auto-release] Checked ${result.rows.length} delivered invoice(s): ${released} released, ${reminded} reminder(s) sent`,
+    );
+
+    await runMilestoneAutoRelease(payoutsBlocked);
+  } catch (err) {
+    console.error("❌ [Auto-release] Job error:", err.message);
+  }
+}
+
+async function sendMilestoneAutoReleaseReminder(row, hoursBefore) {
+  const queued = await sendEmail("buyer.milestone_auto_release_reminder", {
+    to: row.buyer_email,
+    lang: row.buyer_language,
+    invoiceNumber: row.invoicenumber,
+    data: {
+      invoiceNumber: row.invoicenumber,
+      invoiceName: row.invoicename,
+      milestoneNumber: row.milestone_number,
+      milestoneLabel: row.label,
+      amount: Number(row.amount),
+      currency: row.currency,
+      hoursBefore,
+      autoReleaseAt: row.auto_release_at,
+      invoiceUrl:
+        row.invoicelink ||
+        `${process.env.FRONTEND_URL}/invoice/${row.invoicenumber}`,
+    },
+  });
+  if (!queued) throw new Error("Email could not be queued.");
+
+  await sendBuyerSms("buyer.milestone_auto_release_reminder", {
+    invoiceNumber: row.invoicenumber,
+    lang: row.buyer_language,
+    data: {
+      invoiceNumber: row.invoicenumber,
+      milestoneNumber: row.milestone_number,
+      milestoneLabel: row.label,
+      amount: Number(row.amount),
+      currency: row.currency,
+      autoReleaseAt: row.auto_release_at,
+    },
+  });
+}
+
+async function autoReleaseMilestone(row) {
+  // Same claim as autoReleaseInvoice, one audit row per milestone
+  const claim = await db.query(
+    `INSERT INTO invoice_auto_releases
+       (invoice_id, invoice_number, milestone_id, delivered_at, auto_release_at, inspection_hours)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (milestone_id) WHERE milestone_id IS NOT NULL DO UPDATE
+        SET status = 'pending', error = NULL, attempted_at = NOW()
+      WHERE invoice_auto_releases.status = 'failed'
+     RETURNING id`,
+    [
+      row.invoice_id,
+      row.invoicenumber,
+      row.id,
+      row.completed_at,
+      row.auto_release_at,
+      row.inspection_hours,
+    ],
+  );
+  if (claim.rows.length === 0) return false;
+
+  const failClaim = (message) =>
+    db.query(
+      `UPDATE invoice_auto_releases
+          SET status = 'failed', error = $2
+        WHERE milestone_id = $1`,
+      [row.id, message.slice(0, 500)],
+    );
+
+  let release;
+  try {
+    const invoiceResult = await db.query(
+      "SELECT * FROM invoices WHERE id = $1",
+      [row.invoice_id],
+    );
+    const invoice = invoiceResult.rows[0];
+    const sellerResult = await db.query("SELECT * FROM users WHERE id = $1", [
+      invoice.userid,
+    ]);
+    const seller = sellerResult.rows[0];
+    if (!seller) throw new Error("Seller account not found");
+
+    release = await releaseMilestone({
+      milestone: row,
+      invoice,
+      seller,
+      releasedBy: {
+        actorType: "system",
+        actorId: "auto_release",
+        reason: `Inspection period of ${row.inspection_hours} hours for milestone "${row.label}" ended without a dispute`,
+      },
+    });
+  } catch (err) {
+    await failClaim(err.message);
+    console.error(
+      `❌ [Auto-release] ${row.invoicenumber} milestone ${row.milestone_number} could not be released:`,
+      err.message,
+    );
+    return false;
+  }
+  if (!release.locked) {
+    // The buyer released it between the query and the lock
+    await failClaim("Milestone was already released.");
+    return false;
+  }
+
+  await db.query(
+    `UPDATE invoice_auto_releases
+        SET status = 'released', payout_job_id = $2, payout_status = $3,
+            released_at = NOW()
+      WHERE milestone_id = $1`,
+    [row.id, release.job.id, release.job.status],
+  );
+
+  notifyUser(
+    row.userid,
+    "auto_release",
+    "Funds Released Automatically",
+    `The inspection period for milestone "${row.label}" of invoice ${row.invoicenumber} ended without a dispute, so its funds have been released to you.`,
+    {
+      invoiceNumber: row.invoicenumber,
+      milestoneLabel: row.label,
+      payoutStatus: release.job.status,
+    },
+  );
+
+  if (row.buyer_email) {
+    await sendEmail("buyer.milestone_auto_released", {
+      to: row.buyer_email,
+      lang: row.buyer_language,
+      invoiceNumber: row.invoicenumber,
+      data: {
+        invoiceNumber: row.invoicenumber,
+        invoiceName: row.invoicename,
+        milestoneNumber: row.milestone_number,
+        milestoneLabel: row.label,
+        amount: Number(row.amount),
+        currency: row.currency,
+        autoReleaseAt: row.auto_release_at,
+      },
+    });
+  }
+  await sendBuyerSms("buyer.milestone_auto_released", {
+    invoiceNumber: row.invoicenumber,
+    lang: row.buyer_language,
+    data: {
+      invoiceNumber: row.invoicenumber,
+      milestoneNumber: row.milestone_number,
+      milestoneLabel: row.label,
+      amount: Number(row.amount),
+      currency: row.currency,
+    },
+  });
+
+  console.log(
+    `✅ [Auto-release] ${row.invoicenumber} milestone ${row.milestone_number} released (payout job ${release.job.id}: ${release.job.status})`,
+  );
+  return true;
+}
+
+async function runMilestoneAutoRelease(payoutsBlocked) {
+  const result = await db.query(`
+    SELECT m.*, i.invoicenumber, i.invoicename, i.currency, i.invoicelink,
+           i.userid,
+           COALESCE(i.inspection_period_hours,
+                    ROUND(EXTRACT(EPOCH FROM (m.auto_release_at - m.completed_at)) / 3600)::int)
+             AS inspection_hours,
+           (SELECT g.email FROM guests g
+             WHERE g.invoicenumber = i.invoicenumber
+             ORDER BY g.created_at DESC LIMIT 1) AS buyer_email,
+           (SELECT g.language FROM guests g
+             WHERE g.invoicenumber = i.invoicenumber
+             ORDER BY g.created_at DESC LIMIT 1) AS buyer_language
+    FROM invoice_milestones m
+    JOIN invoices i ON i.id = m.invoice_id
+    WHERE m.status = 'completed'
+      AND m.auto_release_at IS NOT NULL
+      AND i.status IN ('paid', 'delivered')
+      AND NOT EXISTS (
+        SELECT 1 FROM disputes d
+         WHERE d.invoicenumber = i.invoicenumber
+           AND (d.status = 'open' OR d.status LIKE 'partially%')
+      )
+    ORDER BY m.auto_release_at
+  `);
+
+  let released = 0;
+  let reminded = 0;
+
+  for (const row of result.rows) {
+    const hoursLeft = -hoursSince(row.auto_release_at);
+
+    if (hoursLeft <= 0) {
+      if (payoutsBlocked) continue;
+      if (await autoReleaseMilestone(row)) released++;
+      continue;
+    }
+
+    const hoursBefore = nextAutoReleaseReminder(row, hoursLeft);
+    if (!hoursBefore || !row.buyer_email) continue;
+
+    const claimResult = await db.query(
+      `INSERT INTO milestone_auto_release_reminders (milestone_id, hours_before)
+       VALUES ($1, $2)
+       ON CONFLICT (milestone_id, hours_before) DO NOTHING
+       RETURNING id`,
+      [row.id, hoursBefore],
+    );
+    if (claimResult.rows.length === 0) continue;
+
+    try {
+      await sendMilestoneAutoReleaseReminder(row, hoursBefore);
+      reminded++;
+      console.log(
+        `📧 [Auto-release] ${hoursBefore}h reminder sent for ${row.invoicenumber} milestone ${row.milestone_number} → ${row.buyer_email}`,
+      );
+    } catch (emailErr) {
+      // Email failed — delete the claim so the next run can retry
+      await db
+        .query(
+          "DELETE FROM milestone_auto_release_reminders WHERE milestone_id = $1 AND hours_before = $2",
+          [row.id, hoursBefore],
+        )
+        .catch(() => {});
+      console.error(
+        `❌ [Auto-release] ${hoursBefore}h reminder failed for ${row.invoicenumber} milestone ${row.milestone_number}:`,
+        emailErr.message,
+      );
+    }
+  }
+
+  if (result.rows.length > 0) {
+    console.log(
+      `⏰ [Auto-release] Checked ${result.rows.length} completed milestone(s): ${released} released, ${reminded} reminder(s) sent`,
+    );
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// JOB 7 — Idempotency key cleanup
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function runIdempotencyCleanup() {
+  try {
+    const removed = await purgeIdempotencyKeys();
+    if (removed > 0) {
+      console.log(`⏰ [Idempotency] Removed ${removed} expired key(s)`);
+    }
+  } catch (err) {
+    console.error("❌ [Idempotency] Cleanup error:", err.message);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// JOB 8 — Session cleanup
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function runSessionCleanup() {
+  try {
+    const removed = await purgeSessions();
+    if (removed > 0) {
+      console.log(`⏰ [Sessions] Removed ${removed} ended session(s)`);
+    }
+  } catch (err) {
+    console.error("❌ [Sessions] Cleanup error:", err.message);
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Export: call this once when the server starts
 // ─────────────────────────────────────────────────────────────────────────────
@@ -465,14 +1069,39 @@ export async function startScheduledJobs() {
   // down for a while, then schedule them to run every hour after that.
   await runInvoiceReminders();
   await runDisputeEscalation();
+  await runPayoutQueue();
+  await runPayoutStatusCheck();
+  await runAutoRelease();
+  await runWebhookQueue();
+  await runEmailQueue();
+  await runSmsQueue();
+  await runIdempotencyCleanup();
+  await runSessionCleanup();
+  await runNotificationDigest();
 
   // Every hour at minute 0  (e.g. 09:00, 10:00, 11:00 …)
   cron.schedule("0 * * * *", async () => {
     await runInvoiceReminders();
     await runDisputeEscalation();
+    await runAutoRelease();
+    await runIdempotencyCleanup();
+    await runSessionCleanup();
+    await runNotificationDigest();
   });
 
+  // Every minute — payouts, webhook deliveries, emails and SMS waiting for a
+  // retry
+  cron.schedule("* * * * *", async () => {
+    await runPayoutQueue();
+    await runWebhookQueue();
+    await runEmailQueue();
+    await runSmsQueue();
+  });
+
+  // Every 15 minutes — confirm accepted payouts with the provider
+  cron.schedule("*/15 * * * *", runPayoutStatusCheck);
+
   console.log(
-    "⏰ Scheduled jobs active &mdash; invoice reminders + dispute escalation",
+    "⏰ Scheduled jobs active &mdash; invoice reminders + dispute escalation + payout queue + payout status check + auto-release + webhooks + emails + sms + notification digest",
   );
 }
@@ -0,0 +1,357 @@
+/**
+ * smsQueue.js
+ *
+ * SMS / WhatsApp outbox, the text twin of emailQueue.js — for buyers, and
+ * for sellers who turn SMS on in their notification preferences (notifyUser
+ * in middleware/notificationHelper.js calls sendSms()).
+ * sendBuyerSms() renders a named template (src/sms), stores the message in
+ * sms_outbox and attempts it straight away through the configured provider
+ * (providers/sms).  Messages that fail are retried with exponential back-off
+ * by runSmsQueue(), every minute on worker 0, until MAX_ATTEMPTS.
+ *
+ * Outbox states:
+ *   queued     → waiting for its first attempt
+ *   sending    → claimed by a worker, handed to the provider
+ *   sent       → the provider accepted it
+ *   failed     → will be retried at next_attempt_at
+ *   dead       → out of retries, or refused for good
+ *   opted_out  → never sent: the number replied STOP (kept so support can
+ *                see why a buyer got nothing)
+ *
+ * Opt-out is per phone number, in sms_opt_outs.  A buyer opts out by
+ * replying STOP (ARRET) and back in with START (DEMARRER) — see
+ * handleInboundSms() — or support does it for them from the admin panel.
+ *
+ * Text messages are optional: with no SMS_PROVIDER configured nothing is
+ * queued and buyers are only emailed.
+ */
+
+import db from "../controllers/db.js";
+import logger from "../utils/logger.js";
+import { parsePhone } from "../utils/phone.js";
+import { DEFAULT_LANGUAGE } from "../utils/i18n.js";
+import { renderSms } from "../sms/index.js";
+import {
+  getSmsProvider,
+  isSmsEnabled,
+  smsChannel,
+} from "../providers/sms/index.js";
+
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 60_000; // 1 min, then 2, 4 … capped below
+const MAX_DELAY_MS = 30 * 60 * 1000; // a late text is little use
+const STUCK_SENDING_MINUTES = 5;
+
+const STOP_KEYWORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "ARRET", "ARRÊT"];
+const START_KEYWORDS = ["START", "UNSTOP", "DEMARRER", "DÉMARRER"];
+
+/** Creates sms_outbox and sms_opt_outs.  Called from server.js. */
+export async function ensureSmsTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sms_outbox (
+      id                   SERIAL        PRIMARY KEY,
+      template             VARCHAR(60)   NOT NULL,
+      template_version     INTEGER       NOT NULL,
+      language             VARCHAR(2)    NOT NULL,
+      channel              VARCHAR(10)   NOT NULL CHECK (channel IN ('sms', 'whatsapp')),
+      to_phone             VARCHAR(20)   NOT NULL,
+      body                 TEXT          NOT NULL,
+      data                 JSONB         NOT NULL DEFAULT '{}',
+      invoice_number       VARCHAR(50),
+      status               VARCHAR(20)   NOT NULL DEFAULT 'queued'
+                           CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'dead', 'opted_out')),
+      provider             VARCHAR(20),
+      provider_message_id  VARCHAR(255),
+      attempts             INTEGER       NOT NULL DEFAULT 0,
+      next_attempt_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      last_error           TEXT,
+      created_at           TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      updated_at           TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      sent_at              TIMESTAMPTZ
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_sms_outbox_due ON sms_outbox (status, next_attempt_at)",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_sms_outbox_phone ON sms_outbox (to_phone, created_at DESC)",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_sms_outbox_invoice ON sms_outbox (invoice_number)",
+  );
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sms_opt_outs (
+      phone       VARCHAR(20)  PRIMARY KEY,
+      source      VARCHAR(20)  NOT NULL CHECK (source IN ('reply', 'admin')),
+      created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+const backoffMs = (attempts) =>
+  Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+
+const deliverInBackground = (id) =>
+  deliverSms(id).catch((err) =>
+    logger.error("SMS delivery crashed", { smsId: id, error: err.message }),
+  );
+
+/** True when `phone` (normalised) replied STOP or was opted out by support. */
+export async function isOptedOut(phone) {
+  const result = await db.query("SELECT 1 FROM sms_opt_outs WHERE phone = $1", [
+    phone,
+  ]);
+  return result.rows.length > 0;
+}
+
+/** Stops all texts to `phone`.  `source` is "reply" or "admin". */
+export async function optOut(phone, source) {
+  await db.query(
+    `INSERT INTO sms_opt_outs (phone, source) VALUES ($1, $2)
+     ON CONFLICT (phone) DO NOTHING`,
+    [phone, source],
+  );
+}
+
+/** Lets texts to `phone` through again.  Returns false if it was not opted out. */
+export async function optIn(phone) {
+  const result = await db.query("DELETE FROM sms_opt_outs WHERE phone = $1", [
+    phone,
+  ]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Attempts one outbox message now if it is due.  The atomic claim lets
+ * exactly one caller send it.  Returns the row after the attempt.
+ */
+export async function deliverSms(smsId) {
+  const claim = await db.query(
+    `UPDATE sms_outbox
+        SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+      WHERE id = $1
+        AND status IN ('queued', 'failed')
+        AND next_attempt_at <= NOW()
+      RETURNING *`,
+    [smsId],
+  );
+  if (claim.rows.length === 0) {
+    const current = await db.query("SELECT * FROM sms_outbox WHERE id = $1", [
+      smsId,
+    ]);
+    return current.rows[0] ?? null;
+  }
+  const sms = claim.rows[0];
+
+  // The buyer may have replied STOP while the message was waiting.
+  if (await isOptedOut(sms.to_phone)) {
+    const skipped = await db.query(
+      `UPDATE sms_outbox SET status = 'opted_out', updated_at = NOW()
+        WHERE id = $1 RETURNING *`,
+      [sms.id],
+    );
+    return skipped.rows[0];
+  }
+
+  let provider = null;
+  let messageId = null;
+  let error = null;
+  let permanent = false;
+  try {
+    provider = getSmsProvider();
+    ({ messageId } = await provider.send({
+      channel: sms.channel,
+      to: sms.to_phone,
+      body: sms.body,
+    }));
+  } catch (err) {
+    error = err.message;
+    permanent = err.permanent === true;
+  }
+
+  if (!error) {
+    const done = await db.query(
+      `UPDATE sms_outbox
+          SET status = 'sent', provider = $2, provider_message_id = $3,
+              last_error = NULL, sent_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [sms.id, provider.name, messageId],
+    );
+    return done.rows[0];
+  }
+
+  const dead = permanent || sms.attempts >= MAX_ATTEMPTS;
+  const failed = await db.query(
+    `UPDATE sms_outbox
+        SET status = $2, provider = $3, last_error = $4, updated_at = NOW(),
+            next_attempt_at = NOW() + ($5 || ' milliseconds')::interval
+      WHERE id = $1
+      RETURNING *`,
+    [
+      sms.id,
+      dead ? "dead" : "failed",
+      provider?.name ?? null,
+      error.slice(0, 500),
+      String(backoffMs(sms.attempts)),
+    ],
+  );
+  logger.log(dead ? "error" : "warn", "SMS delivery failed", {
+    smsId: sms.id,
+    template: sms.template,
+    attempt: sms.attempts,
+    error,
+  });
+  return failed.rows[0];
+}
+
+/**
+ * Renders `template` and queues it for the phone number `to`, then attempts
+ * it in the background — or from `notBefore` (a Date) on, e.g. after a
+ * seller's quiet hours.  An opted-out number gets an 'opted_out' row and
+ * nothing is sent.
+ *
+ * Returns the outbox row, or null when texts are switched off or nothing
+ * could be queued.  Never throws, like sendEmail().
+ */
+export async function sendSms(
+  template,
+  { to, data = {}, lang, invoiceNumber = null, notBefore = null },
+) {
+  try {
+    if (!isSmsEnabled() || !to) return null;
+    const parsed = parsePhone(to);
+    if (parsed.error) {
+      logger.warn("SMS not queued: invalid number", {
+        template,
+        error: parsed.error,
+      });
+      return null;
+    }
+    const rendered = renderSms(template, data, lang);
+    const optedOut = await isOptedOut(parsed.phone);
+
+    const result = await db.query(
+      `INSERT INTO sms_outbox
+         (template, template_version, language, channel, to_phone, body, data,
+          invoice_number, status, next_attempt_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, NOW()))
+       RETURNING *`,
+      [
+        template,
+        rendered.version,
+        rendered.lang,
+        smsChannel(),
+        parsed.phone,
+        rendered.body,
+        JSON.stringify(data),
+        invoiceNumber,
+        optedOut ? "opted_out" : "queued",
+        notBefore,
+      ],
+    );
+    const sms = result.rows[0];
+    if (!optedOut && !notBefore) deliverInBackground(sms.id);
+    return sms;
+  } catch (err) {
+    logger.error("Could not queue SMS", { template, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * sendSms() to the buyer of `invoiceNumber`: the Mobile Money number and
+ * language from their latest guests row, unless `phone` / `lang` are given.
+ *
+ *   sendBuyerSms("buyer.order_delivered", {
+ *     invoiceNumber,
+ *     data: { invoiceNumber, invoiceName, autoReleaseAt },
+ *   });
+ */
+export async function sendBuyerSms(
+  template,
+  { invoiceNumber, data = {}, phone, lang },
+) {
+  if (!isSmsEnabled()) return null;
+  try {
+    if (!phone) {
+      const guest = await db.query(
+        `SELECT momo_number, language FROM guests
+          WHERE invoicenumber = $1
+          ORDER BY created_at DESC LIMIT 1`,
+        [invoiceNumber],
+      );
+      phone = guest.rows[0]?.momo_number;
+      lang = lang ?? guest.rows[0]?.language;
+    }
+  } catch (err) {
+    logger.error("Could not look up buyer phone", {
+      invoiceNumber,
+      error: err.message,
+    });
+    return null;
+  }
+  return sendSms(template, {
+    to: phone,
+    lang: lang ?? DEFAULT_LANGUAGE,
+    data,
+    invoiceNumber,
+  });
+}
+
+/**
+ * A reply from a buyer (POST /sms/inbound).  STOP opts the number out,
+ * START opts it back in; anything else is only logged.  Returns "opted_out",
+ * "opted_in" or null.
+ */
+export async function handleInboundSms({ from, text }) {
+  const parsed = parsePhone(from);
+  if (parsed.error) return null;
+  const keyword = String(text).trim().toUpperCase();
+
+  if (STOP_KEYWORDS.includes(keyword)) {
+    await optOut(parsed.phone, "reply");
+    logger.info("SMS opt-out by reply", { phone: parsed.phone });
+    return "opted_out";
+  }
+  if (START_KEYWORDS.includes(keyword)) {
+    await optIn(parsed.phone);
+    logger.info("SMS opt-in by reply", { phone: parsed.phone });
+    return "opted_in";
+  }
+  logger.info("Inbound SMS ignored", { phone: parsed.phone });
+  return null;
+}
+
+/**
+ * Worker tick: requeues messages stuck in 'sending' (a crash mid-send) and
+ * attempts every message that is due.
+ */
+export async function runSmsQueue() {
+  try {
+    await db.query(
+      `UPDATE sms_outbox
+          SET status = 'failed', updated_at = NOW(),
+              last_error = 'Worker stopped while the message was being sent.'
+        WHERE status = 'sending'
+          AND updated_at < NOW() - ($1 || ' minutes')::interval`,
+      [String(STUCK_SENDING_MINUTES)],
+    );
+
+    const due = await db.query(
+      `SELECT id FROM sms_outbox
+        WHERE status IN ('queued', 'failed') AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT 100`,
+    );
+    for (const { id } of due.rows) {
+      await deliverSms(id);
+    }
+    if (due.rows.length > 0) {
+      console.log(`⏰ [SMS] Attempted ${due.rows.length} message(s)`);
+    }
+  } catch (err) {
+    console.error("❌ [SMS] Queue error:", err.message);
+  }
+}
@@ -0,0 +1,310 @@
+/**
+ * webhookQueue.js
+ *
+ * Outbound webhooks: server-to-server callbacks to the endpoints sellers
+ * register under /webhooks, for the escrow events in WEBHOOK_EVENTS.
+ *
+ * emitWebhookEvent() stores one webhook_deliveries row per subscribed
+ * endpoint and attempts it straight away.  Deliveries that fail (network
+ * error, timeout or a non-2xx answer) are retried with exponential back-off
+ * by runWebhookQueue(), every minute on worker 0, until MAX_ATTEMPTS.
+ *
+ * Delivery states:
+ *   queued     → waiting for its first attempt
+ *   sending    → claimed by a worker, request in flight
+ *   succeeded  → the endpoint answered 2xx
+ *   failed     → will be retried at next_attempt_at
+ *   dead       → out of retries; can still be replayed by the seller
+ *
+ * Every request is signed so sellers can verify it came from Fonlok:
+ *   Fonlok-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ * where the HMAC is computed with the endpoint's secret over
+ * "<t>.<raw JSON body>".  The event id is stable across retries and
+ * replays, so receivers can de-duplicate on it.
+ */
+
+import crypto from "crypto";
+import axios from "axios";
+import db from "../controllers/db.js";
+import logger from "../utils/logger.js";
+
+export const WEBHOOK_EVENTS = [
+  "invoice.paid",
+  "invoice.delivered",
+  "milestone.completed",
+  "milestone.released",
+  "payout.sent",
+  "dispute.opened",
+  "dispute.resolved",
+];
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 60_000; // 1 min, then 2, 4, 8 … capped below
+const MAX_DELAY_MS = 12 * 60 * 60 * 1000; // never wait more than 12 h
+const TIMEOUT_MS = 10_000;
+const STUCK_SENDING_MINUTES = 5;
+
+/** Creates webhook_endpoints and webhook_deliveries.  Called from server.js. */
+export async function ensureWebhookTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id           SERIAL       PRIMARY KEY,
+      user_id      INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      url          TEXT         NOT NULL,
+      secret       TEXT         NOT NULL,
+      events       TEXT[]       NOT NULL,
+      description  VARCHAR(200),
+      active       BOOLEAN      NOT NULL DEFAULT true,
+      created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+      updated_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user ON webhook_endpoints (user_id)",
+  );
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id               SERIAL       PRIMARY KEY,
+      endpoint_id      INTEGER      NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+      event_id         UUID         NOT NULL,
+      event_type       VARCHAR(40)  NOT NULL,
+      payload          JSONB        NOT NULL,
+      status           VARCHAR(20)  NOT NULL DEFAULT 'queued'
+                       CHECK (status IN ('queued', 'sending', 'succeeded', 'failed', 'dead')),
+      attempts         INTEGER      NOT NULL DEFAULT 0,
+      next_attempt_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+      response_status  INTEGER,
+      response_body    TEXT,
+      last_error       TEXT,
+      replay_of        INTEGER      REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+      created_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+      updated_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+      delivered_at     TIMESTAMPTZ
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id, created_at DESC)",
+  );
+}
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/** The Fonlok-Signature header value for a body sent at `timestamp`. */
+export const signWebhook = (secret, timestamp, body) =>
+  `t=${timestamp},v1=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+const backoffMs = (attempts) =>
+  Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+
+const insertDelivery = async (endpointId, payload, replayOf = null) => {
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, replay_of)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [endpointId, payload.id, payload.type, JSON.stringify(payload), replayOf],
+  );
+  return result.rows[0];
+};
+
+/**
+ * Attempts one delivery now if it is due.  The atomic claim lets exactly
+ * one caller send it.  Returns the delivery row after the attempt.
+ */
+export async function deliverWebhook(deliveryId) {
+  const claim = await db.query(
+    `UPDATE webhook_deliveries d
+        SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+       FROM webhook_endpoints e
+      WHERE d.id = $1
+        AND e.id = d.endpoint_id
+        AND d.status IN ('queued', 'failed')
+        AND d.next_attempt_at <= NOW()
+      RETURNING d.*, e.url, e.secret`,
+    [deliveryId],
+  );
+  if (claim.rows.length === 0) {
+    const current = await db.query(
+      "SELECT * FROM webhook_deliveries WHERE id = $1",
+      [deliveryId],
+    );
+    return current.rows[0] ?? null;
+  }
+  const { url, secret, ...delivery } = claim.rows[0];
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    const response = await axios.post(url, body, {
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      maxContentLength: 64 * 1024,
+      validateStatus: () => true,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Fonlok-Webhooks/1.0",
+        "Fonlok-Event": delivery.event_type,
+        "Fonlok-Event-Id": delivery.event_id,
+        "Fonlok-Delivery": String(delivery.id),
+        "Fonlok-Signature": signWebhook(secret, timestamp, body),
+      },
+    });
+    responseStatus = response.status;
+    responseBody = String(
+      typeof response.data === "string"
+        ? response.data
+        : JSON.stringify(response.data ?? ""),
+    ).slice(0, 1000);
+    if (response.status < 200 || response.status >= 300) {
+      error = `Endpoint answered HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = (err.code ? `${err.code}: ` : "") + err.message;
+  }
+
+  if (!error) {
+    const done = await db.query(
+      `UPDATE webhook_deliveries
+          SET status = 'succeeded', response_status = $2, response_body = $3,
+              last_error = NULL, delivered_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [delivery.id, responseStatus, responseBody],
+    );
+    return done.rows[0];
+  }
+
+  const dead = delivery.attempts >= MAX_ATTEMPTS;
+  const failed = await db.query(
+    `UPDATE webhook_deliveries
+        SET status = $2, response_status = $3, response_body = $4,
+            last_error = $5, updated_at = NOW(),
+            next_attempt_at = NOW() + ($6 || ' milliseconds')::interval
+      WHERE id = $1
+      RETURNING *`,
+    [
+      delivery.id,
+      dead ? "dead" : "failed",
+      responseStatus,
+      responseBody,
+      error.slice(0, 500),
+      String(backoffMs(delivery.attempts)),
+    ],
+  );
+  logger.log(dead ? "error" : "warn", "Webhook delivery failed", {
+    deliveryId: delivery.id,
+    endpointId: delivery.endpoint_id,
+    event: delivery.event_type,
+    attempt: delivery.attempts,
+    error,
+  });
+  return failed.rows[0];
+}
+
+/**
+ * Queues `type` for every active endpoint of `userId` subscribed to it and
+ * attempts the deliveries in the background.  Never throws — a webhook
+ * problem must never break the action that triggered it.
+ */
+export async function emitWebhookEvent(userId, type, data) {
+  try {
+    if (!userId) return;
+    const endpoints = await db.query(
+      `SELECT id FROM webhook_endpoints
+        WHERE user_id = $1 AND active = true AND $2 = ANY(events)`,
+      [userId, type],
+    );
+    if (endpoints.rows.length === 0) return;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      type,
+      created_at: new Date().toISOString(),
+      data,
+    };
+    for (const { id } of endpoints.rows) {
+      const delivery = await insertDelivery(id, payload);
+      deliverWebhook(delivery.id).catch((err) =>
+        logger.error("Webhook delivery crashed", {
+          deliveryId: delivery.id,
+          error: err.message,
+        }),
+      );
+    }
+  } catch (err) {
+    console.error(`⚠️  Could not queue webhook ${type}:`, err.message);
+  }
+}
+
+/**
+ * Sends a `test.ping` event to one endpoint, whatever it is subscribed to.
+ * Returns the delivery after the attempt.
+ */
+export async function sendTestEvent(endpoint) {
+  const delivery = await insertDelivery(endpoint.id, {
+    id: crypto.randomUUID(),
+    type: "test.ping",
+    created_at: new Date().toISOString(),
+    data: {
+      message: "This is a test event from Fonlok.",
+      endpoint_id: endpoint.id,
+    },
+  });
+  return deliverWebhook(delivery.id);
+}
+
+/**
+ * Sends a past delivery's event again, as a new delivery with the same event
+ * id and payload.  Returns the new delivery after the attempt.
+ */
+export async function replayDelivery(original) {
+  const delivery = await insertDelivery(
+    original.endpoint_id,
+    original.payload,
+    original.id,
+  );
+  return deliverWebhook(delivery.id);
+}
+
+/**
+ * Worker tick: requeues deliveries stuck in 'sending' (a crash mid-request —
+ * webhooks are safe to resend) and attempts every delivery that is due.
+ */
+export async function runWebhookQueue() {
+  try {
+    await db.query(
+      `UPDATE webhook_deliveries
+          SET status = 'failed', updated_at = NOW(),
+              last_error = 'Worker stopped while the request was in flight.'
+        WHERE status = 'sending'
+          AND updated_at < NOW() - ($1 || ' minutes')::interval`,
+      [String(STUCK_SENDING_MINUTES)],
+    );
+
+    const due = await db.query(
+      `SELECT d.id FROM webhook_deliveries d
+         JOIN webhook_endpoints e ON e.id = d.endpoint_id AND e.active = true
+        WHERE d.status IN ('queued', 'failed') AND d.next_attempt_at <= NOW()
+        ORDER BY d.next_attempt_at
+        LIMIT 100`,
+    );
+    for (const { id } of due.rows) {
+      await deliverWebhook(id);
+    }
+    if (due.rows.length > 0) {
+      console.log(`⏰ [Webhooks] Attempted ${due.rows.length} delivery(ies)`);
+    }
+  } catch (err) {
+    console.error("❌ [Webhooks] Queue error:", err.message);
+  }
+}
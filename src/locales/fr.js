@@ -0,0 +1,1324 @@
+/**
+ * fr.js — French catalogue (see utils/i18n.js)
+ *
+ * Keys are the English text exactly as it is written in the code, HTML and
+ * {placeholders} included.  A key that no longer matches is silently unused,
+ * so when you reword an English message, move its key here with it.
+ *
+ * The admin console and the emails sent to admins stay in English.
+ */
+
+export default {
+  // ── Emails: shared frame and labels ───────────────────────────────────────
+  "Secure Escrow Payments": "Paiements sécurisés sous séquestre",
+  "You received this email because of activity on your Fonlok account.":
+    "Vous recevez cet e-mail en raison d'une activité sur votre compte Fonlok.",
+  "&copy; {year} Fonlok &mdash; Secure Escrow Payments":
+    "&copy; {year} Fonlok &mdash; Paiements sécurisés sous séquestre",
+  Invoice: "Facture",
+  "Invoice Number": "Numéro de facture",
+  "Invoice Name": "Nom de la facture",
+  Reference: "Référence",
+  Amount: "Montant",
+  "Amount Due": "Montant dû",
+  "Amount Paid": "Montant payé",
+  "Gross Amount": "Montant brut",
+  "Amount Sent": "Montant envoyé",
+  "Amount Being Sent": "Montant en cours d'envoi",
+  "Amount Sent to You": "Montant qui vous a été envoyé",
+  "Amount in Escrow": "Montant sous séquestre",
+  "Amount to Release": "Montant à libérer",
+  "Sent To": "Envoyé au",
+  "Paid Out": "Versé le",
+  "Fonlok Fee (2%)": "Frais Fonlok (2 %)",
+  "Fonlok Fee (1.5%)": "Frais Fonlok (1,5 %)",
+  Milestone: "Étape",
+  "Milestone {number}: {label}": "Étape {number} : {label}",
+  Buyer: "Acheteur",
+  Seller: "Vendeur",
+  "View Invoice": "Voir la facture",
+  "Open Chat": "Ouvrir la discussion",
+  "Open a Dispute": "Ouvrir un litige",
+  "Go to Dashboard": "Aller au tableau de bord",
+  there: "à vous",
+  "the buyer": "l'acheteur",
+
+  // ── Emails: buyer payment confirmation (paymentWebhook.js) ────────────────
+  "Payment Confirmed - Invoice {invoice} | Fonlok":
+    "Paiement confirmé - Facture {invoice} | Fonlok",
+  "Payment Confirmed": "Paiement confirmé",
+  "Your payment has been received successfully. Your funds are held securely in escrow and will only be released to the seller once you confirm delivery.":
+    "Votre paiement a bien été reçu. Vos fonds sont conservés en toute sécurité sous séquestre et ne seront libérés au vendeur qu'après votre confirmation de livraison.",
+  "Paid &amp; Held in Escrow": "Payé &amp; conservé sous séquestre",
+  "Your official payment receipt is attached to this email as a PDF. You can also download it at any time using the button below.":
+    "Votre reçu de paiement officiel est joint à cet e-mail au format PDF. Vous pouvez aussi le télécharger à tout moment avec le bouton ci-dessous.",
+  "Download PDF Receipt": "Télécharger le reçu PDF",
+  "Next Step: Confirm Your Delivery":
+    "Prochaine étape : confirmez la livraison",
+  "Once you have received your item and are satisfied, click the button below to release the funds to the seller:":
+    "Une fois votre commande reçue et si vous en êtes satisfait, cliquez sur le bouton ci-dessous pour libérer les fonds au vendeur :",
+  "Confirm Receipt &amp; Release Funds":
+    "Confirmer la réception &amp; libérer les fonds",
+  "Alternatively, give this release code to the seller:":
+    "Vous pouvez aussi donner ce code de libération au vendeur :",
+  "Do not release the funds or share this code until you have received exactly what you ordered.":
+    "Ne libérez pas les fonds et ne communiquez pas ce code avant d'avoir reçu exactement ce que vous avez commandé.",
+  "You received this email because a payment was processed on your behalf through Fonlok Escrow. Do not share your confirmation code or link with anyone other than the seller.":
+    "Vous recevez cet e-mail parce qu'un paiement a été effectué en votre nom via Fonlok Escrow. Ne communiquez votre code ou votre lien de confirmation à personne d'autre que le vendeur.",
+  "Payment Confirmed — Milestone Escrow Active | Invoice {invoice} | Fonlok":
+    "Paiement confirmé — Séquestre par étapes actif | Facture {invoice} | Fonlok",
+  "Payment Confirmed &mdash; Milestone Escrow Active":
+    "Paiement confirmé &mdash; Séquestre par étapes actif",
+  "Your payment for invoice <strong>{invoice}</strong> has been received. Your funds are held securely in escrow and will be released to the seller <strong>one milestone at a time</strong> &mdash; only after you explicitly approve each completed stage of work.":
+    "Votre paiement pour la facture <strong>{invoice}</strong> a bien été reçu. Vos fonds sont conservés en toute sécurité sous séquestre et seront libérés au vendeur <strong>étape par étape</strong> &mdash; uniquement après votre approbation explicite de chaque étape terminée.",
+  "Total in Escrow": "Total sous séquestre",
+  "Milestone Escrow": "Séquestre par étapes",
+  "Funds Held in Escrow": "Fonds conservés sous séquestre",
+  "Your Milestones": "Vos étapes",
+  "The seller will work through each milestone. Once a milestone is marked complete, you will receive a <strong>separate email with a secure one-click release link</strong> for that milestone only. No funds are ever moved without your explicit confirmation.":
+    "Le vendeur réalisera chaque étape. Dès qu'une étape est marquée comme terminée, vous recevrez un <strong>e-mail distinct avec un lien de libération sécurisé en un clic</strong>, valable pour cette étape uniquement. Aucun fonds n'est jamais déplacé sans votre confirmation explicite.",
+  "Your official payment receipt is attached to this email as a PDF.":
+    "Votre reçu de paiement officiel est joint à cet e-mail au format PDF.",
+  "How Milestone Releases Work": "Comment fonctionne la libération par étapes",
+  "The seller completes a milestone and marks it as done.":
+    "Le vendeur termine une étape et la marque comme réalisée.",
+  "You receive an email with a secure, one-time release link for that milestone only.":
+    "Vous recevez un e-mail avec un lien de libération sécurisé, à usage unique, pour cette étape uniquement.",
+  "Click the link to review and confirm &mdash; funds are never released without your explicit approval.":
+    "Cliquez sur le lien pour vérifier et confirmer &mdash; les fonds ne sont jamais libérés sans votre approbation explicite.",
+  "Repeat for each subsequent milestone until the work is fully complete.":
+    "Recommencez pour chaque étape suivante jusqu'à ce que le travail soit entièrement terminé.",
+  "If you have concerns about any milestone, do not release payment. Use the secure chat to communicate with the seller, or open a dispute.":
+    "Si une étape vous pose problème, ne libérez pas le paiement. Utilisez la discussion sécurisée pour échanger avec le vendeur, ou ouvrez un litige.",
+  "You received this email because a milestone-based escrow payment was processed on your behalf through Fonlok. Each milestone requires your explicit approval before any funds are released to the seller.":
+    "Vous recevez cet e-mail parce qu'un paiement sous séquestre par étapes a été effectué en votre nom via Fonlok. Chaque étape nécessite votre approbation explicite avant que des fonds ne soient libérés au vendeur.",
+  "Your Secure Chat Link - Invoice {invoice} | Fonlok":
+    "Votre lien de discussion sécurisé - Facture {invoice} | Fonlok",
+  "You Can Now Chat with the Seller":
+    "Vous pouvez maintenant discuter avec le vendeur",
+  "Your payment for invoice <strong>{invoice}</strong> has been confirmed. Use the chat to communicate with the seller, ask questions, or request proof of delivery.":
+    "Votre paiement pour la facture <strong>{invoice}</strong> a été confirmé. Utilisez la discussion pour échanger avec le vendeur, poser des questions ou demander une preuve de livraison.",
+  "Have a Problem with Your Order?": "Un problème avec votre commande ?",
+  "If you did not receive what you ordered, or there is an issue with your order, you can open a dispute. A Fonlok admin will review the case and make a fair decision.":
+    "Si vous n'avez pas reçu ce que vous avez commandé, ou si votre commande pose problème, vous pouvez ouvrir un litige. Un administrateur Fonlok examinera le dossier et prendra une décision équitable.",
+  "Keep these links private - they are unique to your order. You received this email because a payment was confirmed on Fonlok.":
+    "Gardez ces liens privés - ils sont propres à votre commande. Vous recevez cet e-mail parce qu'un paiement a été confirmé sur Fonlok.",
+
+  // ── Emails: seller "invoice paid" (paymentWebhook.js) ─────────────────────
+  "✅ Invoice Paid — Please Deliver | Invoice {invoice} | Fonlok":
+    "✅ Facture payée — Merci de livrer | Facture {invoice} | Fonlok",
+  "Your Invoice Has Been Paid": "Votre facture a été payée",
+  "Hi {name}, great news! <strong>{buyer}</strong> has paid your invoice and the funds are now held securely in Fonlok escrow.":
+    "Bonjour {name}, bonne nouvelle ! <strong>{buyer}</strong> a payé votre facture et les fonds sont maintenant conservés en toute sécurité sous séquestre Fonlok.",
+  "Your next step is to deliver the goods or service you promised. Once the buyer confirms receipt, the funds will be released directly to you.":
+    "Il vous reste à livrer le bien ou le service promis. Dès que l'acheteur confirme la réception, les fonds vous sont libérés directement.",
+  "Escrow Status": "Statut du séquestre",
+  "Funds Secured": "Fonds sécurisés",
+  "What to do now": "Que faire maintenant",
+  "Deliver the product or service you agreed on with the buyer.":
+    "Livrez le produit ou le service convenu avec l'acheteur.",
+  "Use the chat to keep the buyer updated and share proof of delivery.":
+    "Utilisez la discussion pour tenir l'acheteur informé et partager une preuve de livraison.",
+  "Once the buyer confirms receipt, Fonlok will release your funds immediately.":
+    "Dès que l'acheteur confirme la réception, Fonlok libère vos fonds immédiatement.",
+  "Open Chat with Buyer": "Discuter avec l'acheteur",
+  "The funds will remain in escrow until the buyer confirms delivery. If there is a problem, either party may open a dispute and Fonlok will mediate fairly.":
+    "Les fonds restent sous séquestre jusqu'à ce que l'acheteur confirme la livraison. En cas de problème, chacune des parties peut ouvrir un litige et Fonlok assurera une médiation équitable.",
+  "You received this email because one of your Fonlok invoices was paid. Do not share your account credentials with anyone.":
+    "Vous recevez cet e-mail parce qu'une de vos factures Fonlok a été payée. Ne communiquez vos identifiants de connexion à personne.",
+
+  // ── Emails: delivery and milestones (invoices.js) ─────────────────────────
+  "Action Required: Confirm Your Delivery  - Invoice {invoice} | Fonlok":
+    "Action requise : confirmez la livraison  - Facture {invoice} | Fonlok",
+  "Action Required &mdash; Your Order Has Been Delivered":
+    "Action requise &mdash; Votre commande a été livrée",
+  "The seller has marked the following invoice as <strong>delivered</strong>. Please check that you have received everything before releasing the funds.":
+    "Le vendeur a marqué la facture suivante comme <strong>livrée</strong>. Vérifiez que vous avez tout reçu avant de libérer les fonds.",
+  "<strong>Satisfied with your order?</strong> Log in and release the funds to the seller.":
+    "<strong>Satisfait de votre commande ?</strong> Connectez-vous et libérez les fonds au vendeur.",
+  "If you have NOT received your order, do not release the funds and contact the seller immediately.":
+    "Si vous n'avez PAS reçu votre commande, ne libérez pas les fonds et contactez immédiatement le vendeur.",
+  "If you take no action, the funds will be <strong>released to the seller automatically on {date}</strong>. Open a dispute before then if something is wrong.":
+    "Sans action de votre part, les fonds seront <strong>libérés automatiquement au vendeur le {date}</strong>. Ouvrez un litige avant cette date si quelque chose ne va pas.",
+  "You received this email because a seller marked their invoice as delivered on Fonlok Escrow.":
+    "Vous recevez cet e-mail parce qu'un vendeur a marqué sa facture comme livrée sur Fonlok Escrow.",
+  "Action Required: Confirm Milestone {number}  - {invoice} | Fonlok":
+    "Action requise : confirmez l'étape {number}  - {invoice} | Fonlok",
+  "Milestone {number} &mdash; Action Required":
+    "Étape {number} &mdash; Action requise",
+  "The seller has marked <strong>Milestone {number}: {label}</strong> as complete for invoice <strong>{invoice}</strong>.":
+    "Le vendeur a marqué <strong>l'étape {number} : {label}</strong> comme terminée pour la facture <strong>{invoice}</strong>.",
+  "If you have received what was agreed for this milestone, click the button below to release the funds:":
+    "Si vous avez reçu ce qui était convenu pour cette étape, cliquez sur le bouton ci-dessous pour libérer les fonds :",
+  "Confirm &amp; Release {amount}": "Confirmer &amp; libérer {amount}",
+  "Do NOT click if you have not received this part of your order. If there is a problem, open a dispute from your invoice link.":
+    "Ne cliquez PAS si vous n'avez pas reçu cette partie de votre commande. En cas de problème, ouvrez un litige depuis le lien de votre facture.",
+  "This link can only be used once. Keep it private. You received this email because a seller marked a milestone as complete on Fonlok.":
+    "Ce lien ne peut être utilisé qu'une seule fois. Gardez-le privé. Vous recevez cet e-mail parce qu'un vendeur a marqué une étape comme terminée sur Fonlok.",
+  "Milestone Reminder: Please Confirm Milestone {number}  - {invoiceNumber} | Fonlok":
+    "Rappel d'étape : merci de confirmer l'étape {number}  - {invoiceNumber} | Fonlok",
+  "Reminder &mdash; Milestone {number}: {label}":
+    "Rappel &mdash; Étape {number} : {label}",
+  "This is a reminder that <strong>Milestone {number}: {label}</strong> for invoice <strong>{invoice}</strong> ({invoiceNumber}) has been marked as complete and is awaiting your confirmation.":
+    "Pour rappel, <strong>l'étape {number} : {label}</strong> de la facture <strong>{invoice}</strong> ({invoiceNumber}) a été marquée comme terminée et attend votre confirmation.",
+  "If you have received what was agreed, click the button below to release the funds:":
+    "Si vous avez reçu ce qui était convenu, cliquez sur le bouton ci-dessous pour libérer les fonds :",
+  "Do NOT click if you have not received this part of your order.":
+    "Ne cliquez PAS si vous n'avez pas reçu cette partie de votre commande.",
+  "This link can only be used once. Keep it private. You are receiving this because your seller asked us to resend the confirmation.":
+    "Ce lien ne peut être utilisé qu'une seule fois. Gardez-le privé. Vous recevez cet e-mail parce que votre vendeur nous a demandé de renvoyer la confirmation.",
+  "Delivery Reminder: Please Release Funds  - Invoice {invoice} | Fonlok":
+    "Rappel de livraison : merci de libérer les fonds  - Facture {invoice} | Fonlok",
+  "Reminder &mdash; Your Order Has Been Delivered":
+    "Rappel &mdash; Votre commande a été livrée",
+  "The seller has marked invoice <strong>{name}</strong> ({invoice}) as <strong>delivered</strong>. Please check that you received everything before releasing the funds.":
+    "Le vendeur a marqué la facture <strong>{name}</strong> ({invoice}) comme <strong>livrée</strong>. Vérifiez que vous avez tout reçu avant de libérer les fonds.",
+  "If you have received your order, log in and release the funds to the seller:":
+    "Si vous avez reçu votre commande, connectez-vous et libérez les fonds au vendeur :",
+  "View Invoice &amp; Release Funds": "Voir la facture &amp; libérer les fonds",
+  "If you have NOT received your order, do not release the funds and contact the seller to resolve the issue.":
+    "Si vous n'avez PAS reçu votre commande, ne libérez pas les fonds et contactez le vendeur pour régler le problème.",
+  "You are receiving this reminder because your seller asked us to resend the delivery notification.":
+    "Vous recevez ce rappel parce que votre vendeur nous a demandé de renvoyer la notification de livraison.",
+
+  // ── Emails: payment reminders and automatic release (scheduledJobs.js) ───
+  "Payment Reminder: Invoice Awaiting Payment  - {name}":
+    "Rappel de paiement : facture en attente de paiement  - {name}",
+  "Second Reminder: Payment Still Pending  - {name}":
+    "Deuxième rappel : paiement toujours en attente  - {name}",
+  "Final Notice: Invoice Expiring Soon  - {name}":
+    "Dernier avis : la facture expire bientôt  - {name}",
+  "Just a friendly reminder that the following invoice is still awaiting your payment.":
+    "Petit rappel : la facture suivante attend toujours votre paiement.",
+  "We noticed the invoice below is still unpaid. The seller is waiting for your payment.":
+    "La facture ci-dessous n'est toujours pas payée. Le vendeur attend votre paiement.",
+  "This is a final reminder. If this invoice is not paid soon, it may expire and the seller will need to reissue it.":
+    "Ceci est un dernier rappel. Si cette facture n'est pas payée rapidement, elle risque d'expirer et le vendeur devra en émettre une nouvelle.",
+  "Pay Now": "Payer maintenant",
+  "Pay Invoice": "Payer la facture",
+  "Pay Before It Expires": "Payer avant l'expiration",
+  "You received this email because a seller sent you an invoice through Fonlok. If you did not request this, you can safely ignore this message.":
+    "Vous recevez cet e-mail parce qu'un vendeur vous a envoyé une facture via Fonlok. Si vous n'êtes pas concerné, vous pouvez ignorer ce message.",
+  "Funds Release in {hours} Hours — Invoice {invoice} | Fonlok":
+    "Libération des fonds dans {hours} heures — Facture {invoice} | Fonlok",
+  "Funds Will Be Released Soon": "Les fonds seront bientôt libérés",
+  "The seller marked this order as delivered. Unless you open a dispute, the funds held in escrow will be <strong>released to the seller automatically on {date}</strong>.":
+    "Le vendeur a marqué cette commande comme livrée. Sauf si vous ouvrez un litige, les fonds conservés sous séquestre seront <strong>libérés automatiquement au vendeur le {date}</strong>.",
+  "Automatic Release": "Libération automatique",
+  "If you have NOT received your order or something is wrong, open a dispute before the release date.":
+    "Si vous n'avez PAS reçu votre commande ou si quelque chose ne va pas, ouvrez un litige avant la date de libération.",
+  "Never share your release code with the seller before you have received exactly what you ordered.":
+    "Ne communiquez jamais votre code de libération au vendeur avant d'avoir reçu exactement ce que vous avez commandé.",
+  "You received this email because you paid an invoice through Fonlok Escrow.":
+    "Vous recevez cet e-mail parce que vous avez payé une facture via Fonlok Escrow.",
+  "Funds Released to the Seller — Invoice {invoice} | Fonlok":
+    "Fonds libérés au vendeur — Facture {invoice} | Fonlok",
+  "Funds Released Automatically": "Fonds libérés automatiquement",
+  "The inspection period for this order ended on {date} without a dispute, so the funds held in escrow have been released to the seller.":
+    "La période d'inspection de cette commande s'est terminée le {date} sans litige ; les fonds conservés sous séquestre ont donc été libérés au vendeur.",
+  'If you believe this is a mistake, contact <a href="mailto:support@fonlok.com" style="color:#F59E0B;">support@fonlok.com</a>.':
+    'Si vous pensez qu\'il s\'agit d\'une erreur, contactez <a href="mailto:support@fonlok.com" style="color:#F59E0B;">support@fonlok.com</a>.',
+  "Fonlok Escrow automatic release confirmation.":
+    "Confirmation de libération automatique Fonlok Escrow.",
+  "Milestone {number} Release in {hours} Hours — Invoice {invoice} | Fonlok":
+    "Libération de l'étape {number} dans {hours} heures — Facture {invoice} | Fonlok",
+  "The seller marked <strong>Milestone {number}: {label}</strong> as complete. Unless you release it yourself or open a dispute, its funds will be <strong>released to the seller automatically on {date}</strong>.":
+    "Le vendeur a marqué <strong>l'étape {number} : {label}</strong> comme terminée. Sauf si vous la libérez vous-même ou ouvrez un litige, ses fonds seront <strong>libérés automatiquement au vendeur le {date}</strong>.",
+  "If you have NOT received this part of your order or something is wrong, open a dispute before the release date.":
+    "Si vous n'avez PAS reçu cette partie de votre commande ou si quelque chose ne va pas, ouvrez un litige avant la date de libération.",
+  "Milestone {number} Funds Released to the Seller — Invoice {invoice} | Fonlok":
+    "Fonds de l'étape {number} libérés au vendeur — Facture {invoice} | Fonlok",
+  "The inspection period for <strong>Milestone {number}: {label}</strong> ended on {date} without a dispute, so its funds have been released to the seller.":
+    "La période d'inspection de <strong>l'étape {number} : {label}</strong> s'est terminée le {date} sans litige ; ses fonds ont donc été libérés au vendeur.",
+
+  // ── Emails: payouts to the seller (payout.js) ─────────────────────────────
+  "Payout Confirmed  - Invoice {invoice} | Fonlok":
+    "Versement confirmé  - Facture {invoice} | Fonlok",
+  "Payout Confirmed &mdash; Funds Sent":
+    "Versement confirmé &mdash; Fonds envoyés",
+  "Hello {name}, the buyer has confirmed delivery and your funds have been transferred to your Mobile Money account.":
+    "Bonjour {name}, l'acheteur a confirmé la livraison et vos fonds ont été transférés sur votre compte Mobile Money.",
+  "Your official payout receipt is attached to this email as a PDF. You can also download it at any time using the button below.":
+    "Votre reçu de versement officiel est joint à cet e-mail au format PDF. Vous pouvez aussi le télécharger à tout moment avec le bouton ci-dessous.",
+  "Thank you for using Fonlok. This email confirms your payout has been processed. Please keep this receipt for your records.":
+    "Merci d'utiliser Fonlok. Cet e-mail confirme que votre versement a été traité. Conservez ce reçu pour vos archives.",
+  "Milestone Payment Released — {label} | Fonlok":
+    "Paiement d'étape libéré — {label} | Fonlok",
+  "Milestone Payment Sent &mdash; {label}":
+    "Paiement d'étape envoyé &mdash; {label}",
+  "Hello {name}, the buyer has confirmed <strong>{label}</strong> for invoice <strong>{invoice}</strong> and your payment has been processed.":
+    "Bonjour {name}, l'acheteur a confirmé <strong>{label}</strong> pour la facture <strong>{invoice}</strong> et votre paiement a été traité.",
+  "All milestones have been released. This invoice is now complete.":
+    "Toutes les étapes ont été libérées. Cette facture est maintenant terminée.",
+  "Remaining milestones: <strong>{count}</strong>":
+    "Étapes restantes : <strong>{count}</strong>",
+  "Your payout receipt is attached to this email as a PDF.":
+    "Votre reçu de versement est joint à cet e-mail au format PDF.",
+  "Thank you for using Fonlok. This email confirms your milestone payout has been processed. Please keep this receipt for your records.":
+    "Merci d'utiliser Fonlok. Cet e-mail confirme que le versement de votre étape a été traité. Conservez ce reçu pour vos archives.",
+
+  // ── Emails: disputes (dispute.js) ─────────────────────────────────────────
+  "Your Dispute Has Been Filed  - Invoice {invoice} | Fonlok":
+    "Votre litige a été enregistré  - Facture {invoice} | Fonlok",
+  "A Buyer Has Opened a Dispute on Your Invoice | Fonlok":
+    "Un acheteur a ouvert un litige sur votre facture | Fonlok",
+  "Your Dispute Has Been Submitted": "Votre litige a été soumis",
+  "A Buyer Has Opened a Dispute": "Un acheteur a ouvert un litige",
+  "We have received your dispute request. Our admin team will review all messages and make a fair decision within <strong>24 -48 hours</strong>.":
+    "Nous avons bien reçu votre demande de litige. Notre équipe d'administration examinera tous les messages et prendra une décision équitable sous <strong>24 à 48 heures</strong>.",
+  "A buyer has filed a dispute on one of your invoices. Our admin team has been notified and will review the case within <strong>24 -48 hours</strong>.":
+    "Un acheteur a ouvert un litige sur l'une de vos factures. Notre équipe d'administration a été prévenue et examinera le dossier sous <strong>24 à 48 heures</strong>.",
+  "Opened By": "Ouvert par",
+  "You (seller)": "Vous (vendeur)",
+  "You (buyer)": "Vous (acheteur)",
+  Reason: "Motif",
+  "You can view the full conversation and track the dispute resolution in the chat thread.":
+    "Vous pouvez consulter toute la conversation et suivre la résolution du litige dans la discussion.",
+  "View Dispute Chat": "Voir la discussion du litige",
+  "Dispute Notification": "Notification de litige",
+  "Please do not attempt to pressure the other party. All disputes are reviewed and resolved fairly by Fonlok admin.":
+    "Merci de ne pas faire pression sur l'autre partie. Tous les litiges sont examinés et résolus équitablement par l'administration Fonlok.",
+  "A Dispute Has Been Opened on Your Purchase | Fonlok":
+    "Un litige a été ouvert sur votre achat | Fonlok",
+  "A Dispute Has Been Opened on Your Purchase":
+    "Un litige a été ouvert sur votre achat",
+  "The seller has filed a dispute regarding your purchase. Our admin team has been notified and will review the case within <strong>24 -48 hours</strong>.":
+    "Le vendeur a ouvert un litige concernant votre achat. Notre équipe d'administration a été prévenue et examinera le dossier sous <strong>24 à 48 heures</strong>.",
+  "Your funds are safely held in escrow and will not be released until the dispute is resolved.":
+    "Vos fonds sont conservés en toute sécurité sous séquestre et ne seront pas libérés tant que le litige n'est pas résolu.",
+  "Do not release the funds or share your release code while the dispute is open.":
+    "Ne libérez pas les fonds et ne communiquez pas votre code de libération tant que le litige est ouvert.",
+  "View Invoice &amp; Chat": "Voir la facture &amp; la discussion",
+  "Dispute Resolved: Funds Released to You — Invoice {invoice} | Fonlok":
+    "Litige résolu : fonds libérés en votre faveur — Facture {invoice} | Fonlok",
+  "Dispute Resolved — Funds Released to You":
+    "Litige résolu — Fonds libérés en votre faveur",
+  "Hello {name}, the admin reviewed the dispute for invoice <strong>{invoice}</strong> and released funds to you.":
+    "Bonjour {name}, l'administrateur a examiné le litige de la facture <strong>{invoice}</strong> et vous a libéré les fonds.",
+  "Effective Amount": "Montant concerné",
+  "Fonlok Escrow — dispute resolved in your favour.":
+    "Fonlok Escrow — litige résolu en votre faveur.",
+  "Dispute Update — Invoice {invoice} | Fonlok":
+    "Mise à jour du litige — Facture {invoice} | Fonlok",
+  "Dispute Resolved": "Litige résolu",
+  "The admin reviewed the dispute for invoice <strong>{invoice}</strong> and decided to release the funds to the seller.":
+    "L'administrateur a examiné le litige de la facture <strong>{invoice}</strong> et a décidé de libérer les fonds au vendeur.",
+  'If you believe this was unfair, contact <a href="mailto:support@fonlok.com" style="color:#F59E0B;">support@fonlok.com</a>.':
+    'Si vous estimez cette décision injuste, contactez <a href="mailto:support@fonlok.com" style="color:#F59E0B;">support@fonlok.com</a>.',
+  "Fonlok Escrow dispute resolution.": "Résolution de litige Fonlok Escrow.",
+  "Refund Processed — Invoice {invoice} | Fonlok":
+    "Remboursement effectué — Facture {invoice} | Fonlok",
+  "Refund Processed — Funds Sent to You":
+    "Remboursement effectué — Fonds qui vous sont envoyés",
+  "The admin reviewed the dispute for invoice <strong>{invoice}</strong> and processed your refund.":
+    "L'administrateur a examiné le litige de la facture <strong>{invoice}</strong> et a procédé à votre remboursement.",
+  "Gross Disputed Amount": "Montant brut en litige",
+  "Refund Sent to You": "Remboursement envoyé",
+  "Refund Being Sent to You": "Remboursement en cours d'envoi",
+  "Fonlok Escrow dispute refund confirmation.":
+    "Confirmation de remboursement de litige Fonlok Escrow.",
+  "Dispute Resolved: Refund Issued to Buyer — Invoice {invoice} | Fonlok":
+    "Litige résolu : acheteur remboursé — Facture {invoice} | Fonlok",
+  "Dispute Resolved — Refund Issued to Buyer":
+    "Litige résolu — Acheteur remboursé",
+  "Hello {name}, the admin reviewed the dispute for invoice <strong>{invoice}</strong> and issued a refund to the buyer.":
+    "Bonjour {name}, l'administrateur a examiné le litige de la facture <strong>{invoice}</strong> et a remboursé l'acheteur.",
+  "Fonlok Escrow dispute resolution notification.":
+    "Notification de résolution de litige Fonlok Escrow.",
+  "Dispute Settled: Split Decision — Invoice {invoice} | Fonlok":
+    "Litige réglé : décision de partage — Facture {invoice} | Fonlok",
+  "Dispute Settled — Split Decision": "Litige réglé — Décision de partage",
+  "Hello {name}, the admin reviewed the dispute for invoice <strong>{invoice}</strong> and split the escrowed funds: {percent}% to you and the rest refunded to the buyer.":
+    "Bonjour {name}, l'administrateur a examiné le litige de la facture <strong>{invoice}</strong> et a partagé les fonds sous séquestre : {percent} % pour vous et le reste remboursé à l'acheteur.",
+  "Amount in Dispute": "Montant en litige",
+  "Your Share": "Votre part",
+  "Dispute Settled: Partial Refund — Invoice {invoice} | Fonlok":
+    "Litige réglé : remboursement partiel — Facture {invoice} | Fonlok",
+  "Dispute Settled — Partial Refund": "Litige réglé — Remboursement partiel",
+  "The admin reviewed the dispute for invoice <strong>{invoice}</strong> and split the escrowed funds: part was released to the seller and the rest refunded to you.":
+    "L'administrateur a examiné le litige de la facture <strong>{invoice}</strong> et a partagé les fonds sous séquestre : une partie a été libérée au vendeur et le reste vous a été remboursé.",
+  "Your Refund Did Not Arrive — Invoice {invoice} | Fonlok":
+    "Votre remboursement n'est pas arrivé — Facture {invoice} | Fonlok",
+  "Your Refund Did Not Arrive": "Votre remboursement n'est pas arrivé",
+  "The refund for invoice <strong>{invoice}</strong> could not be delivered to your Mobile Money account. The money is safe with Fonlok: our team has been alerted and will send it again.":
+    "Le remboursement de la facture <strong>{invoice}</strong> n'a pas pu être envoyé sur votre compte Mobile Money. L'argent est en sécurité chez Fonlok : notre équipe a été alertée et le renverra.",
+  "Refund Amount": "Montant du remboursement",
+  'If this is not your Mobile Money number, contact <a href="mailto:support@fonlok.com" style="color:#F59E0B;">support@fonlok.com</a>.':
+    'Si ce n\'est pas votre numéro Mobile Money, contactez <a href="mailto:support@fonlok.com" style="color:#F59E0B;">support@fonlok.com</a>.',
+  "Fonlok Escrow dispute refund notification.":
+    "Notification de remboursement de litige Fonlok Escrow.",
+  "Refund Sent Again — Invoice {invoice} | Fonlok":
+    "Remboursement renvoyé — Facture {invoice} | Fonlok",
+  "Refund Sent Again": "Remboursement renvoyé",
+  "We sent the refund for invoice <strong>{invoice}</strong> to your Mobile Money account again.":
+    "Nous avons renvoyé le remboursement de la facture <strong>{invoice}</strong> sur votre compte Mobile Money.",
+
+  // ── Emails: chat (chat.js) ────────────────────────────────────────────────
+  "New message from the seller – Invoice {invoice} | Fonlok":
+    "Nouveau message du vendeur – Facture {invoice} | Fonlok",
+  "The seller replied to you": "Le vendeur vous a répondu",
+  "The seller has sent you a new message regarding invoice <strong>{invoice}</strong>. Click below to view and reply.":
+    "Le vendeur vous a envoyé un nouveau message au sujet de la facture <strong>{invoice}</strong>. Cliquez ci-dessous pour le lire et répondre.",
+  "You will only receive one reminder per 10 minutes to avoid inbox clutter.":
+    "Vous ne recevrez qu'un rappel toutes les 10 minutes pour ne pas encombrer votre boîte de réception.",
+  "You received this because you are the buyer on a Fonlok escrow transaction. Keep your chat link private.":
+    "Vous recevez ce message parce que vous êtes l'acheteur d'une transaction sous séquestre Fonlok. Gardez votre lien de discussion privé.",
+
+  // ── Emails: account (passwordReset.js, payoutPhone.js, admin.js) ──────────
+  "Reset Your Fonlok Password": "Réinitialisez votre mot de passe Fonlok",
+  "Reset Your Password": "Réinitialisez votre mot de passe",
+  "Hi {name}, we received a request to reset the password for your Fonlok account. Click the button below to create a new password. This link expires in <strong>1 hour</strong>.":
+    "Bonjour {name}, nous avons reçu une demande de réinitialisation du mot de passe de votre compte Fonlok. Cliquez sur le bouton ci-dessous pour créer un nouveau mot de passe. Ce lien expire dans <strong>1 heure</strong>.",
+  "Reset my password": "Réinitialiser mon mot de passe",
+  "If you did not request a password reset, you can safely ignore this email &mdash; your password will not change.":
+    "Si vous n'avez pas demandé de réinitialisation, vous pouvez ignorer cet e-mail &mdash; votre mot de passe ne changera pas.",
+  "For security, this link expires in 1 hour. &copy; {year} Fonlok &mdash; Secure Escrow Payments":
+    "Par sécurité, ce lien expire dans 1 heure. &copy; {year} Fonlok &mdash; Paiements sécurisés sous séquestre",
+  "Your Fonlok Password Has Been Changed":
+    "Votre mot de passe Fonlok a été modifié",
+  "Password Changed Successfully": "Mot de passe modifié",
+  "Hi {name}, your Fonlok account password has been changed successfully. You can now sign in with your new password.":
+    "Bonjour {name}, le mot de passe de votre compte Fonlok a bien été modifié. Vous pouvez maintenant vous connecter avec votre nouveau mot de passe.",
+  "If you did not make this change, contact us immediately at {email}.":
+    "Si vous n'êtes pas à l'origine de ce changement, contactez-nous immédiatement à {email}.",
+  "Confirm your new Fonlok payout number":
+    "Confirmez votre nouveau numéro de versement Fonlok",
+  "Confirm Your New Payout Number":
+    "Confirmez votre nouveau numéro de versement",
+  "Hi {name}, someone signed in to your Fonlok account asked to send your future payouts to <strong>{phone}</strong> instead of <strong>{oldPhone}</strong>.":
+    "Bonjour {name}, une personne connectée à votre compte Fonlok a demandé que vos prochains versements soient envoyés au <strong>{phone}</strong> au lieu du <strong>{oldPhone}</strong>.",
+  "Hi {name}, someone signed in to your Fonlok account asked to send your future payouts to <strong>{phone}</strong>.":
+    "Bonjour {name}, une personne connectée à votre compte Fonlok a demandé que vos prochains versements soient envoyés au <strong>{phone}</strong>.",
+  "Nothing changes until you confirm.":
+    "Rien ne change tant que vous n'avez pas confirmé.",
+  "After you confirm, payouts to the new number are held for <strong>{hours} hours</strong> as a safety measure.":
+    "Après votre confirmation, les versements vers le nouveau numéro sont retenus pendant <strong>{hours} heures</strong> par mesure de sécurité.",
+  "This link expires in {hours} hours.": "Ce lien expire dans {hours} heures.",
+  "Confirm the new number": "Confirmer le nouveau numéro",
+  "If you did not ask for this, do not click the button &mdash; change your password and contact us at {email}.":
+    "Si vous n'êtes pas à l'origine de cette demande, ne cliquez pas sur le bouton &mdash; changez votre mot de passe et contactez-nous à {email}.",
+  "For security, this link expires in {hours} hours.":
+    "Par sécurité, ce lien expire dans {hours} heures.",
+  "Your Fonlok account is verified": "Votre compte Fonlok est vérifié",
+  "Your Fonlok verification needs another look":
+    "Votre vérification Fonlok doit être reprise",
+  "Identity Verified": "Identité vérifiée",
+  "Hi {name}, your documents were approved and your account is now <strong>{tier}</strong>. Your higher invoice and payout limits apply immediately.":
+    "Bonjour {name}, vos documents ont été approuvés et votre compte est maintenant <strong>{tier}</strong>. Vos plafonds de facturation et de versement plus élevés s'appliquent immédiatement.",
+  "Verification Not Approved": "Vérification non approuvée",
+  "Hi {name}, we could not approve the documents you sent:":
+    "Bonjour {name}, nous n'avons pas pu approuver les documents que vous avez envoyés :",
+  "You can submit new documents from your dashboard at any time.":
+    "Vous pouvez envoyer de nouveaux documents depuis votre tableau de bord à tout moment.",
+  "Hi <strong>{name}</strong>,": "Bonjour <strong>{name}</strong>,",
+  "— The {brand} Team": "— L'équipe {brand}",
+  "Message from Fonlok": "Message de Fonlok",
+  "Your Fonlok daily summary ({count})":
+    "Votre récapitulatif Fonlok du jour ({count})",
+  "Your Daily Summary": "Votre récapitulatif du jour",
+  "Hi {name}, here is what happened on your Fonlok account since your last summary.":
+    "Bonjour {name}, voici ce qui s'est passé sur votre compte Fonlok depuis votre dernier récapitulatif.",
+  "Open my dashboard": "Ouvrir mon tableau de bord",
+  "You receive this summary instead of separate emails. Change this in your notification settings.":
+    "Vous recevez ce récapitulatif à la place d'e-mails séparés. Vous pouvez changer cela dans vos paramètres de notification.",
+
+  // ── SMS / WhatsApp to buyers and sellers (sms/index.js) ───────────────────
+  "Reply STOP to stop these messages.":
+    "Répondez STOP pour ne plus recevoir ces messages.",
+  "Fonlok: your payment of {amount} for invoice {invoice} is held in escrow. Your confirmation code is {code}. Only give it to the seller once you have received your order.":
+    "Fonlok : votre paiement de {amount} pour la facture {invoice} est conservé sous séquestre. Votre code de confirmation est {code}. Ne le donnez au vendeur qu'après avoir reçu votre commande.",
+  "Fonlok: your payment of {amount} for invoice {invoice} is held in escrow. You will release it one milestone at a time; we will let you know as each one is completed.":
+    "Fonlok : votre paiement de {amount} pour la facture {invoice} est conservé sous séquestre. Vous le libérerez étape par étape ; nous vous préviendrons à la fin de chaque étape.",
+  "Fonlok: the seller marked invoice {invoice} ({name}) as delivered. Check your email to confirm receipt or open a dispute.":
+    "Fonlok : le vendeur a marqué la facture {invoice} ({name}) comme livrée. Consultez vos e-mails pour confirmer la réception ou ouvrir un litige.",
+  "Otherwise the funds go to the seller automatically on {date}.":
+    "Sinon, les fonds seront versés automatiquement au vendeur le {date}.",
+  "Fonlok: the seller completed milestone {number} ({label}) of invoice {invoice}. Check your email to release the payment for it.":
+    "Fonlok : le vendeur a terminé l'étape {number} ({label}) de la facture {invoice}. Consultez vos e-mails pour libérer le paiement correspondant.",
+  "Fonlok: invoice {invoice} ({name}) for {amount} is still waiting for payment. Pay here: {url}":
+    "Fonlok : la facture {invoice} ({name}) de {amount} est toujours en attente de paiement. Payez ici : {url}",
+  "Fonlok: the {amount} held for invoice {invoice} will be released to the seller automatically on {date}. If something is wrong, open a dispute before then.":
+    "Fonlok : les {amount} conservés pour la facture {invoice} seront versés automatiquement au vendeur le {date}. En cas de problème, ouvrez un litige avant cette date.",
+  "Fonlok: the inspection period for invoice {invoice} has ended and the {amount} held in escrow was released to the seller.":
+    "Fonlok : la période d'inspection de la facture {invoice} est terminée et les {amount} conservés sous séquestre ont été versés au vendeur.",
+  "Fonlok: the {amount} for milestone {number} ({label}) of invoice {invoice} will be released to the seller automatically on {date}. If something is wrong, open a dispute before then.":
+    "Fonlok : les {amount} de l'étape {number} ({label}) de la facture {invoice} seront versés automatiquement au vendeur le {date}. En cas de problème, ouvrez un litige avant cette date.",
+  "Fonlok: the inspection period for milestone {number} ({label}) of invoice {invoice} has ended and its {amount} was released to the seller.":
+    "Fonlok : la période d'inspection de l'étape {number} ({label}) de la facture {invoice} est terminée et ses {amount} ont été versés au vendeur.",
+  "Fonlok: a dispute is open on invoice {invoice}. The funds stay in escrow while our team reviews it; we will email you the outcome.":
+    "Fonlok : un litige est ouvert sur la facture {invoice}. Les fonds restent sous séquestre pendant son examen ; nous vous enverrons la décision par e-mail.",
+  "Fonlok: the dispute on invoice {invoice} is resolved. The funds were released to the seller. See your email for details.":
+    "Fonlok : le litige sur la facture {invoice} est résolu. Les fonds ont été versés au vendeur. Consultez vos e-mails pour les détails.",
+  "Fonlok: the dispute on invoice {invoice} is resolved in your favour. {amount} has been sent to {phone}.":
+    "Fonlok : le litige sur la facture {invoice} est résolu en votre faveur. {amount} ont été envoyés au {phone}.",
+  "Fonlok: the dispute on invoice {invoice} is resolved in your favour. {amount} is being sent to {phone}.":
+    "Fonlok : le litige sur la facture {invoice} est résolu en votre faveur. {amount} sont en cours d'envoi au {phone}.",
+  "Fonlok: the dispute on invoice {invoice} is settled with a partial refund. {amount} has been sent to {phone}.":
+    "Fonlok : le litige sur la facture {invoice} est réglé par un remboursement partiel. {amount} ont été envoyés au {phone}.",
+  "Fonlok: the dispute on invoice {invoice} is settled with a partial refund. {amount} is being sent to {phone}.":
+    "Fonlok : le litige sur la facture {invoice} est réglé par un remboursement partiel. {amount} sont en cours d'envoi au {phone}.",
+  "Fonlok: the refund of {amount} for invoice {invoice} could not be delivered to {phone}. The money is safe; our team will send it again.":
+    "Fonlok : le remboursement de {amount} pour la facture {invoice} n'a pas pu être envoyé au {phone}. L'argent est en sécurité ; notre équipe le renverra.",
+  "Fonlok: we sent the refund of {amount} for invoice {invoice} to {phone} again.":
+    "Fonlok : nous avons renvoyé le remboursement de {amount} pour la facture {invoice} au {phone}.",
+  "Fonlok: {buyer} paid {amount} for invoice {invoice} ({name}). The funds are held in escrow; deliver the order to get paid.":
+    "Fonlok : {buyer} a payé {amount} pour la facture {invoice} ({name}). Les fonds sont conservés sous séquestre ; livrez la commande pour être payé.",
+  "Fonlok: {amount} for invoice {invoice} has been sent to your Mobile Money account {phone}.":
+    "Fonlok : {amount} pour la facture {invoice} ont été envoyés sur votre compte Mobile Money {phone}.",
+  "Fonlok: a dispute was opened on invoice {invoice}. The funds stay in escrow while our team reviews it. Check your email for details.":
+    "Fonlok : un litige a été ouvert sur la facture {invoice}. Les fonds restent sous séquestre pendant que notre équipe l'examine. Consultez vos e-mails pour les détails.",
+
+  // ── Notifications: bell, push and digest (notifyUser callers) ─────────────
+  // Longer sentences come before shorter ones that start the same way, so
+  // the longer pattern is tried first.
+  "💰 Invoice Paid — Deliver Now": "💰 Facture payée — Livrez maintenant",
+  "Invoice {invoice} has been paid. {amount} is secured in escrow. Please deliver what was ordered so funds can be released to you.":
+    "La facture {invoice} a été payée. {amount} sont sécurisés sous séquestre. Livrez la commande pour que les fonds puissent vous être versés.",
+  "Payout Sent": "Versement envoyé",
+  "{amount} has been sent to your Mobile Money account for invoice {invoice}.":
+    "{amount} ont été envoyés sur votre compte Mobile Money pour la facture {invoice}.",
+  "{amount} has been sent to your Mobile Money account for disputed invoice {invoice}.":
+    "{amount} ont été envoyés sur votre compte Mobile Money pour la facture en litige {invoice}.",
+  "Milestone Payout Sent": "Versement d'étape envoyé",
+  '{amount} has been sent to your Mobile Money account for milestone: "{label}".':
+    "{amount} ont été envoyés sur votre compte Mobile Money pour l'étape : « {label} ».",
+  "Withdrawal Failed": "Échec du retrait",
+  "Your referral withdrawal of {amount} to {phone} did not go through. The amount has been returned to your referral balance.":
+    "Votre retrait de parrainage de {amount} vers le {phone} n'a pas abouti. Le montant a été remis sur votre solde de parrainage.",
+  "Payout Failed": "Échec du versement",
+  "Your payout of {amount} for invoice {invoice} could not be delivered to {phone}. Our team has been alerted and will resend it.":
+    "Votre versement de {amount} pour la facture {invoice} n'a pas pu être envoyé au {phone}. Notre équipe a été alertée et le renverra.",
+  "Payout Sent Again": "Versement renvoyé",
+  "Your payout of {amount} for invoice {invoice} has been sent again to {phone}.":
+    "Votre versement de {amount} pour la facture {invoice} a été renvoyé au {phone}.",
+  "The inspection period for invoice {invoice} ended without a dispute, so the funds have been released to you.":
+    "La période d'inspection de la facture {invoice} s'est terminée sans litige : les fonds vous ont été versés.",
+  'The inspection period for milestone "{label}" of invoice {invoice} ended without a dispute, so its funds have been released to you.':
+    "La période d'inspection de l'étape « {label} » de la facture {invoice} s'est terminée sans litige : ses fonds vous ont été versés.",
+  "Dispute Opened": "Litige ouvert",
+  'A buyer has opened a dispute on invoice "{name}". Reason: "{reason}". An admin will review shortly.':
+    "Un acheteur a ouvert un litige sur la facture « {name} ». Motif : « {reason} ». Un administrateur va l'examiner rapidement.",
+  'Your dispute on invoice "{name}" is open. Reason: "{reason}". An admin will review shortly.':
+    "Votre litige sur la facture « {name} » est ouvert. Motif : « {reason} ». Un administrateur va l'examiner rapidement.",
+  "The dispute on invoice {invoice} was resolved in your favour. {amount} has been sent to your Mobile Money account.":
+    "Le litige sur la facture {invoice} a été résolu en votre faveur. {amount} ont été envoyés sur votre compte Mobile Money.",
+  "The dispute on invoice {invoice} was resolved in your favour. {amount} is queued for payout to your Mobile Money account.":
+    "Le litige sur la facture {invoice} a été résolu en votre faveur. {amount} sont en attente de versement sur votre compte Mobile Money.",
+  "The dispute on invoice {invoice} was resolved with a refund to the buyer.":
+    "Le litige sur la facture {invoice} a été résolu par un remboursement de l'acheteur.",
+  "The dispute on invoice {invoice} was settled with a split: {percent}% to you and the rest refunded to the buyer.":
+    "Le litige sur la facture {invoice} a été réglé par un partage : {percent} % pour vous et le reste remboursé à l'acheteur.",
+  "New Message 💬": "Nouveau message 💬",
+  "You have a new message from the buyer on invoice {invoice}.":
+    "Vous avez un nouveau message de l'acheteur sur la facture {invoice}.",
+  "New File 📎": "Nouveau fichier 📎",
+  "The buyer uploaded a file on invoice {invoice}.":
+    "L'acheteur a envoyé un fichier sur la facture {invoice}.",
+  "Referral Commission Earned": "Commission de parrainage gagnée",
+  "You earned {amount} because a seller you referred was paid for invoice {invoice}.":
+    "Vous avez gagné {amount} car un vendeur que vous avez parrainé a été payé pour la facture {invoice}.",
+  "Identity verified ✅": "Identité vérifiée ✅",
+  "Your account is now {tier}. Your new limits apply immediately.":
+    "Votre compte est maintenant {tier}. Vos nouveaux plafonds s'appliquent immédiatement.",
+  "Your account is now {tier}.": "Votre compte est maintenant {tier}.",
+  "Verification not approved": "Vérification non approuvée",
+  "We could not verify your documents: {reason}":
+    "Nous n'avons pas pu vérifier vos documents : {reason}",
+  "Verification level changed": "Niveau de vérification modifié",
+  "Payout on hold": "Versement en attente",
+  "A payout of {amount} is above the {limit} limit of a {tier} account. Verify your identity and it will be sent automatically.":
+    "Un versement de {amount} dépasse le plafond de {limit} d'un compte {tier}. Vérifiez votre identité et il sera envoyé automatiquement.",
+  "Payout number change requested": "Changement de numéro de versement demandé",
+  "We emailed you a link to confirm {phone} as your payout number. Your current number stays in use until then.":
+    "Nous vous avons envoyé par e-mail un lien pour confirmer le {phone} comme numéro de versement. Votre numéro actuel reste utilisé d'ici là.",
+  "Payout number changed": "Numéro de versement modifié",
+  "Payouts now go to {phone}. For your security they are held until {date}.":
+    "Les versements sont désormais envoyés au {phone}. Par sécurité, ils sont retenus jusqu'au {date}.",
+  "Payouts now go to {phone}.":
+    "Les versements sont désormais envoyés au {phone}.",
+  "Payout hold lifted": "Retenue des versements levée",
+  "Payouts to {phone} are no longer on hold.":
+    "Les versements vers le {phone} ne sont plus retenus.",
+
+  // Event labels for GET /notifications/preferences
+  "A buyer paid one of your invoices":
+    "Un acheteur a payé l'une de vos factures",
+  "Funds were sent to your Mobile Money account":
+    "Des fonds ont été envoyés sur votre compte Mobile Money",
+  "A milestone payment was sent to you": "Un paiement d'étape vous a été versé",
+  "A payout or withdrawal did not go through":
+    "Un versement ou un retrait n'a pas abouti",
+  "Funds were released automatically after the inspection period":
+    "Des fonds ont été libérés automatiquement après la période d'inspection",
+  "A dispute was opened on one of your invoices":
+    "Un litige a été ouvert sur l'une de vos factures",
+  "A dispute on one of your invoices was resolved":
+    "Un litige sur l'une de vos factures a été résolu",
+  "A buyer sent you a chat message or file":
+    "Un acheteur vous a envoyé un message ou un fichier",
+  "You earned a referral commission":
+    "Vous avez gagné une commission de parrainage",
+  "Identity verification and payout limits":
+    "Vérification d'identité et plafonds de versement",
+  "News and announcements from Fonlok": "Actualités et annonces de Fonlok",
+  "Changes to your payout number": "Modifications de votre numéro de versement",
+  "Messages from the Fonlok team about your account":
+    "Messages de l'équipe Fonlok au sujet de votre compte",
+
+  // ── Buyer release pages (payout.js renderPage) ────────────────────────────
+  Continue: "Continuer",
+  Confirm: "Confirmer",
+  "Invalid Link": "Lien invalide",
+  "This confirmation link does not exist or has already been used.":
+    "Ce lien de confirmation n'existe pas ou a déjà été utilisé.",
+  "If you believe this is an error, please contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.":
+    "Si vous pensez qu'il s'agit d'une erreur, contactez <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
+  "If you believe this is an error, contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.":
+    "Si vous pensez qu'il s'agit d'une erreur, contactez <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
+  "Link Already Used": "Lien déjà utilisé",
+  "These funds have already been released. Each confirmation link can only be used once.":
+    "Ces fonds ont déjà été libérés. Chaque lien de confirmation ne peut être utilisé qu'une seule fois.",
+  "If you have any questions, contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.":
+    "Pour toute question, contactez <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
+  "Release Funds to Seller?": "Libérer les fonds au vendeur ?",
+  "You are about to release the escrowed funds to the seller for this invoice.":
+    "Vous êtes sur le point de libérer au vendeur les fonds sous séquestre de cette facture.",
+  "<strong>This action cannot be undone.</strong><br>Only confirm if you have received your order and are fully satisfied. If there is an issue, contact the seller before proceeding.":
+    "<strong>Cette action est irréversible.</strong><br>Ne confirmez que si vous avez reçu votre commande et en êtes entièrement satisfait. En cas de problème, contactez le vendeur avant de continuer.",
+  "✓ Yes, Release Funds to Seller": "✓ Oui, libérer les fonds au vendeur",
+  "If you have not received your order or are not satisfied, do <strong>not</strong> click the button above.":
+    "Si vous n'avez pas reçu votre commande ou n'êtes pas satisfait, ne cliquez <strong>pas</strong> sur le bouton ci-dessus.",
+  "Something Went Wrong": "Une erreur s'est produite",
+  "An unexpected error occurred. Please try again or contact support.":
+    "Une erreur inattendue s'est produite. Veuillez réessayer ou contacter le support.",
+  "Email us at <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> with your invoice number.":
+    "Écrivez-nous à <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> en indiquant votre numéro de facture.",
+  "Invalid Request": "Requête invalide",
+  "The link parameters do not match. This link may have been tampered with.":
+    "Les paramètres du lien ne correspondent pas. Ce lien a peut-être été modifié.",
+  "If you received this link by email from Fonlok and believe this is an error, contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.":
+    "Si vous avez reçu ce lien par e-mail de Fonlok et pensez qu'il s'agit d'une erreur, contactez <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
+  "Payment Not Yet Confirmed": "Paiement pas encore confirmé",
+  "The buyer’s payment has not been confirmed yet. Funds can only be released once the payment clears.":
+    "Le paiement de l'acheteur n'est pas encore confirmé. Les fonds ne peuvent être libérés qu'une fois le paiement encaissé.",
+  "Please check back shortly, or contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> if this persists.":
+    "Revenez dans quelques instants, ou contactez <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> si le problème persiste.",
+  "Release Confirmed": "Libération confirmée",
+  "You have released the escrowed funds for this invoice. {queued}":
+    "Vous avez libéré les fonds sous séquestre de cette facture. {queued}",
+  "The release is confirmed. The transfer to the seller's Mobile Money is being retried automatically and the seller will be notified as soon as it arrives.":
+    "La libération est confirmée. Le transfert vers le Mobile Money du vendeur est relancé automatiquement et le vendeur sera prévenu dès son arrivée.",
+  "No further action is required. You can close this page.":
+    "Aucune autre action n'est nécessaire. Vous pouvez fermer cette page.",
+  "Funds Released": "Fonds libérés",
+  "You have successfully released the escrowed funds to the seller. The seller will receive a notification and payment confirmation by email.":
+    "Vous avez bien libéré les fonds sous séquestre au vendeur. Le vendeur recevra une notification et une confirmation de paiement par e-mail.",
+  "Thank you for using Fonlok. You can close this page.":
+    "Merci d'utiliser Fonlok. Vous pouvez fermer cette page.",
+  "An unexpected error occurred while processing the fund release. No money has been moved.":
+    "Une erreur inattendue s'est produite pendant la libération des fonds. Aucun argent n'a été déplacé.",
+  "Please contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> with your invoice number.":
+    "Contactez <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> en indiquant votre numéro de facture.",
+  "This milestone release link is invalid or has already been used.":
+    "Ce lien de libération d'étape est invalide ou a déjà été utilisé.",
+  "Already Released": "Déjà libéré",
+  "This milestone has already been paid out to the seller.":
+    "Cette étape a déjà été versée au vendeur.",
+  "No further action is required. Thank you for using Fonlok.":
+    "Aucune autre action n'est nécessaire. Merci d'utiliser Fonlok.",
+  "Milestone Not Yet Complete": "Étape pas encore terminée",
+  "This milestone has not been marked as complete by the seller yet. You can only release payment once the seller has confirmed the work is done.":
+    "Le vendeur n'a pas encore marqué cette étape comme terminée. Vous ne pouvez libérer le paiement qu'une fois que le vendeur a confirmé que le travail est fait.",
+  "Please check back once the seller has completed this milestone, or contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.":
+    "Revenez quand le vendeur aura terminé cette étape, ou contactez <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
+  "Release Payment for “{label}”?": "Libérer le paiement de « {label} » ?",
+  "You are about to release the escrowed payment for milestone: <strong>{label}</strong>.":
+    "Vous êtes sur le point de libérer le paiement sous séquestre de l'étape : <strong>{label}</strong>.",
+  "<strong>This action cannot be undone.</strong><br>Only confirm if the seller has completed this milestone to your full satisfaction. If there is any issue, contact the seller first.":
+    "<strong>Cette action est irréversible.</strong><br>Ne confirmez que si le vendeur a terminé cette étape à votre entière satisfaction. En cas de problème, contactez d'abord le vendeur.",
+  "✓ Yes, Release Payment to Seller": "✓ Oui, libérer le paiement au vendeur",
+  "If the milestone is not yet complete, do <strong>not</strong> click the button above.":
+    "Si l'étape n'est pas encore terminée, ne cliquez <strong>pas</strong> sur le bouton ci-dessus.",
+  "Invoice Not Found": "Facture introuvable",
+  "We could not find the invoice associated with this milestone.":
+    "Nous n'avons pas trouvé la facture associée à cette étape.",
+  "Contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> with your invoice number for assistance.":
+    "Contactez <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> avec votre numéro de facture pour obtenir de l'aide.",
+  "Seller Not Found": "Vendeur introuvable",
+  "We could not find the seller account for this invoice.":
+    "Nous n'avons pas trouvé le compte du vendeur de cette facture.",
+  "You have released the payment for milestone: <strong>{label}</strong>. {queued}":
+    "Vous avez libéré le paiement de l'étape : <strong>{label}</strong>. {queued}",
+  "You have successfully released <strong>{amount}</strong> to the seller for milestone: <strong>{label}</strong>.<br><br>{next}":
+    "Vous avez bien libéré <strong>{amount}</strong> au vendeur pour l'étape : <strong>{label}</strong>.<br><br>{next}",
+  "All milestones are now complete. This invoice is fully settled.":
+    "Toutes les étapes sont terminées. Cette facture est entièrement réglée.",
+  "The seller will be notified to proceed with the next milestone.":
+    "Le vendeur sera prévenu pour passer à l'étape suivante.",
+
+  // ── Receipt PDF (generateReceipt.js) ──────────────────────────────────────
+  "OFFICIAL PAYMENT RECEIPT": "REÇU DE PAIEMENT OFFICIEL",
+  "Payment Receipt": "Reçu de paiement",
+  "Receipt No:  {number}": "Reçu n° :  {number}",
+  "Issued: {date}": "Émis le : {date}",
+  "Paid: {date}": "Payé le : {date}",
+  "FROM — SELLER": "DE — VENDEUR",
+  "TO — BUYER": "À — ACHETEUR",
+  "TOTAL AMOUNT PAID": "MONTANT TOTAL PAYÉ",
+  "Payment Type": "Type de paiement",
+  "Installment / Milestones": "Échelonné / par étapes",
+  "One-Time": "Paiement unique",
+  Description: "Description",
+  Currency: "Devise",
+  "Central African CFA franc": "Franc CFA d'Afrique centrale",
+  "West African CFA franc": "Franc CFA d'Afrique de l'Ouest",
+  "Invoice Status": "Statut de la facture",
+  "Expires / Expired": "Expire / a expiré le",
+  "Dispute Settlement": "Règlement du litige",
+  "Split between seller and buyer by Fonlok":
+    "Partagé entre le vendeur et l'acheteur par Fonlok",
+  "Released to seller by Fonlok": "Libéré au vendeur par Fonlok",
+  "Refunded to buyer by Fonlok": "Remboursé à l'acheteur par Fonlok",
+  "Released to Seller": "Libéré au vendeur",
+  "Refunded to Buyer": "Remboursé à l'acheteur",
+  "{amount} ({percent}, before 2% fee)":
+    "{amount} ({percent}, avant frais de 2 %)",
+  "Milestone Breakdown": "Détail des étapes",
+  Label: "Libellé",
+  Status: "Statut",
+  Pending: "En attente",
+  Paid: "Payée",
+  Delivered: "Livrée",
+  Completed: "Terminée",
+  Released: "Libérée",
+  Refunded: "Remboursée",
+  Expired: "Expirée",
+  Cancelled: "Annulée",
+  Disputed: "En litige",
+  "SECURED BY FONLOK": "SÉCURISÉ PAR FONLOK",
+  VERIFIED: "VÉRIFIÉ",
+  "SECURE ESCROW": "SÉQUESTRE SÉCURISÉ",
+  "RECEIPT VERIFICATION": "VÉRIFICATION DU REÇU",
+  "Invoice No:   {number}": "Facture n° :   {number}",
+  "Verify Code:  {code}": "Code de vérification :  {code}",
+  "Enter at  {domain}/verify  to confirm this receipt is authentic and unaltered.":
+    "À saisir sur  {domain}/verify  pour confirmer que ce reçu est authentique et non modifié.",
+  "Official payment receipt issued by Fonlok — Secure Escrow Payments for digital services.":
+    "Reçu de paiement officiel émis par Fonlok — Paiements sécurisés sous séquestre pour les services numériques.",
+  "This document is cryptographically signed and does not require a physical signature.  |  {domain}":
+    "Ce document est signé cryptographiquement et ne nécessite pas de signature manuscrite.  |  {domain}",
+  "Generated: {date}": "Généré le : {date}",
+
+  // ── API: sessions, sign-in and rate limits ────────────────────────────────
+  "Unauthorized. Please sign in.": "Non autorisé. Veuillez vous connecter.",
+  "Your session has expired. Please sign in again.":
+    "Votre session a expiré. Veuillez vous reconnecter.",
+  "Invalid session. Please sign in again.":
+    "Session invalide. Veuillez vous reconnecter.",
+  "Could not verify your session. Please try again.":
+    "Impossible de vérifier votre session. Veuillez réessayer.",
+  "You have been signed out. Please sign in again.":
+    "Vous avez été déconnecté. Veuillez vous reconnecter.",
+  "Invalid or revoked API key.": "Clé API invalide ou révoquée.",
+  "This API key is missing the '{scope}' scope.":
+    "Cette clé API n'a pas la portée '{scope}'.",
+  "Could not verify the API key. Please try again.":
+    "Impossible de vérifier la clé API. Veuillez réessayer.",
+  "Please confirm your password to continue.":
+    "Veuillez confirmer votre mot de passe pour continuer.",
+  "Incorrect password.": "Mot de passe incorrect.",
+  "Enter the code from your authenticator app to continue.":
+    "Saisissez le code de votre application d'authentification pour continuer.",
+  "That code is invalid or has already been used.":
+    "Ce code est invalide ou a déjà été utilisé.",
+  "Could not verify your identity. Please try again.":
+    "Impossible de vérifier votre identité. Veuillez réessayer.",
+  "Password is required.": "Le mot de passe est obligatoire.",
+  "Invalid email or password.": "E-mail ou mot de passe incorrect.",
+  "An error occurred during login. Please try again.":
+    "Une erreur s'est produite lors de la connexion. Veuillez réessayer.",
+  "Your sign-in attempt has expired. Please sign in again.":
+    "Votre tentative de connexion a expiré. Veuillez vous reconnecter.",
+  "Please sign in again.": "Veuillez vous reconnecter.",
+  "Session was just refreshed. Please retry.":
+    "La session vient d'être actualisée. Veuillez réessayer.",
+  "Could not refresh your session. Please try again.":
+    "Impossible d'actualiser votre session. Veuillez réessayer.",
+  "Logged in successfully.": "Connexion réussie.",
+  "Logged out.": "Déconnexion effectuée.",
+  "Enter the code from your authenticator app.":
+    "Saisissez le code de votre application d'authentification.",
+  "Enter your 2FA code.": "Saisissez votre code 2FA.",
+  "That code does not match. Check your authenticator app and try again.":
+    "Ce code ne correspond pas. Vérifiez votre application d'authentification et réessayez.",
+  "Failed to create new backup codes.":
+    "Impossible de créer de nouveaux codes de secours.",
+  "Email or username is required.":
+    "L'e-mail ou le nom d'utilisateur est obligatoire.",
+  "Too many sign-in attempts from this device. Please wait 15 minutes before trying again.":
+    "Trop de tentatives de connexion depuis cet appareil. Veuillez patienter 15 minutes avant de réessayer.",
+  "Too many accounts created from this device. Please try again in an hour.":
+    "Trop de comptes créés depuis cet appareil. Veuillez réessayer dans une heure.",
+  "Too many password reset requests. Please wait 30 minutes before requesting another link.":
+    "Trop de demandes de réinitialisation. Veuillez patienter 30 minutes avant de demander un nouveau lien.",
+  "Too many password reset attempts. Please wait 15 minutes.":
+    "Trop de tentatives de réinitialisation. Veuillez patienter 15 minutes.",
+  "Too many payment attempts. Please wait a few minutes before trying again.":
+    "Trop de tentatives de paiement. Veuillez patienter quelques minutes avant de réessayer.",
+  "This invoice has received too many payment attempts. Please wait 5 minutes.":
+    "Cette facture a reçu trop de tentatives de paiement. Veuillez patienter 5 minutes.",
+  "You have created too many invoices in a short period. Please try again in an hour.":
+    "Vous avez créé trop de factures en peu de temps. Veuillez réessayer dans une heure.",
+  "Too many requests. Please slow down and try again shortly.":
+    "Trop de requêtes. Veuillez ralentir et réessayer dans un instant.",
+  "Too many requests from this device. Please slow down.":
+    "Trop de requêtes depuis cet appareil. Veuillez ralentir.",
+  "Too many incorrect codes. Please wait 15 minutes before trying again.":
+    "Trop de codes incorrects. Veuillez patienter 15 minutes avant de réessayer.",
+
+  // ── API: platform and shared errors ───────────────────────────────────────
+  "Something went wrong. Please try again.":
+    "Une erreur s'est produite. Veuillez réessayer.",
+  "Something went wrong.": "Une erreur s'est produite.",
+  "An unexpected error occurred. Please try again.":
+    "Une erreur inattendue s'est produite. Veuillez réessayer.",
+  "The platform is currently under scheduled maintenance. Please check back shortly.":
+    "La plateforme est en maintenance programmée. Veuillez revenir un peu plus tard.",
+  "Payments are temporarily suspended by the platform administrator. Please try again later.":
+    "Les paiements sont temporairement suspendus par l'administrateur de la plateforme. Veuillez réessayer plus tard.",
+  "Payouts are temporarily suspended by the platform administrator. Please try again later.":
+    "Les versements sont temporairement suspendus par l'administrateur de la plateforme. Veuillez réessayer plus tard.",
+  "Idempotency-Key must be {max} characters or fewer.":
+    "L'Idempotency-Key doit comporter {max} caractères au maximum.",
+  "This Idempotency-Key was already used for a different request. Use a new key.":
+    "Cette Idempotency-Key a déjà été utilisée pour une autre requête. Utilisez une nouvelle clé.",
+  "A request with this Idempotency-Key is still being processed. Please wait a moment and try again.":
+    "Une requête avec cette Idempotency-Key est encore en cours de traitement. Patientez un instant et réessayez.",
+  "User not found.": "Utilisateur introuvable.",
+  "Invoice not found.": "Facture introuvable.",
+  "Invoice not found": "Facture introuvable",
+  "File not found": "Fichier introuvable",
+  "Authentication required": "Authentification requise",
+  "Valid email required": "Une adresse e-mail valide est requise",
+
+  // ── API: phone numbers (utils/phone.js) ───────────────────────────────────
+  "Phone number is required.": "Le numéro de téléphone est obligatoire.",
+  "A phone number may only contain digits.":
+    "Un numéro de téléphone ne peut contenir que des chiffres.",
+  "Enter the number with its country code. Supported countries: {countries}.":
+    "Saisissez le numéro avec son indicatif pays. Pays pris en charge : {countries}.",
+  "A {country} number has {digits} digits after {dialCode} (e.g. {example}).":
+    "Un numéro ({country}) comporte {digits} chiffres après {dialCode} (ex. {example}).",
+  "This {country} number does not belong to a supported mobile operator.":
+    "Ce numéro ({country}) n'appartient pas à un opérateur mobile pris en charge.",
+  "{operator} numbers cannot send or receive Mobile Money. Use a {operators} number.":
+    "Les numéros {operator} ne peuvent ni envoyer ni recevoir de Mobile Money. Utilisez un numéro {operators}.",
+
+  // ── API: registration and account (register.js, user.js) ──────────────────
+  "Full name is required.": "Le nom complet est obligatoire.",
+  "Name is required.": "Le nom est obligatoire.",
+  "Name must be 100 characters or fewer.":
+    "Le nom doit comporter 100 caractères au maximum.",
+  "Username is required.": "Le nom d'utilisateur est obligatoire.",
+  "Username must be 30 characters or fewer.":
+    "Le nom d'utilisateur doit comporter 30 caractères au maximum.",
+  "Username can only contain letters, numbers, and underscores.":
+    "Le nom d'utilisateur ne peut contenir que des lettres, des chiffres et des tirets bas.",
+  "A valid email address is required.":
+    "Une adresse e-mail valide est requise.",
+  "Password must be at least 8 characters.":
+    "Le mot de passe doit comporter au moins 8 caractères.",
+  "Date of birth is required.": "La date de naissance est obligatoire.",
+  "Enter a valid date of birth (YYYY-MM-DD).":
+    "Saisissez une date de naissance valide (AAAA-MM-JJ).",
+  "You must be at least 18 years old to create a Fonlok account.":
+    "Vous devez avoir au moins 18 ans pour créer un compte Fonlok.",
+  "Country is required.": "Le pays est obligatoire.",
+  "Referral code can only contain letters and numbers.":
+    "Le code de parrainage ne peut contenir que des lettres et des chiffres.",
+  "Referral code is too long.": "Le code de parrainage est trop long.",
+  "Language must be English (en) or French (fr).":
+    "La langue doit être l'anglais (en) ou le français (fr).",
+  "Invalid referral code. Please check and try again.":
+    "Code de parrainage invalide. Vérifiez-le et réessayez.",
+  "Failed to register user. Please try again.":
+    "Échec de l'inscription. Veuillez réessayer.",
+  "Failed to update name.": "Échec de la mise à jour du nom.",
+  "Failed to update language.": "Échec de la mise à jour de la langue.",
+  "That email is already in use by another account.":
+    "Cet e-mail est déjà utilisé par un autre compte.",
+  "Failed to update email.": "Échec de la mise à jour de l'e-mail.",
+  "Failed to update phone number.":
+    "Échec de la mise à jour du numéro de téléphone.",
+  "No image file provided.": "Aucune image fournie.",
+  "Failed to update profile picture.":
+    "Échec de la mise à jour de la photo de profil.",
+  "Current password is required.": "Le mot de passe actuel est obligatoire.",
+  "New password must be at least 8 characters.":
+    "Le nouveau mot de passe doit comporter au moins 8 caractères.",
+  "Password confirmation is required.":
+    "La confirmation du mot de passe est obligatoire.",
+  "Password changed successfully.": "Mot de passe modifié.",
+  "Failed to change password.": "Échec du changement de mot de passe.",
+  "Your account has active transactions in escrow. Please complete or resolve all paid/delivered invoices before deleting your account.":
+    "Votre compte a des transactions en cours sous séquestre. Terminez ou réglez toutes les factures payées ou livrées avant de supprimer votre compte.",
+  "Your account has been permanently deleted.":
+    "Votre compte a été définitivement supprimé.",
+  "Failed to delete account. Please try again.":
+    "Échec de la suppression du compte. Veuillez réessayer.",
+  "Failed to fetch user info.":
+    "Impossible de récupérer les informations du compte.",
+  "Failed to load API keys.": "Impossible de charger les clés API.",
+  "Give the key a name so you can recognise it later.":
+    "Donnez un nom à la clé pour la reconnaître plus tard.",
+  "Choose at least one scope.": "Choisissez au moins une portée.",
+  "Scopes must be among: {scopes}.":
+    "Les portées doivent faire partie de : {scopes}.",
+  "You can have at most {max} active API keys. Revoke one first.":
+    "Vous pouvez avoir au maximum {max} clés API actives. Révoquez-en une d'abord.",
+  "Copy this key now. It will not be shown again.":
+    "Copiez cette clé maintenant. Elle ne sera plus affichée.",
+  "Failed to create API key.": "Échec de la création de la clé API.",
+  "Invalid key id.": "Identifiant de clé invalide.",
+  "API key not found or already revoked.":
+    "Clé API introuvable ou déjà révoquée.",
+  "Failed to revoke API key.": "Échec de la révocation de la clé API.",
+  "Enter the 6-digit code.": "Saisissez le code à 6 chiffres.",
+  "Failed to load 2FA settings.":
+    "Impossible de charger les paramètres de double authentification.",
+  "Failed to start 2FA setup.":
+    "Impossible de lancer la configuration de la double authentification.",
+  "Two-factor authentication is on. Save these backup codes — they will not be shown again.":
+    "La double authentification est activée. Conservez ces codes de secours — ils ne seront plus affichés.",
+  "Failed to enable 2FA.":
+    "Échec de l'activation de la double authentification.",
+  "Two-factor authentication is off.":
+    "La double authentification est désactivée.",
+  "Failed to disable 2FA.":
+    "Échec de la désactivation de la double authentification.",
+  "Two-factor authentication is not on.":
+    "La double authentification n'est pas activée.",
+  "Invalid session id.": "Identifiant de session invalide.",
+  "Failed to load sessions.": "Impossible de charger les sessions.",
+  "Failed to sign out sessions.": "Échec de la déconnexion des sessions.",
+  "Session not found or already signed out.":
+    "Session introuvable ou déjà déconnectée.",
+  "Failed to sign out session.": "Échec de la déconnexion de la session.",
+  "Failed to load payout number status.":
+    "Impossible de charger l'état du numéro de versement.",
+  "There is no pending payout number change.":
+    "Aucun changement de numéro de versement n'est en attente.",
+  "Failed to cancel the payout number change.":
+    "Échec de l'annulation du changement de numéro de versement.",
+  "Confirmation token format is invalid.":
+    "Le format du jeton de confirmation est invalide.",
+  "Confirmation token length is invalid.":
+    "La longueur du jeton de confirmation est invalide.",
+  "This confirmation link is invalid or has expired. Please request the change again.":
+    "Ce lien de confirmation est invalide ou a expiré. Veuillez refaire la demande de changement.",
+  "Failed to confirm the payout number change.":
+    "Échec de la confirmation du changement de numéro de versement.",
+  "We sent a confirmation link to your email address. Your payout number will change once you confirm.":
+    "Nous avons envoyé un lien de confirmation à votre adresse e-mail. Votre numéro de versement changera après votre confirmation.",
+  "Failed to load verification status.":
+    "Impossible de charger l'état de la vérification.",
+  "Requested tier must be 'basic' or 'verified'.":
+    "Le niveau demandé doit être 'basic' ou 'verified'.",
+  "ID type must be one of: {types}.":
+    "Le type de pièce d'identité doit être l'un des suivants : {types}.",
+  "ID number is required.": "Le numéro de pièce d'identité est obligatoire.",
+  "ID number must be 60 characters or fewer.":
+    "Le numéro de pièce d'identité doit comporter 60 caractères au maximum.",
+  "ID number may only contain letters, digits and dashes.":
+    "Le numéro de pièce d'identité ne peut contenir que des lettres, des chiffres et des tirets.",
+  "Missing document(s) for the {tier} tier: {missing}.":
+    "Document(s) manquant(s) pour le niveau {tier} : {missing}.",
+  "Your account is already {tier}.": "Votre compte est déjà {tier}.",
+  "Your previous documents are still being reviewed. We will notify you as soon as they are.":
+    "Vos documents précédents sont encore en cours d'examen. Nous vous préviendrons dès que ce sera fait.",
+  "Failed to submit your documents. Please try again.":
+    "Échec de l'envoi de vos documents. Veuillez réessayer.",
+
+  // ── API: password reset (passwordReset.js) ────────────────────────────────
+  "If an account with that email exists, a password reset link has been sent.":
+    "Si un compte existe avec cet e-mail, un lien de réinitialisation a été envoyé.",
+  "This reset link is invalid or has expired. Please request a new one.":
+    "Ce lien de réinitialisation est invalide ou a expiré. Veuillez en demander un nouveau.",
+  "Password updated successfully. You can now sign in.":
+    "Mot de passe mis à jour. Vous pouvez maintenant vous connecter.",
+  "Reset token is missing or invalid.":
+    "Le jeton de réinitialisation est manquant ou invalide.",
+  "Reset token format is invalid.":
+    "Le format du jeton de réinitialisation est invalide.",
+  "Reset token length is invalid.":
+    "La longueur du jeton de réinitialisation est invalide.",
+  "New password is required.": "Le nouveau mot de passe est obligatoire.",
+
+  // ── API: invoices and KYC limits (invoices.js, utils/kyc.js) ──────────────
+  "Invoice name is required.": "Le nom de la facture est obligatoire.",
+  "Invoice name must be 200 characters or fewer.":
+    "Le nom de la facture doit comporter 200 caractères au maximum.",
+  "Currency is required.": "La devise est obligatoire.",
+  "Currency must be one of: {currencies}.":
+    "La devise doit être l'une des suivantes : {currencies}.",
+  "Amount is required.": "Le montant est obligatoire.",
+  "Amount must be a positive number.":
+    "Le montant doit être un nombre positif.",
+  "Amount has more decimals than the currency allows.":
+    "Le montant comporte plus de décimales que la devise n'en autorise.",
+  "Description must be 2000 characters or fewer.":
+    "La description doit comporter 2000 caractères au maximum.",
+  "Expiry date must be a valid date (YYYY-MM-DD).":
+    "La date d'expiration doit être une date valide (AAAA-MM-JJ).",
+  "Payment type must be 'full' or 'installment'.":
+    "Le type de paiement doit être 'full' ou 'installment'.",
+  "Inspection period must be between 24 and 720 hours.":
+    "La période d'inspection doit être comprise entre 24 et 720 heures.",
+  "Installment invoices require at least 2 milestones.":
+    "Les factures échelonnées nécessitent au moins 2 étapes.",
+  "Milestone amounts must add up to the full invoice total ({total}). Current total: {current}.":
+    "La somme des étapes doit être égale au total de la facture ({total}). Total actuel : {current}.",
+  "Each milestone must have a label.": "Chaque étape doit avoir un libellé.",
+  "Milestone label must be 200 characters or fewer.":
+    "Le libellé d'une étape doit comporter 200 caractères au maximum.",
+  "Each milestone must have a positive amount.":
+    "Chaque étape doit avoir un montant positif.",
+  "Milestone amount has more decimals than the currency allows.":
+    "Le montant d'une étape comporte plus de décimales que la devise n'en autorise.",
+  "A valid client email address is required.":
+    "Une adresse e-mail client valide est requise.",
+  "No account found. Please sign in again.":
+    "Aucun compte trouvé. Veuillez vous reconnecter.",
+  "The email you entered does not match your Fonlok account email. You can only create invoices from your own account.":
+    "L'e-mail saisi ne correspond pas à celui de votre compte Fonlok. Vous ne pouvez créer des factures que depuis votre propre compte.",
+  "Payments in this currency are not available yet.":
+    "Les paiements dans cette devise ne sont pas encore disponibles.",
+  "Invoices on a {tier} account are limited to {limit}. Verify your identity to raise your limits.":
+    "Les factures d'un compte {tier} sont limitées à {limit}. Vérifiez votre identité pour relever vos plafonds.",
+  "Invoices on a {tier} account are limited to {limit}. Contact support if you need a higher limit.":
+    "Les factures d'un compte {tier} sont limitées à {limit}. Contactez le support si vous avez besoin d'un plafond plus élevé.",
+  "This invoice would take you over the {limit} monthly limit of a {tier} account ({volume} invoiced so far this month). Verify your identity to raise your limits.":
+    "Cette facture vous ferait dépasser le plafond mensuel de {limit} d'un compte {tier} ({volume} déjà facturés ce mois-ci). Vérifiez votre identité pour relever vos plafonds.",
+  "This invoice would take you over the {limit} monthly limit of a {tier} account ({volume} invoiced so far this month). Contact support if you need a higher limit.":
+    "Cette facture vous ferait dépasser le plafond mensuel de {limit} d'un compte {tier} ({volume} déjà facturés ce mois-ci). Contactez le support si vous avez besoin d'un plafond plus élevé.",
+  "Payouts on a {tier} account are limited to {limit}. Verify your identity to raise your limits.":
+    "Les versements d'un compte {tier} sont limités à {limit}. Vérifiez votre identité pour relever vos plafonds.",
+  "Failed to create invoice. Please try again.":
+    "Échec de la création de la facture. Veuillez réessayer.",
+  "Failed to retrieve invoices. Please try again.":
+    "Impossible de récupérer les factures. Veuillez réessayer.",
+  "Failed to filter invoices. Please try again.":
+    "Impossible de filtrer les factures. Veuillez réessayer.",
+  "You are not authorized to delete this invoice.":
+    "Vous n'êtes pas autorisé à supprimer cette facture.",
+  "This invoice cannot be deleted because a payout has already been made.":
+    "Cette facture ne peut pas être supprimée car un versement a déjà été effectué.",
+  "This invoice cannot be deleted because a payment is currently being processed.":
+    "Cette facture ne peut pas être supprimée car un paiement est en cours de traitement.",
+  "An error occurred while deleting the invoice.":
+    "Une erreur s'est produite lors de la suppression de la facture.",
+  "You are not authorized to edit this invoice.":
+    "Vous n'êtes pas autorisé à modifier cette facture.",
+  "You are not authorized to update this invoice.":
+    "Vous n'êtes pas autorisé à mettre à jour cette facture.",
+  "This invoice cannot be edited because a payment is currently being processed.":
+    "Cette facture ne peut pas être modifiée car un paiement est en cours de traitement.",
+  "This invoice cannot be edited because a payout has already been made.":
+    "Cette facture ne peut pas être modifiée car un versement a déjà été effectué.",
+  "An error occurred while editing the invoice.":
+    "Une erreur s'est produite lors de la modification de la facture.",
+  "Failed to retrieve invoice details. Please try again.":
+    "Impossible de récupérer le détail de la facture. Veuillez réessayer.",
+  "You can only mark an invoice as delivered after the buyer has made a payment.":
+    "Vous ne pouvez marquer une facture comme livrée qu'après le paiement de l'acheteur.",
+  "Invoice marked as delivered, but buyer email not found.":
+    "Facture marquée comme livrée, mais l'e-mail de l'acheteur est introuvable.",
+  "Invoice marked as delivered and buyer has been notified.":
+    "Facture marquée comme livrée ; l'acheteur a été prévenu.",
+  "Milestone not found.": "Étape introuvable.",
+  "Failed to retrieve milestones.": "Impossible de récupérer les étapes.",
+  "This milestone is already marked as '{status}'.":
+    "Cette étape est déjà marquée comme '{status}'.",
+  "Previous milestones must be released before marking this one complete.":
+    "Les étapes précédentes doivent être libérées avant de marquer celle-ci comme terminée.",
+  "Buyer information not found. Has the buyer paid yet?":
+    "Informations de l'acheteur introuvables. L'acheteur a-t-il déjà payé ?",
+  "Milestone {number} marked as complete. The buyer has been emailed a release link.":
+    "Étape {number} marquée comme terminée. Un lien de libération a été envoyé par e-mail à l'acheteur.",
+  "Could not load escrow balance.":
+    "Impossible de charger le solde sous séquestre.",
+  "You are not authorised to manage this invoice.":
+    "Vous n'êtes pas autorisé à gérer cette facture.",
+  "Buyer has not made a payment yet.":
+    "L'acheteur n'a pas encore effectué de paiement.",
+  "No pending milestone confirmations to resend. All milestones are either unreleased-pending or already released.":
+    "Aucune confirmation d'étape à renvoyer. Toutes les étapes sont soit encore en attente, soit déjà libérées.",
+  "Failed to resend email. Please try again.":
+    "Échec du renvoi de l'e-mail. Veuillez réessayer.",
+  "Release email resent to {email}.": "E-mail de libération renvoyé à {email}.",
+  "Release emails resent to {email}.":
+    "E-mails de libération renvoyés à {email}.",
+  "Resend is only available for delivered invoices.":
+    "Le renvoi n'est possible que pour les factures livrées.",
+  "Delivery reminder sent to {email}.": "Rappel de livraison envoyé à {email}.",
+  "Receipt is only available for paid, delivered, or completed invoices.":
+    "Le reçu n'est disponible que pour les factures payées, livrées ou terminées.",
+  "Failed to generate receipt. Please try again.":
+    "Échec de la génération du reçu. Veuillez réessayer.",
+  "You do not have access to this invoice.":
+    "Vous n'avez pas accès à cette facture.",
+  "Failed to load the invoice timeline.":
+    "Impossible de charger l'historique de la facture.",
+  "Failed to load purchases. Please try again.":
+    "Impossible de charger les achats. Veuillez réessayer.",
+  "Invoice number and code are required.":
+    "Le numéro de facture et le code sont obligatoires.",
+  "Verification failed. This code does not match our records — the receipt may have been altered or is not from Fonlok.":
+    "Échec de la vérification. Ce code ne correspond pas à nos données — le reçu a peut-être été modifié ou ne provient pas de Fonlok.",
+  "Verification failed. No invoice with that number exists in our system.":
+    "Échec de la vérification. Aucune facture portant ce numéro n'existe dans notre système.",
+  'Receipt cannot be verified — invoice status is "{status}". Only paid or completed invoices carry a valid receipt.':
+    'Le reçu ne peut pas être vérifié — le statut de la facture est "{status}". Seules les factures payées ou terminées ont un reçu valide.',
+  "Verification failed. Please try again later.":
+    "Échec de la vérification. Veuillez réessayer plus tard.",
+  "Failed to load templates. Please try again.":
+    "Impossible de charger les modèles. Veuillez réessayer.",
+  "Please provide a name for this template.":
+    "Veuillez donner un nom à ce modèle.",
+  "Template saved successfully.": "Modèle enregistré.",
+  "Failed to save template. Please try again.":
+    "Échec de l'enregistrement du modèle. Veuillez réessayer.",
+  "Template not found.": "Modèle introuvable.",
+  "Template deleted.": "Modèle supprimé.",
+  "Failed to delete template. Please try again.":
+    "Échec de la suppression du modèle. Veuillez réessayer.",
+  "Failed to load transaction history. Please try again.":
+    "Impossible de charger l'historique des transactions. Veuillez réessayer.",
+
+  // ── API: payments (requestPayment.js, referral.js) ────────────────────────
+  "Payment amount is required.": "Le montant du paiement est obligatoire.",
+  "Invoice ID is missing.": "L'identifiant de la facture est manquant.",
+  "Invoice number is missing.": "Le numéro de facture est manquant.",
+  "Payments in {currency} are not available yet.":
+    "Les paiements en {currency} ne sont pas encore disponibles.",
+  "Payments from {country} numbers are not available for {currency} invoices yet.":
+    "Les paiements depuis des numéros ({country}) ne sont pas encore disponibles pour les factures en {currency}.",
+  "Please check your phone for the {operator} prompt, or dial {ussd} to complete the payment.":
+    "Vérifiez votre téléphone pour la demande {operator}, ou composez {ussd} pour finaliser le paiement.",
+  "Please check your phone for the {operator} prompt to complete the payment.":
+    "Vérifiez votre téléphone pour la demande {operator} afin de finaliser le paiement.",
+  "Failed to trigger payment": "Impossible de lancer le paiement",
+  "Failed to load referral dashboard.":
+    "Impossible de charger le tableau de bord de parrainage.",
+  "Amount and MoMo number are required.":
+    "Le montant et le numéro MoMo sont obligatoires.",
+  "Minimum withdrawal amount is {amount} XAF.":
+    "Le montant minimum de retrait est de {amount} XAF.",
+  "Withdrawals to {country} numbers are not available yet.":
+    "Les retraits vers des numéros ({country}) ne sont pas encore disponibles.",
+  "Payouts to {country} numbers are not available yet.":
+    "Les versements vers des numéros ({country}) ne sont pas encore disponibles.",
+  "You already have a pending withdrawal. Please wait for it to be processed before requesting another.":
+    "Vous avez déjà un retrait en attente. Veuillez attendre son traitement avant d'en demander un autre.",
+  "Insufficient balance. You have {balance} XAF available.":
+    "Solde insuffisant. Vous disposez de {balance} XAF.",
+  "Your withdrawal of {amount} XAF has been sent to {phone}. It should arrive within a few minutes.":
+    "Votre retrait de {amount} XAF a été envoyé au {phone}. Il devrait arriver d'ici quelques minutes.",
+  "Your withdrawal of {amount} XAF is being processed. The transfer to {phone} did not go through yet and will be retried automatically.":
+    "Votre retrait de {amount} XAF est en cours de traitement. Le transfert vers le {phone} n'a pas encore abouti et sera relancé automatiquement.",
+
+  // ── API: releases and payouts (payout.js) ─────────────────────────────────
+  "Both code and invoice number are required.":
+    "Le code et le numéro de facture sont obligatoires.",
+  "Invoice {invoice} does not exist.": "La facture {invoice} n'existe pas.",
+  "Invoice {invoice} has already been paid out.":
+    "La facture {invoice} a déjà été versée.",
+  "Invoice {invoice} has not been paid yet.":
+    "La facture {invoice} n'a pas encore été payée.",
+  "No confirmation code found for this invoice.":
+    "Aucun code de confirmation trouvé pour cette facture.",
+  "The code you entered is incorrect. Please ask the buyer for their code.":
+    "Le code saisi est incorrect. Demandez son code à l'acheteur.",
+  "The release is confirmed. The transfer to your Mobile Money account did not go through yet and is being retried automatically. You will be notified as soon as it arrives.":
+    "La libération est confirmée. Le transfert vers votre compte Mobile Money n'a pas encore abouti et est relancé automatiquement. Vous serez prévenu dès son arrivée.",
+  "Payout processed successfully. Funds are on their way to your Mobile Money account.":
+    "Versement effectué. Les fonds sont en route vers votre compte Mobile Money.",
+  "An error occurred while processing your payout. Please try again or contact support.":
+    "Une erreur s'est produite lors du traitement de votre versement. Veuillez réessayer ou contacter le support.",
+  "Missing required fields.": "Champs obligatoires manquants.",
+  "Invalid access token.": "Jeton d'accès invalide.",
+  "This milestone has already been released.":
+    "Cette étape a déjà été libérée.",
+  "This milestone cannot be released yet. The seller must mark it as complete first.":
+    "Cette étape ne peut pas encore être libérée. Le vendeur doit d'abord la marquer comme terminée.",
+  "Seller account not found.": "Compte vendeur introuvable.",
+  "Seller account not found": "Compte vendeur introuvable",
+  "Payment released successfully. {amount} sent to the seller.":
+    "Paiement libéré. {amount} envoyés au vendeur.",
+  "An error occurred while releasing the payment. Please try again or contact support.":
+    "Une erreur s'est produite lors de la libération du paiement. Veuillez réessayer ou contacter le support.",
+  "Missing milestone_id.": "milestone_id manquant.",
+  "Sellers cannot release their own milestone payments.":
+    "Les vendeurs ne peuvent pas libérer eux-mêmes les paiements de leurs étapes.",
+  "You are not authorised to release funds for this invoice.":
+    "Vous n'êtes pas autorisé à libérer les fonds de cette facture.",
+  "Payout for invoice id {id} has already been processed or the confirmation code was not found.":
+    "Le versement de la facture {id} a déjà été traité ou le code de confirmation est introuvable.",
+
+  // ── API: disputes, chat, profiles, reviews ────────────────────────────────
+  "A dispute can only be opened after a payment has been made.":
+    "Un litige ne peut être ouvert qu'après un paiement.",
+  "The funds for this invoice are already being paid out to the seller. A dispute can no longer be opened.":
+    "Les fonds de cette facture sont déjà en cours de versement au vendeur. Un litige ne peut plus être ouvert.",
+  "Funds for this invoice were already released to the seller, or their payout is queued. Resolving the dispute would pay the same funds twice. Cancel the payout job first if it must not go out.":
+    "Les fonds de cette facture ont déjà été versés au vendeur, ou leur versement est en file d'attente. Résoudre le litige verserait deux fois les mêmes fonds. Annulez d'abord le versement s'il ne doit pas partir.",
+  "This dispute was just resolved by another request. Reload it before resolving again.":
+    "Ce litige vient d'être résolu par une autre requête. Rechargez-le avant de le résoudre à nouveau.",
+  "You can only open a dispute after you have marked at least one milestone as delivered.":
+    "Vous ne pouvez ouvrir un litige qu'après avoir marqué au moins une étape comme livrée.",
+  "You can open a dispute {hours} hour(s) from now. This gives the buyer fair time to confirm the milestone.":
+    "Vous pourrez ouvrir un litige dans {hours} heure(s). Cela laisse à l'acheteur le temps de confirmer l'étape.",
+  "You can only open a dispute after you have marked the invoice as delivered.":
+    "Vous ne pouvez ouvrir un litige qu'après avoir marqué la facture comme livrée.",
+  "You can open a dispute {hours} hour(s) from now. This gives the buyer fair time to confirm delivery.":
+    "Vous pourrez ouvrir un litige dans {hours} heure(s). Cela laisse à l'acheteur le temps de confirmer la livraison.",
+  "A dispute is already open for this invoice. Our admin will review it shortly.":
+    "Un litige est déjà ouvert pour cette facture. Notre administrateur l'examinera sous peu.",
+  "This invoice has already been through a dispute process and was resolved.":
+    "Cette facture a déjà fait l'objet d'un litige qui a été résolu.",
+  "All milestones on this invoice have already been released. There are no escrowed funds to dispute.":
+    "Toutes les étapes de cette facture ont déjà été libérées. Il n'y a plus de fonds sous séquestre à contester.",
+  "{count} milestone(s) have already been paid out and cannot be included. Please select 'milestone' scope and choose only the unreleased milestones.":
+    "{count} étape(s) ont déjà été versées et ne peuvent pas être incluses. Choisissez la portée 'milestone' et sélectionnez uniquement les étapes non libérées.",
+  "Please select at least one milestone to dispute.":
+    "Sélectionnez au moins une étape à contester.",
+  "Milestone ID(s) [{ids}] do not belong to this invoice.":
+    "Les étapes [{ids}] n'appartiennent pas à cette facture.",
+  "Milestone(s) [{labels}] have already been paid out and cannot be disputed.":
+    "Les étapes [{labels}] ont déjà été versées et ne peuvent pas être contestées.",
+  "Dispute opened successfully. Our admin has been notified and will review your case shortly.":
+    "Litige ouvert. Notre administrateur a été prévenu et examinera votre dossier sous peu.",
+  "A reason for the dispute is required.":
+    "Le motif du litige est obligatoire.",
+  "Reason must be 1000 characters or fewer.":
+    "Le motif doit comporter 1000 caractères au maximum.",
+  "Dispute must be opened by either 'seller' or 'buyer'.":
+    "Le litige doit être ouvert par 'seller' ou 'buyer'.",
+  "dispute_scope must be 'full' or 'milestone'.":
+    "dispute_scope doit être 'full' ou 'milestone'.",
+  "milestone_ids must be a non-empty array when provided.":
+    "milestone_ids doit être un tableau non vide lorsqu'il est fourni.",
+  "Each milestone_id must be a positive integer.":
+    "Chaque milestone_id doit être un entier positif.",
+  "Invalid token. Access denied.": "Jeton invalide. Accès refusé.",
+  "Chat room not found.": "Discussion introuvable.",
+  "Chat room not found for this invoice.":
+    "Aucune discussion trouvée pour cette facture.",
+  "Message cannot be empty.": "Le message ne peut pas être vide.",
+  "Message must be 2000 characters or fewer.":
+    "Le message doit comporter 2000 caractères au maximum.",
+  "Sender type must be 'seller' or 'buyer'.":
+    "Le type d'expéditeur doit être 'seller' ou 'buyer'.",
+  "typing must be true or false.": "typing doit valoir true ou false.",
+  "messageId must be a message id.":
+    "messageId doit être un identifiant de message.",
+  "Enter something to search for.": "Saisissez un terme à rechercher.",
+  "Search must be 200 characters or fewer.":
+    "La recherche doit comporter 200 caractères au maximum.",
+  "Live updates are busy right now. Please refresh the page.":
+    "Les mises à jour en direct sont saturées pour le moment. Veuillez actualiser la page.",
+  "Seller not found.": "Vendeur introuvable.",
+  "Failed to load seller profile. Please try again.":
+    "Impossible de charger le profil du vendeur. Veuillez réessayer.",
+  "Failed to update phone number. Please try again.":
+    "Échec de la mise à jour du numéro de téléphone. Veuillez réessayer.",
+  "Seller username is required.":
+    "Le nom d'utilisateur du vendeur est obligatoire.",
+  "Invalid seller username.": "Nom d'utilisateur du vendeur invalide.",
+  "Seller username is too long.":
+    "Le nom d'utilisateur du vendeur est trop long.",
+  "Invoice number is required.": "Le numéro de facture est obligatoire.",
+  "Rating is required.": "La note est obligatoire.",
+  "Rating must be between 1 and 5.": "La note doit être comprise entre 1 et 5.",
+  "Review comment must be 1000 characters or fewer.":
+    "Le commentaire doit comporter 1000 caractères au maximum.",
+  "You can only leave a review for a completed and delivered invoice.":
+    "Vous ne pouvez laisser un avis que pour une facture livrée et terminée.",
+  "You can only review sellers for invoices you have paid.":
+    "Vous ne pouvez évaluer un vendeur que pour des factures que vous avez payées.",
+  "You have already left a review for this transaction.":
+    "Vous avez déjà laissé un avis pour cette transaction.",
+  "Your review has been submitted. Thank you!":
+    "Votre avis a été envoyé. Merci !",
+  "Failed to submit review. Please try again.":
+    "Échec de l'envoi de l'avis. Veuillez réessayer.",
+
+  // ── API: notifications, assistant, webhooks, public API ───────────────────
+  "Could not load notifications.": "Impossible de charger les notifications.",
+  "Could not update notifications.":
+    "Impossible de mettre à jour les notifications.",
+  "Could not update notification.":
+    "Impossible de mettre à jour la notification.",
+  "Subscription data is required.":
+    "Les données d'abonnement sont obligatoires.",
+  "Could not save subscription.": "Impossible d'enregistrer l'abonnement.",
+  "Could not remove subscription.": "Impossible de supprimer l'abonnement.",
+  "Device name must be 80 characters or fewer.":
+    "Le nom de l'appareil doit comporter 80 caractères au maximum.",
+  "Could not load devices.": "Impossible de charger les appareils.",
+  "Invalid device id.": "Identifiant d'appareil invalide.",
+  "Device not found.": "Appareil introuvable.",
+  "Could not update device.": "Impossible de mettre à jour l'appareil.",
+  "Could not remove device.": "Impossible de supprimer l'appareil.",
+  "Push notifications are not configured on this server.":
+    "Les notifications push ne sont pas configurées sur ce serveur.",
+  "Could not load notification preferences.":
+    "Impossible de charger les préférences de notification.",
+  "Could not save notification preferences.":
+    "Impossible d'enregistrer les préférences de notification.",
+  "Unknown notification event or channel, or a setting that cannot be changed.":
+    "Événement ou canal de notification inconnu, ou paramètre non modifiable.",
+  "quietHours must be an object or null.":
+    "quietHours doit être un objet ou null.",
+  "Set both the start and the end of quiet hours.":
+    "Indiquez le début et la fin des heures de silence.",
+  "Hours must be whole numbers from 0 to 23.":
+    "Les heures doivent être des nombres entiers de 0 à 23.",
+  "Unknown time zone.": "Fuseau horaire inconnu.",
+  "digest must be an object.": "digest doit être un objet.",
+  "digest.enabled must be true or false.":
+    "digest.enabled doit valoir true ou false.",
+  "You've sent too many messages. Please wait before trying again.":
+    "Vous avez envoyé trop de messages. Veuillez patienter avant de réessayer.",
+  "AI service temporarily unavailable. Please try again shortly.":
+    "L'assistant est temporairement indisponible. Veuillez réessayer dans un instant.",
+  "Failed to load webhooks.": "Impossible de charger les webhooks.",
+  "You can register at most {max} webhook endpoints.":
+    "Vous pouvez enregistrer au maximum {max} points de terminaison webhook.",
+  "Copy the signing secret now. It will not be shown again.":
+    "Copiez le secret de signature maintenant. Il ne sera plus affiché.",
+  "Failed to create webhook.": "Échec de la création du webhook.",
+  "Webhook not found.": "Webhook introuvable.",
+  "Failed to update webhook.": "Échec de la mise à jour du webhook.",
+  "Failed to delete webhook.": "Échec de la suppression du webhook.",
+  "Failed to send test event.": "Échec de l'envoi de l'événement de test.",
+  "Failed to load deliveries.": "Impossible de charger les envois.",
+  "Delivery not found.": "Envoi introuvable.",
+  "Failed to replay the event.": "Échec du renvoi de l'événement.",
+  "URL must be 500 characters or fewer.":
+    "L'URL doit comporter 500 caractères au maximum.",
+  "Enter a public URL. HTTPS is required and private or local addresses are not allowed.":
+    "Saisissez une URL publique. HTTPS est obligatoire et les adresses privées ou locales ne sont pas autorisées.",
+  "Choose at least one event.": "Choisissez au moins un événement.",
+  "Events must be among: {events}.":
+    "Les événements doivent faire partie de : {events}.",
+  "Description must be 200 characters or fewer.":
+    "La description doit comporter 200 caractères au maximum.",
+  "active must be true or false.": "active doit valoir true ou false.",
+  "status must be one of: {statuses}.":
+    "status doit être l'une des valeurs suivantes : {statuses}.",
+  "limit must be between 1 and 100.": "limit doit être compris entre 1 et 100.",
+  "offset must be 0 or more.": "offset doit être supérieur ou égal à 0.",
+  "No invoice with this number belongs to your account.":
+    "Aucune facture portant ce numéro n'appartient à votre compte.",
+};
@@ -1,11 +1,24 @@
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
+import { findActiveAdmin, hasRole } from "../utils/admins.js";
 dotenv.config();
 
+// The active admin a verified adminToken payload belongs to, or null.
+// Sessions issued before admin accounts or 2FA existed carry no
+// adminId / mfa.  Looking the admin up on every request also means a
+// deactivated admin or a role change takes effect immediately.
+export const sessionAdmin = async (decoded) =>
+  decoded?.isAdmin && decoded.adminId && decoded.mfa
+    ? findActiveAdmin(decoded.adminId)
+    : null;
+
 // This middleware protects all admin routes.
 // It looks for a cookie called 'adminToken', verifies it, and checks that
-// the payload contains { isAdmin: true }. If anything is wrong it rejects the request.
-const adminMiddleware = (req, res, next) => {
+// the payload contains { isAdmin: true, mfa: true } — the session was issued
+// after the 2FA step — for an admin account that is still active.
+// If anything is wrong it rejects the request.
+// req.admin is the admin's row: { id, email, name, role, ... }.
+const adminMiddleware = async (req, res, next) => {
   const token = req.cookies.adminToken;
 
   if (!token) {
@@ -14,17 +27,9 @@ const adminMiddleware = (req, res, next) => {
       .json({ message: "Admin access required. Please log in." });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    if (!decoded.isAdmin) {
-      return res
-        .status(403)
-        .json({ message: "Forbidden. You are not an admin." });
-    }
-
-    req.admin = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch {
     return res
       .status(401)
@@ -32,6 +37,44 @@ const adminMiddleware = (req, res, next) => {
         message: "Invalid or expired admin session. Please log in again.",
       });
   }
+
+  if (!decoded.isAdmin) {
+    return res
+      .status(403)
+      .json({ message: "Forbidden. You are not an admin." });
+  }
+
+  try {
+    const admin = await sessionAdmin(decoded);
+    if (!admin) {
+      return res
+        .status(401)
+        .json({
+          message: "Invalid or expired admin session. Please log in again.",
+        });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (err) {
+    console.error("Admin session check failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Could not verify the admin session." });
+  }
 };
 
+// Use AFTER adminMiddleware: router.post("/x", adminMiddleware, requireRole("finance"), …)
+// Superadmins pass every role check.
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!hasRole(req.admin, roles)) {
+      return res.status(403).json({
+        message: `This action needs the ${roles.join(" or ")} role.`,
+      });
+    }
+    next();
+  };
+
 export default adminMiddleware;
@@ -0,0 +1,49 @@
+import authMiddleware from "./authMiddleware.js";
+import { authenticateApiKey, isApiKey } from "../utils/apiKeys.js";
+
+// Reads an API key from `X-API-Key: fk_live_…` or `Authorization: Bearer fk_live_…`.
+export const readApiKey = (req) => {
+  const header = req.headers["x-api-key"];
+  if (header) return String(header).trim();
+  const auth = req.headers["authorization"];
+  if (auth?.startsWith("Bearer ") && isApiKey(auth.slice(7))) {
+    return auth.slice(7);
+  }
+  return null;
+};
+
+// Accepts a seller API key carrying `scope`, or falls back to the normal
+// login session (cookie / Bearer JWT), which may do everything a key can.
+// Either way req.user.id is the seller; req.apiKey is set for key requests.
+// Errors use the same { message, code } shape as authMiddleware.
+const apiKeyMiddleware = (scope) => async (req, res, next) => {
+  const rawKey = readApiKey(req);
+  if (!rawKey) return authMiddleware(req, res, next);
+
+  try {
+    const apiKey = await authenticateApiKey(rawKey);
+    if (!apiKey) {
+      return res.status(401).json({
+        message: "Invalid or revoked API key.",
+        code: "INVALID_API_KEY",
+      });
+    }
+    if (scope && !apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        message: `This API key is missing the '${scope}' scope.`,
+        code: "INSUFFICIENT_SCOPE",
+      });
+    }
+    req.user = { id: apiKey.user_id };
+    req.apiKey = apiKey;
+    next();
+  } catch (err) {
+    console.error("API key check failed:", err.message);
+    return res.status(500).json({
+      message: "Could not verify the API key. Please try again.",
+      code: "INTERNAL_ERROR",
+    });
+  }
+};
+
+export default apiKeyMiddleware;
@@ -1,8 +1,12 @@
-import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
+import { verifyAccessToken } from "../utils/sessions.js";
 dotenv.config();
 
-const authMiddleware = (req, res, next) => {
+// Accepts a live session's access token (utils/sessions.js).  When it has
+// expired the client gets TOKEN_EXPIRED and should call POST /auth/refresh;
+// a revoked session gets SESSION_REVOKED and must sign in again.
+// req.user is { id, sid }.
+const authMiddleware = async (req, res, next) => {
   // Accept token from httpOnly cookie (preferred) OR Authorization header
   // (fallback for cases where secure cookies can't be sent over plain HTTP).
   let token = req.cookies.authToken || req.cookies.token;
@@ -22,10 +26,9 @@ const authMiddleware = (req, res, next) => {
       .status(401)
       .json({ message: "Unauthorized. Please sign in.", code: "NO_TOKEN" });
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = await verifyAccessToken(token);
   } catch (err) {
     if (err.name === "TokenExpiredError") {
       return res.status(401).json({
@@ -33,11 +36,26 @@ const authMiddleware = (req, res, next) => {
         code: "TOKEN_EXPIRED",
       });
     }
+    if (err.name === "JsonWebTokenError" || err.name === "NotBeforeError") {
+      return res.status(401).json({
+        message: "Invalid session. Please sign in again.",
+        code: "INVALID_TOKEN",
+      });
+    }
+    console.error("Session check failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Could not verify your session. Please try again." });
+  }
+
+  if (!decoded) {
     return res.status(401).json({
-      message: "Invalid session. Please sign in again.",
-      code: "INVALID_TOKEN",
+      message: "You have been signed out. Please sign in again.",
+      code: "SESSION_REVOKED",
     });
   }
+  req.user = decoded;
+  next();
 };
 
 export default authMiddleware;
@@ -0,0 +1,158 @@
+/**
+ * idempotency.js — `Idempotency-Key` header support for money-moving routes
+ *
+ * A client that may retry a request (flaky mobile connection, double tap)
+ * sends a unique key, e.g. a UUID, with it:
+ *
+ *   Idempotency-Key: 5f0c2a7e-…
+ *
+ * The first request with a key runs normally and its response is stored.
+ * Any retry with the same key gets the stored response back (with an
+ * `Idempotent-Replayed: true` header) instead of running the route again.
+ *
+ *   - same key, different body or route → 422, the key was reused by mistake
+ *   - same key while the first request is still running → 409
+ *   - the first request failed with a 5xx or was cut off → the key is
+ *     released and the retry runs normally
+ *   - no header → the route runs as before
+ *
+ * Keys are scoped to whoever is calling (user, admin, or the public scope for
+ * unauthenticated routes) and kept for KEY_TTL_HOURS; scheduledJobs.js purges
+ * older ones.  Place the middleware AFTER the route's auth middleware.
+ */
+
+import crypto from "crypto";
+import db from "../controllers/db.js";
+
+export const KEY_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+/** Creates idempotency_keys.  Called once from server.js on boot. */
+export async function ensureIdempotencyTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      scope            TEXT         NOT NULL,
+      key              TEXT         NOT NULL,
+      method           VARCHAR(10)  NOT NULL,
+      path             TEXT         NOT NULL,
+      request_hash     CHAR(64)     NOT NULL,
+      status           VARCHAR(20)  NOT NULL DEFAULT 'in_progress'
+                       CHECK (status IN ('in_progress', 'completed')),
+      response_status  INTEGER,
+      response_body    JSONB,
+      created_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+      completed_at     TIMESTAMPTZ,
+      PRIMARY KEY (scope, key)
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys (created_at)",
+  );
+}
+
+/** Deletes keys older than KEY_TTL_HOURS.  Returns how many were removed. */
+export async function purgeIdempotencyKeys() {
+  const result = await db.query(
+    "DELETE FROM idempotency_keys WHERE created_at < NOW() - ($1 || ' hours')::interval",
+    [String(KEY_TTL_HOURS)],
+  );
+  return result.rowCount;
+}
+
+const scopeOf = (req) => {
+  if (req.admin) return `admin:${req.admin.email ?? "admin"}`;
+  if (req.user?.id) return `user:${req.user.id}`;
+  return "public";
+};
+
+const fingerprint = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      `${req.method}\n${req.baseUrl}${req.path}\n${JSON.stringify(req.body ?? {})}`,
+    )
+    .digest("hex");
+
+const idempotency = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      message: `Idempotency-Key must be ${MAX_KEY_LENGTH} characters or fewer.`,
+    });
+  }
+
+  const scope = scopeOf(req);
+  const requestHash = fingerprint(req);
+  const path = `${req.baseUrl}${req.path}`;
+
+  try {
+    // Claim the key — exactly one request wins the INSERT
+    const claim = await db.query(
+      `INSERT INTO idempotency_keys (scope, key, method, path, request_hash)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (scope, key) DO NOTHING
+       RETURNING key`,
+      [scope, key, req.method, path, requestHash],
+    );
+
+    if (claim.rows.length === 0) {
+      const existing = await db.query(
+        "SELECT * FROM idempotency_keys WHERE scope = $1 AND key = $2",
+        [scope, key],
+      );
+      const stored = existing.rows[0];
+      if (!stored || stored.request_hash !== requestHash) {
+        return res.status(422).json({
+          message:
+            "This Idempotency-Key was already used for a different request. Use a new key.",
+        });
+      }
+      if (stored.status !== "completed") {
+        return res.status(409).json({
+          message:
+            "A request with this Idempotency-Key is still being processed. Please wait a moment and try again.",
+        });
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(stored.response_status).json(stored.response_body);
+    }
+  } catch (err) {
+    console.error("Idempotency check failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Something went wrong. Please try again." });
+  }
+
+  // We own the key — run the route and store whatever it answers.
+  let responseBody = null;
+  const originalJson = res.json.bind(res);
+  res.json = (bodyToSend) => {
+    responseBody = bodyToSend;
+    return originalJson(bodyToSend);
+  };
+  res.on("close", () => {
+    // Server errors and dropped connections release the key so the client
+    // can retry; anything else is stored and replayed from now on.
+    const save =
+      res.writableFinished && res.statusCode < 500
+        ? db.query(
+            `UPDATE idempotency_keys
+                SET status = 'completed', response_status = $3,
+                    response_body = $4, completed_at = NOW()
+              WHERE scope = $1 AND key = $2`,
+            [scope, key, res.statusCode, JSON.stringify(responseBody)],
+          )
+        : db.query(
+            "DELETE FROM idempotency_keys WHERE scope = $1 AND key = $2",
+            [scope, key],
+          );
+    save.catch((err) =>
+      console.error("Idempotency response not saved:", err.message),
+    );
+  });
+  next();
+};
+
+export default idempotency;
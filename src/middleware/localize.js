@@ -0,0 +1,27 @@
+/**
+ * localize.js — answers every request in the caller's language
+ *
+ * Sets req.lang ("en" | "fr", see utils/i18n.js) and translates the
+ * top-level `message` and `error` strings of every JSON reply, so routes and
+ * validators keep writing their messages in English.
+ */
+
+import { requestLanguage, translateMessage } from "../utils/i18n.js";
+
+export const localize = (req, res, next) => {
+  req.lang = requestLanguage(req);
+  if (req.lang === "en") return next();
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === "object" && !Array.isArray(body)) {
+      for (const key of ["message", "error"]) {
+        if (typeof body[key] === "string") {
+          body = { ...body, [key]: translateMessage(req.lang, body[key]) };
+        }
+      }
+    }
+    return json(body);
+  };
+  next();
+};
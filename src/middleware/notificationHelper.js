@@ -1,26 +1,54 @@
 /**
  * notificationHelper.js
  *
- * Single function `notifyUser(userId, type, title, body, data)` that:
- *   1. Saves the notification to the DB (in-app bell)
- *   2. Sends a browser push notification if the user has subscribed
+ * Single function `notifyUser(userId, type, title, body, data, extras)` —
+ * the one place anything is sent to a registered user.  Depending on their
+ * notification preferences (utils/notificationPreferences.js) it:
+ *   1. Saves the notification to the DB (in-app bell) and pushes it live to
+ *      their open dashboards (utils/realtime.js)
+ *   2. Sends a browser push notification to every device the user has
+ *      subscribed from (not during their quiet hours)
+ *   3. Queues `extras.email`, or holds it for their daily digest
+ *   4. Queues `extras.sms` to their phone, held until quiet hours end
+ *
+ * `title` and `body` are written in English and shown in the user's
+ * language (translateMessage, utils/i18n.js).
  *
  * Call it anywhere in your routes — it NEVER throws, so a notification
  * failure will never crash your main route logic.
  *
- * Notification types used across the app:
+ * Notification types are the keys of NOTIFICATION_EVENTS:
  *   invoice_paid       — buyer paid your invoice
  *   payout_sent        — funds sent to your Mobile Money
- *   dispute_opened     — a dispute was opened on one of your invoices
- *   milestone_complete — seller marked a milestone as complete
  *   milestone_released — a milestone payout was sent
+ *   payout_failed      — the provider reported a payout / withdrawal as failed
+ *   auto_release       — the inspection period ended and funds were released
+ *   dispute_opened     — a dispute was opened on one of your invoices
+ *   dispute_resolved   — the admin released, refunded or split a dispute
  *   new_message        — someone sent you a chat message
- *   delivered_marked   — seller marked invoice as delivered
  *   referral_earned    — you earned a referral commission
+ *   kyc_update         — identity check reviewed, or a payout held by a limit
+ *   announcement       — admin broadcast to every user
+ *   payout_phone       — payout number change requested, confirmed, released
+ *   team_message       — direct message from the admin team
+ * The last two cannot be switched off.
+ *
+ * Password reset emails and alerts to the admin team do not go through here:
+ * they are not notifications a user can opt out of.
  */
 
 import db from "../controllers/db.js";
 import webpush from "web-push";
+import { publish, userChannel } from "../utils/realtime.js";
+import { sendEmail } from "../jobs/emailQueue.js";
+import { sendSms } from "../jobs/smsQueue.js";
+import { translateMessage, DEFAULT_LANGUAGE } from "../utils/i18n.js";
+import {
+  NOTIFICATION_EVENTS,
+  getPreferences,
+  wantsChannel,
+  quietHoursEnd,
+} from "../utils/notificationPreferences.js";
 
 // Configure VAPID — these keys come from your .env file.
 // Run `node generate-vapid-keys.mjs` once to generate them.
@@ -32,57 +60,156 @@ if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
   );
 }
 
+// The email half of notifyUser: queued now, held for the digest, or dropped
+// when the user switched it off.  Required events never wait for a digest.
+const dispatchEmail = async (user, prefs, type, title, body, email) => {
+  if (!wantsChannel(prefs, type, "email")) return "off";
+
+  if (prefs.emailDigest && !NOTIFICATION_EVENTS[type]?.required) {
+    await db.query(
+      `INSERT INTO notification_digest_items (user_id, type, title, body)
+       VALUES ($1, $2, $3, $4)`,
+      [user.id, type, title, body],
+    );
+    return "digest";
+  }
+
+  const queued = await sendEmail(email.template, {
+    to: user.email,
+    lang: user.language,
+    userId: user.id,
+    invoiceNumber: email.invoiceNumber ?? null,
+    data: email.data,
+    attachments: email.attachments,
+  });
+  return queued ? "queued" : "failed";
+};
+
 /**
- * notifyUser — creates a DB notification and sends a browser push.
+ * notifyUser — sends one event to a user on every channel they want it on.
  *
  * @param {number} userId  - The ID of the user to notify (must be a registered user)
  * @param {string} type    - Notification type (e.g. "invoice_paid")
  * @param {string} title   - Short title shown in the bell and the push
  * @param {string} body    - Longer description message
  * @param {object} data    - Optional extra data (e.g. { invoiceNumber, amount })
+ * @param {object} extras  - Optional { email: { template, data, attachments,
+ *                           invoiceNumber }, sms: { template, data } } — the
+ *                           email / SMS for this event (src/emails, src/sms)
+ * @returns {Promise<{ email, sms }>} what became of the email ("queued",
+ *          "digest", "off" or "failed") and the SMS ("queued", "held",
+ *          "off" or "failed"); null for a channel not asked for
  */
-export const notifyUser = async (userId, type, title, body, data = {}) => {
-  if (!userId) return; // Guard: never try to notify a guest/undefined user
+export const notifyUser = async (
+  userId,
+  type,
+  title,
+  body,
+  data = {},
+  { email, sms } = {},
+) => {
+  const outcome = { email: null, sms: null };
+  if (!userId) return outcome; // Guard: never try to notify a guest/undefined user
 
   try {
-    // ── 1. Save to the notifications table ───────────────────────────────────
-    await db.query(
-      `INSERT INTO notifications (userid, type, title, body, data)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [userId, type, title, body, JSON.stringify(data)],
+    const userResult = await db.query(
+      "SELECT id, name, email, phone, language FROM users WHERE id = $1",
+      [userId],
     );
+    const user = userResult.rows[0];
+    if (!user) return outcome;
 
-    // ── 2. Send browser push if the user has a saved subscription ────────────
+    const prefs = await getPreferences(userId);
+    const lang = user.language || DEFAULT_LANGUAGE;
+    const quietUntil = NOTIFICATION_EVENTS[type]?.required
+      ? null
+      : quietHoursEnd(prefs);
+    title = translateMessage(lang, title);
+    body = translateMessage(lang, body);
+
+    // ── 1. Save to the notifications table ───────────────────────────────────
+    if (wantsChannel(prefs, type, "in_app")) {
+      const saved = await db.query(
+        `INSERT INTO notifications (userid, type, title, body, data)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, type, title, body, data, is_read, created_at`,
+        [userId, type, title, body, JSON.stringify(data)],
+      );
+      await publish(userChannel(userId), "notification", saved.rows[0]);
+    }
+
+    // ── 2. Email: now, or in tonight's digest ────────────────────────────────
+    if (email) {
+      outcome.email = await dispatchEmail(
+        user,
+        prefs,
+        type,
+        title,
+        body,
+        email,
+      );
+    }
+
+    // ── 3. SMS, held until the end of quiet hours ────────────────────────────
+    if (sms) {
+      if (!wantsChannel(prefs, type, "sms")) {
+        outcome.sms = "off";
+      } else {
+        const queued = await sendSms(sms.template, {
+          to: user.phone,
+          lang,
+          data: sms.data,
+          invoiceNumber: sms.data?.invoiceNumber ?? null,
+          notBefore: quietUntil,
+        });
+        outcome.sms = !queued ? "failed" : quietUntil ? "held" : "queued";
+      }
+    }
+
+    // ── 4. Send browser push if the user has a saved subscription ────────────
+    if (!wantsChannel(prefs, type, "push") || quietUntil) {
+      return outcome;
+    }
     if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
       // VAPID keys not configured yet — skip push, in-app only
-      return;
+      return outcome;
     }
 
+    // Every device the user subscribed from gets its own push
     const subResult = await db.query(
-      "SELECT subscription FROM push_subscriptions WHERE userid = $1",
+      "SELECT id, subscription FROM push_subscriptions WHERE userid = $1",
       [userId],
     );
+    const payload = JSON.stringify({ title, body, type, data });
 
-    if (subResult.rows.length > 0) {
-      const subscription = subResult.rows[0].subscription;
-      const payload = JSON.stringify({ title, body, type, data });
-
-      await webpush
-        .sendNotification(subscription, payload)
-        .catch(async (err) => {
-          // 410 Gone / 404 = subscription expired or invalid → remove it
-          if (err.statusCode === 410 || err.statusCode === 404) {
-            await db
-              .query("DELETE FROM push_subscriptions WHERE userid = $1", [
-                userId,
-              ])
-              .catch(() => {});
-          }
-          console.error(`⚠️  Push error for user ${userId}:`, err.message);
-        });
-    }
+    await Promise.all(
+      subResult.rows.map(({ id, subscription }) =>
+        webpush
+          .sendNotification(subscription, payload)
+          .then(() =>
+            db.query(
+              "UPDATE push_subscriptions SET last_used_at = NOW() WHERE id = $1",
+              [id],
+            ),
+          )
+          .catch(async (err) => {
+            // 410 Gone / 404 = this device's subscription expired or is
+            // invalid → remove it, leave the user's other devices alone
+            if (err.statusCode === 410 || err.statusCode === 404) {
+              await db
+                .query("DELETE FROM push_subscriptions WHERE id = $1", [id])
+                .catch(() => {});
+            }
+            console.error(
+              `⚠️  Push error for user ${userId} (device ${id}):`,
+              err.message,
+            );
+          }),
+      ),
+    );
   } catch (err) {
     // NEVER let a notification failure break the calling route
     console.error(`⚠️  notifyUser error (user ${userId}):`, err.message);
   }
+  return outcome;
 };
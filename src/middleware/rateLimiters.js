@@ -17,6 +17,7 @@
 
 import rateLimit, { ipKeyGenerator } from "express-rate-limit";
 import jwt from "jsonwebtoken";
+import { readApiKey } from "./apiKeyMiddleware.js";
 
 // ─── Helper: consistent JSON error shape ────────────────────────────────────
 const jsonMessage = (msg) => ({
@@ -31,7 +32,10 @@ const jsonMessage = (msg) => ({
 // we decode the JWT (without verifying — auth middleware does that separately)
 // to extract their user ID and use that as the rate-limit key instead.
 // Unauthenticated requests (no token / bad token) fall back to IP as before.
+// API-key requests (X-API-Key or Bearer fk_live_…) are keyed on the key.
 const userOrIpKey = (req) => {
+  const apiKey = readApiKey(req);
+  if (apiKey) return `apikey:${apiKey.slice(0, 16)}`;
   try {
     const header = req.headers.authorization;
     const cookie = req.cookies?.authToken;
@@ -229,3 +233,20 @@ export const adminApiLimiter = rateLimit({
   legacyHeaders: false,
   message: jsonMessage("Too many admin requests. Please slow down."),
 });
+
+// ─── 12. TWO-FACTOR CODES — guessing 6-digit codes ──────────────────────────
+// Threat: attacker who has the password (or a stolen challenge token) trying
+// every authenticator code.  A code has a million possibilities and only
+// lives ~90 seconds, so 10 failures per 15 min makes guessing hopeless while
+// leaving room for a user who mistypes a few times.
+export const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: userOrIpKey,
+  message: jsonMessage(
+    "Too many incorrect codes. Please wait 15 minutes before trying again.",
+  ),
+  skipSuccessfulRequests: true,
+});
@@ -0,0 +1,66 @@
+import bcrypt from "bcrypt";
+import db from "../controllers/db.js";
+import { verifySecondFactor } from "../utils/twoFactor.js";
+
+// Re-verification for sensitive account changes (email, phone, password,
+// 2FA settings, account deletion).  Use AFTER authMiddleware.
+//
+// A valid session is not enough: the request body must carry the account
+// password again — `password`, or `current_password` on change-password —
+// and, when the account has 2FA on, a fresh authenticator or backup code in
+// `totp_code`.  Errors use the same { message, code } shape as authMiddleware
+// so the frontend can prompt for whatever is missing.
+const reauthMiddleware = async (req, res, next) => {
+  const password = req.body?.password ?? req.body?.current_password;
+  const totpCode = req.body?.totp_code;
+
+  if (!password) {
+    return res.status(401).json({
+      message: "Please confirm your password to continue.",
+      code: "REAUTH_REQUIRED",
+    });
+  }
+
+  try {
+    const result = await db.query(
+      "SELECT password, totp_enabled FROM users WHERE id = $1",
+      [req.user.id],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "User not found." });
+    }
+    const user = result.rows[0];
+
+    if (!(await bcrypt.compare(String(password), user.password))) {
+      return res.status(401).json({
+        message: "Incorrect password.",
+        code: "REAUTH_FAILED",
+      });
+    }
+
+    if (user.totp_enabled) {
+      if (!totpCode) {
+        return res.status(401).json({
+          message: "Enter the code from your authenticator app to continue.",
+          code: "TOTP_REQUIRED",
+        });
+      }
+      const method = await verifySecondFactor("users", req.user.id, totpCode);
+      if (!method) {
+        return res.status(401).json({
+          message: "That code is invalid or has already been used.",
+          code: "INVALID_TOTP",
+        });
+      }
+    }
+
+    next();
+  } catch (err) {
+    console.error("Re-verification failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Could not verify your identity. Please try again." });
+  }
+};
+
+export default reauthMiddleware;
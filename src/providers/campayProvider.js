@@ -0,0 +1,112 @@
+/**
+ * campayProvider.js — Campay adapter for the payment-provider interface
+ *
+ * Wraps the Campay REST API (token, collect, transaction status, withdraw)
+ * and the JWT-signed webhook so routes never talk to Campay directly.
+ *
+ * Env:
+ *   CAMPAY_BASE_URL      e.g. https://demo.campay.net/api/  (trailing slash)
+ *   CAMPAY_USERNAME      API username
+ *   CAMPAY_PASSWORD      API password
+ *   CAMPAY_WEBHOOK_KEY   secret used to sign webhook payloads
+ */
+
+import axios from "axios";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+dotenv.config();
+
+const BASE_URL = process.env.CAMPAY_BASE_URL || "https://demo.campay.net/api/";
+
+// Campay statuses map 1:1 onto the shared SUCCESSFUL / FAILED / PENDING set.
+const normaliseStatus = (status) =>
+  ["SUCCESSFUL", "FAILED"].includes(status) ? status : "PENDING";
+
+// Every Campay call needs a fresh token from /token/.
+async function authHeaders() {
+  const auth = await axios.post(`${BASE_URL}token/`, {
+    username: process.env.CAMPAY_USERNAME,
+    password: process.env.CAMPAY_PASSWORD,
+  });
+  return {
+    Authorization: `Token ${auth.data.token}`,
+    "Content-Type": "application/json",
+  };
+}
+
+const campayProvider = {
+  name: "campay",
+  // Campay collects and pays out in Cameroon only
+  currencies: ["XAF"],
+  countries: ["CM"],
+
+  /** Sends the MoMo / Orange Money prompt to the payer's phone. */
+  async collect({ amount, currency = "XAF", phone, description, reference }) {
+    const response = await axios.post(
+      `${BASE_URL}collect/`,
+      {
+        amount: String(amount), // whole integers only
+        currency,
+        from: phone,
+        description,
+        external_reference: reference, // links the payment to our DB
+        uuid: reference,
+      },
+      { headers: await authHeaders() },
+    );
+    return {
+      providerReference: response.data.reference ?? null,
+      status: normaliseStatus(response.data.status),
+    };
+  },
+
+  /** Looks up a collect or withdraw by Campay's own reference. */
+  async getStatus(providerReference) {
+    const response = await axios.get(
+      `${BASE_URL}transaction/${providerReference}/`,
+      { headers: await authHeaders() },
+    );
+    return {
+      status: normaliseStatus(response.data.status),
+      raw: response.data,
+    };
+  },
+
+  /** Sends money from the Campay balance to a Mobile Money number. */
+  async withdraw({ amount, currency = "XAF", phone, description, reference }) {
+    const response = await axios.post(
+      `${BASE_URL}withdraw/`,
+      {
+        amount: String(amount),
+        currency,
+        to: phone,
+        description,
+        external_reference: reference,
+      },
+      { headers: await authHeaders() },
+    );
+    return {
+      providerReference: response.data.reference ?? null,
+      status: normaliseStatus(response.data.status),
+    };
+  },
+
+  /**
+   * Verifies the JWT signature Campay puts in the webhook body.
+   * Returns null when the signature is missing or invalid.
+   */
+  verifyWebhook(body) {
+    try {
+      jwt.verify(body.signature, process.env.CAMPAY_WEBHOOK_KEY);
+    } catch {
+      return null;
+    }
+    return {
+      externalReference: body.external_reference,
+      providerReference: body.reference ?? null,
+      status: normaliseStatus(body.status),
+    };
+  },
+};
+
+export default campayProvider;
@@ -0,0 +1,89 @@
+/**
+ * providers/index.js — payment-provider selection
+ *
+ * Every route that moves money goes through `getPaymentProvider()` instead of
+ * calling a gateway directly.  A provider implements:
+ *
+ *   collect({ amount, currency, phone, description, reference })
+ *       → { providerReference, status }
+ *   getStatus(providerReference)
+ *       → { status, raw }
+ *   withdraw({ amount, currency, phone, description, reference })
+ *       → { providerReference, status }
+ *   verifyWebhook(body)
+ *       → { externalReference, providerReference, status } | null if unsigned
+ *
+ * `status` is always one of "SUCCESSFUL" | "FAILED" | "PENDING".
+ * `reference` is OUR id for the transaction (payment UUID, payout reference…).
+ * Each adapter also lists the `currencies` it can move and the `countries`
+ * (see config/phoneNumbering.json) whose mobile numbers it can reach.
+ *
+ * The adapter is chosen per currency: PAYMENT_PROVIDER_<CURRENCY> (e.g.
+ * PAYMENT_PROVIDER_XOF) when set, otherwise PAYMENT_PROVIDER (default
+ * "campay").  The simulated adapter is refused in production so a
+ * misconfigured server can never fake a payment.  To add an adapter (e.g.
+ * direct MTN MoMo), implement the four methods and register it in PROVIDERS.
+ */
+
+import dotenv from "dotenv";
+import campayProvider from "./campayProvider.js";
+import simulatedProvider from "./simulatedProvider.js";
+import { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES } from "../utils/currency.js";
+dotenv.config();
+
+const PROVIDERS = {
+  campay: campayProvider,
+  simulated: simulatedProvider,
+};
+
+const providerNameFor = (currency) =>
+  (
+    (currency && process.env[`PAYMENT_PROVIDER_${currency}`]) ||
+    process.env.PAYMENT_PROVIDER ||
+    "campay"
+  ).toLowerCase();
+
+/**
+ * The adapter for `currency` (default XAF).  Throws when none is configured
+ * or the configured one cannot move that currency.
+ */
+export function getPaymentProvider(currency = DEFAULT_CURRENCY) {
+  const name = providerNameFor(currency);
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}".`);
+  }
+  if (name === "simulated" && process.env.NODE_ENV === "production") {
+    throw new Error("The simulated payment provider cannot run in production.");
+  }
+  if (!provider.currencies.includes(currency)) {
+    throw new Error(`Payment provider "${name}" does not support ${currency}.`);
+  }
+  return provider;
+}
+
+/** True when `provider` can reach mobile numbers from `country`. */
+export const servesCountry = (provider, country) =>
+  provider.countries.includes(country);
+
+/** True when payments in `currency` can be collected and paid out. */
+export function isCurrencyAvailable(currency) {
+  try {
+    getPaymentProvider(currency);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * True when the provider of at least one available currency can pay out to
+ * mobile numbers from `country` — the test for a seller's payout number.
+ */
+export const paysOutTo = (country) =>
+  SUPPORTED_CURRENCIES.some(
+    (currency) =>
+      isCurrencyAvailable(currency) &&
+      servesCountry(getPaymentProvider(currency), country),
+  );
@@ -0,0 +1,31 @@
+/**
+ * fileMailer.js — development sink that writes emails to disk
+ *
+ * Every email becomes <MAIL_FILE_DIR>/<timestamp>-<recipient>.eml, with its
+ * attachments inside, ready to open in any mail client.  Nothing is sent.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { buildMimeMessage } from "./mime.js";
+
+const directory = () =>
+  path.resolve(process.env.MAIL_FILE_DIR || "mail-outbox");
+
+const fileMailer = {
+  name: "file",
+
+  async send(email) {
+    const { messageId, message } = buildMimeMessage(email);
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const recipient = email.to.replace(/[^\w.@-]/g, "_");
+    const file = path.join(directory(), `${stamp}-${recipient}.eml`);
+
+    await fs.mkdir(directory(), { recursive: true });
+    await fs.writeFile(file, message);
+    console.log(`🧪 [mail:file] ${email.subject} → ${file}`);
+    return { messageId };
+  },
+};
+
+export default fileMailer;
@@ -0,0 +1,55 @@
+/**
+ * providers/mail/index.js — mail-provider selection
+ *
+ * jobs/emailQueue.js hands every outbox email to `getMailProvider()` instead
+ * of calling SendGrid directly.  A provider implements:
+ *
+ *   send({ from: { email, name }, to, subject, html, attachments })
+ *       → { messageId }
+ *
+ * and throws when the email could not be handed over.  An error with
+ * `permanent: true` (e.g. an address the provider refuses) is not retried.
+ * `attachments` use SendGrid's shape: { content (base64), filename, type,
+ * disposition }.
+ *
+ * MAIL_PROVIDER picks the adapter (default "sendgrid"):
+ *   sendgrid  SendGrid API, SENDGRID_API_KEY
+ *   file      writes each email as an .eml file to MAIL_FILE_DIR
+ *             (default ./mail-outbox) — open it in any mail client
+ *   smtp      plain SMTP to SMTP_HOST:SMTP_PORT (default localhost:1025),
+ *             for a local catcher such as Mailpit or MailHog
+ *
+ * The file and smtp sinks are for development and are refused in production,
+ * like the simulated payment provider.
+ */
+
+import dotenv from "dotenv";
+import sendgridMailer from "./sendgridMailer.js";
+import fileMailer from "./fileMailer.js";
+import smtpMailer from "./smtpMailer.js";
+dotenv.config();
+
+const PROVIDERS = {
+  sendgrid: sendgridMailer,
+  file: fileMailer,
+  smtp: smtpMailer,
+};
+
+const DEVELOPMENT_ONLY = ["file", "smtp"];
+
+/** The configured adapter.  Throws when it is unknown or not allowed here. */
+export function getMailProvider() {
+  const name = (process.env.MAIL_PROVIDER || "sendgrid").toLowerCase();
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown mail provider "${name}".`);
+  }
+  if (
+    DEVELOPMENT_ONLY.includes(name) &&
+    process.env.NODE_ENV === "production"
+  ) {
+    throw new Error(`The ${name} mail provider cannot run in production.`);
+  }
+  return provider;
+}
@@ -0,0 +1,61 @@
+/**
+ * mime.js — builds a raw RFC 5322 message for the file and smtp sinks
+ *
+ * The HTML body and every attachment are base64-encoded, so no line of the
+ * message can start with "." and it can be sent over SMTP as is.
+ */
+
+import crypto from "crypto";
+
+const wrap = (base64) => base64.replace(/.{1,76}/g, "$&\r\n");
+
+// Non-ASCII header text as an RFC 2047 encoded word
+const encodeHeader = (text) =>
+  /^[\x20-\x7e]*$/.test(text)
+    ? text
+    : `=?UTF-8?B?${Buffer.from(text, "utf8").toString("base64")}?=`;
+
+export function buildMimeMessage({
+  from,
+  to,
+  subject,
+  html,
+  attachments = [],
+}) {
+  const boundary = `fonlok-${crypto.randomBytes(12).toString("hex")}`;
+  const messageId = `<${crypto.randomUUID()}@${from.email.split("@")[1] ?? "localhost"}>`;
+
+  const parts = [
+    [
+      "Content-Type: text/html; charset=utf-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      wrap(Buffer.from(html, "utf8").toString("base64")),
+    ].join("\r\n"),
+    ...attachments.map((a) =>
+      [
+        `Content-Type: ${a.type || "application/octet-stream"}; name="${a.filename}"`,
+        `Content-Disposition: ${a.disposition || "attachment"}; filename="${a.filename}"`,
+        "Content-Transfer-Encoding: base64",
+        "",
+        wrap(a.content),
+      ].join("\r\n"),
+    ),
+  ];
+
+  const message = [
+    `From: ${from.name ? `${encodeHeader(from.name)} ` : ""}<${from.email}>`,
+    `To: <${to}>`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    "",
+    ...parts.map((part) => `--${boundary}\r\n${part}`),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+
+  return { messageId, message };
+}
@@ -0,0 +1,44 @@
+/**
+ * sendgridMailer.js — sends outbox emails through the SendGrid API
+ *
+ * SendGrid answers 202 once it has accepted the email; the x-message-id
+ * header is kept on the outbox row so a message can be traced in the
+ * SendGrid activity feed.
+ */
+
+import sgMail from "@sendgrid/mail";
+import dotenv from "dotenv";
+dotenv.config();
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+// Refusals that will not change on retry (bad address, message too large).
+// 401/403 are not here: they clear once the API key is fixed.
+const PERMANENT_STATUSES = [400, 413];
+
+const sendgridMailer = {
+  name: "sendgrid",
+
+  async send({ from, to, subject, html, attachments = [] }) {
+    try {
+      const [response] = await sgMail.send({
+        to,
+        from,
+        subject,
+        html,
+        ...(attachments.length > 0 ? { attachments } : {}),
+      });
+      return { messageId: response?.headers?.["x-message-id"] ?? null };
+    } catch (err) {
+      const status = err.code ?? err.response?.statusCode;
+      const detail = err.response?.body?.errors
+        ?.map((e) => e.message)
+        .join("; ");
+      const error = new Error(detail || err.message);
+      error.permanent = PERMANENT_STATUSES.includes(status);
+      throw error;
+    }
+  },
+};
+
+export default sendgridMailer;
@@ -0,0 +1,100 @@
+/**
+ * smtpMailer.js — development sink that speaks plain SMTP
+ *
+ * Meant for a local mail catcher (Mailpit, MailHog) on SMTP_HOST:SMTP_PORT,
+ * default localhost:1025.  No TLS and no authentication — it is not a
+ * production mailer.
+ */
+
+import net from "net";
+import os from "os";
+import { buildMimeMessage } from "./mime.js";
+
+const TIMEOUT_MS = 10_000;
+
+// Opens a connection and returns { reply(expectedCode), write(line), close() }.
+// reply() resolves with the final line of the next reply, skipping the
+// "250-…" continuation lines of multi-line replies.
+function connect(host, port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = "";
+    let waiting = null;
+
+    const fail = (err) => {
+      socket.destroy();
+      if (waiting) waiting.reject(err);
+      else reject(err);
+    };
+
+    const drain = () => {
+      if (!waiting) return;
+      let newline;
+      while ((newline = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        if (line[3] === "-") continue;
+
+        const { expected, resolve: done, reject: refuse } = waiting;
+        waiting = null;
+        if (line.startsWith(String(expected))) done(line);
+        else refuse(new Error(`SMTP: expected ${expected}, got "${line}"`));
+        return;
+      }
+    };
+
+    socket.setEncoding("utf8");
+    socket.setTimeout(TIMEOUT_MS, () =>
+      fail(new Error("SMTP server timed out.")),
+    );
+    socket.on("error", fail);
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      drain();
+    });
+    socket.on("connect", () =>
+      resolve({
+        reply: (expected) =>
+          new Promise((done, refuse) => {
+            waiting = { expected, resolve: done, reject: refuse };
+            drain();
+          }),
+        write: (line) => socket.write(`${line}\r\n`),
+        close: () => socket.end(),
+      }),
+    );
+  });
+}
+
+const smtpMailer = {
+  name: "smtp",
+
+  async send(email) {
+    const { messageId, message } = buildMimeMessage(email);
+    const smtp = await connect(
+      process.env.SMTP_HOST || "localhost",
+      Number(process.env.SMTP_PORT) || 1025,
+    );
+
+    try {
+      await smtp.reply(220);
+      smtp.write(`EHLO ${os.hostname()}`);
+      await smtp.reply(250);
+      smtp.write(`MAIL FROM:<${email.from.email}>`);
+      await smtp.reply(250);
+      smtp.write(`RCPT TO:<${email.to}>`);
+      await smtp.reply(250);
+      smtp.write("DATA");
+      await smtp.reply(354);
+      smtp.write(`${message}\r\n.`);
+      await smtp.reply(250);
+      smtp.write("QUIT");
+      await smtp.reply(221);
+    } finally {
+      smtp.close();
+    }
+    return { messageId };
+  },
+};
+
+export default smtpMailer;
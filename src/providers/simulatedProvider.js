@@ -0,0 +1,106 @@
+/**
+ * simulatedProvider.js — in-memory payment provider for local development
+ *
+ * Implements the same interface as campayProvider without any network calls,
+ * so the whole escrow flow (collect → poll → release → payout) can be run
+ * end-to-end on a laptop.
+ *
+ * Behaviour:
+ *   • collect()  — transaction starts PENDING and becomes SUCCESSFUL after
+ *                  SIMULATED_SETTLE_MS (default 5 s), picked up by /poll.
+ *   • withdraw() — succeeds immediately.
+ *   • Any phone listed in SIMULATED_FAIL_NUMBERS (comma-separated) makes
+ *     collects settle as FAILED and withdrawals throw, to exercise error paths.
+ *   • verifyWebhook() accepts any body whose `signature` equals
+ *     SIMULATED_WEBHOOK_SECRET (default "simulated").
+ *
+ * State lives in this process only — under PM2 cluster mode each worker has
+ * its own copy, so run a single instance when using this provider.
+ */
+
+import crypto from "crypto";
+import { SUPPORTED_CURRENCIES } from "../utils/currency.js";
+import { SUPPORTED_COUNTRIES } from "../utils/phone.js";
+
+const SETTLE_MS = parseInt(process.env.SIMULATED_SETTLE_MS) || 5000;
+
+const failNumbers = () =>
+  (process.env.SIMULATED_FAIL_NUMBERS || "")
+    .split(",")
+    .map((n) => n.trim())
+    .filter(Boolean);
+
+// providerReference → { kind, amount, phone, reference, status, createdAt }
+const transactions = new Map();
+
+function statusOf(tx) {
+  if (tx.status !== "PENDING") return tx.status;
+  if (Date.now() - tx.createdAt < SETTLE_MS) return "PENDING";
+  tx.status = failNumbers().includes(tx.phone) ? "FAILED" : "SUCCESSFUL";
+  return tx.status;
+}
+
+const simulatedProvider = {
+  name: "simulated",
+  currencies: SUPPORTED_CURRENCIES,
+  countries: SUPPORTED_COUNTRIES,
+
+  async collect({ amount, phone, reference }) {
+    const providerReference = `SIM-${crypto.randomUUID()}`;
+    transactions.set(providerReference, {
+      kind: "collect",
+      amount: Number(amount),
+      phone,
+      reference,
+      status: "PENDING",
+      createdAt: Date.now(),
+    });
+    console.log(
+      `🧪 [simulated] collect ${amount} from ${phone} → ${providerReference}`,
+    );
+    return { providerReference, status: "PENDING" };
+  },
+
+  async getStatus(providerReference) {
+    const tx = transactions.get(providerReference);
+    if (!tx) return { status: "PENDING", raw: null };
+    return { status: statusOf(tx), raw: { ...tx } };
+  },
+
+  async withdraw({ amount, phone, reference }) {
+    if (failNumbers().includes(phone)) {
+      throw new Error(`[simulated] withdrawal to ${phone} rejected`);
+    }
+    const providerReference = `SIM-${crypto.randomUUID()}`;
+    transactions.set(providerReference, {
+      kind: "withdraw",
+      amount: Number(amount),
+      phone,
+      reference,
+      status: "SUCCESSFUL",
+      createdAt: Date.now(),
+    });
+    console.log(
+      `🧪 [simulated] withdraw ${amount} to ${phone} → ${providerReference}`,
+    );
+    return { providerReference, status: "SUCCESSFUL" };
+  },
+
+  verifyWebhook(body) {
+    const secret = process.env.SIMULATED_WEBHOOK_SECRET || "simulated";
+    if (body.signature !== secret) return null;
+    return {
+      externalReference: body.external_reference,
+      providerReference: body.reference ?? null,
+      status: body.status === "FAILED" ? "FAILED" : "SUCCESSFUL",
+    };
+  },
+
+  /** Test helper: force a transaction into a given state. */
+  setStatus(providerReference, status) {
+    const tx = transactions.get(providerReference);
+    if (tx) tx.status = status;
+  },
+};
+
+export default simulatedProvider;
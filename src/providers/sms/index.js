@@ -0,0 +1,67 @@
+/**
+ * providers/sms/index.js — SMS / WhatsApp provider selection
+ *
+ * jobs/smsQueue.js hands every outbox message to `getSmsProvider()`.  A
+ * provider implements:
+ *
+ *   send({ channel, to, body }) → { messageId }
+ *       `channel` is "sms" or "whatsapp", `to` a normalised number
+ *       ("237670000000", see utils/phone.js).  Throws when the message could
+ *       not be handed over; an error with `permanent: true` (unreachable or
+ *       unsubscribed number) is not retried.
+ *   verifyInbound(req) → { from, text } | null if unsigned
+ *       Parses a reply the provider forwards to POST /sms/inbound, so a
+ *       buyer can answer STOP / START.
+ *
+ * Each adapter lists the `channels` it can use.
+ *
+ * SMS_PROVIDER picks the adapter; when it is not set, text messages are
+ * switched off and buyers are only emailed:
+ *   twilio  Twilio Messaging API — TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN,
+ *           TWILIO_SMS_FROM and/or TWILIO_WHATSAPP_FROM
+ *   stub    logs every message instead of sending it, for development
+ *
+ * SMS_CHANNEL (default "sms") chooses between plain SMS and WhatsApp for
+ * every buyer.  The stub is refused in production, like the simulated
+ * payment provider.
+ */
+
+import dotenv from "dotenv";
+import twilioSms from "./twilioSms.js";
+import stubSms from "./stubSms.js";
+dotenv.config();
+
+const PROVIDERS = {
+  twilio: twilioSms,
+  stub: stubSms,
+};
+
+export const SMS_CHANNELS = ["sms", "whatsapp"];
+
+/** The configured channel, "sms" or "whatsapp". */
+export const smsChannel = () =>
+  (process.env.SMS_CHANNEL || "sms").toLowerCase();
+
+/** True when text messages are switched on (SMS_PROVIDER is set). */
+export const isSmsEnabled = () => Boolean(process.env.SMS_PROVIDER);
+
+/**
+ * The configured adapter.  Throws when it is unknown, not allowed here, or
+ * cannot use the configured channel.
+ */
+export function getSmsProvider() {
+  const name = (process.env.SMS_PROVIDER || "").toLowerCase();
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider "${name}".`);
+  }
+  if (name === "stub" && process.env.NODE_ENV === "production") {
+    throw new Error("The stub SMS provider cannot run in production.");
+  }
+  const channel = smsChannel();
+  if (!provider.channels.includes(channel)) {
+    throw new Error(`SMS provider "${name}" does not support ${channel}.`);
+  }
+  return provider;
+}
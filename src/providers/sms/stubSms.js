@@ -0,0 +1,33 @@
+/**
+ * stubSms.js — development SMS / WhatsApp provider
+ *
+ * Nothing is sent: each message is printed to the console and logged, and
+ * marked as sent.  Replies can be simulated with
+ *
+ *   curl -X POST localhost:5000/sms/inbound \
+ *        -H "Content-Type: application/json" \
+ *        -d '{"from": "237670000000", "text": "STOP"}'
+ */
+
+import crypto from "crypto";
+import logger from "../../utils/logger.js";
+
+const stubSms = {
+  name: "stub",
+  channels: ["sms", "whatsapp"],
+
+  async send({ channel, to, body }) {
+    const messageId = `stub-${crypto.randomBytes(8).toString("hex")}`;
+    console.log(`🧪 [sms:stub] ${channel} → ${to}: ${body}`);
+    logger.info("Stub SMS", { channel, to, messageId });
+    return { messageId };
+  },
+
+  verifyInbound(req) {
+    const { from, text } = req.body ?? {};
+    if (typeof from !== "string" || typeof text !== "string") return null;
+    return { from, text };
+  },
+};
+
+export default stubSms;
@@ -0,0 +1,96 @@
+/**
+ * twilioSms.js — SMS and WhatsApp through the Twilio Messaging API
+ *
+ * Uses the REST API directly (no SDK).  WhatsApp messages go out from
+ * TWILIO_WHATSAPP_FROM with the "whatsapp:" address prefix; note that
+ * WhatsApp only delivers free-form text to a buyer who wrote to us in the
+ * last 24 hours unless the sender is set up with approved templates.
+ *
+ * Replies arrive form-encoded at POST /sms/inbound and are authenticated
+ * with the X-Twilio-Signature header, an HMAC-SHA1 (keyed with the auth
+ * token) of the public webhook URL followed by every parameter name and
+ * value in name order.  The raw body kept by server.js is used, so the
+ * input sanitizer cannot change what is signed.
+ */
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+dotenv.config();
+
+const API = "https://api.twilio.com/2010-04-01";
+
+// Refusals that will not change on retry: invalid, landline or unreachable
+// number, and recipients who unsubscribed with STOP on Twilio's side.
+const PERMANENT_CODES = [21211, 21408, 21610, 21612, 21614, 63024];
+
+const address = (channel, phone) =>
+  channel === "whatsapp" ? `whatsapp:+${phone}` : `+${phone}`;
+
+const sender = (channel) =>
+  channel === "whatsapp"
+    ? `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`
+    : process.env.TWILIO_SMS_FROM;
+
+const twilioSms = {
+  name: "twilio",
+  channels: ["sms", "whatsapp"],
+
+  async send({ channel, to, body }) {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const auth = Buffer.from(
+      `${sid}:${process.env.TWILIO_AUTH_TOKEN}`,
+    ).toString("base64");
+
+    const response = await fetch(`${API}/Accounts/${sid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${auth}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({
+        To: address(channel, to),
+        From: sender(channel),
+        Body: body,
+      }),
+      signal: AbortSignal.timeout(15_000),
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(
+        result.message || `Twilio answered HTTP ${response.status}.`,
+      );
+      error.permanent = PERMANENT_CODES.includes(result.code);
+      throw error;
+    }
+    return { messageId: result.sid ?? null };
+  },
+
+  verifyInbound(req) {
+    const signature = req.get("X-Twilio-Signature");
+    if (!signature || !req.rawBody) return null;
+
+    const params = new URLSearchParams(req.rawBody.toString("utf8"));
+    const signed =
+      `${process.env.BACKEND_URL}/sms/inbound` +
+      [...params.keys()]
+        .sort()
+        .map((name) => name + params.get(name))
+        .join("");
+    const expected = crypto
+      .createHmac("sha1", process.env.TWILIO_AUTH_TOKEN || "")
+      .update(signed)
+      .digest("base64");
+
+    const a = Buffer.from(signature);
+    const b = Buffer.from(expected);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+    return {
+      from: (params.get("From") || "").replace(/^whatsapp:/, ""),
+      text: params.get("Body") || "",
+    };
+  },
+};
+
+export default twilioSms;
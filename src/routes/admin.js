@@ -3,13 +3,69 @@ const router = express.Router();
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 import db from "../controllers/db.js";
-import adminMiddleware from "../middleware/adminMiddleware.js";
-import sgMail from "@sendgrid/mail";
-import { emailWrap } from "../utils/emailTemplate.js";
-import { BRAND } from "../config/brand.js";
-import { getSettings, setSetting, bool } from "../utils/platformSettings.js";
+import adminMiddleware, {
+  requireRole,
+} from "../middleware/adminMiddleware.js";
+import idempotency from "../middleware/idempotency.js";
+import {
+  getSettings,
+  setSetting,
+  bool,
+  int,
+} from "../utils/platformSettings.js";
+import {
+  getAccountBalances,
+  getKindTotals,
+  getCurrencyTotals,
+  reconcileLedger,
+  recordWalletAdjustment,
+} from "../utils/ledger.js";
+import {
+  retryPayoutJob,
+  cancelPayoutJob,
+  PayoutOutcomeUnknownError,
+} from "../jobs/payoutQueue.js";
+import { resendFailedTransfer } from "../jobs/failedTransfers.js";
+import { resendEmail } from "../jobs/emailQueue.js";
+import { getTemplate, listTemplates, renderEmail } from "../emails/index.js";
+import { optOut, optIn } from "../jobs/smsQueue.js";
+import { getSmsTemplate, listSmsTemplates, renderSms } from "../sms/index.js";
+import { parsePhone } from "../utils/phone.js";
+import { releasePayoutHold } from "../utils/payoutPhone.js";
+import {
+  KYC_TIERS,
+  documentLinks,
+  monthlyInvoiceVolume,
+  reviewSubmission,
+  setKycTier,
+} from "../utils/kyc.js";
+import { RISK_STAGES, reviewAssessment } from "../utils/risk.js";
+import { SUPPORTED_CURRENCIES } from "../utils/currency.js";
+import { notifyUser } from "../middleware/notificationHelper.js";
+import {
+  ADMIN_ROLES,
+  ADMIN_COLUMNS,
+  authenticateAdmin,
+  hashAdminPassword,
+  recordAdminAction,
+} from "../utils/admins.js";
+import {
+  beginEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  signChallengeToken,
+  verifyChallengeToken,
+} from "../utils/twoFactor.js";
 dotenv.config();
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+// ─── Role guards ──────────────────────────────────────────────────────────────
+// Any admin may read the dashboard; these gate the actions (see utils/admins.js).
+// Superadmins pass every guard.
+const financeOnly = [adminMiddleware, requireRole("finance")];
+const supportOnly = [adminMiddleware, requireRole("support")];
+const superadminOnly = [adminMiddleware, requireRole("superadmin")];
 
 // ─── Pagination helper ────────────────────────────────────────────────────────
 // Parses ?page and ?limit from query string with safe defaults
@@ -22,8 +78,13 @@ const getPagination = (query) => {
 
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /admin/login  (public — no middleware)
-// Verifies ADMIN_EMAIL and ADMIN_PASSWORD stored in .env
-// Issues a short-lived JWT in a secure HTTP-only cookie
+// Step 1 of 2: verifies the email and password of an active admin account
+// (utils/admins.js).  2FA is mandatory for admins, so no session is issued
+// here — the response carries a 5-minute challengeToken for step 2 and:
+//   { twoFactorRequired: true }                          2FA already set up
+//   { enrollmentRequired: true, secret, otpauthUrl }     first login: scan
+//                                                        the QR code, then
+//                                                        confirm with a code
 // ─────────────────────────────────────────────────────────────────────────────
 router.post("/login", async (req, res) => {
   const { email, password } = req.body;
@@ -34,15 +95,110 @@ router.post("/login", async (req, res) => {
       .json({ message: "Email and password are required." });
   }
 
-  const adminEmail = process.env.ADMIN_EMAIL?.toLowerCase().trim();
-  const adminPassword = process.env.ADMIN_PASSWORD?.trim();
-
-  if (email.toLowerCase().trim() !== adminEmail || password !== adminPassword) {
+  let admin;
+  try {
+    admin = await authenticateAdmin(String(email), String(password));
+  } catch (err) {
+    console.error("Admin login error:", err);
+    return res.status(500).json({ message: "Login failed. Please try again." });
+  }
+  if (!admin) {
     return res.status(401).json({ message: "Invalid admin credentials." });
   }
 
+  const challengeToken = signChallengeToken("admin_login", admin.id);
+  if (admin.totp_enabled) {
+    return res.json({
+      message: "Enter the code from your authenticator app.",
+      twoFactorRequired: true,
+      challengeToken,
+    });
+  }
+
+  try {
+    const { secret, otpauthUrl } = await beginEnrolment(
+      "admins",
+      admin.id,
+      admin.email,
+    );
+    return res.json({
+      message:
+        "Two-factor authentication is required for admins. Scan the QR code with your authenticator app, then enter the code it shows.",
+      enrollmentRequired: true,
+      challengeToken,
+      secret,
+      otpauthUrl,
+    });
+  } catch (err) {
+    console.error("Admin 2FA enrolment error:", err);
+    return res.status(500).json({ message: "Login failed. Please try again." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /admin/login/2fa  (public — no middleware)
+// Step 2 of 2.  Body: { challengeToken, code }
+// `code` is an authenticator code or a backup code.  On the first login it
+// confirms enrolment and the response includes the admin's backup codes
+// (shown once).  Issues a short-lived JWT in a secure HTTP-only cookie.
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/login/2fa", async (req, res) => {
+  const { challengeToken, code } = req.body;
+  const adminId = verifyChallengeToken(challengeToken, "admin_login");
+  if (!adminId) {
+    return res.status(401).json({
+      message: "Your login attempt has expired. Please log in again.",
+    });
+  }
+  if (!code?.trim()) {
+    return res.status(400).json({ message: "Enter your 2FA code." });
+  }
+
+  let admin;
+  let backupCodes = null;
+  try {
+    const result = await db.query(
+      `SELECT ${ADMIN_COLUMNS}, totp_enabled FROM admins
+        WHERE id = $1 AND active = true`,
+      [adminId],
+    );
+    admin = result.rows[0];
+    if (!admin) {
+      return res.status(401).json({ message: "Invalid admin credentials." });
+    }
+
+    if (admin.totp_enabled) {
+      if (!(await verifySecondFactor("admins", admin.id, code))) {
+        return res
+          .status(401)
+          .json({ message: "That code is invalid or has already been used." });
+      }
+    } else {
+      backupCodes = await confirmEnrolment("admins", admin.id, code);
+      if (!backupCodes) {
+        return res.status(401).json({
+          message:
+            "That code does not match. Check your authenticator app and try again.",
+        });
+      }
+    }
+
+    await db.query("UPDATE admins SET last_login_at = NOW() WHERE id = $1", [
+      admin.id,
+    ]);
+  } catch (err) {
+    console.error("Admin 2FA login error:", err);
+    return res.status(500).json({ message: "Login failed. Please try again." });
+  }
+
   const token = jwt.sign(
-    { isAdmin: true, email: adminEmail },
+    {
+      isAdmin: true,
+      mfa: true,
+      adminId: admin.id,
+      email: admin.email,
+      role: admin.role,
+    },
     process.env.JWT_SECRET,
     { expiresIn: "8h" },
   );
@@ -54,8 +210,44 @@ router.post("/login", async (req, res) => {
     maxAge: 8 * 60 * 60 * 1000, // 8 hours
   });
 
-  console.log(`✅ Admin logged in: ${adminEmail}`);
-  res.json({ message: "Logged in successfully." });
+  req.admin = admin;
+  await recordAdminAction(req, "admin.login", {
+    details: backupCodes ? { twoFactorEnrolled: true } : null,
+  });
+  console.log(`✅ Admin logged in: ${admin.email} (${admin.role})`);
+  res.json({
+    message: "Logged in successfully.",
+    role: admin.role,
+    ...(backupCodes && { backupCodes }),
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /admin/2fa/backup-codes
+// Body: { code } — a current authenticator code.  Replaces the admin's own
+// backup codes; the old ones stop working.
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/2fa/backup-codes", adminMiddleware, async (req, res) => {
+  const { code } = req.body;
+  if (!code?.trim()) {
+    return res.status(400).json({ message: "Enter your 2FA code." });
+  }
+  try {
+    if (!(await verifySecondFactor("admins", req.admin.id, code))) {
+      return res
+        .status(401)
+        .json({ message: "That code is invalid or has already been used." });
+    }
+    const backupCodes = await regenerateBackupCodes("admins", req.admin.id);
+    await recordAdminAction(req, "admin.backup_codes", {
+      targetType: "admin",
+      targetId: req.admin.id,
+    });
+    res.json({ message: "New backup codes created.", backupCodes });
+  } catch (err) {
+    console.error("Admin backup codes error:", err);
+    res.status(500).json({ message: "Failed to create new backup codes." });
+  }
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -75,27 +267,30 @@ router.post("/logout", (req, res) => {
 // The frontend calls this on load to check whether the admin session is still valid
 // ─────────────────────────────────────────────────────────────────────────────
 router.get("/verify", adminMiddleware, (req, res) => {
-  res.json({ isAdmin: true });
+  const { email, name, role } = req.admin;
+  res.json({ isAdmin: true, email, name, role });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /admin/stats
-// Returns platform-wide overview numbers for the dashboard header cards
+// Returns platform-wide overview numbers for the dashboard header cards.
+// Every money figure is derived from the double-entry ledger (utils/ledger.js)
+// so it always agrees with GET /admin/ledger/reconciliation.
+// The headline totals add all currencies together (XAF and XOF are at par);
+// `byCurrency` breaks them down per invoice currency.
 // ─────────────────────────────────────────────────────────────────────────────
 router.get("/stats", adminMiddleware, async (req, res) => {
   try {
     const [
       usersResult,
       invoicesResult,
-      paymentsResult,
-      payoutsResult,
       openDisputesResult,
       resolvedDisputesResult,
-      revenueResult,
-      referralEarningsResult,
       referralUsersResult,
-      escrowBalanceResult,
-      pendingReferralBalanceResult,
+      invoicesByCurrencyResult,
+      balances,
+      kinds,
+      currencyTotals,
     ] = await Promise.all([
       // Total registered users
       db.query("SELECT COUNT(*) FROM users"),
@@ -103,79 +298,86 @@ router.get("/stats", adminMiddleware, async (req, res) => {
       // Total invoices (all statuses)
       db.query("SELECT COUNT(*) FROM invoices"),
 
-      // Total successful payments and amount processed
-      db.query(
-        "SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total FROM payments WHERE status = 'paid'",
-      ),
-
-      // Total payouts made
-      db.query(
-        "SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total FROM payouts WHERE status = 'paid'",
-      ),
-
       // Open disputes
       db.query("SELECT COUNT(*) FROM disputes WHERE status = 'open'"),
 
       // Resolved disputes
       db.query("SELECT COUNT(*) FROM disputes WHERE status LIKE 'resolved%'"),
 
-      // Platform revenue = 2% of all paid invoice amounts
-      db.query(
-        "SELECT COALESCE(SUM(amount * 0.02), 0) AS revenue FROM invoices WHERE status = 'paid'",
-      ),
-
-      // Total referral commissions ever earned by referrers
-      db.query(
-        "SELECT COALESCE(SUM(earned_amount), 0) AS total FROM referral_earnings",
-      ),
-
       // Number of users who have ever referred at least one person
       db.query(
         "SELECT COUNT(DISTINCT referred_by) FROM users WHERE referred_by IS NOT NULL",
       ),
 
-      // Escrow balance: payments received but invoice not yet completed (held by platform)
-      db.query(
-        `SELECT COALESCE(SUM(p.amount), 0) AS total
-         FROM payments p
-         JOIN invoices i ON i.id = p.invoiceid
-         WHERE p.status = 'paid' AND i.status IN ('paid', 'delivered')`,
-      ),
+      // Invoices per currency
+      db.query("SELECT currency, COUNT(*) FROM invoices GROUP BY currency"),
 
-      // Pending referral balance: sum of referral_balance not yet withdrawn by users
-      db.query(
-        "SELECT COALESCE(SUM(referral_balance), 0) AS total FROM users WHERE referral_balance > 0",
-      ),
+      getAccountBalances(),
+      getKindTotals(),
+      getCurrencyTotals(),
     ]);
 
+    const kind = (k) => kinds[k] ?? { count: 0, total: 0 };
+
+    const invoicesByCurrency = Object.fromEntries(
+      invoicesByCurrencyResult.rows.map((r) => [r.currency, parseInt(r.count)]),
+    );
+    const byCurrency = {};
+    for (const currency of new Set([
+      ...SUPPORTED_CURRENCIES,
+      ...Object.keys(currencyTotals),
+    ])) {
+      const totals = currencyTotals[currency];
+      const kindOf = (k) => totals?.kinds[k] ?? { count: 0, total: 0 };
+      byCurrency[currency] = {
+        totalInvoices: invoicesByCurrency[currency] ?? 0,
+        totalPaymentsCount: kindOf("payment_received").count,
+        totalAmountProcessed: kindOf("payment_received").total,
+        totalPayoutsCount: kindOf("payout").count,
+        totalPayoutsAmount: kindOf("payout").total,
+        totalRefundsCount: kindOf("refund").count,
+        platformRevenue: totals?.balances.platform_fee ?? 0,
+        escrowBalance: totals?.balances.buyer_escrow ?? 0,
+        providerCashBalance: totals?.balances.provider_cash ?? 0,
+      };
+    }
+
+    // Each journal entry's debits equal its credits, so a kind's total debit
+    // is exactly the amount that moved in that event.
     res.json({
       totalUsers: parseInt(usersResult.rows[0].count),
       totalInvoices: parseInt(invoicesResult.rows[0].count),
 
-      totalPaymentsCount: parseInt(paymentsResult.rows[0].count),
-      totalAmountProcessed: parseFloat(paymentsResult.rows[0].total),
+      totalPaymentsCount: kind("payment_received").count,
+      totalAmountProcessed: kind("payment_received").total,
 
-      totalPayoutsCount: parseInt(payoutsResult.rows[0].count),
-      totalPayoutsAmount: parseFloat(payoutsResult.rows[0].total),
+      totalPayoutsCount: kind("payout").count,
+      totalPayoutsAmount: kind("payout").total,
+
+      totalRefundsCount: kind("refund").count,
 
       openDisputes: parseInt(openDisputesResult.rows[0].count),
       resolvedDisputes: parseInt(resolvedDisputesResult.rows[0].count),
 
-      // Platform revenue = 2% of paid invoices, minus 0.5% paid out as referral fees
-      platformRevenue: parseFloat(revenueResult.rows[0].revenue),
-      totalReferralCommissionsPaid: parseFloat(
-        referralEarningsResult.rows[0].total,
-      ),
+      // Fees retained by Fonlok, net of referral commissions carved out of them
+      platformRevenue: balances.platform_fee,
+      totalReferralCommissionsPaid: kind("referral_credit").total,
 
       activeReferrers: parseInt(referralUsersResult.rows[0].count),
 
-      // Money currently held in escrow (paid by buyer, not yet released to seller)
-      escrowBalance: parseFloat(escrowBalanceResult.rows[0].total),
+      // Money currently held in escrow (paid by buyer, not yet released or refunded)
+      escrowBalance: balances.buyer_escrow,
 
       // Referral earnings accumulated by users but not yet withdrawn
-      pendingReferralBalance: parseFloat(
-        pendingReferralBalanceResult.rows[0].total,
-      ),
+      pendingReferralBalance: balances.referral_payable,
+
+      // Admin-credited wallet funds owed to users
+      walletLiabilities: balances.user_wallet,
+
+      // Funds that should currently sit with the payment provider
+      providerCashBalance: balances.provider_cash,
+
+      byCurrency,
     });
   } catch (err) {
     console.error("Admin stats error:", err);
@@ -183,6 +385,280 @@ router.get("/stats", adminMiddleware, async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /admin/ledger/reconciliation
+// Checks the ledger against invoices, milestones and user balances.
+// Returns { balanced, balances, issues[] } — an empty issues list means
+// every escrow, referral and wallet figure agrees with the journal.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/ledger/reconciliation", financeOnly, async (req, res) => {
+  try {
+    res.json(await reconcileLedger());
+  } catch (err) {
+    console.error("Admin ledger reconciliation error:", err);
+    res.status(500).json({ message: "Failed to reconcile the ledger." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /admin/ledger/entries?page=1&limit=20&invoice=&account=
+// Paginated journal with the lines of every entry.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/ledger/entries", financeOnly, async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query);
+  const invoice = req.query.invoice?.trim() || null;
+  const account = req.query.account?.trim() || null;
+
+  try {
+    const filter = `WHERE ($1::text IS NULL OR e.invoice_number = $1)
+        AND ($2::text IS NULL OR EXISTS (
+          SELECT 1 FROM ledger_lines x WHERE x.entry_id = e.id AND x.account = $2))`;
+
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT e.id, e.reference, e.kind, e.description, e.invoice_number,
+                e.currency, e.created_at,
+                json_agg(json_build_object(
+                  'account', l.account,
+                  'user_id', l.user_id,
+                  'debit',   l.debit,
+                  'credit',  l.credit
+                ) ORDER BY l.id) AS lines
+           FROM ledger_entries e
+           JOIN ledger_lines l ON l.entry_id = e.id
+           ${filter}
+          GROUP BY e.id
+          ORDER BY e.created_at DESC, e.id DESC
+          LIMIT $3 OFFSET $4`,
+        [invoice, account, limit, offset],
+      ),
+      db.query(`SELECT COUNT(*) FROM ledger_entries e ${filter}`, [
+        invoice,
+        account,
+      ]),
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      data: dataResult.rows,
+      total,
+      page,
+      hasMore: offset + limit < total,
+    });
+  } catch (err) {
+    console.error("Admin ledger entries error:", err);
+    res.status(500).json({ message: "Failed to load ledger entries." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /admin/payout-jobs?page=1&limit=20&status=needs_review&settlement=failed
+// Outgoing transfers in the payout queue, newest first.  settlement=failed
+// lists the transfers that can be resent.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/payout-jobs", financeOnly, async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query);
+  const status = req.query.status?.trim() || null;
+  const settlement = req.query.settlement?.trim() || null;
+
+  try {
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT j.*, u.name AS user_name, u.email AS user_email
+           FROM payout_jobs j
+           LEFT JOIN users u ON u.id = j.user_id
+          WHERE ($1::text IS NULL OR j.status = $1)
+            AND ($4::text IS NULL OR j.settlement_status = $4)
+          ORDER BY j.created_at DESC
+          LIMIT $2 OFFSET $3`,
+        [status, limit, offset, settlement],
+      ),
+      db.query(
+        `SELECT COUNT(*) FROM payout_jobs
+          WHERE ($1::text IS NULL OR status = $1)
+            AND ($2::text IS NULL OR settlement_status = $2)`,
+        [status, settlement],
+      ),
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      data: dataResult.rows,
+      total,
+      page,
+      hasMore: offset + limit < total,
+    });
+  } catch (err) {
+    console.error("Admin payout jobs error:", err);
+    res.status(500).json({ message: "Failed to load payout jobs." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /admin/payout-jobs/:id/retry
+// Re-queues a failed / needs_review job and attempts it immediately.
+// Only retry a needs_review job once the provider confirms the money did NOT
+// leave — otherwise the seller is paid twice.
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/payout-jobs/:id/retry", financeOnly, async (req, res) => {
+  const jobId = parseInt(req.params.id, 10);
+  if (isNaN(jobId)) return res.status(400).json({ message: "Invalid job id." });
+
+  try {
+    const job = await retryPayoutJob(jobId);
+    if (!job) {
+      return res.status(400).json({
+        message: "Only failed or needs_review payout jobs can be retried.",
+      });
+    }
+    await recordAdminAction(req, "payout_job.retry", {
+      targetType: "payout_job",
+      targetId: jobId,
+      details: { status: job.status },
+    });
+    console.log(
+      `🔁 Admin ${req.admin.email} retried payout job ${jobId} → ${job.status}`,
+    );
+    res.json({ message: `Payout job ${jobId} is now ${job.status}.`, job });
+  } catch (err) {
+    console.error("Admin payout job retry error:", err);
+    res.status(500).json({ message: "Failed to retry payout job." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /admin/payout-jobs/:id/resend
+// Sends a transfer again that the provider accepted but later reported as
+// FAILED (settlement_status 'failed').  A new job is queued and attempted
+// immediately: to the seller's current payout number, or for a refund to
+// the buyer's.  Failed referral withdrawals are not resent — their amount
+// was returned to the referrer's balance.
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/payout-jobs/:id/resend", financeOnly, async (req, res) => {
+  const jobId = parseInt(req.params.id, 10);
+  if (isNaN(jobId)) return res.status(400).json({ message: "Invalid job id." });
+
+  try {
+    const job = await resendFailedTransfer(jobId, req.admin.email);
+    if (!job) {
+      return res.status(400).json({
+        message:
+          "Only transfers that failed after the provider accepted them, and were not resent yet, can be resent.",
+      });
+    }
+    await recordAdminAction(req, "payout_job.resend", {
+      targetType: "payout_job",
+      targetId: jobId,
+      details: { newJobId: job.id, status: job.status },
+    });
+    console.log(
+      `🔁 Admin ${req.admin.email} resent payout job ${jobId} as job ${job.id} → ${job.status}`,
+    );
+    res.json({
+      message: `Payout job ${jobId} was resent as job ${job.id}, now ${job.status}.`,
+      job,
+    });
+  } catch (err) {
+    console.error("Admin payout job resend error:", err);
+    res.status(500).json({ message: "Failed to resend payout job." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /admin/payout-jobs/:id/cancel
+// Cancels a job that was never sent and undoes what made it owed
+// (un-burns the release code, restores the referral balance, …).
+// A job whose transfer may have gone out (outcome_unknown) is only cancelled
+// once the provider reports it FAILED: pass the provider's reference for it.
+// Required body: { reason }   Optional: { provider_reference }
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/payout-jobs/:id/cancel", financeOnly, async (req, res) => {
+  const jobId = parseInt(req.params.id, 10);
+  const { reason, provider_reference: providerReference } = req.body;
+  if (isNaN(jobId)) return res.status(400).json({ message: "Invalid job id." });
+  if (!reason || reason.trim().length < 5)
+    return res
+      .status(400)
+      .json({ message: "A reason note of at least 5 characters is required." });
+
+  try {
+    const job = await cancelPayoutJob(
+      jobId,
+      `Cancelled by ${req.admin.email}: ${reason.trim()}`,
+      { providerReference: providerReference?.trim() || null },
+    );
+    if (!job) {
+      return res.status(400).json({
+        message: "This payout job has already been sent or cancelled.",
+      });
+    }
+    await recordAdminAction(req, "payout_job.cancel", {
+      targetType: "payout_job",
+      targetId: jobId,
+      details: {
+        reason: reason.trim(),
+        providerReference: providerReference?.trim() || null,
+      },
+    });
+    res.json({ message: `Payout job ${jobId} cancelled.`, job });
+  } catch (err) {
+    if (err instanceof PayoutOutcomeUnknownError) {
+      return res.status(409).json({ message: err.message });
+    }
+    console.error("Admin payout job cancel error:", err);
+    res.status(500).json({ message: "Failed to cancel payout job." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /admin/users/:id/payout-hold/release
+// Ends the hold on payouts to a user's newly changed payout number early.
+// Held jobs become due and are sent by the queue within a minute.
+// Required body: { reason }
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/users/:id/payout-hold/release", financeOnly, async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  const { reason } = req.body;
+  if (isNaN(userId))
+    return res.status(400).json({ message: "Invalid user id." });
+  if (!reason || reason.trim().length < 5)
+    return res
+      .status(400)
+      .json({ message: "A reason note of at least 5 characters is required." });
+
+  try {
+    const hold = await releasePayoutHold(userId, req.admin.email);
+    if (!hold) {
+      return res
+        .status(400)
+        .json({ message: "This user has no payout hold in effect." });
+    }
+    await recordAdminAction(req, "payout_hold.release", {
+      targetType: "user",
+      targetId: userId,
+      details: {
+        reason: reason.trim(),
+        phone: hold.phone,
+        heldUntil: hold.until,
+        payoutJobIds: hold.jobIds,
+      },
+    });
+    console.log(
+      `🔓 Admin ${req.admin.email} lifted the payout hold on user ${userId} (${hold.jobIds.length} job(s) released)`,
+    );
+    res.json({
+      message: "Payout hold lifted.",
+      phone: hold.phone,
+      releasedJobs: hold.jobIds.length,
+    });
+  } catch (err) {
+    console.error("Admin payout hold release error:", err);
+    res.status(500).json({ message: "Failed to lift the payout hold." });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /admin/users?page=1&limit=10
 // Paginated list of all registered users
@@ -199,6 +675,8 @@ router.get("/users", adminMiddleware, async (req, res) => {
            u.username,
            u.email,
            u.phone,
+           u.payout_hold_until,
+           u.kyc_tier,
            u.country,
            u.createdat,
            u.referral_code,
@@ -337,6 +815,8 @@ router.get("/payouts", adminMiddleware, async (req, res) => {
            p.amount,
            p.method,
            p.status,
+           p.provider_status,
+           p.payout_job_id,
            p.createdat,
            u.name    AS seller_name,
            u.email   AS seller_email,
@@ -548,7 +1028,7 @@ router.get("/users/search", adminMiddleware, async (req, res) => {
 // Send a message to all users (broadcast) or to a single user (direct).
 // Body: { recipientType: 'all'|'user', userId?: number, subject: string, body: string }
 // ─────────────────────────────────────────────────────────────────────────────
-router.post("/broadcast", adminMiddleware, async (req, res) => {
+router.post("/broadcast", supportOnly, async (req, res) => {
   const { recipientType, userId, subject, body } = req.body;
 
   if (!subject?.trim() || !body?.trim()) {
@@ -560,22 +1040,11 @@ router.post("/broadcast", adminMiddleware, async (req, res) => {
       .json({ message: 'recipientType must be "all" or "user".' });
   }
 
-  // Build HTML from the plain-text body (preserve line breaks)
-  const bodyHtml = body
-    .trim()
-    .split(/\r?\n/)
-    .map((line) =>
-      line.trim()
-        ? `<p style="margin:0 0 10px;color:#0f172a;font-size:15px;line-height:1.6;">${line}</p>`
-        : `<p style="margin:0 0 10px;">&nbsp;</p>`,
-    )
-    .join("");
-
   try {
     if (recipientType === "all") {
       // ── Broadcast to all registered users ──────────────────────────────────
       const usersRes = await db.query(
-        "SELECT id, name, email FROM users ORDER BY id",
+        "SELECT id, name, email, language FROM users ORDER BY id",
       );
       const users = usersRes.rows;
 
@@ -583,25 +1052,32 @@ router.post("/broadcast", adminMiddleware, async (req, res) => {
         return res.status(400).json({ message: "No registered users found." });
       }
 
-      // Build one message object per recipient
-      const messages = users.map((u) => ({
-        to: u.email,
-        from: { name: BRAND.name, email: BRAND.supportEmail },
-        subject: subject.trim(),
-        html: emailWrap(
-          `<p style="margin:0 0 16px;font-size:15px;color:#0f172a;">Hi <strong>${u.name}</strong>,</p>` +
-            bodyHtml +
-            `<p style="margin:16px 0 0;font-size:13px;color:#64748b;">— The ${BRAND.name} Team</p>`,
-          { subtitle: "Message from Fonlok" },
+      // One outbox email per recipient, each in their own language — or a
+      // line in their digest; users who turned announcements off are skipped
+      const outcomes = await Promise.all(
+        users.map((u) =>
+          notifyUser(
+            u.id,
+            "announcement",
+            subject.trim(),
+            body.trim(),
+            {},
+            {
+              email: {
+                template: "user.message",
+                data: {
+                  name: u.name,
+                  subject: subject.trim(),
+                  body: body.trim(),
+                },
+              },
+            },
+          ),
         ),
-      }));
-
-      // sendMultiple delivers to each recipient individually
-      const results = await Promise.allSettled(
-        messages.map((msg) => sgMail.send(msg)),
       );
-      const failed = results.filter((r) => r.status === "rejected").length;
-      const sent = results.length - failed;
+      const failed = outcomes.filter((o) => o.email === "failed").length;
+      const skipped = outcomes.filter((o) => o.email === "off").length;
+      const sent = outcomes.length - failed - skipped;
 
       // Store broadcast record
       await db.query(
@@ -611,8 +1087,17 @@ router.post("/broadcast", adminMiddleware, async (req, res) => {
         ["all", subject.trim(), body.trim(), sent],
       );
 
+      await recordAdminAction(req, "broadcast.send", {
+        details: {
+          recipientType: "all",
+          subject: subject.trim(),
+          sent,
+          failed,
+          skipped,
+        },
+      });
       console.log(
-        `📢 Admin broadcast sent: ${sent}/${users.length} delivered, ${failed} failed.`,
+        `📢 Admin broadcast sent: ${sent}/${users.length} delivered, ${failed} failed, ${skipped} opted out.`,
       );
       return res.json({
         message: `Broadcast sent to ${sent} of ${users.length} users.${
@@ -620,6 +1105,7 @@ router.post("/broadcast", adminMiddleware, async (req, res) => {
         }`,
         sent,
         failed,
+        skipped,
       });
     }
 
@@ -631,7 +1117,7 @@ router.post("/broadcast", adminMiddleware, async (req, res) => {
     }
 
     const userRes = await db.query(
-      "SELECT id, name, email FROM users WHERE id = $1",
+      "SELECT id, name, email, language FROM users WHERE id = $1",
       [userId],
     );
     if (!userRes.rows.length) {
@@ -639,17 +1125,23 @@ router.post("/broadcast", adminMiddleware, async (req, res) => {
     }
     const user = userRes.rows[0];
 
-    await sgMail.send({
-      to: user.email,
-      from: { name: BRAND.name, email: BRAND.supportEmail },
-      subject: subject.trim(),
-      html: emailWrap(
-        `<p style="margin:0 0 16px;font-size:15px;color:#0f172a;">Hi <strong>${user.name}</strong>,</p>` +
-          bodyHtml +
-          `<p style="margin:16px 0 0;font-size:13px;color:#64748b;">— The ${BRAND.name} Team</p>`,
-        { subtitle: "Message from Fonlok" },
-      ),
-    });
+    // Messages about the user's own account cannot be switched off
+    const { email } = await notifyUser(
+      user.id,
+      "team_message",
+      subject.trim(),
+      body.trim(),
+      {},
+      {
+        email: {
+          template: "user.message",
+          data: { name: user.name, subject: subject.trim(), body: body.trim() },
+        },
+      },
+    );
+    if (email !== "queued") {
+      throw new Error("Direct message could not be queued.");
+    }
 
     await db.query(
       `INSERT INTO admin_broadcasts
@@ -658,6 +1150,11 @@ router.post("/broadcast", adminMiddleware, async (req, res) => {
       ["user", user.id, user.email, subject.trim(), body.trim()],
     );
 
+    await recordAdminAction(req, "broadcast.send", {
+      targetType: "user",
+      targetId: user.id,
+      details: { recipientType: "user", subject: subject.trim() },
+    });
     console.log(`📩 Admin direct message sent to ${user.email}.`);
     return res.json({
       message: `Message sent to ${user.name} (${user.email}).`,
@@ -714,67 +1211,400 @@ router.get("/broadcasts", adminMiddleware, async (req, res) => {
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// GET /admin/public-status  (NO auth — called by the frontend on every load)
-// Returns the three operational flags so the UI can surface banners/blocks.
+// GET /admin/emails?to=buyer@example.com&invoice=&template=&status=&page=1&limit=20
+// The email outbox, newest first — what was emailed to whom and whether it
+// went out.  Bodies are only returned by GET /admin/emails/:id.
 // ─────────────────────────────────────────────────────────────────────────────
-router.get("/public-status", async (req, res) => {
+router.get("/emails", adminMiddleware, async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query);
+  const to = req.query.to?.trim().toLowerCase() || null;
+  const invoice = req.query.invoice?.trim() || null;
+  const template = req.query.template?.trim() || null;
+  const status = req.query.status?.trim() || null;
+
+  const where = `WHERE ($1::text IS NULL OR lower(to_email) = $1)
+      AND ($2::text IS NULL OR invoice_number = $2)
+      AND ($3::text IS NULL OR template = $3)
+      AND ($4::text IS NULL OR status = $4)`;
+  const filters = [to, invoice, template, status];
+
   try {
-    const s = await getSettings();
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT id, template, template_version, language, to_email, subject,
+                user_id, invoice_number, status, provider, attempts,
+                next_attempt_at, last_error, resend_of, created_at, sent_at
+           FROM email_outbox
+          ${where}
+          ORDER BY created_at DESC
+          LIMIT $5 OFFSET $6`,
+        [...filters, limit, offset],
+      ),
+      db.query(`SELECT COUNT(*) FROM email_outbox ${where}`, filters),
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
     res.json({
-      maintenanceMode: bool(s, "maintenance_mode"),
-      paymentsBlocked: bool(s, "payments_blocked"),
-      payoutsBlocked: bool(s, "payouts_blocked"),
+      data: dataResult.rows,
+      total,
+      page,
+      hasMore: offset + limit < total,
     });
   } catch (err) {
-    // If table doesn't exist yet, return all-clear defaults.
-    res.json({
-      maintenanceMode: false,
-      paymentsBlocked: false,
-      payoutsBlocked: false,
-    });
+    console.error("Admin emails error:", err);
+    res.status(500).json({ message: "Failed to load emails." });
   }
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// GET /admin/settings
-// Returns all platform operational toggles.
+// GET /admin/emails/:id
+// One outbox email with its rendered body.  Templates marked confidential
+// (release codes, reset links, chat tokens …) keep their body and data
+// hidden so the admin panel never shows a working secret.
 // ─────────────────────────────────────────────────────────────────────────────
-router.get("/settings", adminMiddleware, async (req, res) => {
+router.get("/emails/:id", adminMiddleware, async (req, res) => {
+  const emailId = parseInt(req.params.id, 10);
+  if (isNaN(emailId))
+    return res.status(400).json({ message: "Invalid email id." });
+
   try {
-    const s = await getSettings();
+    const result = await db.query("SELECT * FROM email_outbox WHERE id = $1", [
+      emailId,
+    ]);
+    const email = result.rows[0];
+    if (!email) return res.status(404).json({ message: "Email not found." });
+
+    const confidential = getTemplate(email.template)?.confidential === true;
     res.json({
-      maintenanceMode: bool(s, "maintenance_mode"),
-      paymentsBlocked: bool(s, "payments_blocked"),
-      payoutsBlocked: bool(s, "payouts_blocked"),
+      ...email,
+      html: confidential ? null : email.html,
+      data: confidential ? null : email.data,
+      attachments: email.attachments.map((a) => a.filename),
+      confidential,
     });
   } catch (err) {
-    console.error("Admin get-settings error:", err);
-    res.status(500).json({ message: "Failed to load settings." });
+    console.error("Admin email detail error:", err);
+    res.status(500).json({ message: "Failed to load email." });
   }
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// POST /admin/settings
-// Body: { key: 'maintenance_mode' | 'payments_blocked' | 'payouts_blocked', value: boolean }
+// POST /admin/emails/:id/resend
+// Sends a past email again exactly as it was rendered (same links, same
+// attachments) — e.g. when a buyer says the first one never arrived.
 // ─────────────────────────────────────────────────────────────────────────────
-router.post("/settings", adminMiddleware, async (req, res) => {
-  const ALLOWED_KEYS = [
-    "maintenance_mode",
-    "payments_blocked",
-    "payouts_blocked",
-  ];
-  const { key, value } = req.body;
+router.post("/emails/:id/resend", supportOnly, async (req, res) => {
+  const emailId = parseInt(req.params.id, 10);
+  if (isNaN(emailId))
+    return res.status(400).json({ message: "Invalid email id." });
 
-  if (!ALLOWED_KEYS.includes(key)) {
-    return res.status(400).json({ message: "Invalid setting key." });
-  }
-  if (typeof value !== "boolean") {
-    return res.status(400).json({ message: "Value must be a boolean." });
-  }
+  try {
+    const result = await db.query(
+      "SELECT id, template, to_email FROM email_outbox WHERE id = $1",
+      [emailId],
+    );
+    const original = result.rows[0];
+    if (!original) return res.status(404).json({ message: "Email not found." });
+
+    const email = await resendEmail(original);
+    await recordAdminAction(req, "email.resend", {
+      targetType: "email",
+      targetId: emailId,
+      details: { newEmailId: email.id, template: original.template },
+    });
+    console.log(
+      `📧 Admin ${req.admin.email} resent email ${emailId} (${original.template}) to ${original.to_email}`,
+    );
+    res.json({ message: `Email re-queued for ${original.to_email}.`, email });
+  } catch (err) {
+    console.error("Admin email resend error:", err);
+    res.status(500).json({ message: "Failed to resend email." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /admin/email-templates
+// Every transactional email template with its current version.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/email-templates", adminMiddleware, (req, res) => {
+  res.json({ data: listTemplates() });
+});
 
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /admin/email-templates/:name/preview
+// Renders a template without sending it.  Body: { lang?, data? } — any field
+// left out of data is taken from the template's sample.
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/email-templates/:name/preview", adminMiddleware, (req, res) => {
+  const template = getTemplate(req.params.name);
+  if (!template)
+    return res.status(404).json({ message: "Email template not found." });
+
+  const { lang, data } = req.body ?? {};
   try {
+    const merged = { ...template.sample, ...(data || {}) };
+    res.json(renderEmail(req.params.name, merged, lang));
+  } catch (err) {
+    console.error("Admin email preview error:", err);
+    res
+      .status(400)
+      .json({ message: "Could not render the template with that data." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /admin/sms?phone=237670000000&invoice=&status=&page=1&limit=20
+// Texts sent to buyers, newest first.  The text of confidential templates
+// (the confirmation code) is withheld.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/sms", adminMiddleware, async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query);
+  let phone = null;
+  if (req.query.phone?.trim()) {
+    const parsed = parsePhone(req.query.phone);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    phone = parsed.phone;
+  }
+  const invoice = req.query.invoice?.trim() || null;
+  const status = req.query.status?.trim() || null;
+
+  const where = `WHERE ($1::text IS NULL OR to_phone = $1)
+      AND ($2::text IS NULL OR invoice_number = $2)
+      AND ($3::text IS NULL OR status = $3)`;
+  const filters = [phone, invoice, status];
+
+  try {
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT id, template, template_version, language, channel, to_phone,
+                body, invoice_number, status, provider, attempts,
+                next_attempt_at, last_error, created_at, sent_at
+           FROM sms_outbox
+          ${where}
+          ORDER BY created_at DESC
+          LIMIT $4 OFFSET $5`,
+        [...filters, limit, offset],
+      ),
+      db.query(`SELECT COUNT(*) FROM sms_outbox ${where}`, filters),
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      data: dataResult.rows.map((sms) => {
+        const confidential =
+          getSmsTemplate(sms.template)?.confidential === true;
+        return { ...sms, body: confidential ? null : sms.body, confidential };
+      }),
+      total,
+      page,
+      hasMore: offset + limit < total,
+    });
+  } catch (err) {
+    console.error("Admin sms error:", err);
+    res.status(500).json({ message: "Failed to load text messages." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /admin/sms-templates
+// Every buyer SMS / WhatsApp template with its current version.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/sms-templates", adminMiddleware, (req, res) => {
+  res.json({ data: listSmsTemplates() });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /admin/sms-templates/:name/preview
+// Renders a text without sending it.  Body: { lang?, data? } — any field
+// left out of data is taken from the template's sample.
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/sms-templates/:name/preview", adminMiddleware, (req, res) => {
+  const template = getSmsTemplate(req.params.name);
+  if (!template)
+    return res.status(404).json({ message: "SMS template not found." });
+
+  const { lang, data } = req.body ?? {};
+  try {
+    const merged = { ...template.sample, ...(data || {}) };
+    res.json(renderSms(req.params.name, merged, lang));
+  } catch (err) {
+    console.error("Admin sms preview error:", err);
+    res
+      .status(400)
+      .json({ message: "Could not render the template with that data." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /admin/sms/opt-outs?page=1&limit=20
+// Numbers that no longer receive texts, newest first.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/sms/opt-outs", adminMiddleware, async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query);
+
+  try {
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT phone, source, created_at FROM sms_opt_outs
+          ORDER BY created_at DESC
+          LIMIT $1 OFFSET $2`,
+        [limit, offset],
+      ),
+      db.query("SELECT COUNT(*) FROM sms_opt_outs"),
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      data: dataResult.rows,
+      total,
+      page,
+      hasMore: offset + limit < total,
+    });
+  } catch (err) {
+    console.error("Admin sms opt-outs error:", err);
+    res.status(500).json({ message: "Failed to load SMS opt-outs." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /admin/sms/opt-outs
+// Stops all texts to a number, e.g. when a buyer asks support by phone.
+// Required body: { phone }
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/sms/opt-outs", supportOnly, async (req, res) => {
+  const parsed = parsePhone(req.body.phone);
+  if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+  try {
+    await optOut(parsed.phone, "admin");
+    await recordAdminAction(req, "sms.opt_out", {
+      targetType: "phone",
+      targetId: parsed.phone,
+    });
+    console.log(
+      `📵 Admin ${req.admin.email} opted ${parsed.phone} out of SMS`,
+    );
+    res.json({ message: `${parsed.phone} will no longer receive texts.` });
+  } catch (err) {
+    console.error("Admin sms opt-out error:", err);
+    res.status(500).json({ message: "Failed to opt the number out." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DELETE /admin/sms/opt-outs/:phone
+// Lets texts through to a number again.  Only do this when the buyer asked.
+// ─────────────────────────────────────────────────────────────────────────────
+router.delete("/sms/opt-outs/:phone", supportOnly, async (req, res) => {
+  const parsed = parsePhone(req.params.phone);
+  if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+  try {
+    const removed = await optIn(parsed.phone);
+    if (!removed)
+      return res.status(404).json({ message: "This number is not opted out." });
+    await recordAdminAction(req, "sms.opt_in", {
+      targetType: "phone",
+      targetId: parsed.phone,
+    });
+    console.log(
+      `📱 Admin ${req.admin.email} opted ${parsed.phone} back in to SMS`,
+    );
+    res.json({ message: `${parsed.phone} will receive texts again.` });
+  } catch (err) {
+    console.error("Admin sms opt-in error:", err);
+    res.status(500).json({ message: "Failed to opt the number back in." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /admin/public-status  (NO auth — called by the frontend on every load)
+// Returns the three operational flags so the UI can surface banners/blocks.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/public-status", async (req, res) => {
+  try {
+    const s = await getSettings();
+    res.json({
+      maintenanceMode: bool(s, "maintenance_mode"),
+      paymentsBlocked: bool(s, "payments_blocked"),
+      payoutsBlocked: bool(s, "payouts_blocked"),
+    });
+  } catch (err) {
+    // If table doesn't exist yet, return all-clear defaults.
+    res.json({
+      maintenanceMode: false,
+      paymentsBlocked: false,
+      payoutsBlocked: false,
+    });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /admin/settings
+// Returns all platform operational toggles.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/settings", adminMiddleware, async (req, res) => {
+  try {
+    const s = await getSettings();
+    res.json({
+      maintenanceMode: bool(s, "maintenance_mode"),
+      paymentsBlocked: bool(s, "payments_blocked"),
+      payoutsBlocked: bool(s, "payouts_blocked"),
+      autoReleaseHours: int(s, "auto_release_hours"),
+      payoutPhoneHoldHours: int(s, "payout_phone_hold_hours"),
+    });
+  } catch (err) {
+    console.error("Admin get-settings error:", err);
+    res.status(500).json({ message: "Failed to load settings." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /admin/settings
+// Body: { key: 'maintenance_mode' | 'payments_blocked' | 'payouts_blocked', value: boolean }
+//    or { key: 'auto_release_hours', value: integer 0–720 }  (0 = off)
+//    or { key: 'payout_phone_hold_hours', value: integer 0–168 }  (0 = off)
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/settings", superadminOnly, async (req, res) => {
+  const BOOLEAN_KEYS = [
+    "maintenance_mode",
+    "payments_blocked",
+    "payouts_blocked",
+  ];
+  const { key, value } = req.body;
+
+  if (key === "auto_release_hours") {
+    if (!Number.isInteger(value) || value < 0 || value > 720) {
+      return res.status(400).json({
+        message: "Value must be a whole number of hours between 0 and 720.",
+      });
+    }
+  } else if (key === "payout_phone_hold_hours") {
+    if (!Number.isInteger(value) || value < 0 || value > 168) {
+      return res.status(400).json({
+        message: "Value must be a whole number of hours between 0 and 168.",
+      });
+    }
+  } else if (!BOOLEAN_KEYS.includes(key)) {
+    return res.status(400).json({ message: "Invalid setting key." });
+  } else if (typeof value !== "boolean") {
+    return res.status(400).json({ message: "Value must be a boolean." });
+  }
+
+  try {
+    const previous = (await getSettings())[key];
     await setSetting(key, value);
-    console.log(`⚙️  Admin updated platform setting: ${key} = ${value}`);
+    await recordAdminAction(req, "settings.update", {
+      targetType: "setting",
+      targetId: key,
+      details: { from: previous ?? null, to: value },
+    });
+    console.log(
+      `⚙️  Admin ${req.admin.email} updated platform setting: ${key} = ${value}`,
+    );
     res.json({ message: "Setting updated.", key, value });
   } catch (err) {
     console.error("Admin update-settings error:", err);
@@ -787,7 +1617,7 @@ router.post("/settings", adminMiddleware, async (req, res) => {
 // Manually credit or debit a user's wallet_balance.
 // Required body: { userId, amount, type: 'credit'|'debit', reason }
 // ─────────────────────────────────────────────────────────────────────────────
-router.post("/adjust-balance", adminMiddleware, async (req, res) => {
+router.post("/adjust-balance", financeOnly, idempotency, async (req, res) => {
   const { userId, amount, type, reason } = req.body;
 
   if (!userId) return res.status(400).json({ message: "userId is required." });
@@ -839,19 +1669,31 @@ router.post("/adjust-balance", adminMiddleware, async (req, res) => {
     );
 
     // Record in audit log
-    const adminToken = req.cookies?.adminToken;
-    let adminEmail = "admin";
-    try {
-      const decoded = jwt.verify(adminToken, process.env.JWT_SECRET);
-      adminEmail = decoded.email || "admin";
-    } catch (_) {}
+    const adminEmail = req.admin.email;
 
-    await db.query(
+    const adjustmentResult = await db.query(
       `INSERT INTO balance_adjustments
          (admin_email, user_id, amount, type, reason)
-       VALUES ($1, $2, $3, $4, $5)`,
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
       [adminEmail, userId, amt, type, reason.trim()],
     );
+    await recordWalletAdjustment({
+      reference: adjustmentResult.rows[0].id,
+      userId,
+      amount: amt,
+      type,
+    });
+    await recordAdminAction(req, "balance.adjust", {
+      targetType: "user",
+      targetId: userId,
+      details: {
+        adjustmentId: adjustmentResult.rows[0].id,
+        type,
+        amount: amt,
+        reason: reason.trim(),
+      },
+    });
 
     console.log(
       `🏦 Admin ${adminEmail} ${type}ed ${amt} XAF for user ${userId} (${user.email}): ${reason.trim()}`,
@@ -877,7 +1719,7 @@ router.post("/adjust-balance", adminMiddleware, async (req, res) => {
 // GET /admin/adjustments?page=1&limit=20
 // Paginated audit log of all manual balance adjustments.
 // ─────────────────────────────────────────────────────────────────────────────
-router.get("/adjustments", adminMiddleware, async (req, res) => {
+router.get("/adjustments", financeOnly, async (req, res) => {
   const { page, limit, offset } = getPagination(req.query);
 
   try {
@@ -915,4 +1757,691 @@ router.get("/adjustments", adminMiddleware, async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// KYC review queue  (finance)
+// Approving moves the seller to the requested tier (or `tier` when given);
+// rejecting sends them the reason so they can submit again.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Tells the seller how their submission went — bell + email, never throws.
+const notifyKycDecision = async (submission) => {
+  const approved = submission.status === "approved";
+  try {
+    const userRes = await db.query("SELECT name FROM users WHERE id = $1", [
+      submission.user_id,
+    ]);
+    const name = userRes.rows[0]?.name;
+    await notifyUser(
+      submission.user_id,
+      "kyc_update",
+      approved ? "Identity verified ✅" : "Verification not approved",
+      approved
+        ? `Your account is now ${submission.granted_tier}. Your new limits apply immediately.`
+        : `We could not verify your documents: ${submission.rejection_reason}`,
+      { submissionId: submission.id, tier: submission.granted_tier },
+      {
+        email: {
+          template: approved ? "user.kyc_approved" : "user.kyc_rejected",
+          data: approved
+            ? { name, tier: submission.granted_tier }
+            : { name, reason: submission.rejection_reason },
+        },
+      },
+    );
+  } catch (err) {
+    console.error("KYC decision email error:", err.message);
+  }
+};
+
+// GET /admin/kyc/submissions?status=pending&page=1&limit=20
+// Pending submissions oldest first (the queue); others newest first.
+router.get("/kyc/submissions", financeOnly, async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query);
+  const status = req.query.status ?? "pending";
+  if (!["pending", "approved", "rejected"].includes(status)) {
+    return res.status(400).json({ message: "Invalid status filter." });
+  }
+
+  try {
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT
+           k.id,
+           k.user_id,
+           k.requested_tier,
+           k.id_type,
+           k.status,
+           k.granted_tier,
+           k.rejection_reason,
+           k.reviewed_by,
+           k.reviewed_at,
+           k.created_at,
+           u.name     AS user_name,
+           u.email    AS user_email,
+           u.kyc_tier AS current_tier
+         FROM kyc_submissions k
+         JOIN users u ON u.id = k.user_id
+         WHERE k.status = $1
+         ORDER BY
+           CASE WHEN $1 = 'pending' THEN k.created_at END ASC,
+           k.created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [status, limit, offset],
+      ),
+      db.query("SELECT COUNT(*) FROM kyc_submissions WHERE status = $1", [
+        status,
+      ]),
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      data: dataResult.rows,
+      total,
+      page,
+      hasMore: offset + limit < total,
+    });
+  } catch (err) {
+    console.error("Admin KYC queue error:", err);
+    res.status(500).json({ message: "Failed to load KYC submissions." });
+  }
+});
+
+// GET /admin/kyc/submissions/:id
+// One submission with 10-minute links to its documents and the seller's
+// account details to check them against.
+router.get("/kyc/submissions/:id", financeOnly, async (req, res) => {
+  const submissionId = parseInt(req.params.id, 10);
+  if (isNaN(submissionId))
+    return res.status(400).json({ message: "Invalid submission id." });
+
+  try {
+    const result = await db.query(
+      `SELECT k.*, u.name AS user_name, u.username, u.email AS user_email,
+              u.phone AS user_phone, u.country AS user_country,
+              u.createdat AS user_created_at, u.kyc_tier AS current_tier
+         FROM kyc_submissions k
+         JOIN users u ON u.id = k.user_id
+        WHERE k.id = $1`,
+      [submissionId],
+    );
+    const submission = result.rows[0];
+    if (!submission) {
+      return res.status(404).json({ message: "Submission not found." });
+    }
+
+    const { documents, ...details } = submission;
+    res.json({
+      ...details,
+      documents: documentLinks(documents),
+      monthlyInvoiceVolume: await monthlyInvoiceVolume(submission.user_id),
+    });
+  } catch (err) {
+    console.error("Admin KYC submission error:", err);
+    res.status(500).json({ message: "Failed to load KYC submission." });
+  }
+});
+
+// POST /admin/kyc/submissions/:id/approve
+// Optional body: { tier: 'basic' | 'verified' }  (default: the requested tier)
+router.post("/kyc/submissions/:id/approve", financeOnly, async (req, res) => {
+  const submissionId = parseInt(req.params.id, 10);
+  const { tier } = req.body ?? {};
+  if (isNaN(submissionId))
+    return res.status(400).json({ message: "Invalid submission id." });
+  if (tier !== undefined && !["basic", "verified"].includes(tier)) {
+    return res
+      .status(400)
+      .json({ message: "Tier must be 'basic' or 'verified'." });
+  }
+
+  try {
+    const result = await reviewSubmission(submissionId, "approve", {
+      tier: tier ?? null,
+      reviewer: req.admin.email,
+    });
+    if (!result) {
+      return res
+        .status(400)
+        .json({ message: "This submission has already been reviewed." });
+    }
+    const { submission, tierChange } = result;
+    await recordAdminAction(req, "kyc.approve", {
+      targetType: "kyc_submission",
+      targetId: submissionId,
+      details: {
+        userId: submission.user_id,
+        requestedTier: submission.requested_tier,
+        from: tierChange.from,
+        to: tierChange.to,
+        releasedPayoutJobIds: tierChange.releasedJobIds,
+      },
+    });
+    await notifyKycDecision(submission);
+    console.log(
+      `🪪 Admin ${req.admin.email} approved KYC submission ${submissionId} → ${tierChange.to}`,
+    );
+    res.json({ message: "Submission approved.", submission });
+  } catch (err) {
+    console.error("Admin KYC approve error:", err);
+    res.status(500).json({ message: "Failed to approve submission." });
+  }
+});
+
+// POST /admin/kyc/submissions/:id/reject
+// Required body: { reason }  — shown to the seller
+router.post("/kyc/submissions/:id/reject", financeOnly, async (req, res) => {
+  const submissionId = parseInt(req.params.id, 10);
+  const { reason } = req.body ?? {};
+  if (isNaN(submissionId))
+    return res.status(400).json({ message: "Invalid submission id." });
+  if (!reason || reason.trim().length < 5)
+    return res
+      .status(400)
+      .json({ message: "A reason note of at least 5 characters is required." });
+
+  try {
+    const result = await reviewSubmission(submissionId, "reject", {
+      reason: reason.trim(),
+      reviewer: req.admin.email,
+    });
+    if (!result) {
+      return res
+        .status(400)
+        .json({ message: "This submission has already been reviewed." });
+    }
+    const { submission } = result;
+    await recordAdminAction(req, "kyc.reject", {
+      targetType: "kyc_submission",
+      targetId: submissionId,
+      details: { userId: submission.user_id, reason: reason.trim() },
+    });
+    await notifyKycDecision(submission);
+    res.json({ message: "Submission rejected.", submission });
+  } catch (err) {
+    console.error("Admin KYC reject error:", err);
+    res.status(500).json({ message: "Failed to reject submission." });
+  }
+});
+
+// PATCH /admin/users/:id/kyc-tier
+// Manual override, e.g. to downgrade an account under investigation.
+// Required body: { tier, reason }
+router.patch("/users/:id/kyc-tier", financeOnly, async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  const { tier, reason } = req.body ?? {};
+  if (isNaN(userId))
+    return res.status(400).json({ message: "Invalid user id." });
+  if (!KYC_TIERS.includes(tier)) {
+    return res
+      .status(400)
+      .json({ message: `Tier must be one of: ${KYC_TIERS.join(", ")}.` });
+  }
+  if (!reason || reason.trim().length < 5)
+    return res
+      .status(400)
+      .json({ message: "A reason note of at least 5 characters is required." });
+
+  try {
+    const change = await setKycTier(userId, tier);
+    if (!change) return res.status(404).json({ message: "User not found." });
+    await recordAdminAction(req, "kyc.set_tier", {
+      targetType: "user",
+      targetId: userId,
+      details: {
+        from: change.from,
+        to: change.to,
+        reason: reason.trim(),
+        releasedPayoutJobIds: change.releasedJobIds,
+      },
+    });
+    notifyUser(
+      userId,
+      "kyc_update",
+      "Verification level changed",
+      `Your account is now ${tier}.`,
+      { tier },
+    );
+    res.json({ message: `User ${userId} is now ${tier}.`, ...change });
+  } catch (err) {
+    console.error("Admin KYC tier error:", err);
+    res.status(500).json({ message: "Failed to change verification tier." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Risk review queue  (finance)
+// High-scoring payments and payouts land here (see utils/risk.js).  A held
+// payout is sent once approved; rejecting it cancels the job and puts the
+// money back in escrow.  Rejecting a payment holds that invoice's payouts.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /admin/risk?status=pending&level=&stage=&page=1&limit=20
+// status: pending (default, oldest first) | approved | rejected | all
+router.get("/risk", financeOnly, async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query);
+  const status = req.query.status ?? "pending";
+  const level = req.query.level || null;
+  const stage = req.query.stage || null;
+  if (!["pending", "approved", "rejected", "all"].includes(status)) {
+    return res.status(400).json({ message: "Invalid status filter." });
+  }
+  if (level && !["low", "medium", "high"].includes(level)) {
+    return res.status(400).json({ message: "Invalid level filter." });
+  }
+  if (stage && !RISK_STAGES.includes(stage)) {
+    return res.status(400).json({ message: "Invalid stage filter." });
+  }
+
+  // "all" lists every assessment, including low scores never queued
+  const where = `
+    WHERE ($1 = 'all' OR r.review_status = $1)
+      AND ($2::text IS NULL OR r.level = $2)
+      AND ($3::text IS NULL OR r.stage = $3)`;
+
+  try {
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT
+           r.id,
+           r.stage,
+           r.subject_id,
+           r.user_id,
+           r.invoice_id,
+           r.payout_job_id,
+           r.amount,
+           r.score,
+           r.level,
+           r.reasons,
+           r.review_status,
+           r.reviewed_by,
+           r.reviewed_at,
+           r.created_at,
+           u.name           AS user_name,
+           u.email          AS user_email,
+           i.invoicenumber  AS invoice_number,
+           j.status         AS payout_status
+         FROM risk_assessments r
+         LEFT JOIN users u        ON u.id = r.user_id
+         LEFT JOIN invoices i     ON i.id = r.invoice_id
+         LEFT JOIN payout_jobs j  ON j.id = r.payout_job_id
+         ${where}
+         ORDER BY
+           CASE WHEN $1 = 'pending' THEN r.created_at END ASC,
+           r.created_at DESC
+         LIMIT $4 OFFSET $5`,
+        [status, level, stage, limit, offset],
+      ),
+      db.query(`SELECT COUNT(*) FROM risk_assessments r ${where}`, [
+        status,
+        level,
+        stage,
+      ]),
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      data: dataResult.rows,
+      total,
+      page,
+      hasMore: offset + limit < total,
+    });
+  } catch (err) {
+    console.error("Admin risk queue error:", err);
+    res.status(500).json({ message: "Failed to load risk assessments." });
+  }
+});
+
+// GET /admin/risk/:id
+// One assessment with its payout job, and every other assessment of the
+// same invoice for context.
+router.get("/risk/:id", financeOnly, async (req, res) => {
+  const assessmentId = parseInt(req.params.id, 10);
+  if (isNaN(assessmentId))
+    return res.status(400).json({ message: "Invalid assessment id." });
+
+  try {
+    const result = await db.query(
+      `SELECT r.*, u.name AS user_name, u.username, u.email AS user_email,
+              u.phone AS user_phone, u.createdat AS user_created_at,
+              u.kyc_tier, i.invoicenumber AS invoice_number
+         FROM risk_assessments r
+         LEFT JOIN users u    ON u.id = r.user_id
+         LEFT JOIN invoices i ON i.id = r.invoice_id
+        WHERE r.id = $1`,
+      [assessmentId],
+    );
+    const assessment = result.rows[0];
+    if (!assessment) {
+      return res.status(404).json({ message: "Assessment not found." });
+    }
+
+    const [jobResult, relatedResult] = await Promise.all([
+      assessment.payout_job_id
+        ? db.query(
+            `SELECT id, kind, status, risk_status, amount, phone, attempts,
+                    last_error, created_at
+               FROM payout_jobs WHERE id = $1`,
+            [assessment.payout_job_id],
+          )
+        : { rows: [] },
+      assessment.invoice_id
+        ? db.query(
+            `SELECT id, stage, score, level, review_status, created_at
+               FROM risk_assessments
+              WHERE invoice_id = $1 AND id != $2
+              ORDER BY created_at`,
+            [assessment.invoice_id, assessmentId],
+          )
+        : { rows: [] },
+    ]);
+
+    res.json({
+      ...assessment,
+      payoutJob: jobResult.rows[0] ?? null,
+      related: relatedResult.rows,
+    });
+  } catch (err) {
+    console.error("Admin risk assessment error:", err);
+    res.status(500).json({ message: "Failed to load risk assessment." });
+  }
+});
+
+// POST /admin/risk/:id/approve
+// Optional body: { note }
+router.post("/risk/:id/approve", financeOnly, async (req, res) => {
+  const assessmentId = parseInt(req.params.id, 10);
+  const note = req.body?.note?.trim() || null;
+  if (isNaN(assessmentId))
+    return res.status(400).json({ message: "Invalid assessment id." });
+
+  try {
+    const assessment = await reviewAssessment(assessmentId, "approve", {
+      reviewer: req.admin.email,
+      note,
+    });
+    if (!assessment) {
+      return res
+        .status(400)
+        .json({ message: "This assessment is not awaiting review." });
+    }
+    await recordAdminAction(req, "risk.approve", {
+      targetType: "risk_assessment",
+      targetId: assessmentId,
+      details: {
+        stage: assessment.stage,
+        score: assessment.score,
+        payoutJobId: assessment.payout_job_id,
+        note,
+      },
+    });
+    console.log(
+      `🛡️ Admin ${req.admin.email} approved risk assessment ${assessmentId}`,
+    );
+    res.json({ message: "Assessment approved.", assessment });
+  } catch (err) {
+    console.error("Admin risk approve error:", err);
+    res.status(500).json({ message: "Failed to approve assessment." });
+  }
+});
+
+// POST /admin/risk/:id/reject
+// Required body: { reason }
+// A held payout is cancelled — its escrow is restored as on a manual cancel.
+router.post("/risk/:id/reject", financeOnly, async (req, res) => {
+  const assessmentId = parseInt(req.params.id, 10);
+  const { reason } = req.body ?? {};
+  if (isNaN(assessmentId))
+    return res.status(400).json({ message: "Invalid assessment id." });
+  if (!reason || reason.trim().length < 5)
+    return res
+      .status(400)
+      .json({ message: "A reason note of at least 5 characters is required." });
+
+  try {
+    const assessment = await reviewAssessment(assessmentId, "reject", {
+      reviewer: req.admin.email,
+      note: reason.trim(),
+    });
+    if (!assessment) {
+      return res
+        .status(400)
+        .json({ message: "This assessment is not awaiting review." });
+    }
+
+    const job = assessment.payout_job_id
+      ? await cancelPayoutJob(
+          assessment.payout_job_id,
+          `Rejected in risk review by ${req.admin.email}: ${reason.trim()}`,
+        )
+      : null;
+
+    await recordAdminAction(req, "risk.reject", {
+      targetType: "risk_assessment",
+      targetId: assessmentId,
+      details: {
+        stage: assessment.stage,
+        score: assessment.score,
+        payoutJobId: assessment.payout_job_id,
+        payoutCancelled: Boolean(job),
+        reason: reason.trim(),
+      },
+    });
+    res.json({ message: "Assessment rejected.", assessment, job });
+  } catch (err) {
+    console.error("Admin risk reject error:", err);
+    res.status(500).json({ message: "Failed to reject assessment." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /admin/admins  (superadmin)
+// Every admin account, active ones first.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/admins", superadminOnly, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT ${ADMIN_COLUMNS} FROM admins ORDER BY active DESC, created_at ASC`,
+    );
+    res.json({ data: result.rows, roles: ADMIN_ROLES });
+  } catch (err) {
+    console.error("Admin list-admins error:", err);
+    res.status(500).json({ message: "Failed to load admin accounts." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /admin/admins  (superadmin)
+// Required body: { email, name, password, role }
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/admins", superadminOnly, async (req, res) => {
+  const { email, name, password, role } = req.body;
+
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email).trim()))
+    return res.status(400).json({ message: "A valid email is required." });
+  if (!name?.trim() || name.trim().length > 100)
+    return res
+      .status(400)
+      .json({ message: "A name of up to 100 characters is required." });
+  if (!password || String(password).length < 12)
+    return res
+      .status(400)
+      .json({ message: "Password must be at least 12 characters." });
+  if (!ADMIN_ROLES.includes(role))
+    return res
+      .status(400)
+      .json({ message: `role must be one of: ${ADMIN_ROLES.join(", ")}.` });
+
+  try {
+    const passwordHash = await hashAdminPassword(String(password));
+    const result = await db.query(
+      `INSERT INTO admins (email, name, password_hash, role, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (email) DO NOTHING
+       RETURNING ${ADMIN_COLUMNS}`,
+      [
+        String(email).toLowerCase().trim(),
+        name.trim(),
+        passwordHash,
+        role,
+        req.admin.email,
+      ],
+    );
+    if (!result.rows.length) {
+      return res
+        .status(409)
+        .json({ message: "An admin with this email already exists." });
+    }
+    const created = result.rows[0];
+
+    await recordAdminAction(req, "admin.create", {
+      targetType: "admin",
+      targetId: created.id,
+      details: { email: created.email, role },
+    });
+    console.log(
+      `👤 Admin ${req.admin.email} created admin ${created.email} (${role})`,
+    );
+    res.status(201).json({ message: "Admin account created.", admin: created });
+  } catch (err) {
+    console.error("Admin create-admin error:", err);
+    res.status(500).json({ message: "Failed to create admin account." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PATCH /admin/admins/:id  (superadmin)
+// Body (any of): { role, active, password, resetTwoFactor: true }
+// resetTwoFactor clears a lost authenticator; the admin sets up 2FA again on
+// their next login.  A superadmin cannot demote or deactivate themselves, so
+// there is always at least one superadmin left.
+// ─────────────────────────────────────────────────────────────────────────────
+router.patch("/admins/:id", superadminOnly, async (req, res) => {
+  const adminId = parseInt(req.params.id, 10);
+  const { role, active, password, resetTwoFactor } = req.body;
+
+  if (isNaN(adminId))
+    return res.status(400).json({ message: "Invalid admin id." });
+  if (
+    role === undefined &&
+    active === undefined &&
+    password === undefined &&
+    resetTwoFactor !== true
+  )
+    return res.status(400).json({ message: "Nothing to update." });
+  if (role !== undefined && !ADMIN_ROLES.includes(role))
+    return res
+      .status(400)
+      .json({ message: `role must be one of: ${ADMIN_ROLES.join(", ")}.` });
+  if (active !== undefined && typeof active !== "boolean")
+    return res.status(400).json({ message: "active must be a boolean." });
+  if (password !== undefined && String(password).length < 12)
+    return res
+      .status(400)
+      .json({ message: "Password must be at least 12 characters." });
+  if (
+    adminId === req.admin.id &&
+    ((role !== undefined && role !== "superadmin") || active === false)
+  )
+    return res.status(400).json({
+      message: "You cannot demote or deactivate your own account.",
+    });
+
+  try {
+    const passwordHash =
+      password === undefined ? null : await hashAdminPassword(String(password));
+    const result = await db.query(
+      `UPDATE admins
+          SET role          = COALESCE($2, role),
+              active        = COALESCE($3, active),
+              password_hash = COALESCE($4, password_hash)
+        WHERE id = $1
+        RETURNING ${ADMIN_COLUMNS}`,
+      [adminId, role ?? null, active ?? null, passwordHash],
+    );
+    if (!result.rows.length) {
+      return res.status(404).json({ message: "Admin not found." });
+    }
+    const updated = result.rows[0];
+    if (resetTwoFactor === true) await disableTwoFactor("admins", adminId);
+
+    await recordAdminAction(req, "admin.update", {
+      targetType: "admin",
+      targetId: adminId,
+      details: {
+        email: updated.email,
+        ...(role !== undefined && { role }),
+        ...(active !== undefined && { active }),
+        ...(password !== undefined && { passwordChanged: true }),
+        ...(resetTwoFactor === true && { twoFactorReset: true }),
+      },
+    });
+    res.json({ message: "Admin account updated.", admin: updated });
+  } catch (err) {
+    console.error("Admin update-admin error:", err);
+    res.status(500).json({ message: "Failed to update admin account." });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /admin/audit-log?page=1&limit=20  (superadmin)
+// Every recorded admin action, newest first.  Optional filters:
+//   admin        admin email (exact)
+//   action       e.g. "balance.adjust", or a prefix such as "dispute."
+//   target_type  + target_id   the thing acted on (e.g. user / 42)
+//   from, to     ISO dates
+//   q            free text searched in the details
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/audit-log", superadminOnly, async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query);
+  const text = (v) => (typeof v === "string" && v.trim() ? v.trim() : null);
+  const date = (v) => (text(v) && !isNaN(Date.parse(v)) ? v.trim() : null);
+
+  const filters = [
+    text(req.query.admin)?.toLowerCase() ?? null,
+    text(req.query.action),
+    text(req.query.target_type),
+    text(req.query.target_id),
+    date(req.query.from),
+    date(req.query.to),
+    text(req.query.q),
+  ];
+  const where = `
+    WHERE ($1::text IS NULL OR admin_email = $1)
+      AND ($2::text IS NULL OR action = $2 OR (RIGHT($2, 1) = '.' AND action LIKE $2 || '%'))
+      AND ($3::text IS NULL OR target_type = $3)
+      AND ($4::text IS NULL OR target_id = $4)
+      AND ($5::timestamptz IS NULL OR created_at >= $5)
+      AND ($6::timestamptz IS NULL OR created_at <= $6)
+      AND ($7::text IS NULL OR details::text ILIKE '%' || $7 || '%')`;
+
+  try {
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT id, admin_id, admin_email, action, target_type, target_id,
+                details, ip, created_at
+           FROM admin_audit_log
+         ${where}
+          ORDER BY created_at DESC, id DESC
+          LIMIT $8 OFFSET $9`,
+        [...filters, limit, offset],
+      ),
+      db.query(`SELECT COUNT(*) FROM admin_audit_log ${where}`, filters),
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      data: dataResult.rows,
+      total,
+      page,
+      hasMore: offset + limit < total,
+    });
+  } catch (err) {
+    console.error("Admin audit log error:", err);
+    res.status(500).json({ message: "Failed to load the audit log." });
+  }
+});
+
 export default router;
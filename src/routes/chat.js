@@ -4,14 +4,25 @@ import db from "../controllers/db.js";
 import dotenv from "dotenv";
 import multer from "multer";
 import authMiddleware from "../middleware/authMiddleware.js";
-import { body } from "express-validator";
+import { body, query } from "express-validator";
 import { validate } from "../middleware/validate.js";
 import { notifyUser } from "../middleware/notificationHelper.js";
-import sgMail from "@sendgrid/mail";
-import { emailWrap, emailButton } from "../utils/emailTemplate.js";
+import { sendEmail } from "../jobs/emailQueue.js";
 import { uploadToCloudinary } from "../utils/cloudinary.js";
+import { DEFAULT_LANGUAGE } from "../utils/i18n.js";
+import {
+  publish,
+  invoiceChannel,
+  userChannel,
+  openEventStream,
+} from "../utils/realtime.js";
+import {
+  CHAT_PARTICIPANTS,
+  CHAT_SEARCH_VECTOR,
+  markChatRead,
+  chatReadState,
+} from "../utils/chatReads.js";
 dotenv.config();
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
 // ── Notify the buyer by email when the seller sends a message ────────────────
 // To avoid flooding, we skip the email if a seller message was already sent
@@ -33,36 +44,21 @@ async function notifyBuyerByEmail(invoicenumber, chatId) {
 
     // Look up buyer email + chat token from guests
     const guestResult = await db.query(
-      "SELECT email, chat_token FROM guests WHERE invoicenumber = $1 ORDER BY created_at DESC LIMIT 1",
+      "SELECT email, chat_token, language FROM guests WHERE invoicenumber = $1 ORDER BY created_at DESC LIMIT 1",
       [invoicenumber],
     );
     if (guestResult.rows.length === 0 || !guestResult.rows[0].email) return;
 
-    const { email: buyerEmail, chat_token } = guestResult.rows[0];
+    const { email: buyerEmail, chat_token, language } = guestResult.rows[0];
     if (!chat_token) return; // chat not yet set up
+    const lang = language || DEFAULT_LANGUAGE;
 
-    const chatLink = `${process.env.FRONTEND_URL}/chat/${invoicenumber}?token=${chat_token}`;
-
-    const msg = {
+    await sendEmail("buyer.chat_message", {
       to: buyerEmail,
-      from: process.env.VERIFIED_SENDER,
-      subject: `New message from the seller – Invoice ${invoicenumber} | Fonlok`,
-      html: emailWrap(
-        `<h2 style="color:#0F1F3D;margin:0 0 12px;">The seller replied to you</h2>
-        <p style="color:#475569;">The seller has sent you a new message regarding invoice <strong>${invoicenumber}</strong>. Click below to view and reply.</p>
-        ${emailButton(chatLink, "Open Chat")}
-        <p style="color:#94a3b8;font-size:13px;margin-top:16px;">You will only receive one reminder per 10 minutes to avoid inbox clutter.</p>`,
-        {
-          footerNote:
-            "You received this because you are the buyer on a Fonlok escrow transaction. Keep your chat link private.",
-        },
-      ),
-    };
-
-    await sgMail.send(msg);
-    console.log(
-      `✅  Buyer reply-notification sent to ${buyerEmail} for invoice ${invoicenumber}`,
-    );
+      lang,
+      invoiceNumber: invoicenumber,
+      data: { invoiceNumber: invoicenumber, chatToken: chat_token },
+    });
   } catch (err) {
     // Non-fatal — message was saved, notification is best-effort
     console.error("⚠️  Could not send buyer reply notification:", err.message);
@@ -107,6 +103,49 @@ const verifyBuyerToken = async (invoicenumber, token) => {
   return result.rows[0] || null; // returns the guest row if token is valid, or null
 };
 
+// --- HELPER: Who is on the other end of a live-update request ---
+// Buyers pass their chat token (?token= or body.token); sellers must be signed
+// in and own the invoice.  Sets req.participant to "buyer" or "seller".
+const chatParticipant = async (req, res, next) => {
+  const { invoicenumber } = req.params;
+  const token = req.query.token || req.body?.token;
+
+  if (token) {
+    try {
+      const guest = await verifyBuyerToken(invoicenumber, token);
+      if (!guest) {
+        return res
+          .status(401)
+          .json({ message: "Invalid token. Access denied." });
+      }
+      req.participant = "buyer";
+      return next();
+    } catch (error) {
+      console.log(error.message);
+      return res.status(500).json({ message: "Something went wrong." });
+    }
+  }
+
+  return authMiddleware(req, res, async () => {
+    try {
+      const owner = await db.query(
+        "SELECT 1 FROM invoices WHERE invoicenumber = $1 AND userid = $2",
+        [invoicenumber, req.user.id],
+      );
+      if (owner.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ message: "Chat room not found for this invoice." });
+      }
+      req.participant = "seller";
+      return next();
+    } catch (error) {
+      console.log(error.message);
+      return res.status(500).json({ message: "Something went wrong." });
+    }
+  });
+};
+
 // --- ROUTE 1: GET all messages for a chat ---
 // Seller calls this with their auth cookie (they are logged in)
 // Buyer calls this with ?token=their_chat_token in the URL
@@ -147,9 +186,12 @@ router.get("/messages/:invoicenumber", async (req, res) => {
       [chat.id],
     );
 
+    // Unread count and both read cursors, for the read receipts
+    const read = await chatReadState(chat.id, token ? "buyer" : "seller");
+
     return res
       .status(200)
-      .json({ messages: messagesResult.rows, chat_id: chat.id });
+      .json({ messages: messagesResult.rows, chat_id: chat.id, read });
   } catch (error) {
     console.log(error.message);
     return res.status(500).json({ message: "Something went wrong." });
@@ -222,6 +264,11 @@ router.post(
         "INSERT INTO messages (chat_id, sender_type, sender_email, message) VALUES ($1, $2, $3, $4) RETURNING *",
         [chat.id, sender_type, sender_email, message],
       );
+      // Replying means the sender has read the chat up to here
+      await markChatRead(chat.id, sender_type, newMessage.rows[0].id);
+      await publish(invoiceChannel(invoicenumber), "chat.message", {
+        message: newMessage.rows[0],
+      });
 
       // Notify the seller when a buyer sends a message
       if (sender_type === "buyer") {
@@ -230,6 +277,14 @@ router.post(
           [invoicenumber],
         );
         if (invoiceOwner.rows.length > 0) {
+          await publish(
+            userChannel(invoiceOwner.rows[0].userid),
+            "chat.message",
+            {
+              invoiceNumber: invoicenumber,
+              sender_type,
+            },
+          );
           notifyUser(
             invoiceOwner.rows[0].userid,
             "new_message",
@@ -310,6 +365,12 @@ router.post(
         "INSERT INTO messages (chat_id, sender_type, sender_email, file_url) VALUES ($1, $2, $3, $4) RETURNING *",
         [chat.id, sender_type, sender_email, fileUrl],
       );
+      if (CHAT_PARTICIPANTS.includes(sender_type)) {
+        await markChatRead(chat.id, sender_type, newMessage.rows[0].id);
+      }
+      await publish(invoiceChannel(invoicenumber), "chat.message", {
+        message: newMessage.rows[0],
+      });
 
       // Notify seller (bell) when buyer uploads; notify buyer (email) when seller uploads
       if (sender_type === "buyer") {
@@ -318,6 +379,14 @@ router.post(
           [invoicenumber],
         );
         if (invoiceOwner.rows.length > 0) {
+          await publish(
+            userChannel(invoiceOwner.rows[0].userid),
+            "chat.message",
+            {
+              invoiceNumber: invoicenumber,
+              sender_type,
+            },
+          );
           notifyUser(
             invoiceOwner.rows[0].userid,
             "new_message",
@@ -338,4 +407,219 @@ router.post(
   },
 );
 
+// --- ROUTE 4: Live updates for this chat (Server-Sent Events) ---
+// New messages, typing, read receipts, invoice status and payment
+// (utils/realtime.js), instead of polling ROUTE 1.  Open with EventSource:
+//   buyer:  /chat/stream/:invoicenumber?token=their_chat_token
+//   seller: /chat/stream/:invoicenumber   (withCredentials, signed in)
+// A seller's stream ends when their access token expires; EventSource
+// reconnects by itself once the page has refreshed the token.
+router.get("/stream/:invoicenumber", chatParticipant, (req, res) => {
+  openEventStream(req, res, {
+    channels: [invoiceChannel(req.params.invoicenumber)],
+    // Your own typing and read receipts are not echoed back to you
+    accept: (event, data) =>
+      !(
+        ["chat.typing", "chat.read"].includes(event) &&
+        data.sender_type === req.participant
+      ),
+    until: req.user ? new Date(req.user.exp * 1000) : null,
+  });
+});
+
+// --- ROUTE 5: "Typing…" indicator ---
+// Send { typing: true } while the user types (at most every few seconds) and
+// { typing: false } when they stop; buyers add their token.
+router.post(
+  "/typing/:invoicenumber",
+  [
+    body("typing")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("typing must be true or false."),
+  ],
+  validate,
+  chatParticipant,
+  async (req, res) => {
+    await publish(invoiceChannel(req.params.invoicenumber), "chat.typing", {
+      sender_type: req.participant,
+      typing: req.body.typing !== false,
+    });
+    return res.status(200).json({ ok: true });
+  },
+);
+
+// --- HELPER: The chat room id for an invoice, or null ---
+const findChatId = async (invoicenumber) => {
+  const result = await db.query(
+    "SELECT id FROM chats WHERE invoicenumber = $1",
+    [invoicenumber],
+  );
+  return result.rows[0]?.id ?? null;
+};
+
+// --- ROUTE 6: Mark messages read ---
+// Send { messageId } of the newest message the user has seen, or nothing to
+// mark the whole chat read; buyers add their token.  The cursor is saved
+// (utils/chatReads.js), the other side gets a chat.read event for its read
+// receipts, and the seller's other tabs get one to update their unread
+// badges.  Answers with the new read state, as in ROUTE 7.
+router.post(
+  "/read/:invoicenumber",
+  [
+    body("messageId")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("messageId must be a message id.")
+      .toInt(),
+  ],
+  validate,
+  chatParticipant,
+  async (req, res) => {
+    const { invoicenumber } = req.params;
+    try {
+      const chatId = await findChatId(invoicenumber);
+      if (!chatId) {
+        return res
+          .status(404)
+          .json({ message: "Chat room not found for this invoice." });
+      }
+
+      const messageId = await markChatRead(
+        chatId,
+        req.participant,
+        req.body.messageId ?? null,
+      );
+      await publish(invoiceChannel(invoicenumber), "chat.read", {
+        sender_type: req.participant,
+        messageId,
+      });
+      if (req.participant === "seller") {
+        await publish(userChannel(req.user.id), "chat.read", {
+          invoiceNumber: invoicenumber,
+          sender_type: req.participant,
+          messageId,
+        });
+      }
+
+      const read = await chatReadState(chatId, req.participant);
+      return res.status(200).json({ read });
+    } catch (error) {
+      console.log(error.message);
+      return res.status(500).json({ message: "Something went wrong." });
+    }
+  },
+);
+
+// --- ROUTE 7: Unread count for one chat ---
+// For the badge on the buyer's chat link (?token=their_chat_token) or on the
+// seller's invoice page.  Returns { unread, lastReadMessageId,
+// otherSideLastReadMessageId }; a chat that is not set up yet has nothing
+// unread.
+router.get("/unread/:invoicenumber", chatParticipant, async (req, res) => {
+  try {
+    const chatId = await findChatId(req.params.invoicenumber);
+    if (!chatId) {
+      return res.status(200).json({
+        unread: 0,
+        lastReadMessageId: 0,
+        otherSideLastReadMessageId: 0,
+      });
+    }
+    return res.status(200).json(await chatReadState(chatId, req.participant));
+  } catch (error) {
+    console.log(error.message);
+    return res.status(500).json({ message: "Something went wrong." });
+  }
+});
+
+// --- ROUTE 8: Unread chats on the seller dashboard ---
+// Every chat on the signed-in seller's invoices that has messages they have
+// not read, longest-waiting first.  `waiting_on_you` is true when the buyer
+// wrote last.
+router.get("/unread", authMiddleware, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT i.invoicenumber, i.invoicename,
+              COUNT(*)::int       AS unread,
+              MIN(m.created_at)   AS oldest_unread_at,
+              MAX(m.created_at)   AS last_message_at,
+              (ARRAY_AGG(m.sender_type ORDER BY m.id DESC))[1] = 'buyer'
+                                  AS waiting_on_you
+         FROM invoices i
+         JOIN chats c ON c.invoicenumber = i.invoicenumber
+         LEFT JOIN chat_read_cursors r
+                ON r.chat_id = c.id AND r.participant = 'seller'
+         JOIN messages m
+           ON m.chat_id = c.id
+          AND m.sender_type <> 'seller'
+          AND m.id > COALESCE(r.last_read_message_id, 0)
+        WHERE i.userid = $1
+        GROUP BY i.invoicenumber, i.invoicename
+        ORDER BY oldest_unread_at ASC`,
+      [req.user.id],
+    );
+    const total = result.rows.reduce((sum, chat) => sum + chat.unread, 0);
+    return res.status(200).json({ chats: result.rows, total });
+  } catch (error) {
+    console.log(error.message);
+    return res.status(500).json({ message: "Something went wrong." });
+  }
+});
+
+// --- ROUTE 9: Search the seller's chat history ---
+// GET /chat/search?q=&limit=&offset= — full-text search over every message
+// on the signed-in seller's invoices, best match first.  `q` takes web-search
+// syntax: "exact phrase", -excluded, or.
+router.get(
+  "/search",
+  authMiddleware,
+  [
+    query("q")
+      .trim()
+      .notEmpty()
+      .withMessage("Enter something to search for.")
+      .isLength({ max: 200 })
+      .withMessage("Search must be 200 characters or fewer."),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("limit must be between 1 and 100."),
+    query("offset")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("offset must be 0 or more."),
+  ],
+  validate,
+  async (req, res) => {
+    const limit = parseInt(req.query.limit ?? "20", 10);
+    const offset = parseInt(req.query.offset ?? "0", 10);
+
+    try {
+      const result = await db.query(
+        `SELECT m.id, m.sender_type, m.message, m.created_at,
+                i.invoicenumber, i.invoicename,
+                COUNT(*) OVER () AS total_count
+           FROM messages m
+           JOIN chats c ON c.id = m.chat_id
+           JOIN invoices i ON i.invoicenumber = c.invoicenumber
+          CROSS JOIN websearch_to_tsquery('simple', $2) AS q
+          WHERE i.userid = $1
+            AND ${CHAT_SEARCH_VECTOR} @@ q
+          ORDER BY ts_rank(${CHAT_SEARCH_VECTOR}, q) DESC, m.created_at DESC
+          LIMIT $3 OFFSET $4`,
+        [req.user.id, req.query.q, limit, offset],
+      );
+      const total = Number(result.rows[0]?.total_count ?? 0);
+      const messages = result.rows.map(
+        ({ total_count, ...message }) => message,
+      );
+      return res.status(200).json({ messages, total, limit, offset });
+    } catch (error) {
+      console.log(error.message);
+      return res.status(500).json({ message: "Something went wrong." });
+    }
+  },
+);
+
 export default router;
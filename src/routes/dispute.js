@@ -3,21 +3,34 @@ const router = express.Router();
 import db from "../controllers/db.js";
 import dotenv from "dotenv";
 import crypto from "crypto";
-import sgMail from "@sendgrid/mail";
-import axios from "axios";
 import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
+import adminMiddleware, { requireRole } from "../middleware/adminMiddleware.js";
+import { recordAdminAction } from "../utils/admins.js";
 import { notifyUser } from "../middleware/notificationHelper.js";
 import {
-  emailWrap,
-  emailTable,
-  emailButton,
-  emailButtonDanger,
-} from "../utils/emailTemplate.js";
+  recordEscrowRelease,
+  recordSellerPayout,
+  recordReferralCredit,
+  recordBuyerRefund,
+} from "../utils/ledger.js";
+import {
+  enqueuePayout,
+  processPayoutJob,
+  registerPayoutHandler,
+} from "../jobs/payoutQueue.js";
+import {
+  transitionInvoice,
+  reopenInvoice,
+  recordInvoiceEvent,
+} from "../utils/invoiceState.js";
+import { emitWebhookEvent } from "../jobs/webhookQueue.js";
+import { sendEmail } from "../jobs/emailQueue.js";
+import { sendBuyerSms } from "../jobs/smsQueue.js";
+import { publish, invoiceChannel } from "../utils/realtime.js";
+import { floorAmount, formatAmount, roundAmount } from "../utils/currency.js";
 dotenv.config();
 
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
 // --- HELPER: Verify that a buyer's chat_token matches the invoice ---
 const verifyBuyerToken = async (invoicenumber, token) => {
   const result = await db.query(
@@ -27,6 +40,274 @@ const verifyBuyerToken = async (invoicenumber, token) => {
   return result.rows[0] || null;
 };
 
+// --- HELPER: Has the seller's payout for a non-milestone invoice started? ---
+// The invoice stays "delivered" until the transfer succeeds, so its status
+// does not tell.  The payout has started once the confirmation code is used
+// or an invoice_release job exists in any state but cancelled (queued,
+// failing, in review or on hold); cancelling the job un-burns the code.
+const invoicePayoutStarted = async (invoiceId) => {
+  const result = await db.query(
+    `SELECT EXISTS (SELECT 1 FROM payout_jobs
+                     WHERE invoice_id = $1 AND kind = 'invoice_release'
+                       AND status <> 'cancelled')
+         OR EXISTS (SELECT 1 FROM confirmation_codes
+                     WHERE code_id = $1 AND is_used = true)
+         OR EXISTS (SELECT 1 FROM payouts
+                     WHERE invoice_id = $1 AND status = 'paid') AS started`,
+    [invoiceId],
+  );
+  return result.rows[0].started;
+};
+
+// --- PAYOUT QUEUE HANDLERS: dispute settlements ---
+// The resolve route commits the decision (milestones, invoice and dispute
+// status) together with a payout job.  The payouts row, ledger entries and
+// referral credit are only written once the transfer has actually gone out.
+registerPayoutHandler("dispute_seller", {
+  onSuccess: async (job) => {
+    const { sellerId, grossAmount, totalFee, referrerId, referralEarning } =
+      job.context;
+    const sellerShare = Number(job.amount);
+
+    await db.query(
+      "INSERT INTO payouts (userid, amount, method, status, invoice_id, invoice_number, payout_job_id, provider_status) VALUES ($1,$2,$3,$4,$5,$6,$7,'pending')",
+      [
+        sellerId,
+        sellerShare,
+        "Mobile Money",
+        "paid",
+        job.invoice_id,
+        job.invoice_number,
+        job.id,
+      ],
+    );
+    await recordEscrowRelease({
+      reference: job.reference,
+      invoiceNumber: job.invoice_number,
+      sellerId,
+      grossAmount,
+      sellerAmount: sellerShare,
+      feeAmount: totalFee,
+      currency: job.currency,
+    });
+    await recordSellerPayout({
+      reference: job.reference,
+      invoiceNumber: job.invoice_number,
+      sellerId,
+      amount: sellerShare,
+      currency: job.currency,
+    });
+
+    if (referrerId && referralEarning > 0) {
+      try {
+        const ins = await db.query(
+          `INSERT INTO referral_earnings
+             (referrer_userid, referred_userid, invoice_number, invoice_amount, earned_amount)
+           VALUES ($1,$2,$3,$4,$5)
+           ON CONFLICT (invoice_number) DO NOTHING
+           RETURNING id`,
+          [
+            referrerId,
+            sellerId,
+            `${job.invoice_number}-dispute-s`,
+            grossAmount,
+            referralEarning,
+          ],
+        );
+        if (ins.rows.length > 0) {
+          await db.query(
+            "UPDATE users SET referral_balance = referral_balance + $1 WHERE id = $2",
+            [referralEarning, referrerId],
+          );
+          await recordReferralCredit({
+            reference: `${job.invoice_number}-dispute-s`,
+            invoiceNumber: job.invoice_number,
+            referrerId,
+            amount: referralEarning,
+            currency: job.currency,
+          });
+          notifyUser(
+            referrerId,
+            "referral_earned",
+            "Referral Commission Earned",
+            `You earned ${formatAmount(referralEarning, job.currency)} because a seller you referred was paid for invoice ${job.invoice_number}.`,
+            { amount: referralEarning, invoiceNumber: job.invoice_number },
+          );
+        }
+      } catch (e) {
+        console.error("⚠️ Dispute referral credit error:", e.message);
+      }
+    }
+
+    notifyUser(
+      sellerId,
+      "payout_sent",
+      "Payout Sent",
+      `${formatAmount(sellerShare, job.currency)} has been sent to your Mobile Money account for disputed invoice ${job.invoice_number}.`,
+      { amount: sellerShare, invoiceNumber: job.invoice_number },
+    );
+    emitWebhookEvent(sellerId, "payout.sent", {
+      invoice_number: job.invoice_number,
+      reason: "dispute_settlement",
+      gross_amount: grossAmount,
+      fee: totalFee,
+      amount: sellerShare,
+      currency: job.currency,
+      payout_job_id: job.id,
+    });
+  },
+  onCancel: (job) => reopenDispute(job),
+});
+
+registerPayoutHandler("dispute_refund", {
+  onSuccess: async (job) => {
+    const { sellerId, grossAmount, totalFee } = job.context;
+    const refundAmount = Number(job.amount);
+
+    await db.query(
+      "INSERT INTO payouts (userid, amount, method, status, invoice_id, invoice_number, payout_job_id, provider_status) VALUES ($1,$2,$3,$4,$5,$6,$7,'pending')",
+      [
+        sellerId,
+        refundAmount,
+        "Refund to Buyer",
+        "refunded",
+        job.invoice_id,
+        job.invoice_number,
+        job.id,
+      ],
+    );
+    await recordBuyerRefund({
+      reference: job.reference,
+      invoiceNumber: job.invoice_number,
+      grossAmount,
+      refundAmount,
+      feeAmount: totalFee,
+      currency: job.currency,
+    });
+  },
+  onCancel: (job) => reopenDispute(job),
+});
+
+// Cancelled settlement: put the milestones, invoice and dispute back to the
+// state they were in before the admin's decision so it can be decided again.
+const reopenDispute = async (job) => {
+  const {
+    adminToken,
+    settlementId,
+    grossAmount,
+    previousInvoiceStatus,
+    milestones = [],
+  } = job.context;
+
+  // This share is no longer being paid — take it off the settlement totals
+  const totalColumn =
+    job.kind === "dispute_refund"
+      ? "resolution_buyer_amount"
+      : "resolution_seller_amount";
+  await db.query(
+    `UPDATE disputes
+        SET ${totalColumn} = GREATEST(COALESCE(${totalColumn}, 0) - $1, 0)
+      WHERE admin_token = $2`,
+    [grossAmount, adminToken],
+  );
+
+  // The other half of a split is still queued or already sent — reopening
+  // now would let the dispute be settled twice.  Leave it for the admin.
+  if (settlementId) {
+    const sibling = await db.query(
+      `SELECT id FROM payout_jobs
+        WHERE id != $1
+          AND context->>'settlementId' = $2
+          AND status != 'cancelled'`,
+      [job.id, settlementId],
+    );
+    if (sibling.rows.length > 0) {
+      console.warn(
+        `⚠️ Split settlement leg ${job.id} cancelled while job ${sibling.rows[0].id} is live — dispute left resolved for manual review.`,
+      );
+      return;
+    }
+  }
+
+  for (const m of milestones) {
+    await db.query(
+      `UPDATE invoice_milestones
+          SET status = $1, released_at = NULL, dispute_resolution = NULL
+        WHERE id = $2`,
+      [m.status, m.id],
+    );
+  }
+  await reopenInvoice(job.invoice_id, previousInvoiceStatus, {
+    actorType: "admin",
+    reason: `Dispute settlement cancelled: ${job.last_error}`,
+    data: { payoutJobId: job.id },
+  });
+  await db.query("UPDATE disputes SET status = 'open' WHERE admin_token = $1", [
+    adminToken,
+  ]);
+  await recordInvoiceEvent(job.invoice_id, "dispute_reopened", {
+    actorType: "admin",
+    reason: job.last_error,
+    data: { payoutJobId: job.id },
+  });
+};
+
+// Thrown inside settleDispute's transaction when another request resolved
+// the same dispute, or released the same milestones, first — so the decision
+// and its payout jobs are rolled back instead of paying the funds twice.
+class DisputeChangedError extends Error {
+  constructor() {
+    super(
+      "This dispute was just resolved by another request. Reload it before resolving again.",
+    );
+    this.name = "DisputeChangedError";
+  }
+}
+
+// Commits a dispute decision and its payout job(s) in ONE transaction, then
+// attempts the transfers.  `applyDecision(client)` runs the status updates
+// inside the transaction and returns the final dispute status.  A split
+// settlement passes two jobs: the seller's share and the buyer's refund.
+const settleDispute = async (jobFieldsList, applyDecision) => {
+  const client = await db.connect();
+  const queued = [];
+  let finalStatus;
+  try {
+    await client.query("BEGIN");
+    for (const jobFields of jobFieldsList) {
+      queued.push(await enqueuePayout(jobFields, client));
+    }
+    finalStatus = await applyDecision(client);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+  const jobs = [];
+  for (const job of queued) {
+    jobs.push(await processPayoutJob(job.id));
+  }
+
+  const { sellerId } = queued[0].context;
+  emitWebhookEvent(sellerId, "dispute.resolved", {
+    invoice_number: queued[0].invoice_number,
+    status: finalStatus,
+    settlements: jobs.map((job) => ({
+      to: job.kind === "dispute_refund" ? "buyer" : "seller",
+      gross_amount: job.context.grossAmount,
+      amount: Number(job.amount),
+      currency: job.currency,
+      payout_status: job.status,
+    })),
+  });
+  return { jobs, finalStatus };
+};
+
+// Admin session with a role allowed to handle disputes (routes 2–4)
+const resolverOnly = [adminMiddleware, requireRole("dispute_resolver")];
+
 // ------------------------------------------------------------
 // ROUTE 1: OPEN A DISPUTE
 // Seller calls: POST /dispute/open/:invoicenumber  { reason, opened_by: "seller" }
@@ -89,6 +370,15 @@ router.post(
             "A dispute can only be opened after a payment has been made.",
         });
       }
+      if (
+        invoice.payment_type !== "installment" &&
+        (await invoicePayoutStarted(invoice.id))
+      ) {
+        return res.status(403).json({
+          message:
+            "The funds for this invoice are already being paid out to the seller. A dispute can no longer be opened.",
+        });
+      }
 
       // 3. If seller is opening, check delivery status and 48-hour rule
       if (opened_by === "seller") {
@@ -101,7 +391,9 @@ router.post(
             "SELECT * FROM invoice_milestones WHERE invoice_id = $1 ORDER BY milestone_number ASC",
             [invoice.id],
           );
-          const completedMs = msRes.rows.filter((m) => m.status === "completed");
+          const completedMs = msRes.rows.filter(
+            (m) => m.status === "completed",
+          );
 
           if (completedMs.length === 0) {
             return res.status(403).json({
@@ -115,19 +407,24 @@ router.post(
           let relevantMs = completedMs;
           if (Array.isArray(milestone_ids) && milestone_ids.length > 0) {
             const requestedIds = milestone_ids.map((id) => parseInt(id, 10));
-            const targeted = completedMs.filter((m) => requestedIds.includes(m.id));
+            const targeted = completedMs.filter((m) =>
+              requestedIds.includes(m.id),
+            );
             if (targeted.length > 0) relevantMs = targeted;
           }
 
           // Find the milestone that has been waiting the longest
           const oldestCompleted = relevantMs.reduce((oldest, m) => {
             if (!oldest) return m;
-            return new Date(m.completed_at) < new Date(oldest.completed_at) ? m : oldest;
+            return new Date(m.completed_at) < new Date(oldest.completed_at)
+              ? m
+              : oldest;
           }, null);
 
           if (oldestCompleted && oldestCompleted.completed_at) {
             const completedAt = new Date(oldestCompleted.completed_at);
-            const hoursSince = (Date.now() - completedAt.getTime()) / (1000 * 60 * 60);
+            const hoursSince =
+              (Date.now() - completedAt.getTime()) / (1000 * 60 * 60);
             if (hoursSince < 48) {
               const hoursLeft = Math.ceil(48 - hoursSince);
               return res.status(403).json({
@@ -288,14 +585,29 @@ router.post(
         ],
       );
 
+      emitWebhookEvent(invoice.userid, "dispute.opened", {
+        invoice_number: invoicenumber,
+        opened_by,
+        reason,
+        scope: finalScope,
+        milestone_ids: finalMilestoneIds,
+        disputed_amount: Number(disputedAmount),
+      });
+      await recordInvoiceEvent(invoice.id, "dispute_opened", {
+        actorType: opened_by,
+        actorId: opened_by === "seller" ? invoice.userid : null,
+        reason,
+        data: { scope: finalScope, milestoneIds: finalMilestoneIds },
+      });
+
       // 9. Add a system message to the chat so both parties can see the dispute was opened
       const chatResult = await db.query(
         "SELECT * FROM chats WHERE invoicenumber = $1",
         [invoicenumber],
       );
       if (chatResult.rows.length > 0) {
-        await db.query(
-          "INSERT INTO messages (chat_id, sender_type, sender_email, message) VALUES ($1, $2, $3, $4)",
+        const posted = await db.query(
+          "INSERT INTO messages (chat_id, sender_type, sender_email, message) VALUES ($1, $2, $3, $4) RETURNING *",
           [
             chatResult.rows[0].id,
             "system",
@@ -303,177 +615,74 @@ router.post(
             `⚠️ A dispute has been opened by the ${opened_by}. Reason: "${reason}". An admin has been notified and will review this conversation.`,
           ],
         );
+        await publish(invoiceChannel(invoicenumber), "chat.message", {
+          message: posted.rows[0],
+        });
       }
 
-      // 10. Build the admin moderator link
-      const adminLink = `${process.env.FRONTEND_URL}/admin/dispute/${adminToken}`;
-
-      // 11. Email the admin
-      const adminEmailMsg = {
+      // 10. Email the admin
+      await sendEmail("admin.dispute_opened", {
         to: process.env.ADMIN_EMAIL,
-        from: process.env.VERIFIED_SENDER,
-        subject: `[Admin] New Dispute Opened  - Invoice ${invoicenumber} | Fonlok`,
-        html: emailWrap(
-          `<h2 style="color:#0F1F3D;margin:0 0 12px;">New Dispute Opened &mdash; Invoice ${invoicenumber}</h2>
-          <p style="color:#475569;">A dispute has been opened and requires your review.</p>
-          ${emailTable([
-            ["Invoice Number", invoicenumber],
-            ["Invoice Name", invoice.invoicename],
-            [
-              "Disputed Amount",
-              `${disputedAmount.toLocaleString()} ${invoice.currency}`,
-              "font-weight:700;font-size:15px;",
-            ],
-            [
-              "Dispute Scope",
-              isMilestoneInvoice
-                ? `${finalScope} (${finalMilestoneIds.length} milestone(s))`
-                : "Full invoice",
-            ],
-            ["Opened By", opened_by],
-            ["Reason", reason],
-          ])}
-          <p style="color:#475569;">Click the button below to join the chat, review all messages and make a decision.</p>
-          ${emailButtonDanger(adminLink, "Review Dispute &amp; Join Chat")}`,
-          {
-            subtitle: "Admin Notification",
-            footerNote:
-              "Keep this link private &mdash; it gives admin access to the dispute chat.",
-          },
-        ),
-      };
-
-      try {
-        await sgMail.send(adminEmailMsg);
-        console.log("✅ Admin dispute notification email sent.");
-      } catch (emailError) {
-        console.error(
-          "❌ Admin Email Error:",
-          emailError.response ? emailError.response.body : emailError.message,
-        );
-      }
+        invoiceNumber: invoicenumber,
+        data: {
+          invoiceNumber: invoicenumber,
+          invoiceName: invoice.invoicename,
+          disputedAmount: Number(disputedAmount),
+          currency: invoice.currency,
+          scope: isMilestoneInvoice ? finalScope : null,
+          milestoneCount: finalMilestoneIds.length,
+          openedBy: opened_by,
+          reason,
+          adminToken,
+        },
+      });
 
-      // 12. Fetch buyer email for party notifications
-      const buyerEmailResult = await db.query(
-        "SELECT email FROM guests WHERE invoicenumber = $1 ORDER BY id DESC LIMIT 1",
+      // 11. Email both parties; the buyer is texted too
+      const buyerResult = await db.query(
+        "SELECT email, momo_number, language FROM guests WHERE invoicenumber = $1 ORDER BY id DESC LIMIT 1",
         [invoicenumber],
       );
-      const buyerEmail = buyerEmailResult.rows[0]?.email || null;
-      const sellerEmail = invoice.clientemail;
-      const chatLink = `${process.env.FRONTEND_URL}/chat/${invoicenumber}`;
-      const invoicePageLink = `${process.env.FRONTEND_URL}/invoice/${invoicenumber}`;
-
-      // 13. Email the seller
-      if (sellerEmail) {
-        const isSellerOpener = opened_by === "seller";
-        const sellerDisputeMsg = {
-          to: sellerEmail,
-          from: process.env.VERIFIED_SENDER,
-          subject: isSellerOpener
-            ? `Your Dispute Has Been Filed  - Invoice ${invoicenumber} | Fonlok`
-            : `A Buyer Has Opened a Dispute on Your Invoice | Fonlok`,
-          html: emailWrap(
-            `<h2 style="color:#0F1F3D;margin:0 0 12px;">${
-              isSellerOpener
-                ? "Your Dispute Has Been Submitted"
-                : "A Buyer Has Opened a Dispute"
-            }</h2>
-            <p style="color:#475569;">${
-              isSellerOpener
-                ? "We have received your dispute request. Our admin team will review all messages and make a fair decision within <strong>24 -48 hours</strong>."
-                : "A buyer has filed a dispute on one of your invoices. Our admin team has been notified and will review the case within <strong>24 -48 hours</strong>."
-            }</p>
-            ${emailTable([
-              ["Invoice Number", invoicenumber],
-              ["Invoice Name", invoice.invoicename],
-              [
-                "Amount",
-                `${invoice.amount} ${invoice.currency}`,
-                "font-weight:700;font-size:15px;",
-              ],
-              ["Opened By", isSellerOpener ? "You (seller)" : "Buyer"],
-              ["Reason", reason],
-            ])}
-            <p style="color:#475569;">You can view the full conversation and track the dispute resolution in the chat thread.</p>
-            ${emailButton(chatLink, "View Dispute Chat")}`,
-            {
-              subtitle: "Dispute Notification",
-              footerNote:
-                "Please do not attempt to pressure the other party. All disputes are reviewed and resolved fairly by Fonlok admin.",
-            },
-          ),
-        };
-        try {
-          await sgMail.send(sellerDisputeMsg);
-          console.log("✅ Seller dispute notification email sent.");
-        } catch (e) {
-          console.error(
-            "❌ Seller dispute email error:",
-            e.response?.body ?? e.message,
-          );
-        }
-      }
-
-      // 14. Email the buyer
-      if (buyerEmail) {
-        const isBuyerOpener = opened_by === "buyer";
-        const buyerDisputeMsg = {
-          to: buyerEmail,
-          from: process.env.VERIFIED_SENDER,
-          subject: isBuyerOpener
-            ? `Your Dispute Has Been Filed  - Invoice ${invoicenumber} | Fonlok`
-            : `A Dispute Has Been Opened on Your Purchase | Fonlok`,
-          html: emailWrap(
-            `<h2 style="color:#0F1F3D;margin:0 0 12px;">${
-              isBuyerOpener
-                ? "Your Dispute Has Been Submitted"
-                : "A Dispute Has Been Opened on Your Purchase"
-            }</h2>
-            <p style="color:#475569;">${
-              isBuyerOpener
-                ? "We have received your dispute request. Our admin team will review all messages and make a fair decision within <strong>24 -48 hours</strong>."
-                : "The seller has filed a dispute regarding your purchase. Our admin team has been notified and will review the case within <strong>24 -48 hours</strong>."
-            }</p>
-            ${emailTable([
-              ["Invoice Number", invoicenumber],
-              ["Invoice Name", invoice.invoicename],
-              [
-                "Amount",
-                `${invoice.amount} ${invoice.currency}`,
-                "font-weight:700;font-size:15px;",
-              ],
-              ["Opened By", isBuyerOpener ? "You (buyer)" : "Seller"],
-              ["Reason", reason],
-            ])}
-            <p style="color:#475569;">Your funds are safely held in escrow and will not be released until the dispute is resolved.</p>
-            ${emailButton(invoicePageLink, "View Invoice &amp; Chat")}`,
-            {
-              subtitle: "Dispute Notification",
-              footerNote:
-                "Please do not attempt to pressure the other party. All disputes are reviewed and resolved fairly by Fonlok admin.",
-            },
-          ),
-        };
-        try {
-          await sgMail.send(buyerDisputeMsg);
-          console.log("✅ Buyer dispute notification email sent.");
-        } catch (e) {
-          console.error(
-            "❌ Buyer dispute email error:",
-            e.response?.body ?? e.message,
-          );
-        }
-      }
-
-      // Notify the seller if the buyer opened the dispute
-      if (opened_by === "buyer") {
-        notifyUser(
-          invoice.userid,
-          "dispute_opened",
-          "Dispute Opened",
-          `A buyer has opened a dispute on invoice "${invoice.invoicename}". Reason: "${reason}". An admin will review shortly.`,
-          { invoiceNumber: invoicenumber, reason },
-        );
+      const openedData = {
+        invoiceNumber: invoicenumber,
+        invoiceName: invoice.invoicename,
+        amount: Number(invoice.amount),
+        currency: invoice.currency,
+        openedBy: opened_by,
+        reason,
+      };
+      await notifyUser(
+        invoice.userid,
+        "dispute_opened",
+        "Dispute Opened",
+        opened_by === "buyer"
+          ? `A buyer has opened a dispute on invoice "${invoice.invoicename}". Reason: "${reason}". An admin will review shortly.`
+          : `Your dispute on invoice "${invoice.invoicename}" is open. Reason: "${reason}". An admin will review shortly.`,
+        { invoiceNumber: invoicenumber, reason },
+        {
+          email: {
+            template: "seller.dispute_opened",
+            invoiceNumber: invoicenumber,
+            data: openedData,
+          },
+          sms: {
+            template: "seller.dispute_opened",
+            data: { invoiceNumber: invoicenumber },
+          },
+        },
+      );
+      await sendEmail("buyer.dispute_opened", {
+        to: buyerResult.rows[0]?.email,
+        lang: buyerResult.rows[0]?.language,
+        invoiceNumber: invoicenumber,
+        data: openedData,
+      });
+      if (buyerResult.rows.length > 0) {
+        await sendBuyerSms("buyer.dispute_opened", {
+          invoiceNumber: invoicenumber,
+          phone: buyerResult.rows[0].momo_number,
+          lang: buyerResult.rows[0].language,
+          data: { invoiceNumber: invoicenumber },
+        });
       }
 
       return res.status(200).json({
@@ -493,8 +702,11 @@ router.post(
 // ROUTE 2: ADMIN VIEWS THE DISPUTE (via their secret link)
 // GET /dispute/admin/:admin_token
 // Returns the dispute info, invoice info, and all chat messages
+//
+// Routes 2–4 need BOTH the secret link and an admin session with the
+// dispute_resolver (or superadmin) role — the link alone is not enough.
 // ------------------------------------------------------------
-router.get("/admin/:admin_token", async (req, res) => {
+router.get("/admin/:admin_token", resolverOnly, async (req, res) => {
   const { admin_token } = req.params;
 
   try {
@@ -593,6 +805,7 @@ router.get("/admin/:admin_token", async (req, res) => {
 // ------------------------------------------------------------
 router.post(
   "/admin/:admin_token/message",
+  resolverOnly,
   [
     body("message")
       .trim()
@@ -631,8 +844,16 @@ router.post(
       // Save the admin message
       const newMessage = await db.query(
         "INSERT INTO messages (chat_id, sender_type, sender_email, message) VALUES ($1, $2, $3, $4) RETURNING *",
-        [chatResult.rows[0].id, "moderator", process.env.ADMIN_EMAIL, message],
+        [chatResult.rows[0].id, "moderator", req.admin.email, message],
       );
+      await publish(invoiceChannel(dispute.invoicenumber), "chat.message", {
+        message: newMessage.rows[0],
+      });
+      await recordAdminAction(req, "dispute.message", {
+        targetType: "dispute",
+        targetId: dispute.id,
+        details: { invoiceNumber: dispute.invoicenumber },
+      });
 
       return res.status(200).json({ message: newMessage.rows[0] });
     } catch (error) {
@@ -645,10 +866,15 @@ router.post(
 // ------------------------------------------------------------
 // ROUTE 4: ADMIN RESOLVES THE DISPUTE
 // POST /dispute/admin/:admin_token/resolve
-// Body: { decision: "seller" | "buyer", milestone_ids?: number[] }
+// Body: { decision: "seller" | "buyer" | "split", milestone_ids?: number[],
+//         seller_percent?: number, seller_amount?: number }
 //
 // decision "seller" = release funds to the seller (2% fee deducted)
 // decision "buyer"  = refund the buyer (2% fee borne by buyer)
+// decision "split"  = part to the seller, the rest refunded to the buyer.
+//   Give EITHER seller_percent (e.g. 70) OR seller_amount (gross amount of the
+//   escrow that goes to the seller).  Each share carries its own 2% fee,
+//   exactly as a full release / full refund of that amount would.
 //
 // milestone_ids (optional): if provided, resolves ONLY those specific
 //   milestones. Omit to resolve all eligible disputed milestones at once.
@@ -661,11 +887,20 @@ router.post(
 // ------------------------------------------------------------
 router.post(
   "/admin/:admin_token/resolve",
+  resolverOnly,
   [
     body("decision")
       .trim()
-      .isIn(["seller", "buyer"])
-      .withMessage("Decision must be 'seller' or 'buyer'."),
+      .isIn(["seller", "buyer", "split"])
+      .withMessage("Decision must be 'seller', 'buyer' or 'split'."),
+    body("seller_percent")
+      .optional()
+      .isFloat({ gt: 0, lt: 100 })
+      .withMessage("seller_percent must be between 0 and 100 (exclusive)."),
+    body("seller_amount")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("seller_amount must be a positive whole number."),
     body("milestone_ids")
       .optional()
       .isArray({ min: 1 })
@@ -678,7 +913,24 @@ router.post(
   validate,
   async (req, res) => {
     const { admin_token } = req.params;
-    const { decision, milestone_ids: requestedMilestoneIds } = req.body;
+    const {
+      decision,
+      milestone_ids: requestedMilestoneIds,
+      seller_percent: sellerPercentInput,
+      seller_amount: sellerAmountInput,
+    } = req.body;
+
+    if (decision === "split") {
+      const given = [sellerPercentInput, sellerAmountInput].filter(
+        (v) => v !== undefined,
+      );
+      if (given.length !== 1) {
+        return res.status(400).json({
+          message:
+            "A split needs exactly one of seller_percent or seller_amount.",
+        });
+      }
+    }
 
     try {
       // 1. Verify admin token and get the dispute
@@ -783,19 +1035,17 @@ router.post(
         );
         console.log(
           `Dispute resolve ${invoice.invoicenumber}: decision=${decision}, ` +
-            `eligible=[${eligibleMilestones.map((m) => m.id)}], effectiveAmount=${effectiveAmount} XAF`,
+            `eligible=[${eligibleMilestones.map((m) => m.id)}], effectiveAmount=${formatAmount(effectiveAmount, invoice.currency)}`,
         );
       } else {
-        // Non-milestone: block if funds were already released via a prior payout
-        const existingPayout = await db.query(
-          "SELECT id FROM payouts WHERE invoice_id = $1 AND status = 'paid'",
-          [invoice.id],
-        );
-        if (existingPayout.rows.length > 0) {
+        // Non-milestone: block if the escrow is already paid out or on its
+        // way to the seller — releasing or refunding it again would pay the
+        // same funds twice.  Cancel the payout job first if it must not go.
+        if (await invoicePayoutStarted(invoice.id)) {
           return res.status(400).json({
             message:
-              "Funds for this invoice were already released to the seller via a prior payout. " +
-              "Releasing again would cause a double-payment. Only 'Refund Buyer' is valid.",
+              "Funds for this invoice were already released to the seller, or their payout is queued. " +
+              "Resolving the dispute would pay the same funds twice. Cancel the payout job first if it must not go out.",
           });
         }
       }
@@ -811,18 +1061,24 @@ router.post(
       const referrerIdD = referrerCheckD.rows[0]?.referred_by ?? null;
       const hasReferralD = referrerIdD !== null;
 
-      const totalFeeD = Math.floor(effectiveAmount * DISPUTE_TOTAL_FEE_RATE);
+      const totalFeeD = floorAmount(
+        effectiveAmount * DISPUTE_TOTAL_FEE_RATE,
+        invoice.currency,
+      );
       const referralEarningD = hasReferralD
-        ? Math.floor(effectiveAmount * DISPUTE_REFERRAL_FEE_RATE)
+        ? floorAmount(
+            effectiveAmount * DISPUTE_REFERRAL_FEE_RATE,
+            invoice.currency,
+          )
         : 0;
       const fonlokNetD = totalFeeD - referralEarningD;
 
       // Helper: compute final dispute status after this resolution
-      const computeDisputeStatus = async (baseStatus) => {
+      const computeDisputeStatus = async (baseStatus, client = db) => {
         if (!isMilestoneInvoiceR) return baseStatus;
         const disputedIds = dispute.disputed_milestone_ids || [];
         if (disputedIds.length === 0) return baseStatus;
-        const remaining = await db.query(
+        const remaining = await client.query(
           `SELECT id FROM invoice_milestones WHERE id = ANY($1::int[]) AND status != 'released'`,
           [disputedIds],
         );
@@ -831,6 +1087,96 @@ router.post(
           : baseStatus;
       };
 
+      // Marks the milestones this decision settles as released.  Only
+      // succeeds while none of them has been released since they were read:
+      // a concurrent resolve waits on the row locks and then finds them gone.
+      const releaseEligibleMilestones = async (client, resolution) => {
+        const released = await client.query(
+          `UPDATE invoice_milestones
+              SET status = 'released', released_at = NOW(), release_token = NULL, dispute_resolution = $2
+            WHERE id = ANY($1::int[]) AND status != 'released'`,
+          [eligibleMilestones.map((m) => m.id), resolution],
+        );
+        if (released.rowCount !== eligibleMilestones.length) {
+          throw new DisputeChangedError();
+        }
+      };
+
+      // Records the final status and adds this resolution's gross shares to
+      // the dispute's running settlement totals (shown on the receipt).
+      // Only while the dispute still has the status read above, so two
+      // concurrent resolves cannot both commit a payout.
+      const recordResolution = async (
+        client,
+        status,
+        sellerGross,
+        buyerGross,
+      ) => {
+        const updated = await client.query(
+          `UPDATE disputes
+              SET status = $1,
+                  resolution_seller_amount = COALESCE(resolution_seller_amount, 0) + $2,
+                  resolution_buyer_amount  = COALESCE(resolution_buyer_amount, 0) + $3
+            WHERE admin_token = $4 AND status = $5`,
+          [status, sellerGross, buyerGross, admin_token, dispute.status],
+        );
+        if (updated.rowCount === 0) throw new DisputeChangedError();
+        await recordInvoiceEvent(
+          invoice.id,
+          "dispute_resolved",
+          {
+            actorType: "admin",
+            actorId: req.admin.email,
+            reason: `Decision: ${decision}`,
+            data: { disputeStatus: status, sellerGross, buyerGross },
+          },
+          client,
+        );
+      };
+
+      // Closes the invoice as part of the decision's transaction
+      const closeInvoice = (client, status) =>
+        transitionInvoice(
+          invoice.id,
+          status,
+          {
+            actorType: "admin",
+            actorId: req.admin.email,
+            reason: `Dispute resolved: ${decision}`,
+          },
+          client,
+        );
+
+      // One audit entry per decision, written once it is committed
+      const auditResolution = (status, sellerGross, buyerGross) =>
+        recordAdminAction(req, "dispute.resolve", {
+          targetType: "dispute",
+          targetId: dispute.id,
+          details: {
+            invoiceNumber: invoice.invoicenumber,
+            decision,
+            status,
+            effectiveAmount,
+            sellerGross,
+            buyerGross,
+            milestoneIds: (eligibleMilestones ?? []).map((m) => m.id),
+          },
+        });
+
+      // Snapshot used by the payout job's onCancel to undo the decision
+      const settlementContext = {
+        settlementId: crypto.randomUUID(),
+        adminToken: admin_token,
+        sellerId: invoice.userid,
+        grossAmount: effectiveAmount,
+        totalFee: totalFeeD,
+        previousInvoiceStatus: invoice.status,
+        milestones: (eligibleMilestones ?? []).map((m) => ({
+          id: m.id,
+          status: m.status,
+        })),
+      };
+
       if (decision === "seller") {
         // ── DECISION: Release funds to the seller ──────────────────────────
         const sellerShare = effectiveAmount - totalFeeD;
@@ -845,140 +1191,102 @@ router.post(
             `fee=${totalFeeD}, fonlokNet=${fonlokNetD}, referralEarning=${referralEarningD}, sellerReceives=${sellerShare}`,
         );
 
-        const auth = await axios.post(`${process.env.CAMPAY_BASE_URL}token/`, {
-          username: process.env.CAMPAY_USERNAME,
-          password: process.env.CAMPAY_PASSWORD,
-        });
-        await axios.post(
-          `${process.env.CAMPAY_BASE_URL}withdraw/`,
-          {
-            amount: sellerShare.toString(),
-            currency: "XAF",
-            to: seller.phone,
-            description: `Dispute resolved (seller) — invoice ${invoice.invoicenumber}`,
-            external_reference: `dispute-seller-${invoice.invoicenumber}-${Date.now()}`,
-          },
-          { headers: { Authorization: `Token ${auth.data.token}` } },
-        );
-
-        if (isMilestoneInvoiceR && eligibleMilestones.length > 0) {
-          await db.query(
-            `UPDATE invoice_milestones
-                SET status = 'released', released_at = NOW(), release_token = NULL, dispute_resolution = 'seller'
-              WHERE id = ANY($1::int[])`,
-            [eligibleMilestones.map((m) => m.id)],
-          );
-        }
-
-        await db.query(
-          "INSERT INTO payouts (userid, amount, method, status, invoice_id, invoice_number) VALUES ($1,$2,$3,$4,$5,$6)",
+        const payoutRef = `dispute-seller-${invoice.invoicenumber}-${Date.now()}`;
+        const {
+          jobs: [job],
+          finalStatus,
+        } = await settleDispute(
           [
-            invoice.userid,
-            sellerShare,
-            "Mobile Money",
-            "paid",
-            invoice.id,
-            invoice.invoicenumber,
+            {
+              kind: "dispute_seller",
+              reference: payoutRef,
+              userId: invoice.userid,
+              invoiceId: invoice.id,
+              invoiceNumber: invoice.invoicenumber,
+              amount: sellerShare,
+              currency: invoice.currency,
+              phone: seller.phone,
+              description: `Dispute resolved (seller) — invoice ${invoice.invoicenumber}`,
+              context: {
+                ...settlementContext,
+                referrerId: referrerIdD,
+                referralEarning: referralEarningD,
+              },
+            },
           ],
-        );
+          async (client) => {
+            if (isMilestoneInvoiceR && eligibleMilestones.length > 0) {
+              await releaseEligibleMilestones(client, "seller");
+            }
 
-        if (hasReferralD && referralEarningD > 0) {
-          try {
-            const ins = await db.query(
-              `INSERT INTO referral_earnings
-                 (referrer_userid, referred_userid, invoice_number, invoice_amount, earned_amount)
-               VALUES ($1,$2,$3,$4,$5)
-               ON CONFLICT (invoice_number) DO NOTHING
-               RETURNING id`,
-              [
-                referrerIdD,
-                invoice.userid,
-                `${invoice.invoicenumber}-dispute-s`,
-                effectiveAmount,
-                referralEarningD,
-              ],
-            );
-            if (ins.rows.length > 0) {
-              await db.query(
-                "UPDATE users SET referral_balance = referral_balance + $1 WHERE id = $2",
-                [referralEarningD, referrerIdD],
+            if (isMilestoneInvoiceR) {
+              const totalRem = await client.query(
+                "SELECT COUNT(*) AS cnt FROM invoice_milestones WHERE invoice_id = $1 AND status != 'released'",
+                [invoice.id],
               );
+              if (parseInt(totalRem.rows[0].cnt) === 0) {
+                await closeInvoice(client, "completed");
+              }
+            } else {
+              await closeInvoice(client, "completed");
             }
-          } catch (e) {
-            console.error("⚠️ Dispute referral credit error:", e.message);
-          }
-        }
 
-        if (isMilestoneInvoiceR) {
-          const totalRem = await db.query(
-            "SELECT COUNT(*) AS cnt FROM invoice_milestones WHERE invoice_id = $1 AND status != 'released'",
-            [invoice.id],
-          );
-          if (parseInt(totalRem.rows[0].cnt) === 0) {
-            await db.query(
-              "UPDATE invoices SET status = 'completed' WHERE id = $1",
-              [invoice.id],
+            const status = await computeDisputeStatus(
+              "resolved_seller",
+              client,
             );
-          }
-        } else {
-          await db.query(
-            "UPDATE invoices SET status = 'completed' WHERE id = $1",
-            [invoice.id],
-          );
-        }
-
-        const finalStatus = await computeDisputeStatus("resolved_seller");
-        await db.query(
-          "UPDATE disputes SET status = $1 WHERE admin_token = $2",
-          [finalStatus, admin_token],
+            await recordResolution(client, status, effectiveAmount, 0);
+            return status;
+          },
         );
+        // "released" once the transfer went out, otherwise it is queued and
+        // retried by the payout queue.
+        const sentS = job.status === "succeeded";
+        const releasedS = sentS ? "released" : "queued for payout";
 
         if (chatResult.rows.length > 0) {
           const isFinal = !finalStatus.startsWith("partially");
-          await db.query(
-            "INSERT INTO messages (chat_id, sender_type, sender_email, message) VALUES ($1,$2,$3,$4)",
+          const posted = await db.query(
+            "INSERT INTO messages (chat_id, sender_type, sender_email, message) VALUES ($1,$2,$3,$4) RETURNING *",
             [
               chatResult.rows[0].id,
               "system",
               "system",
               isFinal
-                ? `✅ Dispute resolved by admin. ${sellerShare.toLocaleString()} XAF released to the seller.`
-                : `⚠️ Admin resolved ${eligibleMilestones.length} milestone(s). ${sellerShare.toLocaleString()} XAF released to the seller. Dispute remains open for remaining milestones.`,
+                ? `✅ Dispute resolved by admin. ${formatAmount(sellerShare, invoice.currency)} ${releasedS} to the seller.`
+                : `⚠️ Admin resolved ${eligibleMilestones.length} milestone(s). ${formatAmount(sellerShare, invoice.currency)} ${releasedS} to the seller. Dispute remains open for remaining milestones.`,
             ],
           );
+          await publish(invoiceChannel(invoice.invoicenumber), "chat.message", {
+            message: posted.rows[0],
+          });
         }
 
-        try {
-          await sgMail.send({
-            to: seller.email,
-            from: process.env.VERIFIED_SENDER,
-            subject: `Dispute Resolved: Funds Released to You — Invoice ${invoice.invoicenumber} | Fonlok`,
-            html: emailWrap(
-              `<h2 style="color:#0F1F3D;margin:0 0 12px;">Dispute Resolved — Funds Released to You</h2>
-              <p style="color:#475569;">Hello ${seller.name}, the admin reviewed the dispute for invoice <strong>${invoice.invoicenumber}</strong> and released funds to you.</p>
-              ${emailTable([
-                ["Invoice", invoice.invoicenumber],
-                ["Effective Amount", `${effectiveAmount.toLocaleString()} XAF`],
-                [
-                  "Fonlok Fee (2%)",
-                  `−${totalFeeD.toLocaleString()} XAF`,
-                  "color:#dc2626;",
-                ],
-                [
-                  "Amount Sent",
-                  `${sellerShare.toLocaleString()} XAF`,
-                  "font-weight:700;color:#16a34a;font-size:15px;",
-                ],
-                ["Sent To", seller.phone],
-              ])}`,
-              {
-                footerNote: "Fonlok Escrow — dispute resolved in your favour.",
+        await notifyUser(
+          seller.id,
+          "dispute_resolved",
+          "Dispute Resolved",
+          sentS
+            ? `The dispute on invoice ${invoice.invoicenumber} was resolved in your favour. ${formatAmount(sellerShare, invoice.currency)} has been sent to your Mobile Money account.`
+            : `The dispute on invoice ${invoice.invoicenumber} was resolved in your favour. ${formatAmount(sellerShare, invoice.currency)} is queued for payout to your Mobile Money account.`,
+          { invoiceNumber: invoice.invoicenumber, amount: sellerShare },
+          {
+            email: {
+              template: "seller.dispute_released",
+              invoiceNumber: invoice.invoicenumber,
+              data: {
+                sellerName: seller.name,
+                invoiceNumber: invoice.invoicenumber,
+                effectiveAmount: Number(effectiveAmount),
+                fee: Number(totalFeeD),
+                amount: Number(sellerShare),
+                currency: invoice.currency,
+                phone: seller.phone,
+                sent: sentS,
               },
-            ),
-          });
-        } catch (e) {
-          console.error("Seller dispute email error:", e.message);
-        }
+            },
+          },
+        );
 
         try {
           const gR = await db.query(
@@ -986,27 +1294,30 @@ router.post(
             [invoice.invoicenumber],
           );
           if (gR.rows.length > 0) {
-            await sgMail.send({
+            await sendEmail("buyer.dispute_released", {
               to: gR.rows[0].email,
-              from: process.env.VERIFIED_SENDER,
-              subject: `Dispute Update — Invoice ${invoice.invoicenumber} | Fonlok`,
-              html: emailWrap(
-                `<h2 style="color:#0F1F3D;margin:0 0 12px;">Dispute Resolved</h2>
-                <p style="color:#475569;">The admin reviewed the dispute for invoice <strong>${invoice.invoicenumber}</strong> and decided to release the funds to the seller.</p>
-                <p style="color:#475569;">If you believe this was unfair, contact <a href="mailto:support@fonlok.com" style="color:#F59E0B;">support@fonlok.com</a>.</p>`,
-                { footerNote: "Fonlok Escrow dispute resolution." },
-              ),
+              lang: gR.rows[0].language,
+              invoiceNumber: invoice.invoicenumber,
+              data: { invoiceNumber: invoice.invoicenumber },
+            });
+            await sendBuyerSms("buyer.dispute_released", {
+              invoiceNumber: invoice.invoicenumber,
+              phone: gR.rows[0].momo_number,
+              lang: gR.rows[0].language,
+              data: { invoiceNumber: invoice.invoicenumber },
             });
           }
         } catch (e) {
           console.error("Buyer dispute email error:", e.message);
         }
 
-        return res.status(200).json({
-          message: `Dispute resolved. ${sellerShare.toLocaleString()} XAF released to the seller.`,
+        await auditResolution(finalStatus, effectiveAmount, 0);
+        return res.status(sentS ? 200 : 202).json({
+          message: `Dispute resolved. ${formatAmount(sellerShare, invoice.currency)} ${releasedS} to the seller.`,
           sellerReceives: sellerShare,
           effectiveAmount,
           status: finalStatus,
+          payoutStatus: job.status,
         });
       } else if (decision === "buyer") {
         // ── DECISION: Refund the buyer ────────────────────────────────────
@@ -1029,152 +1340,355 @@ router.post(
           `Dispute refund (buyer) ${invoice.invoicenumber}: gross=${effectiveAmount}, fee=${totalFeeD}, refundAmount=${refundAmount}`,
         );
 
-        const authB = await axios.post(`${process.env.CAMPAY_BASE_URL}token/`, {
-          username: process.env.CAMPAY_USERNAME,
-          password: process.env.CAMPAY_PASSWORD,
-        });
-        await axios.post(
-          `${process.env.CAMPAY_BASE_URL}withdraw/`,
-          {
-            amount: refundAmount.toString(),
-            currency: "XAF",
-            to: buyer.momo_number,
-            description: `Dispute refund — invoice ${invoice.invoicenumber}`,
-            external_reference: `dispute-refund-${invoice.invoicenumber}-${Date.now()}`,
-          },
-          { headers: { Authorization: `Token ${authB.data.token}` } },
-        );
-
-        if (isMilestoneInvoiceR && eligibleMilestones.length > 0) {
-          await db.query(
-            `UPDATE invoice_milestones
-                SET status = 'released', released_at = NOW(), release_token = NULL, dispute_resolution = 'buyer'
-              WHERE id = ANY($1::int[])`,
-            [eligibleMilestones.map((m) => m.id)],
-          );
-        }
-
-        await db.query(
-          "INSERT INTO payouts (userid, amount, method, status, invoice_id, invoice_number) VALUES ($1,$2,$3,$4,$5,$6)",
+        const refundRef = `dispute-refund-${invoice.invoicenumber}-${Date.now()}`;
+        const {
+          jobs: [job],
+          finalStatus: finalStatusB,
+        } = await settleDispute(
           [
-            invoice.userid,
-            refundAmount,
-            "Refund to Buyer",
-            "refunded",
-            invoice.id,
-            invoice.invoicenumber,
+            {
+              kind: "dispute_refund",
+              reference: refundRef,
+              invoiceId: invoice.id,
+              invoiceNumber: invoice.invoicenumber,
+              amount: refundAmount,
+              currency: invoice.currency,
+              phone: buyer.momo_number,
+              description: `Dispute refund — invoice ${invoice.invoicenumber}`,
+              context: settlementContext,
+            },
           ],
-        );
+          async (client) => {
+            if (isMilestoneInvoiceR && eligibleMilestones.length > 0) {
+              await releaseEligibleMilestones(client, "buyer");
+            }
 
-        if (isMilestoneInvoiceR) {
-          const totalRemB = await db.query(
-            "SELECT COUNT(*) AS cnt FROM invoice_milestones WHERE invoice_id = $1 AND status != 'released'",
-            [invoice.id],
-          );
-          if (parseInt(totalRemB.rows[0].cnt) === 0) {
-            await db.query(
-              "UPDATE invoices SET status = 'refunded' WHERE id = $1",
-              [invoice.id],
-            );
-          }
-        } else {
-          await db.query(
-            "UPDATE invoices SET status = 'refunded' WHERE id = $1",
-            [invoice.id],
-          );
-        }
+            if (isMilestoneInvoiceR) {
+              const totalRemB = await client.query(
+                "SELECT COUNT(*) AS cnt FROM invoice_milestones WHERE invoice_id = $1 AND status != 'released'",
+                [invoice.id],
+              );
+              if (parseInt(totalRemB.rows[0].cnt) === 0) {
+                await closeInvoice(client, "refunded");
+              }
+            } else {
+              await closeInvoice(client, "refunded");
+            }
 
-        const finalStatusB = await computeDisputeStatus("resolved_buyer");
-        await db.query(
-          "UPDATE disputes SET status = $1 WHERE admin_token = $2",
-          [finalStatusB, admin_token],
+            const status = await computeDisputeStatus("resolved_buyer", client);
+            await recordResolution(client, status, 0, effectiveAmount);
+            return status;
+          },
         );
+        const sentB = job.status === "succeeded";
+        const refundedB = sentB ? "sent" : "queued";
 
         if (chatResult.rows.length > 0) {
           const isFinalB = !finalStatusB.startsWith("partially");
-          await db.query(
-            "INSERT INTO messages (chat_id, sender_type, sender_email, message) VALUES ($1,$2,$3,$4)",
+          const posted = await db.query(
+            "INSERT INTO messages (chat_id, sender_type, sender_email, message) VALUES ($1,$2,$3,$4) RETURNING *",
             [
               chatResult.rows[0].id,
               "system",
               "system",
               isFinalB
-                ? `✅ Dispute resolved by admin. Refund of ${refundAmount.toLocaleString()} XAF sent to the buyer.`
-                : `⚠️ Admin refunded ${eligibleMilestones.length} milestone(s). ${refundAmount.toLocaleString()} XAF sent to buyer. Dispute remains open for remaining milestones.`,
+                ? `✅ Dispute resolved by admin. Refund of ${formatAmount(refundAmount, invoice.currency)} ${refundedB} to the buyer.`
+                : `⚠️ Admin refunded ${eligibleMilestones.length} milestone(s). ${formatAmount(refundAmount, invoice.currency)} ${refundedB} to buyer. Dispute remains open for remaining milestones.`,
             ],
           );
+          await publish(invoiceChannel(invoice.invoicenumber), "chat.message", {
+            message: posted.rows[0],
+          });
         }
 
-        try {
-          if (buyer.email) {
-            await sgMail.send({
-              to: buyer.email,
-              from: process.env.VERIFIED_SENDER,
-              subject: `Refund Processed — Invoice ${invoice.invoicenumber} | Fonlok`,
-              html: emailWrap(
-                `<h2 style="color:#0F1F3D;margin:0 0 12px;">Refund Processed — Funds Sent to You</h2>
-                <p style="color:#475569;">The admin reviewed the dispute for invoice <strong>${invoice.invoicenumber}</strong> and processed your refund.</p>
-                ${emailTable([
-                  ["Invoice", invoice.invoicenumber],
-                  [
-                    "Gross Disputed Amount",
-                    `${effectiveAmount.toLocaleString()} XAF`,
-                  ],
-                  [
-                    "Fonlok Fee (2%)",
-                    `−${totalFeeD.toLocaleString()} XAF`,
-                    "color:#dc2626;",
-                  ],
-                  [
-                    "Refund Sent to You",
-                    `${refundAmount.toLocaleString()} XAF`,
-                    "font-weight:700;color:#16a34a;font-size:15px;",
-                  ],
-                  ["Sent To", buyer.momo_number],
-                ])}`,
-                { footerNote: "Fonlok Escrow dispute refund confirmation." },
-              ),
-            });
-          }
-        } catch (e) {
-          console.error("Buyer refund email error:", e.message);
-        }
+        await sendEmail("buyer.dispute_refunded", {
+          to: buyer.email,
+          lang: buyer.language,
+          invoiceNumber: invoice.invoicenumber,
+          data: {
+            invoiceNumber: invoice.invoicenumber,
+            effectiveAmount: Number(effectiveAmount),
+            fee: Number(totalFeeD),
+            amount: Number(refundAmount),
+            currency: invoice.currency,
+            phone: buyer.momo_number,
+            sent: sentB,
+          },
+        });
+        await sendBuyerSms("buyer.dispute_refunded", {
+          invoiceNumber: invoice.invoicenumber,
+          phone: buyer.momo_number,
+          lang: buyer.language,
+          data: {
+            invoiceNumber: invoice.invoicenumber,
+            amount: Number(refundAmount),
+            currency: invoice.currency,
+            phone: buyer.momo_number,
+            sent: sentB,
+          },
+        });
 
         try {
-          const sR = await db.query("SELECT * FROM users WHERE id = $1", [
+          const sR = await db.query("SELECT name FROM users WHERE id = $1", [
             invoice.userid,
           ]);
-          if (sR.rows.length > 0) {
-            await sgMail.send({
-              to: sR.rows[0].email,
-              from: process.env.VERIFIED_SENDER,
-              subject: `Dispute Resolved: Refund Issued to Buyer — Invoice ${invoice.invoicenumber} | Fonlok`,
-              html: emailWrap(
-                `<h2 style="color:#0F1F3D;margin:0 0 12px;">Dispute Resolved — Refund Issued to Buyer</h2>
-                <p style="color:#475569;">Hello ${sR.rows[0].name}, the admin reviewed the dispute for invoice <strong>${invoice.invoicenumber}</strong> and issued a refund to the buyer.</p>
-                <p style="color:#475569;">If you believe this was unfair, contact <a href="mailto:support@fonlok.com" style="color:#F59E0B;">support@fonlok.com</a>.</p>`,
-                {
-                  footerNote: "Fonlok Escrow dispute resolution notification.",
+          await notifyUser(
+            invoice.userid,
+            "dispute_resolved",
+            "Dispute Resolved",
+            `The dispute on invoice ${invoice.invoicenumber} was resolved with a refund to the buyer.`,
+            { invoiceNumber: invoice.invoicenumber },
+            {
+              email: {
+                template: "seller.dispute_refunded",
+                invoiceNumber: invoice.invoicenumber,
+                data: {
+                  sellerName: sR.rows[0]?.name,
+                  invoiceNumber: invoice.invoicenumber,
                 },
-              ),
-            });
-          }
+              },
+            },
+          );
         } catch (e) {
           console.error("Seller refund email error:", e.message);
         }
 
-        return res.status(200).json({
-          message: `Dispute resolved. Refund of ${refundAmount.toLocaleString()} XAF sent to the buyer.`,
+        await auditResolution(finalStatusB, 0, effectiveAmount);
+        return res.status(sentB ? 200 : 202).json({
+          message: `Dispute resolved. Refund of ${formatAmount(refundAmount, invoice.currency)} ${refundedB} to the buyer.`,
           refundAmount,
           effectiveAmount,
           status: finalStatusB,
+          payoutStatus: job.status,
+        });
+      } else if (decision === "split") {
+        // ── DECISION: Split the escrow between seller and buyer ────────────
+        const sellerGross =
+          sellerAmountInput !== undefined
+            ? Number(sellerAmountInput)
+            : roundAmount(
+                (effectiveAmount * Number(sellerPercentInput)) / 100,
+                invoice.currency,
+              );
+        const buyerGross = effectiveAmount - sellerGross;
+
+        if (sellerGross <= 0 || buyerGross <= 0) {
+          return res.status(400).json({
+            message: `A split must leave both the seller and the buyer a share of the ${formatAmount(effectiveAmount, invoice.currency)} in escrow.`,
+          });
+        }
+        const sellerPercent =
+          Math.round((sellerGross / effectiveAmount) * 10000) / 100;
+
+        // Each share carries its own 2% fee; the referral cut comes out of
+        // the seller's share only, as with a full release.
+        const sellerFee = floorAmount(
+          sellerGross * DISPUTE_TOTAL_FEE_RATE,
+          invoice.currency,
+        );
+        const sellerShare = sellerGross - sellerFee;
+        const splitReferralEarning = hasReferralD
+          ? floorAmount(
+              sellerGross * DISPUTE_REFERRAL_FEE_RATE,
+              invoice.currency,
+            )
+          : 0;
+        const buyerFee = floorAmount(
+          buyerGross * DISPUTE_TOTAL_FEE_RATE,
+          invoice.currency,
+        );
+        const refundAmount = buyerGross - buyerFee;
+
+        const sellerResult = await db.query(
+          "SELECT * FROM users WHERE id = $1",
+          [invoice.userid],
+        );
+        const seller = sellerResult.rows[0];
+
+        const guestResult = await db.query(
+          "SELECT * FROM guests WHERE invoicenumber = $1",
+          [invoice.invoicenumber],
+        );
+        const buyer = guestResult.rows[0] ?? null;
+
+        if (!buyer?.momo_number) {
+          return res.status(400).json({
+            message:
+              "Cannot process split: no buyer MoMo number found. Please process manually.",
+          });
+        }
+
+        console.log(
+          `Dispute split ${invoice.invoicenumber}: gross=${effectiveAmount}, ` +
+            `seller=${sellerGross} (${sellerPercent}%, fee=${sellerFee}, receives=${sellerShare}), ` +
+            `buyer=${buyerGross} (fee=${buyerFee}, refund=${refundAmount})`,
+        );
+
+        const stamp = Date.now();
+        const {
+          jobs: [sellerJob, refundJob],
+          finalStatus: finalStatusX,
+        } = await settleDispute(
+          [
+            {
+              kind: "dispute_seller",
+              reference: `dispute-seller-${invoice.invoicenumber}-${stamp}`,
+              userId: invoice.userid,
+              invoiceId: invoice.id,
+              invoiceNumber: invoice.invoicenumber,
+              amount: sellerShare,
+              currency: invoice.currency,
+              phone: seller.phone,
+              description: `Dispute split (seller ${sellerPercent}%) — invoice ${invoice.invoicenumber}`,
+              context: {
+                ...settlementContext,
+                grossAmount: sellerGross,
+                totalFee: sellerFee,
+                referrerId: referrerIdD,
+                referralEarning: splitReferralEarning,
+              },
+            },
+            {
+              kind: "dispute_refund",
+              reference: `dispute-refund-${invoice.invoicenumber}-${stamp}`,
+              invoiceId: invoice.id,
+              invoiceNumber: invoice.invoicenumber,
+              amount: refundAmount,
+              currency: invoice.currency,
+              phone: buyer.momo_number,
+              description: `Dispute split refund — invoice ${invoice.invoicenumber}`,
+              context: {
+                ...settlementContext,
+                grossAmount: buyerGross,
+                totalFee: buyerFee,
+              },
+            },
+          ],
+          async (client) => {
+            if (isMilestoneInvoiceR && eligibleMilestones.length > 0) {
+              await releaseEligibleMilestones(client, "split");
+            }
+
+            // The seller was paid, so the invoice completes like a release
+            if (isMilestoneInvoiceR) {
+              const totalRemX = await client.query(
+                "SELECT COUNT(*) AS cnt FROM invoice_milestones WHERE invoice_id = $1 AND status != 'released'",
+                [invoice.id],
+              );
+              if (parseInt(totalRemX.rows[0].cnt) === 0) {
+                await closeInvoice(client, "completed");
+              }
+            } else {
+              await closeInvoice(client, "completed");
+            }
+
+            const status = await computeDisputeStatus("resolved_split", client);
+            await recordResolution(client, status, sellerGross, buyerGross);
+            return status;
+          },
+        );
+        const sentSellerX = sellerJob.status === "succeeded";
+        const sentBuyerX = refundJob.status === "succeeded";
+        const splitSummary =
+          `${formatAmount(sellerShare, invoice.currency)} ${sentSellerX ? "released" : "queued for payout"} to the seller (${sellerPercent}%), ` +
+          `${formatAmount(refundAmount, invoice.currency)} ${sentBuyerX ? "refunded" : "queued for refund"} to the buyer (${Math.round((100 - sellerPercent) * 100) / 100}%)`;
+
+        if (chatResult.rows.length > 0) {
+          const isFinalX = !finalStatusX.startsWith("partially");
+          const posted = await db.query(
+            "INSERT INTO messages (chat_id, sender_type, sender_email, message) VALUES ($1,$2,$3,$4) RETURNING *",
+            [
+              chatResult.rows[0].id,
+              "system",
+              "system",
+              isFinalX
+                ? `⚖️ Dispute settled by admin with a split: ${splitSummary}.`
+                : `⚠️ Admin split ${eligibleMilestones.length} milestone(s): ${splitSummary}. Dispute remains open for remaining milestones.`,
+            ],
+          );
+          await publish(invoiceChannel(invoice.invoicenumber), "chat.message", {
+            message: posted.rows[0],
+          });
+        }
+
+        const splitData = {
+          invoiceNumber: invoice.invoicenumber,
+          effectiveAmount: Number(effectiveAmount),
+          currency: invoice.currency,
+        };
+        await notifyUser(
+          seller.id,
+          "dispute_resolved",
+          "Dispute Resolved",
+          `The dispute on invoice ${invoice.invoicenumber} was settled with a split: ${sellerPercent}% to you and the rest refunded to the buyer.`,
+          { invoiceNumber: invoice.invoicenumber, amount: sellerShare },
+          {
+            email: {
+              template: "seller.dispute_split",
+              invoiceNumber: invoice.invoicenumber,
+              data: {
+                ...splitData,
+                sellerName: seller.name,
+                percent: sellerPercent,
+                share: Number(sellerGross),
+                fee: Number(sellerFee),
+                amount: Number(sellerShare),
+                phone: seller.phone,
+                sent: sentSellerX,
+                otherShare: Number(buyerGross),
+              },
+            },
+          },
+        );
+        await sendEmail("buyer.dispute_split", {
+          to: buyer.email,
+          lang: buyer.language,
+          invoiceNumber: invoice.invoicenumber,
+          data: {
+            ...splitData,
+            share: Number(buyerGross),
+            fee: Number(buyerFee),
+            amount: Number(refundAmount),
+            phone: buyer.momo_number,
+            sent: sentBuyerX,
+            otherShare: Number(sellerGross),
+          },
+        });
+        await sendBuyerSms("buyer.dispute_split", {
+          invoiceNumber: invoice.invoicenumber,
+          phone: buyer.momo_number,
+          lang: buyer.language,
+          data: {
+            invoiceNumber: invoice.invoicenumber,
+            amount: Number(refundAmount),
+            currency: invoice.currency,
+            phone: buyer.momo_number,
+            sent: sentBuyerX,
+          },
+        });
+
+        await auditResolution(finalStatusX, sellerGross, buyerGross);
+        return res.status(sentSellerX && sentBuyerX ? 200 : 202).json({
+          message: `Dispute resolved with a split. ${splitSummary}.`,
+          sellerReceives: sellerShare,
+          refundAmount,
+          sellerPercent,
+          effectiveAmount,
+          status: finalStatusX,
+          payoutStatus: {
+            seller: sellerJob.status,
+            buyer: refundJob.status,
+          },
         });
       } else {
-        return res
-          .status(400)
-          .json({ message: "Invalid decision. Must be 'seller' or 'buyer'." });
+        return res.status(400).json({
+          message: "Invalid decision. Must be 'seller', 'buyer' or 'split'.",
+        });
       }
     } catch (error) {
+      if (error instanceof DisputeChangedError) {
+        return res.status(409).json({ message: error.message });
+      }
       console.log(error.message);
       return res
         .status(500)
@@ -3,21 +3,37 @@ const router = express.Router();
 import db from "../controllers/db.js";
 import dotenv from "dotenv";
 import crypto from "crypto";
+import jwt from "jsonwebtoken";
 import authMiddleware from "../middleware/authMiddleware.js";
-import sgMail from "@sendgrid/mail";
+import apiKeyMiddleware from "../middleware/apiKeyMiddleware.js";
+import { sessionAdmin } from "../middleware/adminMiddleware.js";
 import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
 import {
-  emailWrap,
-  emailTable,
-  emailButton,
-  emailButtonDanger,
-} from "../utils/emailTemplate.js";
-import { generateReceiptPdf } from "../utils/generateReceipt.js";
+  generateReceiptPdf,
+  ReceiptUnavailableError,
+} from "../utils/generateReceipt.js";
+import { getSettings, int } from "../utils/platformSettings.js";
+import {
+  transitionInvoice,
+  InvalidTransitionError,
+  getInvoiceEvents,
+} from "../utils/invoiceState.js";
+import { emitWebhookEvent } from "../jobs/webhookQueue.js";
+import { sendEmail } from "../jobs/emailQueue.js";
+import { sendBuyerSms } from "../jobs/smsQueue.js";
+import { tryVerifyAccessToken } from "../utils/sessions.js";
+import { invoiceLimitError } from "../utils/kyc.js";
+import {
+  SUPPORTED_CURRENCIES,
+  formatAmount,
+  hasValidPrecision,
+  isSupportedCurrency,
+} from "../utils/currency.js";
+import { isCurrencyAvailable } from "../providers/index.js";
+import { DEFAULT_LANGUAGE } from "../utils/i18n.js";
 dotenv.config();
 
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
 // ── Ensure viewed_at column exists ──────────────────────────────────────────────
 db.query(
   "ALTER TABLE invoices ADD COLUMN IF NOT EXISTS viewed_at TIMESTAMPTZ",
@@ -32,6 +48,23 @@ db.query(
   "ALTER TABLE invoices ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ",
 ).catch((e) => console.error("⚠️  delivered_at migration error:", e.message));
 
+// ── Ensure auto-release columns exist ────────────────────────────────────────
+// inspection_period_hours: per-invoice override of the platform setting
+// auto_release_at:         set on delivery; the scheduler releases after it
+db.query(
+  `ALTER TABLE invoices
+     ADD COLUMN IF NOT EXISTS inspection_period_hours INTEGER,
+     ADD COLUMN IF NOT EXISTS auto_release_at TIMESTAMPTZ`,
+).catch((e) => console.error("⚠️  auto-release migration error:", e.message));
+
+// Milestone invoices are released one milestone at a time, so each milestone
+// gets its own inspection period, started when the seller completes it
+db.query(
+  "ALTER TABLE invoice_milestones ADD COLUMN IF NOT EXISTS auto_release_at TIMESTAMPTZ",
+).catch((e) =>
+  console.error("⚠️  milestone auto-release migration error:", e.message),
+);
+
 // ── Ensure guests.registered_userid column exists ─────────────────────────────
 db.query(
   "ALTER TABLE guests ADD COLUMN IF NOT EXISTS registered_userid INTEGER REFERENCES users(id)",
@@ -69,114 +102,212 @@ db.query(
   `UPDATE invoices SET currency = 'XAF' WHERE currency IS NULL OR currency = 'USD'`,
 ).catch((e) => console.error("⚠️  currency normalisation error:", e.message));
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Invoice creation — shared by POST /invoice/create and POST /v1/invoices
+// ─────────────────────────────────────────────────────────────────────────────
+export const invoiceValidators = [
+  body("invoicename")
+    .trim()
+    .notEmpty()
+    .withMessage("Invoice name is required.")
+    .isLength({ max: 200 })
+    .withMessage("Invoice name must be 200 characters or fewer.")
+    .escape(),
+
+  body("currency")
+    .trim()
+    .notEmpty()
+    .withMessage("Currency is required.")
+    .toUpperCase()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}.`)
+    .bail()
+    .custom(isCurrencyAvailable)
+    .withMessage("Payments in this currency are not available yet."),
+
+  body("amount")
+    .notEmpty()
+    .withMessage("Amount is required.")
+    .isFloat({ min: 0 })
+    .withMessage("Amount must be a positive number.")
+    .bail()
+    .custom((value, { req }) => hasValidPrecision(value, req.body.currency))
+    .withMessage("Amount has more decimals than the currency allows."),
+
+  body("description")
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Description must be 2000 characters or fewer.")
+    .escape(),
+
+  body("expires_at")
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage("Expiry date must be a valid date (YYYY-MM-DD)."),
+
+  body("payment_type")
+    .optional({ checkFalsy: true })
+    .isIn(["full", "installment"])
+    .withMessage("Payment type must be 'full' or 'installment'."),
+
+  body("inspection_period_hours")
+    .optional({ checkFalsy: true })
+    .isInt({ min: 24, max: 720 })
+    .withMessage("Inspection period must be between 24 and 720 hours."),
+
+  // Validate milestone labels and amounts if present
+  body("milestones.*.label")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Each milestone must have a label.")
+    .isLength({ max: 200 })
+    .withMessage("Milestone label must be 200 characters or fewer.")
+    .escape(),
+
+  body("milestones.*.amount")
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage("Each milestone must have a positive amount.")
+    .bail()
+    .custom((value, { req }) => hasValidPrecision(value, req.body.currency))
+    .withMessage(
+      "Milestone amount has more decimals than the currency allows.",
+    ),
+];
+
+/**
+ * Checks the milestone plan of an installment invoice.
+ * Returns an error message, or null when the plan is valid.
+ */
+export const milestonesError = (amount, milestones, currency) => {
+  if (!Array.isArray(milestones) || milestones.length < 2) {
+    return "Installment invoices require at least 2 milestones.";
+  }
+  const totalMilestoneAmount = milestones.reduce(
+    (sum, m) => sum + Number(m.amount || 0),
+    0,
+  );
+  // Use a small tolerance to guard against floating-point rounding errors
+  // (e.g. 0.1 + 0.2 !== 0.3 in IEEE 754).
+  if (Math.abs(totalMilestoneAmount - Number(amount)) > 0.01) {
+    return `Milestone amounts must add up to the full invoice total (${formatAmount(amount, currency)}). Current total: ${formatAmount(totalMilestoneAmount, currency)}.`;
+  }
+  for (const m of milestones) {
+    if (!m.label || !m.label.trim()) {
+      return "Each milestone must have a label.";
+    }
+    if (!m.amount || Number(m.amount) <= 0) {
+      return "Each milestone must have a positive amount.";
+    }
+  }
+  return null;
+};
+
+/**
+ * Inserts an invoice (and its milestones) for `user`.  Fields must already
+ * have passed invoiceValidators, milestonesError() and the seller's KYC
+ * limits (invoiceLimitError in utils/kyc.js).  Returns the row.
+ */
+export const createInvoice = async (
+  user,
+  {
+    invoicename,
+    currency,
+    amount,
+    description,
+    expires_at,
+    payment_type, // "full" | "installment"
+    milestones, // array of { label, amount, deadline? } &mdash; only for installment
+    inspection_period_hours, // optional override of the platform auto-release period
+  },
+) => {
+  const isInstallment = payment_type === "installment";
+  const rounds = crypto.randomUUID().slice(0, 12);
+  const invoiceNumber = `${user.id}-${rounds}`;
+  const invoiceLink = `${process.env.FRONTEND_URL}/invoice/${invoiceNumber}`;
+
+  // Use a transaction so invoice + milestones are created atomically.
+  // If milestone inserts fail the invoice insert is also rolled back,
+  // preventing phantom invoices that have no milestones attached.
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    const invoiceResult = await client.query(
+      "INSERT INTO invoices (invoicename, clientemail, currency, amount, invoiceNumber, userid, invoiceLink, description, expires_at, payment_type, inspection_period_hours) VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *",
+      [
+        invoicename,
+        user.email,
+        currency,
+        amount,
+        invoiceNumber,
+        user.id,
+        invoiceLink,
+        description,
+        expires_at || null,
+        isInstallment ? "installment" : "full",
+        inspection_period_hours ? Number(inspection_period_hours) : null,
+      ],
+    );
+
+    const newInvoice = invoiceResult.rows[0];
+
+    // --- Save milestones if installment ---
+    if (isInstallment) {
+      for (let i = 0; i < milestones.length; i++) {
+        const m = milestones[i];
+        await client.query(
+          "INSERT INTO invoice_milestones (invoice_id, milestone_number, label, amount, deadline) VALUES ($1, $2, $3, $4, $5)",
+          [
+            newInvoice.id,
+            i + 1,
+            m.label.trim(),
+            Number(m.amount),
+            m.deadline || null,
+          ],
+        );
+      }
+      console.log(
+        `✅ ${milestones.length} milestones saved for invoice ${invoiceNumber}`,
+      );
+    }
+
+    await client.query("COMMIT");
+    return newInvoice;
+  } catch (txError) {
+    await client.query("ROLLBACK");
+    throw txError;
+  } finally {
+    client.release();
+  }
+};
+
+// POST /invoice/create — from the dashboard (login session) or from a
+// seller's own systems with an API key carrying the invoices:write scope.
+// `email` is optional: when given it must be the seller's account email.
 router.post(
   "/create",
-  authMiddleware,
+  apiKeyMiddleware("invoices:write"),
   [
-    body("invoicename")
-      .trim()
-      .notEmpty()
-      .withMessage("Invoice name is required.")
-      .isLength({ max: 200 })
-      .withMessage("Invoice name must be 200 characters or fewer.")
-      .escape(),
-
     body("email")
+      .optional({ checkFalsy: true })
       .trim()
       .isEmail()
       .withMessage("A valid client email address is required.")
       .normalizeEmail(),
-
-    body("currency")
-      .trim()
-      .notEmpty()
-      .withMessage("Currency is required.")
-      .isIn(["XAF"])
-      .withMessage("Currency must be XAF."),
-
-    body("amount")
-      .notEmpty()
-      .withMessage("Amount is required.")
-      .isFloat({ min: 0 })
-      .withMessage("Amount must be a positive number."),
-
-    body("description")
-      .optional({ checkFalsy: true })
-      .trim()
-      .isLength({ max: 2000 })
-      .withMessage("Description must be 2000 characters or fewer.")
-      .escape(),
-
-    body("expires_at")
-      .optional({ checkFalsy: true })
-      .isISO8601()
-      .withMessage("Expiry date must be a valid date (YYYY-MM-DD)."),
-
-    body("payment_type")
-      .optional({ checkFalsy: true })
-      .isIn(["full", "installment"])
-      .withMessage("Payment type must be 'full' or 'installment'."),
-
-    // Validate milestone labels and amounts if present
-    body("milestones.*.label")
-      .optional()
-      .trim()
-      .notEmpty()
-      .withMessage("Each milestone must have a label.")
-      .isLength({ max: 200 })
-      .withMessage("Milestone label must be 200 characters or fewer.")
-      .escape(),
-
-    body("milestones.*.amount")
-      .optional()
-      .isFloat({ min: 1 })
-      .withMessage("Each milestone must have a positive amount."),
+    ...invoiceValidators,
   ],
   validate,
   async (req, res) => {
-    const {
-      invoicename,
-      email,
-      currency,
-      amount,
-      description,
-      expires_at,
-      // Installment fields &mdash; optional
-      payment_type, // "full" | "installment"
-      milestones, // array of { label, amount, deadline? } &mdash; only for installment
-    } = req.body;
-
-    const isInstallment = payment_type === "installment";
+    const { email, amount, currency, payment_type, milestones } = req.body;
 
     // --- Validate milestones if installment ---
-    if (isInstallment) {
-      if (!Array.isArray(milestones) || milestones.length < 2) {
-        return res.status(400).json({
-          message: "Installment invoices require at least 2 milestones.",
-        });
-      }
-      const totalMilestoneAmount = milestones.reduce(
-        (sum, m) => sum + Number(m.amount || 0),
-        0,
-      );
-      // Use a tolerance of 1 unit (XAF has no subunits) to guard against
-      // floating-point rounding errors (e.g. 0.1 + 0.2 !== 0.3 in IEEE 754).
-      if (Math.abs(totalMilestoneAmount - Number(amount)) > 0.01) {
-        return res.status(400).json({
-          message: `Milestone amounts must add up to the full invoice total (${amount} XAF). Current total: ${totalMilestoneAmount} XAF.`,
-        });
-      }
-      for (const m of milestones) {
-        if (!m.label || !m.label.trim()) {
-          return res
-            .status(400)
-            .json({ message: "Each milestone must have a label." });
-        }
-        if (!m.amount || Number(m.amount) <= 0) {
-          return res
-            .status(400)
-            .json({ message: "Each milestone must have a positive amount." });
-        }
+    if (payment_type === "installment") {
+      const milestoneProblem = milestonesError(amount, milestones, currency);
+      if (milestoneProblem) {
+        return res.status(400).json({ message: milestoneProblem });
       }
     }
 
@@ -192,73 +323,27 @@ router.post(
       const user = response.rows[0];
 
       // Verify the submitted email matches the authenticated user's email
-      if (email.toLowerCase() !== user.email.toLowerCase()) {
+      if (email && email.toLowerCase() !== user.email.toLowerCase()) {
         return res.status(403).json({
           message:
             "The email you entered does not match your Fonlok account email. You can only create invoices from your own account.",
         });
       }
-      const userId = user.id;
-      const rounds = crypto.randomUUID().slice(0, 12);
-      const invoiceNumber = `${userId}-${rounds}`;
-      const userid = user.id;
-      const invoiceLink = `${process.env.FRONTEND_URL}/invoice/${invoiceNumber}`;
-
-      // Use a transaction so invoice + milestones are created atomically.
-      // If milestone inserts fail the invoice insert is also rolled back,
-      // preventing phantom invoices that have no milestones attached.
-      const client = await db.connect();
-      let newInvoice;
-      try {
-        await client.query("BEGIN");
 
-        const invoiceResult = await client.query(
-          "INSERT INTO invoices (invoicename, clientemail, currency, amount, invoiceNumber, userid, invoiceLink, description, expires_at, payment_type) VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *",
-          [
-            invoicename,
-            email,
-            currency,
-            amount,
-            invoiceNumber,
-            userid,
-            invoiceLink,
-            description,
-            expires_at || null,
-            isInstallment ? "installment" : "full",
-          ],
-        );
-
-        newInvoice = invoiceResult.rows[0];
-
-        // --- Save milestones if installment ---
-        if (isInstallment) {
-          for (let i = 0; i < milestones.length; i++) {
-            const m = milestones[i];
-            await client.query(
-              "INSERT INTO invoice_milestones (invoice_id, milestone_number, label, amount, deadline) VALUES ($1, $2, $3, $4, $5)",
-              [
-                newInvoice.id,
-                i + 1,
-                m.label.trim(),
-                Number(m.amount),
-                m.deadline || null,
-              ],
-            );
-          }
-          console.log(
-            `✅ ${milestones.length} milestones saved for invoice ${invoiceNumber}`,
-          );
-        }
-
-        await client.query("COMMIT");
-      } catch (txError) {
-        await client.query("ROLLBACK");
-        throw txError; // re-throw so outer catch handles the response
-      } finally {
-        client.release();
+      // Invoice size and monthly volume depend on the seller's KYC tier
+      const limitProblem = await invoiceLimitError(user, amount);
+      if (limitProblem) {
+        return res
+          .status(403)
+          .json({ message: limitProblem, code: "KYC_LIMIT_EXCEEDED" });
       }
 
-      return res.status(201).json({ "Invoice Link": invoiceLink });
+      const newInvoice = await createInvoice(user, req.body);
+
+      return res.status(201).json({
+        "Invoice Link": newInvoice.invoicelink,
+        invoiceNumber: newInvoice.invoicenumber,
+      });
     } catch (error) {
       console.log(error.message);
       return res
@@ -460,10 +545,33 @@ router.patch("/edit/:id", authMiddleware, async (req, res) => {
       });
     }
 
-    // 6. All checks passed — safe to update
+    // 6. The new currency and amount must be valid together
     const cleanName = invoicename === "" ? null : invoicename;
-    const cleanCurrency = currency === "" ? null : currency;
+    const cleanCurrency =
+      currency === "" || currency == null
+        ? null
+        : String(currency).trim().toUpperCase();
     const cleanAmount = amount === "" ? null : amount;
+    if (cleanCurrency && !isSupportedCurrency(cleanCurrency)) {
+      return res.status(400).json({
+        message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}.`,
+      });
+    }
+    if (cleanCurrency && !isCurrencyAvailable(cleanCurrency)) {
+      return res
+        .status(400)
+        .json({ message: "Payments in this currency are not available yet." });
+    }
+    if (
+      cleanAmount != null &&
+      !hasValidPrecision(cleanAmount, cleanCurrency ?? invoice.currency)
+    ) {
+      return res.status(400).json({
+        message: "Amount has more decimals than the currency allows.",
+      });
+    }
+
+    // 7. All checks passed — safe to update
     const result = await db.query(
       "UPDATE invoices SET invoicename = COALESCE($1, invoicename), currency = COALESCE($2, currency), amount = COALESCE($3, amount) WHERE invoicenumber = $4 RETURNING *",
       [cleanName, cleanCurrency, cleanAmount, invoice_number],
@@ -496,11 +604,15 @@ router.get("/link/:id", async (req, res) => {
       new Date() > new Date(invoice_details.expires_at) &&
       invoice_details.status === "pending"
     ) {
-      await db.query(
-        "UPDATE invoices SET status = 'expired' WHERE invoicenumber = $1",
-        [invoice_number],
-      );
-      invoice_details.status = "expired";
+      try {
+        await transitionInvoice(invoice_details.id, "expired", {
+          reason: "Expiry date passed before payment",
+        });
+        invoice_details.status = "expired";
+      } catch (err) {
+        // Paid in the meantime — show the current status instead
+        if (!(err instanceof InvalidTransitionError)) throw err;
+      }
     }
 
     // Fire "invoice viewed" notification to seller &mdash; only on first view (fire-and-forget)
@@ -531,7 +643,7 @@ router.get("/link/:id", async (req, res) => {
   }
 });
 
-router.patch("/mark-delivered/:id", async (req, res) => {
+router.patch("/mark-delivered/:id", authMiddleware, async (req, res) => {
   const invoiceId = req.params.id;
 
   try {
@@ -546,6 +658,14 @@ router.patch("/mark-delivered/:id", async (req, res) => {
 
     const invoice = invoiceCheck.rows[0];
 
+    // Only the seller may mark it delivered — it starts the buyer's inspection
+    // period, after which the funds are released automatically
+    if (invoice.userid !== req.user.id) {
+      return res.status(403).json({
+        message: "You are not authorized to update this invoice.",
+      });
+    }
+
     // 2. Only allow marking as delivered if the buyer has already paid (status = 'paid')
     if (invoice.status !== "paid") {
       return res.status(403).json({
@@ -556,10 +676,58 @@ router.patch("/mark-delivered/:id", async (req, res) => {
 
     // 3. Update the invoice status to 'delivered' and save the exact delivery time
     //    (the delivered_at timestamp is used later to enforce the 48-hour dispute rule for sellers)
-    await db.query(
-      "UPDATE invoices SET status = 'delivered', delivered_at = NOW() WHERE id = $1",
-      [invoiceId],
-    );
+    //    and start the buyer's inspection period.  Milestone invoices are
+    //    released per milestone, each with its own inspection period started
+    //    when the seller completes it, so they never auto-release as a whole.
+    let inspectionHours = 0;
+    if (invoice.payment_type !== "installment") {
+      inspectionHours =
+        invoice.inspection_period_hours ??
+        int(await getSettings(), "auto_release_hours");
+    }
+    let autoReleaseAt;
+    const client = await db.connect();
+    try {
+      await client.query("BEGIN");
+      await transitionInvoice(
+        invoice.id,
+        "delivered",
+        {
+          actorType: "seller",
+          actorId: req.user.id,
+          reason: "Seller marked the order as delivered",
+          data: { inspectionHours },
+        },
+        client,
+      );
+      const deliveredResult = await client.query(
+        `UPDATE invoices
+            SET delivered_at = NOW(),
+                auto_release_at = CASE WHEN $2::int > 0
+                                       THEN NOW() + make_interval(hours => $2::int)
+                                       ELSE NULL END
+          WHERE id = $1
+          RETURNING auto_release_at`,
+        [invoice.id, inspectionHours],
+      );
+      autoReleaseAt = deliveredResult.rows[0].auto_release_at;
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      if (err instanceof InvalidTransitionError) {
+        return res.status(409).json({ message: err.message });
+      }
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    emitWebhookEvent(invoice.userid, "invoice.delivered", {
+      invoice_number: invoice.invoicenumber,
+      amount: Number(invoice.amount),
+      currency: invoice.currency,
+      auto_release_at: autoReleaseAt,
+    });
 
     // 4. Get the buyer's email from the guests table
     const guestCheck = await db.query(
@@ -574,45 +742,36 @@ router.patch("/mark-delivered/:id", async (req, res) => {
     }
 
     const buyerEmail = guestCheck.rows[0].email;
+    const lang = guestCheck.rows[0].language || DEFAULT_LANGUAGE;
 
-    // 5. Send email to the buyer informing them the seller has marked the order as delivered
-    const deliveryNotificationMsg = {
+    // 5. Email and text the buyer that the seller has marked the order as
+    //    delivered
+    await sendEmail("buyer.order_delivered", {
       to: buyerEmail,
-      from: process.env.VERIFIED_SENDER,
-      subject: `Action Required: Confirm Your Delivery  - Invoice ${invoice.invoicenumber} | Fonlok`,
-      html: emailWrap(
-        `<h2 style="color:#0F1F3D;margin:0 0 12px;">Action Required &mdash; Your Order Has Been Delivered</h2>
-        <p style="color:#475569;">The seller has marked the following invoice as <strong>delivered</strong>. Please check that you have received everything before releasing the funds.</p>
-        ${emailTable([
-          ["Invoice Number", invoice.invoicenumber],
-          ["Invoice Name", invoice.invoicename],
-          [
-            "Amount",
-            `${invoice.amount} ${invoice.currency}`,
-            "font-weight:700;color:#16a34a;font-size:15px;",
-          ],
-        ])}
-        <p style="color:#475569;"><strong>Satisfied with your order?</strong> Log in and release the funds to the seller.</p>
-        <p style="color:#dc2626;font-weight:600;">If you have NOT received your order, do not release the funds and contact the seller immediately.</p>`,
-        {
-          footerNote:
-            "You received this email because a seller marked their invoice as delivered on Fonlok Escrow.",
-        },
-      ),
-    };
-
-    try {
-      await sgMail.send(deliveryNotificationMsg);
-      console.log("✅ Delivery notification email sent to buyer.");
-    } catch (error) {
-      console.error(
-        "❌ Delivery Email Error:",
-        error.response ? error.response.body : error.message,
-      );
-    }
+      lang,
+      invoiceNumber: invoice.invoicenumber,
+      data: {
+        invoiceNumber: invoice.invoicenumber,
+        invoiceName: invoice.invoicename,
+        amount: Number(invoice.amount),
+        currency: invoice.currency,
+        autoReleaseAt,
+      },
+    });
+    await sendBuyerSms("buyer.order_delivered", {
+      invoiceNumber: invoice.invoicenumber,
+      phone: guestCheck.rows[0].momo_number,
+      lang,
+      data: {
+        invoiceNumber: invoice.invoicenumber,
+        invoiceName: invoice.invoicename,
+        autoReleaseAt,
+      },
+    });
 
     return res.status(200).json({
       message: "Invoice marked as delivered and buyer has been notified.",
+      autoReleaseAt,
     });
   } catch (error) {
     console.log(error.message);
@@ -647,119 +806,139 @@ router.get("/milestones/:invoice_number", async (req, res) => {
 
 // --- SELLER MARKS A MILESTONE COMPLETE ---
 // Generates a release_token and emails the buyer a one-click release link
-router.patch("/milestone/:milestone_id/complete", async (req, res) => {
-  const { milestone_id } = req.params;
-  try {
-    // 1. Get the milestone
-    const msResult = await db.query(
-      "SELECT * FROM invoice_milestones WHERE id = $1",
-      [milestone_id],
-    );
-    if (msResult.rows.length === 0) {
-      return res.status(404).json({ message: "Milestone not found." });
-    }
-    const milestone = msResult.rows[0];
-
-    if (milestone.status !== "pending") {
-      return res.status(400).json({
-        message: `This milestone is already marked as '${milestone.status}'.`,
-      });
-    }
+router.patch(
+  "/milestone/:milestone_id/complete",
+  authMiddleware,
+  async (req, res) => {
+    const { milestone_id } = req.params;
+    try {
+      // 1. Get the milestone
+      const msResult = await db.query(
+        "SELECT * FROM invoice_milestones WHERE id = $1",
+        [milestone_id],
+      );
+      if (msResult.rows.length === 0) {
+        return res.status(404).json({ message: "Milestone not found." });
+      }
+      const milestone = msResult.rows[0];
 
-    // 2. Enforce ordering: all previous milestones must be 'released' before this one can be marked complete
-    if (milestone.milestone_number > 1) {
-      const prevCheck = await db.query(
-        "SELECT * FROM invoice_milestones WHERE invoice_id = $1 AND milestone_number < $2 AND status != 'released'",
-        [milestone.invoice_id, milestone.milestone_number],
+      // Get the invoice (for the ownership check and the email)
+      const invoiceResult = await db.query(
+        "SELECT * FROM invoices WHERE id = $1",
+        [milestone.invoice_id],
       );
-      if (prevCheck.rows.length > 0) {
+      const invoice = invoiceResult.rows[0];
+
+      // Only the seller may complete a milestone — it starts the buyer's
+      // inspection period, after which the milestone is released automatically
+      if (invoice.userid !== req.user.id) {
+        return res.status(403).json({
+          message: "You are not authorized to update this invoice.",
+        });
+      }
+
+      if (milestone.status !== "pending") {
         return res.status(400).json({
-          message:
-            "Previous milestones must be released before marking this one complete.",
+          message: `This milestone is already marked as '${milestone.status}'.`,
         });
       }
-    }
 
-    // 3. Get the invoice (for details in the email)
-    const invoiceResult = await db.query(
-      "SELECT * FROM invoices WHERE id = $1",
-      [milestone.invoice_id],
-    );
-    const invoice = invoiceResult.rows[0];
+      // 2. Enforce ordering: all previous milestones must be 'released' before this one can be marked complete
+      if (milestone.milestone_number > 1) {
+        const prevCheck = await db.query(
+          "SELECT * FROM invoice_milestones WHERE invoice_id = $1 AND milestone_number < $2 AND status != 'released'",
+          [milestone.invoice_id, milestone.milestone_number],
+        );
+        if (prevCheck.rows.length > 0) {
+          return res.status(400).json({
+            message:
+              "Previous milestones must be released before marking this one complete.",
+          });
+        }
+      }
 
-    // 4. Get buyer email from guests table
-    const guestResult = await db.query(
-      "SELECT * FROM guests WHERE invoicenumber = $1 ORDER BY created_at DESC LIMIT 1",
-      [invoice.invoicenumber],
-    );
-    if (guestResult.rows.length === 0) {
-      return res.status(400).json({
-        message: "Buyer information not found. Has the buyer paid yet?",
+      // 3. Get buyer email from guests table
+      const guestResult = await db.query(
+        "SELECT * FROM guests WHERE invoicenumber = $1 ORDER BY created_at DESC LIMIT 1",
+        [invoice.invoicenumber],
+      );
+      if (guestResult.rows.length === 0) {
+        return res.status(400).json({
+          message: "Buyer information not found. Has the buyer paid yet?",
+        });
+      }
+      const buyerEmail = guestResult.rows[0].email;
+      const lang = guestResult.rows[0].language || DEFAULT_LANGUAGE;
+
+      // 4. Generate a unique release token
+      const releaseToken = crypto.randomBytes(32).toString("hex");
+
+      // 5. Save the token, mark milestone as 'completed' and start the buyer's
+      //    inspection period for it, after which it is released automatically
+      const inspectionHours =
+        invoice.inspection_period_hours ??
+        int(await getSettings(), "auto_release_hours");
+      const completedResult = await db.query(
+        `UPDATE invoice_milestones
+          SET status = 'completed', release_token = $1, completed_at = NOW(),
+              auto_release_at = CASE WHEN $3::int > 0
+                                     THEN NOW() + make_interval(hours => $3::int)
+                                     ELSE NULL END
+        WHERE id = $2
+        RETURNING auto_release_at`,
+        [releaseToken, milestone_id, inspectionHours],
+      );
+      const autoReleaseAt = completedResult.rows[0].auto_release_at;
+
+      emitWebhookEvent(invoice.userid, "milestone.completed", {
+        invoice_number: invoice.invoicenumber,
+        milestone_id: milestone.id,
+        milestone_number: milestone.milestone_number,
+        milestone_label: milestone.label,
+        amount: Number(milestone.amount),
+        auto_release_at: autoReleaseAt,
       });
-    }
-    const buyerEmail = guestResult.rows[0].email;
-
-    // 5. Generate a unique release token
-    const releaseToken = crypto.randomBytes(32).toString("hex");
 
-    // 6. Save the token and mark milestone as 'completed'
-    await db.query(
-      "UPDATE invoice_milestones SET status = 'completed', release_token = $1, completed_at = NOW() WHERE id = $2",
-      [releaseToken, milestone_id],
-    );
-
-    // 7. Build the release link &mdash; buyer clicks this to release funds for this milestone
-    const releaseLink = `${process.env.BACKEND_URL}/api/release-milestone/${releaseToken}`;
-
-    // 8. Send email to buyer
-    const msg = {
-      to: buyerEmail,
-      from: process.env.VERIFIED_SENDER,
-      subject: `Action Required: Confirm Milestone ${milestone.milestone_number}  - ${invoice.invoicenumber} | Fonlok`,
-      html: emailWrap(
-        `<h2 style="color:#0F1F3D;margin:0 0 12px;">Milestone ${milestone.milestone_number} &mdash; Action Required</h2>
-        <p style="color:#475569;">The seller has marked <strong>Milestone ${milestone.milestone_number}: ${milestone.label}</strong> as complete for invoice <strong>${invoice.invoicename}</strong>.</p>
-        ${emailTable([
-          ["Invoice", invoice.invoicenumber],
-          ["Milestone", milestone.label],
-          [
-            "Amount to Release",
-            `${milestone.amount} XAF`,
-            "font-weight:700;color:#16a34a;font-size:15px;",
-          ],
-        ])}
-        <p style="color:#475569;">If you have received what was agreed for this milestone, click the button below to release the funds:</p>
-        ${emailButton(releaseLink, `Confirm &amp; Release ${milestone.amount} XAF`)}
-        <p style="color:#dc2626;font-weight:600;">Do NOT click if you have not received this part of your order. If there is a problem, open a dispute from your invoice link.</p>`,
-        {
-          footerNote:
-            "This link can only be used once. Keep it private. You received this email because a seller marked a milestone as complete on Fonlok.",
+      // 6. Email the buyer the one-time release link for this milestone; the
+      //    SMS only points them to it
+      await sendEmail("buyer.milestone_completed", {
+        to: buyerEmail,
+        lang,
+        invoiceNumber: invoice.invoicenumber,
+        data: {
+          invoiceNumber: invoice.invoicenumber,
+          invoiceName: invoice.invoicename,
+          milestoneNumber: milestone.milestone_number,
+          milestoneLabel: milestone.label,
+          amount: Number(milestone.amount),
+          currency: invoice.currency,
+          releaseToken,
+          autoReleaseAt,
         },
-      ),
-    };
+      });
+      await sendBuyerSms("buyer.milestone_completed", {
+        invoiceNumber: invoice.invoicenumber,
+        phone: guestResult.rows[0].momo_number,
+        lang,
+        data: {
+          invoiceNumber: invoice.invoicenumber,
+          milestoneNumber: milestone.milestone_number,
+          milestoneLabel: milestone.label,
+        },
+      });
 
-    try {
-      await sgMail.send(msg);
-      console.log(
-        `✅ Milestone completion email sent to ${buyerEmail} for milestone ${milestone_id}`,
-      );
-    } catch (emailErr) {
-      console.error(
-        "❌ Milestone email error:",
-        emailErr.response?.body || emailErr.message,
-      );
+      return res.status(200).json({
+        message: `Milestone ${milestone.milestone_number} marked as complete. The buyer has been emailed a release link.`,
+        autoReleaseAt,
+      });
+    } catch (error) {
+      console.log(error.message);
+      return res
+        .status(500)
+        .json({ message: "Something went wrong. Please try again." });
     }
-
-    return res.status(200).json({
-      message: `Milestone ${milestone.milestone_number} marked as complete. The buyer has been emailed a release link.`,
-    });
-  } catch (error) {
-    console.log(error.message);
-    return res
-      .status(500)
-      .json({ message: "Something went wrong. Please try again." });
-  }
-});
+  },
+);
 
 // --- STATS ROUTE: Returns invoice counts and revenue/spending for the dashboard ---
 router.get("/stats/:id", async (req, res) => {
@@ -881,11 +1060,12 @@ router.post(
           .json({ message: "Buyer has not made a payment yet." });
       }
       const buyer = guestResult.rows[0];
+      const lang = buyer.language || DEFAULT_LANGUAGE;
 
       // ── INSTALLMENT INVOICE ──────────────────────────────────────────────────
       if (invoice.payment_type === "installment") {
         const completedMs = await db.query(
-          `SELECT im.*, i.invoicename, i.invoicenumber
+          `SELECT im.*, i.invoicename, i.invoicenumber, i.currency
          FROM invoice_milestones im
          JOIN invoices i ON i.id = im.invoice_id
          WHERE im.invoice_id = $1
@@ -901,45 +1081,25 @@ router.post(
         }
 
         // Resend the release email for every awaiting milestone
-        const sends = completedMs.rows.map((ms) => {
-          const releaseLink = `${process.env.BACKEND_URL}/api/release-milestone/${ms.release_token}`;
-          return sgMail.send({
-            to: buyer.email,
-            from: process.env.VERIFIED_SENDER,
-            subject: `Milestone Reminder: Please Confirm Milestone ${ms.milestone_number}  - ${ms.invoicenumber} | Fonlok`,
-            html: emailWrap(
-              `<h2 style="color:#0F1F3D;margin:0 0 12px;">Reminder &mdash; Milestone ${ms.milestone_number}: ${ms.label}</h2>
-              <p style="color:#475569;">This is a reminder that <strong>Milestone ${ms.milestone_number}: ${ms.label}</strong> for invoice <strong>${ms.invoicename}</strong> (${ms.invoicenumber}) has been marked as complete and is awaiting your confirmation.</p>
-              ${emailTable([
-                ["Invoice", ms.invoicenumber],
-                ["Milestone", ms.label],
-                [
-                  "Amount to Release",
-                  `${Number(ms.amount).toLocaleString()} XAF`,
-                  "font-weight:700;color:#16a34a;font-size:15px;",
-                ],
-              ])}
-              <p style="color:#475569;">If you have received what was agreed, click the button below to release the funds:</p>
-              ${emailButton(releaseLink, `Confirm &amp; Release ${Number(ms.amount).toLocaleString()} XAF`)}
-              <p style="color:#dc2626;font-weight:600;">Do NOT click if you have not received this part of your order.</p>`,
-              {
-                footerNote:
-                  "This link can only be used once. Keep it private. You are receiving this because your seller asked us to resend the confirmation.",
+        const queued = await Promise.all(
+          completedMs.rows.map((ms) =>
+            sendEmail("buyer.milestone_reminder", {
+              to: buyer.email,
+              lang,
+              invoiceNumber: ms.invoicenumber,
+              data: {
+                invoiceNumber: ms.invoicenumber,
+                invoiceName: ms.invoicename,
+                milestoneNumber: ms.milestone_number,
+                milestoneLabel: ms.label,
+                amount: Number(ms.amount),
+                currency: ms.currency,
+                releaseToken: ms.release_token,
               },
-            ),
-          });
-        });
-
-        try {
-          await Promise.all(sends);
-          console.log(
-            `✅ Resent ${completedMs.rows.length} milestone email(s) for ${invoice_number}`,
-          );
-        } catch (emailErr) {
-          console.error(
-            "❌ Resend milestone email error:",
-            emailErr.response?.body || emailErr.message,
-          );
+            }),
+          ),
+        );
+        if (queued.includes(null)) {
           return res
             .status(500)
             .json({ message: "Failed to resend email. Please try again." });
@@ -957,41 +1117,18 @@ router.post(
         });
       }
 
-      const invoicePageLink = `${process.env.FRONTEND_URL}/invoice/${invoice_number}`;
-      try {
-        await sgMail.send({
-          to: buyer.email,
-          from: process.env.VERIFIED_SENDER,
-          subject: `Delivery Reminder: Please Release Funds  - Invoice ${invoice_number} | Fonlok`,
-          html: emailWrap(
-            `<h2 style="color:#0F1F3D;margin:0 0 12px;">Reminder &mdash; Your Order Has Been Delivered</h2>
-            <p style="color:#475569;">The seller has marked invoice <strong>${invoice.invoicename}</strong> (${invoice_number}) as <strong>delivered</strong>. Please check that you received everything before releasing the funds.</p>
-            ${emailTable([
-              ["Invoice Number", invoice_number],
-              ["Invoice Name", invoice.invoicename],
-              [
-                "Amount",
-                `${Number(invoice.amount).toLocaleString()} ${invoice.currency}`,
-                "font-weight:700;color:#16a34a;font-size:15px;",
-              ],
-            ])}
-            <p style="color:#475569;">If you have received your order, log in and release the funds to the seller:</p>
-            ${emailButton(invoicePageLink, "View Invoice &amp; Release Funds")}
-            <p style="color:#dc2626;font-weight:600;">If you have NOT received your order, do not release the funds and contact the seller to resolve the issue.</p>`,
-            {
-              footerNote:
-                "You are receiving this reminder because your seller asked us to resend the delivery notification.",
-            },
-          ),
-        });
-        console.log(
-          `✅ Resent delivery email for ${invoice_number} to ${buyer.email}`,
-        );
-      } catch (emailErr) {
-        console.error(
-          "❌ Resend delivery email error:",
-          emailErr.response?.body || emailErr.message,
-        );
+      const queued = await sendEmail("buyer.delivery_reminder", {
+        to: buyer.email,
+        lang,
+        invoiceNumber: invoice_number,
+        data: {
+          invoiceNumber: invoice_number,
+          invoiceName: invoice.invoicename,
+          amount: Number(invoice.amount),
+          currency: invoice.currency,
+        },
+      });
+      if (!queued) {
         return res
           .status(500)
           .json({ message: "Failed to resend email. Please try again." });
@@ -1016,7 +1153,9 @@ router.get("/receipt/:invoice_number", async (req, res) => {
 
   try {
     // Use the shared PDF utility (utils/generateReceipt.js)
-    const pdfBuffer = await generateReceiptPdf(invoice_number);
+    const pdfBuffer = await generateReceiptPdf(invoice_number, {
+      lang: req.lang,
+    });
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader(
       "Content-Disposition",
@@ -1024,11 +1163,10 @@ router.get("/receipt/:invoice_number", async (req, res) => {
     );
     return res.send(pdfBuffer);
   } catch (error) {
-    const msg = (error.message || "").toLowerCase();
-    if (msg.includes("not found")) {
+    if (error instanceof ReceiptUnavailableError && !error.status) {
       return res.status(404).json({ message: "Invoice not found." });
     }
-    if (msg.includes("not available") || msg.includes("status")) {
+    if (error instanceof ReceiptUnavailableError) {
       return res.status(403).json({
         message:
           "Receipt is only available for paid, delivered, or completed invoices.",
@@ -1041,6 +1179,99 @@ router.get("/receipt/:invoice_number", async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /invoice/:invoice_number/timeline
+// Everything that happened to an invoice, oldest first: status changes and
+// dispute events from invoice_events, with who did it and why.
+//
+// Who may look (checked in this order):
+//   1. An admin — adminToken cookie (issued after the admin's 2FA step)
+//   2. The buyer — ?token=<chat_token>
+//   3. The seller, or a registered buyer — cookie / Bearer JWT
+// We verify the tokens manually so one failing check can fall through to the
+// next (authMiddleware sends the 401 itself).  Only admins see actor ids.
+// ─────────────────────────────────────────────────────────────────────────────
+const verifyJwt = (token) => {
+  try {
+    return token ? jwt.verify(token, process.env.JWT_SECRET) : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+const timelineViewer = async (req, invoice) => {
+  // Same check as adminMiddleware: a deactivated admin's session is refused
+  if (await sessionAdmin(verifyJwt(req.cookies?.adminToken))) return "admin";
+
+  if (req.query.token) {
+    const guest = await db.query(
+      "SELECT 1 FROM guests WHERE invoicenumber = $1 AND chat_token = $2",
+      [invoice.invoicenumber, req.query.token],
+    );
+    if (guest.rows.length > 0) return "buyer";
+  }
+
+  const authHeader = req.headers["authorization"];
+  const user = await tryVerifyAccessToken(
+    req.cookies?.authToken ||
+      req.cookies?.token ||
+      (authHeader?.startsWith("Bearer ") ? authHeader.slice(7) : null),
+  );
+  if (!user) return null;
+  if (user.id === invoice.userid) return "seller";
+
+  const buyer = await db.query(
+    "SELECT 1 FROM guests WHERE invoicenumber = $1 AND registered_userid = $2",
+    [invoice.invoicenumber, user.id],
+  );
+  return buyer.rows.length > 0 ? "buyer" : null;
+};
+
+router.get("/:invoice_number/timeline", async (req, res) => {
+  const { invoice_number } = req.params;
+
+  try {
+    const invoiceResult = await db.query(
+      "SELECT id, invoicenumber, userid, status, createdat FROM invoices WHERE invoicenumber = $1",
+      [invoice_number],
+    );
+    if (invoiceResult.rows.length === 0) {
+      return res.status(404).json({ message: "Invoice not found." });
+    }
+    const invoice = invoiceResult.rows[0];
+
+    const viewer = await timelineViewer(req, invoice);
+    if (!viewer) {
+      return res
+        .status(401)
+        .json({ message: "You do not have access to this invoice." });
+    }
+
+    const events = await getInvoiceEvents(invoice.id);
+
+    return res.status(200).json({
+      invoice_number: invoice.invoicenumber,
+      status: invoice.status,
+      timeline: [
+        {
+          event: "created",
+          to_status: "pending",
+          actor_type: "seller",
+          created_at: invoice.createdat,
+        },
+        ...events.map(({ actor_id, ...event }) =>
+          viewer === "admin" ? { ...event, actor_id } : event,
+        ),
+      ],
+    });
+  } catch (error) {
+    console.log(error.message);
+    return res
+      .status(500)
+      .json({ message: "Failed to load the invoice timeline." });
+  }
+});
+
 // GET /invoice/my-purchases &mdash; Buyer portal: all invoices this user has paid for
 router.get("/my-purchases", authMiddleware, async (req, res) => {
   const buyerId = req.user.id;
@@ -1055,6 +1286,7 @@ router.get("/my-purchases", authMiddleware, async (req, res) => {
          i.createdat,
          i.paid_at,
          i.delivered_at,
+         i.auto_release_at,
          i.payment_type,
          i.description,
          u.name        AS seller_name,
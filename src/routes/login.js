@@ -2,13 +2,42 @@ import express from "express";
 const router = express.Router();
 import db from "../controllers/db.js";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import cookieParser from "cookie-parser";
 import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
 import logger from "../utils/logger.js";
+import {
+  signChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor,
+} from "../utils/twoFactor.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  tryVerifyAccessToken,
+  setSessionCookies,
+  clearSessionCookies,
+} from "../utils/sessions.js";
 router.use(cookieParser());
 
+// Starts a session (utils/sessions.js), sets its cookies and sends the
+// login response.  The tokens are in the body too, for clients that cannot
+// keep secure cookies over plain HTTP.
+const sendSession = async (req, res, user) => {
+  const session = await createSession(user, req);
+  setSessionCookies(res, session);
+  res.status(200).json({
+    message: "Logged in successfully.",
+    userId: user.id,
+    username: user.username,
+    token: session.accessToken,
+    refreshToken: session.refreshToken,
+  });
+  return session;
+};
+
 router.post(
   "/login",
   [
@@ -37,35 +66,20 @@ router.post(
       const userPassword = user.password;
       const isMatch = await bcrypt.compare(password, userPassword);
       if (isMatch) {
-        const token = jwt.sign(
-          {
-            id: user.id,
-            normalizedEmail: user.normalizedEmail,
-          },
-          process.env.JWT_SECRET,
-          { expiresIn: "6h" },
-        );
-
-        // Use BACKEND_URL to detect if we're actually on HTTPS.
-        // NODE_ENV=production can be set locally (for logging etc.) without
-        // having a real TLS cert, so using NODE_ENV for secure/sameSite causes
-        // browsers to silently drop the cookie on plain-HTTP connections.
-        const isHttps = process.env.BACKEND_URL?.startsWith("https");
-        res.cookie("authToken", token, {
-          httpOnly: true,
-          secure: isHttps,
-          sameSite: isHttps ? "none" : "lax",
-          maxAge: 6 * 60 * 60 * 1000,
-        });
+        // 2FA on — no session yet.  The client trades the challenge token
+        // and an authenticator code for it at POST /auth/login/2fa.
+        if (user.totp_enabled) {
+          logger.info("user login needs 2FA", { userId: user.id });
+          return res.status(200).json({
+            message: "Enter the code from your authenticator app.",
+            twoFactorRequired: true,
+            challengeToken: signChallengeToken("user_login", user.id),
+          });
+        }
 
-        res.status(200).json({
-          message: "Logged in successfully.",
-          userId: user.id,
-          username: user.username,
-          token,
-        });
+        const { sessionId } = await sendSession(req, res, user);
         // Never log the token — anyone with log access could steal sessions.
-        logger.info("user login", { userId: user.id });
+        logger.info("user login", { userId: user.id, sessionId });
       } else {
         // Same generic message as the "user not found" case above.
         // Do NOT say "incorrect password" — that confirms the account exists.
@@ -80,4 +94,121 @@ router.post(
   },
 );
 
+// POST /auth/login/2fa  { challengeToken, code }
+// Second login step for accounts with 2FA on.  `code` is the 6-digit code
+// from the authenticator app or one of the account's backup codes.
+router.post(
+  "/login/2fa",
+  [
+    body("challengeToken")
+      .notEmpty()
+      .withMessage("Your sign-in attempt has expired. Please sign in again."),
+    body("code").trim().notEmpty().withMessage("Enter your 2FA code."),
+  ],
+  validate,
+  async (req, res) => {
+    const { challengeToken, code } = req.body;
+    const userId = verifyChallengeToken(challengeToken, "user_login");
+    if (!userId) {
+      return res.status(401).json({
+        message: "Your sign-in attempt has expired. Please sign in again.",
+      });
+    }
+
+    try {
+      const method = await verifySecondFactor("users", userId, code);
+      if (!method) {
+        return res
+          .status(401)
+          .json({ message: "That code is invalid or has already been used." });
+      }
+
+      const result = await db.query("SELECT * FROM users WHERE id = $1", [
+        userId,
+      ]);
+      const user = result.rows[0];
+      if (!user) {
+        return res.status(401).json({ message: "Invalid email or password." });
+      }
+
+      const { sessionId } = await sendSession(req, res, user);
+      logger.info("user login", {
+        userId: user.id,
+        sessionId,
+        secondFactor: method,
+      });
+    } catch (error) {
+      console.log(error.message);
+      return res
+        .status(500)
+        .json({ message: "An error occurred during login. Please try again." });
+    }
+  },
+);
+
+// POST /auth/refresh  { refreshToken? }
+// Trades the refresh token (refreshToken cookie, or the body) for a new
+// access token and a new refresh token.  The old refresh token stops working.
+router.post("/refresh", async (req, res) => {
+  const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+  if (!refreshToken) {
+    return res
+      .status(401)
+      .json({ message: "Please sign in again.", code: "NO_REFRESH_TOKEN" });
+  }
+
+  try {
+    const result = await rotateSession(refreshToken, req);
+    if (result.error === "RACE") {
+      // Another tab refreshed a moment ago and already has the new cookie
+      return res.status(409).json({
+        message: "Session was just refreshed. Please retry.",
+        code: "REFRESH_IN_PROGRESS",
+      });
+    }
+    if (result.error) {
+      if (result.error === "REUSED") {
+        logger.warn("refresh token reused — session revoked", { ip: req.ip });
+      }
+      clearSessionCookies(res);
+      return res.status(401).json({
+        message: "You have been signed out. Please sign in again.",
+        code: "SESSION_REVOKED",
+      });
+    }
+
+    setSessionCookies(res, result);
+    return res.status(200).json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    console.log(error.message);
+    return res
+      .status(500)
+      .json({ message: "Could not refresh your session. Please try again." });
+  }
+});
+
+// POST /auth/logout
+// Ends the current session and clears its cookies.  Always succeeds, so a
+// client with an expired token can still sign out cleanly.
+router.post("/logout", async (req, res) => {
+  const authHeader = req.headers["authorization"];
+  const session = await tryVerifyAccessToken(
+    req.cookies?.authToken ||
+      (authHeader?.startsWith("Bearer ") ? authHeader.slice(7) : null),
+  );
+  const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+  try {
+    if (session) await revokeSession(session.sid, "logout");
+    else if (refreshToken)
+      await revokeSessionByRefreshToken(refreshToken, "logout");
+  } catch (error) {
+    console.log(error.message);
+  }
+  clearSessionCookies(res);
+  return res.status(200).json({ message: "Logged out." });
+});
+
 export default router;
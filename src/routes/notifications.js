@@ -5,17 +5,38 @@
  *
  * Routes:
  *   GET    /notifications                — fetch your notifications (newest first)
+ *   GET    /notifications/stream         — live dashboard updates (Server-Sent Events)
  *   PATCH  /notifications/read-all      — mark every unread notification as read
  *   PATCH  /notifications/:id/read      — mark one notification as read
- *   POST   /notifications/subscribe     — save your browser push subscription
- *   DELETE /notifications/unsubscribe   — remove your push subscription
+ *   POST   /notifications/subscribe     — save this browser's push subscription
+ *   DELETE /notifications/unsubscribe   — remove this browser's push subscription
+ *   GET    /notifications/subscriptions — every device you get push notifications on
+ *   PATCH  /notifications/subscriptions/:id — rename a device
+ *   DELETE /notifications/subscriptions/:id — stop push notifications to a device
  *   GET    /notifications/vapid-public-key — return the VAPID public key to the browser
+ *   GET    /notifications/preferences  — what you are notified about, and how
+ *   PATCH  /notifications/preferences  — change channels, quiet hours or the daily digest
+ *
+ * A user can subscribe from any number of browsers and devices; each
+ * subscription is keyed by its push endpoint and notifyUser() sends to all
+ * of them.  Preferences are stored and applied in
+ * utils/notificationPreferences.js.
  */
 
 import express from "express";
 const router = express.Router();
 import db from "../controllers/db.js";
 import authMiddleware from "../middleware/authMiddleware.js";
+import { body, param } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import {
+  NOTIFICATION_EVENTS,
+  getPreferences,
+  updatePreferences,
+  describePreferences,
+  isValidTimezone,
+} from "../utils/notificationPreferences.js";
+import { openEventStream, userChannel } from "../utils/realtime.js";
 import webpush from "web-push";
 import dotenv from "dotenv";
 dotenv.config();
@@ -29,6 +50,9 @@ if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
   );
 }
 
+// Oldest devices beyond this are dropped when a new one subscribes
+const MAX_SUBSCRIPTIONS_PER_USER = 20;
+
 // ── Auto-create tables on first boot ────────────────────────────────────────────
 const ensureTables = async () => {
   await db.query(`
@@ -48,10 +72,40 @@ const ensureTables = async () => {
       id           SERIAL PRIMARY KEY,
       userid       INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
       subscription JSONB   NOT NULL,
+      endpoint     TEXT,
+      label        VARCHAR(80),
+      user_agent   VARCHAR(300),
       created_at   TIMESTAMP DEFAULT NOW(),
-      UNIQUE(userid)
+      last_used_at TIMESTAMP
     )
   `);
+  // Tables created when each user had a single subscription: key rows by
+  // their endpoint instead, so every device keeps its own.
+  await db.query(`
+    ALTER TABLE push_subscriptions
+      ADD COLUMN IF NOT EXISTS endpoint     TEXT,
+      ADD COLUMN IF NOT EXISTS label        VARCHAR(80),
+      ADD COLUMN IF NOT EXISTS user_agent   VARCHAR(300),
+      ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP
+  `);
+  await db.query(
+    "ALTER TABLE push_subscriptions DROP CONSTRAINT IF EXISTS push_subscriptions_userid_key",
+  );
+  await db.query(`
+    UPDATE push_subscriptions SET endpoint = subscription->>'endpoint'
+     WHERE endpoint IS NULL
+  `);
+  await db.query("DELETE FROM push_subscriptions WHERE endpoint IS NULL");
+  await db.query(
+    "ALTER TABLE push_subscriptions ALTER COLUMN endpoint SET NOT NULL",
+  );
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS push_subscriptions_endpoint_idx
+      ON push_subscriptions(endpoint)
+  `);
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS push_subscriptions_userid_idx ON push_subscriptions(userid)
+  `);
   // Index for fast per-user lookups
   await db.query(`
     CREATE INDEX IF NOT EXISTS notifications_userid_idx ON notifications(userid)
@@ -82,6 +136,18 @@ router.get("/", authMiddleware, async (req, res) => {
   }
 });
 
+// ── GET /notifications/stream ─────────────────────────────────────────────────
+// Keeps the seller dashboard up to date without polling: new notifications,
+// status changes on their invoices, and buyers' chat messages (see
+// utils/realtime.js for the events).  Closes when the access token expires;
+// the browser reconnects with a fresh one.
+router.get("/stream", authMiddleware, (req, res) => {
+  openEventStream(req, res, {
+    channels: [userChannel(req.user.id)],
+    until: new Date(req.user.exp * 1000),
+  });
+});
+
 // ── PATCH /notifications/read-all ─────────────────────────────────────────────
 // Marks every unread notification for the current user as read.
 router.patch("/read-all", authMiddleware, async (req, res) => {
@@ -115,37 +181,90 @@ router.patch("/:id/read", authMiddleware, async (req, res) => {
   }
 });
 
-// ── POST /notifications/subscribe ─────────────────────────────────────────────
-// Saves (or updates) the browser push subscription for this user.
-router.post("/subscribe", authMiddleware, async (req, res) => {
-  const userId = req.user.id;
-  const { subscription } = req.body;
-  if (!subscription)
-    return res.status(400).json({ message: "Subscription data is required." });
+const SUBSCRIPTION_COLUMNS = "id, label, user_agent, created_at, last_used_at";
 
-  try {
-    await db.query(
-      `INSERT INTO push_subscriptions (userid, subscription)
-       VALUES ($1, $2)
-       ON CONFLICT (userid)
-       DO UPDATE SET subscription = EXCLUDED.subscription, created_at = NOW()`,
-      [userId, JSON.stringify(subscription)],
-    );
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("POST /notifications/subscribe error:", err.message);
-    return res.status(500).json({ message: "Could not save subscription." });
-  }
-});
+const labelRule = (chain) =>
+  chain
+    .optional({ values: "null" })
+    .trim()
+    .isLength({ max: 80 })
+    .withMessage("Device name must be 80 characters or fewer.");
+
+// ── POST /notifications/subscribe ─────────────────────────────────────────────
+// Saves this browser's push subscription, next to the user's other devices.
+// Body: { subscription, label? } — `label` names the device ("Work laptop").
+// Subscribing again from the same browser updates its row; an endpoint last
+// used by another account moves to this one.
+router.post(
+  "/subscribe",
+  authMiddleware,
+  [
+    body("subscription")
+      .isObject()
+      .withMessage("Subscription data is required."),
+    body("subscription.endpoint")
+      .isURL({ protocols: ["https"], require_protocol: true })
+      .withMessage("Subscription data is required."),
+    labelRule(body("label")),
+  ],
+  validate,
+  async (req, res) => {
+    const userId = req.user.id;
+    const { subscription, label } = req.body;
+    try {
+      const saved = await db.query(
+        `INSERT INTO push_subscriptions
+           (userid, subscription, endpoint, label, user_agent)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (endpoint) DO UPDATE SET
+           userid       = EXCLUDED.userid,
+           subscription = EXCLUDED.subscription,
+           label        = COALESCE(EXCLUDED.label, push_subscriptions.label),
+           user_agent   = EXCLUDED.user_agent
+         RETURNING ${SUBSCRIPTION_COLUMNS}`,
+        [
+          userId,
+          JSON.stringify(subscription),
+          subscription.endpoint,
+          label || null,
+          req.get("user-agent")?.slice(0, 300) ?? null,
+        ],
+      );
+      await db.query(
+        `DELETE FROM push_subscriptions
+          WHERE userid = $1
+            AND id NOT IN (SELECT id FROM push_subscriptions
+                            WHERE userid = $1
+                            ORDER BY COALESCE(last_used_at, created_at) DESC
+                            LIMIT $2)`,
+        [userId, MAX_SUBSCRIPTIONS_PER_USER],
+      );
+      return res.json({ ok: true, subscription: saved.rows[0] });
+    } catch (err) {
+      console.error("POST /notifications/subscribe error:", err.message);
+      return res.status(500).json({ message: "Could not save subscription." });
+    }
+  },
+);
 
 // ── DELETE /notifications/unsubscribe ─────────────────────────────────────────
-// Removes the push subscription (called when user denies permission).
+// Removes this browser's subscription (called when the user denies permission
+// or turns push off here).  Body: { endpoint }.  Without an endpoint, every
+// device is unsubscribed, as older clients expect.
 router.delete("/unsubscribe", authMiddleware, async (req, res) => {
   const userId = req.user.id;
+  const endpoint = req.body?.endpoint;
   try {
-    await db.query("DELETE FROM push_subscriptions WHERE userid = $1", [
-      userId,
-    ]);
+    if (endpoint) {
+      await db.query(
+        "DELETE FROM push_subscriptions WHERE userid = $1 AND endpoint = $2",
+        [userId, endpoint],
+      );
+    } else {
+      await db.query("DELETE FROM push_subscriptions WHERE userid = $1", [
+        userId,
+      ]);
+    }
     return res.json({ ok: true });
   } catch (err) {
     console.error("DELETE /notifications/unsubscribe error:", err.message);
@@ -153,6 +272,83 @@ router.delete("/unsubscribe", authMiddleware, async (req, res) => {
   }
 });
 
+// ── GET /notifications/subscriptions ──────────────────────────────────────────
+// Every device this user gets push notifications on, most recently used first.
+router.get("/subscriptions", authMiddleware, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT ${SUBSCRIPTION_COLUMNS}
+         FROM push_subscriptions
+        WHERE userid = $1
+        ORDER BY COALESCE(last_used_at, created_at) DESC`,
+      [req.user.id],
+    );
+    return res.json({ subscriptions: result.rows });
+  } catch (err) {
+    console.error("GET /notifications/subscriptions error:", err.message);
+    return res.status(500).json({ message: "Could not load devices." });
+  }
+});
+
+// ── PATCH /notifications/subscriptions/:id ────────────────────────────────────
+// Renames a device.  Body: { label }.
+router.patch(
+  "/subscriptions/:id",
+  authMiddleware,
+  [
+    param("id").isInt({ min: 1 }).withMessage("Invalid device id."),
+    labelRule(body("label")),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        `UPDATE push_subscriptions SET label = $3
+          WHERE id = $1 AND userid = $2
+          RETURNING ${SUBSCRIPTION_COLUMNS}`,
+        [req.params.id, req.user.id, req.body.label || null],
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: "Device not found." });
+      }
+      return res.json({ subscription: result.rows[0] });
+    } catch (err) {
+      console.error(
+        "PATCH /notifications/subscriptions/:id error:",
+        err.message,
+      );
+      return res.status(500).json({ message: "Could not update device." });
+    }
+  },
+);
+
+// ── DELETE /notifications/subscriptions/:id ───────────────────────────────────
+// Stops push notifications to one device, e.g. a lost phone.
+router.delete(
+  "/subscriptions/:id",
+  authMiddleware,
+  [param("id").isInt({ min: 1 }).withMessage("Invalid device id.")],
+  validate,
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        "DELETE FROM push_subscriptions WHERE id = $1 AND userid = $2 RETURNING id",
+        [req.params.id, req.user.id],
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: "Device not found." });
+      }
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error(
+        "DELETE /notifications/subscriptions/:id error:",
+        err.message,
+      );
+      return res.status(500).json({ message: "Could not remove device." });
+    }
+  },
+);
+
 // ── GET /notifications/vapid-public-key ────────────────────────────────────────
 // The browser needs the VAPID public key before it can subscribe.
 // This is safe to expose publicly — the private key never leaves the server.
@@ -167,4 +363,102 @@ router.get("/vapid-public-key", (req, res) => {
   return res.json({ publicKey: key });
 });
 
+// ── GET /notifications/preferences ─────────────────────────────────────────────
+// Every event with the channels it can use and whether each is on, plus
+// quiet hours and the daily digest.
+router.get("/preferences", authMiddleware, async (req, res) => {
+  try {
+    const prefs = await getPreferences(req.user.id);
+    return res.json(describePreferences(prefs, req.lang));
+  } catch (err) {
+    console.error("GET /notifications/preferences error:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Could not load notification preferences." });
+  }
+});
+
+// `channels` is { event: { channel: true | false } }; only known events and
+// the channels they use, and required events cannot be changed.
+const isChannelMap = (channels) => {
+  if (typeof channels !== "object" || channels === null) return false;
+  return Object.entries(channels).every(([type, toggles]) => {
+    const event = NOTIFICATION_EVENTS[type];
+    if (!event || event.required) return false;
+    if (typeof toggles !== "object" || toggles === null) return false;
+    return Object.entries(toggles).every(
+      ([channel, on]) =>
+        event.channels.includes(channel) && typeof on === "boolean",
+    );
+  });
+};
+
+const hourRule = (chain) =>
+  chain
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 23 })
+    .withMessage("Hours must be whole numbers from 0 to 23.")
+    .toInt();
+
+// ── PATCH /notifications/preferences ───────────────────────────────────────────
+// Body (every part optional):
+//   channels    { invoice_paid: { email: false, sms: true }, ... }
+//   quietHours  { start: 22, end: 7, timezone: "Africa/Douala" }, or null
+//               to turn quiet hours off
+//   digest      { enabled: true, hour: 18 }
+router.patch(
+  "/preferences",
+  authMiddleware,
+  [
+    body("channels")
+      .optional()
+      .custom(isChannelMap)
+      .withMessage(
+        "Unknown notification event or channel, or a setting that cannot be changed.",
+      ),
+    body("quietHours")
+      .optional({ values: "null" })
+      .isObject()
+      .withMessage("quietHours must be an object or null.")
+      .custom((quiet) => (quiet.start == null) === (quiet.end == null))
+      .withMessage("Set both the start and the end of quiet hours."),
+    hourRule(body("quietHours.start")),
+    hourRule(body("quietHours.end")),
+    body("quietHours.timezone")
+      .optional()
+      .custom(isValidTimezone)
+      .withMessage("Unknown time zone."),
+    body("digest")
+      .optional()
+      .isObject()
+      .withMessage("digest must be an object."),
+    body("digest.enabled")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("digest.enabled must be true or false."),
+    body("digest.hour")
+      .optional()
+      .isInt({ min: 0, max: 23 })
+      .withMessage("Hours must be whole numbers from 0 to 23.")
+      .toInt(),
+  ],
+  validate,
+  async (req, res) => {
+    const { channels, quietHours, digest } = req.body;
+    try {
+      const prefs = await updatePreferences(req.user.id, {
+        channels,
+        quietHours,
+        digest,
+      });
+      return res.json(describePreferences(prefs, req.lang));
+    } catch (err) {
+      console.error("PATCH /notifications/preferences error:", err.message);
+      return res
+        .status(500)
+        .json({ message: "Could not save notification preferences." });
+    }
+  },
+);
+
 export default router;
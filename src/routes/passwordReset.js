@@ -3,12 +3,10 @@ const router = express.Router();
 import db from "../controllers/db.js";
 import bcrypt from "bcrypt";
 import crypto from "crypto";
-import sgMail from "@sendgrid/mail";
 import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
-import { emailWrap, emailButton } from "../utils/emailTemplate.js";
-import { BRAND } from "../config/brand.js";
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+import { revokeAllSessions } from "../utils/sessions.js";
+import { sendEmail } from "../jobs/emailQueue.js";
 
 // ─── Ensure the reset-token columns exist ────────────────────────────────────
 // (Runs once on first import; safe to call repeatedly due to IF NOT EXISTS)
@@ -41,7 +39,7 @@ router.post(
 
     try {
       const result = await db.query(
-        "SELECT id, name FROM users WHERE email = $1",
+        "SELECT id, name, language FROM users WHERE email = $1",
         [email.toLowerCase().trim()],
       );
 
@@ -65,27 +63,13 @@ router.post(
         [token, expires, user.id],
       );
 
-      const resetLink = `${BRAND.siteUrl}/reset-password?token=${token}`;
-
-      const msg = {
+      const queued = await sendEmail("user.password_reset", {
         to: email.toLowerCase().trim(),
-        from: {
-          email: process.env.VERIFIED_SENDER,
-          name: "Fonlok",
-        },
-        subject: "Reset Your Fonlok Password",
-        html: emailWrap(
-          `<h2 style="color:#0F1F3D;margin:0 0 12px;">Reset Your Password</h2>
-          <p style="color:#475569;">Hi ${user.name}, we received a request to reset the password for your Fonlok account. Click the button below to create a new password. This link expires in <strong>1 hour</strong>.</p>
-          ${emailButton(resetLink, "Reset my password")}
-          <p style="color:#94a3b8;font-size:13px;margin-top:4px;">If you did not request a password reset, you can safely ignore this email &mdash; your password will not change.</p>`,
-          {
-            footerNote: `For security, this link expires in 1 hour. &copy; ${new Date().getFullYear()} Fonlok &mdash; Secure Escrow Payments`,
-          },
-        ),
-      };
-
-      await sgMail.send(msg);
+        lang: user.language,
+        userId: user.id,
+        data: { name: user.name, token },
+      });
+      if (!queued) throw new Error("Password reset email could not be queued.");
 
       return res.status(200).json({
         message:
@@ -126,7 +110,7 @@ router.post(
 
     try {
       const result = await db.query(
-        `SELECT id, name, email
+        `SELECT id, name, email, language
          FROM users
         WHERE password_reset_token   = $1
           AND password_reset_expires > NOW()`,
@@ -152,29 +136,17 @@ router.post(
         [hashed, user.id],
       );
 
+      // Whoever knew the old password may still be signed in — end every
+      // session so they are all forced through the new password.
+      await revokeAllSessions(user.id, "password_reset");
+
       // Notify the user by email that their password was changed
-      const msg = {
+      await sendEmail("user.password_changed", {
         to: user.email,
-        from: {
-          email: process.env.VERIFIED_SENDER,
-          name: "Fonlok",
-        },
-        subject: "Your Fonlok Password Has Been Changed",
-        html: emailWrap(
-          `<h2 style="color:#0F1F3D;margin:0 0 12px;">Password Changed Successfully</h2>
-          <p style="color:#475569;">Hi ${user.name}, your Fonlok account password has been changed successfully. You can now sign in with your new password.</p>
-          <p style="color:#dc2626;font-weight:600;">If you did not make this change, contact us immediately at <a href="mailto:${process.env.VERIFIED_SENDER}" style="color:#dc2626;">${process.env.VERIFIED_SENDER}</a>.</p>`,
-          {
-            footerNote: `&copy; ${new Date().getFullYear()} Fonlok &mdash; Secure Escrow Payments`,
-          },
-        ),
-      };
-
-      await sgMail
-        .send(msg)
-        .catch((e) =>
-          console.error("Could not send password-changed email:", e.message),
-        );
+        lang: user.language,
+        userId: user.id,
+        data: { name: user.name },
+      });
 
       return res.status(200).json({
         message: "Password updated successfully. You can now sign in.",
@@ -1,24 +1,70 @@
 ﻿import express from "express";
-import axios from "axios";
-import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 import db from "../controllers/db.js";
 import crypto from "crypto";
 import { notifyUser } from "../middleware/notificationHelper.js";
-import {
-  emailWrap,
-  emailTable,
-  emailButton,
-  emailButtonDanger,
-} from "../utils/emailTemplate.js";
-import { generateReceiptPdf } from "../utils/generateReceipt.js";
+import { receiptAttachment } from "../utils/generateReceipt.js";
+import { recordPaymentReceived } from "../utils/ledger.js";
+import { getPaymentProvider } from "../providers/index.js";
+import { transitionInvoice } from "../utils/invoiceState.js";
+import { emitWebhookEvent } from "../jobs/webhookQueue.js";
+import { sendEmail } from "../jobs/emailQueue.js";
+import { sendBuyerSms } from "../jobs/smsQueue.js";
+import { assessPayment } from "../utils/risk.js";
+import { formatAmount } from "../utils/currency.js";
+import { DEFAULT_LANGUAGE } from "../utils/i18n.js";
+import { publish, invoiceChannel, openEventStream } from "../utils/realtime.js";
 dotenv.config();
 const router = express.Router();
-import sgMail from "@sendgrid/mail";
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
 // â”€â”€â”€ Helpers â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 
+// Records a collect the buyer declined or that failed; repeated failures
+// count towards the risk score (utils/risk.js).  Never downgrades a payment
+// that was already confirmed.
+const markPaymentFailed = async (paymentUUID) => {
+  try {
+    const failed = await db.query(
+      `UPDATE payments p SET status = 'failed'
+         FROM invoices i
+        WHERE i.id = p.invoiceid
+          AND p.providerpaymentid = $1 AND p.status IS DISTINCT FROM 'paid'
+        RETURNING i.invoicenumber`,
+      [paymentUUID],
+    );
+    if (failed.rows.length > 0) {
+      const invoiceNumber = failed.rows[0].invoicenumber;
+      await publish(invoiceChannel(invoiceNumber), "payment.failed", {
+        invoiceNumber,
+      });
+    }
+  } catch (err) {
+    console.error("Could not mark payment failed:", err.message);
+  }
+};
+
+// The poll asks the provider about a payment at most once per this window
+// (per worker), however many tabs are polling it.
+const PROVIDER_CHECK_INTERVAL_MS = 15_000;
+const lastProviderCheck = new Map();
+
+const providerCheckDue = (paymentUUID) => {
+  const now = Date.now();
+  if (
+    now - (lastProviderCheck.get(paymentUUID) ?? 0) <
+    PROVIDER_CHECK_INTERVAL_MS
+  ) {
+    return false;
+  }
+  lastProviderCheck.set(paymentUUID, now);
+  // Forget payments nobody has polled for a while
+  for (const [uuid, at] of lastProviderCheck) {
+    if (now - at > 10 * PROVIDER_CHECK_INTERVAL_MS)
+      lastProviderCheck.delete(uuid);
+  }
+  return true;
+};
+
 // Generate 8 characters (excludes confusing 0, O, I, 1)
 const generate8CharCode = () => {
   const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
@@ -89,9 +135,21 @@ export async function processSuccessfulPayment(paymentUUID) {
     "UPDATE payments SET status = 'paid' WHERE providerpaymentid = $1",
     [paymentUUID],
   );
-  await db.query("UPDATE invoices SET status = 'paid' WHERE id = $1", [
-    invoiceId,
-  ]);
+  // The buyer's money is already in escrow, so an unexpected invoice status
+  // is logged for review rather than allowed to stop the steps below.
+  try {
+    await transitionInvoice(invoiceId, "paid", {
+      actorType: "system",
+      actorId: "payment_webhook",
+      reason: "Payment confirmed by the provider",
+      data: { paymentUUID },
+    });
+  } catch (err) {
+    console.error(
+      `Invoice ${invoiceId} could not be marked paid for payment ${paymentUUID}:`,
+      err.message,
+    );
+  }
 
   // 4. Get invoice details
   const invoiceResult = await db.query("SELECT * FROM invoices WHERE id = $1", [
@@ -106,6 +164,29 @@ export async function processSuccessfulPayment(paymentUUID) {
   const idUser = invoice.userid;
   const isInstallment = invoice.payment_type === "installment";
 
+  // Book the buyer's money into escrow on the ledger (never throws)
+  await recordPaymentReceived({
+    reference: paymentUUID,
+    invoiceNumber: invoice_number,
+    amount: Number(payment.amount),
+    currency: payment.currency,
+  });
+
+  // Score the payment for the fraud review queue (never throws)
+  await assessPayment("payment", payment);
+
+  emitWebhookEvent(idUser, "invoice.paid", {
+    invoice_number,
+    amount: Number(payment.amount),
+    currency: invoice.currency,
+    payment_type: invoice.payment_type ?? "full",
+  });
+
+  // The payment page waiting on GET /payment/stream can move on now
+  await publish(invoiceChannel(invoice_number), "payment.confirmed", {
+    invoiceNumber: invoice_number,
+  });
+
   // 5. Generate unique confirmation code
   let finalCode = "";
   let confirmationLink = "";
@@ -131,6 +212,9 @@ export async function processSuccessfulPayment(paymentUUID) {
 
   // 6. Get buyer email (non-fatal â€” missing email skips emails but doesn't abort)
   let buyerEmail = null;
+  let buyerLang = DEFAULT_LANGUAGE;
+  let buyerPhone = null;
+  let buyerName = null;
   try {
     const guestResult = await db.query(
       "SELECT * FROM guests WHERE invoicenumber = $1 ORDER BY created_at DESC LIMIT 1",
@@ -138,6 +222,9 @@ export async function processSuccessfulPayment(paymentUUID) {
     );
     if (guestResult.rows.length > 0) {
       buyerEmail = guestResult.rows[0].email;
+      buyerLang = guestResult.rows[0].language || DEFAULT_LANGUAGE;
+      buyerPhone = guestResult.rows[0].momo_number;
+      buyerName = guestResult.rows[0].name;
     } else {
       console.warn(
         `âš ï¸  No guest row for invoice ${invoice_number} â€” skipping buyer email.`,
@@ -147,122 +234,69 @@ export async function processSuccessfulPayment(paymentUUID) {
     console.error("âš ï¸  Could not query guests:", guestErr.message);
   }
 
-  // 7. Send confirmation email + receipt to buyer
+  // 7. Send confirmation email + receipt to buyer, and the code by SMS
   if (buyerEmail) {
-    let buyerPdfAttachment = null;
-    try {
-      const pdfBuffer = await generateReceiptPdf(invoice_number);
-      buyerPdfAttachment = {
-        content: pdfBuffer.toString("base64"),
-        filename: `fonlok-receipt-${invoice_number}.pdf`,
-        type: "application/pdf",
-        disposition: "attachment",
-      };
-    } catch (pdfErr) {
-      console.error("âš ï¸  Could not generate receipt PDF:", pdfErr.message);
-    }
-
-    const receiptDownloadLink = `${process.env.BACKEND_URL}/invoice/receipt/${invoice_number}`;
-
-    // Build the confirmation email differently for full-payment vs milestone invoices.
-    let buyerEmailSubject;
-    let buyerEmailHtml;
+    const attachment = await receiptAttachment(invoice_number, buyerLang);
+    const attachments = attachment ? [attachment] : [];
 
+    // Full-payment invoices get the one-shot release link and code;
+    // milestone invoices are released one milestone at a time.
     if (!isInstallment) {
-      // ── Full-payment invoice: single one-shot release link ────────────────
-      buyerEmailSubject = `Payment Confirmed - Invoice ${invoice_number} | Fonlok`;
-      buyerEmailHtml = emailWrap(
-        `<h2 style="color:#0F1F3D;margin:0 0 12px;">Payment Confirmed</h2>
-        <p style="color:#475569;">Your payment has been received successfully. Your funds are held securely in escrow and will only be released to the seller once you confirm delivery.</p>
-        ${emailTable([
-          ["Invoice Number", invoice_number],
-          [
-            "Amount Paid",
-            `${payment.amount} XAF`,
-            "font-weight:700;color:#16a34a;font-size:15px;",
-          ],
-          [
-            "Status",
-            "&#10003;&nbsp;Paid &amp; Held in Escrow",
-            "color:#16a34a;font-weight:600;",
-          ],
-        ])}
-        <p style="color:#475569;">Your official payment receipt is attached to this email as a PDF. You can also download it at any time using the button below.</p>
-        ${emailButton(receiptDownloadLink, "Download PDF Receipt")}
-        <h3 style="color:#0F1F3D;margin:20px 0 8px;">Next Step: Confirm Your Delivery</h3>
-        <p style="color:#475569;">Once you have received your item and are satisfied, click the button below to release the funds to the seller:</p>
-        ${emailButton(confirmationLink, "Confirm Receipt &amp; Release Funds")}
-        <p style="color:#475569;margin-top:4px;font-size:14px;">Alternatively, give this release code to the seller: <strong style="font-family:monospace;font-size:17px;letter-spacing:3px;color:#0F1F3D;">${finalCode}</strong></p>`,
-        {
-          footerNote:
-            "You received this email because a payment was processed on your behalf through Fonlok Escrow. Do not share your confirmation code or link with anyone other than the seller.",
+      await sendEmail("buyer.payment_confirmed", {
+        to: buyerEmail,
+        lang: buyerLang,
+        invoiceNumber: invoice_number,
+        attachments,
+        data: {
+          invoiceNumber: invoice_number,
+          amount: Number(payment.amount),
+          currency: payment.currency,
+          releaseCode: finalCode,
+          confirmationLink,
         },
-      );
+      });
+      await sendBuyerSms("buyer.payment_confirmed", {
+        invoiceNumber: invoice_number,
+        phone: buyerPhone,
+        lang: buyerLang,
+        data: {
+          invoiceNumber: invoice_number,
+          amount: Number(payment.amount),
+          currency: payment.currency,
+          releaseCode: finalCode,
+        },
+      });
     } else {
-      // ── Milestone/installment invoice: per-milestone release ──────────────
-      // Fetch the milestone breakdown to include in the email.
       const milestonesData = await db.query(
         "SELECT milestone_number, label, amount FROM invoice_milestones WHERE invoice_id = $1 ORDER BY milestone_number ASC",
         [invoiceId],
       );
-      buyerEmailSubject = `Payment Confirmed — Milestone Escrow Active | Invoice ${invoice_number} | Fonlok`;
-      buyerEmailHtml = emailWrap(
-        `<h2 style="color:#0F1F3D;margin:0 0 12px;">Payment Confirmed &mdash; Milestone Escrow Active</h2>
-        <p style="color:#475569;">Your payment for invoice <strong>${invoice_number}</strong> has been received. Your funds are held securely in escrow and will be released to the seller <strong>one milestone at a time</strong> &mdash; only after you explicitly approve each completed stage of work.</p>
-        ${emailTable([
-          ["Invoice Number", invoice_number],
-          [
-            "Total in Escrow",
-            `${payment.amount} XAF`,
-            "font-weight:700;color:#16a34a;font-size:15px;",
-          ],
-          ["Payment Type", "Milestone Escrow"],
-          [
-            "Status",
-            "&#10003;&nbsp;Funds Held in Escrow",
-            "color:#16a34a;font-weight:600;",
-          ],
-        ])}
-        <h3 style="color:#0F1F3D;margin:20px 0 8px;">Your Milestones</h3>
-        <p style="color:#475569;margin-bottom:12px;">The seller will work through each milestone. Once a milestone is marked complete, you will receive a <strong>separate email with a secure one-click release link</strong> for that milestone only. No funds are ever moved without your explicit confirmation.</p>
-        ${emailTable(
-          milestonesData.rows.map((m) => [
-            `Milestone ${m.milestone_number}: ${m.label}`,
-            `${Number(m.amount).toLocaleString()} XAF`,
-          ]),
-        )}
-        <p style="color:#475569;margin-top:16px;">Your official payment receipt is attached to this email as a PDF.</p>
-        ${emailButton(receiptDownloadLink, "Download PDF Receipt")}
-        <h3 style="color:#0F1F3D;margin:20px 0 8px;">How Milestone Releases Work</h3>
-        <ol style="color:#475569;padding-left:20px;margin:0 0 20px;line-height:1.8;">
-          <li>The seller completes a milestone and marks it as done.</li>
-          <li>You receive an email with a secure, one-time release link for that milestone only.</li>
-          <li>Click the link to review and confirm &mdash; funds are never released without your explicit approval.</li>
-          <li>Repeat for each subsequent milestone until the work is fully complete.</li>
-        </ol>
-        <p style="color:#475569;font-size:13px;">If you have concerns about any milestone, do not release payment. Use the secure chat to communicate with the seller, or open a dispute.</p>`,
-        {
-          footerNote:
-            "You received this email because a milestone-based escrow payment was processed on your behalf through Fonlok. Each milestone requires your explicit approval before any funds are released to the seller.",
+      await sendEmail("buyer.milestone_escrow_confirmed", {
+        to: buyerEmail,
+        lang: buyerLang,
+        invoiceNumber: invoice_number,
+        attachments,
+        data: {
+          invoiceNumber: invoice_number,
+          amount: Number(payment.amount),
+          currency: payment.currency,
+          milestones: milestonesData.rows.map((m) => ({
+            number: m.milestone_number,
+            label: m.label,
+            amount: Number(m.amount),
+          })),
         },
-      );
-    }
-
-    const buyerMsg = {
-      to: buyerEmail,
-      from: process.env.VERIFIED_SENDER,
-      subject: buyerEmailSubject,
-      html: buyerEmailHtml,
-      ...(buyerPdfAttachment ? { attachments: [buyerPdfAttachment] } : {}),
-    };
-    try {
-      await sgMail.send(buyerMsg);
-      console.log("âœ…  Confirmation email sent to buyer.");
-    } catch (emailErr) {
-      console.error(
-        "âŒ  SendGrid (confirmation):",
-        emailErr.response?.body ?? emailErr.message,
-      );
+      });
+      await sendBuyerSms("buyer.milestone_escrow_confirmed", {
+        invoiceNumber: invoice_number,
+        phone: buyerPhone,
+        lang: buyerLang,
+        data: {
+          invoiceNumber: invoice_number,
+          amount: Number(payment.amount),
+          currency: payment.currency,
+        },
+      });
     }
   }
 
@@ -277,153 +311,77 @@ export async function processSuccessfulPayment(paymentUUID) {
     [invoiceId, invoice_number],
   );
 
-  if (buyerEmail) {
-    const buyerChatLink = `${process.env.FRONTEND_URL}/chat/${invoice_number}?token=${chatToken}`;
-    const buyerDisputeLink = `${process.env.FRONTEND_URL}/chat/${invoice_number}?token=${chatToken}&dispute=true`;
-    const chatInviteMsg = {
-      to: buyerEmail,
-      from: process.env.VERIFIED_SENDER,
-      subject: `Your Secure Chat Link - Invoice ${invoice_number} | Fonlok`,
-      html: emailWrap(
-        `<h2 style="color:#0F1F3D;margin:0 0 12px;">You Can Now Chat with the Seller</h2>
-        <p style="color:#475569;">Your payment for invoice <strong>${invoice_number}</strong> has been confirmed. Use the chat to communicate with the seller, ask questions, or request proof of delivery.</p>
-        ${emailButton(buyerChatLink, "Open Chat")}
-        <h3 style="color:#0F1F3D;margin:20px 0 8px;">Have a Problem with Your Order?</h3>
-        <p style="color:#475569;">If you did not receive what you ordered, or there is an issue with your order, you can open a dispute. A Fonlok admin will review the case and make a fair decision.</p>
-        ${emailButtonDanger(buyerDisputeLink, "Open a Dispute")}`,
-        {
-          footerNote:
-            "Keep these links private - they are unique to your order. You received this email because a payment was confirmed on Fonlok.",
-        },
-      ),
-    };
-    try {
-      await sgMail.send(chatInviteMsg);
-      console.log("âœ…  Chat invite email sent to buyer.");
-    } catch (chatEmailErr) {
-      console.error(
-        "âŒ  SendGrid (chat invite):",
-        chatEmailErr.response?.body ?? chatEmailErr.message,
-      );
-    }
-  }
+  await sendEmail("buyer.chat_invite", {
+    to: buyerEmail,
+    lang: buyerLang,
+    invoiceNumber: invoice_number,
+    data: { invoiceNumber: invoice_number, chatToken },
+  });
 
-  // 9. Notify seller — in-app bell + push + email
+  // 9. Notify seller — in-app bell + push + email, and SMS if they turned it on
   // ─────────────────────────────────────────────────────────────────────────
-  // In-app / push notification (non-fatal)
-  notifyUser(
+  const sellerName = await db
+    .query("SELECT name FROM users WHERE id = $1 LIMIT 1", [idUser])
+    .then((result) => result.rows[0]?.name ?? null)
+    .catch(() => null); // best-effort, the email greets "there" without it
+  const invoiceData = {
+    invoiceNumber: invoice_number,
+    invoiceName: invoice.invoicename,
+    amount: Number(payment.amount),
+    currency: payment.currency,
+    buyerName,
+  };
+  await notifyUser(
     idUser,
     "invoice_paid",
     "💰 Invoice Paid — Deliver Now",
-    `Invoice ${invoice_number} has been paid. ${payment.amount} XAF is secured in escrow. Please deliver what was ordered so funds can be released to you.`,
+    `Invoice ${invoice_number} has been paid. ${formatAmount(payment.amount, payment.currency)} is secured in escrow. Please deliver what was ordered so funds can be released to you.`,
     { invoiceNumber: invoice_number, amount: payment.amount },
+    {
+      email: {
+        template: "seller.invoice_paid",
+        invoiceNumber: invoice_number,
+        data: { ...invoiceData, sellerName },
+      },
+      sms: { template: "seller.invoice_paid", data: invoiceData },
+    },
   );
 
-  // Email notification to seller
-  try {
-    const sellerResult = await db.query(
-      "SELECT email, name FROM users WHERE id = $1 LIMIT 1",
-      [idUser],
-    );
-    if (sellerResult.rows.length > 0) {
-      const seller = sellerResult.rows[0];
-      const sellerDashboardLink = `${process.env.FRONTEND_URL}/dashboard`;
-      const sellerChatLink = `${process.env.FRONTEND_URL}/chat/${invoice_number}`;
-      const sellerFirstName = (seller.name || "there").split(" ")[0];
-      // Buyer name from guests table (best-effort)
-      let buyerName = "the buyer";
-      try {
-        const guestName = await db.query(
-          "SELECT name FROM guests WHERE invoicenumber = $1 ORDER BY created_at DESC LIMIT 1",
-          [invoice_number],
-        );
-        if (guestName.rows[0]?.name) buyerName = guestName.rows[0].name;
-      } catch (_) {
-        /* non-fatal */
-      }
-
-      const sellerMsg = {
-        to: seller.email,
-        from: process.env.VERIFIED_SENDER,
-        subject: `✅ Invoice Paid — Please Deliver | Invoice ${invoice_number} | Fonlok`,
-        html: emailWrap(
-          `<h2 style="color:#0F1F3D;margin:0 0 12px;">Your Invoice Has Been Paid</h2>
-          <p style="color:#475569;">Hi ${sellerFirstName}, great news! <strong>${buyerName}</strong> has paid your invoice and the funds are now held securely in Fonlok escrow.</p>
-          <p style="color:#475569;margin-bottom:20px;">Your next step is to deliver the goods or service you promised. Once the buyer confirms receipt, the funds will be released directly to you.</p>
-          ${emailTable([
-            ["Invoice Number", invoice_number],
-            [
-              "Amount in Escrow",
-              `${payment.amount} XAF`,
-              "font-weight:700;color:#16a34a;font-size:15px;",
-            ],
-            ["Buyer", buyerName],
-            [
-              "Escrow Status",
-              "&#10003;&nbsp;Funds Secured",
-              "color:#16a34a;font-weight:600;",
-            ],
-          ])}
-          <h3 style="color:#0F1F3D;margin:24px 0 8px;">What to do now</h3>
-          <ol style="color:#475569;padding-left:20px;margin:0 0 20px;line-height:1.8;">
-            <li>Deliver the product or service you agreed on with the buyer.</li>
-            <li>Use the chat to keep the buyer updated and share proof of delivery.</li>
-            <li>Once the buyer confirms receipt, Fonlok will release your funds immediately.</li>
-          </ol>
-          ${emailButton(sellerChatLink, "Open Chat with Buyer")}
-          ${emailButton(sellerDashboardLink, "Go to Dashboard")}
-          <p style="color:#94a3b8;font-size:13px;margin-top:20px;">The funds will remain in escrow until the buyer confirms delivery. If there is a problem, either party may open a dispute and Fonlok will mediate fairly.</p>`,
-          {
-            footerNote:
-              "You received this email because one of your Fonlok invoices was paid. Do not share your account credentials with anyone.",
-          },
-        ),
-      };
-      await sgMail.send(sellerMsg);
-      console.log("✅  Invoice-paid email sent to seller.");
-    }
-  } catch (sellerEmailErr) {
-    console.error(
-      "⚠️  Could not send invoice-paid email to seller:",
-      sellerEmailErr.response?.body ?? sellerEmailErr.message,
-    );
-  }
-
   return "done";
 }
 
-// â”€â”€â”€ Route 1: Campay webhook â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+// â”€â”€â”€ Route 1: Provider webhook â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 router.post("/confirmation", async (req, res) => {
-  const signature = req.body.signature;
-  const paymentUUID = req.body.external_reference;
-  const status = req.body.status;
-  const webhookSecret = process.env.CAMPAY_WEBHOOK_KEY;
-
   try {
-    jwt.verify(signature, webhookSecret);
-    console.log("âœ…  Campay webhook signature verified.");
+    const event = getPaymentProvider().verifyWebhook(req.body);
+    if (!event) {
+      console.error("âŒ  Webhook signature could not be verified.");
+      return res.status(401).send("Invalid Signature");
+    }
+    console.log("âœ…  Payment webhook signature verified.");
 
-    if (status === "SUCCESSFUL") {
-      const result = await processSuccessfulPayment(paymentUUID);
+    if (event.status === "SUCCESSFUL") {
+      const result = await processSuccessfulPayment(event.externalReference);
       console.log(`Webhook processing result: ${result}`);
+    } else if (event.status === "FAILED") {
+      await markPaymentFailed(event.externalReference);
+      console.log("Payment failed, recorded for risk scoring.");
     } else {
-      console.log(`Payment status was ${status} â€” no action taken.`);
+      console.log(`Payment status was ${event.status} â€” no action taken.`);
     }
 
     return res.status(200).send("OK");
   } catch (err) {
-    console.error("âŒ  Webhook error:", err.message);
-    if (err.name === "JsonWebTokenError" || err.name === "TokenExpiredError") {
-      return res.status(401).send("Invalid Signature");
-    }
+    console.error("âŒ  Webhook error:", err.message);
     return res.status(500).send("Internal error");
   }
 });
 
 // â”€â”€â”€ Route 2: Frontend poll endpoint â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-// The payment-pending page calls this every 4 s.
+// Fallback for the payment-pending page when the live stream (Route 3) is
+// unavailable, and for the case where the webhook never reaches us.
 // Fast path: if DB already says paid â†’ return immediately.
-// Slow path: ask Campay API directly and process if SUCCESSFUL.
+// Slow path: ask the payment provider directly and process if SUCCESSFUL.
 // This works even when the webhook can't reach the server (ngrok, firewall, etc.).
 router.get("/poll/:invoice_number", async (req, res) => {
   const { invoice_number } = req.params;
@@ -442,7 +400,7 @@ router.get("/poll/:invoice_number", async (req, res) => {
       return res.json({ status: dbStatus });
     }
 
-    // Slow path â€” get the latest payment UUID and ask Campay
+    // Slow path â€” get the latest payment UUID and ask the provider
     const paymentResult = await db.query(
       `SELECT p.* FROM payments p
        JOIN invoices i ON i.id = p.invoiceid
@@ -454,33 +412,27 @@ router.get("/poll/:invoice_number", async (req, res) => {
       return res.json({ status: dbStatus });
     }
     const paymentUUID = paymentResult.rows[0].providerpaymentid;
-    // Use Campay's own reference for the status check if available;
+    if (!providerCheckDue(paymentUUID)) {
+      return res.json({ status: dbStatus });
+    }
+    // Use the provider's own reference for the status check if available;
     // fall back to our UUID for older rows created before this fix.
     const campayRef = paymentResult.rows[0].campay_reference || paymentUUID;
 
-    // Get a fresh Campay token
-    const authResponse = await axios.post(
-      "https://demo.campay.net/api/token/",
-      {
-        username: process.env.CAMPAY_USERNAME,
-        password: process.env.CAMPAY_PASSWORD,
-      },
-    );
-    const campayToken = authResponse.data.token;
-
-    const txResponse = await axios.get(
-      `https://demo.campay.net/api/transaction/${campayRef}/`,
-      { headers: { Authorization: `Token ${campayToken}` } },
-    );
-    const campayStatus = txResponse.data.status;
+    const { status: campayStatus } = await getPaymentProvider(
+      paymentResult.rows[0].currency,
+    ).getStatus(campayRef);
     console.log(
-      `🔍 Poll [${invoice_number}]: Campay status = ${campayStatus} (ref: ${campayRef})`,
+      `🔍 Poll [${invoice_number}]: provider status = ${campayStatus} (ref: ${campayRef})`,
     );
 
     if (campayStatus === "SUCCESSFUL") {
       await processSuccessfulPayment(paymentUUID);
       return res.json({ status: "paid" });
     }
+    if (campayStatus === "FAILED") {
+      await markPaymentFailed(paymentUUID);
+    }
 
     return res.json({ status: dbStatus, campayStatus });
   } catch (err) {
@@ -500,4 +452,46 @@ router.get("/poll/:invoice_number", async (req, res) => {
   }
 });
 
+// ─── Route 3: Live payment status ───────────────────────────────────────────
+// Server-Sent Events for the payment-pending page: the current status first,
+// then invoice.status, payment.confirmed and payment.failed as they happen
+// (utils/realtime.js).  Public like the poll, so chat messages on the same
+// channel are never passed through.
+const PAYMENT_STREAM_EVENTS = [
+  "invoice.status",
+  "payment.confirmed",
+  "payment.failed",
+];
+
+router.get("/stream/:invoice_number", async (req, res) => {
+  const { invoice_number } = req.params;
+  try {
+    const invoiceResult = await db.query(
+      "SELECT status FROM invoices WHERE invoicenumber = $1",
+      [invoice_number],
+    );
+    if (invoiceResult.rows.length === 0) {
+      return res.status(404).json({ status: "not_found" });
+    }
+    openEventStream(req, res, {
+      channels: [invoiceChannel(invoice_number)],
+      initial: [
+        [
+          "invoice.status",
+          {
+            invoiceNumber: invoice_number,
+            status: invoiceResult.rows[0].status,
+          },
+        ],
+      ],
+      accept: (event) => PAYMENT_STREAM_EVENTS.includes(event),
+    });
+  } catch (err) {
+    console.error(`❌ Payment stream error [${invoice_number}]:`, err.message);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+});
+
 export default router;
@@ -1,17 +1,27 @@
 import express from "express";
 const router = express.Router();
-import axios from "axios";
 import dotenv from "dotenv";
 import db from "../controllers/db.js";
-import sgMail from "@sendgrid/mail";
 import { notifyUser } from "../middleware/notificationHelper.js";
-import { emailWrap, emailTable, emailButton } from "../utils/emailTemplate.js";
-import { generateReceiptPdf } from "../utils/generateReceipt.js";
+import { receiptAttachment } from "../utils/generateReceipt.js";
 import authMiddleware from "../middleware/authMiddleware.js";
+import idempotency from "../middleware/idempotency.js";
+import {
+  recordEscrowRelease,
+  recordSellerPayout,
+  recordReferralCredit,
+} from "../utils/ledger.js";
+import {
+  enqueuePayout,
+  processPayoutJob,
+  registerPayoutHandler,
+} from "../jobs/payoutQueue.js";
+import { transitionInvoice } from "../utils/invoiceState.js";
+import { emitWebhookEvent } from "../jobs/webhookQueue.js";
+import { floorAmount, formatAmount } from "../utils/currency.js";
+import { t, DEFAULT_LANGUAGE } from "../utils/i18n.js";
 dotenv.config();
 
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
 // --- THE SHARED PAYOUT FUNCTION (Core Logic) ---
 // ─────────────────────────────────────────────────────────────────────────────
 // FEE CONSTANTS
@@ -32,13 +42,20 @@ const REFERRAL_FEE_RATE = 0.005; // 0.5% &mdash; referrer's cut (only when refer
 const TOTAL_FEE_RATE = 0.02; // 2.0% &mdash; always deducted from seller payout
 
 // ─────────────────────────────────────────────────────────────────────────────
-// renderPage({ type, title, body, ctaHref?, ctaLabel?, warningBox?, note? })
+// renderPage({ type, lang, vars?, title, body, ctaHref?, ctaLabel?,
+//              warningBox?, note? })
 //
 // Generates a consistent, branded HTML page for all server-rendered buyer-
 // facing confirmation and status screens (fund release, error pages, etc.).
 // type: "success" | "error" | "warning" | "info"
+// The texts are written in English and shown in `lang` (utils/i18n.js);
+// {placeholders} in them are filled from `vars`.  Buyers reach these pages
+// from email links that carry ?lang=, so req.lang is their language.
 // ─────────────────────────────────────────────────────────────────────────────
-function renderPage({ type = "info", title, body, ctaHref, ctaLabel, formAction, formLabel, warningBox, note } = {}) {
+function renderPage({ type = "info", lang = DEFAULT_LANGUAGE, vars = {}, title, body, ctaHref, ctaLabel, formAction, formLabel, warningBox, note } = {}) {
+  const tr = (text) => (text ? t(lang, text, vars) : text);
+  [title, body, ctaLabel, formLabel, warningBox, note] =
+    [title, body, ctaLabel, formLabel, warningBox, note].map(tr);
   const palette = {
     success: { accent: "#16a34a", bg: "#f0fdf4", icon: "✓" },
     error:   { accent: "#dc2626", bg: "#fef2f2", icon: "✗" },
@@ -50,18 +67,18 @@ function renderPage({ type = "info", title, body, ctaHref, ctaLabel, formAction,
     ? `<div style="background:#fff7ed;border:1px solid #fed7aa;border-radius:8px;padding:14px 16px;margin:20px 0;color:#9a3412;font-size:14px;line-height:1.6;text-align:left;">${warningBox}</div>`
     : "";
   const ctaHtml = ctaHref
-    ? `<a href="${ctaHref}" style="display:block;margin-top:24px;padding:14px 20px;background:#15803d;color:#fff;border-radius:8px;font-size:15px;font-weight:600;text-decoration:none;text-align:center;">${ctaLabel || "Continue"}</a>`
+    ? `<a href="${ctaHref}" style="display:block;margin-top:24px;padding:14px 20px;background:#15803d;color:#fff;border-radius:8px;font-size:15px;font-weight:600;text-decoration:none;text-align:center;">${ctaLabel || t(lang, "Continue")}</a>`
     : "";
   const formHtml = formAction
     ? `<form method="POST" action="${formAction}" style="margin-top:24px;">
-        <button type="submit" style="display:block;width:100%;padding:14px 20px;background:#15803d;color:#fff;border:none;border-radius:8px;font-size:15px;font-weight:600;cursor:pointer;">${formLabel || "Confirm"}</button>
+        <button type="submit" style="display:block;width:100%;padding:14px 20px;background:#15803d;color:#fff;border:none;border-radius:8px;font-size:15px;font-weight:600;cursor:pointer;">${formLabel || t(lang, "Confirm")}</button>
        </form>`
     : "";
   const noteHtml = note
     ? `<p style="color:#94a3b8;font-size:13px;margin-top:28px;line-height:1.6;">${note}</p>`
     : "";
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${lang}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width,initial-scale=1">
@@ -94,432 +111,616 @@ function renderPage({ type = "info", title, body, ctaHref, ctaLabel, formAction,
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// executePayout(invoiceId)
-// Shared core for Method 1 (code-based release).
+// calculateFees(sellerId, grossAmount, currency)
+// Looks up the seller's referrer and returns the fee split used by every
+// release path.  Seller always receives gross − 2%; when a referrer exists
+// Fonlok keeps 1.5% and the 0.5% remainder goes to the referrer.  Fees are
+// rounded down to the invoice currency's smallest unit.
+// ─────────────────────────────────────────────────────────────────────────────
+const calculateFees = async (sellerId, grossAmount, currency, client = db) => {
+  const referrerCheck = await client.query(
+    "SELECT referred_by FROM users WHERE id = $1",
+    [sellerId],
+  );
+  const referrerId = referrerCheck.rows[0]?.referred_by ?? null;
+  const hasReferral = referrerId !== null;
+
+  const totalFee = floorAmount(grossAmount * TOTAL_FEE_RATE, currency); // 2%
+  const referralEarning = hasReferral
+    ? floorAmount(grossAmount * REFERRAL_FEE_RATE, currency) // 0.5%
+    : 0;
+
+  return {
+    referrerId,
+    hasReferral,
+    totalFee,
+    referralEarning,
+    fonlokNet: totalFee - referralEarning, // 1.5% or 2%
+    sellerReceives: grossAmount - totalFee, // always gross − 2%
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// creditReferral({ referrerId, sellerId, earningKey, invoiceNumber, grossAmount,
+//                  amount, currency })
+// INSERT first, balance only if new.  The earnings row is the single source
+// of truth: the balance UPDATE only runs when a genuinely new row was written,
+// so a retry or concurrent duplicate can NEVER double-credit the referrer.
+// Non-fatal — the payout has already succeeded when this runs.
+// ─────────────────────────────────────────────────────────────────────────────
+const creditReferral = async ({
+  referrerId,
+  sellerId,
+  earningKey,
+  invoiceNumber,
+  grossAmount,
+  amount,
+  currency,
+}) => {
+  if (!referrerId || amount <= 0) return;
+  try {
+    const earningsInsert = await db.query(
+      `INSERT INTO referral_earnings
+         (referrer_userid, referred_userid, invoice_number, invoice_amount, earned_amount)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (invoice_number) DO NOTHING
+       RETURNING id`,
+      [referrerId, sellerId, earningKey, grossAmount, amount],
+    );
+    if (earningsInsert.rows.length > 0) {
+      await db.query(
+        "UPDATE users SET referral_balance = referral_balance + $1 WHERE id = $2",
+        [amount, referrerId],
+      );
+      await recordReferralCredit({
+        reference: earningKey,
+        invoiceNumber,
+        referrerId,
+        amount,
+        currency,
+      });
+      console.log(
+        `✅ Referral earning of ${formatAmount(amount, currency)} (0.5%) credited to user ${referrerId} for ${earningKey}.`,
+      );
+      notifyUser(
+        referrerId,
+        "referral_earned",
+        "Referral Commission Earned",
+        `You earned ${formatAmount(amount, currency)} because a seller you referred was paid for invoice ${invoiceNumber}.`,
+        { amount, invoiceNumber },
+      );
+    } else {
+      console.log(
+        `ℹ️ Referral earnings for ${earningKey} already recorded &mdash; balance not double-credited.`,
+      );
+    }
+  } catch (referralErr) {
+    console.error(
+      "⚠️ Referral credit error (payout still succeeded):",
+      referralErr.message,
+    );
+  }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// executePayout(invoiceId, releasedBy)
+// Shared core for Method 1 (code-based release) and Method 2 (email link).
 // invoiceId = invoices.id (the numeric primary key)
+// releasedBy = { actorType, actorId, reason } — who released the funds, kept
+// on the job and written to the invoice history when it completes.
 //
 // RACE-CONDITION PROTECTION
 // The very first database operation is an atomic UPDATE that flips is_used to
 // true only when it is currently false.  If two concurrent requests both reach
 // this point at the same time, exactly one will get a RETURNING row and
 // proceed; the other gets zero rows and throws immediately &mdash; before any money
-// moves.  This eliminates the TOCTOU window that previously existed between
-// the "already paid?" read and the "mark as paid" write.
+// moves.
+//
+// DURABILITY
+// The lock and the payout_jobs row are committed in ONE transaction, so a
+// burned code always has a payout on record.  The transfer itself is then
+// attempted through the payout queue; if the provider fails, the job is
+// retried automatically and completeInvoicePayout runs once it succeeds.
+//
+// Returns the payout job after the first attempt.  Also used by the
+// auto-release job in scheduledJobs.js.
 // ─────────────────────────────────────────────────────────────────────────────
-const executePayout = async (invoiceId) => {
-  // ── Step 1: Atomically claim the payout slot ─────────────────────────────
-  // UPDATE returns the row only when is_used was false; any concurrent request
-  // finds is_used already true and gets back zero rows → throws before Campay.
-  const lockResult = await db.query(
-    `UPDATE confirmation_codes
-        SET is_used = true
-      WHERE code_id = $1
-        AND is_used  = false
-      RETURNING code_id`,
-    [invoiceId],
-  );
-  if (lockResult.rows.length === 0) {
-    throw new Error(
-      `Payout for invoice id ${invoiceId} has already been processed or the confirmation code was not found.`,
+export const executePayout = async (
+  invoiceId,
+  releasedBy = { actorType: "system" },
+) => {
+  const client = await db.connect();
+  let job;
+  try {
+    await client.query("BEGIN");
+
+    // ── Step 1: Atomically claim the payout slot ───────────────────────────
+    const lockResult = await client.query(
+      `UPDATE confirmation_codes
+          SET is_used = true
+        WHERE code_id = $1
+          AND is_used  = false
+        RETURNING code_id`,
+      [invoiceId],
+    );
+    if (lockResult.rows.length === 0) {
+      throw new Error(
+        `Payout for invoice id ${invoiceId} has already been processed or the confirmation code was not found.`,
+      );
+    }
+
+    // ── Step 2: Fetch invoice & seller ────────────────────────────────────
+    const invoiceRes = await client.query(
+      "SELECT * FROM invoices WHERE id = $1",
+      [invoiceId],
     );
+    if (invoiceRes.rows.length === 0) throw new Error("Invoice not found");
+    const invoiceRow = invoiceRes.rows[0];
+    const sellerId = invoiceRow.userid;
+    const grossAmount = Number(invoiceRow.amount);
+
+    const userResult = await client.query(
+      "SELECT * FROM users WHERE id = $1",
+      [sellerId],
+    );
+    if (userResult.rows.length === 0) {
+      throw new Error("Seller account not found");
+    }
+    const invoiceUser = userResult.rows[0];
+
+    // ── Step 3: Calculate fees ────────────────────────────────────────────
+    const fees = await calculateFees(
+      sellerId,
+      grossAmount,
+      invoiceRow.currency,
+      client,
+    );
+    console.log(
+      `Invoice ${invoiceRow.invoicenumber}: gross=${grossAmount}, ` +
+        `totalFee=${fees.totalFee}, fonlokNet=${fees.fonlokNet}, ` +
+        `referralEarning=${fees.referralEarning}, sellerReceives=${fees.sellerReceives}`,
+    );
+
+    // ── Step 4: Queue the transfer in the same transaction as the lock ────
+    job = await enqueuePayout(
+      {
+        kind: "invoice_release",
+        reference: invoiceRow.invoicenumber,
+        userId: sellerId,
+        invoiceId,
+        invoiceNumber: invoiceRow.invoicenumber,
+        amount: fees.sellerReceives,
+        currency: invoiceRow.currency,
+        phone: invoiceUser.phone,
+        description: `Fonlok payout for invoice ${invoiceRow.invoicenumber}`,
+        context: {
+          grossAmount,
+          totalFee: fees.totalFee,
+          referrerId: fees.referrerId,
+          referralEarning: fees.referralEarning,
+          releasedBy,
+        },
+      },
+      client,
+    );
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
   }
 
-  // ── Step 2: Fetch invoice & seller ──────────────────────────────────────
+  // ── Step 5: Attempt the transfer now (retried by the queue on failure) ──
+  return processPayoutJob(job.id);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// completeInvoicePayout(job) — payout queue onSuccess for "invoice_release"
+// Runs once the provider has accepted the transfer: records the payout,
+// completes the invoice, posts the ledger, notifies and emails the seller.
+// ─────────────────────────────────────────────────────────────────────────────
+const completeInvoicePayout = async (job) => {
+  const { grossAmount, totalFee, referrerId, referralEarning } = job.context;
+  const sellerId = job.user_id;
+  const invoiceNumber = job.invoice_number;
+  const sellerReceives = Number(job.amount);
+
   const invoiceRes = await db.query("SELECT * FROM invoices WHERE id = $1", [
-    invoiceId,
+    job.invoice_id,
   ]);
-  if (invoiceRes.rows.length === 0) throw new Error("Invoice not found");
   const invoiceRow = invoiceRes.rows[0];
-  const sellerId = invoiceRow.userid;
-  const grossAmount = Number(invoiceRow.amount);
-
   const userResult = await db.query("SELECT * FROM users WHERE id = $1", [
     sellerId,
   ]);
-  if (userResult.rows.length === 0) throw new Error("Seller account not found");
   const invoiceUser = userResult.rows[0];
 
-  // ── Step 3: Determine referral and calculate fees ────────────────────────
-  // Check for a referrer BEFORE computing fees so the correct split is used.
-  const referrerCheck = await db.query(
-    "SELECT referred_by FROM users WHERE id = $1",
-    [sellerId],
-  );
-  const referrerId = referrerCheck.rows[0]?.referred_by ?? null;
-  const hasReferral = referrerId !== null;
-
-  // Seller always receives gross − 2%.  When a referrer exists, Fonlok keeps
-  // only 1.5% and the 0.5% remainder goes to the referrer.
-  const totalFee = Math.floor(grossAmount * TOTAL_FEE_RATE); // 2%
-  const referralEarning = hasReferral
-    ? Math.floor(grossAmount * REFERRAL_FEE_RATE) // 0.5%
-    : 0;
-  const fonlokNet = totalFee - referralEarning; // 1.5% or 2%
-  const sellerReceives = grossAmount - totalFee; // always gross − 2%
-
-  console.log(
-    `Invoice ${invoiceRow.invoicenumber}: gross=${grossAmount}, ` +
-      `totalFee=${totalFee}, fonlokNet=${fonlokNet}, ` +
-      `referralEarning=${referralEarning}, sellerReceives=${sellerReceives}`,
-  );
-
-  // ── Step 4: Transfer to seller via Campay ───────────────────────────────
-  const auth = await axios.post(`${process.env.CAMPAY_BASE_URL}token/`, {
-    username: process.env.CAMPAY_USERNAME,
-    password: process.env.CAMPAY_PASSWORD,
-  });
-
-  await axios.post(
-    `${process.env.CAMPAY_BASE_URL}withdraw/`,
-    {
-      amount: sellerReceives.toString(),
-      currency: "XAF",
-      to: invoiceUser.phone,
-      description: `Fonlok payout for invoice ${invoiceRow.invoicenumber}`,
-      external_reference: invoiceRow.invoicenumber,
-    },
-    { headers: { Authorization: `Token ${auth.data.token}` } },
-  );
-
-  // ── Step 5: Record the payout & mark invoice completed ─────────────────
+  // ── Record the payout & mark invoice completed ──────────────────────────
   await db.query(
-    "INSERT INTO payouts (userid, amount, method, status, invoice_id, invoice_number) VALUES ($1, $2, $3, $4, $5, $6)",
+    "INSERT INTO payouts (userid, amount, method, status, invoice_id, invoice_number, payout_job_id, provider_status) VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')",
     [
       sellerId,
       sellerReceives,
       "Mobile Money",
       "paid",
-      invoiceId,
-      invoiceRow.invoicenumber,
+      job.invoice_id,
+      invoiceNumber,
+      job.id,
     ],
   );
   // Mark the invoice as completed so any subsequent release attempt gets a
   // clean, informative error at the route layer before it ever reaches the
-  // atomic confirmation_codes lock.
-  await db.query("UPDATE invoices SET status = 'completed' WHERE id = $1", [
-    invoiceId,
-  ]);
+  // atomic confirmation_codes lock.  The money has already left, so an
+  // unexpected status is logged rather than allowed to stop the steps below.
+  const releasedBy = job.context.releasedBy ?? { actorType: "system" };
+  try {
+    await transitionInvoice(job.invoice_id, "completed", {
+      ...releasedBy,
+      reason: releasedBy.reason ?? "Funds released to the seller",
+      data: { payoutJobId: job.id },
+    });
+  } catch (err) {
+    console.error(
+      `Invoice ${invoiceNumber} could not be marked completed:`,
+      err.message,
+    );
+  }
 
-  // ── Step 6: Notify the seller ────────────────────────────────────────────
-  notifyUser(
+  // Ledger: escrow → seller payable + fee, then seller payable → provider
+  await recordEscrowRelease({
+    reference: invoiceNumber,
+    invoiceNumber,
     sellerId,
-    "payout_sent",
-    "Payout Sent",
-    `${sellerReceives} XAF has been sent to your Mobile Money account for invoice ${invoiceRow.invoicenumber}.`,
-    { amount: sellerReceives, invoiceNumber: invoiceRow.invoicenumber },
-  );
+    grossAmount,
+    sellerAmount: sellerReceives,
+    feeAmount: totalFee,
+    currency: job.currency,
+  });
+  await recordSellerPayout({
+    reference: invoiceNumber,
+    invoiceNumber,
+    sellerId,
+    amount: sellerReceives,
+    currency: job.currency,
+  });
 
-  // ── Step 7: Credit referral earnings &mdash; INSERT first, balance only if new ──
-  // The earnings row is the single source of truth.  INSERT with RETURNING
-  // tells us whether a genuinely new row was written (vs a conflict/no-op).
-  // The balance UPDATE only runs when a new row was actually inserted, so a
-  // retry or concurrent duplicate request can NEVER double-credit the referrer.
-  if (hasReferral && referralEarning > 0) {
-    try {
-      const earningsInsert = await db.query(
-        `INSERT INTO referral_earnings
-           (referrer_userid, referred_userid, invoice_number, invoice_amount, earned_amount)
-         VALUES ($1, $2, $3, $4, $5)
-         ON CONFLICT (invoice_number) DO NOTHING
-         RETURNING id`,
-        [
-          referrerId,
-          sellerId,
-          invoiceRow.invoicenumber,
-          grossAmount,
-          referralEarning,
-        ],
-      );
-      if (earningsInsert.rows.length > 0) {
-        await db.query(
-          "UPDATE users SET referral_balance = referral_balance + $1 WHERE id = $2",
-          [referralEarning, referrerId],
-        );
-        console.log(
-          `✅ Referral earning of ${referralEarning} XAF (0.5%) credited to user ${referrerId}. ` +
-            `Fonlok net fee: ${fonlokNet} XAF (1.5%).`,
-        );
-      } else {
-        console.log(
-          `ℹ️ Referral earnings for invoice ${invoiceRow.invoicenumber} already recorded &mdash; balance not double-credited.`,
-        );
-      }
-    } catch (referralErr) {
-      console.error(
-        "⚠️ Referral credit error (payout still succeeded):",
-        referralErr.message,
-      );
-    }
-  }
+  emitWebhookEvent(sellerId, "payout.sent", {
+    invoice_number: invoiceNumber,
+    reason: "invoice_release",
+    gross_amount: grossAmount,
+    fee: totalFee,
+    amount: sellerReceives,
+    currency: job.currency,
+    payout_job_id: job.id,
+  });
 
-  // ── Step 8: Send PDF receipt to seller ──────────────────────────────────
-  let sellerPdfAttachment = null;
-  try {
-    const pdfBuffer = await generateReceiptPdf(invoiceRow.invoicenumber);
-    sellerPdfAttachment = {
-      content: pdfBuffer.toString("base64"),
-      filename: `fonlok-receipt-${invoiceRow.invoicenumber}.pdf`,
-      type: "application/pdf",
-      disposition: "attachment",
-    };
-  } catch (pdfErr) {
-    console.error("⚠️ Could not generate seller receipt PDF:", pdfErr.message);
-  }
+  // ── Credit referral earnings ────────────────────────────────────────────
+  await creditReferral({
+    referrerId,
+    sellerId,
+    earningKey: invoiceNumber,
+    invoiceNumber,
+    grossAmount,
+    amount: referralEarning,
+    currency: job.currency,
+  });
 
-  const feeLabel = hasReferral ? "Fonlok Fee (1.5%)" : "Fonlok Fee (2%)";
-  const sellerReceiptDownloadLink = `${process.env.BACKEND_URL}/invoice/receipt/${invoiceRow.invoicenumber}`;
-  const sellerReceiptMsg = {
-    to: invoiceUser.email,
-    from: process.env.VERIFIED_SENDER,
-    subject: `Payout Confirmed  - Invoice ${invoiceRow.invoicenumber} | Fonlok`,
-    html: emailWrap(
-      `<h2 style="color:#0F1F3D;margin:0 0 12px;">Payout Confirmed &mdash; Funds Sent</h2>
-      <p style="color:#475569;">Hello ${invoiceUser.name}, the buyer has confirmed delivery and your funds have been transferred to your Mobile Money account.</p>
-      ${emailTable([
-        ["Invoice Number", invoiceRow.invoicenumber],
-        ["Invoice Name", invoiceRow.invoicename],
-        ["Gross Amount", `${grossAmount} XAF`],
-        [feeLabel, `−${totalFee} XAF`, "color:#dc2626;"],
-        [
-          "Amount Sent",
-          `${sellerReceives} XAF`,
-          "font-weight:700;color:#16a34a;font-size:15px;",
-        ],
-        ["Sent To", invoiceUser.phone],
-        ["Status", "&#10003;&nbsp;Paid Out", "color:#16a34a;font-weight:600;"],
-      ])}
-      <p style="color:#475569;margin-top:12px;">Your official payout receipt is attached to this email as a PDF. You can also download it at any time using the button below.</p>
-      ${emailButton(sellerReceiptDownloadLink, "Download PDF Receipt")}`,
-      {
-        footerNote:
-          "Thank you for using Fonlok. This email confirms your payout has been processed. Please keep this receipt for your records.",
+  // ── Notify the seller, with the PDF receipt ─────────────────────────────
+  const lang = invoiceUser.language || DEFAULT_LANGUAGE;
+  const sellerPdfAttachment = await receiptAttachment(invoiceNumber, lang);
+  await notifyUser(
+    sellerId,
+    "payout_sent",
+    "Payout Sent",
+    `${formatAmount(sellerReceives, job.currency)} has been sent to your Mobile Money account for invoice ${invoiceNumber}.`,
+    { amount: sellerReceives, invoiceNumber },
+    {
+      email: {
+        template: "seller.payout_sent",
+        invoiceNumber,
+        attachments: sellerPdfAttachment ? [sellerPdfAttachment] : [],
+        data: {
+          sellerName: invoiceUser.name,
+          invoiceNumber,
+          invoiceName: invoiceRow.invoicename,
+          grossAmount: Number(grossAmount),
+          fee: Number(totalFee),
+          amount: Number(sellerReceives),
+          currency: job.currency,
+          phone: job.phone,
+          referred: Boolean(referrerId),
+        },
       },
-    ),
-    ...(sellerPdfAttachment ? { attachments: [sellerPdfAttachment] } : {}),
-  };
-
-  try {
-    await sgMail.send(sellerReceiptMsg);
-    console.log("✅ Seller receipt email sent.");
-  } catch (emailErr) {
-    console.error(
-      "❌ Seller Receipt Email Error:",
-      emailErr.response ? emailErr.response.body : emailErr.message,
-    );
-  }
-
-  return true;
+      sms: {
+        template: "seller.payout_sent",
+        data: {
+          invoiceNumber,
+          amount: Number(sellerReceives),
+          currency: job.currency,
+          phone: job.phone,
+        },
+      },
+    },
+  );
 };
 
-// FUNCTION WITH LINK
+registerPayoutHandler("invoice_release", {
+  onSuccess: completeInvoicePayout,
+  // Cancelled by an admin: un-burn the confirmation code so the funds can be
+  // released again once the seller's payout details are fixed.
+  onCancel: async (job) => {
+    await db.query(
+      "UPDATE confirmation_codes SET is_used = false WHERE code_id = $1",
+      [job.invoice_id],
+    );
+  },
+});
 
 // ─────────────────────────────────────────────────────────────────────────────
-// executePayoutLink(invoiceId)
-// Shared core for Method 2 (email-link release).
+// releaseMilestone({ milestone, invoice, seller, releasedBy })
+// Shared core for all three milestone release methods (3a, 3b, 3) and the
+// scheduler's per-milestone auto-release.
+// releasedBy = { actorType, actorId, reason }, as for executePayout — written
+// to the invoice history when the last milestone completes the invoice.
 //
-// invoiceId is the confirmation_codes.code_id value obtained from the token
-// row &mdash; validated by the calling route BEFORE this function is invoked, so we
-// know it is the correct invoice for this token.
+// The atomic status lock (completed → released) and the payout_jobs row are
+// committed together; the transfer is then attempted through the payout
+// queue and completeMilestonePayout runs once it succeeds.
 //
-// RACE-CONDITION PROTECTION: identical atomic-lock pattern to executePayout.
+// Returns { locked: false } if another request released it first, otherwise
+// { locked: true, job, sellerReceives, remaining }.
 // ─────────────────────────────────────────────────────────────────────────────
-const executePayoutLink = async (invoiceId) => {
-  // ── Step 1: Atomically claim the payout slot ─────────────────────────────
-  const lockResult = await db.query(
-    `UPDATE confirmation_codes
-        SET is_used = true
-      WHERE code_id = $1
-        AND is_used  = false
-      RETURNING code_id`,
-    [invoiceId],
-  );
-  if (lockResult.rows.length === 0) {
-    throw new Error(
-      `Payout for invoice id ${invoiceId} has already been processed or the confirmation code was not found.`,
+export const releaseMilestone = async ({
+  milestone,
+  invoice,
+  seller,
+  releasedBy = { actorType: "buyer" },
+}) => {
+  const milestoneAmount = Number(milestone.amount);
+  const client = await db.connect();
+  let job;
+  let fees;
+  try {
+    await client.query("BEGIN");
+
+    // Atomic lock — UPDATE only succeeds when status is currently
+    // 'completed'.  A concurrent request finds 'released' and gets zero rows.
+    const milestoneLock = await client.query(
+      `UPDATE invoice_milestones
+          SET status        = 'released',
+              released_at   = NOW(),
+              release_token = NULL
+        WHERE id     = $1
+          AND status = 'completed'
+        RETURNING id`,
+      [milestone.id],
     );
-  }
+    if (milestoneLock.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return { locked: false };
+    }
 
-  // ── Step 2: Fetch invoice & seller ──────────────────────────────────────
-  const invoiceRes = await db.query("SELECT * FROM invoices WHERE id = $1", [
-    invoiceId,
-  ]);
-  if (!invoiceRes.rows[0]) throw new Error("Invoice not found");
-  const invoiceRow = invoiceRes.rows[0];
-  const sellerId = invoiceRow.userid;
-  const grossAmount = Number(invoiceRow.amount);
+    // Same split as invoice payouts
+    fees = await calculateFees(
+      invoice.userid,
+      milestoneAmount,
+      invoice.currency,
+      client,
+    );
+    console.log(
+      `Milestone ${milestone.id} (${milestone.label}): gross=${milestoneAmount}, ` +
+        `totalFee=${fees.totalFee}, fonlokNet=${fees.fonlokNet}, ` +
+        `referralEarning=${fees.referralEarning}, sellerReceives=${fees.sellerReceives}`,
+    );
 
-  const userResult = await db.query("SELECT * FROM users WHERE id = $1", [
-    sellerId,
-  ]);
-  if (userResult.rows.length === 0) throw new Error("Seller account not found");
-  const invoiceUser = userResult.rows[0];
+    job = await enqueuePayout(
+      {
+        kind: "milestone_release",
+        reference: `milestone-${milestone.id}`,
+        userId: invoice.userid,
+        invoiceId: invoice.id,
+        invoiceNumber: invoice.invoicenumber,
+        amount: fees.sellerReceives,
+        currency: invoice.currency,
+        phone: seller.phone,
+        description: `Fonlok milestone payout: ${milestone.label} (Invoice ${invoice.invoicenumber})`,
+        context: {
+          milestoneId: milestone.id,
+          milestoneLabel: milestone.label,
+          grossAmount: milestoneAmount,
+          totalFee: fees.totalFee,
+          referrerId: fees.referrerId,
+          referralEarning: fees.referralEarning,
+          releasedBy,
+        },
+      },
+      client,
+    );
 
-  // ── Step 3: Determine referral and calculate fees ────────────────────────
-  const referrerCheck = await db.query(
-    "SELECT referred_by FROM users WHERE id = $1",
-    [sellerId],
-  );
-  const referrerId = referrerCheck.rows[0]?.referred_by ?? null;
-  const hasReferral = referrerId !== null;
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
 
-  const totalFee = Math.floor(grossAmount * TOTAL_FEE_RATE); // 2%
-  const referralEarning = hasReferral
-    ? Math.floor(grossAmount * REFERRAL_FEE_RATE) // 0.5%
-    : 0;
-  const fonlokNet = totalFee - referralEarning; // 1.5% or 2%
-  const sellerReceives = grossAmount - totalFee; // gross − 2%
+  const attempted = await processPayoutJob(job.id);
 
-  console.log(
-    `Invoice ${invoiceRow.invoicenumber}: gross=${grossAmount}, ` +
-      `totalFee=${totalFee}, fonlokNet=${fonlokNet}, ` +
-      `referralEarning=${referralEarning}, sellerReceives=${sellerReceives}`,
+  const remainingResult = await db.query(
+    "SELECT COUNT(*) AS remaining FROM invoice_milestones WHERE invoice_id = $1 AND status != 'released'",
+    [milestone.invoice_id],
   );
 
-  // ── Step 4: Transfer to seller via Campay ───────────────────────────────
-  const auth = await axios.post(`${process.env.CAMPAY_BASE_URL}token/`, {
-    username: process.env.CAMPAY_USERNAME,
-    password: process.env.CAMPAY_PASSWORD,
-  });
+  return {
+    locked: true,
+    job: attempted,
+    sellerReceives: fees.sellerReceives,
+    remaining: parseInt(remainingResult.rows[0].remaining),
+  };
+};
 
-  await axios.post(
-    `${process.env.CAMPAY_BASE_URL}withdraw/`,
-    {
-      amount: sellerReceives.toString(),
-      currency: "XAF",
-      to: invoiceUser.phone,
-      description: `Fonlok payout for invoice ${invoiceRow.invoicenumber}`,
-      external_reference: invoiceRow.invoicenumber,
-    },
-    { headers: { Authorization: `Token ${auth.data.token}` } },
-  );
+// ─────────────────────────────────────────────────────────────────────────────
+// completeMilestonePayout(job) — payout queue onSuccess for "milestone_release"
+// ─────────────────────────────────────────────────────────────────────────────
+const completeMilestonePayout = async (job) => {
+  const {
+    milestoneId,
+    milestoneLabel,
+    grossAmount: milestoneAmount,
+    totalFee: fonlokFee,
+    referrerId,
+    referralEarning,
+  } = job.context;
+  const sellerId = job.user_id;
+  const invoiceNumber = job.invoice_number;
+  const sellerReceives = Number(job.amount);
+  const earningKey = `${invoiceNumber}-ms${milestoneId}`;
+
+  const invoiceResult = await db.query("SELECT * FROM invoices WHERE id = $1", [
+    job.invoice_id,
+  ]);
+  const invoice = invoiceResult.rows[0];
+  const sellerResult = await db.query("SELECT * FROM users WHERE id = $1", [
+    sellerId,
+  ]);
+  const seller = sellerResult.rows[0];
 
-  // ── Step 5: Record the payout & mark invoice completed ─────────────────
+  // Record payout
   await db.query(
-    "INSERT INTO payouts (userid, amount, method, status, invoice_id, invoice_number) VALUES ($1, $2, $3, $4, $5, $6)",
+    "INSERT INTO payouts (userid, amount, method, status, invoice_id, invoice_number, payout_job_id, provider_status) VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')",
     [
       sellerId,
       sellerReceives,
       "Mobile Money",
       "paid",
-      invoiceId,
-      invoiceRow.invoicenumber,
+      job.invoice_id,
+      invoiceNumber,
+      job.id,
     ],
   );
-  await db.query("UPDATE invoices SET status = 'completed' WHERE id = $1", [
-    invoiceId,
-  ]);
-
-  // ── Step 6: Notify the seller ────────────────────────────────────────────
-  notifyUser(
+  await recordEscrowRelease({
+    reference: earningKey,
+    invoiceNumber,
     sellerId,
-    "payout_sent",
-    "Payout Sent",
-    `${sellerReceives} XAF has been sent to your Mobile Money account for invoice ${invoiceRow.invoicenumber}.`,
-    { amount: sellerReceives, invoiceNumber: invoiceRow.invoicenumber },
-  );
+    grossAmount: milestoneAmount,
+    sellerAmount: sellerReceives,
+    feeAmount: fonlokFee,
+    currency: job.currency,
+  });
+  await recordSellerPayout({
+    reference: earningKey,
+    invoiceNumber,
+    sellerId,
+    amount: sellerReceives,
+    currency: job.currency,
+  });
 
-  // ── Step 7: Credit referral earnings &mdash; INSERT first, balance only if new ──
-  if (hasReferral && referralEarning > 0) {
-    try {
-      const earningsInsert = await db.query(
-        `INSERT INTO referral_earnings
-           (referrer_userid, referred_userid, invoice_number, invoice_amount, earned_amount)
-         VALUES ($1, $2, $3, $4, $5)
-         ON CONFLICT (invoice_number) DO NOTHING
-         RETURNING id`,
-        [
-          referrerId,
-          sellerId,
-          invoiceRow.invoicenumber,
-          grossAmount,
-          referralEarning,
-        ],
-      );
-      if (earningsInsert.rows.length > 0) {
-        await db.query(
-          "UPDATE users SET referral_balance = referral_balance + $1 WHERE id = $2",
-          [referralEarning, referrerId],
-        );
-        console.log(
-          `✅ Referral earning of ${referralEarning} XAF (0.5%) credited to user ${referrerId}. ` +
-            `Fonlok net fee: ${fonlokNet} XAF (1.5%).`,
-        );
-      } else {
-        console.log(
-          `ℹ️ Referral earnings for invoice ${invoiceRow.invoicenumber} already recorded &mdash; balance not double-credited.`,
-        );
-      }
-    } catch (referralErr) {
-      console.error(
-        "⚠️ Referral credit error (payout still succeeded):",
-        referralErr.message,
-      );
-    }
-  }
+  emitWebhookEvent(sellerId, "milestone.released", {
+    invoice_number: invoiceNumber,
+    milestone_id: milestoneId,
+    milestone_label: milestoneLabel,
+    amount: milestoneAmount,
+    currency: job.currency,
+  });
+  emitWebhookEvent(sellerId, "payout.sent", {
+    invoice_number: invoiceNumber,
+    reason: "milestone_release",
+    milestone_id: milestoneId,
+    gross_amount: milestoneAmount,
+    fee: fonlokFee,
+    amount: sellerReceives,
+    currency: job.currency,
+    payout_job_id: job.id,
+  });
 
-  // ── Step 8: Send PDF receipt to seller ──────────────────────────────────
-  let sellerPdfAttachment = null;
-  try {
-    const pdfBuffer = await generateReceiptPdf(invoiceRow.invoicenumber);
-    sellerPdfAttachment = {
-      content: pdfBuffer.toString("base64"),
-      filename: `fonlok-receipt-${invoiceRow.invoicenumber}.pdf`,
-      type: "application/pdf",
-      disposition: "attachment",
-    };
-  } catch (pdfErr) {
-    console.error("⚠️ Could not generate seller receipt PDF:", pdfErr.message);
+  // Referral credit (non-fatal)
+  await creditReferral({
+    referrerId,
+    sellerId,
+    earningKey,
+    invoiceNumber,
+    grossAmount: milestoneAmount,
+    amount: referralEarning,
+    currency: job.currency,
+  });
+
+  // Check if ALL milestones for this invoice are now released
+  const remainingResult = await db.query(
+    "SELECT COUNT(*) AS remaining FROM invoice_milestones WHERE invoice_id = $1 AND status != 'released'",
+    [job.invoice_id],
+  );
+  const remaining = parseInt(remainingResult.rows[0].remaining);
+  if (remaining === 0) {
+    // Jobs queued before releasedBy was kept were all released by the buyer
+    const releasedBy = job.context.releasedBy ?? { actorType: "buyer" };
+    await transitionInvoice(job.invoice_id, "completed", {
+      ...releasedBy,
+      reason: releasedBy.reason
+        ? `All milestones released. ${releasedBy.reason}`
+        : "All milestones released",
+      data: { payoutJobId: job.id },
+    });
+    console.log(
+      `✅ All milestones released — invoice ${invoiceNumber} marked completed.`,
+    );
   }
 
-  const feeLabel = hasReferral ? "Fonlok Fee (1.5%)" : "Fonlok Fee (2%)";
-  const sellerReceiptDownloadLink = `${process.env.BACKEND_URL}/invoice/receipt/${invoiceRow.invoicenumber}`;
-  const sellerReceiptMsg = {
-    to: invoiceUser.email,
-    from: process.env.VERIFIED_SENDER,
-    subject: `Payout Confirmed  - Invoice ${invoiceRow.invoicenumber} | Fonlok`,
-    html: emailWrap(
-      `<h2 style="color:#0F1F3D;margin:0 0 12px;">Payout Confirmed &mdash; Funds Sent</h2>
-      <p style="color:#475569;">Hello ${invoiceUser.name}, the buyer has confirmed delivery and your funds have been transferred to your Mobile Money account.</p>
-      ${emailTable([
-        ["Invoice Number", invoiceRow.invoicenumber],
-        ["Invoice Name", invoiceRow.invoicename],
-        ["Gross Amount", `${grossAmount} XAF`],
-        [feeLabel, `−${totalFee} XAF`, "color:#dc2626;"],
-        [
-          "Amount Sent",
-          `${sellerReceives} XAF`,
-          "font-weight:700;color:#16a34a;font-size:15px;",
-        ],
-        ["Sent To", invoiceUser.phone],
-        ["Status", "&#10003;&nbsp;Paid Out", "color:#16a34a;font-weight:600;"],
-      ])}
-      <p style="color:#475569;margin-top:12px;">Your official payout receipt is attached to this email as a PDF. You can also download it at any time using the button below.</p>
-      ${emailButton(sellerReceiptDownloadLink, "Download PDF Receipt")}`,
-      {
-        footerNote:
-          "Thank you for using Fonlok. This email confirms your payout has been processed. Please keep this receipt for your records.",
+  // Notify the seller, with the PDF receipt (non-fatal)
+  const lang = seller.language || DEFAULT_LANGUAGE;
+  const milestonePdfAttachment = await receiptAttachment(invoiceNumber, lang);
+  await notifyUser(
+    sellerId,
+    "milestone_released",
+    "Milestone Payout Sent",
+    `${formatAmount(sellerReceives, job.currency)} has been sent to your Mobile Money account for milestone: "${milestoneLabel}".`,
+    { milestoneLabel, amount: sellerReceives, invoiceNumber },
+    {
+      email: {
+        template: "seller.milestone_payout_sent",
+        invoiceNumber,
+        attachments: milestonePdfAttachment ? [milestonePdfAttachment] : [],
+        data: {
+          sellerName: seller.name,
+          invoiceNumber,
+          invoiceName: invoice.invoicename,
+          milestoneLabel,
+          grossAmount: Number(milestoneAmount),
+          fee: Number(fonlokFee),
+          amount: Number(sellerReceives),
+          currency: job.currency,
+          phone: job.phone,
+          referred: Boolean(referrerId),
+          remaining,
+        },
       },
-    ),
-    ...(sellerPdfAttachment ? { attachments: [sellerPdfAttachment] } : {}),
-  };
+    },
+  );
+};
 
-  try {
-    await sgMail.send(sellerReceiptMsg);
-    console.log("✅ Seller receipt email sent.");
-  } catch (error) {
-    console.error(
-      "❌ Seller Receipt Email Error:",
-      error.response ? error.response.body : error.message,
+registerPayoutHandler("milestone_release", {
+  onSuccess: completeMilestonePayout,
+  // Cancelled by an admin: put the milestone back to 'completed' so the
+  // buyer can release it again from the invoice page.  Its inspection period
+  // has ended, so the scheduler must not release it again on its own.
+  onCancel: async (job) => {
+    await db.query(
+      "UPDATE invoice_milestones SET status = 'completed', released_at = NULL, auto_release_at = NULL WHERE id = $1 AND status = 'released'",
+      [job.context.milestoneId],
     );
-  }
+  },
+});
 
-  return true;
-};
+// Message shown to the buyer/seller when the transfer did not go through on
+// the first attempt but is safely queued for retry.
+const QUEUED_PAYOUT_MESSAGE =
+  "The release is confirmed. The transfer to the seller's Mobile Money is being retried automatically and the seller will be notified as soon as it arrives.";
 
 // --- METHOD 1: RELEASE BY CODE (Manual Request by seller) ---
 // The frontend sends: { code: "XXXXXXXX", invoiceNumber: "INV-XXXX" }
 // The seller enters the 8-character code given to them by the buyer.
-router.post("/release-funds", async (req, res) => {
+router.post("/release-funds", idempotency, async (req, res) => {
   const { code, invoiceNumber } = req.body;
 
   if (!code || !invoiceNumber) {
@@ -591,7 +792,20 @@ router.post("/release-funds", async (req, res) => {
     }
 
     // Step 5: Execute the payout
-    await executePayout(invoiceId);
+    const job = await executePayout(invoiceId, {
+      actorType: "seller",
+      actorId: invoice.userid,
+      reason: "Released with the buyer's confirmation code",
+    });
+
+    if (job.status !== "succeeded") {
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        message:
+          "The release is confirmed. The transfer to your Mobile Money account did not go through yet and is being retried automatically. You will be notified as soon as it arrives.",
+      });
+    }
 
     return res.status(200).json({
       success: true,
@@ -626,6 +840,7 @@ router.get("/verify-payout/:token/:id", async (req, res) => {
         .status(404)
         .send(renderPage({
           type: "error",
+          lang: req.lang,
           title: "Invalid Link",
           body: "This confirmation link does not exist or has already been used.",
           note: "If you believe this is an error, please contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
@@ -640,6 +855,7 @@ router.get("/verify-payout/:token/:id", async (req, res) => {
         .status(400)
         .send(renderPage({
           type: "warning",
+          lang: req.lang,
           title: "Link Already Used",
           body: "These funds have already been released. Each confirmation link can only be used once.",
           note: "If you have any questions, contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
@@ -649,10 +865,11 @@ router.get("/verify-payout/:token/:id", async (req, res) => {
     // Token is valid — show the confirmation page instead of executing immediately
     res.send(renderPage({
       type: "warning",
+      lang: req.lang,
       title: "Release Funds to Seller?",
       body: "You are about to release the escrowed funds to the seller for this invoice.",
       warningBox: "<strong>This action cannot be undone.</strong><br>Only confirm if you have received your order and are fully satisfied. If there is an issue, contact the seller before proceeding.",
-      formAction: `/api/verify-payout/${token}/${id}`,
+      formAction: `/api/verify-payout/${token}/${id}?lang=${req.lang}`,
       formLabel: "✓ Yes, Release Funds to Seller",
       note: "If you have not received your order or are not satisfied, do <strong>not</strong> click the button above.",
     }));
@@ -660,6 +877,7 @@ router.get("/verify-payout/:token/:id", async (req, res) => {
     console.error("Confirmation Page Error:", error.message);
     res.status(500).send(renderPage({
       type: "error",
+      lang: req.lang,
       title: "Something Went Wrong",
       body: "An unexpected error occurred. Please try again or contact support.",
       note: "Email us at <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> with your invoice number.",
@@ -682,6 +900,7 @@ router.post("/verify-payout/:token/:id", async (req, res) => {
         .status(404)
         .send(renderPage({
           type: "error",
+          lang: req.lang,
           title: "Invalid Link",
           body: "This confirmation link does not exist or has already been used.",
           note: "If you believe this is an error, contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
@@ -698,6 +917,7 @@ router.post("/verify-payout/:token/:id", async (req, res) => {
         .status(400)
         .send(renderPage({
           type: "warning",
+          lang: req.lang,
           title: "Link Already Used",
           body: "These funds have already been released. Each confirmation link can only be used once.",
           note: "If you have any questions, contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
@@ -710,6 +930,7 @@ router.post("/verify-payout/:token/:id", async (req, res) => {
         .status(400)
         .send(renderPage({
           type: "error",
+          lang: req.lang,
           title: "Invalid Request",
           body: "The link parameters do not match. This link may have been tampered with.",
           note: "If you received this link by email from Fonlok and believe this is an error, contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
@@ -726,6 +947,7 @@ router.post("/verify-payout/:token/:id", async (req, res) => {
         .status(400)
         .send(renderPage({
           type: "warning",
+          lang: req.lang,
           title: "Payment Not Yet Confirmed",
           body: "The buyer\u2019s payment has not been confirmed yet. Funds can only be released once the payment clears.",
           note: "Please check back shortly, or contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> if this persists.",
@@ -733,10 +955,25 @@ router.post("/verify-payout/:token/:id", async (req, res) => {
     }
 
     // Execute the payout — pass the invoice id from the token (authoritative)
-    await executePayoutLink(userInvoiceId);
+    const job = await executePayout(userInvoiceId, {
+      actorType: "buyer",
+      reason: "Released from the buyer's confirmation link",
+    });
+
+    if (job.status !== "succeeded") {
+      return res.status(202).send(renderPage({
+        type: "info",
+        lang: req.lang,
+        title: "Release Confirmed",
+        body: "You have released the escrowed funds for this invoice. {queued}",
+        vars: { queued: t(req.lang, QUEUED_PAYOUT_MESSAGE) },
+        note: "No further action is required. You can close this page.",
+      }));
+    }
 
     res.send(renderPage({
       type: "success",
+      lang: req.lang,
       title: "Funds Released",
       body: "You have successfully released the escrowed funds to the seller. The seller will receive a notification and payment confirmation by email.",
       note: "Thank you for using Fonlok. You can close this page.",
@@ -745,6 +982,7 @@ router.post("/verify-payout/:token/:id", async (req, res) => {
     console.error("Link Payout Failed:", error.message);
     res.status(500).send(renderPage({
       type: "error",
+      lang: req.lang,
       title: "Something Went Wrong",
       body: "An unexpected error occurred while processing the fund release. No money has been moved.",
       note: "Please contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> with your invoice number.",
@@ -820,198 +1058,36 @@ router.post("/release-milestone/confirm", async (req, res) => {
     }
     const seller = sellerResult.rows[0];
 
-    // 5. Atomic lock — prevents double-release from concurrent requests
-    const milestoneLock = await db.query(
-      `UPDATE invoice_milestones
-          SET status        = 'released',
-              released_at   = NOW(),
-              release_token = NULL
-        WHERE id     = $1
-          AND status = 'completed'
-        RETURNING id`,
-      [milestone.id],
-    );
-    if (milestoneLock.rows.length === 0) {
+    // 5. Lock, queue and attempt the transfer (see releaseMilestone)
+    const release = await releaseMilestone({
+      milestone,
+      invoice,
+      seller,
+      releasedBy: {
+        actorType: "buyer",
+        reason: `Milestone "${milestone.label}" released from the invoice page`,
+      },
+    });
+    if (!release.locked) {
       return res
         .status(400)
         .json({ message: "This milestone has already been released." });
     }
+    const { job, sellerReceives, remaining } = release;
 
-    // 6. Fee calculation (identical to email-link route)
-    const milestoneAmount = Number(milestone.amount);
-    const referrerCheckMs = await db.query(
-      "SELECT referred_by FROM users WHERE id = $1",
-      [invoice.userid],
-    );
-    const referrerIdMs = referrerCheckMs.rows[0]?.referred_by ?? null;
-    const hasReferralMs = referrerIdMs !== null;
-
-    const msTotalFee = Math.floor(milestoneAmount * TOTAL_FEE_RATE);
-    const msReferralEarning = hasReferralMs
-      ? Math.floor(milestoneAmount * REFERRAL_FEE_RATE)
-      : 0;
-    const msFonlokNet = msTotalFee - msReferralEarning;
-    const sellerReceives = milestoneAmount - msTotalFee;
-    const fonlokFee = msTotalFee;
-
-    // 7. Campay transfer
-    const auth = await axios.post(`${process.env.CAMPAY_BASE_URL}token/`, {
-      username: process.env.CAMPAY_USERNAME,
-      password: process.env.CAMPAY_PASSWORD,
-    });
-    await axios.post(
-      `${process.env.CAMPAY_BASE_URL}withdraw/`,
-      {
-        amount: sellerReceives.toString(),
-        currency: "XAF",
-        to: seller.phone,
-        description: `Fonlok milestone payout: ${milestone.label} (Invoice ${invoice.invoicenumber})`,
-        external_reference: `milestone-${milestone.id}`,
-      },
-      { headers: { Authorization: `Token ${auth.data.token}` } },
-    );
-
-    // 8. Record payout
-    await db.query(
-      "INSERT INTO payouts (userid, amount, method, status, invoice_id, invoice_number) VALUES ($1, $2, $3, $4, $5, $6)",
-      [
-        invoice.userid,
+    if (job.status !== "succeeded") {
+      return res.status(202).json({
+        message: QUEUED_PAYOUT_MESSAGE,
         sellerReceives,
-        "Mobile Money",
-        "paid",
-        invoice.id,
-        invoice.invoicenumber,
-      ],
-    );
-
-    // 9. In-app notification to seller
-    notifyUser(
-      invoice.userid,
-      "milestone_released",
-      "Milestone Payout Sent",
-      `${sellerReceives} XAF has been sent to your Mobile Money account for milestone: \"${milestone.label}\".`,
-      {
         milestoneLabel: milestone.label,
-        amount: sellerReceives,
-        invoiceNumber: invoice.invoicenumber,
-      },
-    );
-
-    // 10. Referral credit (non-fatal)
-    if (hasReferralMs && msReferralEarning > 0) {
-      try {
-        const msEarningsInsert = await db.query(
-          `INSERT INTO referral_earnings
-             (referrer_userid, referred_userid, invoice_number, invoice_amount, earned_amount)
-           VALUES ($1, $2, $3, $4, $5)
-           ON CONFLICT (invoice_number) DO NOTHING
-           RETURNING id`,
-          [
-            referrerIdMs,
-            invoice.userid,
-            `${invoice.invoicenumber}-ms${milestone.id}`,
-            milestoneAmount,
-            msReferralEarning,
-          ],
-        );
-        if (msEarningsInsert.rows.length > 0) {
-          await db.query(
-            "UPDATE users SET referral_balance = referral_balance + $1 WHERE id = $2",
-            [msReferralEarning, referrerIdMs],
-          );
-          console.log(
-            `✅ Milestone referral: ${msReferralEarning} XAF credited to user ${referrerIdMs}.`,
-          );
-        }
-      } catch (referralErr) {
-        console.error(
-          "⚠️ Referral credit error (milestone payout succeeded):",
-          referralErr.message,
-        );
-      }
-    }
-
-    // 11. Check if ALL milestones for this invoice are now released
-    const remainingResult = await db.query(
-      "SELECT COUNT(*) AS remaining FROM invoice_milestones WHERE invoice_id = $1 AND status != 'released'",
-      [milestone.invoice_id],
-    );
-    const remaining = parseInt(remainingResult.rows[0].remaining);
-    if (remaining === 0) {
-      await db.query("UPDATE invoices SET status = 'completed' WHERE id = $1", [
-        milestone.invoice_id,
-      ]);
-      console.log(
-        `✅ All milestones released — invoice ${invoice.invoicenumber} marked completed.`,
-      );
-    }
-
-    // 12. Email seller receipt (non-fatal)
-    try {
-      let milestonePdfAttachment = null;
-      try {
-        const pdfBuffer = await generateReceiptPdf(invoice.invoicenumber);
-        milestonePdfAttachment = {
-          content: pdfBuffer.toString("base64"),
-          filename: `fonlok-receipt-${invoice.invoicenumber}.pdf`,
-          type: "application/pdf",
-          disposition: "attachment",
-        };
-      } catch (pdfErr) {
-        console.error(
-          "⚠️ Could not generate milestone receipt PDF:",
-          pdfErr.message,
-        );
-      }
-      const msFeeLabel = hasReferralMs
-        ? "Fonlok Fee (1.5%)"
-        : "Fonlok Fee (2%)";
-      const milestoneReceiptLink = `${process.env.BACKEND_URL}/invoice/receipt/${invoice.invoicenumber}`;
-      const sellerMsg = {
-        to: seller.email,
-        from: process.env.VERIFIED_SENDER,
-        subject: `Milestone Payment Released — ${milestone.label} | Fonlok`,
-        html: emailWrap(
-          `<h2 style="color:#0F1F3D;margin:0 0 12px;">Milestone Payment Sent &mdash; ${milestone.label}</h2>
-          <p style="color:#475569;">Hello ${seller.name}, the buyer has confirmed <strong>${milestone.label}</strong> for invoice <strong>${invoice.invoicename}</strong> and your payment has been processed.</p>
-          ${emailTable([
-            ["Invoice", invoice.invoicenumber],
-            ["Milestone", milestone.label],
-            ["Gross Amount", `${milestoneAmount} XAF`],
-            [msFeeLabel, `−${fonlokFee} XAF`, "color:#dc2626;"],
-            [
-              "Amount Sent to You",
-              `${sellerReceives} XAF`,
-              "font-weight:700;color:#16a34a;font-size:15px;",
-            ],
-            ["Sent To", seller.phone],
-          ])}
-          ${
-            remaining === 0
-              ? '<p style="color:#16a34a;font-weight:600;margin-top:12px;">All milestones have been released. This invoice is now complete.</p>'
-              : `<p style="color:#475569;margin-top:12px;">Remaining milestones: <strong>${remaining}</strong></p>`
-          }
-          ${emailButton(milestoneReceiptLink, "Download PDF Receipt")}`,
-          {
-            footerNote:
-              "Thank you for using Fonlok. This email confirms your milestone payout has been processed.",
-          },
-        ),
-        ...(milestonePdfAttachment
-          ? { attachments: [milestonePdfAttachment] }
-          : {}),
-      };
-      await sgMail.send(sellerMsg);
-      console.log(`✅ Milestone receipt sent to seller ${seller.email}`);
-    } catch (emailErr) {
-      console.error(
-        "❌ Seller milestone receipt email error:",
-        emailErr.message,
-      );
+        allComplete: remaining === 0,
+        remaining,
+        payoutStatus: job.status,
+      });
     }
 
     return res.status(200).json({
-      message: `Payment released successfully. ${sellerReceives.toLocaleString()} XAF sent to the seller.`,
+      message: `Payment released successfully. ${formatAmount(sellerReceives, invoice.currency)} sent to the seller.`,
       sellerReceives,
       milestoneLabel: milestone.label,
       allComplete: remaining === 0,
@@ -1035,7 +1111,7 @@ router.post("/release-milestone/confirm", async (req, res) => {
 // the invoice page without needing the one-time email link.
 // Ownership is verified via the guests table (user_id recorded at payment time).
 
-router.post("/release-milestone/by-user", authMiddleware, async (req, res) => {
+router.post("/release-milestone/by-user", authMiddleware, idempotency, async (req, res) => {
   const { milestone_id } = req.body;
   const buyerUserId = req.user.id;
 
@@ -1108,185 +1184,37 @@ router.post("/release-milestone/by-user", authMiddleware, async (req, res) => {
     }
     const seller = sellerResult.rows[0];
 
-    // 7. Atomic lock — prevents double-release from concurrent requests
-    const milestoneLock = await db.query(
-      `UPDATE invoice_milestones
-          SET status        = 'released',
-              released_at   = NOW(),
-              release_token = NULL
-        WHERE id     = $1
-          AND status = 'completed'
-        RETURNING id`,
-      [milestone.id],
-    );
-    if (milestoneLock.rows.length === 0) {
+    // 7. Lock, queue and attempt the transfer (see releaseMilestone)
+    const release = await releaseMilestone({
+      milestone,
+      invoice,
+      seller,
+      releasedBy: {
+        actorType: "buyer",
+        actorId: buyerUserId,
+        reason: `Milestone "${milestone.label}" released from the buyer's account`,
+      },
+    });
+    if (!release.locked) {
       return res
         .status(400)
         .json({ message: "This milestone has already been released." });
     }
+    const { job, sellerReceives, remaining } = release;
 
-    // 8. Fee calculation
-    const milestoneAmount = Number(milestone.amount);
-    const referrerCheck = await db.query(
-      "SELECT referred_by FROM users WHERE id = $1",
-      [invoice.userid],
-    );
-    const referrerId = referrerCheck.rows[0]?.referred_by ?? null;
-    const hasReferral = referrerId !== null;
-
-    const totalFee = Math.floor(milestoneAmount * TOTAL_FEE_RATE);
-    const referralEarning = hasReferral
-      ? Math.floor(milestoneAmount * REFERRAL_FEE_RATE)
-      : 0;
-    const sellerReceives = milestoneAmount - totalFee;
-    const fonlokFee = totalFee;
-
-    // 9. Campay transfer
-    const auth = await axios.post(`${process.env.CAMPAY_BASE_URL}token/`, {
-      username: process.env.CAMPAY_USERNAME,
-      password: process.env.CAMPAY_PASSWORD,
-    });
-    await axios.post(
-      `${process.env.CAMPAY_BASE_URL}withdraw/`,
-      {
-        amount: sellerReceives.toString(),
-        currency: "XAF",
-        to: seller.phone,
-        description: `Fonlok milestone payout: ${milestone.label} (Invoice ${invoice.invoicenumber})`,
-        external_reference: `milestone-${milestone.id}`,
-      },
-      { headers: { Authorization: `Token ${auth.data.token}` } },
-    );
-
-    // 10. Record payout
-    await db.query(
-      "INSERT INTO payouts (userid, amount, method, status, invoice_id, invoice_number) VALUES ($1, $2, $3, $4, $5, $6)",
-      [
-        invoice.userid,
+    if (job.status !== "succeeded") {
+      return res.status(202).json({
+        message: QUEUED_PAYOUT_MESSAGE,
         sellerReceives,
-        "Mobile Money",
-        "paid",
-        invoice.id,
-        invoice.invoicenumber,
-      ],
-    );
-
-    // 11. In-app notification to seller
-    notifyUser(
-      invoice.userid,
-      "milestone_released",
-      "Milestone Payout Sent",
-      `${sellerReceives} XAF has been sent to your Mobile Money account for milestone: "${milestone.label}".`,
-      {
         milestoneLabel: milestone.label,
-        amount: sellerReceives,
-        invoiceNumber: invoice.invoicenumber,
-      },
-    );
-
-    // 12. Referral credit (non-fatal)
-    if (hasReferral && referralEarning > 0) {
-      try {
-        const earningsInsert = await db.query(
-          `INSERT INTO referral_earnings
-             (referrer_userid, referred_userid, invoice_number, invoice_amount, earned_amount)
-           VALUES ($1, $2, $3, $4, $5)
-           ON CONFLICT (invoice_number) DO NOTHING
-           RETURNING id`,
-          [
-            referrerId,
-            invoice.userid,
-            `${invoice.invoicenumber}-ms${milestone.id}`,
-            milestoneAmount,
-            referralEarning,
-          ],
-        );
-        if (earningsInsert.rows.length > 0) {
-          await db.query(
-            "UPDATE users SET referral_balance = referral_balance + $1 WHERE id = $2",
-            [referralEarning, referrerId],
-          );
-        }
-      } catch (referralErr) {
-        console.error(
-          "\u26a0\ufe0f Referral credit error (milestone payout succeeded):",
-          referralErr.message,
-        );
-      }
-    }
-
-    // 13. Check if all milestones for this invoice are now released
-    const remainingResult = await db.query(
-      "SELECT COUNT(*) AS remaining FROM invoice_milestones WHERE invoice_id = $1 AND status != 'released'",
-      [milestone.invoice_id],
-    );
-    const remaining = parseInt(remainingResult.rows[0].remaining);
-    if (remaining === 0) {
-      await db.query("UPDATE invoices SET status = 'completed' WHERE id = $1", [
-        milestone.invoice_id,
-      ]);
-    }
-
-    // 14. Email seller receipt (non-fatal)
-    try {
-      let pdfAttachment = null;
-      try {
-        const pdfBuffer = await generateReceiptPdf(invoice.invoicenumber);
-        pdfAttachment = {
-          content: pdfBuffer.toString("base64"),
-          filename: `fonlok-receipt-${invoice.invoicenumber}.pdf`,
-          type: "application/pdf",
-          disposition: "attachment",
-        };
-      } catch (pdfErr) {
-        console.error(
-          "\u26a0\ufe0f Could not generate milestone receipt PDF:",
-          pdfErr.message,
-        );
-      }
-      const feeLabel = hasReferral ? "Fonlok Fee (1.5%)" : "Fonlok Fee (2%)";
-      const receiptLink = `${process.env.BACKEND_URL}/invoice/receipt/${invoice.invoicenumber}`;
-      await sgMail.send({
-        to: seller.email,
-        from: process.env.VERIFIED_SENDER,
-        subject: `Milestone Payment Released \u2014 ${milestone.label} | Fonlok`,
-        html: emailWrap(
-          `<h2 style="color:#0F1F3D;margin:0 0 12px;">Milestone Payment Sent &mdash; ${milestone.label}</h2>
-          <p style="color:#475569;">Hello ${seller.name}, the buyer has confirmed <strong>${milestone.label}</strong> for invoice <strong>${invoice.invoicename}</strong> and your payment has been processed.</p>
-          ${emailTable([
-            ["Invoice", invoice.invoicenumber],
-            ["Milestone", milestone.label],
-            ["Gross Amount", `${milestoneAmount} XAF`],
-            [feeLabel, `\u2212${fonlokFee} XAF`, "color:#dc2626;"],
-            [
-              "Amount Sent to You",
-              `${sellerReceives} XAF`,
-              "font-weight:700;color:#16a34a;font-size:15px;",
-            ],
-            ["Sent To", seller.phone],
-          ])}
-          ${
-            remaining === 0
-              ? '<p style="color:#16a34a;font-weight:600;margin-top:12px;">All milestones have been released. This invoice is now complete.</p>'
-              : `<p style="color:#475569;margin-top:12px;">Remaining milestones: <strong>${remaining}</strong></p>`
-          }
-          ${emailButton(receiptLink, "Download PDF Receipt")}`,
-          {
-            footerNote:
-              "Thank you for using Fonlok. This email confirms your milestone payout has been processed.",
-          },
-        ),
-        ...(pdfAttachment ? { attachments: [pdfAttachment] } : {}),
+        allComplete: remaining === 0,
+        remaining,
+        payoutStatus: job.status,
       });
-    } catch (emailErr) {
-      console.error(
-        "\u274c Seller milestone receipt email error:",
-        emailErr.response?.body || emailErr.message,
-      );
     }
 
     return res.status(200).json({
-      message: `Payment released successfully. ${sellerReceives.toLocaleString()} XAF sent to the seller.`,
+      message: `Payment released successfully. ${formatAmount(sellerReceives, invoice.currency)} sent to the seller.`,
       sellerReceives,
       milestoneLabel: milestone.label,
       allComplete: remaining === 0,
@@ -1321,6 +1249,7 @@ router.get("/release-milestone/:token", async (req, res) => {
     if (msResult.rows.length === 0) {
       return res.status(404).send(renderPage({
         type: "error",
+        lang: req.lang,
         title: "Invalid Link",
         body: "This milestone release link is invalid or has already been used.",
         note: "If you believe this is an error, contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
@@ -1330,6 +1259,7 @@ router.get("/release-milestone/:token", async (req, res) => {
     if (milestone.status === "released") {
       return res.status(400).send(renderPage({
         type: "success",
+        lang: req.lang,
         title: "Already Released",
         body: "This milestone has already been paid out to the seller.",
         note: "No further action is required. Thank you for using Fonlok.",
@@ -1338,6 +1268,7 @@ router.get("/release-milestone/:token", async (req, res) => {
     if (milestone.status !== "completed") {
       return res.status(400).send(renderPage({
         type: "warning",
+        lang: req.lang,
         title: "Milestone Not Yet Complete",
         body: "This milestone has not been marked as complete by the seller yet. You can only release payment once the seller has confirmed the work is done.",
         note: "Please check back once the seller has completed this milestone, or contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
@@ -1347,10 +1278,12 @@ router.get("/release-milestone/:token", async (req, res) => {
     // Show confirmation page — payout only fires on POST
     res.send(renderPage({
       type: "warning",
-      title: `Release Payment for \u201c${milestone.label}\u201d?`,
-      body: `You are about to release the escrowed payment for milestone: <strong>${milestone.label}</strong>.`,
+      lang: req.lang,
+      title: "Release Payment for \u201c{label}\u201d?",
+      body: "You are about to release the escrowed payment for milestone: <strong>{label}</strong>.",
+      vars: { label: milestone.label },
       warningBox: "<strong>This action cannot be undone.</strong><br>Only confirm if the seller has completed this milestone to your full satisfaction. If there is any issue, contact the seller first.",
-      formAction: `/api/release-milestone/${token}`,
+      formAction: `/api/release-milestone/${token}?lang=${req.lang}`,
       formLabel: "\u2713 Yes, Release Payment to Seller",
       note: "If the milestone is not yet complete, do <strong>not</strong> click the button above.",
     }));
@@ -1358,6 +1291,7 @@ router.get("/release-milestone/:token", async (req, res) => {
     console.error("Milestone confirmation page error:", error.message);
     res.status(500).send(renderPage({
       type: "error",
+      lang: req.lang,
       title: "Something Went Wrong",
       body: "An unexpected error occurred. Please try again or contact support.",
       note: "Email us at <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> with your invoice number.",
@@ -1377,6 +1311,7 @@ router.post("/release-milestone/:token", async (req, res) => {
     if (msResult.rows.length === 0) {
       return res.status(404).send(renderPage({
         type: "error",
+        lang: req.lang,
         title: "Invalid Link",
         body: "This milestone release link is invalid or has already been used.",
         note: "If you believe this is an error, contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
@@ -1389,6 +1324,7 @@ router.post("/release-milestone/:token", async (req, res) => {
     if (milestone.status === "released") {
       return res.status(400).send(renderPage({
         type: "success",
+        lang: req.lang,
         title: "Already Released",
         body: "This milestone has already been paid out to the seller.",
         note: "No further action is required. Thank you for using Fonlok.",
@@ -1397,6 +1333,7 @@ router.post("/release-milestone/:token", async (req, res) => {
     if (milestone.status !== "completed") {
       return res.status(400).send(renderPage({
         type: "warning",
+        lang: req.lang,
         title: "Milestone Not Yet Complete",
         body: "This milestone has not been marked as complete by the seller yet. You can only release payment once the seller has confirmed the work is done.",
         note: "Please check back once the seller has completed this milestone, or contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a>.",
@@ -1411,6 +1348,7 @@ router.post("/release-milestone/:token", async (req, res) => {
     if (invoiceResult.rows.length === 0) {
       return res.status(404).send(renderPage({
         type: "error",
+        lang: req.lang,
         title: "Invoice Not Found",
         body: "We could not find the invoice associated with this milestone.",
         note: "Contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> with your invoice number for assistance.",
@@ -1425,6 +1363,7 @@ router.post("/release-milestone/:token", async (req, res) => {
     if (sellerResult.rows.length === 0) {
       return res.status(404).send(renderPage({
         type: "error",
+        lang: req.lang,
         title: "Seller Not Found",
         body: "We could not find the seller account for this invoice.",
         note: "Contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> with your invoice number for assistance.",
@@ -1432,236 +1371,62 @@ router.post("/release-milestone/:token", async (req, res) => {
     }
     const seller = sellerResult.rows[0];
 
-    // ── Step 5: Atomically claim this milestone (race-condition lock) ───────
-    // UPDATE only succeeds when status is currently 'completed'.  A concurrent
-    // request will find status = 'released' and get zero rows → aborts before
-    // any money moves.
-    const milestoneLock = await db.query(
-      `UPDATE invoice_milestones
-          SET status        = 'released',
-              released_at   = NOW(),
-              release_token = NULL
-        WHERE id     = $1
-          AND status = 'completed'
-        RETURNING id`,
-      [milestone.id],
-    );
-    if (milestoneLock.rows.length === 0) {
+    // ── Step 5: Lock, queue and attempt the transfer (see releaseMilestone) ─
+    const release = await releaseMilestone({
+      milestone,
+      invoice,
+      seller,
+      releasedBy: {
+        actorType: "buyer",
+        reason: `Milestone "${milestone.label}" released from the buyer's email link`,
+      },
+    });
+    if (!release.locked) {
       return res.status(400).send(renderPage({
         type: "success",
+        lang: req.lang,
         title: "Already Released",
         body: "This milestone has already been paid out to the seller.",
         note: "No further action is required. Thank you for using Fonlok.",
       }));
     }
-
-    // ── Step 6: Calculate fees ───────────────────────────────────────────────
-    const milestoneAmount = Number(milestone.amount);
-
-    // Same split as invoice payouts:
-    //   referral involved  → seller gets gross−2%, referrer gets 0.5%, Fonlok 1.5%
-    //   no referral        → seller gets gross−2%, Fonlok 2%
-    const referrerCheckMs = await db.query(
-      "SELECT referred_by FROM users WHERE id = $1",
-      [invoice.userid],
-    );
-    const referrerIdMs = referrerCheckMs.rows[0]?.referred_by ?? null;
-    const hasReferralMs = referrerIdMs !== null;
-
-    const msTotalFee = Math.floor(milestoneAmount * TOTAL_FEE_RATE); // 2%
-    const msReferralEarning = hasReferralMs
-      ? Math.floor(milestoneAmount * REFERRAL_FEE_RATE) // 0.5%
-      : 0;
-    const msFonlokNet = msTotalFee - msReferralEarning; // 1.5% or 2%
-    const sellerReceives = milestoneAmount - msTotalFee; // gross − 2%
-    const fonlokFee = msTotalFee; // kept for email label
-
-    console.log(
-      `Milestone ${milestone.id} (${milestone.label}): gross=${milestoneAmount}, ` +
-        `totalFee=${msTotalFee}, fonlokNet=${msFonlokNet}, ` +
-        `referralEarning=${msReferralEarning}, sellerReceives=${sellerReceives}`,
-    );
-
-    // ── Step 7: Transfer to seller via Campay ───────────────────────────────
-    const auth = await axios.post(`${process.env.CAMPAY_BASE_URL}token/`, {
-      username: process.env.CAMPAY_USERNAME,
-      password: process.env.CAMPAY_PASSWORD,
-    });
-
-    await axios.post(
-      `${process.env.CAMPAY_BASE_URL}withdraw/`,
-      {
-        amount: sellerReceives.toString(),
-        currency: "XAF",
-        to: seller.phone,
-        description: `Fonlok milestone payout: ${milestone.label} (Invoice ${invoice.invoicenumber})`,
-        external_reference: `milestone-${milestone.id}`,
-      },
-      { headers: { Authorization: `Token ${auth.data.token}` } },
-    );
-
-    // ── Step 8: Record payout ────────────────────────────────────────────────
-    await db.query(
-      "INSERT INTO payouts (userid, amount, method, status, invoice_id, invoice_number) VALUES ($1, $2, $3, $4, $5, $6)",
-      [
-        invoice.userid,
-        sellerReceives,
-        "Mobile Money",
-        "paid",
-        invoice.id,
-        invoice.invoicenumber,
-      ],
-    );
-
-    notifyUser(
-      invoice.userid,
-      "milestone_released",
-      "Milestone Payout Sent",
-      `${sellerReceives} XAF has been sent to your Mobile Money account for milestone: "${milestone.label}".`,
-      {
-        milestoneLabel: milestone.label,
-        amount: sellerReceives,
-        invoiceNumber: invoice.invoicenumber,
-      },
-    );
-
-    // ── Step 9: Credit referral earnings &mdash; INSERT first, balance only if new ─
-    // INSERT with RETURNING is the source of truth.  Balance UPDATE only runs
-    // when a genuinely new row was inserted &mdash; retries never double-credit.
-    if (hasReferralMs && msReferralEarning > 0) {
-      try {
-        const msEarningsInsert = await db.query(
-          `INSERT INTO referral_earnings
-             (referrer_userid, referred_userid, invoice_number, invoice_amount, earned_amount)
-           VALUES ($1, $2, $3, $4, $5)
-           ON CONFLICT (invoice_number) DO NOTHING
-           RETURNING id`,
-          [
-            referrerIdMs,
-            invoice.userid,
-            `${invoice.invoicenumber}-ms${milestone.id}`,
-            milestoneAmount,
-            msReferralEarning,
-          ],
-        );
-        if (msEarningsInsert.rows.length > 0) {
-          await db.query(
-            "UPDATE users SET referral_balance = referral_balance + $1 WHERE id = $2",
-            [msReferralEarning, referrerIdMs],
-          );
-          console.log(
-            `✅ Milestone referral earning of ${msReferralEarning} XAF (0.5%) credited to user ${referrerIdMs}. ` +
-              `Fonlok net fee: ${msFonlokNet} XAF (1.5%).`,
-          );
-        } else {
-          console.log(
-            `ℹ️ Milestone referral earnings for ${invoice.invoicenumber}-ms${milestone.id} already recorded &mdash; balance not double-credited.`,
-          );
-        }
-      } catch (referralErr) {
-        console.error(
-          "⚠️ Referral credit error (milestone payout still succeeded):",
-          referralErr.message,
-        );
-      }
-    }
-
-    // ── Step 10: Check if ALL milestones for this invoice are now released ────
-    const remainingResult = await db.query(
-      "SELECT COUNT(*) AS remaining FROM invoice_milestones WHERE invoice_id = $1 AND status != 'released'",
-      [milestone.invoice_id],
-    );
-    const remaining = parseInt(remainingResult.rows[0].remaining);
-
-    if (remaining === 0) {
-      await db.query("UPDATE invoices SET status = 'completed' WHERE id = $1", [
-        milestone.invoice_id,
-      ]);
-      console.log(
-        `✅ All milestones released &mdash; invoice ${invoice.invoicenumber} marked as completed.`,
-      );
-    }
-
-    // ── Step 11: Email the seller their receipt ───────────────────────────────
-    try {
-      let milestonePdfAttachment = null;
-      try {
-        const pdfBuffer = await generateReceiptPdf(invoice.invoicenumber);
-        milestonePdfAttachment = {
-          content: pdfBuffer.toString("base64"),
-          filename: `fonlok-receipt-${invoice.invoicenumber}.pdf`,
-          type: "application/pdf",
-          disposition: "attachment",
-        };
-      } catch (pdfErr) {
-        console.error(
-          "⚠️ Could not generate milestone receipt PDF:",
-          pdfErr.message,
-        );
-      }
-
-      const msFeeLabel = hasReferralMs
-        ? "Fonlok Fee (1.5%)"
-        : "Fonlok Fee (2%)";
-      const milestoneReceiptLink = `${process.env.BACKEND_URL}/invoice/receipt/${invoice.invoicenumber}`;
-      const sellerMsg = {
-        to: seller.email,
-        from: process.env.VERIFIED_SENDER,
-        subject: `Milestone Payment Released  - ${milestone.label} | Fonlok`,
-        html: emailWrap(
-          `<h2 style="color:#0F1F3D;margin:0 0 12px;">Milestone Payment Sent &mdash; ${milestone.label}</h2>
-          <p style="color:#475569;">Hello ${seller.name}, the buyer has confirmed <strong>${milestone.label}</strong> for invoice <strong>${invoice.invoicename}</strong> and your payment has been processed.</p>
-          ${emailTable([
-            ["Invoice", invoice.invoicenumber],
-            ["Milestone", milestone.label],
-            ["Gross Amount", `${milestoneAmount} XAF`],
-            [msFeeLabel, `−${fonlokFee} XAF`, "color:#dc2626;"],
-            [
-              "Amount Sent to You",
-              `${sellerReceives} XAF`,
-              "font-weight:700;color:#16a34a;font-size:15px;",
-            ],
-            ["Sent To", seller.phone],
-          ])}
-          ${
-            remaining === 0
-              ? '<p style="color:#16a34a;font-weight:600;margin-top:12px;">All milestones have been released. This invoice is now complete.</p>'
-              : `<p style="color:#475569;margin-top:12px;">Remaining milestones: <strong>${remaining}</strong></p>`
-          }
-          <p style="color:#475569;margin-top:12px;">Your payout receipt is attached to this email as a PDF.</p>
-          ${emailButton(milestoneReceiptLink, "Download PDF Receipt")}`,
-          {
-            footerNote:
-              "Thank you for using Fonlok. This email confirms your milestone payout has been processed. Please keep this receipt for your records.",
-          },
-        ),
-        ...(milestonePdfAttachment
-          ? { attachments: [milestonePdfAttachment] }
-          : {}),
-      };
-      await sgMail.send(sellerMsg);
-      console.log(`✅ Milestone receipt sent to seller ${seller.email}`);
-    } catch (emailErr) {
-      console.error(
-        "❌ Seller milestone receipt email error:",
-        emailErr.message,
-      );
+    const { job, sellerReceives, remaining } = release;
+
+    if (job.status !== "succeeded") {
+      return res.status(202).send(renderPage({
+        type: "info",
+        lang: req.lang,
+        title: "Release Confirmed",
+        body: "You have released the payment for milestone: <strong>{label}</strong>. {queued}",
+        vars: {
+          label: milestone.label,
+          queued: t(req.lang, QUEUED_PAYOUT_MESSAGE),
+        },
+        note: "No further action is required. You can close this page.",
+      }));
     }
 
-    // 13. Return a clean success page to the buyer
+    // ── Step 6: Return a clean success page to the buyer ────────────────────
     return res.send(renderPage({
       type: "success",
+      lang: req.lang,
       title: "Funds Released",
-      body: `You have successfully released <strong>${sellerReceives} XAF</strong> to the seller for milestone: <strong>${milestone.label}</strong>.` +
-        (remaining === 0
-          ? `<br><br><span style="color:#16a34a;font-weight:600;">All milestones are now complete. This invoice is fully settled.</span>`
-          : `<br><br>The seller will be notified to proceed with the next milestone.`),
+      body: "You have successfully released <strong>{amount}</strong> to the seller for milestone: <strong>{label}</strong>.<br><br>{next}",
+      vars: {
+        amount: formatAmount(sellerReceives, invoice.currency),
+        label: milestone.label,
+        next:
+          remaining === 0
+            ? `<span style="color:#16a34a;font-weight:600;">${t(req.lang, "All milestones are now complete. This invoice is fully settled.")}</span>`
+            : t(req.lang, "The seller will be notified to proceed with the next milestone."),
+      },
       note: "Thank you for using Fonlok. You can close this page.",
     }));
   } catch (error) {
     console.error("Milestone release failed:", error.message);
     return res.status(500).send(renderPage({
       type: "error",
+      lang: req.lang,
       title: "Something Went Wrong",
       body: "An unexpected error occurred while processing the fund release. No money has been moved.",
       note: "Please contact <a href='mailto:support@fonlok.com' style='color:#0F1F3D;'>support@fonlok.com</a> with your invoice number.",
@@ -5,6 +5,10 @@ import authMiddleware from "../middleware/authMiddleware.js";
 import dotenv from "dotenv";
 import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
+import reauthMiddleware from "../middleware/reauthMiddleware.js";
+import { requestPhoneChange } from "../utils/payoutPhone.js";
+import { mobileMoneyPhoneField } from "../utils/phone.js";
+import { paysOutTo } from "../providers/index.js";
 dotenv.config();
 
 // GET /profile/user-info/:userid
@@ -34,13 +38,15 @@ router.get("/:username", async (req, res) => {
   try {
     // 1. Find the seller by username
     const userResult = await db.query(
-      "SELECT id, name, username, country, profilepicture, createdat, phone FROM users WHERE username = $1",
+      "SELECT id, name, username, country, profilepicture, createdat, phone, kyc_tier FROM users WHERE username = $1",
       [username],
     );
     if (userResult.rows.length === 0) {
       return res.status(404).json({ message: "Seller not found." });
     }
-    const seller = userResult.rows[0];
+    const { kyc_tier, ...seller } = userResult.rows[0];
+    // Verified badge — only the top KYC tier earns it (see utils/kyc.js)
+    seller.verified = kyc_tier === "verified";
 
     // 2. Get all delivered/completed invoices for this seller
     // Status flow: paid → delivered (marked by seller) → completed (after payout)
@@ -90,30 +96,32 @@ router.get("/:username", async (req, res) => {
 });
 
 // PATCH /profile/update-phone
-// Authenticated users can update their own MoMo phone number
+// Authenticated users can request a change of their own MoMo phone number.
+// Like PATCH /user/update-phone it only takes effect once confirmed from the
+// account's email (see utils/payoutPhone.js), and needs the password (and
+// TOTP code when 2FA is on) in the body — see middleware/reauthMiddleware.js.
 router.patch(
   "/update-phone",
   authMiddleware,
   [
-    body("phone")
-      .trim()
-      .notEmpty()
-      .withMessage("Phone number is required.")
-      .matches(/^237[62]\d{8}$/)
-      .withMessage(
-        "Phone must start with 237 followed by a valid Cameroonian number (12 digits total, e.g. 2376XXXXXXXX).",
-      ),
+    mobileMoneyPhoneField("phone", { reachable: paysOutTo }),
   ],
   validate,
+  reauthMiddleware,
   async (req, res) => {
     const userId = req.user.id;
     const { phone } = req.body;
     try {
-      await db.query("UPDATE users SET phone = $1 WHERE id = $2", [
-        phone,
-        userId,
-      ]);
-      return res.status(200).json({ ok: true, phone });
+      const change = await requestPhoneChange(userId, phone, req);
+      if (!change) return res.status(404).json({ message: "User not found." });
+      if (change.unchanged) return res.status(200).json({ ok: true, phone });
+      return res.status(202).json({
+        ok: true,
+        pending: true,
+        expiresAt: change.expiresAt,
+        message:
+          "We sent a confirmation link to your email address. Your payout number will change once you confirm.",
+      });
     } catch (error) {
       console.log(error.message);
       return res
@@ -1,9 +1,18 @@
 import express from "express";
 const router = express.Router();
-import axios from "axios";
 import dotenv from "dotenv";
 import db from "../controllers/db.js";
 import authMiddleware from "../middleware/authMiddleware.js";
+import idempotency from "../middleware/idempotency.js";
+import { recordReferralWithdrawal } from "../utils/ledger.js";
+import { payoutLimitError } from "../utils/kyc.js";
+import { parseMobileMoneyPhone } from "../utils/phone.js";
+import { getPaymentProvider, servesCountry } from "../providers/index.js";
+import {
+  enqueuePayout,
+  processPayoutJob,
+  registerPayoutHandler,
+} from "../jobs/payoutQueue.js";
 dotenv.config();
 
 // ── Auto-migrations: ensure all referral tables and columns exist ─────────────
@@ -182,9 +191,39 @@ router.get("/dashboard", authMiddleware, async (req, res) => {
 //   2. Amount must be at least 2,000 XAF
 //   3. Amount cannot exceed the user's current balance
 //   4. User cannot have another withdrawal already in 'pending' state
-//   5. Balance is deducted atomically before calling Campay, and restored on failure
+//   5. Amount cannot exceed the payout limit of the user's KYC tier
+//   6. Balance is deducted atomically and committed together with a payout
+//      job; the balance is only restored if an admin cancels that job
 // ─────────────────────────────────────────────────────────────────────────────
-router.post("/withdraw", authMiddleware, async (req, res) => {
+registerPayoutHandler("referral_withdrawal", {
+  onSuccess: async (job) => {
+    await db.query(
+      "UPDATE referral_withdrawals SET status = 'paid' WHERE id = $1",
+      [job.context.withdrawalId],
+    );
+    await recordReferralWithdrawal({
+      reference: job.context.withdrawalId,
+      userId: job.user_id,
+      amount: Number(job.amount),
+    });
+    console.log(
+      `✅ Referral withdrawal of ${job.amount} XAF paid to ${job.phone} for user ${job.user_id}`,
+    );
+  },
+  // Cancelled by an admin — give the money back and close the withdrawal
+  onCancel: async (job) => {
+    await db.query(
+      "UPDATE users SET referral_balance = referral_balance + $1 WHERE id = $2",
+      [job.amount, job.user_id],
+    );
+    await db.query(
+      "UPDATE referral_withdrawals SET status = 'failed' WHERE id = $1",
+      [job.context.withdrawalId],
+    );
+  },
+});
+
+router.post("/withdraw", authMiddleware, idempotency, async (req, res) => {
   const userId = req.user.id;
   const { amount, momo_number } = req.body;
 
@@ -207,15 +246,37 @@ router.post("/withdraw", authMiddleware, async (req, res) => {
     });
   }
 
-  const momoClean = String(momo_number).trim();
-  if (!/^237[62]\d{8}$/.test(momoClean)) {
+  const momo = parseMobileMoneyPhone(momo_number);
+  if (momo.error) {
+    return res.status(400).json({ error: momo.error });
+  }
+  // Referral earnings are paid out in XAF
+  if (!servesCountry(getPaymentProvider(), momo.country)) {
     return res.status(400).json({
-      error:
-        "Please provide a valid Cameroonian MoMo number (e.g. 2376XXXXXXXX).",
+      error: `Withdrawals to ${momo.countryName} numbers are not available yet.`,
     });
   }
+  const momoClean = momo.phone;
 
   try {
+    const limitProblem = await payoutLimitError(userId, withdrawAmount);
+    if (limitProblem) {
+      return res
+        .status(403)
+        .json({ error: limitProblem, code: "KYC_LIMIT_EXCEEDED" });
+    }
+  } catch (err) {
+    console.error("Referral withdrawal limit check error:", err.message);
+    return res
+      .status(500)
+      .json({ error: "An unexpected error occurred. Please try again." });
+  }
+
+  const client = await db.connect();
+  let job;
+  try {
+    await client.query("BEGIN");
+
     // ── Atomic deduction — closes the TOCTOU race-condition window ──────────
     // Replaces three separate queries (read balance, check pending, deduct)
     // that previously had a race window between them.  Now a single UPDATE
@@ -225,7 +286,7 @@ router.post("/withdraw", authMiddleware, async (req, res) => {
     // If two concurrent requests reach this point simultaneously, exactly one
     // gets a RETURNING row and continues; the other gets 0 rows and returns an
     // error — before any money moves.
-    const deductResult = await db.query(
+    const deductResult = await client.query(
       `UPDATE users
           SET referral_balance = referral_balance - $1
         WHERE id = $2
@@ -239,9 +300,10 @@ router.post("/withdraw", authMiddleware, async (req, res) => {
     );
 
     if (deductResult.rows.length === 0) {
+      await client.query("ROLLBACK");
       // Determine the exact reason so we can return a precise error message.
       // (This read is non-critical — the deduction definitely did NOT happen.)
-      const recheckResult = await db.query(
+      const recheckResult = await client.query(
         `SELECT referral_balance,
                 (SELECT COUNT(*) FROM referral_withdrawals
                   WHERE userid = $1 AND status = 'pending') AS pending_count
@@ -263,70 +325,54 @@ router.post("/withdraw", authMiddleware, async (req, res) => {
       });
     }
 
-    // 5. Log the withdrawal as 'pending' before calling Campay
-    const withdrawalRecord = await db.query(
+    // 5. Log the withdrawal as 'pending' and queue the transfer in the same
+    //    transaction as the deduction
+    const withdrawalRecord = await client.query(
       "INSERT INTO referral_withdrawals (userid, amount, momo_number, status) VALUES ($1, $2, $3, 'pending') RETURNING id",
       [userId, withdrawAmount, momoClean],
     );
     const withdrawalId = withdrawalRecord.rows[0].id;
 
-    // 6. Call Campay to transfer the money
-    try {
-      const auth = await axios.post(`${process.env.CAMPAY_BASE_URL}token/`, {
-        username: process.env.CAMPAY_USERNAME,
-        password: process.env.CAMPAY_PASSWORD,
-      });
-
-      await axios.post(
-        `${process.env.CAMPAY_BASE_URL}withdraw/`,
-        {
-          amount: withdrawAmount.toString(),
-          currency: "XAF",
-          to: momoClean,
-          description: "Referral earnings withdrawal",
-          external_reference: `ref-withdrawal-${withdrawalId}`,
-        },
-        { headers: { Authorization: `Token ${auth.data.token}` } },
-      );
-
-      // 7. Mark withdrawal as paid
-      await db.query(
-        "UPDATE referral_withdrawals SET status = 'paid' WHERE id = $1",
-        [withdrawalId],
-      );
-
-      console.log(
-        `✅ Referral withdrawal of ${withdrawAmount} XAF paid to ${momoClean} for user ${userId}`,
-      );
-
-      res.json({
-        message: `Your withdrawal of ${withdrawAmount.toLocaleString()} XAF has been sent to ${momoClean}. It should arrive within a few minutes.`,
-      });
-    } catch (campayErr) {
-      // Campay call failed — restore the user's balance and mark the withdrawal as failed
-      console.error("Campay referral withdrawal failed:", campayErr.message);
-
-      await db.query(
-        "UPDATE users SET referral_balance = referral_balance + $1 WHERE id = $2",
-        [withdrawAmount, userId],
-      );
-
-      await db.query(
-        "UPDATE referral_withdrawals SET status = 'failed' WHERE id = $1",
-        [withdrawalId],
-      );
+    job = await enqueuePayout(
+      {
+        kind: "referral_withdrawal",
+        reference: `ref-withdrawal-${withdrawalId}`,
+        userId,
+        amount: withdrawAmount,
+        phone: momoClean,
+        description: "Referral earnings withdrawal",
+        context: { withdrawalId },
+      },
+      client,
+    );
 
-      res.status(502).json({
-        error:
-          "The payment gateway could not process your withdrawal. Your balance has been restored. Please try again later.",
-      });
-    }
+    await client.query("COMMIT");
   } catch (err) {
+    await client.query("ROLLBACK");
     console.error("Referral withdrawal error:", err);
-    res
+    return res
       .status(500)
       .json({ error: "An unexpected error occurred. Please try again." });
+  } finally {
+    client.release();
+  }
+
+  // 6. Attempt the transfer now — a failed attempt stays queued and is
+  //    retried automatically, so the withdrawal remains 'pending'
+  try {
+    job = await processPayoutJob(job.id);
+  } catch (err) {
+    console.error("Referral withdrawal attempt error:", err.message);
+  }
+
+  if (job.status === "succeeded") {
+    return res.json({
+      message: `Your withdrawal of ${withdrawAmount.toLocaleString()} XAF has been sent to ${momoClean}. It should arrive within a few minutes.`,
+    });
   }
+  res.status(202).json({
+    message: `Your withdrawal of ${withdrawAmount.toLocaleString()} XAF is being processed. The transfer to ${momoClean} did not go through yet and will be retried automatically.`,
+  });
 });
 
 export default router;
@@ -5,6 +5,9 @@ import multer from "multer";
 import bcrypt from "bcrypt";
 import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
+import { mobileMoneyPhoneField } from "../utils/phone.js";
+import { paysOutTo } from "../providers/index.js";
+import { LANGUAGES } from "../utils/i18n.js";
 import { uploadToCloudinary } from "../utils/cloudinary.js";
 const saltRounds = 10;
 
@@ -63,14 +66,7 @@ router.post(
       .withMessage("A valid email address is required.")
       .normalizeEmail(),
 
-    body("phone")
-      .trim()
-      .notEmpty()
-      .withMessage("Phone number is required.")
-      .matches(/^237[62]\d{8}$/)
-      .withMessage(
-        "Enter a valid Cameroonian phone number (e.g. 2376XXXXXXXX).",
-      ),
+    mobileMoneyPhoneField("phone", { reachable: paysOutTo }),
 
     body("password")
       .notEmpty()
@@ -112,6 +108,13 @@ router.post(
       .withMessage("Referral code can only contain letters and numbers.")
       .isLength({ max: 12 })
       .withMessage("Referral code is too long."),
+
+    body("language")
+      .optional({ checkFalsy: true })
+      .trim()
+      .toLowerCase()
+      .isIn(LANGUAGES)
+      .withMessage("Language must be English (en) or French (fr)."),
   ],
   validate,
   async (req, res) => {
@@ -125,6 +128,8 @@ router.post(
       country,
       referral_code,
     } = req.body;
+    // Emails are sent in this language; the sign-up page's language by default
+    const language = req.body.language || req.lang;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
     // Upload profile picture to Cloudinary (if provided)
@@ -162,7 +167,7 @@ router.post(
 
       // 2. Create the user account
       const newUser = await db.query(
-        "INSERT INTO users (name, email, phone, password, username, dob, country, profilePicture, referred_by) VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *",
+        "INSERT INTO users (name, email, phone, password, username, dob, country, profilePicture, referred_by, language) VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *",
         [
           name,
           normalizedEmail,
@@ -173,6 +178,7 @@ router.post(
           country,
           profilePicture,
           referrerId, // NULL if no referral code was provided
+          language,
         ],
       );
 
@@ -1,12 +1,20 @@
-import axios from "axios";
 import express from "express";
 import db from "../controllers/db.js";
+import {
+  getPaymentProvider,
+  isCurrencyAvailable,
+  servesCountry,
+} from "../providers/index.js";
 
 import crypto from "crypto";
 const router = express.Router();
 import dotenv from "dotenv";
 import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
+import idempotency from "../middleware/idempotency.js";
+import { assessPayment } from "../utils/risk.js";
+import { mobileMoneyPhoneField, parsePhone } from "../utils/phone.js";
+import { normalizeLanguage } from "../utils/i18n.js";
 
 dotenv.config();
 
@@ -23,14 +31,7 @@ router.post(
     // .isFloat({ min: 500 })
     // .withMessage("Amount must be at least 500 XAF."),
 
-    body("phoneNumber")
-      .trim()
-      .notEmpty()
-      .withMessage("Phone number is required.")
-      .matches(/^237[62]\d{8}$/)
-      .withMessage(
-        "Enter a valid Cameroonian phone number (e.g. 2376XXXXXXXX).",
-      ),
+    mobileMoneyPhoneField("phoneNumber"),
 
     body("email")
       .trim()
@@ -46,8 +47,8 @@ router.post(
       .withMessage("Invoice number is missing."),
   ],
   validate,
+  idempotency,
   async (req, res) => {
-    const currency = "XAF";
     const {
       amount,
       phoneNumber,
@@ -57,31 +58,10 @@ router.post(
       email,
       userid,
     } = req.body;
-    // console.log(phoneNumber);
-
-    // Example: phoneNumber = "23767..." or "237699..."
-    const digit5 = phoneNumber.charAt(4);
-    const digit6 = phoneNumber.charAt(5);
-
-    let provider = "UNKNOWN";
-
-    // 1. Direct MTN ranges (67, 68)
-    if (digit5 === "7" || digit5 === "8") {
-      provider = "MTN";
-    }
-    // 2. Direct Orange ranges (66)
-    else if (digit5 === "6") {
-      provider = "ORANGE";
-    }
-    // 3. The 69x Range (690-698 = Orange, 699 = MTN)
-    else if (digit5 === "9") {
-      provider = digit6 === "9" ? "MTN" : "ORANGE";
-    }
-    // 4. The 65x Range (650-654 = MTN, 655-659 = Orange)
-    else if (digit5 === "5") {
-      const d6 = parseInt(digit6);
-      provider = d6 <= 4 ? "MTN" : "ORANGE";
-    }
+    // The validator has already normalised the number; this tells us the
+    // country and the operator from the prefix tables in utils/phone.js
+    const payer = parsePhone(phoneNumber);
+    const provider = payer.operator.id;
 
     console.log(`The provider is: ${provider}`);
 
@@ -90,66 +70,85 @@ router.post(
     // $1 and $2 are safe placeholders for variables
 
     try {
-      // 1. Get an Authorization Token from Campay
-      // Note: In production, use environment variables!
-      const authResponse = await axios.post(
-        "https://demo.campay.net/api/token/",
-        {
-          username: process.env.CAMPAY_USERNAME,
-          password: process.env.CAMPAY_PASSWORD,
-        },
+      // The buyer pays in the invoice's currency, through the provider that
+      // handles it (see providers/index.js)
+      const invoiceResult = await db.query(
+        "SELECT currency FROM invoices WHERE id = $1",
+        [invoiceid],
       );
-
-      const token = authResponse.data.token;
+      if (invoiceResult.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Invoice not found." });
+      }
+      const { currency } = invoiceResult.rows[0];
+      if (!isCurrencyAvailable(currency)) {
+        return res.status(400).json({
+          success: false,
+          error: `Payments in ${currency} are not available yet.`,
+        });
+      }
+      const paymentProvider = getPaymentProvider(currency);
+      if (!servesCountry(paymentProvider, payer.country)) {
+        return res.status(400).json({
+          success: false,
+          error: `Payments from ${payer.countryName} numbers are not available for ${currency} invoices yet.`,
+        });
+      }
       let paymentUUID = crypto.randomUUID();
       // MUST be awaited — Campay fires its webhook almost immediately after
       // collect() returns.  If this INSERT hasn't committed yet the webhook
       // lookup fails → no email, no confirmation code, no chat link.
-      await db.query(
-        "INSERT INTO payments (invoiceid, provider, providerpaymentid, amount, currency) VALUES($1, $2, $3, $4, $5)",
-        [invoiceid, provider, paymentUUID, amount, currency],
+      const paymentResult = await db.query(
+        "INSERT INTO payments (invoiceid, provider, providerpaymentid, amount, currency, payer_phone, payer_ip) VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING *",
+        [
+          invoiceid,
+          provider,
+          paymentUUID,
+          amount,
+          currency,
+          phoneNumber,
+          req.ip ?? null,
+        ],
       );
 
+      // Score the attempt for the fraud review queue.  Never blocks the
+      // buyer — a risky payout is held later instead (see utils/risk.js).
+      await assessPayment("payment_request", paymentResult.rows[0]);
+
       // Save buyer email + phone BEFORE calling Campay so the address is
       // captured even if the MoMo prompt fails (e.g. network error, wrong
       // number). This is the only source of buyer email for reminder emails.
+      // The payment page's language is kept for every email the buyer gets.
+      const buyerLanguage = normalizeLanguage(req.body.language) || req.lang;
       try {
         await db.query(
-          `INSERT INTO guests (email, momo_number, user_id, invoicenumber)
-           VALUES ($1, $2, $3, $4)
+          `INSERT INTO guests (email, momo_number, user_id, invoicenumber, language)
+           VALUES ($1, $2, $3, $4, $5)
            ON CONFLICT (email, invoicenumber)
            DO UPDATE SET momo_number = EXCLUDED.momo_number,
-                         user_id     = EXCLUDED.user_id`,
-          [email, phoneNumber, userid, invoicenumber],
+                         user_id     = EXCLUDED.user_id,
+                         language    = EXCLUDED.language`,
+          [email, phoneNumber, userid, invoicenumber, buyerLanguage],
         );
       } catch (guestErr) {
         // Non-fatal — payment can still proceed even if guest save fails
         console.error("Could not save guest record:", guestErr.message);
       }
 
-      // 2. Request Payment (Collect)
-      const collectResponse = await axios.post(
-        "https://demo.campay.net/api/collect/",
-        {
-          amount: amount, //only whole intergers, no float numbers
-          currency: "XAF",
-          from: phoneNumber, // e.g. "237670000000"
+      // 2. Request Payment (Collect) through the configured provider
+      const { providerReference: campayReference } =
+        await paymentProvider.collect({
+          amount, // only whole integers, no float numbers
+          currency,
+          phone: phoneNumber, // e.g. "237670000000"
           description: `${invoicename}`,
-          external_reference: paymentUUID, // This links the payment to your DB
-          uuid: paymentUUID, //Must be unique for each request, to avoid idempotency...
-        },
-        {
-          headers: {
-            Authorization: `Token ${token}`,
-            "Content-Type": "application/json",
-          },
-        },
-      );
+          reference: paymentUUID, // This links the payment to your DB
+        });
 
-      // 3. Persist Campay's own reference so the poll endpoint can use it
-      //    for GET /api/transaction/{reference}/ status checks.
-      //    (Campay's reference !== our external_reference/UUID)
-      const campayReference = collectResponse.data.reference;
+      // 3. Persist the provider's own reference so the poll endpoint can use
+      //    it for status checks.  The column keeps its historical name but
+      //    holds whichever provider's reference (!== our UUID).
       if (campayReference) {
         try {
           await db.query(
@@ -157,7 +156,7 @@ router.post(
             [campayReference, paymentUUID],
           );
         } catch (refErr) {
-          console.error("Could not save Campay reference:", refErr.message);
+          console.error("Could not save provider reference:", refErr.message);
         }
       }
 
@@ -165,8 +164,9 @@ router.post(
       res.status(200).json({
         success: true,
         reference: campayReference,
-        message:
-          "Please Check your phone for the MoMo prompt, or dial *126#  or #150*50# to complete the payment.",
+        message: payer.operator.ussd
+          ? `Please check your phone for the ${payer.operator.name} prompt, or dial ${payer.operator.ussd} to complete the payment.`
+          : `Please check your phone for the ${payer.operator.name} prompt to complete the payment.`,
       });
     } catch (error) {
       console.error("Payment Error:", error.response?.data || error.message);
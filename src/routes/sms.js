@@ -0,0 +1,37 @@
+/**
+ * sms.js — replies from buyers to our SMS / WhatsApp messages
+ *
+ *   POST /sms/inbound    called by the SMS provider (providers/sms)
+ *
+ * STOP / ARRET opts the number out of all texts, START / DEMARRER back in
+ * (jobs/smsQueue.js).  The provider signs the request; unsigned calls are
+ * refused.
+ */
+
+import express from "express";
+const router = express.Router();
+import { getSmsProvider } from "../providers/sms/index.js";
+import { handleInboundSms } from "../jobs/smsQueue.js";
+
+// Twilio expects TwiML back; an empty response sends no automatic reply.
+const EMPTY_REPLY = "<Response></Response>";
+
+router.post("/inbound", async (req, res) => {
+  try {
+    const message = getSmsProvider().verifyInbound(req);
+    if (!message) {
+      console.error("❌ Inbound SMS signature could not be verified.");
+      return res.status(401).send("Invalid Signature");
+    }
+
+    const outcome = await handleInboundSms(message);
+    if (outcome) console.log(`📱 Inbound SMS: number ${outcome}`);
+
+    return res.type("text/xml").send(EMPTY_REPLY);
+  } catch (err) {
+    console.error("❌ Inbound SMS error:", err.message);
+    return res.status(500).send("Internal error");
+  }
+});
+
+export default router;
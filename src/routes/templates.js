@@ -2,6 +2,10 @@ import express from "express";
 const router = express.Router();
 import db from "../controllers/db.js";
 import authMiddleware from "../middleware/authMiddleware.js";
+import {
+  SUPPORTED_CURRENCIES,
+  isSupportedCurrency,
+} from "../utils/currency.js";
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -39,6 +43,12 @@ router.post("/save", authMiddleware, async (req, res) => {
         .json({ message: "Please provide a name for this template." });
     }
 
+    if (currency && !isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}.`,
+      });
+    }
+
     const result = await db.query(
       `INSERT INTO invoice_templates (userid, template_name, invoicename, currency, amount, description)
        VALUES ($1, $2, $3, $4, $5, $6)
@@ -13,21 +13,22 @@ router.get("/history/:userid", async (req, res) => {
 
   try {
     // 1. Get all payouts received as a seller
-    //    payouts are not linked to a specific invoice in the schema,
-    //    so we return them directly without a JOIN to avoid a cartesian product.
+    //    The currency comes from the payout job that sent the money; older
+    //    payouts without a job were always XAF.
     const sellerTransactions = await db.query(
       `SELECT 
-        id,
+        payouts.id,
         'payout' AS transaction_type,
-        amount,
-        status,
-        createdat,
+        payouts.amount,
+        payouts.status,
+        payouts.createdat,
         'Payout received' AS invoicename,
         '' AS invoicenumber,
-        'XAF' AS currency
+        COALESCE(payout_jobs.currency, 'XAF') AS currency
        FROM payouts
-       WHERE userid = $1
-       ORDER BY createdat DESC`,
+       LEFT JOIN payout_jobs ON payout_jobs.id = payouts.payout_job_id
+       WHERE payouts.userid = $1
+       ORDER BY payouts.createdat DESC`,
       [userId],
     );
 
@@ -14,7 +14,7 @@ import express from "express";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
-import jwt from "jsonwebtoken";
+import { tryVerifyAccessToken } from "../utils/sessions.js";
 import logger from "../utils/logger.js";
 import db from "../controllers/db.js";
 
@@ -53,14 +53,11 @@ router.get("/:filename", async (req, res) => {
       }
     }
   }
-  if (jwtToken) {
-    try {
-      jwt.verify(jwtToken, process.env.JWT_SECRET);
-      logger.info("file served (cookie/JWT auth)", { filename });
-      return res.sendFile(filepath);
-    } catch (_) {
-      // JWT invalid or expired — fall through to buyer token auth
-    }
+  // JWT invalid, expired or its session revoked — fall through to buyer
+  // token auth.
+  if (await tryVerifyAccessToken(jwtToken)) {
+    logger.info("file served (cookie/JWT auth)", { filename });
+    return res.sendFile(filepath);
   }
 
   // ── Auth path 2: chat token (buyer guest) ────────────────────────────────
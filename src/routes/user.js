@@ -4,11 +4,35 @@
  * All routes require the user to be authenticated (authMiddleware).
  *
  *   PATCH  /user/update-name
- *   PATCH  /user/update-email
- *   PATCH  /user/update-phone
+ *   PATCH  /user/update-email              re-verification
+ *   PATCH  /user/update-phone              re-verification, email confirmation
  *   PATCH  /user/update-profile-picture
- *   PATCH  /user/change-password
- *   DELETE /user/delete-account
+ *   PATCH  /user/language                  { language: "en" | "fr" }
+ *   PATCH  /user/change-password           re-verification
+ *   DELETE /user/delete-account            re-verification
+ *   GET    /user/api-keys
+ *   POST   /user/api-keys
+ *   DELETE /user/api-keys/:id
+ *   GET    /user/2fa
+ *   POST   /user/2fa/setup                 re-verification
+ *   POST   /user/2fa/enable                { code }
+ *   POST   /user/2fa/disable               re-verification
+ *   POST   /user/2fa/backup-codes          re-verification
+ *   GET    /user/sessions
+ *   DELETE /user/sessions                  signs out every other device
+ *   DELETE /user/sessions/:id
+ *   GET    /user/payout-phone              payout number, pending change, hold
+ *   DELETE /user/payout-phone/pending
+ *   POST   /user/payout-phone/confirm      { token } — NO login needed
+ *   GET    /user/kyc                       tier, limits, latest submission
+ *   POST   /user/kyc/submissions           multipart: documents + details
+ *
+ * "re-verification" routes also need the password (and a 2FA code when 2FA
+ * is on) in the body — see middleware/reauthMiddleware.js.
+ *
+ * The payout phone number only changes once the link emailed to the current
+ * address is followed, and payouts to the new number are then held for a
+ * while — see utils/payoutPhone.js.
  */
 
 import express from "express";
@@ -17,13 +41,53 @@ import db from "../controllers/db.js";
 import bcrypt from "bcrypt";
 import multer from "multer";
 import authMiddleware from "../middleware/authMiddleware.js";
-import { body } from "express-validator";
+import reauthMiddleware from "../middleware/reauthMiddleware.js";
+import { body, param } from "express-validator";
 import { validate } from "../middleware/validate.js";
 import {
   uploadToCloudinary,
   deleteFromCloudinary,
   publicIdFromUrl,
 } from "../utils/cloudinary.js";
+import {
+  API_KEY_SCOPES,
+  MAX_ACTIVE_KEYS,
+  createApiKey,
+  listApiKeys,
+  countActiveApiKeys,
+  revokeApiKey,
+} from "../utils/apiKeys.js";
+import {
+  getTwoFactorStatus,
+  beginEnrolment,
+  confirmEnrolment,
+  regenerateBackupCodes,
+  disableTwoFactor,
+} from "../utils/twoFactor.js";
+import {
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  clearSessionCookies,
+} from "../utils/sessions.js";
+import {
+  requestPhoneChange,
+  confirmPhoneChange,
+  cancelPhoneChange,
+  getPayoutPhoneStatus,
+} from "../utils/payoutPhone.js";
+import {
+  KYC_TIERS,
+  ID_TYPES,
+  REQUIRED_DOCUMENTS,
+  DOCUMENT_FIELDS,
+  getKycStatus,
+  hasPendingSubmission,
+  createSubmission,
+} from "../utils/kyc.js";
+import { mobileMoneyPhoneField } from "../utils/phone.js";
+import { paysOutTo } from "../providers/index.js";
+import { LANGUAGES } from "../utils/i18n.js";
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -40,6 +104,33 @@ const upload = multer({
   },
 });
 
+// ── Multer — KYC documents (memory storage → private Cloudinary files) ─────
+const kycUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 8 * 1024 * 1024 }, // 8 MB per document
+  fileFilter: (req, file, cb) => {
+    const allowed = [
+      "image/jpeg",
+      "image/png",
+      "image/webp",
+      "application/pdf",
+    ];
+    // The selfie must be a photo; ID documents may also be scanned PDFs
+    if (
+      allowed.includes(file.mimetype) &&
+      (file.fieldname !== "selfie" || file.mimetype !== "application/pdf")
+    )
+      cb(null, true);
+    else
+      cb(
+        new multer.MulterError(
+          "LIMIT_UNEXPECTED_FILE",
+          "Documents must be JPEG, PNG, WebP or PDF; the selfie must be a photo.",
+        ),
+      );
+  },
+}).fields(DOCUMENT_FIELDS.map((name) => ({ name, maxCount: 1 })));
+
 // ── PATCH /user/update-name ──────────────────────────────────────────────────
 router.patch(
   "/update-name",
@@ -71,6 +162,37 @@ router.patch(
   },
 );
 
+// ── PATCH /user/language ─────────────────────────────────────────────────────
+// The language of the user's emails and receipts (see utils/i18n.js)
+router.patch(
+  "/language",
+  authMiddleware,
+  [
+    body("language")
+      .trim()
+      .toLowerCase()
+      .isIn(LANGUAGES)
+      .withMessage("Language must be English (en) or French (fr)."),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        "UPDATE users SET language = $1 WHERE id = $2 RETURNING language",
+        [req.body.language, req.user.id],
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "User not found." });
+      return res
+        .status(200)
+        .json({ ok: true, language: result.rows[0].language });
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).json({ message: "Failed to update language." });
+    }
+  },
+);
+
 // ── PATCH /user/update-email ─────────────────────────────────────────────────
 router.patch(
   "/update-email",
@@ -83,6 +205,7 @@ router.patch(
       .normalizeEmail(),
   ],
   validate,
+  reauthMiddleware,
   async (req, res) => {
     const userId = req.user.id;
     const { email } = req.body;
@@ -116,25 +239,24 @@ router.patch(
   "/update-phone",
   authMiddleware,
   [
-    body("phone")
-      .trim()
-      .notEmpty()
-      .withMessage("Phone number is required.")
-      .matches(/^237[62]\d{8}$/)
-      .withMessage(
-        "Phone must start with 237 followed by a valid Cameroonian number (12 digits total, e.g. 2376XXXXXXXX).",
-      ),
+    mobileMoneyPhoneField("phone", { reachable: paysOutTo }),
   ],
   validate,
+  reauthMiddleware,
   async (req, res) => {
     const userId = req.user.id;
     const { phone } = req.body;
     try {
-      await db.query("UPDATE users SET phone = $1 WHERE id = $2", [
-        phone,
-        userId,
-      ]);
-      return res.status(200).json({ ok: true, phone });
+      const change = await requestPhoneChange(userId, phone, req);
+      if (!change) return res.status(404).json({ message: "User not found." });
+      if (change.unchanged) return res.status(200).json({ ok: true, phone });
+      return res.status(202).json({
+        ok: true,
+        pending: true,
+        expiresAt: change.expiresAt,
+        message:
+          "We sent a confirmation link to your email address. Your payout number will change once you confirm.",
+      });
     } catch (err) {
       console.error(err.message);
       return res
@@ -212,34 +334,27 @@ router.patch(
       .withMessage("New password must be at least 8 characters."),
   ],
   validate,
+  reauthMiddleware, // checks current_password (+ 2FA code)
   async (req, res) => {
     const userId = req.user.id;
-    const { current_password, new_password } = req.body;
+    const { new_password } = req.body;
     try {
-      const result = await db.query(
-        "SELECT password FROM users WHERE id = $1",
-        [userId],
-      );
-      if (result.rows.length === 0)
-        return res.status(404).json({ message: "User not found." });
-
-      const match = await bcrypt.compare(
-        current_password,
-        result.rows[0].password,
-      );
-      if (!match)
-        return res
-          .status(401)
-          .json({ message: "Current password is incorrect." });
-
       const hashed = await bcrypt.hash(new_password, saltRounds);
       await db.query("UPDATE users SET password = $1 WHERE id = $2", [
         hashed,
         userId,
       ]);
-      return res
-        .status(200)
-        .json({ ok: true, message: "Password changed successfully." });
+      // Sign out every other device — this one stays signed in
+      const signedOut = await revokeAllSessions(
+        userId,
+        "password_changed",
+        req.user.sid,
+      );
+      return res.status(200).json({
+        ok: true,
+        message: "Password changed successfully.",
+        signedOutSessions: signedOut,
+      });
     } catch (err) {
       console.error(err.message);
       return res.status(500).json({ message: "Failed to change password." });
@@ -248,7 +363,7 @@ router.patch(
 );
 
 // ── DELETE /user/delete-account ──────────────────────────────────────────────
-// Requires current password as confirmation.
+// Requires current password (and a 2FA code when 2FA is on) as confirmation.
 // Deletes all user data: invoices, guests, reviews, notifications, chat messages, etc.
 router.delete(
   "/delete-account",
@@ -259,24 +374,10 @@ router.delete(
       .withMessage("Password confirmation is required."),
   ],
   validate,
+  reauthMiddleware, // 1. Verify password (+ 2FA code)
   async (req, res) => {
     const userId = req.user.id;
-    const { password } = req.body;
     try {
-      // 1. Verify password
-      const userResult = await db.query(
-        "SELECT password FROM users WHERE id = $1",
-        [userId],
-      );
-      if (userResult.rows.length === 0)
-        return res.status(404).json({ message: "User not found." });
-
-      const match = await bcrypt.compare(password, userResult.rows[0].password);
-      if (!match)
-        return res
-          .status(401)
-          .json({ message: "Incorrect password. Account not deleted." });
-
       // 2. Block deletion if the user has funds held in escrow
       //    (paid or delivered invoices that haven't been settled)
       const escrowCheck = await db.query(
@@ -304,7 +405,7 @@ router.delete(
       await db.query("DELETE FROM users WHERE id = $1", [userId]);
 
       // 4. Clear the auth cookie
-      res.clearCookie("authToken", { httpOnly: true, sameSite: "lax" });
+      clearSessionCookies(res);
       return res.status(200).json({
         ok: true,
         message: "Your account has been permanently deleted.",
@@ -318,20 +419,461 @@ router.delete(
   },
 );
 
-// GET /user/me — returns the authenticated user's email
+// GET /user/me — returns the authenticated user's email and language
 router.get("/me", authMiddleware, async (req, res) => {
   try {
-    const result = await db.query("SELECT email FROM users WHERE id = $1", [
-      req.user.id,
-    ]);
+    const result = await db.query(
+      "SELECT email, language FROM users WHERE id = $1",
+      [req.user.id],
+    );
     if (result.rows.length === 0) {
       return res.status(404).json({ message: "User not found." });
     }
-    return res.status(200).json({ email: result.rows[0].email });
+    const { email, language } = result.rows[0];
+    return res.status(200).json({ email, language });
   } catch (err) {
     console.error(err.message);
     return res.status(500).json({ message: "Failed to fetch user info." });
   }
 });
 
+// ── API keys ─────────────────────────────────────────────────────────────────
+// Managed from a login session only — an API key can never mint or revoke
+// keys, so a leaked key can be revoked without the attacker replacing it.
+
+// GET /user/api-keys — the seller's keys (never the secrets)
+router.get("/api-keys", authMiddleware, async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.user.id);
+    return res.status(200).json({ keys, availableScopes: API_KEY_SCOPES });
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ message: "Failed to load API keys." });
+  }
+});
+
+// POST /user/api-keys — { name, scopes[] }.  The key is shown ONCE.
+router.post(
+  "/api-keys",
+  authMiddleware,
+  [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Give the key a name so you can recognise it later.")
+      .isLength({ max: 100 })
+      .withMessage("Name must be 100 characters or fewer."),
+    body("scopes")
+      .isArray({ min: 1 })
+      .withMessage("Choose at least one scope."),
+    body("scopes.*")
+      .isIn(API_KEY_SCOPES)
+      .withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(", ")}.`),
+  ],
+  validate,
+  async (req, res) => {
+    const userId = req.user.id;
+    const { name, scopes } = req.body;
+    try {
+      if ((await countActiveApiKeys(userId)) >= MAX_ACTIVE_KEYS) {
+        return res.status(400).json({
+          message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke one first.`,
+        });
+      }
+      const { key, apiKey } = await createApiKey(userId, name, [
+        ...new Set(scopes),
+      ]);
+      return res.status(201).json({
+        ...apiKey,
+        key,
+        message: "Copy this key now. It will not be shown again.",
+      });
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).json({ message: "Failed to create API key." });
+    }
+  },
+);
+
+// DELETE /user/api-keys/:id — revoke immediately
+router.delete("/api-keys/:id", authMiddleware, async (req, res) => {
+  const keyId = parseInt(req.params.id, 10);
+  if (isNaN(keyId)) {
+    return res.status(400).json({ message: "Invalid key id." });
+  }
+  try {
+    const revoked = await revokeApiKey(req.user.id, keyId);
+    if (!revoked) {
+      return res
+        .status(404)
+        .json({ message: "API key not found or already revoked." });
+    }
+    return res.status(200).json({ ok: true, key: revoked });
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ message: "Failed to revoke API key." });
+  }
+});
+
+// ── GET /user/2fa ────────────────────────────────────────────────────────────
+router.get("/2fa", authMiddleware, async (req, res) => {
+  try {
+    return res.status(200).json(await getTwoFactorStatus("users", req.user.id));
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ message: "Failed to load 2FA settings." });
+  }
+});
+
+// ── POST /user/2fa/setup ─────────────────────────────────────────────────────
+// Returns a new secret and its otpauth:// URL (render it as a QR code).
+// 2FA is not on until POST /user/2fa/enable confirms a code from the app.
+router.post(
+  "/2fa/setup",
+  authMiddleware,
+  reauthMiddleware,
+  async (req, res) => {
+    try {
+      const result = await db.query("SELECT email FROM users WHERE id = $1", [
+        req.user.id,
+      ]);
+      if (result.rows.length === 0)
+        return res.status(404).json({ message: "User not found." });
+
+      const { secret, otpauthUrl } = await beginEnrolment(
+        "users",
+        req.user.id,
+        result.rows[0].email,
+      );
+      return res.status(200).json({ secret, otpauthUrl });
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).json({ message: "Failed to start 2FA setup." });
+    }
+  },
+);
+
+// ── POST /user/2fa/enable ────────────────────────────────────────────────────
+// Confirms setup with a code from the app and returns the backup codes once.
+router.post(
+  "/2fa/enable",
+  authMiddleware,
+  [body("code").trim().notEmpty().withMessage("Enter the 6-digit code.")],
+  validate,
+  async (req, res) => {
+    try {
+      const backupCodes = await confirmEnrolment(
+        "users",
+        req.user.id,
+        req.body.code,
+      );
+      if (!backupCodes) {
+        return res.status(400).json({
+          message:
+            "That code does not match. Check your authenticator app and try again.",
+        });
+      }
+      return res.status(200).json({
+        ok: true,
+        backupCodes,
+        message:
+          "Two-factor authentication is on. Save these backup codes — they will not be shown again.",
+      });
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).json({ message: "Failed to enable 2FA." });
+    }
+  },
+);
+
+// ── POST /user/2fa/disable ───────────────────────────────────────────────────
+router.post(
+  "/2fa/disable",
+  authMiddleware,
+  reauthMiddleware,
+  async (req, res) => {
+    try {
+      await disableTwoFactor("users", req.user.id);
+      return res
+        .status(200)
+        .json({ ok: true, message: "Two-factor authentication is off." });
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).json({ message: "Failed to disable 2FA." });
+    }
+  },
+);
+
+// ── POST /user/2fa/backup-codes ──────────────────────────────────────────────
+// Replaces every backup code; the old ones stop working.
+router.post(
+  "/2fa/backup-codes",
+  authMiddleware,
+  reauthMiddleware,
+  async (req, res) => {
+    try {
+      const status = await getTwoFactorStatus("users", req.user.id);
+      if (!status.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not on." });
+      }
+      const backupCodes = await regenerateBackupCodes("users", req.user.id);
+      return res.status(200).json({ ok: true, backupCodes });
+    } catch (err) {
+      console.error(err.message);
+      return res
+        .status(500)
+        .json({ message: "Failed to create new backup codes." });
+    }
+  },
+);
+
+// ── Sessions ─────────────────────────────────────────────────────────────────
+// Every device the user is signed in on (see utils/sessions.js).
+
+// GET /user/sessions — `current` marks the session making this request
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    return res.status(200).json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sid,
+      })),
+    });
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ message: "Failed to load sessions." });
+  }
+});
+
+// DELETE /user/sessions — sign out everywhere except this device
+router.delete("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(
+      req.user.id,
+      "revoked_by_user",
+      req.user.sid,
+    );
+    return res.status(200).json({ ok: true, revoked });
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ message: "Failed to sign out sessions." });
+  }
+});
+
+// DELETE /user/sessions/:id — sign out one device (may be this one)
+router.delete(
+  "/sessions/:id",
+  authMiddleware,
+  [param("id").isUUID().withMessage("Invalid session id.")],
+  validate,
+  async (req, res) => {
+    try {
+      const revoked = await revokeSession(
+        req.params.id,
+        "revoked_by_user",
+        req.user.id,
+      );
+      if (!revoked) {
+        return res
+          .status(404)
+          .json({ message: "Session not found or already signed out." });
+      }
+      if (req.params.id === req.user.sid) clearSessionCookies(res);
+      return res.status(200).json({ ok: true });
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).json({ message: "Failed to sign out session." });
+    }
+  },
+);
+
+// ── Payout phone number ──────────────────────────────────────────────────────
+// Shown on the seller's dashboard so a pending change or a hold on payouts is
+// never a surprise.
+
+// GET /user/payout-phone — { phone, pendingChange, hold }
+router.get("/payout-phone", authMiddleware, async (req, res) => {
+  try {
+    const status = await getPayoutPhoneStatus(req.user.id);
+    if (!status) return res.status(404).json({ message: "User not found." });
+    return res.status(200).json(status);
+  } catch (err) {
+    console.error(err.message);
+    return res
+      .status(500)
+      .json({ message: "Failed to load payout number status." });
+  }
+});
+
+// DELETE /user/payout-phone/pending — withdraw an unconfirmed change
+router.delete("/payout-phone/pending", authMiddleware, async (req, res) => {
+  try {
+    const cancelled = await cancelPhoneChange(req.user.id);
+    if (!cancelled) {
+      return res
+        .status(404)
+        .json({ message: "There is no pending payout number change." });
+    }
+    return res.status(200).json({ ok: true });
+  } catch (err) {
+    console.error(err.message);
+    return res
+      .status(500)
+      .json({ message: "Failed to cancel the payout number change." });
+  }
+});
+
+// POST /user/payout-phone/confirm — { token } from the confirmation email.
+// No login needed: the token itself proves access to the account's email.
+router.post(
+  "/payout-phone/confirm",
+  [
+    body("token")
+      .trim()
+      .isHexadecimal()
+      .withMessage("Confirmation token format is invalid.")
+      .isLength({ min: 64, max: 64 })
+      .withMessage("Confirmation token length is invalid."),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const change = await confirmPhoneChange(req.body.token);
+      if (!change) {
+        return res.status(400).json({
+          message:
+            "This confirmation link is invalid or has expired. Please request the change again.",
+        });
+      }
+      return res.status(200).json({
+        ok: true,
+        phone: change.phone,
+        holdUntil: change.holdUntil,
+      });
+    } catch (err) {
+      console.error(err.message);
+      return res
+        .status(500)
+        .json({ message: "Failed to confirm the payout number change." });
+    }
+  },
+);
+
+// ── Identity verification (KYC) ──────────────────────────────────────────────
+// See utils/kyc.js for the tiers and the limits they unlock.
+
+// GET /user/kyc — { tier, verifiedAt, limits, usage, submission }
+router.get("/kyc", authMiddleware, async (req, res) => {
+  try {
+    const status = await getKycStatus(req.user.id);
+    if (!status) return res.status(404).json({ message: "User not found." });
+    return res.status(200).json(status);
+  } catch (err) {
+    console.error(err.message);
+    return res
+      .status(500)
+      .json({ message: "Failed to load verification status." });
+  }
+});
+
+// POST /user/kyc/submissions — multipart form:
+//   requested_tier  "basic" | "verified"
+//   id_type, id_number
+//   id_front (required), id_back (optional), selfie (required for "verified")
+router.post(
+  "/kyc/submissions",
+  authMiddleware,
+  kycUpload,
+  [
+    body("requested_tier")
+      .isIn(["basic", "verified"])
+      .withMessage("Requested tier must be 'basic' or 'verified'."),
+    body("id_type")
+      .isIn(ID_TYPES)
+      .withMessage(`ID type must be one of: ${ID_TYPES.join(", ")}.`),
+    body("id_number")
+      .trim()
+      .notEmpty()
+      .withMessage("ID number is required.")
+      .isLength({ max: 60 })
+      .withMessage("ID number must be 60 characters or fewer.")
+      .matches(/^[A-Za-z0-9 -]+$/)
+      .withMessage("ID number may only contain letters, digits and dashes."),
+  ],
+  validate,
+  async (req, res) => {
+    const userId = req.user.id;
+    const { requested_tier, id_type, id_number } = req.body;
+    const files = req.files ?? {};
+
+    const missing = REQUIRED_DOCUMENTS[requested_tier].filter(
+      (field) => !files[field]?.[0],
+    );
+    if (missing.length > 0) {
+      return res.status(400).json({
+        message: `Missing document(s) for the ${requested_tier} tier: ${missing.join(", ")}.`,
+      });
+    }
+
+    try {
+      const status = await getKycStatus(userId);
+      if (!status) return res.status(404).json({ message: "User not found." });
+      if (
+        KYC_TIERS.indexOf(requested_tier) <= KYC_TIERS.indexOf(status.tier)
+      ) {
+        return res.status(400).json({
+          message: `Your account is already ${status.tier}.`,
+        });
+      }
+      if (await hasPendingSubmission(userId)) {
+        return res.status(409).json({
+          message:
+            "Your previous documents are still being reviewed. We will notify you as soon as they are.",
+        });
+      }
+
+      // Private uploads — only reachable through signed links for reviewers
+      const documents = {};
+      const stamp = Date.now();
+      for (const field of DOCUMENT_FIELDS) {
+        const file = files[field]?.[0];
+        if (!file) continue;
+        const { publicId, format } = await uploadToCloudinary(file.buffer, {
+          folder: "fonlok/kyc",
+          resource_type: "image",
+          type: "private",
+          public_id: `user_${userId}_${field}_${stamp}`,
+        });
+        documents[field] = { publicId, format };
+      }
+
+      const submission = await createSubmission(userId, {
+        requestedTier: requested_tier,
+        idType: id_type,
+        idNumber: id_number,
+        documents,
+      });
+      if (!submission) {
+        for (const { publicId } of Object.values(documents)) {
+          await deleteFromCloudinary(publicId, { type: "private" });
+        }
+        return res.status(409).json({
+          message:
+            "Your previous documents are still being reviewed. We will notify you as soon as they are.",
+        });
+      }
+
+      return res.status(201).json({ ok: true, submission });
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).json({
+        message: "Failed to submit your documents. Please try again.",
+      });
+    }
+  },
+);
+
 export default router;
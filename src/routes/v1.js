@@ -0,0 +1,300 @@
+/**
+ * v1.js — public REST API for sellers' own systems
+ *
+ * Authenticate with a seller API key (created under /user/api-keys):
+ *   X-API-Key: fk_live_…        or        Authorization: Bearer fk_live_…
+ * A login session works too, so the dashboard can use the same endpoints.
+ *
+ *   POST /v1/invoices                           invoices:write
+ *   GET  /v1/invoices                           invoices:read
+ *   GET  /v1/invoices/:invoice_number           invoices:read
+ *   GET  /v1/invoices/:invoice_number/receipt   receipts:read
+ *
+ * Every error has the same machine-readable shape:
+ *   { "code": "VALIDATION_ERROR", "message": "…", "details": [ … ] }
+ * `code` is stable and safe to branch on; `message` is for humans;
+ * `details` is only present on validation errors.
+ */
+
+import express from "express";
+const router = express.Router();
+import { validationResult, query } from "express-validator";
+import db from "../controllers/db.js";
+import apiKeyMiddleware from "../middleware/apiKeyMiddleware.js";
+import {
+  invoiceValidators,
+  milestonesError,
+  createInvoice,
+} from "./invoices.js";
+import {
+  generateReceiptPdf,
+  ReceiptUnavailableError,
+} from "../utils/generateReceipt.js";
+import { INVOICE_STATUSES } from "../utils/invoiceState.js";
+import { invoiceLimitError } from "../utils/kyc.js";
+
+const apiError = (res, status, code, message, details) =>
+  res.status(status).json({ code, message, ...(details && { details }) });
+
+// Like middleware/validate.js, but reports every field in the v1 error shape
+const validateV1 = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const details = errors
+      .array()
+      .map((e) => ({ field: e.path, message: e.msg }));
+    return apiError(
+      res,
+      400,
+      "VALIDATION_ERROR",
+      details[0].message,
+      details,
+    );
+  }
+  next();
+};
+
+// The stable public representation of an invoice — internal columns
+// (ids, tokens, tracking flags) are never exposed.
+const serializeInvoice = (row, milestones) => ({
+  invoice_number: row.invoicenumber,
+  name: row.invoicename,
+  description: row.description ?? null,
+  amount: Number(row.amount),
+  currency: row.currency,
+  payment_type: row.payment_type ?? "full",
+  status: row.status,
+  payment_link: row.invoicelink,
+  created_at: row.createdat,
+  expires_at: row.expires_at ?? null,
+  paid_at: row.paid_at ?? null,
+  delivered_at: row.delivered_at ?? null,
+  auto_release_at: row.auto_release_at ?? null,
+  ...(milestones && {
+    milestones: milestones.map((m) => ({
+      number: m.milestone_number,
+      label: m.label,
+      amount: Number(m.amount),
+      status: m.status,
+      deadline: m.deadline ?? null,
+    })),
+  }),
+});
+
+const findOwnInvoice = async (userId, invoiceNumber) => {
+  const result = await db.query(
+    "SELECT * FROM invoices WHERE invoicenumber = $1 AND userid = $2",
+    [invoiceNumber, userId],
+  );
+  return result.rows[0] ?? null;
+};
+
+const loadMilestones = async (invoiceId) => {
+  const result = await db.query(
+    "SELECT * FROM invoice_milestones WHERE invoice_id = $1 ORDER BY milestone_number ASC",
+    [invoiceId],
+  );
+  return result.rows;
+};
+
+// ── POST /v1/invoices ────────────────────────────────────────────────────────
+// Same fields as POST /invoice/create, minus the seller's email.
+router.post(
+  "/invoices",
+  apiKeyMiddleware("invoices:write"),
+  invoiceValidators,
+  validateV1,
+  async (req, res) => {
+    const { amount, currency, payment_type, milestones } = req.body;
+    if (payment_type === "installment") {
+      const milestoneProblem = milestonesError(amount, milestones, currency);
+      if (milestoneProblem) {
+        return apiError(res, 400, "VALIDATION_ERROR", milestoneProblem, [
+          { field: "milestones", message: milestoneProblem },
+        ]);
+      }
+    }
+
+    try {
+      const userResult = await db.query("SELECT * FROM users WHERE id = $1", [
+        req.user.id,
+      ]);
+      if (userResult.rows.length === 0) {
+        return apiError(res, 404, "ACCOUNT_NOT_FOUND", "Account not found.");
+      }
+
+      const limitProblem = await invoiceLimitError(userResult.rows[0], amount);
+      if (limitProblem) {
+        return apiError(res, 403, "KYC_LIMIT_EXCEEDED", limitProblem);
+      }
+
+      const invoice = await createInvoice(userResult.rows[0], req.body);
+      const invoiceMilestones =
+        invoice.payment_type === "installment"
+          ? await loadMilestones(invoice.id)
+          : undefined;
+      return res
+        .status(201)
+        .json({ data: serializeInvoice(invoice, invoiceMilestones) });
+    } catch (err) {
+      console.error("v1 invoice create error:", err.message);
+      return apiError(
+        res,
+        500,
+        "INTERNAL_ERROR",
+        "Failed to create invoice. Please try again.",
+      );
+    }
+  },
+);
+
+// ── GET /v1/invoices?status=&limit=&offset= ──────────────────────────────────
+router.get(
+  "/invoices",
+  apiKeyMiddleware("invoices:read"),
+  [
+    query("status")
+      .optional()
+      .isIn(INVOICE_STATUSES)
+      .withMessage(`status must be one of: ${INVOICE_STATUSES.join(", ")}.`),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("limit must be between 1 and 100."),
+    query("offset")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("offset must be 0 or more."),
+  ],
+  validateV1,
+  async (req, res) => {
+    const status = req.query.status ?? null;
+    const limit = parseInt(req.query.limit ?? "20", 10);
+    const offset = parseInt(req.query.offset ?? "0", 10);
+
+    try {
+      const result = await db.query(
+        `SELECT *, COUNT(*) OVER () AS total_count
+           FROM invoices
+          WHERE userid = $1
+            AND ($2::text IS NULL OR status = $2)
+          ORDER BY createdat DESC, id DESC
+          LIMIT $3 OFFSET $4`,
+        [req.user.id, status, limit, offset],
+      );
+      return res.status(200).json({
+        data: result.rows.map((row) => serializeInvoice(row)),
+        pagination: {
+          limit,
+          offset,
+          total: result.rows.length
+            ? parseInt(result.rows[0].total_count, 10)
+            : 0,
+        },
+      });
+    } catch (err) {
+      console.error("v1 invoice list error:", err.message);
+      return apiError(
+        res,
+        500,
+        "INTERNAL_ERROR",
+        "Failed to list invoices. Please try again.",
+      );
+    }
+  },
+);
+
+// ── GET /v1/invoices/:invoice_number ─────────────────────────────────────────
+router.get(
+  "/invoices/:invoice_number",
+  apiKeyMiddleware("invoices:read"),
+  async (req, res) => {
+    try {
+      const invoice = await findOwnInvoice(
+        req.user.id,
+        req.params.invoice_number,
+      );
+      if (!invoice) {
+        return apiError(
+          res,
+          404,
+          "INVOICE_NOT_FOUND",
+          "No invoice with this number belongs to your account.",
+        );
+      }
+      const invoiceMilestones =
+        invoice.payment_type === "installment"
+          ? await loadMilestones(invoice.id)
+          : undefined;
+      return res
+        .status(200)
+        .json({ data: serializeInvoice(invoice, invoiceMilestones) });
+    } catch (err) {
+      console.error("v1 invoice fetch error:", err.message);
+      return apiError(
+        res,
+        500,
+        "INTERNAL_ERROR",
+        "Failed to load the invoice. Please try again.",
+      );
+    }
+  },
+);
+
+// ── GET /v1/invoices/:invoice_number/receipt ─────────────────────────────────
+router.get(
+  "/invoices/:invoice_number/receipt",
+  apiKeyMiddleware("receipts:read"),
+  async (req, res) => {
+    const { invoice_number } = req.params;
+    try {
+      const invoice = await findOwnInvoice(req.user.id, invoice_number);
+      if (!invoice) {
+        return apiError(
+          res,
+          404,
+          "INVOICE_NOT_FOUND",
+          "No invoice with this number belongs to your account.",
+        );
+      }
+
+      const pdfBuffer = await generateReceiptPdf(invoice_number, {
+        lang: req.lang,
+      });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="fonlok-receipt-${invoice_number}.pdf"`,
+      );
+      return res.send(pdfBuffer);
+    } catch (err) {
+      if (err instanceof ReceiptUnavailableError) {
+        return apiError(
+          res,
+          409,
+          "RECEIPT_NOT_AVAILABLE",
+          "Receipts are only available for paid, delivered, or completed invoices.",
+        );
+      }
+      console.error("v1 receipt error:", err.message);
+      return apiError(
+        res,
+        500,
+        "INTERNAL_ERROR",
+        "Failed to generate the receipt. Please try again.",
+      );
+    }
+  },
+);
+
+// Anything else under /v1
+router.use((req, res) =>
+  apiError(
+    res,
+    404,
+    "NOT_FOUND",
+    `No API endpoint matches ${req.method} ${req.originalUrl}.`,
+  ),
+);
+
+export default router;
@@ -0,0 +1,292 @@
+/**
+ * webhooks.js — sellers manage their outbound webhook endpoints
+ *
+ * All routes require a login session (authMiddleware).
+ *
+ *   GET    /webhooks/endpoints
+ *   POST   /webhooks/endpoints                    { url, events[], description? }
+ *   PATCH  /webhooks/endpoints/:id                { url?, events?, description?, active? }
+ *   DELETE /webhooks/endpoints/:id
+ *   POST   /webhooks/endpoints/:id/test           sends a test.ping event
+ *   GET    /webhooks/endpoints/:id/deliveries     delivery log (newest first)
+ *   POST   /webhooks/deliveries/:id/replay        sends a past event again
+ *
+ * The signing secret is returned once, when the endpoint is created.
+ * See jobs/webhookQueue.js for the signature format.
+ */
+
+import express from "express";
+const router = express.Router();
+import net from "net";
+import db from "../controllers/db.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+import { body } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  sendTestEvent,
+  replayDelivery,
+} from "../jobs/webhookQueue.js";
+
+const MAX_ENDPOINTS = 5;
+
+// Public endpoints only — webhooks must never be pointed at our own network.
+// HTTPS is required in production.
+const isAllowedWebhookUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  const allowedProtocols =
+    process.env.NODE_ENV === "production" ? ["https:"] : ["https:", "http:"];
+  if (!allowedProtocols.includes(url.protocol)) return false;
+
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) return false;
+  if (host.endsWith(".internal") || host.endsWith(".local")) return false;
+  if (net.isIP(host)) {
+    return !/^(127\.|10\.|0\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|::1$|fc|fd|fe80)/.test(
+      host,
+    );
+  }
+  return true;
+};
+
+const urlRule = (chain) =>
+  chain
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("URL must be 500 characters or fewer.")
+    .custom(isAllowedWebhookUrl)
+    .withMessage(
+      "Enter a public URL. HTTPS is required and private or local addresses are not allowed.",
+    );
+
+const eventsRule = (chain) =>
+  chain
+    .isArray({ min: 1 })
+    .withMessage("Choose at least one event.")
+    .custom((events) => events.every((e) => WEBHOOK_EVENTS.includes(e)))
+    .withMessage(`Events must be among: ${WEBHOOK_EVENTS.join(", ")}.`);
+
+const ENDPOINT_COLUMNS =
+  "id, url, events, description, active, created_at, updated_at";
+
+const findOwnEndpoint = async (userId, endpointId) => {
+  const result = await db.query(
+    "SELECT * FROM webhook_endpoints WHERE id = $1 AND user_id = $2",
+    [endpointId, userId],
+  );
+  return result.rows[0] ?? null;
+};
+
+// ── GET /webhooks/endpoints ──────────────────────────────────────────────────
+router.get("/endpoints", authMiddleware, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT ${ENDPOINT_COLUMNS},
+              (SELECT status FROM webhook_deliveries d
+                WHERE d.endpoint_id = e.id
+                ORDER BY d.created_at DESC LIMIT 1) AS last_delivery_status
+         FROM webhook_endpoints e
+        WHERE user_id = $1
+        ORDER BY created_at DESC`,
+      [req.user.id],
+    );
+    return res
+      .status(200)
+      .json({ endpoints: result.rows, availableEvents: WEBHOOK_EVENTS });
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ message: "Failed to load webhooks." });
+  }
+});
+
+// ── POST /webhooks/endpoints ─────────────────────────────────────────────────
+router.post(
+  "/endpoints",
+  authMiddleware,
+  [
+    urlRule(body("url")),
+    eventsRule(body("events")),
+    body("description")
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Description must be 200 characters or fewer.")
+      .escape(),
+  ],
+  validate,
+  async (req, res) => {
+    const userId = req.user.id;
+    const { url, events, description } = req.body;
+    try {
+      const count = await db.query(
+        "SELECT COUNT(*) AS cnt FROM webhook_endpoints WHERE user_id = $1",
+        [userId],
+      );
+      if (parseInt(count.rows[0].cnt, 10) >= MAX_ENDPOINTS) {
+        return res.status(400).json({
+          message: `You can register at most ${MAX_ENDPOINTS} webhook endpoints.`,
+        });
+      }
+
+      const secret = generateWebhookSecret();
+      const result = await db.query(
+        `INSERT INTO webhook_endpoints (user_id, url, secret, events, description)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${ENDPOINT_COLUMNS}`,
+        [userId, url, secret, [...new Set(events)], description || null],
+      );
+      return res.status(201).json({
+        endpoint: result.rows[0],
+        secret,
+        message:
+          "Copy the signing secret now. It will not be shown again.",
+      });
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).json({ message: "Failed to create webhook." });
+    }
+  },
+);
+
+// ── PATCH /webhooks/endpoints/:id ────────────────────────────────────────────
+router.patch(
+  "/endpoints/:id",
+  authMiddleware,
+  [
+    urlRule(body("url").optional()),
+    eventsRule(body("events").optional()),
+    body("description")
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Description must be 200 characters or fewer.")
+      .escape(),
+    body("active")
+      .optional()
+      .isBoolean()
+      .withMessage("active must be true or false."),
+  ],
+  validate,
+  async (req, res) => {
+    const { url, events, description, active } = req.body;
+    try {
+      const result = await db.query(
+        `UPDATE webhook_endpoints
+            SET url         = COALESCE($3, url),
+                events      = COALESCE($4, events),
+                description = COALESCE($5, description),
+                active      = COALESCE($6, active),
+                updated_at  = NOW()
+          WHERE id = $1 AND user_id = $2
+          RETURNING ${ENDPOINT_COLUMNS}`,
+        [
+          req.params.id,
+          req.user.id,
+          url ?? null,
+          events ? [...new Set(events)] : null,
+          description ?? null,
+          active === undefined ? null : String(active) === "true",
+        ],
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: "Webhook not found." });
+      }
+      return res.status(200).json({ endpoint: result.rows[0] });
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).json({ message: "Failed to update webhook." });
+    }
+  },
+);
+
+// ── DELETE /webhooks/endpoints/:id ───────────────────────────────────────────
+router.delete("/endpoints/:id", authMiddleware, async (req, res) => {
+  try {
+    const result = await db.query(
+      "DELETE FROM webhook_endpoints WHERE id = $1 AND user_id = $2 RETURNING id",
+      [req.params.id, req.user.id],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Webhook not found." });
+    }
+    return res.status(200).json({ ok: true });
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ message: "Failed to delete webhook." });
+  }
+});
+
+// ── POST /webhooks/endpoints/:id/test ────────────────────────────────────────
+router.post("/endpoints/:id/test", authMiddleware, async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req.user.id, req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({ message: "Webhook not found." });
+    }
+    const delivery = await sendTestEvent(endpoint);
+    return res.status(200).json({
+      delivered: delivery.status === "succeeded",
+      delivery,
+    });
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ message: "Failed to send test event." });
+  }
+});
+
+// ── GET /webhooks/endpoints/:id/deliveries?limit= ────────────────────────────
+router.get("/endpoints/:id/deliveries", authMiddleware, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  try {
+    const endpoint = await findOwnEndpoint(req.user.id, req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({ message: "Webhook not found." });
+    }
+    const result = await db.query(
+      `SELECT id, event_id, event_type, payload, status, attempts,
+              next_attempt_at, response_status, response_body, last_error,
+              replay_of, created_at, delivered_at
+         FROM webhook_deliveries
+        WHERE endpoint_id = $1
+        ORDER BY created_at DESC, id DESC
+        LIMIT $2`,
+      [endpoint.id, limit],
+    );
+    return res.status(200).json({ deliveries: result.rows });
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ message: "Failed to load deliveries." });
+  }
+});
+
+// ── POST /webhooks/deliveries/:id/replay ─────────────────────────────────────
+router.post("/deliveries/:id/replay", authMiddleware, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT d.*
+         FROM webhook_deliveries d
+         JOIN webhook_endpoints e ON e.id = d.endpoint_id
+        WHERE d.id = $1 AND e.user_id = $2`,
+      [req.params.id, req.user.id],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Delivery not found." });
+    }
+    const delivery = await replayDelivery(result.rows[0]);
+    return res.status(200).json({
+      delivered: delivery.status === "succeeded",
+      delivery,
+    });
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ message: "Failed to replay the event." });
+  }
+});
+
+export default router;
@@ -0,0 +1,384 @@
+/**
+ * sms/index.js — named SMS / WhatsApp templates
+ *
+ * Buyers are guests: all we hold is the email and Mobile Money number they
+ * paid with (the guests table).  The events that matter most to them are
+ * also texted to that number, next to the email, through jobs/smsQueue.js
+ * with `sendBuyerSms(name, { invoiceNumber, data })`.  Sellers get the
+ * seller.* texts only when they turn SMS on for that event (notifyUser,
+ * middleware/notificationHelper.js).  Names match the email templates
+ * (src/emails) for the same event.
+ *
+ * A template is:
+ *
+ *   {
+ *     version,        bump it whenever the wording changes
+ *     description,    one line for the admin template list
+ *     sample,         example data for POST /admin/sms-templates/:name/preview
+ *     render(data, lang) → text
+ *     confidential?,  true when the text carries a secret (confirmation code)
+ *                     — support sees the status but not the text
+ *   }
+ *
+ * Keep texts short: links and secrets that only matter on a computer stay
+ * in the email.  Every message ends with the STOP instruction (OPT_OUT_NOTE).
+ */
+
+import { formatAmount } from "../utils/currency.js";
+import {
+  t,
+  formatDateTime,
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+} from "../utils/i18n.js";
+
+const OPT_OUT_NOTE = "Reply STOP to stop these messages.";
+
+const SAMPLE_INVOICE = {
+  invoiceNumber: "INV-2026-0001",
+  invoiceName: "Logo design",
+  amount: 25000,
+  currency: "XAF",
+};
+
+const TEMPLATES = {
+  "buyer.payment_confirmed": {
+    version: 1,
+    description: "Buyer: payment held in escrow, with the confirmation code",
+    confidential: true,
+    sample: { ...SAMPLE_INVOICE, releaseCode: "123456" },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: your payment of {amount} for invoice {invoice} is held in escrow. Your confirmation code is {code}. Only give it to the seller once you have received your order.",
+        {
+          amount: formatAmount(d.amount, d.currency),
+          invoice: d.invoiceNumber,
+          code: d.releaseCode,
+        },
+      ),
+  },
+
+  "buyer.milestone_escrow_confirmed": {
+    version: 1,
+    description: "Buyer: milestone invoice paid and held in escrow",
+    sample: SAMPLE_INVOICE,
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: your payment of {amount} for invoice {invoice} is held in escrow. You will release it one milestone at a time; we will let you know as each one is completed.",
+        {
+          amount: formatAmount(d.amount, d.currency),
+          invoice: d.invoiceNumber,
+        },
+      ),
+  },
+
+  "buyer.order_delivered": {
+    version: 1,
+    description: "Buyer: the seller marked the order delivered",
+    sample: { ...SAMPLE_INVOICE, autoReleaseAt: "2026-03-12T14:00:00Z" },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: the seller marked invoice {invoice} ({name}) as delivered. Check your email to confirm receipt or open a dispute.",
+        { invoice: d.invoiceNumber, name: d.invoiceName },
+      ) +
+      (d.autoReleaseAt
+        ? " " +
+          t(
+            lang,
+            "Otherwise the funds go to the seller automatically on {date}.",
+            { date: formatDateTime(d.autoReleaseAt, lang) },
+          )
+        : ""),
+  },
+
+  "buyer.milestone_completed": {
+    version: 1,
+    description: "Buyer: the seller completed a milestone",
+    sample: {
+      ...SAMPLE_INVOICE,
+      milestoneNumber: 1,
+      milestoneLabel: "Design",
+    },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: the seller completed milestone {number} ({label}) of invoice {invoice}. Check your email to release the payment for it.",
+        {
+          number: d.milestoneNumber,
+          label: d.milestoneLabel,
+          invoice: d.invoiceNumber,
+        },
+      ),
+  },
+
+  "buyer.payment_reminder": {
+    version: 1,
+    description: "Buyer: invoice still unpaid after a payment attempt",
+    sample: {
+      ...SAMPLE_INVOICE,
+      invoiceUrl: "https://fonlok.com/invoice/INV-2026-0001",
+    },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: invoice {invoice} ({name}) for {amount} is still waiting for payment. Pay here: {url}",
+        {
+          invoice: d.invoiceNumber,
+          name: d.invoiceName,
+          amount: formatAmount(d.amount, d.currency),
+          url: d.invoiceUrl,
+        },
+      ),
+  },
+
+  "buyer.auto_release_reminder": {
+    version: 1,
+    description: "Buyer: funds will be released automatically soon",
+    sample: { ...SAMPLE_INVOICE, autoReleaseAt: "2026-03-12T14:00:00Z" },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: the {amount} held for invoice {invoice} will be released to the seller automatically on {date}. If something is wrong, open a dispute before then.",
+        {
+          amount: formatAmount(d.amount, d.currency),
+          invoice: d.invoiceNumber,
+          date: formatDateTime(d.autoReleaseAt, lang),
+        },
+      ),
+  },
+
+  "buyer.milestone_auto_release_reminder": {
+    version: 1,
+    description:
+      "Buyer: a completed milestone will be released automatically soon",
+    sample: {
+      ...SAMPLE_INVOICE,
+      milestoneNumber: 1,
+      milestoneLabel: "Design",
+      autoReleaseAt: "2026-03-12T14:00:00Z",
+    },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: the {amount} for milestone {number} ({label}) of invoice {invoice} will be released to the seller automatically on {date}. If something is wrong, open a dispute before then.",
+        {
+          amount: formatAmount(d.amount, d.currency),
+          number: d.milestoneNumber,
+          label: d.milestoneLabel,
+          invoice: d.invoiceNumber,
+          date: formatDateTime(d.autoReleaseAt, lang),
+        },
+      ),
+  },
+
+  "buyer.milestone_auto_released": {
+    version: 1,
+    description: "Buyer: a milestone's funds were released automatically",
+    sample: { ...SAMPLE_INVOICE, milestoneNumber: 1, milestoneLabel: "Design" },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: the inspection period for milestone {number} ({label}) of invoice {invoice} has ended and its {amount} was released to the seller.",
+        {
+          number: d.milestoneNumber,
+          label: d.milestoneLabel,
+          invoice: d.invoiceNumber,
+          amount: formatAmount(d.amount, d.currency),
+        },
+      ),
+  },
+
+  "buyer.auto_released": {
+    version: 1,
+    description: "Buyer: funds released automatically after inspection",
+    sample: SAMPLE_INVOICE,
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: the inspection period for invoice {invoice} has ended and the {amount} held in escrow was released to the seller.",
+        {
+          invoice: d.invoiceNumber,
+          amount: formatAmount(d.amount, d.currency),
+        },
+      ),
+  },
+
+  "buyer.dispute_opened": {
+    version: 1,
+    description: "Buyer: a dispute was opened on the invoice",
+    sample: { invoiceNumber: "INV-2026-0001" },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: a dispute is open on invoice {invoice}. The funds stay in escrow while our team reviews it; we will email you the outcome.",
+        { invoice: d.invoiceNumber },
+      ),
+  },
+
+  "buyer.dispute_released": {
+    version: 1,
+    description: "Buyer: dispute resolved in the seller's favour",
+    sample: { invoiceNumber: "INV-2026-0001" },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: the dispute on invoice {invoice} is resolved. The funds were released to the seller. See your email for details.",
+        { invoice: d.invoiceNumber },
+      ),
+  },
+
+  "buyer.dispute_refunded": {
+    version: 1,
+    description: "Buyer: dispute resolved with a full refund",
+    sample: {
+      invoiceNumber: "INV-2026-0001",
+      amount: 24500,
+      currency: "XAF",
+      phone: "237670000000",
+      sent: true,
+    },
+    render: (d, lang) =>
+      t(
+        lang,
+        d.sent
+          ? "Fonlok: the dispute on invoice {invoice} is resolved in your favour. {amount} has been sent to {phone}."
+          : "Fonlok: the dispute on invoice {invoice} is resolved in your favour. {amount} is being sent to {phone}.",
+        {
+          invoice: d.invoiceNumber,
+          amount: formatAmount(d.amount, d.currency),
+          phone: d.phone,
+        },
+      ),
+  },
+
+  "buyer.dispute_split": {
+    version: 1,
+    description: "Buyer: dispute settled with a partial refund",
+    sample: {
+      invoiceNumber: "INV-2026-0001",
+      amount: 9800,
+      currency: "XAF",
+      phone: "237670000000",
+      sent: true,
+    },
+    render: (d, lang) =>
+      t(
+        lang,
+        d.sent
+          ? "Fonlok: the dispute on invoice {invoice} is settled with a partial refund. {amount} has been sent to {phone}."
+          : "Fonlok: the dispute on invoice {invoice} is settled with a partial refund. {amount} is being sent to {phone}.",
+        {
+          invoice: d.invoiceNumber,
+          amount: formatAmount(d.amount, d.currency),
+          phone: d.phone,
+        },
+      ),
+  },
+
+  "buyer.refund_failed": {
+    version: 1,
+    description: "Buyer: a dispute refund failed to arrive",
+    sample: { ...SAMPLE_INVOICE, amount: 24500, phone: "237670000000" },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: the refund of {amount} for invoice {invoice} could not be delivered to {phone}. The money is safe; our team will send it again.",
+        {
+          amount: formatAmount(d.amount, d.currency),
+          invoice: d.invoiceNumber,
+          phone: d.phone,
+        },
+      ),
+  },
+
+  "buyer.refund_resent": {
+    version: 1,
+    description: "Buyer: a failed dispute refund was sent again",
+    sample: { ...SAMPLE_INVOICE, amount: 24500, phone: "237670000000" },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: we sent the refund of {amount} for invoice {invoice} to {phone} again.",
+        {
+          amount: formatAmount(d.amount, d.currency),
+          invoice: d.invoiceNumber,
+          phone: d.phone,
+        },
+      ),
+  },
+
+  "seller.invoice_paid": {
+    version: 1,
+    description: "Seller: a buyer paid an invoice into escrow",
+    sample: { ...SAMPLE_INVOICE, buyerName: "Jean Mbarga" },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: {buyer} paid {amount} for invoice {invoice} ({name}). The funds are held in escrow; deliver the order to get paid.",
+        {
+          buyer: d.buyerName,
+          amount: formatAmount(d.amount, d.currency),
+          invoice: d.invoiceNumber,
+          name: d.invoiceName,
+        },
+      ),
+  },
+
+  "seller.payout_sent": {
+    version: 1,
+    description: "Seller: an invoice was paid out",
+    sample: { ...SAMPLE_INVOICE, amount: 24500, phone: "237670000000" },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: {amount} for invoice {invoice} has been sent to your Mobile Money account {phone}.",
+        {
+          amount: formatAmount(d.amount, d.currency),
+          invoice: d.invoiceNumber,
+          phone: d.phone,
+        },
+      ),
+  },
+
+  "seller.dispute_opened": {
+    version: 1,
+    description: "Seller: a dispute was opened on an invoice",
+    sample: { invoiceNumber: "INV-2026-0001" },
+    render: (d, lang) =>
+      t(
+        lang,
+        "Fonlok: a dispute was opened on invoice {invoice}. The funds stay in escrow while our team reviews it. Check your email for details.",
+        { invoice: d.invoiceNumber },
+      ),
+  },
+};
+
+/** The template called `name`, or null. */
+export const getSmsTemplate = (name) =>
+  Object.hasOwn(TEMPLATES, name) ? TEMPLATES[name] : null;
+
+/**
+ * Renders template `name` with `data` in `lang` (default language when
+ * unsupported), STOP instruction included.  Throws on an unknown template.
+ */
+export function renderSms(name, data, lang) {
+  const template = getSmsTemplate(name);
+  if (!template) {
+    throw new Error(`Unknown SMS template "${name}".`);
+  }
+  const language = LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+  const body = `${template.render(data, language)} ${t(language, OPT_OUT_NOTE)}`;
+  return { name, version: template.version, lang: language, body };
+}
+
+/** Every template, for the admin template list. */
+export const listSmsTemplates = () =>
+  Object.entries(TEMPLATES).map(([name, template]) => ({
+    name,
+    version: template.version,
+    description: template.description,
+    confidential: template.confidential === true,
+  }));
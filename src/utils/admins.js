@@ -0,0 +1,167 @@
+/**
+ * admins.js
+ *
+ * Individual admin accounts, their roles, and the admin audit trail.
+ *
+ * Roles:
+ *   support           — read-only dashboard, broadcasts and direct messages
+ *   finance           — ledger, payout jobs, balance adjustments, KYC and
+ *                       risk reviews
+ *   dispute_resolver  — views, moderates and resolves disputes
+ *   superadmin        — everything above, platform settings, admin accounts
+ *                       and the audit log
+ *
+ * Every admin can read the dashboard; roles gate the actions.  Every admin
+ * must also use TOTP 2FA (utils/twoFactor.js), set up on first login.
+ *
+ * On first boot
+ * the ADMIN_EMAIL / ADMIN_PASSWORD pair from .env becomes the first
+ * superadmin, so existing deployments keep working until more admins are
+ * added from the dashboard.
+ */
+
+import bcrypt from "bcrypt";
+import db from "../controllers/db.js";
+
+export const ADMIN_ROLES = [
+  "support",
+  "finance",
+  "dispute_resolver",
+  "superadmin",
+];
+
+const saltRounds = 10;
+
+// Columns that are safe to send to the dashboard (never the password hash)
+export const ADMIN_COLUMNS =
+  "id, email, name, role, active, created_by, created_at, last_login_at";
+
+/** True when the admin may act with one of `roles` — superadmins always may. */
+export const hasRole = (admin, roles) =>
+  admin?.role === "superadmin" || roles.includes(admin?.role);
+
+/**
+ * Creates admins and admin_audit_log, then seeds the first superadmin from
+ * .env if there are no admins yet.  Called once from server.js on boot.
+ */
+export async function ensureAdminTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS admins (
+      id             SERIAL        PRIMARY KEY,
+      email          VARCHAR(255)  NOT NULL UNIQUE,
+      name           VARCHAR(100)  NOT NULL,
+      password_hash  TEXT          NOT NULL,
+      role           VARCHAR(30)   NOT NULL
+                     CHECK (role IN ('support', 'finance', 'dispute_resolver', 'superadmin')),
+      active         BOOLEAN       NOT NULL DEFAULT true,
+      created_by     VARCHAR(255),
+      created_at     TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      last_login_at  TIMESTAMPTZ
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id           SERIAL        PRIMARY KEY,
+      admin_id     INTEGER       REFERENCES admins(id) ON DELETE SET NULL,
+      admin_email  VARCHAR(255)  NOT NULL,
+      action       VARCHAR(60)   NOT NULL,
+      target_type  VARCHAR(40),
+      target_id    TEXT,
+      details      JSONB,
+      ip           VARCHAR(64),
+      created_at   TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_log (created_at DESC)",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_log (target_type, target_id)",
+  );
+
+  const email = process.env.ADMIN_EMAIL?.toLowerCase().trim();
+  const password = process.env.ADMIN_PASSWORD?.trim();
+  if (email && password) {
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const seeded = await db.query(
+      `INSERT INTO admins (email, name, password_hash, role, created_by)
+       SELECT $1, 'Admin', $2, 'superadmin', 'env'
+        WHERE NOT EXISTS (SELECT 1 FROM admins)
+       RETURNING id`,
+      [email, passwordHash],
+    );
+    if (seeded.rows.length > 0) {
+      console.log(`✅ Seeded superadmin ${email} from ADMIN_EMAIL`);
+    }
+  }
+}
+
+export const hashAdminPassword = (password) =>
+  bcrypt.hash(password, saltRounds);
+
+/**
+ * Checks an email / password pair.  Returns the active admin row (without
+ * its password hash or 2FA secrets) or null.  The password is only the first
+ * factor — see the 2FA step in routes/admin.js.
+ */
+export async function authenticateAdmin(email, password) {
+  const result = await db.query(
+    "SELECT * FROM admins WHERE email = $1 AND active = true",
+    [email.toLowerCase().trim()],
+  );
+  const admin = result.rows[0];
+  if (!admin) return null;
+  if (!(await bcrypt.compare(password, admin.password_hash))) return null;
+
+  const {
+    password_hash,
+    totp_secret,
+    totp_pending_secret,
+    totp_backup_codes,
+    ...safe
+  } = admin;
+  return safe;
+}
+
+/** The active admin with this id, or null.  Used by adminMiddleware. */
+export async function findActiveAdmin(adminId) {
+  const result = await db.query(
+    `SELECT ${ADMIN_COLUMNS} FROM admins WHERE id = $1 AND active = true`,
+    [adminId],
+  );
+  return result.rows[0] ?? null;
+}
+
+/**
+ * Appends one entry to admin_audit_log for the admin on `req`.
+ * Never throws — a logging problem must never undo the action itself.
+ *
+ *   action   e.g. "settings.update", "balance.adjust", "dispute.resolve"
+ *   target   { type, id } of the thing acted on, when there is one
+ *   details  anything worth keeping (old / new values, amounts, reasons)
+ */
+export async function recordAdminAction(
+  req,
+  action,
+  { targetType = null, targetId = null, details = null } = {},
+) {
+  try {
+    await db.query(
+      `INSERT INTO admin_audit_log
+         (admin_id, admin_email, action, target_type, target_id, details, ip)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        req.admin?.id ?? null,
+        req.admin?.email ?? "unknown",
+        action,
+        targetType,
+        targetId === null ? null : String(targetId),
+        details ? JSON.stringify(details) : null,
+        req.ip ?? null,
+      ],
+    );
+  } catch (err) {
+    console.error(`⚠️  Admin audit entry ${action} not saved:`, err.message);
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * apiKeys.js
+ *
+ * Per-seller API keys for the public /v1 API and /invoice/create.
+ *
+ * A key looks like `fk_live_<48 hex chars>`.  Only its SHA-256 hash is
+ * stored; the full key is returned once, when it is created.  key_prefix
+ * (the first 16 characters) is kept so sellers can tell their keys apart.
+ *
+ * Scopes:
+ *   invoices:read   — list invoices and fetch their status
+ *   invoices:write  — create invoices
+ *   receipts:read   — download receipt PDFs
+ */
+
+import crypto from "crypto";
+import db from "../controllers/db.js";
+
+export const API_KEY_SCOPES = [
+  "invoices:read",
+  "invoices:write",
+  "receipts:read",
+];
+
+export const MAX_ACTIVE_KEYS = 10;
+
+const KEY_PREFIX = "fk_live_";
+
+const hashKey = (rawKey) =>
+  crypto.createHash("sha256").update(rawKey).digest("hex");
+
+/** True when the string looks like one of our keys (not a JWT). */
+export const isApiKey = (value) =>
+  typeof value === "string" && value.startsWith(KEY_PREFIX);
+
+/** Creates api_keys.  Called once from server.js on boot. */
+export async function ensureApiKeysTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id            SERIAL       PRIMARY KEY,
+      user_id       INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name          VARCHAR(100) NOT NULL,
+      key_prefix    VARCHAR(20)  NOT NULL,
+      key_hash      CHAR(64)     NOT NULL UNIQUE,
+      scopes        TEXT[]       NOT NULL,
+      last_used_at  TIMESTAMPTZ,
+      created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+      revoked_at    TIMESTAMPTZ
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys (user_id)",
+  );
+}
+
+/**
+ * Creates a key for a seller.  Returns { key, apiKey } — `key` is the only
+ * time the full secret is ever available.
+ */
+export async function createApiKey(userId, name, scopes) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+  const result = await db.query(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, name, key_prefix, scopes, created_at`,
+    [userId, name, key.slice(0, 16), hashKey(key), scopes],
+  );
+  return { key, apiKey: result.rows[0] };
+}
+
+export async function listApiKeys(userId) {
+  const result = await db.query(
+    `SELECT id, name, key_prefix, scopes, last_used_at, created_at, revoked_at
+       FROM api_keys
+      WHERE user_id = $1
+      ORDER BY created_at DESC`,
+    [userId],
+  );
+  return result.rows;
+}
+
+export async function countActiveApiKeys(userId) {
+  const result = await db.query(
+    "SELECT COUNT(*) AS cnt FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId],
+  );
+  return parseInt(result.rows[0].cnt, 10);
+}
+
+/** Revokes one of the seller's keys.  Returns the key, or null if not found. */
+export async function revokeApiKey(userId, keyId) {
+  const result = await db.query(
+    `UPDATE api_keys
+        SET revoked_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+      RETURNING id, name, key_prefix, scopes, revoked_at`,
+    [keyId, userId],
+  );
+  return result.rows[0] ?? null;
+}
+
+/**
+ * Looks up an active key by its secret and stamps last_used_at.
+ * Returns { id, user_id, scopes } or null.
+ */
+export async function authenticateApiKey(rawKey) {
+  if (!isApiKey(rawKey)) return null;
+  const result = await db.query(
+    `UPDATE api_keys
+        SET last_used_at = NOW()
+      WHERE key_hash = $1 AND revoked_at IS NULL
+      RETURNING id, user_id, scopes`,
+    [hashKey(rawKey)],
+  );
+  return result.rows[0] ?? null;
+}
@@ -0,0 +1,94 @@
+/**
+ * chatReads.js
+ *
+ * Who has read what in an invoice chat.  Each side of a chat — the buyer and
+ * the seller — has a read cursor: the id of the newest message they have
+ * seen.  Everything after it that the other side, the moderator or the
+ * system wrote is unread for them.
+ *
+ * Cursors only move forward.  They are moved by POST /chat/read (the chat
+ * page, as messages scroll into view) and by sending a message, which
+ * counts as having read the chat up to it.
+ *
+ * Also creates the full-text index that GET /chat/search relies on; search
+ * queries must use the same to_tsvector('simple', …) expression
+ * (CHAT_SEARCH_VECTOR) for Postgres to use it.  'simple' because chats mix
+ * French and English.
+ */
+
+import db from "../controllers/db.js";
+
+export const CHAT_PARTICIPANTS = ["buyer", "seller"];
+
+export const CHAT_SEARCH_VECTOR =
+  "to_tsvector('simple', COALESCE(m.message, ''))";
+
+export async function ensureChatReadTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chat_read_cursors (
+      chat_id               INTEGER      NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+      participant           VARCHAR(10)  NOT NULL
+                            CHECK (participant IN ('buyer', 'seller')),
+      last_read_message_id  INTEGER      NOT NULL DEFAULT 0,
+      updated_at            TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (chat_id, participant)
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages (chat_id, id)",
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS idx_messages_search ON messages
+       USING GIN (to_tsvector('simple', COALESCE(message, '')))`,
+  );
+}
+
+/**
+ * Moves `participant`'s cursor in chat `chatId` up to `messageId`, or to the
+ * newest message when `messageId` is null.  Never moves it back, nor past
+ * the newest message of that chat.  Returns the cursor.
+ */
+export async function markChatRead(chatId, participant, messageId = null) {
+  const result = await db.query(
+    `INSERT INTO chat_read_cursors (chat_id, participant, last_read_message_id)
+     SELECT $1, $2, COALESCE(MAX(id), 0)
+       FROM messages
+      WHERE chat_id = $1 AND ($3::int IS NULL OR id <= $3)
+     ON CONFLICT (chat_id, participant) DO UPDATE
+       SET last_read_message_id = GREATEST(
+             chat_read_cursors.last_read_message_id,
+             EXCLUDED.last_read_message_id),
+           updated_at = NOW()
+     RETURNING last_read_message_id`,
+    [chatId, participant, messageId],
+  );
+  return result.rows[0].last_read_message_id;
+}
+
+/**
+ * What `participant` needs to draw the chat: how many messages they have
+ * not read, their own cursor, and the other side's (for read receipts on
+ * their own messages).
+ */
+export async function chatReadState(chatId, participant) {
+  const result = await db.query(
+    `WITH cursors AS (
+       SELECT
+         COALESCE(MAX(last_read_message_id) FILTER (WHERE participant = $2), 0) AS mine,
+         COALESCE(MAX(last_read_message_id) FILTER (WHERE participant <> $2), 0) AS theirs
+         FROM chat_read_cursors
+        WHERE chat_id = $1
+     )
+     SELECT cursors.mine, cursors.theirs,
+            (SELECT COUNT(*)::int FROM messages
+              WHERE chat_id = $1 AND sender_type <> $2 AND id > cursors.mine) AS unread
+       FROM cursors`,
+    [chatId, participant],
+  );
+  const { mine, theirs, unread } = result.rows[0];
+  return {
+    unread,
+    lastReadMessageId: mine,
+    otherSideLastReadMessageId: theirs,
+  };
+}
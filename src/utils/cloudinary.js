@@ -7,6 +7,8 @@
  * Folders used:
  *   fonlok/avatars   — profile pictures
  *   fonlok/chat      — chat image/PDF attachments
+ *   fonlok/kyc       — identity documents and selfies (PRIVATE — only
+ *                      reachable through privateDownloadUrl)
  */
 
 import { v2 as cloudinary } from "cloudinary";
@@ -23,7 +25,7 @@ cloudinary.config({
  * @param {Buffer} buffer        - File buffer (from multer memoryStorage)
  * @param {object} options       - Cloudinary upload_stream options
  *   e.g. { folder: "fonlok/avatars", resource_type: "image" }
- * @returns {Promise<{ url: string, publicId: string }>}
+ * @returns {Promise<{ url: string, publicId: string, format: string }>}
  */
 export function uploadToCloudinary(buffer, options = {}) {
   return new Promise((resolve, reject) => {
@@ -31,7 +33,11 @@ export function uploadToCloudinary(buffer, options = {}) {
       options,
       (error, result) => {
         if (error) return reject(error);
-        resolve({ url: result.secure_url, publicId: result.public_id });
+        resolve({
+          url: result.secure_url,
+          publicId: result.public_id,
+          format: result.format,
+        });
       },
     );
     stream.end(buffer);
@@ -54,6 +60,27 @@ export async function deleteFromCloudinary(publicId, options = {}) {
   }
 }
 
+/**
+ * Time-limited download link for a file uploaded with type: "private".
+ *
+ * @param {string} publicId
+ * @param {string} format         - e.g. "jpg", "pdf" (from uploadToCloudinary)
+ * @param {object} options
+ *   resourceType  - "image" (default) or "raw"
+ *   ttlSeconds    - how long the link works (default 10 minutes)
+ */
+export function privateDownloadUrl(
+  publicId,
+  format,
+  { resourceType = "image", ttlSeconds = 600 } = {},
+) {
+  return cloudinary.utils.private_download_url(publicId, format, {
+    resource_type: resourceType,
+    type: "private",
+    expires_at: Math.floor(Date.now() / 1000) + ttlSeconds,
+  });
+}
+
 /**
  * Extract the Cloudinary public_id from a full secure_url.
  *
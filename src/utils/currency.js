@@ -0,0 +1,71 @@
+/**
+ * currency.js
+ *
+ * The currencies invoices can be issued and paid in, and the rules for
+ * rounding and displaying amounts in each of them.
+ *
+ *   XAF  Central African CFA franc — CEMAC: Cameroon, Gabon, Congo, Chad,
+ *        Central African Republic, Equatorial Guinea
+ *   XOF  West African CFA franc — WAEMU: Senegal, Côte d'Ivoire, Benin,
+ *        Burkina Faso, Mali, Niger, Togo, Guinea-Bissau
+ *
+ * Both francs are pegged to the euro at the same rate, so one XAF is worth
+ * exactly one XOF.  Limits that are set in XAF (KYC tiers, the minimum
+ * referral withdrawal) apply to XOF amounts unchanged.  The two are still
+ * separate currencies: an invoice is collected, held and paid out in its own
+ * currency, and the ledger books every entry in that currency.
+ *
+ * Which payment provider handles a currency is decided in providers/index.js.
+ * To add a currency, add it to CURRENCIES and route it to a provider there.
+ */
+
+export const DEFAULT_CURRENCY = "XAF";
+
+// decimals — minor units the currency is quoted in (0: no subunits)
+export const CURRENCIES = {
+  XAF: {
+    name: "Central African CFA franc",
+    zone: "CEMAC",
+    decimals: 0,
+    countries: ["CM", "GA", "CG", "TD", "CF", "GQ"],
+  },
+  XOF: {
+    name: "West African CFA franc",
+    zone: "WAEMU",
+    decimals: 0,
+    countries: ["SN", "CI", "BJ", "BF", "ML", "NE", "TG", "GW"],
+  },
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+export const isSupportedCurrency = (code) =>
+  Object.hasOwn(CURRENCIES, code ?? "");
+
+const decimalsOf = (currency) =>
+  (CURRENCIES[currency] ?? CURRENCIES[DEFAULT_CURRENCY]).decimals;
+
+/** Rounds half up to the currency's smallest unit. */
+export const roundAmount = (amount, currency) => {
+  const factor = 10 ** decimalsOf(currency);
+  return Math.round(Number(amount) * factor) / factor;
+};
+
+/**
+ * Rounds down to the currency's smallest unit.  Used for fees, so any
+ * rounding is always in the seller's favour.
+ */
+export const floorAmount = (amount, currency) => {
+  const factor = 10 ** decimalsOf(currency);
+  return Math.floor(Number(amount) * factor + 1e-9) / factor;
+};
+
+/** True when `amount` has no more decimals than the currency allows. */
+export const hasValidPrecision = (amount, currency) =>
+  Math.abs(roundAmount(amount, currency) - Number(amount)) < 1e-9;
+
+/** e.g. formatAmount(150000, "XOF") → "150,000 XOF" */
+export const formatAmount = (amount, currency) =>
+  `${Number(amount).toLocaleString("en-US", {
+    maximumFractionDigits: decimalsOf(currency),
+  })} ${currency || DEFAULT_CURRENCY}`;
@@ -2,8 +2,13 @@
  * Fonlok shared email template utilities.
  * All branded transactional emails should use these helpers so they
  * look consistent with the invoice-reminder "gold standard" template.
+ *
+ * Pass the recipient's language (utils/i18n.js) as `lang` so the header and
+ * footer match the body; labels passed in must already be translated.
  */
 
+import { t, DEFAULT_LANGUAGE } from "./i18n.js";
+
 // ── Fonlok brand logo — inline SVG encoded as base64 for email clients ──────
 export const LOGO_B64 = Buffer.from(
   '<svg width="40" height="40" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg">' +
@@ -17,8 +22,10 @@ export const LOGO_B64 = Buffer.from(
 /**
  * Branded email header — navy bar with logo, wordmark and optional subtitle.
  * @param {string} [subtitle="Secure Escrow Payments"]
+ * @param {string} [lang]
  */
-export function emailHeader(subtitle = "Secure Escrow Payments") {
+export function emailHeader(subtitle, lang = DEFAULT_LANGUAGE) {
+  subtitle ??= t(lang, "Secure Escrow Payments");
   return `<div style="background:#0F1F3D;padding:18px 24px;line-height:1;">
       <span style="display:inline-block;width:34px;height:34px;background:#F59E0B;border-radius:8px;text-align:center;line-height:34px;font-size:19px;font-weight:900;color:#0F1F3D;vertical-align:middle;margin-right:10px;font-family:Arial,sans-serif;">F</span>
       <span style="font-size:20px;font-weight:800;letter-spacing:-0.5px;vertical-align:middle;">
@@ -31,10 +38,13 @@ export function emailHeader(subtitle = "Secure Escrow Payments") {
 /**
  * Footer note that sits below a top-border inside the body panel.
  * @param {string} [note]
+ * @param {string} [lang]
  */
-export function emailFooter(
-  note = "You received this email because of activity on your Fonlok account.",
-) {
+export function emailFooter(note, lang = DEFAULT_LANGUAGE) {
+  note ??= t(
+    lang,
+    "You received this email because of activity on your Fonlok account.",
+  );
   return `<p style="color:#94a3b8;font-size:12px;border-top:1px solid #e2e8f0;padding-top:16px;margin-top:24px;line-height:1.6;">${note}</p>`;
 }
 
@@ -44,14 +54,18 @@ export function emailFooter(
  * @param {object}  [opts]
  * @param {string}  [opts.subtitle]   Tagline shown in the header (default "Secure Escrow Payments").
  * @param {string}  [opts.footerNote] Text shown in the footer panel.
+ * @param {string}  [opts.lang]       Recipient's language, "en" or "fr".
  */
-export function emailWrap(bodyHtml, { subtitle, footerNote } = {}) {
-  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta http-equiv="Content-Type" content="text/html; charset=utf-8"></head><body style="margin:0;padding:0;background:#f8fafc;">
+export function emailWrap(
+  bodyHtml,
+  { subtitle, footerNote, lang = DEFAULT_LANGUAGE } = {},
+) {
+  return `<!DOCTYPE html><html lang="${lang}"><head><meta charset="utf-8"><meta http-equiv="Content-Type" content="text/html; charset=utf-8"></head><body style="margin:0;padding:0;background:#f8fafc;">
   <div style="font-family:sans-serif;max-width:560px;margin:0 auto;border:1px solid #e2e8f0;border-radius:8px;overflow:hidden;">
-    ${emailHeader(subtitle)}
+    ${emailHeader(subtitle, lang)}
     <div style="padding:24px;">
       ${bodyHtml}
-      ${emailFooter(footerNote)}
+      ${emailFooter(footerNote, lang)}
     </div>
   </div></body></html>`;
 }
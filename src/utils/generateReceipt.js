@@ -1,19 +1,25 @@
 /**
- * generateReceiptPdf(invoice_number)
+ * generateReceiptPdf(invoice_number, { lang })
  *
- * Generates a branded Fonlok PDF receipt for any paid/delivered invoice.
- * Returns a Buffer containing the PDF bytes, or throws on error.
+ * Generates a branded Fonlok PDF receipt for any paid/delivered invoice, in
+ * English or French (lang, see utils/i18n.js — default English).
+ * Returns a Buffer containing the PDF bytes.  Throws ReceiptUnavailableError
+ * when the invoice does not exist or has no receipt yet, or any other error.
  *
  * Used by:
  *  - GET /invoice/receipt/:invoice_number  (download endpoint)
  *  - POST /payout/...                      (email attachment after seller payout)
  *  - Webhook confirmation                  (email attachment after buyer payment confirmed)
+ *
+ * receiptAttachment() wraps it for the emails.
  */
 
 import { PDFDocument, rgb, degrees, StandardFonts } from "pdf-lib";
 import crypto from "crypto";
 import db from "../controllers/db.js";
 import { BRAND } from "../config/brand.js";
+import { CURRENCIES, formatAmount } from "./currency.js";
+import { t, DEFAULT_LANGUAGE, LOCALES } from "./i18n.js";
 
 // ── Helper: draw text horizontally centred around a given cx ─────────────────
 function drawCentred(page, text, { cx, y, size, font, color, opacity }) {
@@ -29,7 +35,28 @@ function drawRight(page, text, { rx, y, size, font, color }) {
   page.drawText(text, { x: rx - w, y, size, font, color });
 }
 
-export async function generateReceiptPdf(invoice_number) {
+export class ReceiptUnavailableError extends Error {
+  constructor(invoiceNumber, status = null) {
+    super(
+      status
+        ? `Receipt not available — invoice ${invoiceNumber} has status "${status}"`
+        : `Invoice ${invoiceNumber} not found`,
+    );
+    this.name = "ReceiptUnavailableError";
+    this.invoiceNumber = invoiceNumber;
+    this.status = status; // null when the invoice does not exist
+  }
+}
+
+// "paid" → "Paid", in the receipt's language
+const statusText = (lang, status) =>
+  status ? t(lang, status.charAt(0).toUpperCase() + status.slice(1)) : "—";
+
+export async function generateReceiptPdf(
+  invoice_number,
+  { lang = DEFAULT_LANGUAGE } = {},
+) {
+  const locale = LOCALES[lang] ?? LOCALES.en;
   // ── 1. Invoice + seller ────────────────────────────────────────────────────
   const invResult = await db.query(
     `SELECT i.*, u.name AS seller_name, u.username AS seller_username,
@@ -40,13 +67,11 @@ export async function generateReceiptPdf(invoice_number) {
     [invoice_number],
   );
   if (invResult.rows.length === 0)
-    throw new Error(`Invoice ${invoice_number} not found`);
+    throw new ReceiptUnavailableError(invoice_number);
   const inv = invResult.rows[0];
 
   if (!["paid", "delivered", "completed"].includes(inv.status))
-    throw new Error(
-      `Receipt not available — invoice ${invoice_number} has status "${inv.status}"`,
-    );
+    throw new ReceiptUnavailableError(invoice_number, inv.status);
 
   // ── 2. Milestones ──────────────────────────────────────────────────────────
   let milestones = [];
@@ -60,6 +85,17 @@ export async function generateReceiptPdf(invoice_number) {
     milestones = msResult.rows;
   }
 
+  // ── 2b. Dispute settlement (only when an admin resolved a dispute) ────────
+  const disputeResult = await db.query(
+    `SELECT status, resolution_seller_amount, resolution_buyer_amount
+     FROM disputes
+     WHERE invoicenumber = $1
+       AND (resolution_seller_amount > 0 OR resolution_buyer_amount > 0)
+     ORDER BY created_at DESC LIMIT 1`,
+    [invoice_number],
+  );
+  const settlement = disputeResult.rows[0] || null;
+
   // ── 3. Buyer info (join users if a registered account) ────────────────────
   const buyerResult = await db.query(
     `SELECT g.email, g.momo_number, u.name AS buyer_name
@@ -144,7 +180,7 @@ export async function generateReceiptPdf(invoice_number) {
     font: bold,
     color: amber,
   });
-  page.drawText("Secure Escrow Payments", {
+  page.drawText(t(lang, "Secure Escrow Payments"), {
     x: wordmarkX,
     y: height - headerH + (headerH - 20) / 2 - 2,
     size: 8.5,
@@ -153,7 +189,7 @@ export async function generateReceiptPdf(invoice_number) {
   });
 
   // Right side: "OFFICIAL PAYMENT RECEIPT" + "fonlok.com" right-aligned
-  drawRight(page, "OFFICIAL PAYMENT RECEIPT", {
+  drawRight(page, t(lang, "OFFICIAL PAYMENT RECEIPT"), {
     rx: width - margin,
     y: height - headerH + (headerH - 10) / 2 + 14,
     size: 11,
@@ -173,7 +209,7 @@ export async function generateReceiptPdf(invoice_number) {
   // ═══════════════════════════════════════════════════════════════════════════
   const titleY = height - headerH - 36;
 
-  page.drawText(inv.invoicename || "Payment Receipt", {
+  page.drawText(inv.invoicename || t(lang, "Payment Receipt"), {
     x: margin,
     y: titleY,
     size: 17,
@@ -182,30 +218,34 @@ export async function generateReceiptPdf(invoice_number) {
   });
 
   // Receipt No right-aligned
-  drawRight(page, `Receipt No:  ${invoice_number}`, {
-    rx: width - margin,
-    y: titleY,
-    size: 9,
-    font: bold,
-    color: navy,
-  });
+  drawRight(
+    page,
+    t(lang, "Receipt No:  {number}", { number: invoice_number }),
+    {
+      rx: width - margin,
+      y: titleY,
+      size: 9,
+      font: bold,
+      color: navy,
+    },
+  );
 
   const issuedDate = inv.createdat
-    ? new Date(inv.createdat).toLocaleDateString("en-GB", {
+    ? new Date(inv.createdat).toLocaleDateString(locale, {
         day: "2-digit",
         month: "long",
         year: "numeric",
       })
     : "—";
   const paidDate = inv.paid_at
-    ? new Date(inv.paid_at).toLocaleDateString("en-GB", {
+    ? new Date(inv.paid_at).toLocaleDateString(locale, {
         day: "2-digit",
         month: "long",
         year: "numeric",
       })
     : "—";
 
-  page.drawText(`Issued: ${issuedDate}`, {
+  page.drawText(t(lang, "Issued: {date}", { date: issuedDate }), {
     x: margin,
     y: titleY - 16,
     size: 8.5,
@@ -213,7 +253,7 @@ export async function generateReceiptPdf(invoice_number) {
     color: mutedText,
   });
 
-  drawRight(page, `Paid: ${paidDate}`, {
+  drawRight(page, t(lang, "Paid: {date}", { date: paidDate }), {
     rx: width - margin,
     y: titleY - 16,
     size: 8.5,
@@ -300,7 +340,7 @@ export async function generateReceiptPdf(invoice_number) {
 
   drawPartyBox(
     margin,
-    "FROM — SELLER",
+    t(lang, "FROM — SELLER"),
     inv.seller_name || "—",
     inv.seller_username ? `@${inv.seller_username}` : null,
     inv.seller_phone ? `+${inv.seller_phone}` : null,
@@ -309,7 +349,7 @@ export async function generateReceiptPdf(invoice_number) {
 
   drawPartyBox(
     margin + colW + 12,
-    "TO — BUYER",
+    t(lang, "TO — BUYER"),
     buyerName || buyerEmail || "—",
     buyerName ? buyerEmail : null, // show email as sub-line only if we already showed a name
     buyerPhone,
@@ -331,14 +371,14 @@ export async function generateReceiptPdf(invoice_number) {
   });
 
   // Label + amount left side
-  page.drawText("TOTAL AMOUNT PAID", {
+  page.drawText(t(lang, "TOTAL AMOUNT PAID"), {
     x: margin + 14,
     y: amtBarY + amtBarH - 14,
     size: 7.5,
     font: bold,
     color: rgb(0.65, 0.74, 0.88),
   });
-  page.drawText(`${Number(inv.amount).toLocaleString()} ${inv.currency}`, {
+  page.drawText(formatAmount(inv.amount, inv.currency), {
     x: margin + 14,
     y: amtBarY + 8,
     size: 16,
@@ -347,7 +387,7 @@ export async function generateReceiptPdf(invoice_number) {
   });
 
   // Status pill right side — centred vertically in bar
-  const statusLabel = inv.status.toUpperCase();
+  const statusLabel = statusText(lang, inv.status).toUpperCase();
   const pillW = bold.widthOfTextAtSize(statusLabel, 9) + 20;
   const pillX = width - margin - pillW - 4;
   const pillY = amtBarY + (amtBarH - 18) / 2;
@@ -375,23 +415,53 @@ export async function generateReceiptPdf(invoice_number) {
   const labelColW = 160;
   const rows = [
     [
-      "Payment Type",
+      t(lang, "Payment Type"),
       inv.payment_type === "installment"
-        ? "Installment / Milestones"
-        : "One-Time",
+        ? t(lang, "Installment / Milestones")
+        : t(lang, "One-Time"),
     ],
-    ["Description", (inv.description || "—").substring(0, 78)],
-    ["Currency", inv.currency],
+    [t(lang, "Description"), (inv.description || "—").substring(0, 78)],
     [
-      "Invoice Status",
-      inv.status.charAt(0).toUpperCase() + inv.status.slice(1),
+      t(lang, "Currency"),
+      CURRENCIES[inv.currency]
+        ? `${inv.currency} (${t(lang, CURRENCIES[inv.currency].name)})`
+        : inv.currency,
     ],
+    [t(lang, "Invoice Status"), statusText(lang, inv.status)],
   ];
   if (inv.expires_at)
     rows.push([
-      "Expires / Expired",
-      new Date(inv.expires_at).toLocaleDateString("en-GB"),
+      t(lang, "Expires / Expired"),
+      new Date(inv.expires_at).toLocaleDateString(locale),
     ]);
+  if (settlement) {
+    const toSeller = Number(settlement.resolution_seller_amount || 0);
+    const toBuyer = Number(settlement.resolution_buyer_amount || 0);
+    const settled = toSeller + toBuyer;
+    const pct = (n) => `${Math.round((n / settled) * 10000) / 100}%`;
+    rows.push([
+      t(lang, "Dispute Settlement"),
+      toSeller > 0 && toBuyer > 0
+        ? t(lang, "Split between seller and buyer by Fonlok")
+        : toSeller > 0
+          ? t(lang, "Released to seller by Fonlok")
+          : t(lang, "Refunded to buyer by Fonlok"),
+    ]);
+    rows.push([
+      `  ${t(lang, "Released to Seller")}`,
+      t(lang, "{amount} ({percent}, before 2% fee)", {
+        amount: formatAmount(toSeller, inv.currency),
+        percent: pct(toSeller),
+      }),
+    ]);
+    rows.push([
+      `  ${t(lang, "Refunded to Buyer")}`,
+      t(lang, "{amount} ({percent}, before 2% fee)", {
+        amount: formatAmount(toBuyer, inv.currency),
+        percent: pct(toBuyer),
+      }),
+    ]);
+  }
 
   rows.forEach(([label, val], i) => {
     const ry = tableY - i * rowH;
@@ -426,7 +496,7 @@ export async function generateReceiptPdf(invoice_number) {
   let cursorY = tableY - rows.length * rowH - 24;
 
   if (milestones.length > 0) {
-    page.drawText("Milestone Breakdown", {
+    page.drawText(t(lang, "Milestone Breakdown"), {
       x: margin,
       y: cursorY,
       size: 10,
@@ -446,9 +516,9 @@ export async function generateReceiptPdf(invoice_number) {
     });
     for (const [text, cx] of [
       ["#", margin + 18],
-      ["Label", margin + 70],
-      ["Amount", margin + 320],
-      ["Status", margin + 430],
+      [t(lang, "Label"), margin + 70],
+      [t(lang, "Amount"), margin + 320],
+      [t(lang, "Status"), margin + 430],
     ]) {
       drawCentred(page, text, {
         cx,
@@ -483,14 +553,14 @@ export async function generateReceiptPdf(invoice_number) {
         font: regular,
         color: darkText,
       });
-      page.drawText(`${Number(ms.amount).toLocaleString()} ${inv.currency}`, {
+      page.drawText(formatAmount(ms.amount, inv.currency), {
         x: margin + 295,
         y: cursorY + 5,
         size: 8,
         font: regular,
         color: darkText,
       });
-      page.drawText(ms.status || "—", {
+      page.drawText(statusText(lang, ms.status), {
         x: margin + 415,
         y: cursorY + 5,
         size: 8,
@@ -504,7 +574,7 @@ export async function generateReceiptPdf(invoice_number) {
   // ═══════════════════════════════════════════════════════════════════════════
   // ── DIAGONAL WATERMARK — drawn after all bg fills so it sits on top ────────
   // ═══════════════════════════════════════════════════════════════════════════
-  const wmText = "SECURED BY FONLOK";
+  const wmText = t(lang, "SECURED BY FONLOK");
   const wmSize = 58;
   const wmAngle = 38; // degrees
   const wmRad = (wmAngle * Math.PI) / 180;
@@ -549,7 +619,7 @@ export async function generateReceiptPdf(invoice_number) {
   });
 
   // "VERIFIED" centred top
-  drawCentred(page, "VERIFIED", {
+  drawCentred(page, t(lang, "VERIFIED"), {
     cx: sealCX,
     y: sealCY + 20,
     size: 7.5,
@@ -581,7 +651,7 @@ export async function generateReceiptPdf(invoice_number) {
     color: amber,
   });
   // "SECURE ESCROW" small centred
-  drawCentred(page, "SECURE ESCROW", {
+  drawCentred(page, t(lang, "SECURE ESCROW"), {
     cx: sealCX,
     y: sealCY - 21,
     size: 6,
@@ -615,7 +685,7 @@ export async function generateReceiptPdf(invoice_number) {
     borderRadius: 5,
   });
 
-  page.drawText("RECEIPT VERIFICATION", {
+  page.drawText(t(lang, "RECEIPT VERIFICATION"), {
     x: vbX + 12,
     y: vbY + vbH - 15,
     size: 7,
@@ -628,14 +698,14 @@ export async function generateReceiptPdf(invoice_number) {
     thickness: 0.4,
     color: navy,
   });
-  page.drawText(`Invoice No:   ${invoice_number}`, {
+  page.drawText(t(lang, "Invoice No:   {number}", { number: invoice_number }), {
     x: vbX + 12,
     y: vbY + vbH - 31,
     size: 8,
     font: regular,
     color: darkText,
   });
-  page.drawText(`Verify Code:  ${codeFormatted}`, {
+  page.drawText(t(lang, "Verify Code:  {code}", { code: codeFormatted }), {
     x: vbX + 12,
     y: vbY + vbH - 44,
     size: 8.5,
@@ -643,7 +713,11 @@ export async function generateReceiptPdf(invoice_number) {
     color: navy,
   });
   page.drawText(
-    `Enter at  ${BRAND.domain}/verify  to confirm this receipt is authentic and unaltered.`,
+    t(
+      lang,
+      "Enter at  {domain}/verify  to confirm this receipt is authentic and unaltered.",
+      { domain: BRAND.domain },
+    ),
     {
       x: vbX + 12,
       y: vbY + 8,
@@ -662,7 +736,10 @@ export async function generateReceiptPdf(invoice_number) {
 
   drawCentred(
     page,
-    "Official payment receipt issued by Fonlok — Secure Escrow Payments for digital services.",
+    t(
+      lang,
+      "Official payment receipt issued by Fonlok — Secure Escrow Payments for digital services.",
+    ),
     {
       cx: width / 2,
       y: 58,
@@ -673,7 +750,11 @@ export async function generateReceiptPdf(invoice_number) {
   );
   drawCentred(
     page,
-    `This document is cryptographically signed and does not require a physical signature.  |  ${BRAND.domain}`,
+    t(
+      lang,
+      "This document is cryptographically signed and does not require a physical signature.  |  {domain}",
+      { domain: BRAND.domain },
+    ),
     {
       cx: width / 2,
       y: 44,
@@ -682,14 +763,38 @@ export async function generateReceiptPdf(invoice_number) {
       color: rgb(0.55, 0.63, 0.76),
     },
   );
-  drawCentred(page, `Generated: ${new Date().toUTCString()}`, {
-    cx: width / 2,
-    y: 28,
-    size: 6.5,
-    font: regular,
-    color: rgb(0.5, 0.58, 0.72),
-  });
+  drawCentred(
+    page,
+    t(lang, "Generated: {date}", { date: new Date().toUTCString() }),
+    {
+      cx: width / 2,
+      y: 28,
+      size: 6.5,
+      font: regular,
+      color: rgb(0.5, 0.58, 0.72),
+    },
+  );
 
   const pdfBytes = await pdfDoc.save();
   return Buffer.from(pdfBytes);
 }
+
+/**
+ * The receipt as an email attachment ({ content (base64), filename, type,
+ * disposition }), or null when it cannot be generated — the email goes out
+ * without it.
+ */
+export async function receiptAttachment(invoice_number, lang) {
+  try {
+    const pdfBuffer = await generateReceiptPdf(invoice_number, { lang });
+    return {
+      content: pdfBuffer.toString("base64"),
+      filename: `fonlok-receipt-${invoice_number}.pdf`,
+      type: "application/pdf",
+      disposition: "attachment",
+    };
+  } catch (pdfErr) {
+    console.error("⚠️ Could not generate receipt PDF:", pdfErr.message);
+    return null;
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * i18n.js
+ *
+ * English / French for everything a user or buyer reads: emails, the HTML
+ * pages in routes/payout.js, receipts and API messages.
+ *
+ * Messages are written in English in the code and looked up in the French
+ * catalogue (locales/fr.js) by their English text, gettext style:
+ *
+ *   t(lang, "Invoice not found.")
+ *   t(lang, "Your payment of {amount} has been received.", { amount })
+ *
+ * A message missing from the catalogue is shown in English, so a new string
+ * never breaks anything — it just waits for its translation.
+ *
+ * Which language:
+ *   users   users.language, chosen at sign-up or via PATCH /user/language
+ *   buyers  guests.language, taken from the payment page when they pay
+ *   API     the request's ?lang=, else its Accept-Language header
+ *           (middleware/localize.js translates `message` / `error` replies)
+ */
+
+import db from "../controllers/db.js";
+import fr from "../locales/fr.js";
+
+export const LANGUAGES = ["en", "fr"];
+export const DEFAULT_LANGUAGE = "en";
+
+// Locale used for dates in each language
+export const LOCALES = { en: "en-GB", fr: "fr-FR" };
+
+const CATALOGUES = { fr };
+
+/**
+ * "fr", "FR", "fr-CM" or an Accept-Language header such as
+ * "fr-CM,fr;q=0.9,en;q=0.8" → "fr".  null when nothing supported is found.
+ */
+export function normalizeLanguage(value) {
+  if (!value) return null;
+  for (const part of String(value).split(",")) {
+    const code = part.split(";")[0].trim().slice(0, 2).toLowerCase();
+    if (LANGUAGES.includes(code)) return code;
+  }
+  return null;
+}
+
+/** The language to answer `req` in — ?lang= first, then Accept-Language. */
+export const requestLanguage = (req) =>
+  normalizeLanguage(req.query?.lang) ||
+  normalizeLanguage(req.headers?.["accept-language"]) ||
+  DEFAULT_LANGUAGE;
+
+const interpolate = (text, vars) =>
+  text.replace(/\{(\w+)\}/g, (match, name) =>
+    vars[name] === undefined ? match : String(vars[name]),
+  );
+
+/** Translates `text` (English) into `lang`, then fills in {placeholders}. */
+export function t(lang, text, vars = {}) {
+  const translated = CATALOGUES[lang]?.[text] ?? text;
+  return interpolate(translated, vars);
+}
+
+/** e.g. "12 March 2026 at 14:00 UTC" / "12 mars 2026 à 14:00 UTC" */
+export const formatDateTime = (date, lang = DEFAULT_LANGUAGE) =>
+  `${new Date(date).toLocaleString(LOCALES[lang] ?? LOCALES.en, {
+    dateStyle: "long",
+    timeStyle: "short",
+    timeZone: "UTC",
+  })} UTC`;
+
+// Catalogue entries with placeholders, as regexes that match the finished
+// English sentence — built on first use
+const patternCache = {};
+const patternsFor = (lang) => {
+  if (patternCache[lang]) return patternCache[lang];
+  const patterns = [];
+  for (const [english, translated] of Object.entries(CATALOGUES[lang])) {
+    const names = [...english.matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+    if (names.length === 0) continue;
+    const source = english
+      .split(/\{\w+\}/)
+      .map((piece) => piece.replace(/[.*+?^$()|[\]\\{}]/g, "\\$&"))
+      .join("(.+?)");
+    patterns.push({ regex: new RegExp(`^${source}$`), names, translated });
+  }
+  return (patternCache[lang] = patterns);
+};
+
+/**
+ * Translates a message that has already been put together in English, e.g.
+ * "Payments in XOF are not available yet." — the catalogue entry
+ * "Payments in {currency} are not available yet." is matched and its
+ * French version filled in with the same values.
+ */
+export function translateMessage(lang, text) {
+  const catalogue = CATALOGUES[lang];
+  if (!catalogue || typeof text !== "string") return text;
+  if (catalogue[text] !== undefined) return catalogue[text];
+
+  for (const { regex, names, translated } of patternsFor(lang)) {
+    const match = text.match(regex);
+    if (!match) continue;
+    const vars = Object.fromEntries(names.map((n, i) => [n, match[i + 1]]));
+    return interpolate(translated, vars);
+  }
+  return text;
+}
+
+/**
+ * Adds users.language and guests.language.  Called once from server.js on
+ * boot.
+ */
+export async function ensureLanguageColumns() {
+  await db.query(
+    `ALTER TABLE users ADD COLUMN IF NOT EXISTS language VARCHAR(2) NOT NULL DEFAULT '${DEFAULT_LANGUAGE}'`,
+  );
+  await db.query(
+    `ALTER TABLE guests ADD COLUMN IF NOT EXISTS language VARCHAR(2) NOT NULL DEFAULT '${DEFAULT_LANGUAGE}'`,
+  );
+}
+
+/** The stored language of a user; the default when unknown. */
+export async function userLanguage(userId) {
+  try {
+    const result = await db.query("SELECT language FROM users WHERE id = $1", [
+      userId,
+    ]);
+    return result.rows[0]?.language || DEFAULT_LANGUAGE;
+  } catch {
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+/** The language of the buyer who last paid (or tried to pay) an invoice. */
+export async function buyerLanguage(invoiceNumber) {
+  try {
+    const result = await db.query(
+      `SELECT language FROM guests WHERE invoicenumber = $1
+        ORDER BY created_at DESC LIMIT 1`,
+      [invoiceNumber],
+    );
+    return result.rows[0]?.language || DEFAULT_LANGUAGE;
+  } catch {
+    return DEFAULT_LANGUAGE;
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * invoiceState.js
+ *
+ * The invoice lifecycle state machine.  Every change to invoices.status goes
+ * through transitionInvoice(), which refuses transitions that are not in
+ * TRANSITIONS and writes each one to invoice_events together with who made
+ * it and why.  Things that happen to an invoice without changing its status
+ * (a dispute being opened or decided…) are written with recordInvoiceEvent()
+ * so GET /invoice/:invoice_number/timeline can show the full history.
+ *
+ *   pending ──► paid ──► delivered ──► completed
+ *      │         │  ▲        │
+ *      ▼         │  │        └──────► refunded
+ *   expired ─────┘  │
+ *                   └─ completed / refunded go back to paid or delivered only
+ *                      through reopenInvoice(), when an admin cancels the
+ *                      dispute settlement that closed the invoice
+ *                      (REOPENS); transitionInvoice() never reopens one
+ */
+
+import db, { queryInSavepoint } from "../controllers/db.js";
+import { publish, invoiceChannel, userChannel } from "./realtime.js";
+
+export const INVOICE_STATUSES = [
+  "pending",
+  "expired",
+  "paid",
+  "delivered",
+  "completed",
+  "refunded",
+];
+
+// from → statuses it may move to
+export const TRANSITIONS = {
+  pending: ["paid", "expired"],
+  // A payment started before expiry can still be confirmed after it
+  expired: ["paid"],
+  // paid → completed/refunded: the buyer released early, milestone invoices
+  // completing, or a dispute decided before delivery
+  paid: ["delivered", "completed", "refunded"],
+  delivered: ["completed", "refunded"],
+  completed: [],
+  refunded: [],
+};
+
+// from → statuses reopenInvoice() may put a closed invoice back to
+export const REOPENS = {
+  completed: ["paid", "delivered"],
+  refunded: ["paid", "delivered"],
+};
+
+export const ACTOR_TYPES = ["seller", "buyer", "admin", "system"];
+
+export class InvalidTransitionError extends Error {
+  constructor(invoiceId, from, to) {
+    super(
+      from
+        ? `Invoice ${invoiceId} cannot move from '${from}' to '${to}'.`
+        : `Invoice ${invoiceId} not found.`,
+    );
+    this.name = "InvalidTransitionError";
+    this.invoiceId = invoiceId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/** Creates invoice_events.  Called once from server.js on boot. */
+export async function ensureInvoiceEventsTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS invoice_events (
+      id              SERIAL       PRIMARY KEY,
+      invoice_id      INTEGER      NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+      invoice_number  TEXT         NOT NULL,
+      event           VARCHAR(40)  NOT NULL,  -- 'status_changed' or e.g. 'dispute_opened'
+      from_status     VARCHAR(20),
+      to_status       VARCHAR(20),
+      actor_type      VARCHAR(10)  NOT NULL
+                      CHECK (actor_type IN ('seller', 'buyer', 'admin', 'system')),
+      actor_id        TEXT,                   -- user id, admin email, job name…
+      reason          TEXT,
+      data            JSONB        NOT NULL DEFAULT '{}',
+      created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_invoice_events_invoice ON invoice_events (invoice_id, created_at)",
+  );
+}
+
+export function canTransition(from, to) {
+  return TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+/**
+ * Moves an invoice to `to` if the transition is legal and records it.
+ * Pass a transaction client to commit the event atomically with the change.
+ *
+ * Moving an invoice to the status it already has is a no-op (no event), so
+ * payout handlers that may run twice stay idempotent.
+ *
+ * @param {number} invoiceId
+ * @param {string} to
+ * @param {{ actorType?: string, actorId?: string|number|null, reason?: string|null, data?: object }} [meta]
+ * @param {import("pg").Pool | import("pg").PoolClient} [client]
+ * @returns {Promise<object>} the updated invoice row
+ * @throws {InvalidTransitionError}
+ */
+export function transitionInvoice(invoiceId, to, meta, client = db) {
+  return applyTransition(TRANSITIONS, invoiceId, to, meta, client);
+}
+
+/**
+ * Puts a completed or refunded invoice back to `to` (paid or delivered) —
+ * only for cancelling the dispute settlement that closed it.  Otherwise the
+ * same as transitionInvoice().
+ */
+export function reopenInvoice(invoiceId, to, meta, client = db) {
+  return applyTransition(REOPENS, invoiceId, to, meta, client);
+}
+
+async function applyTransition(
+  table,
+  invoiceId,
+  to,
+  { actorType = "system", actorId = null, reason = null, data = {} } = {},
+  client = db,
+) {
+  const allowedFrom = Object.keys(table).filter((from) =>
+    table[from].includes(to),
+  );
+
+  // The status check and the update are one statement, so two concurrent
+  // transitions can't both start from the same status.
+  const result = await client.query(
+    `WITH prev AS (
+       SELECT id, status FROM invoices WHERE id = $1 FOR UPDATE
+     )
+     UPDATE invoices i
+        SET status = $2
+       FROM prev
+      WHERE i.id = prev.id
+        AND prev.status = ANY($3::text[])
+      RETURNING i.*, prev.status AS previous_status`,
+    [invoiceId, to, allowedFrom],
+  );
+
+  if (result.rows.length === 0) {
+    const current = await client.query(
+      "SELECT * FROM invoices WHERE id = $1",
+      [invoiceId],
+    );
+    const invoice = current.rows[0];
+    if (invoice?.status === to) return invoice;
+    throw new InvalidTransitionError(invoiceId, invoice?.status ?? null, to);
+  }
+
+  const { previous_status: from, ...invoice } = result.rows[0];
+  await client.query(
+    `INSERT INTO invoice_events
+       (invoice_id, invoice_number, event, from_status, to_status, actor_type, actor_id, reason, data)
+     VALUES ($1, $2, 'status_changed', $3, $4, $5, $6, $7, $8)`,
+    [
+      invoice.id,
+      invoice.invoicenumber,
+      from,
+      to,
+      actorType,
+      actorId === null ? null : String(actorId),
+      reason,
+      JSON.stringify(data),
+    ],
+  );
+
+  // Live update for the chat, payment page and seller dashboard — sent when
+  // `client`'s transaction commits
+  const change = {
+    invoiceNumber: invoice.invoicenumber,
+    status: to,
+    previousStatus: from,
+  };
+  await publish(
+    invoiceChannel(invoice.invoicenumber),
+    "invoice.status",
+    change,
+    client,
+  );
+  await publish(userChannel(invoice.userid), "invoice.status", change, client);
+  return invoice;
+}
+
+/**
+ * Records something that happened to an invoice without changing its status.
+ * Never throws — the history must not break the action it describes, nor
+ * abort the transaction of a passed-in `client`.
+ */
+export async function recordInvoiceEvent(
+  invoiceId,
+  event,
+  { actorType = "system", actorId = null, reason = null, data = {} } = {},
+  client = db,
+) {
+  try {
+    await queryInSavepoint(
+      client,
+      `INSERT INTO invoice_events
+         (invoice_id, invoice_number, event, actor_type, actor_id, reason, data)
+       SELECT id, invoicenumber, $2, $3, $4, $5, $6
+         FROM invoices WHERE id = $1`,
+      [
+        invoiceId,
+        event,
+        actorType,
+        actorId === null ? null : String(actorId),
+        reason,
+        JSON.stringify(data),
+      ],
+    );
+  } catch (err) {
+    console.error(
+      `⚠️  Could not record ${event} for invoice ${invoiceId}:`,
+      err.message,
+    );
+  }
+}
+
+/** Full history of an invoice, oldest first. */
+export async function getInvoiceEvents(invoiceId) {
+  const result = await db.query(
+    `SELECT id, event, from_status, to_status, actor_type, actor_id, reason, data, created_at
+       FROM invoice_events
+      WHERE invoice_id = $1
+      ORDER BY created_at, id`,
+    [invoiceId],
+  );
+  return result.rows;
+}
@@ -0,0 +1,377 @@
+/**
+ * kyc.js
+ *
+ * Seller identity verification (KYC) and the transaction limits that depend
+ * on it.
+ *
+ * Tiers (users.kyc_tier):
+ *   unverified  — every new account
+ *   basic       — an identity document was approved
+ *   verified    — an identity document AND a selfie holding it were approved;
+ *                 shown as a badge on the public seller profile
+ *
+ * A seller uploads documents with POST /user/kyc/submissions, asking for the
+ * tier they want.  Finance admins work through the pending queue under
+ * /admin/kyc and approve (the user moves to the requested tier, or the one
+ * the admin picks) or reject with a reason.  Documents are stored as private
+ * Cloudinary files and only ever shown through short-lived signed links.
+ *
+ * Limits (TIER_LIMITS, in XAF — XOF amounts count one for one, see
+ * utils/currency.js) are enforced on:
+ *   maxInvoice     — POST /invoice/create and POST /v1/invoices
+ *   monthlyVolume  — the same routes: invoices created this calendar month
+ *                    (except expired ones) plus the new one
+ *   maxPayout      — every payout job to the seller.  The payout queue holds
+ *                    a job above the limit (holdPayoutOverLimit) until the
+ *                    seller's tier goes up; referral withdrawals are refused
+ *                    up front.
+ */
+
+import db from "../controllers/db.js";
+import { privateDownloadUrl } from "./cloudinary.js";
+import { notifyUser } from "../middleware/notificationHelper.js";
+
+export const KYC_TIERS = ["unverified", "basic", "verified"];
+export const ID_TYPES = [
+  "national_id",
+  "passport",
+  "drivers_licence",
+  "residence_permit",
+];
+
+export const TIER_LIMITS = {
+  unverified: {
+    maxInvoice: 100_000,
+    monthlyVolume: 250_000,
+    maxPayout: 100_000,
+  },
+  basic: {
+    maxInvoice: 1_000_000,
+    monthlyVolume: 3_000_000,
+    maxPayout: 1_000_000,
+  },
+  verified: {
+    maxInvoice: 10_000_000,
+    monthlyVolume: 50_000_000,
+    maxPayout: 10_000_000,
+  },
+};
+
+// Documents a submission needs for each tier it can ask for
+export const REQUIRED_DOCUMENTS = {
+  basic: ["id_front"],
+  verified: ["id_front", "selfie"],
+};
+export const DOCUMENT_FIELDS = ["id_front", "id_back", "selfie"];
+
+// last_error of a payout job waiting for a higher tier — also how
+// releaseLimitHolds finds it
+const LIMIT_HOLD_MESSAGE =
+  "On hold: above the seller's KYC payout limit until they verify their identity.";
+const LIMIT_HOLD_RECHECK_HOURS = 24;
+
+const formatXaf = (amount) => `${Number(amount).toLocaleString()} XAF`;
+
+/**
+ * Adds users.kyc_tier and creates kyc_submissions.
+ * Called once from server.js on boot.
+ */
+export async function ensureKycTables() {
+  await db.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS kyc_tier         VARCHAR(20) NOT NULL DEFAULT 'unverified'
+                               CHECK (kyc_tier IN ('unverified', 'basic', 'verified')),
+      ADD COLUMN IF NOT EXISTS kyc_verified_at  TIMESTAMPTZ
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS kyc_submissions (
+      id                SERIAL        PRIMARY KEY,
+      user_id           INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      requested_tier    VARCHAR(20)   NOT NULL CHECK (requested_tier IN ('basic', 'verified')),
+      id_type           VARCHAR(30)   NOT NULL,
+      id_number         VARCHAR(60)   NOT NULL,
+      documents         JSONB         NOT NULL,
+      status            VARCHAR(20)   NOT NULL DEFAULT 'pending'
+                        CHECK (status IN ('pending', 'approved', 'rejected')),
+      granted_tier      VARCHAR(20),
+      rejection_reason  TEXT,
+      reviewed_by       VARCHAR(255),
+      reviewed_at       TIMESTAMPTZ,
+      created_at        TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+    )
+  `);
+  // One submission in the queue per user at a time
+  await db.query(
+    "CREATE UNIQUE INDEX IF NOT EXISTS idx_kyc_one_pending ON kyc_submissions (user_id) WHERE status = 'pending'",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_kyc_status ON kyc_submissions (status, created_at)",
+  );
+}
+
+const limitsFor = (tier) => TIER_LIMITS[tier] ?? TIER_LIMITS.unverified;
+
+/** Total of the seller's invoices created this calendar month. */
+export async function monthlyInvoiceVolume(userId) {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(amount), 0) AS total
+       FROM invoices
+      WHERE userid = $1
+        AND createdat >= date_trunc('month', NOW())
+        AND status != 'expired'`,
+    [userId],
+  );
+  return Number(result.rows[0].total);
+}
+
+/**
+ * Checks a new invoice of `amount` against `user`'s tier (a users row).
+ * Returns an error message, or null when it is within the limits.
+ */
+export async function invoiceLimitError(user, amount) {
+  const tier = user.kyc_tier ?? "unverified";
+  const limits = limitsFor(tier);
+  const upgrade =
+    tier === "verified"
+      ? "Contact support if you need a higher limit."
+      : "Verify your identity to raise your limits.";
+
+  if (Number(amount) > limits.maxInvoice) {
+    return `Invoices on a ${tier} account are limited to ${formatXaf(limits.maxInvoice)}. ${upgrade}`;
+  }
+  const volume = await monthlyInvoiceVolume(user.id);
+  if (volume + Number(amount) > limits.monthlyVolume) {
+    return `This invoice would take you over the ${formatXaf(limits.monthlyVolume)} monthly limit of a ${tier} account (${formatXaf(volume)} invoiced so far this month). ${upgrade}`;
+  }
+  return null;
+}
+
+/**
+ * Checks a payout of `amount` to `userId` against their tier.
+ * Returns an error message, or null when it is within the limit.
+ */
+export async function payoutLimitError(userId, amount) {
+  const result = await db.query("SELECT kyc_tier FROM users WHERE id = $1", [
+    userId,
+  ]);
+  const tier = result.rows[0]?.kyc_tier ?? "unverified";
+  const { maxPayout } = limitsFor(tier);
+  if (Number(amount) > maxPayout) {
+    return `Payouts on a ${tier} account are limited to ${formatXaf(maxPayout)}. Verify your identity to raise your limits.`;
+  }
+  return null;
+}
+
+/**
+ * Called by the payout queue before attempting a job.  If the job is above
+ * its seller's payout limit, keeps it queued (rechecked daily, or as soon as
+ * the tier changes) and returns the updated job; otherwise returns null.
+ */
+export async function holdPayoutOverLimit(jobId) {
+  const result = await db.query(
+    `UPDATE payout_jobs j
+        SET next_attempt_at = NOW() + make_interval(hours => $2),
+            last_error = $3, updated_at = NOW()
+       FROM users u,
+            (SELECT last_error FROM payout_jobs WHERE id = $1) prev
+      WHERE j.id = $1
+        AND j.status IN ('queued', 'failed')
+        AND j.next_attempt_at <= NOW()
+        AND u.id = j.user_id
+        AND j.amount > CASE u.kyc_tier
+                         WHEN 'verified' THEN $4::numeric
+                         WHEN 'basic'    THEN $5::numeric
+                         ELSE                 $6::numeric
+                       END
+      RETURNING j.*, prev.last_error AS previous_error, u.kyc_tier`,
+    [
+      jobId,
+      LIMIT_HOLD_RECHECK_HOURS,
+      LIMIT_HOLD_MESSAGE,
+      TIER_LIMITS.verified.maxPayout,
+      TIER_LIMITS.basic.maxPayout,
+      TIER_LIMITS.unverified.maxPayout,
+    ],
+  );
+  if (result.rows.length === 0) return null;
+  const { previous_error, kyc_tier, ...job } = result.rows[0];
+
+  // Tell the seller once, not on every daily re-check
+  if (previous_error !== LIMIT_HOLD_MESSAGE) {
+    notifyUser(
+      job.user_id,
+      "kyc_update",
+      "Payout on hold",
+      `A payout of ${formatXaf(job.amount)} is above the ${formatXaf(limitsFor(kyc_tier).maxPayout)} limit of a ${kyc_tier} account. Verify your identity and it will be sent automatically.`,
+      { payoutJobId: job.id, invoiceNumber: job.invoice_number },
+    );
+  }
+  return job;
+}
+
+/** Makes the user's limit-held payout jobs due now.  Returns their ids. */
+async function releaseLimitHolds(userId, client = db) {
+  const result = await client.query(
+    `UPDATE payout_jobs
+        SET next_attempt_at = NOW(), last_error = NULL, updated_at = NOW()
+      WHERE user_id = $1 AND status IN ('queued', 'failed')
+        AND last_error = $2
+      RETURNING id`,
+    [userId, LIMIT_HOLD_MESSAGE],
+  );
+  return result.rows.map((r) => r.id);
+}
+
+/**
+ * Sets a user's tier (admin approval or manual override).  Raising it puts
+ * payouts held for the old limit straight back in the queue — the queue
+ * re-checks them against the new limit.  Returns { from, to, releasedJobIds }
+ * or null if the user does not exist.
+ */
+export async function setKycTier(userId, tier, client = db) {
+  const previous = await client.query(
+    "SELECT kyc_tier FROM users WHERE id = $1 FOR UPDATE",
+    [userId],
+  );
+  if (previous.rows.length === 0) return null;
+
+  await client.query(
+    `UPDATE users
+        SET kyc_tier = $2,
+            kyc_verified_at = CASE WHEN $2 = 'unverified' THEN NULL ELSE NOW() END
+      WHERE id = $1`,
+    [userId, tier],
+  );
+  const releasedJobIds = await releaseLimitHolds(userId, client);
+  return { from: previous.rows[0].kyc_tier, to: tier, releasedJobIds };
+}
+
+/**
+ * { tier, limits, usage: { monthlyVolume }, submission } for the seller's
+ * dashboard.  `submission` is the latest one, without its documents.
+ */
+export async function getKycStatus(userId) {
+  const userRes = await db.query(
+    "SELECT kyc_tier, kyc_verified_at FROM users WHERE id = $1",
+    [userId],
+  );
+  if (userRes.rows.length === 0) return null;
+  const { kyc_tier: tier, kyc_verified_at: verifiedAt } = userRes.rows[0];
+
+  const [monthlyVolume, latest] = await Promise.all([
+    monthlyInvoiceVolume(userId),
+    db.query(
+      `SELECT id, requested_tier, id_type, status, granted_tier,
+              rejection_reason, created_at, reviewed_at
+         FROM kyc_submissions
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+        LIMIT 1`,
+      [userId],
+    ),
+  ]);
+
+  return {
+    tier,
+    verifiedAt,
+    limits: limitsFor(tier),
+    usage: { monthlyVolume },
+    submission: latest.rows[0] ?? null,
+  };
+}
+
+/** True when the user already has a submission waiting for review. */
+export async function hasPendingSubmission(userId) {
+  const result = await db.query(
+    "SELECT 1 FROM kyc_submissions WHERE user_id = $1 AND status = 'pending'",
+    [userId],
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Queues a submission.  `documents` maps DOCUMENT_FIELDS to the
+ * { publicId, format } of the private uploads.  Returns the row, or null if
+ * another submission is already pending.
+ */
+export async function createSubmission(
+  userId,
+  { requestedTier, idType, idNumber, documents },
+) {
+  try {
+    const result = await db.query(
+      `INSERT INTO kyc_submissions
+         (user_id, requested_tier, id_type, id_number, documents)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, requested_tier, id_type, status, created_at`,
+      [userId, requestedTier, idType, idNumber, JSON.stringify(documents)],
+    );
+    return result.rows[0];
+  } catch (err) {
+    if (err.code === "23505") return null; // idx_kyc_one_pending
+    throw err;
+  }
+}
+
+/** Signed, 10-minute links to a submission's documents, for reviewers. */
+export const documentLinks = (documents) =>
+  Object.fromEntries(
+    Object.entries(documents ?? {}).map(([field, doc]) => [
+      field,
+      privateDownloadUrl(doc.publicId, doc.format),
+    ]),
+  );
+
+/**
+ * Approves or rejects a pending submission.
+ *   decision "approve" — `tier` defaults to the requested tier
+ *   decision "reject"  — `reason` is shown to the seller
+ * Returns { submission, tierChange } or null if it is not pending.
+ */
+export async function reviewSubmission(
+  submissionId,
+  decision,
+  { tier = null, reason = null, reviewer },
+) {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const reviewed = await client.query(
+      `UPDATE kyc_submissions
+          SET status = $2,
+              granted_tier = CASE WHEN $2 = 'approved'
+                                  THEN COALESCE($3, requested_tier) END,
+              rejection_reason = $4,
+              reviewed_by = $5, reviewed_at = NOW()
+        WHERE id = $1 AND status = 'pending'
+        RETURNING id, user_id, requested_tier, granted_tier, status,
+                  rejection_reason`,
+      [
+        submissionId,
+        decision === "approve" ? "approved" : "rejected",
+        tier,
+        decision === "approve" ? null : reason,
+        reviewer,
+      ],
+    );
+    const submission = reviewed.rows[0];
+    if (!submission) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const tierChange =
+      submission.status === "approved"
+        ? await setKycTier(submission.user_id, submission.granted_tier, client)
+        : null;
+
+    await client.query("COMMIT");
+    return { submission, tierChange };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
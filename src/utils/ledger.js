@@ -0,0 +1,605 @@
+/**
+ * ledger.js
+ *
+ * Double-entry ledger for every escrow money movement.
+ *
+ * Each money event (buyer payment, escrow release, payout, refund, referral
+ * credit/withdrawal, manual admin adjustment) is posted as ONE journal entry
+ * made of two or more lines.  Debits always equal credits, so the whole
+ * ledger nets to zero and every balance is a single SUM over ledger_lines.
+ *
+ * Accounts (normal balance in brackets):
+ *   provider_cash      (debit)  — money held at the payment provider
+ *   buyer_escrow       (credit) — buyer funds held until release or refund
+ *   seller_payable     (credit) — released to a seller, not yet paid out
+ *   platform_fee       (credit) — Fonlok revenue
+ *   referral_payable   (credit) — commissions owed to referrers
+ *   user_wallet        (credit) — admin-credited wallet funds owed to users
+ *   manual_adjustment  (debit)  — offset for admin wallet credits/debits
+ *
+ * Every entry carries a UNIQUE `reference`, so a retried webhook or a
+ * duplicate request can never post the same movement twice, and the
+ * `currency` of the invoice it belongs to (utils/currency.js) — referral
+ * withdrawals and wallet adjustments are always XAF.
+ *
+ * The record* helpers NEVER throw — like notifyUser, a ledger failure is
+ * logged loudly but never aborts a payout that has already left the provider.
+ * Reconciliation (reconcileLedger) is what surfaces those gaps to finance.
+ */
+
+import db from "../controllers/db.js";
+import logger from "./logger.js";
+import { DEFAULT_CURRENCY } from "./currency.js";
+
+export const ACCOUNTS = {
+  provider_cash: "debit",
+  buyer_escrow: "credit",
+  seller_payable: "credit",
+  platform_fee: "credit",
+  referral_payable: "credit",
+  user_wallet: "credit",
+  manual_adjustment: "debit",
+};
+
+// Amounts are compared in cents so NUMERIC(14,2) values never drift.
+const toCents = (n) => Math.round(Number(n || 0) * 100);
+
+/** Creates the ledger tables. Called once from server.js on boot. */
+export async function ensureLedgerTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id              SERIAL       PRIMARY KEY,
+      reference       TEXT         NOT NULL UNIQUE,
+      kind            VARCHAR(40)  NOT NULL,
+      description     TEXT,
+      invoice_number  TEXT,
+      currency        VARCHAR(3)   NOT NULL DEFAULT 'XAF',
+      created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ledger_lines (
+      id              SERIAL        PRIMARY KEY,
+      entry_id        INTEGER       NOT NULL REFERENCES ledger_entries(id) ON DELETE CASCADE,
+      account         VARCHAR(40)   NOT NULL,
+      user_id         INTEGER       REFERENCES users(id) ON DELETE SET NULL,
+      invoice_number  TEXT,
+      debit           NUMERIC(14,2) NOT NULL DEFAULT 0 CHECK (debit >= 0),
+      credit          NUMERIC(14,2) NOT NULL DEFAULT 0 CHECK (credit >= 0),
+      CHECK ((debit = 0) <> (credit = 0))
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_ledger_lines_account ON ledger_lines (account, user_id)",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_ledger_lines_invoice ON ledger_lines (invoice_number)",
+  );
+}
+
+/**
+ * Posts one balanced journal entry.
+ *
+ * @param {object} entry
+ * @param {string} entry.reference  unique idempotency key for this movement
+ * @param {string} entry.kind       payment_received | escrow_release | payout | refund | ...
+ * @param {Array<{account, debit?, credit?, userId?, invoiceNumber?}>} entry.lines
+ * @returns {Promise<boolean>} true if posted, false if the reference already existed
+ * @throws when the entry is unbalanced, uses an unknown account, or the DB fails
+ */
+export async function postJournalEntry({
+  reference,
+  kind,
+  description = null,
+  invoiceNumber = null,
+  currency = DEFAULT_CURRENCY,
+  lines,
+}) {
+  if (!reference || !kind) {
+    throw new Error("Ledger entries require a reference and a kind.");
+  }
+
+  const activeLines = (lines || []).filter(
+    (l) => toCents(l.debit) > 0 || toCents(l.credit) > 0,
+  );
+
+  let debits = 0;
+  let credits = 0;
+  for (const line of activeLines) {
+    if (!ACCOUNTS[line.account]) {
+      throw new Error(`Unknown ledger account "${line.account}".`);
+    }
+    const d = toCents(line.debit);
+    const c = toCents(line.credit);
+    if (d < 0 || c < 0 || (d > 0 && c > 0)) {
+      throw new Error(
+        `Ledger line on ${line.account} must be a single positive debit or credit.`,
+      );
+    }
+    debits += d;
+    credits += c;
+  }
+
+  if (activeLines.length < 2 || debits !== credits) {
+    throw new Error(
+      `Unbalanced ledger entry ${reference}: debits=${debits / 100}, credits=${credits / 100}.`,
+    );
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const entryResult = await client.query(
+      `INSERT INTO ledger_entries (reference, kind, description, invoice_number, currency)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (reference) DO NOTHING
+       RETURNING id`,
+      [reference, kind, description, invoiceNumber, currency],
+    );
+    if (entryResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+    const entryId = entryResult.rows[0].id;
+
+    for (const line of activeLines) {
+      await client.query(
+        `INSERT INTO ledger_lines (entry_id, account, user_id, invoice_number, debit, credit)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          entryId,
+          line.account,
+          line.userId ?? null,
+          line.invoiceNumber ?? invoiceNumber,
+          toCents(line.debit) / 100,
+          toCents(line.credit) / 100,
+        ],
+      );
+    }
+    await client.query("COMMIT");
+    return true;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Shared wrapper for the record* helpers below — logs instead of throwing.
+async function safePost(entry) {
+  try {
+    return await postJournalEntry(entry);
+  } catch (err) {
+    logger.error("Ledger post failed", {
+      reference: entry.reference,
+      kind: entry.kind,
+      error: err.message,
+    });
+    return false;
+  }
+}
+
+// ─── Movement helpers ─────────────────────────────────────────────────────────
+
+/** Buyer paid an invoice: cash arrives at the provider, held in escrow. */
+export function recordPaymentReceived({
+  reference,
+  invoiceNumber,
+  amount,
+  currency,
+}) {
+  return safePost({
+    reference: `payment:${reference}`,
+    kind: "payment_received",
+    description: `Buyer payment for invoice ${invoiceNumber}`,
+    invoiceNumber,
+    currency,
+    lines: [
+      { account: "provider_cash", debit: amount },
+      { account: "buyer_escrow", credit: amount },
+    ],
+  });
+}
+
+/**
+ * Escrow released to the seller (full invoice, milestone, or dispute award).
+ * The full fee is booked as platform revenue; a referral share is moved out
+ * of it separately by recordReferralCredit once the earning is recorded.
+ */
+export function recordEscrowRelease({
+  reference,
+  invoiceNumber,
+  sellerId,
+  grossAmount,
+  sellerAmount,
+  feeAmount,
+  currency,
+}) {
+  return safePost({
+    reference: `release:${reference}`,
+    kind: "escrow_release",
+    description: `Escrow released to seller for invoice ${invoiceNumber}`,
+    invoiceNumber,
+    currency,
+    lines: [
+      { account: "buyer_escrow", debit: grossAmount },
+      { account: "seller_payable", credit: sellerAmount, userId: sellerId },
+      { account: "platform_fee", credit: feeAmount },
+    ],
+  });
+}
+
+/** Seller payable transferred out to the seller's Mobile Money account. */
+export function recordSellerPayout({
+  reference,
+  invoiceNumber,
+  sellerId,
+  amount,
+  currency,
+}) {
+  return safePost({
+    reference: `payout:${reference}`,
+    kind: "payout",
+    description: `Payout to seller for invoice ${invoiceNumber}`,
+    invoiceNumber,
+    currency,
+    lines: [
+      { account: "seller_payable", debit: amount, userId: sellerId },
+      { account: "provider_cash", credit: amount },
+    ],
+  });
+}
+
+/** Escrow refunded to the buyer after a dispute; the fee is still retained. */
+export function recordBuyerRefund({
+  reference,
+  invoiceNumber,
+  grossAmount,
+  refundAmount,
+  feeAmount,
+  currency,
+}) {
+  return safePost({
+    reference: `refund:${reference}`,
+    kind: "refund",
+    description: `Dispute refund to buyer for invoice ${invoiceNumber}`,
+    invoiceNumber,
+    currency,
+    lines: [
+      { account: "buyer_escrow", debit: grossAmount },
+      { account: "provider_cash", credit: refundAmount },
+      { account: "platform_fee", credit: feeAmount },
+    ],
+  });
+}
+
+/** Referral commission carved out of the platform fee for a referrer. */
+export function recordReferralCredit({
+  reference,
+  invoiceNumber,
+  referrerId,
+  amount,
+  currency,
+}) {
+  return safePost({
+    reference: `referral:${reference}`,
+    kind: "referral_credit",
+    description: `Referral commission for invoice ${invoiceNumber}`,
+    invoiceNumber,
+    currency,
+    lines: [
+      { account: "platform_fee", debit: amount },
+      { account: "referral_payable", credit: amount, userId: referrerId },
+    ],
+  });
+}
+
+/** Referrer withdrew their commission balance to Mobile Money. */
+export function recordReferralWithdrawal({ reference, userId, amount }) {
+  return safePost({
+    reference: `referral-withdrawal:${reference}`,
+    kind: "referral_withdrawal",
+    description: `Referral balance withdrawal by user ${userId}`,
+    lines: [
+      { account: "referral_payable", debit: amount, userId },
+      { account: "provider_cash", credit: amount },
+    ],
+  });
+}
+
+/**
+ * A transfer the provider accepted later failed: the cash is back at the
+ * provider and the recipient is owed again on `account` (seller_payable,
+ * referral_payable, or buyer_escrow for a refund).
+ */
+export function recordTransferFailed({
+  reference,
+  invoiceNumber = null,
+  account,
+  userId = null,
+  amount,
+  currency,
+}) {
+  return safePost({
+    reference: `transfer-failed:${reference}`,
+    kind: "transfer_failed",
+    description: `Provider reported transfer ${reference} as failed`,
+    invoiceNumber,
+    currency,
+    lines: [
+      { account: "provider_cash", debit: amount },
+      { account, credit: amount, userId },
+    ],
+  });
+}
+
+/**
+ * A failed transfer sent again (a transfer_resend payout job): what
+ * recordTransferFailed put back on `account` leaves the provider again.
+ */
+export function recordTransferResent({
+  reference,
+  originalReference,
+  invoiceNumber = null,
+  account,
+  userId = null,
+  amount,
+  currency,
+}) {
+  return safePost({
+    reference: `transfer-resent:${reference}`,
+    kind: "transfer_resent",
+    description: `Failed transfer ${originalReference} sent again as ${reference}`,
+    invoiceNumber,
+    currency,
+    lines: [
+      { account, debit: amount, userId },
+      { account: "provider_cash", credit: amount },
+    ],
+  });
+}
+
+/** Manual admin credit or debit of a user's wallet balance. */
+export function recordWalletAdjustment({ reference, userId, amount, type }) {
+  const isCredit = type === "credit";
+  return safePost({
+    reference: `adjustment:${reference}`,
+    kind: "wallet_adjustment",
+    description: `Admin wallet ${type} for user ${userId}`,
+    lines: [
+      {
+        account: "manual_adjustment",
+        [isCredit ? "debit" : "credit"]: amount,
+      },
+      {
+        account: "user_wallet",
+        [isCredit ? "credit" : "debit"]: amount,
+        userId,
+      },
+    ],
+  });
+}
+
+// ─── Reporting ────────────────────────────────────────────────────────────────
+
+/**
+ * Returns the balance of every account in its normal direction
+ * (credit − debit for liabilities/revenue, debit − credit for assets).
+ */
+export async function getAccountBalances() {
+  const result = await db.query(
+    `SELECT account,
+            COALESCE(SUM(debit), 0)  AS debits,
+            COALESCE(SUM(credit), 0) AS credits
+       FROM ledger_lines
+      GROUP BY account`,
+  );
+  const balances = Object.fromEntries(Object.keys(ACCOUNTS).map((a) => [a, 0]));
+  for (const row of result.rows) {
+    const net = toCents(row.credits) - toCents(row.debits);
+    balances[row.account] = (ACCOUNTS[row.account] === "debit" ? -net : net) / 100;
+  }
+  return balances;
+}
+
+/** Total posted amount per entry kind (e.g. all buyer payments received). */
+export async function getKindTotals() {
+  const result = await db.query(
+    `SELECT e.kind, COUNT(DISTINCT e.id) AS count, COALESCE(SUM(l.debit), 0) AS total
+       FROM ledger_entries e
+       JOIN ledger_lines l ON l.entry_id = e.id
+      GROUP BY e.kind`,
+  );
+  const totals = {};
+  for (const row of result.rows) {
+    totals[row.kind] = {
+      count: parseInt(row.count),
+      total: parseFloat(row.total),
+    };
+  }
+  return totals;
+}
+
+/**
+ * The same figures as getAccountBalances and getKindTotals, per currency:
+ *   { XAF: { balances: { account: n }, kinds: { kind: { count, total } } } }
+ */
+export async function getCurrencyTotals() {
+  const [balanceResult, kindResult] = await Promise.all([
+    db.query(
+      `SELECT e.currency, l.account,
+              COALESCE(SUM(l.debit), 0)  AS debits,
+              COALESCE(SUM(l.credit), 0) AS credits
+         FROM ledger_lines l
+         JOIN ledger_entries e ON e.id = l.entry_id
+        GROUP BY e.currency, l.account`,
+    ),
+    db.query(
+      `SELECT e.currency, e.kind, COUNT(DISTINCT e.id) AS count,
+              COALESCE(SUM(l.debit), 0) AS total
+         FROM ledger_entries e
+         JOIN ledger_lines l ON l.entry_id = e.id
+        GROUP BY e.currency, e.kind`,
+    ),
+  ]);
+
+  const totals = {};
+  const forCurrency = (currency) =>
+    (totals[currency] ??= {
+      balances: Object.fromEntries(Object.keys(ACCOUNTS).map((a) => [a, 0])),
+      kinds: {},
+    });
+  for (const row of balanceResult.rows) {
+    const net = toCents(row.credits) - toCents(row.debits);
+    forCurrency(row.currency).balances[row.account] =
+      (ACCOUNTS[row.account] === "debit" ? -net : net) / 100;
+  }
+  for (const row of kindResult.rows) {
+    forCurrency(row.currency).kinds[row.kind] = {
+      count: parseInt(row.count),
+      total: parseFloat(row.total),
+    };
+  }
+  return totals;
+}
+
+/**
+ * Compares the ledger against the operational tables and returns every
+ * mismatch found.  An empty `issues` array means the books reconcile.
+ */
+export async function reconcileLedger() {
+  const [trial, unbalanced, escrow, referral, wallet, payable] =
+    await Promise.all([
+      // The whole ledger must net to zero
+      db.query(
+        "SELECT COALESCE(SUM(debit), 0) AS debits, COALESCE(SUM(credit), 0) AS credits FROM ledger_lines",
+      ),
+
+      // No individual entry may be out of balance
+      db.query(
+        `SELECT e.reference, SUM(l.debit) AS debits, SUM(l.credit) AS credits
+           FROM ledger_entries e
+           JOIN ledger_lines l ON l.entry_id = e.id
+          GROUP BY e.id
+         HAVING SUM(l.debit) <> SUM(l.credit)`,
+      ),
+
+      // Escrow held per invoice vs what the invoice/milestone state implies
+      db.query(
+        `WITH expected AS (
+           SELECT i.invoicenumber,
+                  CASE
+                    WHEN i.status NOT IN ('paid', 'delivered') THEN 0
+                    WHEN i.payment_type = 'installment' THEN COALESCE((
+                      SELECT SUM(m.amount) FROM invoice_milestones m
+                       WHERE m.invoice_id = i.id AND m.status != 'released'), 0)
+                    ELSE i.amount
+                  END AS expected
+             FROM invoices i
+         ), actual AS (
+           SELECT invoice_number, SUM(credit) - SUM(debit) AS actual
+             FROM ledger_lines
+            WHERE account = 'buyer_escrow'
+            GROUP BY invoice_number
+         )
+         SELECT COALESCE(x.invoicenumber, a.invoice_number) AS invoice_number,
+                COALESCE(x.expected, 0) AS expected,
+                COALESCE(a.actual, 0)   AS actual
+           FROM expected x
+           FULL OUTER JOIN actual a ON a.invoice_number = x.invoicenumber
+          WHERE COALESCE(x.expected, 0) <> COALESCE(a.actual, 0)`,
+      ),
+
+      // Referral balances on users vs referral_payable per referrer
+      db.query(
+        `SELECT u.id AS user_id, u.referral_balance AS expected,
+                COALESCE(l.actual, 0) AS actual
+           FROM users u
+           LEFT JOIN (
+             SELECT user_id, SUM(credit) - SUM(debit) AS actual
+               FROM ledger_lines WHERE account = 'referral_payable'
+              GROUP BY user_id
+           ) l ON l.user_id = u.id
+          WHERE u.referral_balance <> COALESCE(l.actual, 0)`,
+      ),
+
+      // Wallet balances on users vs user_wallet per user
+      db.query(
+        `SELECT u.id AS user_id, u.wallet_balance AS expected,
+                COALESCE(l.actual, 0) AS actual
+           FROM users u
+           LEFT JOIN (
+             SELECT user_id, SUM(credit) - SUM(debit) AS actual
+               FROM ledger_lines WHERE account = 'user_wallet'
+              GROUP BY user_id
+           ) l ON l.user_id = u.id
+          WHERE u.wallet_balance <> COALESCE(l.actual, 0)`,
+      ),
+
+      // Seller payables should be cleared by a payout straight away
+      db.query(
+        `SELECT user_id, invoice_number, SUM(credit) - SUM(debit) AS outstanding
+           FROM ledger_lines
+          WHERE account = 'seller_payable'
+          GROUP BY user_id, invoice_number
+         HAVING SUM(credit) - SUM(debit) <> 0`,
+      ),
+    ]);
+
+  const issues = [];
+  const t = trial.rows[0];
+  if (toCents(t.debits) !== toCents(t.credits)) {
+    issues.push({
+      type: "trial_balance",
+      debits: parseFloat(t.debits),
+      credits: parseFloat(t.credits),
+    });
+  }
+  for (const r of unbalanced.rows) {
+    issues.push({
+      type: "unbalanced_entry",
+      reference: r.reference,
+      debits: parseFloat(r.debits),
+      credits: parseFloat(r.credits),
+    });
+  }
+  for (const r of escrow.rows) {
+    issues.push({
+      type: "escrow_mismatch",
+      invoiceNumber: r.invoice_number,
+      expected: parseFloat(r.expected),
+      ledger: parseFloat(r.actual),
+    });
+  }
+  for (const r of referral.rows) {
+    issues.push({
+      type: "referral_balance_mismatch",
+      userId: r.user_id,
+      expected: parseFloat(r.expected),
+      ledger: parseFloat(r.actual),
+    });
+  }
+  for (const r of wallet.rows) {
+    issues.push({
+      type: "wallet_balance_mismatch",
+      userId: r.user_id,
+      expected: parseFloat(r.expected),
+      ledger: parseFloat(r.actual),
+    });
+  }
+  for (const r of payable.rows) {
+    issues.push({
+      type: "seller_payable_outstanding",
+      userId: r.user_id,
+      invoiceNumber: r.invoice_number,
+      outstanding: parseFloat(r.outstanding),
+    });
+  }
+
+  return {
+    balanced: issues.length === 0,
+    balances: await getAccountBalances(),
+    issues,
+  };
+}
@@ -0,0 +1,284 @@
+/**
+ * notificationPreferences.js
+ *
+ * What each user wants to hear about, and how.  notifyUser()
+ * (middleware/notificationHelper.js) reads these before sending anything.
+ *
+ *   channels     per event type (NOTIFICATION_EVENTS) and channel
+ *                (in_app, push, email, sms) — only the user's changes are
+ *                stored, everything else falls back to the event's default
+ *   quiet hours  a local-time window (quiet_start → quiet_end, whole hours,
+ *                in the user's time zone) with no push notifications; SMS
+ *                are held until it ends.  In-app and email are unaffected.
+ *   digest       instead of one email per event, the day's emails are
+ *                gathered into a single digest sent at digest_hour local
+ *                time (jobs/notificationDigest.js)
+ *
+ * Events marked `required` (security and account messages from the team)
+ * always go out on every channel they use, whatever the preferences.
+ */
+
+import db from "../controllers/db.js";
+import { t } from "./i18n.js";
+
+export const NOTIFICATION_CHANNELS = ["in_app", "push", "email", "sms"];
+
+/**
+ * Every event notifyUser() is called with.  `channels` are the ones the
+ * event can use; `off` lists those that stay off until the user turns them
+ * on (SMS costs money, so it is opt-in).
+ */
+export const NOTIFICATION_EVENTS = {
+  invoice_paid: {
+    label: "A buyer paid one of your invoices",
+    channels: ["in_app", "push", "email", "sms"],
+    off: ["sms"],
+  },
+  payout_sent: {
+    label: "Funds were sent to your Mobile Money account",
+    channels: ["in_app", "push", "email", "sms"],
+    off: ["sms"],
+  },
+  milestone_released: {
+    label: "A milestone payment was sent to you",
+    channels: ["in_app", "push", "email"],
+  },
+  payout_failed: {
+    label: "A payout or withdrawal did not go through",
+    channels: ["in_app", "push"],
+  },
+  auto_release: {
+    label: "Funds were released automatically after the inspection period",
+    channels: ["in_app", "push"],
+  },
+  dispute_opened: {
+    label: "A dispute was opened on one of your invoices",
+    channels: ["in_app", "push", "email", "sms"],
+    off: ["sms"],
+  },
+  dispute_resolved: {
+    label: "A dispute on one of your invoices was resolved",
+    channels: ["in_app", "push", "email"],
+  },
+  new_message: {
+    label: "A buyer sent you a chat message or file",
+    channels: ["in_app", "push"],
+  },
+  referral_earned: {
+    label: "You earned a referral commission",
+    channels: ["in_app", "push"],
+  },
+  kyc_update: {
+    label: "Identity verification and payout limits",
+    channels: ["in_app", "push", "email"],
+  },
+  announcement: {
+    label: "News and announcements from Fonlok",
+    channels: ["email"],
+  },
+  payout_phone: {
+    label: "Changes to your payout number",
+    channels: ["in_app", "push", "email"],
+    required: true,
+  },
+  team_message: {
+    label: "Messages from the Fonlok team about your account",
+    channels: ["email"],
+    required: true,
+  },
+};
+
+const DEFAULT_TIMEZONE = "Africa/Douala";
+const DEFAULT_DIGEST_HOUR = 18;
+
+/**
+ * Creates notification_preferences and notification_digest_items.
+ * Called once from server.js on boot.
+ */
+export async function ensureNotificationPreferenceTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id         INTEGER      PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      channels        JSONB        NOT NULL DEFAULT '{}',
+      quiet_start     SMALLINT     CHECK (quiet_start BETWEEN 0 AND 23),
+      quiet_end       SMALLINT     CHECK (quiet_end BETWEEN 0 AND 23),
+      timezone        VARCHAR(60)  NOT NULL DEFAULT '${DEFAULT_TIMEZONE}',
+      email_digest    BOOLEAN      NOT NULL DEFAULT false,
+      digest_hour     SMALLINT     NOT NULL DEFAULT ${DEFAULT_DIGEST_HOUR}
+                      CHECK (digest_hour BETWEEN 0 AND 23),
+      last_digest_at  TIMESTAMPTZ,
+      updated_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  // Emails held back for the user's next digest, already in their language
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notification_digest_items (
+      id          SERIAL        PRIMARY KEY,
+      user_id     INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type        VARCHAR(60)   NOT NULL,
+      title       VARCHAR(200)  NOT NULL,
+      body        TEXT          NOT NULL,
+      created_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_notification_digest_user ON notification_digest_items (user_id, created_at)",
+  );
+}
+
+// The stored row for a user, or the defaults when they never changed anything
+function withDefaults(row) {
+  return {
+    channels: row?.channels ?? {},
+    quietStart: row?.quiet_start ?? null,
+    quietEnd: row?.quiet_end ?? null,
+    timezone: row?.timezone ?? DEFAULT_TIMEZONE,
+    emailDigest: row?.email_digest ?? false,
+    digestHour: row?.digest_hour ?? DEFAULT_DIGEST_HOUR,
+  };
+}
+
+/** The user's preferences (see withDefaults). */
+export async function getPreferences(userId) {
+  const result = await db.query(
+    "SELECT * FROM notification_preferences WHERE user_id = $1",
+    [userId],
+  );
+  return withDefaults(result.rows[0]);
+}
+
+/**
+ * True when `type` may use `channel` for a user with `prefs`.  Unknown
+ * event types keep the old behaviour: in-app and push only.
+ */
+export function wantsChannel(prefs, type, channel) {
+  const event = NOTIFICATION_EVENTS[type];
+  if (!event) return channel === "in_app" || channel === "push";
+  if (!event.channels.includes(channel)) return false;
+  if (event.required) return true;
+  return prefs.channels[type]?.[channel] ?? !event.off?.includes(channel);
+}
+
+/** The hour of the day (0–23) at `date` in `timezone`. */
+const localHour = (date, timezone) =>
+  Number(
+    new Intl.DateTimeFormat("en-GB", {
+      hour: "numeric",
+      hourCycle: "h23",
+      timeZone: timezone,
+    }).format(date),
+  );
+
+/**
+ * When `date` falls in the user's quiet hours, the moment they end;
+ * otherwise null.  22 → 7 spans midnight; equal start and end mean none.
+ */
+export function quietHoursEnd(prefs, date = new Date()) {
+  const { quietStart: start, quietEnd: end, timezone } = prefs;
+  if (start === null || end === null || start === end) return null;
+
+  const hour = localHour(date, timezone);
+  const quiet =
+    start < end ? hour >= start && hour < end : hour >= start || hour < end;
+  if (!quiet) return null;
+
+  // Step forward to the top of the hour, then hour by hour until it ends
+  // (at most a day, should a clock change skip that hour)
+  const ends = new Date(date);
+  ends.setUTCMinutes(0, 0, 0);
+  for (let i = 0; i < 24; i++) {
+    ends.setUTCHours(ends.getUTCHours() + 1);
+    if (localHour(ends, timezone) === end) break;
+  }
+  return ends;
+}
+
+/** True when `timezone` is an IANA zone this server knows, e.g. "Africa/Douala". */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Applies a change from PATCH /notifications/preferences and returns the
+ * new preferences.  `channels` is merged event by event; everything else
+ * replaces the stored value when present.  Input is validated by the route.
+ */
+export async function updatePreferences(
+  userId,
+  { channels, quietHours, digest },
+) {
+  const current = await getPreferences(userId);
+
+  const merged = { ...current.channels };
+  for (const [type, toggles] of Object.entries(channels ?? {})) {
+    merged[type] = { ...merged[type], ...toggles };
+  }
+  const next = {
+    ...current,
+    channels: merged,
+    ...(quietHours !== undefined && {
+      quietStart: quietHours?.start ?? null,
+      quietEnd: quietHours?.end ?? null,
+      timezone: quietHours?.timezone ?? current.timezone,
+    }),
+    ...(digest !== undefined && {
+      emailDigest: digest.enabled ?? current.emailDigest,
+      digestHour: digest.hour ?? current.digestHour,
+    }),
+  };
+
+  const result = await db.query(
+    `INSERT INTO notification_preferences
+       (user_id, channels, quiet_start, quiet_end, timezone, email_digest, digest_hour)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (user_id) DO UPDATE SET
+       channels = EXCLUDED.channels,
+       quiet_start = EXCLUDED.quiet_start,
+       quiet_end = EXCLUDED.quiet_end,
+       timezone = EXCLUDED.timezone,
+       email_digest = EXCLUDED.email_digest,
+       digest_hour = EXCLUDED.digest_hour,
+       updated_at = NOW()
+     RETURNING *`,
+    [
+      userId,
+      JSON.stringify(next.channels),
+      next.quietStart,
+      next.quietEnd,
+      next.timezone,
+      next.emailDigest,
+      next.digestHour,
+    ],
+  );
+  return withDefaults(result.rows[0]);
+}
+
+/**
+ * The preferences as GET /notifications/preferences shows them: every
+ * event, labelled in `lang`, with the state of each of its channels.
+ */
+export const describePreferences = (prefs, lang) => ({
+  events: Object.entries(NOTIFICATION_EVENTS).map(([type, event]) => ({
+    type,
+    label: t(lang, event.label),
+    required: event.required === true,
+    channels: Object.fromEntries(
+      event.channels.map((channel) => [
+        channel,
+        wantsChannel(prefs, type, channel),
+      ]),
+    ),
+  })),
+  quietHours: {
+    start: prefs.quietStart,
+    end: prefs.quietEnd,
+    timezone: prefs.timezone,
+  },
+  digest: { enabled: prefs.emailDigest, hour: prefs.digestHour },
+});
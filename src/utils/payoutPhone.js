@@ -0,0 +1,335 @@
+/**
+ * payoutPhone.js
+ *
+ * Cooling-off for changes to a seller's payout (MoMo) phone number.
+ *
+ * Changing users.phone redirects every future payout, so a stolen session
+ * must not be able to do it on its own:
+ *
+ *   1. PATCH /user/update-phone (or /profile/update-phone) only files a
+ *      pending phone_change_requests row and emails a confirmation link to
+ *      the account's CURRENT email address.  The phone is not touched yet.
+ *   2. POST /user/payout-phone/confirm with the emailed token applies the new
+ *      number and starts a hold of `payout_phone_hold_hours` (platform
+ *      setting, 0 = no hold).
+ *   3. While the hold runs, payout jobs to the new number stay queued —
+ *      see holdPayoutIfNeeded(), called by jobs/payoutQueue.js — and are sent
+ *      automatically when it ends.  A finance admin can end it early.
+ *
+ * The hold lives on the user row (payout_hold_phone / payout_hold_until) so
+ * the queue can check it with a single join.
+ */
+
+import crypto from "crypto";
+import db from "../controllers/db.js";
+import { getSettings, int } from "./platformSettings.js";
+import { notifyUser } from "../middleware/notificationHelper.js";
+import dotenv from "dotenv";
+dotenv.config();
+
+const CONFIRM_TTL_HOURS = 24;
+// last_error of a job waiting out a hold — how releasePayoutHold finds it
+const HOLD_MESSAGE = "On hold: the payout number was changed recently.";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Creates phone_change_requests and the hold columns on users.
+ * Called once from server.js on boot, before the payout queue starts.
+ */
+export async function ensurePayoutPhoneTables() {
+  await db.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS payout_hold_phone  TEXT,
+      ADD COLUMN IF NOT EXISTS payout_hold_until  TIMESTAMPTZ
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS phone_change_requests (
+      id             SERIAL        PRIMARY KEY,
+      user_id        INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      old_phone      TEXT,
+      new_phone      TEXT          NOT NULL,
+      token_hash     CHAR(64)      NOT NULL UNIQUE,
+      status         VARCHAR(20)   NOT NULL DEFAULT 'pending'
+                     CHECK (status IN ('pending', 'confirmed', 'cancelled')),
+      requested_ip   VARCHAR(64),
+      created_at     TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      expires_at     TIMESTAMPTZ   NOT NULL,
+      confirmed_at   TIMESTAMPTZ,
+      hold_until     TIMESTAMPTZ,
+      released_by    VARCHAR(255),
+      released_at    TIMESTAMPTZ
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_phone_change_user ON phone_change_requests (user_id, status)",
+  );
+}
+
+/**
+ * Files a phone change for `userId` and emails the confirmation link to the
+ * current address.  Any earlier pending request is cancelled.
+ * Returns { pending: true, expiresAt }, or { unchanged: true } when the
+ * number is already the payout number.
+ */
+export async function requestPhoneChange(userId, newPhone, req) {
+  const userRes = await db.query(
+    "SELECT id, name, email, phone, language FROM users WHERE id = $1",
+    [userId],
+  );
+  const user = userRes.rows[0];
+  if (!user) return null;
+  if (user.phone === newPhone) return { unchanged: true };
+
+  const token = crypto.randomBytes(32).toString("hex");
+
+  const client = await db.connect();
+  let request;
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `UPDATE phone_change_requests SET status = 'cancelled'
+        WHERE user_id = $1 AND status = 'pending'`,
+      [userId],
+    );
+    const inserted = await client.query(
+      `INSERT INTO phone_change_requests
+         (user_id, old_phone, new_phone, token_hash, requested_ip, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(hours => $6))
+       RETURNING id, expires_at`,
+      [
+        userId,
+        user.phone ?? null,
+        newPhone,
+        hashToken(token),
+        req.ip ?? null,
+        CONFIRM_TTL_HOURS,
+      ],
+    );
+    request = inserted.rows[0];
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const settings = await getSettings();
+  const holdHours = int(settings, "payout_phone_hold_hours");
+  const { email } = await notifyUser(
+    userId,
+    "payout_phone",
+    "Payout number change requested",
+    `We emailed you a link to confirm ${newPhone} as your payout number. Your current number stays in use until then.`,
+    { newPhone },
+    {
+      email: {
+        template: "user.payout_phone_confirm",
+        data: {
+          name: user.name,
+          phone: newPhone,
+          oldPhone: user.phone ?? null,
+          token,
+          holdHours,
+          expiresInHours: CONFIRM_TTL_HOURS,
+        },
+      },
+    },
+  );
+  if (email !== "queued") {
+    throw new Error("Confirmation email could not be queued.");
+  }
+
+  return { pending: true, expiresAt: request.expires_at };
+}
+
+/**
+ * Applies the change behind an emailed token and starts the payout hold.
+ * Returns { userId, phone, holdUntil } or null if the token is unknown,
+ * expired or already used.
+ */
+export async function confirmPhoneChange(token) {
+  const holdHours = int(await getSettings(), "payout_phone_hold_hours");
+
+  const client = await db.connect();
+  let change;
+  try {
+    await client.query("BEGIN");
+    const confirmed = await client.query(
+      `UPDATE phone_change_requests
+          SET status = 'confirmed', confirmed_at = NOW(),
+              hold_until = CASE WHEN $2::int > 0
+                                THEN NOW() + make_interval(hours => $2::int)
+                           END
+        WHERE token_hash = $1 AND status = 'pending' AND expires_at > NOW()
+        RETURNING user_id, new_phone, hold_until`,
+      [hashToken(String(token)), holdHours],
+    );
+    change = confirmed.rows[0];
+    if (!change) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    await client.query(
+      `UPDATE users
+          SET phone = $2, payout_hold_phone = $2, payout_hold_until = $3
+        WHERE id = $1`,
+      [change.user_id, change.new_phone, change.hold_until],
+    );
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  notifyUser(
+    change.user_id,
+    "payout_phone",
+    "Payout number changed",
+    change.hold_until
+      ? `Payouts now go to ${change.new_phone}. For your security they are held until ${new Date(change.hold_until).toUTCString()}.`
+      : `Payouts now go to ${change.new_phone}.`,
+    { phone: change.new_phone, holdUntil: change.hold_until },
+  );
+
+  return {
+    userId: change.user_id,
+    phone: change.new_phone,
+    holdUntil: change.hold_until,
+  };
+}
+
+/** Cancels the user's pending change, if any.  Returns true if one was. */
+export async function cancelPhoneChange(userId) {
+  const result = await db.query(
+    `UPDATE phone_change_requests SET status = 'cancelled'
+      WHERE user_id = $1 AND status = 'pending'
+      RETURNING id`,
+    [userId],
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * For the seller's dashboard:
+ *   { phone, pendingChange: { newPhone, expiresAt } | null,
+ *     hold: { phone, until } | null }
+ */
+export async function getPayoutPhoneStatus(userId) {
+  const result = await db.query(
+    `SELECT u.phone, u.payout_hold_phone, u.payout_hold_until,
+            p.new_phone, p.expires_at
+       FROM users u
+       LEFT JOIN phone_change_requests p
+              ON p.user_id = u.id AND p.status = 'pending'
+             AND p.expires_at > NOW()
+      WHERE u.id = $1
+      ORDER BY p.created_at DESC
+      LIMIT 1`,
+    [userId],
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  const held = row.payout_hold_until && row.payout_hold_until > new Date();
+  return {
+    phone: row.phone,
+    pendingChange: row.new_phone
+      ? { newPhone: row.new_phone, expiresAt: row.expires_at }
+      : null,
+    hold: held
+      ? { phone: row.payout_hold_phone, until: row.payout_hold_until }
+      : null,
+  };
+}
+
+/**
+ * Called by the payout queue before attempting a job.  If the job pays the
+ * number its seller is still in a hold for, pushes next_attempt_at to the
+ * end of the hold and returns the updated job; otherwise returns null.
+ */
+export async function holdPayoutIfNeeded(jobId) {
+  const result = await db.query(
+    `UPDATE payout_jobs j
+        SET next_attempt_at = u.payout_hold_until, updated_at = NOW(),
+            last_error = $2
+       FROM users u
+      WHERE j.id = $1
+        AND j.status IN ('queued', 'failed')
+        AND j.next_attempt_at <= NOW()
+        AND u.id = j.user_id
+        AND u.payout_hold_phone = j.phone
+        AND u.payout_hold_until > NOW()
+      RETURNING j.*`,
+    [jobId, HOLD_MESSAGE],
+  );
+  return result.rows[0] ?? null;
+}
+
+/**
+ * Admin override: ends a user's hold now and makes their held payout jobs
+ * due immediately.  Returns { phone, until, jobIds } for the hold that was
+ * lifted, or null if there was none.
+ */
+export async function releasePayoutHold(userId, adminEmail) {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const current = await client.query(
+      `SELECT payout_hold_phone AS phone, payout_hold_until AS until
+         FROM users
+        WHERE id = $1 AND payout_hold_until > NOW()
+        FOR UPDATE`,
+      [userId],
+    );
+    const hold = current.rows[0];
+    if (!hold) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    await client.query(
+      "UPDATE users SET payout_hold_until = NULL WHERE id = $1",
+      [userId],
+    );
+    await client.query(
+      `UPDATE phone_change_requests
+          SET released_by = $2, released_at = NOW()
+        WHERE id = (SELECT id FROM phone_change_requests
+                     WHERE user_id = $1 AND status = 'confirmed'
+                     ORDER BY confirmed_at DESC LIMIT 1)`,
+      [userId, adminEmail],
+    );
+    const jobs = await client.query(
+      `UPDATE payout_jobs
+          SET next_attempt_at = NOW(), last_error = NULL, updated_at = NOW()
+        WHERE user_id = $1 AND phone = $2
+          AND status IN ('queued', 'failed')
+          AND last_error = $3
+        RETURNING id`,
+      [userId, hold.phone, HOLD_MESSAGE],
+    );
+    await client.query("COMMIT");
+
+    notifyUser(
+      userId,
+      "payout_phone",
+      "Payout hold lifted",
+      `Payouts to ${hold.phone} are no longer on hold.`,
+      { phone: hold.phone },
+    );
+
+    return { ...hold, jobIds: jobs.rows.map((r) => r.id) };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
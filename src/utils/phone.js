@@ -0,0 +1,151 @@
+/**
+ * phone.js
+ *
+ * Phone numbers and mobile operators, driven by the numbering plans in
+ * config/phoneNumbering.json (or the file named by PHONE_NUMBERING_FILE).
+ *
+ * Numbers are stored the way Mobile Money providers expect them: digits
+ * only, country code first, e.g. "237670000000".  parsePhone() also accepts
+ * the usual ways people type them ("+237 670 00 00 00", "00237…") and
+ * returns the normalised number with its country and operator.
+ *
+ * Each country in the plan file has:
+ *   name, dialCode, nationalLength (digits after the dial code), example
+ *   operators: [{ id, name, mobileMoney, ussd?, prefixes: [...] }]
+ *
+ * A number belongs to the operator with the LONGEST prefix matching its
+ * national part, so "699" can be carved out of "69".  Operators with
+ * mobileMoney false are recognised but can neither pay nor be paid.
+ *
+ * To add a country or operator, or move a prefix, edit the plan file and
+ * restart — no code change is needed.  Collecting payments from a new
+ * country also needs a provider that serves it (see providers/index.js).
+ */
+
+import fs from "fs";
+import { body } from "express-validator";
+import dotenv from "dotenv";
+dotenv.config();
+
+const PLANS = JSON.parse(
+  fs.readFileSync(
+    process.env.PHONE_NUMBERING_FILE ||
+      new URL("../config/phoneNumbering.json", import.meta.url),
+    "utf8",
+  ),
+);
+
+export const SUPPORTED_COUNTRIES = Object.keys(PLANS);
+
+// Longest dial codes first, so a longer code is never shadowed by a shorter
+const BY_DIAL_CODE = Object.entries(PLANS).sort(
+  ([, a], [, b]) => b.dialCode.length - a.dialCode.length,
+);
+
+const countryNames = () =>
+  Object.values(PLANS)
+    .map((plan) => `${plan.name} (+${plan.dialCode})`)
+    .join(", ");
+
+const mobileMoneyOperators = (plan) =>
+  plan.operators
+    .filter((op) => op.mobileMoney)
+    .map((op) => op.name)
+    .join(" or ");
+
+/**
+ * Parses a phone number.  Returns
+ *   { phone, country, countryName, national, operator: { id, name,
+ *     mobileMoney, ussd } }
+ * or { error } with a message that can be shown to the user as is.
+ */
+export function parsePhone(input) {
+  let digits = String(input ?? "")
+    .trim()
+    .replace(/[\s().-]/g, "");
+  if (digits.startsWith("+")) digits = digits.slice(1);
+  else if (digits.startsWith("00")) digits = digits.slice(2);
+  if (!/^\d+$/.test(digits)) {
+    return { error: "A phone number may only contain digits." };
+  }
+
+  const match = BY_DIAL_CODE.find(([, plan]) =>
+    digits.startsWith(plan.dialCode),
+  );
+  if (!match) {
+    return {
+      error: `Enter the number with its country code. Supported countries: ${countryNames()}.`,
+    };
+  }
+  const [country, plan] = match;
+
+  const national = digits.slice(plan.dialCode.length);
+  if (national.length !== plan.nationalLength) {
+    return {
+      error: `A ${plan.name} number has ${plan.nationalLength} digits after ${plan.dialCode} (e.g. ${plan.example}).`,
+    };
+  }
+
+  let operator = null;
+  let matched = 0;
+  for (const op of plan.operators) {
+    for (const prefix of op.prefixes) {
+      if (national.startsWith(prefix) && prefix.length > matched) {
+        operator = op;
+        matched = prefix.length;
+      }
+    }
+  }
+  if (!operator) {
+    return {
+      error: `This ${plan.name} number does not belong to a supported mobile operator.`,
+    };
+  }
+
+  return {
+    phone: digits,
+    country,
+    countryName: plan.name,
+    national,
+    operator: {
+      id: operator.id,
+      name: operator.name,
+      mobileMoney: operator.mobileMoney,
+      ussd: operator.ussd ?? null,
+    },
+  };
+}
+
+/** Like parsePhone, but also refuses operators without Mobile Money. */
+export function parseMobileMoneyPhone(input) {
+  const parsed = parsePhone(input);
+  if (parsed.error || parsed.operator.mobileMoney) return parsed;
+  return {
+    error: `${parsed.operator.name} numbers cannot send or receive Mobile Money. Use a ${mobileMoneyOperators(PLANS[parsed.country])} number.`,
+  };
+}
+
+/**
+ * express-validator chain for a Mobile Money number in `field`.  A valid
+ * value is normalised in place, e.g. "+237 670 00 00 00" → "237670000000".
+ * For a number Fonlok pays out to, pass `reachable(country)` — paysOutTo
+ * from providers/index.js — to refuse countries no provider can pay.
+ */
+export const mobileMoneyPhoneField = (field, { reachable } = {}) =>
+  body(field)
+    .trim()
+    .notEmpty()
+    .withMessage("Phone number is required.")
+    .bail()
+    .custom((value) => {
+      const parsed = parseMobileMoneyPhone(value);
+      if (parsed.error) throw new Error(parsed.error);
+      if (reachable && !reachable(parsed.country)) {
+        throw new Error(
+          `Payouts to ${parsed.countryName} numbers are not available yet.`,
+        );
+      }
+      return true;
+    })
+    .bail()
+    .customSanitizer((value) => parsePhone(value).phone);
@@ -14,6 +14,12 @@ const DEFAULTS = {
   maintenance_mode: "false",
   payments_blocked: "false",
   payouts_blocked: "false",
+  // Hours a buyer has to inspect a delivered order before the funds are
+  // released automatically.  "0" turns auto-release off.
+  auto_release_hours: "72",
+  // Hours payouts to a newly confirmed payout phone number are held.
+  // "0" turns the hold off.
+  payout_phone_hold_hours: "48",
 };
 
 let _cache = null;
@@ -64,3 +70,8 @@ export function invalidateCache() {
 export function bool(settings, key) {
   return settings[key] === "true";
 }
+
+/** Convenience: parses numeric stored values (e.g. auto_release_hours). */
+export function int(settings, key) {
+  return parseInt(settings[key], 10) || 0;
+}
@@ -0,0 +1,203 @@
+/**
+ * realtime.js
+ *
+ * Live updates pushed to browsers over Server-Sent Events, so the chat, the
+ * payment page and the seller dashboard no longer have to poll.
+ *
+ *   publish(channel, event, data)    anywhere on the server
+ *   openEventStream(req, res, opts)  in a GET route the browser opens with
+ *                                    EventSource
+ *
+ * Channels and their events:
+ *
+ *   invoice:<number>     the invoice chat and payment page
+ *     chat.message       { message }  a new chat message (buyer, seller,
+ *                        moderator or system)
+ *     chat.typing        { sender_type, typing }
+ *     chat.read          { sender_type, messageId }  that side has read up
+ *                        to messageId (utils/chatReads.js)
+ *     invoice.status     { invoiceNumber, status, previousStatus }
+ *     payment.confirmed  { invoiceNumber }
+ *     payment.failed     { invoiceNumber }
+ *
+ *   user:<id>            the seller's dashboard
+ *     notification       the in-app notification notifyUser() just saved
+ *     invoice.status     as above, for any of their invoices
+ *     chat.message       { invoiceNumber, sender_type }  a buyer wrote
+ *     chat.read          { invoiceNumber, sender_type, messageId }  the
+ *                        seller read a chat in another tab
+ *
+ * Under PM2 each worker holds its own browsers' connections, so events go
+ * through Postgres: publish() is a NOTIFY, and every worker LISTENs on one
+ * dedicated connection and hands events to its own streams.  Pass a
+ * transaction's client to publish() and the event is only sent if that
+ * transaction commits.
+ *
+ * Events are not stored.  EventSource reconnects by itself; on reconnecting
+ * the page should reload what it shows (GET /chat/messages/:invoicenumber,
+ * GET /payment/poll/:invoice_number…) to catch up on anything it missed.
+ * NOTIFY payloads are capped at 8 kB, so a bigger event arrives as
+ * { truncated: true } — same remedy.
+ */
+
+import db, { queryInSavepoint } from "../controllers/db.js";
+
+const PG_CHANNEL = "fonlok_realtime";
+const MAX_PAYLOAD_BYTES = 7900;
+const HEARTBEAT_MS = 25_000;
+const RECONNECT_MS = 5_000;
+// Per worker; past this, browsers are told to fall back to polling
+const MAX_STREAMS = 2000;
+
+export const invoiceChannel = (invoiceNumber) => `invoice:${invoiceNumber}`;
+export const userChannel = (userId) => `user:${userId}`;
+
+/**
+ * Sends `event` with `data` to every browser listening on `channel`, on any
+ * worker.  Never throws — a live update must not break the action it
+ * announces, nor abort the transaction of a passed-in `client`.
+ */
+export async function publish(channel, event, data = {}, client = db) {
+  try {
+    let payload = JSON.stringify({ channel, event, data });
+    if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+      payload = JSON.stringify({ channel, event, data: { truncated: true } });
+    }
+    await queryInSavepoint(client, "SELECT pg_notify($1, $2)", [
+      PG_CHANNEL,
+      payload,
+    ]);
+  } catch (err) {
+    console.error(
+      `⚠️  Realtime publish error (${event} on ${channel}):`,
+      err.message,
+    );
+  }
+}
+
+// channel → listeners on this worker
+const listeners = new Map();
+let listening = null;
+let openStreams = 0;
+
+function dispatch(notification) {
+  if (notification.channel !== PG_CHANNEL) return;
+  let message;
+  try {
+    message = JSON.parse(notification.payload);
+  } catch {
+    return;
+  }
+  for (const listener of listeners.get(message.channel) ?? []) {
+    listener(message.event, message.data);
+  }
+}
+
+const retryLater = () =>
+  setTimeout(() => {
+    if (listeners.size > 0) listen();
+  }, RECONNECT_MS);
+
+// Opens the worker's LISTEN connection once; reopens it when it drops.
+function listen() {
+  if (listening) return listening;
+  listening = (async () => {
+    const client = await db.connect();
+    let lost = false;
+    const onLost = (err) => {
+      if (lost) return;
+      lost = true;
+      console.error("⚠️  Realtime listener connection lost:", err.message);
+      client.release(err);
+      listening = null;
+      retryLater();
+    };
+    client.on("notification", dispatch);
+    client.on("error", onLost);
+    client.on("end", () => onLost(new Error("connection ended")));
+    try {
+      await client.query(`LISTEN ${PG_CHANNEL}`);
+    } catch (err) {
+      onLost(err);
+    }
+  })().catch((err) => {
+    console.error("⚠️  Realtime listener could not connect:", err.message);
+    listening = null;
+    retryLater();
+  });
+  return listening;
+}
+
+/**
+ * Calls `listener(event, data)` for every event published on `channel`.
+ * Returns the function that stops it.
+ */
+export function subscribe(channel, listener) {
+  if (!listeners.has(channel)) listeners.set(channel, new Set());
+  listeners.get(channel).add(listener);
+  listen();
+  return () => {
+    const set = listeners.get(channel);
+    set?.delete(listener);
+    if (set?.size === 0) listeners.delete(channel);
+  };
+}
+
+/**
+ * Turns `res` into an event stream of `channels`, open until the browser
+ * goes away or `until` (a Date — e.g. when the seller's access token
+ * expires, so a revoked session stops receiving).
+ *
+ *   initial   [event, data] pairs sent first, e.g. the current status
+ *   accept    (event, data) → false drops an event this viewer must not see
+ *
+ * Returns false, having answered 503, when this worker already holds
+ * MAX_STREAMS streams.
+ */
+export function openEventStream(
+  req,
+  res,
+  { channels, initial = [], accept = () => true, until = null },
+) {
+  if (openStreams >= MAX_STREAMS) {
+    res.status(503).json({
+      message: "Live updates are busy right now. Please refresh the page.",
+    });
+    return false;
+  }
+  openStreams++;
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: do not buffer the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) =>
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+  for (const [event, data] of initial) send(event, data);
+
+  const unsubscribes = channels.map((channel) =>
+    subscribe(channel, (event, data) => {
+      if (accept(event, data)) send(event, data);
+    }),
+  );
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  const expiry = until
+    ? setTimeout(() => res.end(), Math.max(0, until - Date.now()))
+    : null;
+
+  let closed = false;
+  res.on("close", () => {
+    if (closed) return;
+    closed = true;
+    openStreams--;
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribes.forEach((unsubscribe) => unsubscribe());
+  });
+  return true;
+}
@@ -0,0 +1,522 @@
+/**
+ * risk.js
+ *
+ * Rules-based fraud and risk scoring for payments and payouts.
+ *
+ * Each assessment runs the RULES that apply to its stage, adds up their
+ * points and stores the score, level and reasons in risk_assessments:
+ *
+ *   payment_request  — POST /api/requestPayment, before the MoMo prompt
+ *   payment          — processSuccessfulPayment(), once the money is in escrow
+ *   payout           — the payout queue, once per job before its first attempt
+ *
+ *   score >= MEDIUM_SCORE  → "medium"  (recorded, visible in /admin/risk)
+ *   score >= HIGH_SCORE    → "high"    (queued for review; a payout is HELD)
+ *
+ * A held payout job stays 'queued' with risk_status 'held' and is never
+ * claimed until a finance admin approves it (→ sent) or rejects it (→ the
+ * job is cancelled and its onCancel handler puts the escrow back).
+ * Rejecting a PAYMENT assessment holds every later payout on that invoice.
+ *
+ * Payment-stage assessments never block the buyer — the money goes into
+ * escrow either way, and the payout is where it can be stopped.
+ */
+
+import db from "../controllers/db.js";
+import logger from "./logger.js";
+
+export const MEDIUM_SCORE = 40;
+export const HIGH_SCORE = 70;
+export const RISK_STAGES = ["payment_request", "payment", "payout"];
+
+// last_error of a job waiting for a risk review
+const RISK_HOLD_MESSAGE = "On hold: flagged for a risk review by an admin.";
+
+const NEW_SELLER_DAYS = 7;
+const REPEAT_PAYER_DAYS = 7;
+const REPEAT_PAYER_COUNT = 3;
+const SESSION_IP_DAYS = 30;
+const RAPID_INVOICE_COUNT = 10;
+const FAILED_COLLECT_COUNT = 3;
+const QUICK_RELEASE_MINUTES = 15;
+
+/** Creates risk_assessments and the payer columns on payments. */
+export async function ensureRiskTables() {
+  await db.query(`
+    ALTER TABLE payments
+      ADD COLUMN IF NOT EXISTS payer_phone  TEXT,
+      ADD COLUMN IF NOT EXISTS payer_ip     VARCHAR(64)
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS risk_assessments (
+      id              SERIAL        PRIMARY KEY,
+      stage           VARCHAR(20)   NOT NULL
+                      CHECK (stage IN ('payment_request', 'payment', 'payout')),
+      subject_id      TEXT          NOT NULL,
+      user_id         INTEGER       REFERENCES users(id) ON DELETE SET NULL,
+      invoice_id      INTEGER       REFERENCES invoices(id) ON DELETE SET NULL,
+      payout_job_id   INTEGER       REFERENCES payout_jobs(id) ON DELETE SET NULL,
+      amount          NUMERIC(14,2),
+      score           INTEGER       NOT NULL,
+      level           VARCHAR(10)   NOT NULL CHECK (level IN ('low', 'medium', 'high')),
+      reasons         JSONB         NOT NULL DEFAULT '[]',
+      review_status   VARCHAR(20)
+                      CHECK (review_status IN ('pending', 'approved', 'rejected')),
+      reviewed_by     VARCHAR(255),
+      reviewed_at     TIMESTAMPTZ,
+      review_note     TEXT,
+      created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_risk_review ON risk_assessments (review_status, created_at)",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_risk_invoice ON risk_assessments (invoice_id, stage)",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_payments_payer_phone ON payments (payer_phone)",
+  );
+}
+
+// ── Rules ────────────────────────────────────────────────────────────────────
+// Each rule gets the assessment context and returns null, or the points it
+// adds and a detail line for the reviewer.  `stages` limits where it runs.
+//
+// Context: { stage, seller, invoiceId, amount, payerPhone, payerIp,
+//            payoutPhone }   (seller is { id, phone, createdat } or null)
+
+const RULES = [
+  {
+    id: "new_seller",
+    stages: RISK_STAGES,
+    evaluate: async ({ seller }) => {
+      if (!seller?.createdat) return null;
+      const ageDays = (Date.now() - new Date(seller.createdat)) / 86_400_000;
+      return ageDays < NEW_SELLER_DAYS
+        ? {
+            points: 15,
+            detail: `Seller account is ${Math.floor(ageDays)} day(s) old.`,
+          }
+        : null;
+    },
+  },
+  {
+    id: "repeat_payer",
+    stages: ["payment_request", "payment"],
+    evaluate: async ({ seller, payerPhone }) => {
+      if (!seller || !payerPhone) return null;
+      const result = await db.query(
+        `SELECT COUNT(*) AS n
+           FROM payments p
+           JOIN invoices i ON i.id = p.invoiceid
+          WHERE i.userid = $1 AND p.payer_phone = $2 AND p.status = 'paid'
+            AND p.createdat > NOW() - make_interval(days => $3)`,
+        [seller.id, payerPhone, REPEAT_PAYER_DAYS],
+      );
+      const n = Number(result.rows[0].n);
+      return n >= REPEAT_PAYER_COUNT
+        ? {
+            points: 25,
+            detail: `${payerPhone} already paid this seller ${n} time(s) in ${REPEAT_PAYER_DAYS} days.`,
+          }
+        : null;
+    },
+  },
+  {
+    id: "shared_phone",
+    stages: ["payment_request", "payment"],
+    evaluate: async ({ seller, payerPhone }) =>
+      seller?.phone && payerPhone === seller.phone
+        ? {
+            points: 50,
+            detail: "The buyer paid from the seller's own phone number.",
+          }
+        : null,
+  },
+  {
+    id: "shared_ip",
+    stages: ["payment_request", "payment"],
+    evaluate: async ({ seller, payerIp }) => {
+      if (!seller || !payerIp) return null;
+      const result = await db.query(
+        `SELECT 1 FROM user_sessions
+          WHERE user_id = $1 AND ip = $2
+            AND last_seen_at > NOW() - make_interval(days => $3)
+          LIMIT 1`,
+        [seller.id, payerIp, SESSION_IP_DAYS],
+      );
+      return result.rows.length > 0
+        ? {
+            points: 40,
+            detail: `The buyer paid from an IP address the seller signed in from (${payerIp}).`,
+          }
+        : null;
+    },
+  },
+  {
+    id: "rapid_invoicing",
+    stages: RISK_STAGES,
+    evaluate: async ({ seller }) => {
+      if (!seller) return null;
+      const result = await db.query(
+        `SELECT COUNT(*) AS n FROM invoices
+          WHERE userid = $1 AND createdat > NOW() - INTERVAL '1 hour'`,
+        [seller.id],
+      );
+      const n = Number(result.rows[0].n);
+      return n >= RAPID_INVOICE_COUNT
+        ? {
+            points: 20,
+            detail: `Seller created ${n} invoices in the last hour.`,
+          }
+        : null;
+    },
+  },
+  {
+    id: "failed_collects",
+    stages: ["payment_request", "payment"],
+    evaluate: async ({ seller, payerPhone }) => {
+      const result = await db.query(
+        `SELECT COUNT(*) AS n
+           FROM payments p
+           JOIN invoices i ON i.id = p.invoiceid
+          WHERE p.status = 'failed'
+            AND p.createdat > NOW() - INTERVAL '24 hours'
+            AND (i.userid = $1 OR p.payer_phone = $2)`,
+        [seller?.id ?? null, payerPhone ?? null],
+      );
+      const n = Number(result.rows[0].n);
+      return n >= FAILED_COLLECT_COUNT
+        ? {
+            points: 20,
+            detail: `${n} failed payment attempts for this seller or payer in 24 hours.`,
+          }
+        : null;
+    },
+  },
+  {
+    id: "payout_to_payer",
+    stages: ["payout"],
+    evaluate: async ({ invoiceId, payoutPhone }) => {
+      if (!invoiceId || !payoutPhone) return null;
+      const result = await db.query(
+        `SELECT 1 FROM payments
+          WHERE invoiceid = $1 AND payer_phone = $2 AND status = 'paid'
+          LIMIT 1`,
+        [invoiceId, payoutPhone],
+      );
+      return result.rows.length > 0
+        ? {
+            points: 50,
+            detail: "The payout goes to the same number that paid the invoice.",
+          }
+        : null;
+    },
+  },
+  {
+    id: "quick_release",
+    stages: ["payout"],
+    evaluate: async ({ invoiceId }) => {
+      if (!invoiceId) return null;
+      const result = await db.query(
+        `SELECT EXTRACT(EPOCH FROM NOW() - MAX(created_at)) / 60 AS minutes
+           FROM invoice_events
+          WHERE invoice_id = $1 AND to_status = 'paid'`,
+        [invoiceId],
+      );
+      const minutes = result.rows[0]?.minutes;
+      return minutes !== null &&
+        minutes !== undefined &&
+        Number(minutes) < QUICK_RELEASE_MINUTES
+        ? {
+            points: 15,
+            detail: `Funds released ${Math.round(Number(minutes))} minute(s) after payment.`,
+          }
+        : null;
+    },
+  },
+  {
+    id: "flagged_payment",
+    stages: ["payout"],
+    evaluate: async ({ invoiceId }) => {
+      if (!invoiceId) return null;
+      const result = await db.query(
+        `SELECT MAX(score) AS score,
+                BOOL_OR(review_status = 'rejected') AS rejected
+           FROM risk_assessments
+          WHERE invoice_id = $1 AND stage IN ('payment_request', 'payment')`,
+        [invoiceId],
+      );
+      const { score, rejected } = result.rows[0];
+      if (rejected) {
+        return {
+          points: 100,
+          detail: "An admin rejected a payment on this invoice as fraudulent.",
+        };
+      }
+      return score !== null && Number(score) >= HIGH_SCORE
+        ? {
+            points: 30,
+            detail: `A payment on this invoice scored ${score}.`,
+          }
+        : null;
+    },
+  },
+];
+
+const levelFor = (score) =>
+  score >= HIGH_SCORE ? "high" : score >= MEDIUM_SCORE ? "medium" : "low";
+
+const loadSeller = async (userId) => {
+  if (!userId) return null;
+  const result = await db.query(
+    "SELECT id, phone, createdat FROM users WHERE id = $1",
+    [userId],
+  );
+  return result.rows[0] ?? null;
+};
+
+/** Runs every rule for `context.stage`.  Returns { score, level, reasons }. */
+async function score(context) {
+  const reasons = [];
+  for (const rule of RULES) {
+    if (!rule.stages.includes(context.stage)) continue;
+    const hit = await rule.evaluate(context);
+    if (hit) reasons.push({ rule: rule.id, ...hit });
+  }
+  const total = reasons.reduce((sum, r) => sum + r.points, 0);
+  return { score: total, level: levelFor(total), reasons };
+}
+
+const insertAssessment = async (
+  { stage, subjectId, userId, invoiceId, payoutJobId = null, amount },
+  { score: total, level, reasons },
+  client = db,
+) => {
+  const result = await client.query(
+    `INSERT INTO risk_assessments
+       (stage, subject_id, user_id, invoice_id, payout_job_id, amount,
+        score, level, reasons, review_status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      stage,
+      String(subjectId),
+      userId ?? null,
+      invoiceId ?? null,
+      payoutJobId,
+      amount ?? null,
+      total,
+      level,
+      JSON.stringify(reasons),
+      level === "high" ? "pending" : null,
+    ],
+  );
+  return result.rows[0];
+};
+
+/**
+ * Scores a payment (stage "payment_request" or "payment") and records it.
+ * Never throws — returns the assessment row, or null if scoring failed.
+ *
+ *   payment  a payments row (invoiceid, providerpaymentid, amount,
+ *            payer_phone, payer_ip)
+ */
+export async function assessPayment(stage, payment) {
+  try {
+    const invoiceRes = await db.query(
+      "SELECT id, userid FROM invoices WHERE id = $1",
+      [payment.invoiceid],
+    );
+    const invoice = invoiceRes.rows[0];
+    const seller = await loadSeller(invoice?.userid);
+
+    const result = await score({
+      stage,
+      seller,
+      invoiceId: invoice?.id ?? null,
+      amount: Number(payment.amount),
+      payerPhone: payment.payer_phone,
+      payerIp: payment.payer_ip,
+    });
+    const assessment = await insertAssessment(
+      {
+        stage,
+        subjectId: payment.providerpaymentid,
+        userId: seller?.id,
+        invoiceId: invoice?.id,
+        amount: payment.amount,
+      },
+      result,
+    );
+    if (assessment.level === "high") {
+      logger.warn("High-risk payment flagged for review", {
+        assessmentId: assessment.id,
+        stage,
+        invoiceId: invoice?.id,
+        score: assessment.score,
+      });
+    }
+    return assessment;
+  } catch (err) {
+    logger.error("Risk assessment failed", {
+      stage,
+      payment: payment.providerpaymentid,
+      error: err.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Called by the payout queue before attempting a job.  A job is scored once,
+ * before its first attempt; a high score holds it (risk_status 'held',
+ * next_attempt_at pushed to infinity) until an admin reviews it.
+ * Returns the held job, or null when the job may go ahead.  If scoring
+ * fails the job keeps risk_status NULL, so the queue cannot claim it and
+ * tries again on the next tick.
+ */
+export async function holdPayoutForRisk(jobId) {
+  const jobRes = await db.query(
+    `SELECT * FROM payout_jobs
+      WHERE id = $1 AND risk_status IS NULL
+        AND status IN ('queued', 'failed') AND next_attempt_at <= NOW()`,
+    [jobId],
+  );
+  const job = jobRes.rows[0];
+  if (!job) return null;
+
+  // Refunds to buyers have no seller to score
+  if (!job.user_id) {
+    await db.query(
+      `UPDATE payout_jobs SET risk_status = 'clear'
+        WHERE id = $1 AND risk_status IS NULL`,
+      [jobId],
+    );
+    return null;
+  }
+
+  let result;
+  try {
+    result = await score({
+      stage: "payout",
+      seller: await loadSeller(job.user_id),
+      invoiceId: job.invoice_id,
+      amount: Number(job.amount),
+      payoutPhone: job.phone,
+    });
+  } catch (err) {
+    logger.error("Payout risk assessment failed", {
+      jobId,
+      error: err.message,
+    });
+    return null;
+  }
+
+  const held = result.level === "high";
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    // Only the first caller to get here records the assessment
+    const marked = await client.query(
+      `UPDATE payout_jobs
+          SET risk_status = $2,
+              next_attempt_at = CASE WHEN $3 THEN 'infinity'::timestamptz
+                                     ELSE next_attempt_at END,
+              last_error = CASE WHEN $3 THEN $4 ELSE last_error END,
+              updated_at = NOW()
+        WHERE id = $1 AND risk_status IS NULL
+        RETURNING *`,
+      [jobId, held ? "held" : "clear", held, RISK_HOLD_MESSAGE],
+    );
+    if (marked.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+    const assessment = await insertAssessment(
+      {
+        stage: "payout",
+        subjectId: jobId,
+        userId: job.user_id,
+        invoiceId: job.invoice_id,
+        payoutJobId: jobId,
+        amount: job.amount,
+      },
+      result,
+      client,
+    );
+    await client.query("COMMIT");
+
+    if (!held) return null;
+    logger.warn("High-risk payout held for review", {
+      jobId,
+      assessmentId: assessment.id,
+      score: assessment.score,
+      reasons: assessment.reasons.map((r) => r.rule),
+    });
+    return marked.rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Records an admin's decision on a pending assessment.  For a payout:
+ *   approve → the job is released to the queue
+ *   reject  → the caller cancels the job (see routes/admin.js)
+ * Returns the updated assessment, or null if it was not pending.
+ */
+export async function reviewAssessment(
+  assessmentId,
+  decision,
+  { reviewer, note = null },
+) {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const reviewed = await client.query(
+      `UPDATE risk_assessments
+          SET review_status = $2, reviewed_by = $3, reviewed_at = NOW(),
+              review_note = $4
+        WHERE id = $1 AND review_status = 'pending'
+        RETURNING *`,
+      [
+        assessmentId,
+        decision === "approve" ? "approved" : "rejected",
+        reviewer,
+        note,
+      ],
+    );
+    const assessment = reviewed.rows[0];
+    if (!assessment) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    if (assessment.payout_job_id) {
+      await client.query(
+        `UPDATE payout_jobs
+            SET risk_status = $2,
+                next_attempt_at = CASE WHEN $2 = 'approved' THEN NOW()
+                                       ELSE next_attempt_at END,
+                last_error = CASE WHEN $2 = 'approved' THEN NULL
+                                  ELSE last_error END,
+                updated_at = NOW()
+          WHERE id = $1 AND risk_status = 'held'`,
+        [assessment.payout_job_id, assessment.review_status],
+      );
+    }
+    await client.query("COMMIT");
+    return assessment;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
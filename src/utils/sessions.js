@@ -0,0 +1,283 @@
+/**
+ * sessions.js
+ *
+ * Revocable login sessions for seller accounts.
+ *
+ * Each login creates a user_sessions row and hands out two tokens:
+ *
+ *   access token   15-minute JWT carrying { id, sid } — sent on every request
+ *                  as the authToken cookie or a Bearer header.  authMiddleware
+ *                  checks that its session is still live.
+ *   refresh token  random secret (only its SHA-256 hash is stored), valid for
+ *                  REFRESH_TTL_DAYS.  POST /auth/refresh trades it for a new
+ *                  access token AND a new refresh token (rotation).
+ *
+ * Presenting a refresh token that was already rotated away means it was
+ * copied — the whole session is revoked.  The one exception is a second tab
+ * refreshing within REUSE_GRACE_SECONDS of the first, which just gets a 409.
+ *
+ * Sessions end when the user signs out, revokes them from GET /user/sessions,
+ * changes or resets their password, or the refresh token expires.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import db from "../controllers/db.js";
+
+export const ACCESS_TOKEN_TTL = "15m";
+const ACCESS_TOKEN_MS = 15 * 60 * 1000;
+const REFRESH_TTL_DAYS = 30;
+const REUSE_GRACE_SECONDS = 30;
+// last_seen_at is only written when older than this, to spare the database
+const LAST_SEEN_THROTTLE_MINUTES = 5;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+/** Creates user_sessions.  Called once from server.js on boot. */
+export async function ensureSessionsTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id                     UUID          PRIMARY KEY,
+      user_id                INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash     CHAR(64)      NOT NULL UNIQUE,
+      previous_token_hash    CHAR(64),
+      user_agent             VARCHAR(300),
+      ip                     VARCHAR(64),
+      created_at             TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      last_seen_at           TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+      rotated_at             TIMESTAMPTZ,
+      expires_at             TIMESTAMPTZ   NOT NULL,
+      revoked_at             TIMESTAMPTZ,
+      revoked_reason         VARCHAR(40)
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions (user_id, revoked_at)",
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_user_sessions_previous ON user_sessions (previous_token_hash)",
+  );
+}
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+/**
+ * Starts a session for `user` from this request's device.
+ * Returns { sessionId, accessToken, refreshToken }.
+ */
+export async function createSession(user, req) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = newRefreshToken();
+  await db.query(
+    `INSERT INTO user_sessions
+       (id, user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))`,
+    [
+      sessionId,
+      user.id,
+      hashToken(refreshToken),
+      req.get("User-Agent")?.slice(0, 300) ?? null,
+      req.ip ?? null,
+      REFRESH_TTL_DAYS,
+    ],
+  );
+  return {
+    sessionId,
+    accessToken: signAccessToken(user.id, sessionId),
+    refreshToken,
+  };
+}
+
+/**
+ * Rotates a refresh token.  Returns one of:
+ *   { accessToken, refreshToken, userId }   success
+ *   { error: "INVALID" }                    unknown, expired or revoked
+ *   { error: "RACE" }                       just rotated by another tab
+ *   { error: "REUSED" }                     stale token replayed — session revoked
+ */
+export async function rotateSession(refreshToken, req) {
+  const hash = hashToken(String(refreshToken));
+  const next = newRefreshToken();
+
+  const rotated = await db.query(
+    `UPDATE user_sessions
+        SET refresh_token_hash = $2, previous_token_hash = $1,
+            rotated_at = NOW(), last_seen_at = NOW(), ip = $3
+      WHERE refresh_token_hash = $1
+        AND revoked_at IS NULL
+        AND expires_at > NOW()
+      RETURNING id, user_id`,
+    [hash, hashToken(next), req.ip ?? null],
+  );
+  if (rotated.rows.length > 0) {
+    const { id, user_id } = rotated.rows[0];
+    return {
+      userId: user_id,
+      accessToken: signAccessToken(user_id, id),
+      refreshToken: next,
+    };
+  }
+
+  const stale = await db.query(
+    `SELECT id, revoked_at,
+            rotated_at > NOW() - make_interval(secs => $2) AS within_grace
+       FROM user_sessions WHERE previous_token_hash = $1`,
+    [hash, REUSE_GRACE_SECONDS],
+  );
+  const session = stale.rows[0];
+  if (!session || session.revoked_at) return { error: "INVALID" };
+  if (session.within_grace) return { error: "RACE" };
+
+  await revokeSession(session.id, "refresh_token_reused");
+  return { error: "REUSED" };
+}
+
+/**
+ * The access token's payload if it is valid and its session is live,
+ * otherwise null.  Throws jwt's TokenExpiredError so callers can tell the
+ * client to refresh.  Tokens without a session id (issued before sessions
+ * existed) are rejected.
+ */
+export async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) return null;
+
+  const result = await db.query(
+    `SELECT last_seen_at < NOW() - make_interval(mins => $3) AS stale
+       FROM user_sessions
+      WHERE id = $1 AND user_id = $2
+        AND revoked_at IS NULL AND expires_at > NOW()`,
+    [decoded.sid, decoded.id, LAST_SEEN_THROTTLE_MINUTES],
+  );
+  if (result.rows.length === 0) return null;
+
+  if (result.rows[0].stale) {
+    db.query("UPDATE user_sessions SET last_seen_at = NOW() WHERE id = $1", [
+      decoded.sid,
+    ]).catch((err) =>
+      console.error("Session last_seen_at not updated:", err.message),
+    );
+  }
+  return decoded;
+}
+
+/** Like verifyAccessToken, but never throws — null for anything invalid. */
+export async function tryVerifyAccessToken(token) {
+  try {
+    return token ? await verifyAccessToken(token) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** The user's live sessions, most recently used first. */
+export async function listSessions(userId) {
+  const result = await db.query(
+    `SELECT id, user_agent, ip, created_at, last_seen_at, expires_at
+       FROM user_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY last_seen_at DESC`,
+    [userId],
+  );
+  return result.rows;
+}
+
+/**
+ * Ends one session.  Pass `userId` to make sure it belongs to that user.
+ * Returns true if a live session was revoked.
+ */
+export async function revokeSession(sessionId, reason, userId = null) {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+      WHERE id = $1 AND revoked_at IS NULL
+        AND ($3::int IS NULL OR user_id = $3)
+      RETURNING id`,
+    [sessionId, reason, userId],
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Ends the session a refresh token belongs to — used to sign out when the
+ * access token has already expired.
+ */
+export async function revokeSessionByRefreshToken(refreshToken, reason) {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+      WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+      RETURNING id`,
+    [hashToken(String(refreshToken)), reason],
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Ends every live session of a user, except `exceptSessionId` when given
+ * (e.g. the device that just changed the password).  Returns how many.
+ */
+export async function revokeAllSessions(
+  userId,
+  reason,
+  exceptSessionId = null,
+) {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+      WHERE user_id = $1 AND revoked_at IS NULL
+        AND ($3::uuid IS NULL OR id != $3)`,
+    [userId, reason, exceptSessionId],
+  );
+  return result.rowCount;
+}
+
+/** Deletes sessions that ended more than 30 days ago.  Returns how many. */
+export async function purgeSessions() {
+  const result = await db.query(
+    `DELETE FROM user_sessions
+      WHERE COALESCE(revoked_at, expires_at) < NOW() - INTERVAL '30 days'`,
+  );
+  return result.rowCount;
+}
+
+// ── Cookies ──────────────────────────────────────────────────────────────────
+// Use BACKEND_URL to detect if we're actually on HTTPS.
+// NODE_ENV=production can be set locally (for logging etc.) without
+// having a real TLS cert, so using NODE_ENV for secure/sameSite causes
+// browsers to silently drop the cookie on plain-HTTP connections.
+const cookieOptions = () => {
+  const isHttps = process.env.BACKEND_URL?.startsWith("https");
+  return {
+    httpOnly: true,
+    secure: isHttps,
+    sameSite: isHttps ? "none" : "lax",
+  };
+};
+
+// The refresh cookie is only ever sent to /auth, never with normal API calls
+const REFRESH_COOKIE_PATH = "/auth";
+
+/** Sets the authToken (access) and refreshToken cookies. */
+export const setSessionCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie("authToken", accessToken, {
+    ...cookieOptions(),
+    maxAge: ACCESS_TOKEN_MS,
+  });
+  res.cookie("refreshToken", refreshToken, {
+    ...cookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+};
+
+export const clearSessionCookies = (res) => {
+  res.clearCookie("authToken", cookieOptions());
+  res.clearCookie("refreshToken", {
+    ...cookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+  });
+};
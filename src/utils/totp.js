@@ -0,0 +1,95 @@
+/**
+ * totp.js
+ *
+ * Time-based one-time passwords (RFC 6238) as used by Google Authenticator,
+ * Authy, 1Password, etc.: HMAC-SHA1, 6 digits, 30-second steps.
+ *
+ * Pure functions only — storage and the login flow live in twoFactor.js.
+ */
+
+import crypto from "crypto";
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret.");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/** A new random 160-bit secret, base32-encoded as authenticator apps expect. */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * The otpauth:// URI an authenticator app imports.  The frontend renders it
+ * as a QR code; the base32 secret is shown alongside for manual entry.
+ */
+export const totpUri = (secret, accountName, issuer = "Fonlok") =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${accountName}`)}` +
+  `?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+  `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+const codeForStep = (key, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Checks a 6-digit code against the current step and `window` steps either
+ * side (clock drift).  Returns the matching time step — callers store it to
+ * refuse the same code twice — or null when the code is wrong.
+ */
+export const verifyTotp = (
+  secret,
+  code,
+  { window = 1, now = Date.now() } = {},
+) => {
+  const candidate = String(code ?? "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const key = base32Decode(secret);
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = codeForStep(key, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
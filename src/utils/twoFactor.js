@@ -0,0 +1,201 @@
+/**
+ * twoFactor.js
+ *
+ * TOTP two-factor authentication for seller accounts (optional) and admin
+ * accounts (mandatory).  Both tables carry the same columns:
+ *
+ *   totp_secret          the confirmed authenticator secret
+ *   totp_pending_secret  a secret shown during enrolment, not yet confirmed
+ *   totp_enabled         true once a code from the app has been confirmed
+ *   totp_last_step       last accepted time step, so a code only works once
+ *   totp_backup_codes    SHA-256 hashes of the unused one-time backup codes
+ *
+ * Enrolment:  beginEnrolment() → the user scans the QR / types the secret →
+ *             confirmEnrolment(code) enables 2FA and returns the backup codes
+ *             (shown once).
+ *
+ * Login:      after the password is accepted the caller gets a short-lived
+ *             challenge token (signChallengeToken) instead of a session, and
+ *             trades it plus a code for the session (verifySecondFactor).
+ *
+ * Challenge tokens are signed with a secret derived from JWT_SECRET, so they
+ * can never be mistaken for a session token by authMiddleware.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import db from "../controllers/db.js";
+import { generateTotpSecret, totpUri, verifyTotp } from "./totp.js";
+
+// Only these tables may be passed as `table` below
+const TABLES = ["users", "admins"];
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = "5m";
+
+const checkTable = (table) => {
+  if (!TABLES.includes(table)) throw new Error(`No 2FA on table ${table}.`);
+  return table;
+};
+
+/** Adds the 2FA columns to users and admins.  Called once from server.js. */
+export async function ensureTwoFactorColumns() {
+  for (const table of TABLES) {
+    await db.query(`
+      ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS totp_secret          TEXT,
+        ADD COLUMN IF NOT EXISTS totp_pending_secret  TEXT,
+        ADD COLUMN IF NOT EXISTS totp_enabled         BOOLEAN NOT NULL DEFAULT false,
+        ADD COLUMN IF NOT EXISTS totp_last_step       BIGINT,
+        ADD COLUMN IF NOT EXISTS totp_backup_codes    TEXT[]  NOT NULL DEFAULT '{}'
+    `);
+  }
+}
+
+const hashBackupCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// Ten codes like "3f9a2-c81d0" — 40 random bits each
+const newBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/** { enabled, backupCodesRemaining } for the account. */
+export async function getTwoFactorStatus(table, id) {
+  const result = await db.query(
+    `SELECT totp_enabled, COALESCE(array_length(totp_backup_codes, 1), 0) AS remaining
+       FROM ${checkTable(table)} WHERE id = $1`,
+    [id],
+  );
+  const row = result.rows[0];
+  return {
+    enabled: row?.totp_enabled ?? false,
+    backupCodesRemaining: row ? Number(row.remaining) : 0,
+  };
+}
+
+/**
+ * Starts (or restarts) enrolment: stores a fresh pending secret and returns
+ * { secret, otpauthUrl } for the authenticator app.
+ */
+export async function beginEnrolment(table, id, accountName) {
+  const secret = generateTotpSecret();
+  await db.query(
+    `UPDATE ${checkTable(table)} SET totp_pending_secret = $2 WHERE id = $1`,
+    [id, secret],
+  );
+  return { secret, otpauthUrl: totpUri(secret, accountName) };
+}
+
+/**
+ * Confirms enrolment with a code from the app.  Turns 2FA on and returns the
+ * plain backup codes (the only time they exist), or null if the code is
+ * wrong or there is no pending enrolment.
+ */
+export async function confirmEnrolment(table, id, code) {
+  const result = await db.query(
+    `SELECT totp_pending_secret FROM ${checkTable(table)} WHERE id = $1`,
+    [id],
+  );
+  const pending = result.rows[0]?.totp_pending_secret;
+  if (!pending) return null;
+
+  const step = verifyTotp(pending, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = newBackupCodes();
+  await db.query(
+    `UPDATE ${table}
+        SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+            totp_enabled = true, totp_last_step = $2, totp_backup_codes = $3
+      WHERE id = $1`,
+    [id, step, hashes],
+  );
+  return codes;
+}
+
+/**
+ * Checks a code for an account with 2FA on: a current TOTP code (each one is
+ * accepted once) or an unused backup code (consumed).  Returns
+ * "totp" | "backup_code" on success, null otherwise.
+ */
+export async function verifySecondFactor(table, id, code) {
+  const result = await db.query(
+    `SELECT totp_secret, totp_enabled, totp_last_step
+       FROM ${checkTable(table)} WHERE id = $1`,
+    [id],
+  );
+  const row = result.rows[0];
+  if (!row?.totp_enabled || !row.totp_secret) return null;
+
+  const step = verifyTotp(row.totp_secret, code);
+  if (step !== null) {
+    // Atomic so two requests racing with the same code cannot both win
+    const accepted = await db.query(
+      `UPDATE ${table} SET totp_last_step = $2
+        WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+        RETURNING id`,
+      [id, step],
+    );
+    return accepted.rows.length > 0 ? "totp" : null;
+  }
+
+  if (typeof code !== "string" || code.trim().length < 10) return null;
+  const hash = hashBackupCode(code);
+  const used = await db.query(
+    `UPDATE ${table}
+        SET totp_backup_codes = array_remove(totp_backup_codes, $2)
+      WHERE id = $1 AND $2 = ANY(totp_backup_codes)
+      RETURNING id`,
+    [id, hash],
+  );
+  return used.rows.length > 0 ? "backup_code" : null;
+}
+
+/** Replaces the backup codes and returns the new plain codes. */
+export async function regenerateBackupCodes(table, id) {
+  const { codes, hashes } = newBackupCodes();
+  await db.query(
+    `UPDATE ${checkTable(table)} SET totp_backup_codes = $2 WHERE id = $1`,
+    [id, hashes],
+  );
+  return codes;
+}
+
+/** Turns 2FA off and forgets the secret and backup codes. */
+export async function disableTwoFactor(table, id) {
+  await db.query(
+    `UPDATE ${checkTable(table)}
+        SET totp_enabled = false, totp_secret = NULL, totp_pending_secret = NULL,
+            totp_last_step = NULL, totp_backup_codes = '{}'
+      WHERE id = $1`,
+    [id],
+  );
+}
+
+// ── Login challenge tokens ───────────────────────────────────────────────────
+// `purpose` keeps a user-login challenge from being replayed at the admin
+// login and vice versa.
+
+const challengeSecret = (purpose) => `${process.env.JWT_SECRET}:2fa:${purpose}`;
+
+export const signChallengeToken = (purpose, id) =>
+  jwt.sign({ id, purpose }, challengeSecret(purpose), {
+    expiresIn: CHALLENGE_TTL,
+  });
+
+/** The account id in a valid challenge token for `purpose`, or null. */
+export const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(String(token), challengeSecret(purpose));
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};